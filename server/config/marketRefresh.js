@@ -4,16 +4,30 @@
  * Wall-clock aligned to 30-minute buckets (…:00 and …:30 UTC) so homepage
  * Groww snapshots, AGI Market Outlook strip, pulse/dashboard, and client
  * caches expire and refresh on the same cadence.
+ *
+ * While the exchanges are shut (nights, weekends, holidays — see
+ * services/marketCalendar.js) prices do not move, so cycles stretch to
+ * 2-hour buckets. Cycles never straddle an open or a close: the first cycle
+ * of a session starts at the open and the last one ends at the close.
  */
 
+import { getMarketStatus } from '../services/marketCalendar.js';
+
 export const MARKET_REFRESH_MS = 30 * 60 * 1000;
+export const MARKET_CLOSED_REFRESH_MS = 2 * 60 * 60 * 1000;
 
 const cycleSlots = new Map();
 
 /** Current 30-minute market cycle metadata. */
 export function getMarketCycle(now = Date.now()) {
-  const startedMs = Math.floor(now / MARKET_REFRESH_MS) * MARKET_REFRESH_MS;
-  const expiresMs = startedMs + MARKET_REFRESH_MS;
+  const status = getMarketStatus(now);
+  const length = status.open ? MARKET_REFRESH_MS : MARKET_CLOSED_REFRESH_MS;
+  const bucket = Math.floor(now / length) * length;
+  // Clip to the session edges so a cycle's data is all-open or all-closed.
+  const edgeBefore = Date.parse(status.open ? status.session.opens_at : status.last_close_at);
+  const edgeAfter = Date.parse(status.open ? status.session.closes_at : status.next_open_at);
+  const startedMs = Number.isNaN(edgeBefore) ? bucket : Math.max(bucket, edgeBefore);
+  const expiresMs = Number.isNaN(edgeAfter) ? bucket + length : Math.min(bucket + length, edgeAfter);
   return {
     cycleId: String(startedMs),
     startedMs,
@@ -21,7 +35,8 @@ export function getMarketCycle(now = Date.now()) {
     startedAt: new Date(startedMs).toISOString(),
     expiresAt: new Date(expiresMs).toISOString(),
     msRemaining: Math.max(0, expiresMs - now),
-    refreshMinutes: MARKET_REFRESH_MS / 60_000,
+    refreshMinutes: length / 60_000,
+    marketOpen: status.open,
   };
 }
 
@@ -38,6 +53,16 @@ export function formatMarketUpdatedLabel(isoOrDate, timeZone = 'Asia/Kolkata') {
   return `Updated ${label}`;
 }
 
+function stampCycleValue(value, { cycleId, startedAt }) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return value;
+  return {
+    ...value,
+    marketCycleId: cycleId,
+    marketCycleStartedAt: startedAt,
+    updatedAt: value.updatedAt || new Date().toISOString(),
+  };
+}
+
 /**
  * Run `producer` at most once per market cycle for `key`.
  * Concurrent callers share the same in-flight promise.
@@ -54,15 +79,7 @@ export async function oncePerMarketCycle(key, producer) {
   const promise = Promise.resolve()
     .then(() => producer({ cycleId, startedAt, expiresMs, msRemaining }))
     .then((value) => {
-      let stamped = value;
-      if (value && typeof value === 'object' && !Array.isArray(value)) {
-        stamped = {
-          ...value,
-          marketCycleId: cycleId,
-          marketCycleStartedAt: startedAt,
-          updatedAt: value.updatedAt || new Date().toISOString(),
-        };
-      }
+      const stamped = stampCycleValue(value, { cycleId, startedAt });
       cycleSlots.set(key, { cycleId, value: stamped, promise: null });
       return stamped;
     })
@@ -87,6 +104,19 @@ export async function oncePerMarketCycle(key, producer) {
   return promise;
 }
 
+/**
+ * Run `producer` now and make its value the current cycle's value for `key`.
+ * The market stream refreshes through this, so polling readers of the same
+ * key are served the snapshot the stream pushed instead of an older one and
+ * do not spend provider quota on a second fetch. A failure leaves the slot.
+ */
+export async function refreshMarketCycle(key, producer) {
+  const cycle = getMarketCycle();
+  const stamped = stampCycleValue(await producer(cycle), cycle);
+  if (stamped !== undefined) cycleSlots.set(key, { cycleId: cycle.cycleId, value: stamped, promise: null });
+  return stamped;
+}
+
 /** Cache-Control max-age (seconds) remaining in the current market cycle. */
 export function marketCycleCacheMaxAgeSeconds(now = Date.now()) {
   const { msRemaining } = getMarketCycle(now);
@@ -16,18 +16,14 @@ import createIntelligenceCmsRouter from "./routes/intelligenceCms.js";
 import createIntelligencePlatformRouter from "./routes/intelligencePlatform.js";
 import createAuthRouter from "./routes/auth.js";
 import createNewsletterRouter from "./routes/newsletter.js";
+import createJobsRouter from "./routes/jobs.js";
+import createEconomicCalendarRouter from "./routes/economicCalendar.js";
+import createBrokerAuthRouter from "./routes/brokerAuth.js";
 import { getNewsHeadlines } from "./services/newsHeadlinesService.js";
 import { getIpoDetail, getIpoPlatform, getIpoSummary } from "./services/ipoService.js";
 import { getMarketContext } from "./services/marketContextService.js";
-import { startCioMorningScheduler } from "./services/cioMorningScheduler.js";
-import { startContinuousGatherLearnScheduler } from "./services/continuousGatherLearnScheduler.js";
-import { startInstitutionalFlowScheduler } from "./services/institutionalFlowScheduler.js";
-import { startValuationRatiosScheduler } from "./services/valuationRatiosScheduler.js";
-import { startHvieRuntimeScheduler } from "./services/hvieRuntimeScheduler.js";
-import { startUifiScheduler } from "./services/uifiScheduler.js";
-import { startHedgeFundLiveQuoteScheduler } from "./services/hedgeFundLiveQuoteScheduler.js";
-import { startHedgeFundUpstoxCandleScheduler } from "./services/hedgeFundUpstoxCandleScheduler.js";
-import { startUpstoxStatementScheduler } from "./services/upstoxStatementScheduler.js";
+import { startAppJobs } from "./services/jobs/registry.js";
+import { restoreBrokerTokens } from "./services/brokerAuth.js";
 import { llmProviderStatus } from "./services/llmClient.js";
 import rateLimit from "express-rate-limit";
 import cors from "cors";
@@ -39,7 +35,13 @@ const serverDirectory = path.dirname(fileURLToPath(import.meta.url));
 dotenv.config({ path: path.join(serverDirectory, ".env") });
 
 const app = express();
-app.use(express.json({ limit: "2mb" }));
+app.use(express.json({
+  limit: "2mb",
+  // Provider webhooks are signed over the exact bytes received.
+  verify: (req, _res, buf) => {
+    if (req.originalUrl.startsWith("/api/newsletter/webhooks/")) req.rawBody = buf;
+  },
+}));
 app.set("trust proxy", 1);
 
 const PORT = process.env.PORT ? Number(process.env.PORT) : 3000;
@@ -316,6 +318,9 @@ app.use('/api/pe', createPeIntelligenceRouter());
 app.use('/api/intelligence/cms', createIntelligenceCmsRouter());
 app.use('/api/intelligence/platform', createIntelligencePlatformRouter());
 app.use('/api/auth', createAuthRouter());
+app.use('/api/jobs', createJobsRouter());
+app.use('/api/economic-calendar', createEconomicCalendarRouter());
+app.use('/api/broker-auth', createBrokerAuthRouter());
 const newsletterRouter = createNewsletterRouter();
 app.use('/api/newsletter', newsletterRouter);
 // Legacy alias used by older CMS publish helpers
@@ -323,15 +328,11 @@ app.post('/api/notify-subscribers', (req, res, next) => {
   req.url = '/notify-subscribers';
   return newsletterRouter.handle(req, res, next);
 });
-startCioMorningScheduler();
-startContinuousGatherLearnScheduler();
-startInstitutionalFlowScheduler();
-startValuationRatiosScheduler();
-startHvieRuntimeScheduler();
-startUifiScheduler();
-startHedgeFundLiveQuoteScheduler();
-startHedgeFundUpstoxCandleScheduler();
-startUpstoxStatementScheduler();
+// Every background job (EOD ingests, engine wake-ups, newsletter queue and
+// campaigns) runs on the unified scheduler — see services/jobs/registry.js.
+// Stored broker sessions are re-installed first so providers survive restarts.
+void restoreBrokerTokens();
+startAppJobs();
 
 /* ---------- /api/perplexity/deals ----------
    Ask Perplexity for a strict JSON array of deals with these fields:
@@ -0,0 +1,21 @@
+/** Minimal CSV helpers shared by the admin importers (CMS modules, economic calendar). */
+
+/** One CSV line → cell values; quoted cells may hold commas and "" escapes, empty cells stay in place. */
+export function csvCells(line) {
+  const cells = [''];
+  let quoted = false;
+  for (let i = 0; i < line.length; i += 1) {
+    const ch = line[i];
+    if (quoted && ch === '"' && line[i + 1] === '"') {
+      cells[cells.length - 1] += '"';
+      i += 1;
+    } else if (ch === '"') {
+      quoted = !quoted;
+    } else if (ch === ',' && !quoted) {
+      cells.push('');
+    } else {
+      cells[cells.length - 1] += ch;
+    }
+  }
+  return cells;
+}
@@ -1,13 +1,123 @@
-/** Pure-math technical indicators — deterministic, no AI */
+/**
+ * Pure-math technical indicators — deterministic, no AI.
+ *
+ * Every indicator has two forms:
+ *   - an incremental stream, `createX(opts)`, whose `update(input)` consumes one
+ *     bar (a close for price-only indicators, a { high, low, close, volume }
+ *     candle otherwise) and returns the latest value, or null while warming up;
+ *   - a batch helper (`x(candles)` for the last value, `xSeries` where callers
+ *     need the whole series) that simply folds the stream, so both forms always
+ *     agree.
+ *
+ * Smoothing follows the textbook definitions: Wilder averages (RSI, ATR,
+ * DMI/ADX) seed with the simple mean of the first `period` observations; EMAs
+ * seed with the first value (the long-standing behaviour of emaSeries).
+ */
+
+// ── internals ───────────────────────────────────────────────────────────────
+
+const isNum = (value) => typeof value === 'number' && Number.isFinite(value);
+
+function rollingWindow(size) {
+  const values = [];
+  return {
+    push(value) {
+      values.push(value);
+      if (values.length > size) values.shift();
+    },
+    get full() {
+      return values.length === size;
+    },
+    values,
+  };
+}
+
+function fold(stream, inputs) {
+  let last = null;
+  for (const input of inputs || []) last = stream.update(input);
+  return last;
+}
+
+function foldSeries(stream, inputs) {
+  return (inputs || []).map((input) => stream.update(input));
+}
+
+function trueRange(candle, prevClose) {
+  if (prevClose == null) return candle.high - candle.low;
+  return Math.max(
+    candle.high - candle.low,
+    Math.abs(candle.high - prevClose),
+    Math.abs(candle.low - prevClose)
+  );
+}
+
+// ── moving averages ─────────────────────────────────────────────────────────
+
+export function createSma(period) {
+  const win = rollingWindow(period);
+  let sum = 0;
+  let value = null;
+  return {
+    update(x) {
+      if (win.full) sum -= win.values[0];
+      win.push(x);
+      sum += x;
+      value = win.full ? sum / period : null;
+      return value;
+    },
+    get value() {
+      return value;
+    },
+  };
+}
+
+export function createEma(period) {
+  const k = 2 / (period + 1);
+  let value = null;
+  return {
+    update(x) {
+      value = value == null ? x : x * k + value * (1 - k);
+      return value;
+    },
+    get value() {
+      return value;
+    },
+  };
+}
+
+/** Wilder's smoothed average (alpha = 1/period), seeded with the SMA of the first `period` inputs. */
+export function createWilder(period) {
+  let count = 0;
+  let seedSum = 0;
+  let value = null;
+  return {
+    update(x) {
+      count += 1;
+      if (count < period) {
+        seedSum += x;
+        return null;
+      }
+      value = count === period ? (seedSum + x) / period : (value * (period - 1) + x) / period;
+      return value;
+    },
+    get value() {
+      return value;
+    },
+  };
+}
+
+export function smaSeries(values, period) {
+  return foldSeries(createSma(period), values);
+}
+
+export function sma(values, period) {
+  if (!values || values.length < period) return null;
+  return fold(createSma(period), values.slice(-period));
+}
 
 export function emaSeries(values, period) {
   if (!values?.length || period < 1) return [];
-  const k = 2 / (period + 1);
-  const out = [values[0]];
-  for (let i = 1; i < values.length; i++) {
-    out.push(values[i] * k + out[i - 1] * (1 - k));
-  }
-  return out;
+  return foldSeries(createEma(period), values);
 }
 
 export function lastEma(values, period) {
@@ -15,87 +125,552 @@ export function lastEma(values, period) {
   return s.length ? s[s.length - 1] : null;
 }
 
+export function wilderSeries(values, period) {
+  return foldSeries(createWilder(period), values);
+}
+
+// ── momentum ────────────────────────────────────────────────────────────────
+
+/** Wilder RSI over closes. */
+export function createRsi(period = 14) {
+  const gains = createWilder(period);
+  const losses = createWilder(period);
+  let prev = null;
+  let value = null;
+  return {
+    update(close) {
+      if (prev == null) {
+        prev = close;
+        return null;
+      }
+      const diff = close - prev;
+      prev = close;
+      const avgGain = gains.update(Math.max(diff, 0));
+      const avgLoss = losses.update(Math.max(-diff, 0));
+      if (avgGain == null) return null;
+      value = avgLoss === 0 ? (avgGain === 0 ? 50 : 100) : 100 - 100 / (1 + avgGain / avgLoss);
+      return value;
+    },
+    get value() {
+      return value;
+    },
+  };
+}
+
+export function rsiSeries(closes, period = 14) {
+  return foldSeries(createRsi(period), closes);
+}
+
 export function rsi(closes, period = 14) {
   if (!closes || closes.length < period + 1) return null;
-  let gains = 0;
-  let losses = 0;
-  for (let i = closes.length - period; i < closes.length; i++) {
-    const diff = closes[i] - closes[i - 1];
-    if (diff >= 0) gains += diff;
-    else losses -= diff;
-  }
-  const avgGain = gains / period;
-  const avgLoss = losses / period;
-  if (avgLoss === 0) return 100;
-  const rs = avgGain / avgLoss;
-  return 100 - 100 / (1 + rs);
+  return fold(createRsi(period), closes);
+}
+
+/** MACD; the signal EMA starts once the slow EMA has `slow` observations. */
+export function createMacd(fast = 12, slow = 26, signal = 9) {
+  const emaFast = createEma(fast);
+  const emaSlow = createEma(slow);
+  const emaSignal = createEma(signal);
+  let count = 0;
+  let value = null;
+  return {
+    update(close) {
+      count += 1;
+      const line = emaFast.update(close) - emaSlow.update(close);
+      if (count < slow) return null;
+      const sig = emaSignal.update(line);
+      if (count < slow + signal) return null;
+      value = { macd: line, signal: sig, histogram: line - sig, bullish: line > sig };
+      return value;
+    },
+    get value() {
+      return value;
+    },
+  };
 }
 
 export function macd(closes, fast = 12, slow = 26, signal = 9) {
   if (!closes || closes.length < slow + signal) return null;
-  const emaFast = emaSeries(closes, fast);
-  const emaSlow = emaSeries(closes, slow);
-  const macdLine = emaFast.map((v, i) => v - emaSlow[i]);
-  const signalLine = emaSeries(macdLine.slice(slow - 1), signal);
-  const macdVal = macdLine[macdLine.length - 1];
-  const signalVal = signalLine[signalLine.length - 1];
+  return fold(createMacd(fast, slow, signal), closes);
+}
+
+export function roc(closes, period = 10) {
+  if (!closes || closes.length <= period) return null;
+  const curr = closes[closes.length - 1];
+  const prev = closes[closes.length - 1 - period];
+  if (!prev) return null;
+  return ((curr - prev) / prev) * 100;
+}
+
+/** Full stochastic: raw %K over `kPeriod`, smoothed by `kSmoothing`; %D is an SMA of %K. */
+export function createStochastic({ kPeriod = 14, kSmoothing = 3, dPeriod = 3 } = {}) {
+  const win = rollingWindow(kPeriod);
+  const kSma = createSma(kSmoothing);
+  const dSma = createSma(dPeriod);
+  let value = null;
+  return {
+    update(candle) {
+      win.push(candle);
+      if (!win.full) return null;
+      const high = Math.max(...win.values.map((c) => c.high));
+      const low = Math.min(...win.values.map((c) => c.low));
+      const rawK = high === low ? 50 : (100 * (candle.close - low)) / (high - low);
+      const k = kSma.update(rawK);
+      if (k == null) return null;
+      const d = dSma.update(k);
+      if (d == null) return null;
+      value = { k, d, rawK };
+      return value;
+    },
+    get value() {
+      return value;
+    },
+  };
+}
+
+export function stochastic(candles, opts) {
+  return fold(createStochastic(opts), candles);
+}
+
+// ── volatility / trend strength ─────────────────────────────────────────────
+
+/** Wilder ATR; the first true range is the bar's high-low. */
+export function createAtr(period = 14) {
+  const avg = createWilder(period);
+  let prevClose = null;
+  let value = null;
   return {
-    macd: macdVal,
-    signal: signalVal,
-    histogram: macdVal - signalVal,
-    bullish: macdVal > signalVal,
+    update(candle) {
+      const tr = trueRange(candle, prevClose);
+      prevClose = candle.close;
+      value = avg.update(tr);
+      return value;
+    },
+    get value() {
+      return value;
+    },
   };
 }
 
+export function atrSeries(candles, period = 14) {
+  return foldSeries(createAtr(period), candles);
+}
+
 export function atr(candles, period = 14) {
-  if (!candles || candles.length < period + 1) return null;
-  const trs = [];
-  for (let i = 1; i < candles.length; i++) {
-    const h = candles[i].high;
-    const l = candles[i].low;
-    const pc = candles[i - 1].close;
-    trs.push(Math.max(h - l, Math.abs(h - pc), Math.abs(l - pc)));
-  }
-  const slice = trs.slice(-period);
-  return slice.reduce((a, b) => a + b, 0) / slice.length;
+  if (!candles || candles.length < period) return null;
+  return fold(createAtr(period), candles);
 }
 
-/** Simplified ADX approximation from ATR and directional movement */
+/**
+ * Wilder DMI: +DI / -DI from smoothed directional movement over smoothed TR,
+ * ADX as the Wilder average of DX. ADX first prints on bar 2 × period.
+ */
+export function createDmi(period = 14) {
+  const trAvg = createWilder(period);
+  const plusAvg = createWilder(period);
+  const minusAvg = createWilder(period);
+  const adxAvg = createWilder(period);
+  let prev = null;
+  let value = null;
+  return {
+    update(candle) {
+      if (!prev) {
+        prev = candle;
+        return null;
+      }
+      const up = candle.high - prev.high;
+      const down = prev.low - candle.low;
+      const tr = trueRange(candle, prev.close);
+      prev = candle;
+      const atrNow = trAvg.update(tr);
+      const plusDm = plusAvg.update(up > down && up > 0 ? up : 0);
+      const minusDm = minusAvg.update(down > up && down > 0 ? down : 0);
+      if (atrNow == null) return null;
+      const plusDi = atrNow ? (100 * plusDm) / atrNow : 0;
+      const minusDi = atrNow ? (100 * minusDm) / atrNow : 0;
+      const dx = plusDi + minusDi ? (100 * Math.abs(plusDi - minusDi)) / (plusDi + minusDi) : 0;
+      const adxNow = adxAvg.update(dx);
+      value = { plusDi, minusDi, dx, adx: adxNow, atr: atrNow };
+      return value;
+    },
+    get value() {
+      return value;
+    },
+  };
+}
+
+export function dmi(candles, period = 14) {
+  return fold(createDmi(period), candles);
+}
+
+/** Wilder ADX (null until 2 × period bars). */
 export function adx(candles, period = 14) {
-  if (!candles || candles.length < period + 2) return null;
-  let plusDm = 0;
-  let minusDm = 0;
-  for (let i = candles.length - period; i < candles.length; i++) {
-    const up = candles[i].high - candles[i - 1].high;
-    const down = candles[i - 1].low - candles[i].low;
-    plusDm += up > down && up > 0 ? up : 0;
-    minusDm += down > up && down > 0 ? down : 0;
+  return dmi(candles, period)?.adx ?? null;
+}
+
+/** Bollinger bands over closes (population standard deviation). */
+export function createBollinger(period = 20, multiplier = 2) {
+  const win = rollingWindow(period);
+  let value = null;
+  return {
+    update(close) {
+      win.push(close);
+      if (!win.full) return null;
+      const middle = win.values.reduce((s, v) => s + v, 0) / period;
+      const deviation = Math.sqrt(win.values.reduce((s, v) => s + (v - middle) ** 2, 0) / period);
+      const upper = middle + multiplier * deviation;
+      const lower = middle - multiplier * deviation;
+      value = {
+        upper,
+        middle,
+        lower,
+        pctB: upper === lower ? 0.5 : (close - lower) / (upper - lower),
+        bandwidth: middle ? (upper - lower) / middle : null,
+      };
+      return value;
+    },
+    get value() {
+      return value;
+    },
+  };
+}
+
+export function bollinger(closes, period = 20, multiplier = 2) {
+  if (!closes || closes.length < period) return null;
+  return fold(createBollinger(period, multiplier), closes.slice(-period));
+}
+
+/** Keltner channel: EMA(close) middle, ± multiplier × Wilder ATR. */
+export function createKeltner({ period = 20, multiplier = 2, atrPeriod = 10 } = {}) {
+  const mid = createEma(period);
+  const range = createAtr(atrPeriod);
+  let count = 0;
+  let value = null;
+  return {
+    update(candle) {
+      count += 1;
+      const middle = mid.update(candle.close);
+      const atrNow = range.update(candle);
+      if (atrNow == null || count < period) return null;
+      value = { upper: middle + multiplier * atrNow, middle, lower: middle - multiplier * atrNow };
+      return value;
+    },
+    get value() {
+      return value;
+    },
+  };
+}
+
+export function keltner(candles, opts) {
+  return fold(createKeltner(opts), candles);
+}
+
+export function createDonchian(period = 20) {
+  const win = rollingWindow(period);
+  let value = null;
+  return {
+    update(candle) {
+      win.push(candle);
+      if (!win.full) return null;
+      const upper = Math.max(...win.values.map((c) => c.high));
+      const lower = Math.min(...win.values.map((c) => c.low));
+      value = { upper, lower, middle: (upper + lower) / 2 };
+      return value;
+    },
+    get value() {
+      return value;
+    },
+  };
+}
+
+export function donchian(candles, period = 20) {
+  return fold(createDonchian(period), candles);
+}
+
+/**
+ * SuperTrend on Wilder ATR. `direction` is 1 (price above the lower band) or
+ * -1; the first printed bar starts up when close is at or above the midpoint.
+ */
+export function createSuperTrend({ period = 10, multiplier = 3 } = {}) {
+  const range = createAtr(period);
+  let finalUpper = null;
+  let finalLower = null;
+  let direction = null;
+  let prevClose = null;
+  let value = null;
+  return {
+    update(candle) {
+      const atrNow = range.update(candle);
+      const closeBefore = prevClose;
+      prevClose = candle.close;
+      if (atrNow == null) return null;
+      const hl2 = (candle.high + candle.low) / 2;
+      const basicUpper = hl2 + multiplier * atrNow;
+      const basicLower = hl2 - multiplier * atrNow;
+      if (direction == null) {
+        finalUpper = basicUpper;
+        finalLower = basicLower;
+        direction = candle.close >= hl2 ? 1 : -1;
+      } else {
+        finalUpper = basicUpper < finalUpper || closeBefore > finalUpper ? basicUpper : finalUpper;
+        finalLower = basicLower > finalLower || closeBefore < finalLower ? basicLower : finalLower;
+        if (direction === 1 && candle.close < finalLower) direction = -1;
+        else if (direction === -1 && candle.close > finalUpper) direction = 1;
+      }
+      value = {
+        value: direction === 1 ? finalLower : finalUpper,
+        direction,
+        upper: finalUpper,
+        lower: finalLower,
+      };
+      return value;
+    },
+    get value() {
+      return value;
+    },
+  };
+}
+
+export function superTrend(candles, opts) {
+  return fold(createSuperTrend(opts), candles);
+}
+
+// ── volume ──────────────────────────────────────────────────────────────────
+
+/** On-balance volume, starting at 0 on the first bar. */
+export function createObv() {
+  let prevClose = null;
+  let value = null;
+  return {
+    update(candle) {
+      const volume = Number(candle.volume) || 0;
+      if (prevClose == null) value = 0;
+      else value += Math.sign(candle.close - prevClose) * volume;
+      prevClose = candle.close;
+      return value;
+    },
+    get value() {
+      return value;
+    },
+  };
+}
+
+export function obvSeries(candles) {
+  return foldSeries(createObv(), candles);
+}
+
+export function obv(candles) {
+  return fold(createObv(), candles);
+}
+
+/** Session key for VWAP resets: the IST calendar date of the bar, when it has a time. */
+function istSessionKey(candle) {
+  const raw = candle.time ?? candle.timestamp ?? candle.date;
+  if (raw == null) return null;
+  const ms = typeof raw === 'number' ? (raw < 1e12 ? raw * 1000 : raw) : Date.parse(raw);
+  if (!Number.isFinite(ms)) return null;
+  return new Date(ms + 5.5 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+/** Session VWAP on typical price; resets whenever the IST session date changes. */
+export function createVwap({ sessionKey = istSessionKey } = {}) {
+  let session;
+  let pv = 0;
+  let vol = 0;
+  let value = null;
+  return {
+    update(candle) {
+      const key = sessionKey(candle);
+      if (key !== session) {
+        session = key;
+        pv = 0;
+        vol = 0;
+      }
+      const volume = Number(candle.volume) || 0;
+      pv += ((candle.high + candle.low + candle.close) / 3) * volume;
+      vol += volume;
+      value = vol ? pv / vol : null;
+      return value;
+    },
+    get value() {
+      return value;
+    },
+  };
+}
+
+export function vwap(candles, opts) {
+  return fold(createVwap(opts), candles);
+}
+
+// ── structure ───────────────────────────────────────────────────────────────
+
+/**
+ * Ichimoku Kinko Hyo. `spanA`/`spanB` are the leading spans computed on this
+ * bar (plotted `displacement` bars ahead); `cloudA`/`cloudB` are the spans
+ * that apply to the current bar (computed `displacement` bars ago).
+ */
+export function createIchimoku({ conversion = 9, base = 26, spanB: spanBPeriod = 52, displacement = 26 } = {}) {
+  const longest = Math.max(conversion, base, spanBPeriod);
+  const win = rollingWindow(longest);
+  const projected = rollingWindow(displacement + 1);
+  let value = null;
+  const mid = (n) => {
+    if (win.values.length < n) return null;
+    const slice = win.values.slice(-n);
+    return (Math.max(...slice.map((c) => c.high)) + Math.min(...slice.map((c) => c.low))) / 2;
+  };
+  return {
+    update(candle) {
+      win.push(candle);
+      const tenkan = mid(conversion);
+      const kijun = mid(base);
+      const spanA = tenkan != null && kijun != null ? (tenkan + kijun) / 2 : null;
+      const spanB = mid(spanBPeriod);
+      projected.push({ spanA, spanB });
+      if (tenkan == null) return null;
+      const cloud = projected.full ? projected.values[0] : { spanA: null, spanB: null };
+      value = {
+        conversion: tenkan,
+        base: kijun,
+        spanA,
+        spanB,
+        cloudA: cloud.spanA,
+        cloudB: cloud.spanB,
+        lagging: candle.close,
+      };
+      return value;
+    },
+    get value() {
+      return value;
+    },
+  };
+}
+
+export function ichimoku(candles, opts) {
+  return fold(createIchimoku(opts), candles);
+}
+
+/**
+ * Pivot levels for the next session from one completed bar.
+ * Methods: classic (floor), fibonacci, camarilla.
+ */
+export function pivotPoints({ high, low, close }, method = 'classic') {
+  if (![high, low, close].every(isNum)) return null;
+  const pp = (high + low + close) / 3;
+  const range = high - low;
+  if (method === 'fibonacci') {
+    return {
+      pp,
+      r1: pp + 0.382 * range,
+      r2: pp + 0.618 * range,
+      r3: pp + range,
+      s1: pp - 0.382 * range,
+      s2: pp - 0.618 * range,
+      s3: pp - range,
+    };
   }
-  const a = atr(candles, period);
-  if (!a) return null;
-  const plusDi = (100 * plusDm) / (period * a);
-  const minusDi = (100 * minusDm) / (period * a);
-  const dx = (100 * Math.abs(plusDi - minusDi)) / (plusDi + minusDi || 1);
-  return dx;
+  if (method === 'camarilla') {
+    const step = range * 1.1;
+    return {
+      pp,
+      r1: close + step / 12,
+      r2: close + step / 6,
+      r3: close + step / 4,
+      r4: close + step / 2,
+      s1: close - step / 12,
+      s2: close - step / 6,
+      s3: close - step / 4,
+      s4: close - step / 2,
+    };
+  }
+  return {
+    pp,
+    r1: 2 * pp - low,
+    r2: pp + range,
+    r3: high + 2 * (pp - low),
+    s1: 2 * pp - high,
+    s2: pp - range,
+    s3: low - 2 * (high - pp),
+  };
 }
 
-export function roc(closes, period = 10) {
-  if (!closes || closes.length <= period) return null;
-  const curr = closes[closes.length - 1];
-  const prev = closes[closes.length - 1 - period];
-  if (!prev) return null;
-  return ((curr - prev) / prev) * 100;
+/** Streaming pivots: each update returns the levels in force for the next bar. */
+export function createPivots(method = 'classic') {
+  let value = null;
+  return {
+    update(candle) {
+      value = pivotPoints(candle, method);
+      return value;
+    },
+    get value() {
+      return value;
+    },
+  };
+}
+
+// ── bundles / helpers ───────────────────────────────────────────────────────
+
+/**
+ * A standard set of streams for per-instrument state kept by schedulers.
+ * `update(candle)` returns a flat snapshot of the latest values.
+ */
+export function createIndicatorSuite() {
+  const streams = {
+    rsi: createRsi(14),
+    macd: createMacd(),
+    dmi: createDmi(14),
+    stochastic: createStochastic(),
+    superTrend: createSuperTrend(),
+    vwap: createVwap(),
+    obv: createObv(),
+    ichimoku: createIchimoku(),
+    keltner: createKeltner(),
+    donchian: createDonchian(20),
+    pivots: createPivots(),
+  };
+  let bars = 0;
+  return {
+    update(candle) {
+      bars += 1;
+      streams.rsi.update(candle.close);
+      streams.macd.update(candle.close);
+      for (const key of ['dmi', 'stochastic', 'superTrend', 'vwap', 'obv', 'ichimoku', 'keltner', 'donchian', 'pivots']) {
+        streams[key].update(candle);
+      }
+      return this.snapshot();
+    },
+    snapshot() {
+      return {
+        bars,
+        rsi: streams.rsi.value,
+        macd: streams.macd.value,
+        adx: streams.dmi.value?.adx ?? null,
+        plusDi: streams.dmi.value?.plusDi ?? null,
+        minusDi: streams.dmi.value?.minusDi ?? null,
+        atr: streams.dmi.value?.atr ?? null,
+        stochastic: streams.stochastic.value,
+        superTrend: streams.superTrend.value,
+        vwap: streams.vwap.value,
+        obv: streams.obv.value,
+        ichimoku: streams.ichimoku.value,
+        keltner: streams.keltner.value,
+        donchian: streams.donchian.value,
+        pivots: streams.pivots.value,
+      };
+    },
+  };
 }
 
-/** Normalize Groww candle arrays [ts, o, h, l, c, v] */
+/** Normalize Groww/Upstox candle arrays [ts, o, h, l, c, v] or objects; keeps the bar time when present. */
 export function normalizeCandles(raw) {
   if (!Array.isArray(raw)) return [];
   return raw
     .map((c) => {
       if (Array.isArray(c)) {
-        return { open: c[1], high: c[2], low: c[3], close: c[4], volume: c[5] || 0 };
+        return { time: c[0] ?? null, open: c[1], high: c[2], low: c[3], close: c[4], volume: c[5] || 0 };
       }
       return {
+        time: c.time ?? c.timestamp ?? c.date ?? null,
         open: c.open,
         high: c.high,
         low: c.low,
@@ -0,0 +1,44 @@
+/**
+ * Authenticated encryption for secrets kept in storage (broker access tokens).
+ *
+ * AES-256-GCM under BROKER_TOKEN_KEY — 64 hex characters, or any passphrase
+ * (hashed to 32 bytes). Sealed values read `v1.<iv>.<tag>.<ciphertext>`
+ * (base64url); the `context` string is bound as associated data, so a sealed
+ * value only opens for the record it was written for.
+ */
+
+import crypto from 'node:crypto';
+
+const VERSION = 'v1';
+
+function secretKey() {
+  const raw = String(process.env.BROKER_TOKEN_KEY || '').trim();
+  if (!raw) {
+    const err = new Error('BROKER_TOKEN_KEY is not set — broker tokens are never stored unencrypted');
+    err.status = 503;
+    throw err;
+  }
+  return /^[0-9a-f]{64}$/i.test(raw) ? Buffer.from(raw, 'hex') : crypto.createHash('sha256').update(raw).digest();
+}
+
+export function hasSecretKey() {
+  return Boolean(String(process.env.BROKER_TOKEN_KEY || '').trim());
+}
+
+export function seal(plaintext, context = '') {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', secretKey(), iv);
+  cipher.setAAD(Buffer.from(context));
+  const body = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+  return [VERSION, iv, cipher.getAuthTag(), body].map((part) => (typeof part === 'string' ? part : part.toString('base64url'))).join('.');
+}
+
+/** Plaintext of a sealed value; throws when the key or context does not match. */
+export function open(sealed, context = '') {
+  const [version, iv, tag, body] = String(sealed || '').split('.');
+  if (version !== VERSION || !iv || !tag || body === undefined) throw new Error('Unrecognised sealed value');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', secretKey(), Buffer.from(iv, 'base64url'));
+  decipher.setAAD(Buffer.from(context));
+  decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+  return Buffer.concat([decipher.update(Buffer.from(body, 'base64url')), decipher.final()]).toString('utf8');
+}
@@ -0,0 +1,263 @@
+/**
+ * Server-side authorization for Express routers.
+ *
+ * Verifies the Supabase session JWT sent by the browser (Authorization: Bearer),
+ * resolves an AGI role (admin / author / reader) and enforces a declarative role
+ * map per router. Admin identity mirrors src/lib/adminAuth.js so the browser
+ * gate and the server gate agree on who the founder/admins are.
+ *
+ * Every router in server/routes/ opts in with:
+ *
+ *   router.use(authorize('intelligence-cms', ROUTE_ROLES));
+ *
+ * where ROUTE_ROLES is an ordered list of rules — first match wins:
+ *
+ *   { path: '/public/', role: 'public' }                  // explicit exemption
+ *   { methods: ['POST'], path: /^\/kip\/ingest\//, role: 'author' }
+ *   { role: 'admin' }                                      // catch-all
+ *
+ * `methods` defaults to the mutating verbs (POST/PUT/PATCH/DELETE); `path` is a
+ * prefix string or RegExp tested against the router-relative req.path.
+ * Privileged (non-public) matches are written to the admin audit log.
+ */
+
+import crypto from 'node:crypto';
+import { recordAdminAudit } from '../services/adminAudit.js';
+
+export const ROLES = Object.freeze(['reader', 'author', 'admin']);
+const ROLE_RANK = { public: 0, reader: 1, author: 2, admin: 3 };
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Same defaults as src/lib/adminAuth.js (founder account + mailbox).
+const DEFAULT_ADMIN_ID = 'c56e4d07-273c-49c9-86a5-a4445e687ece';
+const DEFAULT_ADMIN_EMAIL = 'shivam.agw06@gmail.com';
+
+const USER_CACHE_TTL_MS = 60_000;
+const USER_CACHE_MAX = 500;
+const userCache = new Map();
+
+function csvEnv(...names) {
+  return names
+    .flatMap((name) => String(process.env[name] || '').split(','))
+    .map((v) => v.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+function adminIds() {
+  return new Set([...csvEnv('AGI_ADMIN_USER_IDS', 'VITE_ADMIN_ID'), DEFAULT_ADMIN_ID]);
+}
+
+function adminEmails() {
+  return new Set([...csvEnv('AGI_ADMIN_EMAILS', 'VITE_ADMIN_EMAILS'), DEFAULT_ADMIN_EMAIL]);
+}
+
+function authorIds() {
+  return new Set(csvEnv('AGI_AUTHOR_USER_IDS'));
+}
+
+function authorEmails() {
+  return new Set(csvEnv('AGI_AUTHOR_EMAILS'));
+}
+
+export function authzMode() {
+  return (process.env.AGI_AUTHZ_MODE || 'enforce').trim().toLowerCase() === 'report' ? 'report' : 'enforce';
+}
+
+/**
+ * Role for a Supabase user object. Admins and authors are granted the same
+ * way — app_metadata.role (only the service role can set it) or the env
+ * allow-lists; every other signed-in account is a reader.
+ */
+export function resolveRole(user) {
+  if (!user?.id) return 'public';
+  const pinned = String(user.app_metadata?.role || '').toLowerCase();
+  const id = String(user.id).toLowerCase();
+  const email = String(user.email || '').toLowerCase();
+  if (pinned === 'admin') return 'admin';
+  if (adminIds().has(id)) return 'admin';
+  if (email && adminEmails().has(email)) return 'admin';
+  if (pinned === 'author') return 'author';
+  if (authorIds().has(id)) return 'author';
+  if (email && authorEmails().has(email)) return 'author';
+  return 'reader';
+}
+
+export function hasRole(auth, required) {
+  const need = ROLE_RANK[required] ?? ROLE_RANK.admin;
+  if (need === 0) return true;
+  return (ROLE_RANK[auth?.role] ?? 0) >= need;
+}
+
+function base64UrlJson(segment) {
+  return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/** HS256 verification with the project JWT secret — no network round-trip. */
+export function verifySupabaseJwt(token, secret, nowMs = Date.now()) {
+  const parts = String(token || '').split('.');
+  if (parts.length !== 3 || !secret) return null;
+  const [headerSeg, payloadSeg, signature] = parts;
+  let header;
+  let payload;
+  try {
+    header = base64UrlJson(headerSeg);
+    payload = base64UrlJson(payloadSeg);
+  } catch {
+    return null;
+  }
+  if (header?.alg !== 'HS256') return null;
+  const expected = crypto.createHmac('sha256', secret).update(`${headerSeg}.${payloadSeg}`).digest('base64url');
+  if (!safeEqual(expected, signature)) return null;
+  const nowSec = Math.floor(nowMs / 1000);
+  if (payload.exp && nowSec >= Number(payload.exp)) return null;
+  if (payload.nbf && nowSec < Number(payload.nbf)) return null;
+  if (!payload.sub) return null;
+  return {
+    id: payload.sub,
+    email: payload.email || null,
+    app_metadata: payload.app_metadata || {},
+    user_metadata: payload.user_metadata || {},
+    exp: payload.exp ? Number(payload.exp) * 1000 : null,
+  };
+}
+
+async function fetchSupabaseUser(token) {
+  const key = crypto.createHash('sha256').update(token).digest('hex');
+  const hit = userCache.get(key);
+  if (hit && hit.expiresAt > Date.now()) return hit.user;
+
+  const { createSupabaseAdmin } = await import('../lib/supabaseAdmin.js');
+  const admin = createSupabaseAdmin();
+  if (!admin) return null;
+  const { data, error } = await admin.auth.getUser(token);
+  const user = error ? null : data?.user || null;
+
+  if (userCache.size >= USER_CACHE_MAX) userCache.delete(userCache.keys().next().value);
+  userCache.set(key, { user, expiresAt: Date.now() + USER_CACHE_TTL_MS });
+  return user;
+}
+
+function bearerToken(req) {
+  const header = String(req.headers?.authorization || '');
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : '';
+}
+
+function serviceToken() {
+  return (process.env.AGI_ADMIN_API_TOKEN || '').trim();
+}
+
+/**
+ * Resolve the caller. Returns null for anonymous requests; never throws for
+ * a bad token (an invalid session is treated as anonymous).
+ */
+export async function resolveRequestAuth(req) {
+  const configuredService = serviceToken();
+  const presentedService = String(req.headers?.['x-agi-admin-token'] || '').trim();
+  const bearer = bearerToken(req);
+
+  // Cron, workers and CI call admin routes with a shared secret, never a session.
+  if (configuredService) {
+    for (const candidate of [presentedService, bearer]) {
+      if (candidate && safeEqual(candidate, configuredService)) {
+        return { id: 'service', email: null, role: 'admin', via: 'service_token' };
+      }
+    }
+  }
+
+  if (!bearer || bearer.split('.').length !== 3) return null;
+
+  let user = null;
+  let via = 'jwt';
+  const secret = (process.env.SUPABASE_JWT_SECRET || '').trim();
+  if (secret) user = verifySupabaseJwt(bearer, secret);
+  if (!user) {
+    via = 'supabase';
+    try {
+      user = await fetchSupabaseUser(bearer);
+    } catch (err) {
+      console.warn('[authorize] supabase getUser failed:', err?.message || err);
+      user = null;
+    }
+  }
+  if (!user?.id) return null;
+  return {
+    id: user.id,
+    email: user.email || null,
+    role: resolveRole(user),
+    via,
+  };
+}
+
+function normalizeRule(rule) {
+  const methods = (rule.methods || MUTATING_METHODS).map((m) => String(m).toUpperCase());
+  return { methods, path: rule.path ?? null, role: rule.role || 'admin' };
+}
+
+function ruleMatches(rule, req) {
+  if (!rule.methods.includes(req.method)) return false;
+  if (rule.path == null) return true;
+  const p = req.path || '/';
+  return rule.path instanceof RegExp ? rule.path.test(p) : p.startsWith(rule.path);
+}
+
+function auditActor(auth) {
+  if (!auth) return null;
+  return { id: auth.id, email: auth.email, role: auth.role, via: auth.via };
+}
+
+/** Express middleware enforcing `roleMap` for one router. */
+export function authorize(scope, roleMap = []) {
+  const rules = roleMap.map(normalizeRule);
+
+  return async function authorizeMiddleware(req, res, next) {
+    const rule = rules.find((r) => ruleMatches(r, req));
+    if (!rule || rule.role === 'public') return next();
+
+    const auth = await resolveRequestAuth(req);
+    req.auth = auth;
+    const entry = {
+      scope,
+      method: req.method,
+      path: (req.originalUrl || req.url || '').split('?')[0],
+      requiredRole: rule.role,
+      actor: auditActor(auth),
+      ip: req.ip || null,
+    };
+
+    if (!hasRole(auth, rule.role)) {
+      const report = authzMode() === 'report';
+      recordAdminAudit({ ...entry, outcome: report ? 'would_deny' : 'denied', status: report ? null : auth ? 403 : 401 });
+      if (report) {
+        console.warn(`[authorize] report-only: ${req.method} ${entry.path} needs ${rule.role}`);
+        return next();
+      }
+      return res.status(auth ? 403 : 401).json({
+        error: auth ? 'Forbidden' : 'Authentication required',
+        required_role: rule.role,
+        role: auth?.role || null,
+      });
+    }
+
+    res.on('finish', () => {
+      recordAdminAudit({ ...entry, outcome: 'allowed', status: res.statusCode });
+    });
+    return next();
+  };
+}
+
+/**
+ * Actor label for stores that keep `created_by` / `updated_by` strings — the
+ * verified caller only, never a client-supplied name; unauthenticated calls
+ * are recorded as anonymous with their IP.
+ */
+export function actorFrom(req) {
+  if (req.auth?.email || req.auth?.id) return req.auth.email || req.auth.id;
+  return req.ip ? `anonymous@${req.ip}` : 'anonymous';
+}
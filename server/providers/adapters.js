@@ -0,0 +1,261 @@
+/**
+ * Default market-data adapters for the provider registry.
+ *
+ * Each adapter wraps one provider module behind the common interface
+ * (quotes / indices / commodities / candles). Adapters return `null` when they
+ * cannot serve a request at all (unsupported instrument, missing key) so the
+ * registry skips them without counting a failure; thrown errors feed the
+ * provider's circuit breaker.
+ */
+
+import {
+  isGrowwConfigured,
+  fetchGrowwTicker,
+  getLTP,
+  getOHLC,
+  getHistoricalCandleRange,
+  TICKER_INSTRUMENTS,
+} from './groww.js';
+import {
+  isUpstoxConfigured,
+  getHistoricalCandles as getUpstoxCandles,
+  getIntradayCandles as getUpstoxIntradayCandles,
+} from './upstox.js';
+import { fetchNseIndices, fetchCommodities } from './fallback.js';
+import { fetchYahooSymbol } from './yahooIndices.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function upper(value) {
+  return String(value || '').trim().toUpperCase();
+}
+
+function pick(rows, names) {
+  if (!names?.length) return rows;
+  const wanted = new Set(names.map(upper));
+  return rows.filter((row) => wanted.has(upper(row?.name)));
+}
+
+function hasPrice(row) {
+  const price = Number(row?.price);
+  return Number.isFinite(price) && price > 0;
+}
+
+// ── Groww ───────────────────────────────────────────────────────────────────
+
+const GROWW_INDEX_NAMES = new Set(TICKER_INSTRUMENTS.map((i) => upper(i.label)));
+/** Groww windows are capped per request; page longer ranges. */
+const GROWW_MAX_RANGE_DAYS = { 1440: 180, 60: 180, 15: 90 };
+
+function growwCandleWindows(from, to, intervalMinutes) {
+  const maxDays = GROWW_MAX_RANGE_DAYS[intervalMinutes] || 90;
+  const windows = [];
+  let cursor = from;
+  while (cursor < to) {
+    const finish = new Date(Math.min(cursor.getTime() + maxDays * DAY_MS, to.getTime()));
+    windows.push([cursor, finish]);
+    cursor = finish;
+  }
+  return windows;
+}
+
+export const growwAdapter = {
+  id: 'groww',
+  label: 'Groww',
+  isConfigured: isGrowwConfigured,
+
+  async indices(names) {
+    if (names?.length && !names.some((n) => GROWW_INDEX_NAMES.has(upper(n)))) return null;
+    return pick((await fetchGrowwTicker()).filter(hasPrice), names);
+  },
+
+  async quotes(instruments) {
+    const keys = instruments.map((i) => `${i.exchange || 'NSE'}_${i.symbol}`);
+    const [ltpMap, ohlcMap] = await Promise.all([getLTP(keys), getOHLC(keys).catch(() => ({}))]);
+    return instruments.map((inst, idx) => {
+      const price = ltpMap?.[keys[idx]] ?? null;
+      const ohlc = ohlcMap?.[keys[idx]];
+      const close = typeof ohlc === 'object' ? ohlc?.close ?? null : null;
+      const change = price != null && close != null ? Number(price) - Number(close) : null;
+      return {
+        id: inst.id || String(inst.symbol).toLowerCase(),
+        name: inst.name || inst.symbol,
+        price,
+        change,
+        percentChange: change != null && Number(close) ? (change / Number(close)) * 100 : null,
+        source: 'groww',
+      };
+    }).filter(hasPrice);
+  },
+
+  async candles(instrument, { from, to, intervalMinutes = 1440 }) {
+    if (!instrument?.symbol) return null;
+    const raw = [];
+    for (const [start, finish] of growwCandleWindows(from, to, intervalMinutes)) {
+      raw.push(
+        ...(await getHistoricalCandleRange(
+          instrument.exchange || 'NSE',
+          'CASH',
+          instrument.symbol,
+          start,
+          finish,
+          intervalMinutes
+        ))
+      );
+    }
+    return raw;
+  },
+};
+
+// ── Upstox ──────────────────────────────────────────────────────────────────
+
+/** Groww trading symbols → Upstox index instrument keys. */
+export const UPSTOX_INDEX_KEYS = {
+  NIFTY: 'NSE_INDEX|Nifty 50',
+  BANKNIFTY: 'NSE_INDEX|Nifty Bank',
+  'INDIA VIX': 'NSE_INDEX|India VIX',
+  FINNIFTY: 'NSE_INDEX|Nifty Fin Service',
+  MIDCPNIFTY: 'NSE_INDEX|NIFTY MID SELECT',
+  NIFTYNXT50: 'NSE_INDEX|Nifty Next 50',
+  NIFTY100: 'NSE_INDEX|Nifty 100',
+  NIFTY200: 'NSE_INDEX|Nifty 200',
+  NIFTY500: 'NSE_INDEX|Nifty 500',
+  NIFTYMIDCAP100: 'NSE_INDEX|NIFTY MIDCAP 100',
+  NIFTYSMALLCAP100: 'NSE_INDEX|NIFTY SMLCAP 100',
+  NIFTYIT: 'NSE_INDEX|Nifty IT',
+  NIFTYAUTO: 'NSE_INDEX|Nifty Auto',
+  NIFTYPHARMA: 'NSE_INDEX|Nifty Pharma',
+  NIFTYPSUBANK: 'NSE_INDEX|Nifty PSU Bank',
+  NIFTYREALTY: 'NSE_INDEX|Nifty Realty',
+  NIFTYFMCG: 'NSE_INDEX|Nifty FMCG',
+  NIFTYMETAL: 'NSE_INDEX|Nifty Metal',
+  SENSEX: 'BSE_INDEX|SENSEX',
+  BANKEX: 'BSE_INDEX|BANKEX',
+};
+
+function upstoxInterval(intervalMinutes) {
+  if (intervalMinutes >= 1440) return { unit: 'days', interval: Math.round(intervalMinutes / 1440) };
+  if (intervalMinutes >= 60 && intervalMinutes % 60 === 0) return { unit: 'hours', interval: intervalMinutes / 60 };
+  return { unit: 'minutes', interval: intervalMinutes };
+}
+
+const isoDate = (date) => date.toISOString().slice(0, 10);
+
+export const upstoxAdapter = {
+  id: 'upstox',
+  label: 'Upstox',
+  // Historical candles are public on v3; the token only lifts rate limits.
+  isConfigured: () => true,
+  authenticated: isUpstoxConfigured,
+
+  async candles(instrument, { from, to, intervalMinutes = 1440 }) {
+    const key = instrument?.upstoxKey
+      || (instrument?.isin ? `NSE_EQ|${instrument.isin}` : UPSTOX_INDEX_KEYS[upper(instrument?.symbol)]);
+    if (!key) return null;
+    const payload = await getUpstoxCandles(key, { ...upstoxInterval(intervalMinutes), from: isoDate(from), to: isoDate(to) });
+    const rows = Array.isArray(payload?.data?.candles) ? payload.data.candles : [];
+    // Historical candles stop at the previous session; today's intraday bars need the session token.
+    if (intervalMinutes < 1440 && isoDate(to) >= isoDate(new Date()) && isUpstoxConfigured()) {
+      const today = await getUpstoxIntradayCandles(key, upstoxInterval(intervalMinutes)).catch(() => null);
+      const seen = new Set(rows.map((row) => row[0]));
+      rows.push(...(today?.data?.candles || []).filter((row) => !seen.has(row[0])));
+    }
+    // Upstox returns newest first; indicator code expects oldest first.
+    return [...rows].sort((a, b) => Date.parse(a[0]) - Date.parse(b[0]));
+  },
+};
+
+// ── NSE (public allIndices) ─────────────────────────────────────────────────
+
+/** Ticker labels NSE publishes under a different index name. */
+const NSE_INDEX_ALIASES = { 'BANK NIFTY': 'NIFTY BANK' };
+
+export const nseAdapter = {
+  id: 'nse',
+  label: 'NSE',
+  isConfigured: () => true,
+
+  async indices(names) {
+    const rows = await fetchNseIndices();
+    if (!names?.length) return rows;
+    return names
+      .map((name) => {
+        const nseName = NSE_INDEX_ALIASES[upper(name)] || upper(name);
+        const row = rows.find((r) => upper(r?.name) === nseName);
+        return row ? { ...row, name } : null;
+      })
+      .filter(Boolean);
+  },
+};
+
+// ── IndianAPI ───────────────────────────────────────────────────────────────
+
+function commodityMatches(row, name) {
+  return upper(row?.name).includes(upper(name).split('/')[0]);
+}
+
+export const indianApiAdapter = {
+  id: 'indianapi',
+  label: 'IndianAPI',
+  isConfigured: (ctx = {}) => Boolean(ctx.env?.indianApiKey),
+
+  async commodities(names, ctx = {}) {
+    const apiKey = ctx.env?.indianApiKey || '';
+    if (!apiKey) return null;
+    const rows = await fetchCommodities(apiKey, ctx.env?.indianApiBase || 'https://stock.indianapi.in');
+    const out = [];
+    for (const name of names) {
+      const match = rows.find((row) => commodityMatches(row, name));
+      if (match) out.push({ ...match, name });
+    }
+    return out;
+  },
+};
+
+// ── Yahoo Finance ───────────────────────────────────────────────────────────
+
+/** Ticker labels → Yahoo symbols (indices + commodities). */
+export const YAHOO_TICKER_SYMBOLS = {
+  'NIFTY 50': '^NSEI',
+  'BANK NIFTY': '^NSEBANK',
+  SENSEX: '^BSESN',
+  'INDIA VIX': '^INDIAVIX',
+  'USD/INR': 'INR=X',
+  GOLD: 'GC=F',
+  SILVER: 'SI=F',
+  BRENT: 'BZ=F',
+};
+
+async function yahooRows(names) {
+  const targets = names.filter((name) => YAHOO_TICKER_SYMBOLS[upper(name)]);
+  if (!targets.length) return null;
+  const settled = await Promise.allSettled(
+    targets.map(async (name) => {
+      const quote = await fetchYahooSymbol(YAHOO_TICKER_SYMBOLS[upper(name)]);
+      if (!quote) return null;
+      const change = quote.previousClose != null ? quote.price - quote.previousClose : null;
+      return {
+        id: upper(name).toLowerCase().replace(/[^a-z0-9]+/g, '-'),
+        name,
+        price: quote.price,
+        change,
+        percentChange: quote.percentChange,
+        source: 'yahoo',
+      };
+    })
+  );
+  const rejected = settled.find((r) => r.status === 'rejected');
+  const rows = settled.map((r) => (r.status === 'fulfilled' ? r.value : null)).filter(Boolean);
+  if (!rows.length && rejected) throw rejected.reason;
+  return rows;
+}
+
+export const yahooAdapter = {
+  id: 'yahoo',
+  label: 'Yahoo Finance',
+  isConfigured: () => true,
+  indices: (names) => yahooRows(names || []),
+  commodities: (names) => yahooRows(names || []),
+};
+
+export const DEFAULT_ADAPTERS = [growwAdapter, upstoxAdapter, nseAdapter, indianApiAdapter, yahooAdapter];
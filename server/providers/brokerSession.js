@@ -0,0 +1,81 @@
+/**
+ * Broker access tokens as the providers see them.
+ *
+ * services/brokerAuth.js writes each token sealed into `broker_tokens`
+ * (id = broker); every instance reads it back from there, so a login or
+ * rotation on one instance reaches all of them. A read is reused for
+ * BROKER_TOKEN_CACHE_MS (default 30 s), and the token is only re-opened when
+ * the row's rev / updated_at moves.
+ *
+ * UPSTOX_ACCESS_TOKEN / GROWW_ACCESS_TOKEN are deprecated: a pasted env token
+ * is only used while no sealed session is stored, with a warning.
+ */
+
+import { storage } from '../storage/index.js';
+import { open } from '../lib/secretBox.js';
+
+const TOKENS = 'broker_tokens';
+const ENV_TOKENS = { upstox: 'UPSTOX_ACCESS_TOKEN', groww: 'GROWW_ACCESS_TOKEN' };
+const cacheMs = () => Number(process.env.BROKER_TOKEN_CACHE_MS || 30_000);
+
+/** broker → { rev, session, checkedAt } */
+const cache = new Map();
+const warnedEnv = new Set();
+
+const revOf = (row) => `${row.rev ?? 0}|${row.updated_at || ''}`;
+
+function toSession(row, token) {
+  return {
+    token,
+    expiresAt: row.expires_at ? Date.parse(row.expires_at) : null,
+    issuedAt: row.issued_at || null,
+    source: row.source || null,
+  };
+}
+
+/** The broker's stored session `{ token, expiresAt, issuedAt, source }`, or null when none is stored. */
+export async function loadBrokerSession(broker) {
+  const cached = cache.get(broker);
+  if (cached && Date.now() - cached.checkedAt < cacheMs()) return cached.session;
+  try {
+    const row = await storage.get(TOKENS, broker);
+    const rev = row?.token ? revOf(row) : null;
+    const session = !rev ? null : rev === cached?.rev ? cached.session : toSession(row, open(row.token, broker));
+    cache.set(broker, { rev, session, checkedAt: Date.now() });
+    return session;
+  } catch (err) {
+    console.warn(`[broker-session] could not read the ${broker} token:`, err?.message);
+    return cached?.session ?? null;
+  }
+}
+
+/** Last session read, without touching storage — for synchronous status checks. */
+export function cachedBrokerSession(broker) {
+  return cache.get(broker)?.session ?? null;
+}
+
+/** Record a row this instance just wrote (or removed, with `row` null) so it is not re-read. */
+export function primeBrokerSession(broker, row, token) {
+  const rev = token && row ? revOf(row) : null;
+  cache.set(broker, { rev, session: rev ? toSession(row, token) : null, checkedAt: Date.now() });
+}
+
+/** Deprecated env token for a broker with no sealed session — a last resort, warned about once per process. */
+export function envBrokerToken(broker) {
+  const key = ENV_TOKENS[broker];
+  const token = key ? String(process.env[key] || '').trim() : '';
+  if (!token) return null;
+  if (!warnedEnv.has(key)) {
+    warnedEnv.add(key);
+    console.warn(
+      `[broker-session] ${key} is deprecated and used only until a session is stored — `
+        + 'connect the broker from Mission Control → Broker sessions and remove it.'
+    );
+  }
+  return token;
+}
+
+/** Drop every cached read; the next lookup goes to storage. */
+export function resetBrokerSessions() {
+  cache.clear();
+}
@@ -3,7 +3,7 @@
  * Used when Groww is unavailable or for instruments Groww doesn't cover.
  */
 
-const INDEX_NAMES = [
+export const INDEX_NAMES = [
   'NIFTY 50',
   'NIFTY BANK',
   'INDIA VIX',
@@ -2,16 +2,20 @@
  * Groww Trading API provider — primary market data source.
  * Docs: https://groww.in/trade-api/docs/curl
  *
- * Auth: set GROWW_ACCESS_TOKEN (daily token from Groww dashboard)
- *   or GROWW_API_KEY + GROWW_API_SECRET for checksum flow.
+ * Auth: GROWW_API_KEY + GROWW_API_SECRET mint the daily access token through the
+ * checksum flow. services/brokerAuth.js rotates it before the open and stores it
+ * sealed in `broker_tokens`; every instance reads it from there
+ * (providers/brokerSession.js), so a rotation needs no restart. A deprecated
+ * GROWW_ACCESS_TOKEN is used only while no rotated token is stored.
  */
 
 import crypto from 'crypto';
+import { cachedBrokerSession, envBrokerToken, loadBrokerSession } from './brokerSession.js';
 
 const GROWW_BASE = process.env.GROWW_API_BASE || 'https://api.groww.in/v1';
 
-let cachedToken = null;
-let tokenExpiry = 0;
+/** Token this process minted itself while no rotated one is stored: { token, expiresAt }. */
+let mintedToken = null;
 
 async function ensureFetch() {
   if (typeof globalThis.fetch === 'function') return globalThis.fetch.bind(globalThis);
@@ -23,38 +27,41 @@ function generateChecksum(secret, timestamp) {
   return crypto.createHash('sha256').update(secret + timestamp).digest('hex');
 }
 
-function looksLikeAccessToken(value) {
-  // Daily access tokens from Groww dashboard are JWTs; API keys are short opaque strings.
-  return value.startsWith('eyJ') && value.length > 100;
+function growwCredentials() {
+  return {
+    apiKey: (process.env.GROWW_API_KEY || '').trim(),
+    apiSecret: (process.env.GROWW_API_SECRET || '').trim(),
+  };
 }
 
-async function resolveAccessToken() {
-  const direct = (process.env.GROWW_ACCESS_TOKEN || '').trim();
-  if (direct) return direct;
-
-  const apiKey = (process.env.GROWW_API_KEY || '').trim();
-  const apiSecret = (process.env.GROWW_API_SECRET || '').trim();
+function liveSession(session, now) {
+  if (!session?.token || (session.expiresAt && now >= session.expiresAt)) return null;
+  return { token: session.token, expires_at: session.expiresAt ? new Date(session.expiresAt).toISOString() : null };
+}
 
-  // Common setup mistake: access token pasted into GROWW_API_KEY.
-  if (!direct && looksLikeAccessToken(apiKey)) return apiKey;
+/** The rotated token from the last storage read while it is valid: { token, expires_at } or null. */
+export function currentGrowwAccessToken(now = Date.now()) {
+  return liveSession(cachedBrokerSession('groww'), now);
+}
 
-  if (cachedToken && Date.now() < tokenExpiry) return cachedToken;
+/** The stored rotated token, re-read through the session cache: { token, expires_at } or null. */
+export async function loadGrowwAccessToken(now = Date.now()) {
+  return liveSession(await loadBrokerSession('groww'), now);
+}
 
+/**
+ * Mint a fresh access token with the API key + secret (checksum flow).
+ * Returns the raw token; the caller decides its expiry and installs it.
+ */
+export async function mintGrowwAccessToken({ fetchImpl } = {}) {
+  const { apiKey, apiSecret } = growwCredentials();
   if (!apiKey || !apiSecret) {
-    throw new Error(
-      'Groww auth missing: set GROWW_ACCESS_TOKEN or GROWW_API_KEY + GROWW_API_SECRET in server/.env'
-    );
-  }
-
-  if (apiSecret.length < 8) {
-    throw new Error(
-      'Groww API secret looks invalid (too short). Copy the full secret from Groww Cloud API Keys, or use GROWW_ACCESS_TOKEN from Trading APIs.'
-    );
+    throw new Error('Groww auth missing: set GROWW_API_KEY + GROWW_API_SECRET in server/.env');
   }
 
   const timestamp = Math.floor(Date.now() / 1000).toString();
   const checksum = generateChecksum(apiSecret, timestamp);
-  const fetchFn = await ensureFetch();
+  const fetchFn = fetchImpl || (await ensureFetch());
 
   const resp = await fetchFn(`${GROWW_BASE}/token/api/access`, {
     method: 'POST',
@@ -67,11 +74,7 @@ async function resolveAccessToken() {
   });
 
   const json = await resp.json().catch(() => ({}));
-  if (json?.token) {
-    cachedToken = json.token;
-    tokenExpiry = Date.now() + 23 * 60 * 60 * 1000;
-    return cachedToken;
-  }
+  if (json?.token) return json.token;
 
   const authMsg =
     json?.error?.errorMessage ||
@@ -80,11 +83,29 @@ async function resolveAccessToken() {
   throw new Error(authMsg || `Groww token request failed (HTTP ${resp.status})`);
 }
 
+/** Where the next request's token comes from: 'rotated_token', 'env_token' or 'api_key_secret'. */
+export async function growwAuthMode() {
+  const session = await loadBrokerSession('groww');
+  if (liveSession(session, Date.now())) return 'rotated_token';
+  return !session && process.env.GROWW_ACCESS_TOKEN?.trim() ? 'env_token' : 'api_key_secret';
+}
+
+async function resolveAccessToken() {
+  const session = await loadBrokerSession('groww');
+  const stored = liveSession(session, Date.now());
+  if (stored) return stored.token;
+  const envToken = !session && envBrokerToken('groww');
+  if (envToken) return envToken;
+  // No rotated token yet (or it lapsed): mint one for this process.
+  if (mintedToken && Date.now() < mintedToken.expiresAt) return mintedToken.token;
+  const token = await mintGrowwAccessToken();
+  mintedToken = { token, expiresAt: Date.now() + 23 * 60 * 60 * 1000 };
+  return token;
+}
+
 export function isGrowwConfigured() {
-  return Boolean(
-    (process.env.GROWW_ACCESS_TOKEN || '').trim() ||
-      ((process.env.GROWW_API_KEY || '').trim() && (process.env.GROWW_API_SECRET || '').trim())
-  );
+  const { apiKey, apiSecret } = growwCredentials();
+  return Boolean(currentGrowwAccessToken() || (apiKey && apiSecret) || process.env.GROWW_ACCESS_TOKEN?.trim());
 }
 
 async function growwRequest(path, params = {}) {
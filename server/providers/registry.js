@@ -0,0 +1,255 @@
+/**
+ * Market-data provider registry — health-weighted failover across Groww,
+ * Upstox, NSE, IndianAPI and Yahoo behind one interface.
+ *
+ * Adapters (see ./adapters.js) implement any subset of:
+ *   quotes(instruments, ctx)        → rows { id, name, price, change, percentChange }
+ *   indices(names, ctx)             → rows, same shape
+ *   commodities(names, ctx)         → rows, same shape
+ *   candles(instrument, opts, ctx)  → raw candles (normalizeCandles-compatible)
+ *
+ * Provider order is configured per instrument class with
+ * MARKET_PROVIDERS_<INDEX|EQUITY|COMMODITY>=groww,nse,... . Each provider has
+ * its own circuit breaker: repeated failures (or a 429) open it for a cooldown,
+ * and a passing Groww/Upstox health probe closes it. Inside the configured
+ * order, providers that are half-open or failed their last health probe are
+ * tried after healthy ones.
+ *
+ * Every row returned carries `provenance: { provider, fallback, fetchedAt }`.
+ */
+
+import { DEFAULT_ADAPTERS } from './adapters.js';
+
+export const INSTRUMENT_CLASSES = Object.freeze(['index', 'equity', 'commodity']);
+
+const DEFAULT_PRIORITY = {
+  index: ['groww', 'nse', 'upstox', 'yahoo'],
+  equity: ['groww', 'upstox', 'yahoo'],
+  commodity: ['indianapi', 'yahoo'],
+};
+
+const FAILURE_THRESHOLD = Number(process.env.MARKET_PROVIDER_FAILURE_THRESHOLD || 3);
+const COOLDOWN_MS = Number(process.env.MARKET_PROVIDER_COOLDOWN_MS || 60_000);
+/** Matches the old Groww back-off: quota errors park a provider for five minutes. */
+const RATE_LIMIT_COOLDOWN_MS = 5 * 60_000;
+
+const adapters = new Map();
+const breakers = new Map();
+
+function newBreaker() {
+  return {
+    failures: 0,
+    openUntil: 0,
+    lastError: null,
+    lastFailureAt: null,
+    lastSuccessAt: null,
+    calls: 0,
+    successes: 0,
+    degraded: false,
+    health: null,
+  };
+}
+
+function breakerFor(id) {
+  if (!breakers.has(id)) breakers.set(id, newBreaker());
+  return breakers.get(id);
+}
+
+function isRateLimit(err) {
+  return Boolean(err?.isRateLimit) || err?.status === 429 || /rate limit|too many|429/i.test(String(err?.message || err));
+}
+
+export function registerProvider(adapter) {
+  if (!adapter?.id) throw new Error('Provider adapter requires an id');
+  adapters.set(adapter.id, adapter);
+  breakerFor(adapter.id);
+}
+
+for (const adapter of DEFAULT_ADAPTERS) registerProvider(adapter);
+
+/** Configured provider order for one instrument class (env override wins). */
+export function providerPriority(instrumentClass) {
+  const raw = process.env[`MARKET_PROVIDERS_${String(instrumentClass).toUpperCase()}`];
+  const list = raw
+    ? raw.split(',').map((v) => v.trim().toLowerCase()).filter(Boolean)
+    : DEFAULT_PRIORITY[instrumentClass] || [];
+  return list.filter((id) => adapters.has(id));
+}
+
+export function breakerState(id, now = Date.now()) {
+  const b = breakerFor(id);
+  if (now < b.openUntil) return 'open';
+  if (b.failures >= FAILURE_THRESHOLD || b.degraded) return 'half_open';
+  return 'closed';
+}
+
+export function recordProviderSuccess(id) {
+  const b = breakerFor(id);
+  b.calls += 1;
+  b.successes += 1;
+  b.failures = 0;
+  b.openUntil = 0;
+  b.degraded = false;
+  b.lastError = null;
+  b.lastSuccessAt = new Date().toISOString();
+}
+
+export function recordProviderFailure(id, err) {
+  const b = breakerFor(id);
+  b.calls += 1;
+  b.failures += 1;
+  b.lastError = String(err?.message || err || 'provider request failed').slice(0, 240);
+  b.lastFailureAt = new Date().toISOString();
+  if (isRateLimit(err)) {
+    b.openUntil = Date.now() + RATE_LIMIT_COOLDOWN_MS;
+  } else if (b.failures >= FAILURE_THRESHOLD) {
+    b.openUntil = Date.now() + COOLDOWN_MS;
+  }
+}
+
+/**
+ * Feed a health-probe result (growwHealth / upstoxHealth) into the breaker.
+ * A failing probe on a configured provider demotes it behind healthy ones
+ * without opening the circuit, so it still serves when every provider is
+ * degraded; a passing one clears it. Unconfigured providers are left alone —
+ * the adapter skips them.
+ */
+export function recordProviderHealth(id, report = {}) {
+  const b = breakerFor(id);
+  b.health = {
+    ok: Boolean(report.ok),
+    configured: report.configured !== false,
+    message: report.message || null,
+    checkedAt: report.checkedAt || new Date().toISOString(),
+  };
+  if (report.configured === false) return;
+  if (report.ok) {
+    b.failures = 0;
+    b.openUntil = 0;
+    b.degraded = false;
+    b.lastError = null;
+  } else {
+    b.degraded = true;
+    b.lastError = String(report.message || 'health probe failed').slice(0, 240);
+  }
+}
+
+/** Healthy providers first, then half-open ones; open circuits are skipped. */
+function orderedProviders(instrumentClass, capability, ctx) {
+  const now = Date.now();
+  const ranked = providerPriority(instrumentClass)
+    .map((id, rank) => ({ adapter: adapters.get(id), rank, state: breakerState(id, now) }))
+    .filter(({ adapter, state }) => (
+      state !== 'open'
+      && typeof adapter[capability] === 'function'
+      && adapter.isConfigured(ctx) !== false
+    ));
+  return ranked.sort((a, b) => (a.state === 'closed' ? 0 : 1) - (b.state === 'closed' ? 0 : 1) || a.rank - b.rank);
+}
+
+function stamp(rows, providerId, fallback) {
+  const fetchedAt = new Date().toISOString();
+  return rows.map((row) => ({ ...row, provenance: { provider: providerId, fallback, fetchedAt } }));
+}
+
+async function callProvider(adapter, capability, args) {
+  try {
+    const result = await adapter[capability](...args);
+    if (result == null) return { skipped: true };
+    recordProviderSuccess(adapter.id);
+    return { result };
+  } catch (err) {
+    recordProviderFailure(adapter.id, err);
+    console.warn(`[providers] ${adapter.id}.${capability} failed:`, err?.message || err);
+    return { error: err };
+  }
+}
+
+/**
+ * Fill `names` from providers in order until every name is covered. Earlier
+ * providers win when two serve the same name.
+ */
+async function fillByName(capability, instrumentClass, names, ctx) {
+  const byName = new Map();
+  const missing = () => names.filter((n) => !byName.has(String(n).toUpperCase()));
+  for (const { adapter, rank } of orderedProviders(instrumentClass, capability, ctx)) {
+    const want = missing();
+    if (!want.length) break;
+    const { result } = await callProvider(adapter, capability, [want, ctx]);
+    for (const row of stamp(result || [], adapter.id, rank > 0)) {
+      const key = String(row?.name || '').trim().toUpperCase();
+      if (key && !byName.has(key)) byName.set(key, row);
+    }
+  }
+  return [...byName.values()];
+}
+
+export function fetchIndices(names, ctx = {}) {
+  return fillByName('indices', 'index', names, ctx);
+}
+
+export function fetchCommodityQuotes(names, ctx = {}) {
+  return fillByName('commodities', 'commodity', names, ctx);
+}
+
+/** Equity/index quotes: first provider returning rows wins. */
+export async function fetchQuotes(instruments, { instrumentClass = 'equity', ...ctx } = {}) {
+  for (const { adapter, rank } of orderedProviders(instrumentClass, 'quotes', ctx)) {
+    const { result } = await callProvider(adapter, 'quotes', [instruments, ctx]);
+    if (result?.length) return stamp(result, adapter.id, rank > 0);
+  }
+  return [];
+}
+
+/**
+ * Historical candles for one instrument ({ exchange, symbol, class?, isin?, upstoxKey? }).
+ * Returns { candles, provider } — candles is [] when no provider could serve it.
+ */
+export async function fetchCandles(instrument, opts = {}, ctx = {}) {
+  const to = opts.to || new Date();
+  const from = opts.from || new Date(to.getTime() - (opts.days || 120) * 24 * 60 * 60 * 1000);
+  const range = { from, to, intervalMinutes: opts.intervalMinutes || 1440 };
+  const instrumentClass = instrument?.class || 'index';
+  for (const { adapter, rank } of orderedProviders(instrumentClass, 'candles', ctx)) {
+    const { result } = await callProvider(adapter, 'candles', [instrument, range, ctx]);
+    if (result?.length) {
+      return { candles: result, provider: adapter.id, fallback: rank > 0 };
+    }
+  }
+  return { candles: [], provider: null, fallback: false };
+}
+
+/** Whether any candle provider is currently usable for a class. */
+export function hasCandleProvider(instrumentClass = 'index', ctx = {}) {
+  return orderedProviders(instrumentClass, 'candles', ctx).length > 0;
+}
+
+/** Ops view for Mission Control — no quotes, no secrets. */
+export function getProviderRegistryStatus(ctx = {}) {
+  const now = Date.now();
+  const priorities = Object.fromEntries(INSTRUMENT_CLASSES.map((c) => [c, providerPriority(c)]));
+  const providers = [...adapters.values()].map((adapter) => {
+    const b = breakerFor(adapter.id);
+    return {
+      id: adapter.id,
+      label: adapter.label || adapter.id,
+      configured: adapter.isConfigured(ctx) !== false,
+      capabilities: ['quotes', 'indices', 'commodities', 'candles'].filter((c) => typeof adapter[c] === 'function'),
+      state: breakerState(adapter.id, now),
+      failures: b.failures,
+      reopensInSeconds: b.openUntil > now ? Math.ceil((b.openUntil - now) / 1000) : 0,
+      successRate: b.calls ? Math.round((b.successes / b.calls) * 100) / 100 : null,
+      lastError: b.lastError,
+      lastSuccessAt: b.lastSuccessAt,
+      lastFailureAt: b.lastFailureAt,
+      health: b.health,
+    };
+  });
+  return { priorities, providers, checkedAt: new Date(now).toISOString() };
+}
+
+export function resetProviderRegistryForTests() {
+  adapters.clear();
+  breakers.clear();
+  for (const adapter of DEFAULT_ADAPTERS) registerProvider(adapter);
+}
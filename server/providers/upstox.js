@@ -2,10 +2,14 @@
  * Upstox Developer API — fundamentals / corporate actions.
  * Docs: https://upstox.com/developer/api-documentation/get-corporate-actions/
  *
- * Auth: Bearer access token from the Upstox developer dashboard (or OAuth).
- * Accepts common env aliases because operators often paste into UPSTOX_API.
+ * Auth: Bearer access token from the admin OAuth login (services/brokerAuth.js),
+ * read from the sealed `broker_tokens` row (providers/brokerSession.js), so a
+ * login on any instance reaches every instance without a restart. A deprecated
+ * UPSTOX_ACCESS_TOKEN is the last resort while no session is stored.
  */
 
+import { cachedBrokerSession, envBrokerToken, loadBrokerSession } from './brokerSession.js';
+
 const UPSTOX_BASE = process.env.UPSTOX_API_BASE || 'https://api.upstox.com/v2';
 
 async function ensureFetch() {
@@ -14,51 +18,25 @@ async function ensureFetch() {
   return mod.default;
 }
 
-function firstEnv(...keys) {
-  for (const key of keys) {
-    const value = String(process.env[key] || '').trim();
-    if (value) return { key, value };
-  }
-  return { key: null, value: '' };
-}
-
-/** Access token used as Authorization: Bearer … */
-export function resolveUpstoxAccessToken() {
-  // Prefer explicit access-token names, then common misnames (UPSTOX_API).
-  const hit = firstEnv(
-    'UPSTOX_ACCESS_TOKEN',
-    'UPSTOX_TOKEN',
-    'UPSTOX_API',
-    'UPSTOX_API_TOKEN',
-    'UPSTOX_API_KEY' // only if someone pasted the daily token into API_KEY
-  );
-  if (!hit.value) return { token: '', source: null };
-
-  // If UPSTOX_API / UPSTOX_API_KEY looks like a short client_id (not a token),
-  // do not treat it as a Bearer token — corporate-actions needs the access token.
-  if (
-    (hit.key === 'UPSTOX_API' || hit.key === 'UPSTOX_API_KEY') &&
-    hit.value.length < 40 &&
-    !hit.value.includes('.')
-  ) {
-    return { token: '', source: hit.key, likely_client_id: true };
+function describeSession(session, now) {
+  if (!session) {
+    const envToken = envBrokerToken('upstox');
+    return envToken
+      ? { token: envToken, source: 'env', expires_at: null, expired: false, deprecated: true }
+      : { token: '', source: null, expires_at: null };
   }
+  const expiresAt = session.expiresAt ? new Date(session.expiresAt).toISOString() : null;
+  if (session.expiresAt && session.expiresAt <= now) return { token: '', source: 'oauth', expires_at: expiresAt, expired: true };
+  return { token: session.token, source: 'oauth', expires_at: expiresAt, expired: false };
+}
 
-  return { token: hit.value, source: hit.key, likely_client_id: false };
+/** Access token used as Authorization: Bearer … — empty once the session has expired. */
+export async function resolveUpstoxAccessToken(now = Date.now()) {
+  return describeSession(await loadBrokerSession('upstox'), now);
 }
 
 export function upstoxEnvPresence() {
-  const keys = [
-    'UPSTOX_ACCESS_TOKEN',
-    'UPSTOX_TOKEN',
-    'UPSTOX_API',
-    'UPSTOX_API_TOKEN',
-    'UPSTOX_API_KEY',
-    'UPSTOX_API_SECRET',
-    'UPSTOX_CLIENT_ID',
-    'UPSTOX_CLIENT_SECRET',
-    'UPSTOX_REDIRECT_URI',
-  ];
+  const keys = ['UPSTOX_CLIENT_ID', 'UPSTOX_CLIENT_SECRET', 'UPSTOX_REDIRECT_URI', 'UPSTOX_ACCESS_TOKEN'];
   const present = {};
   for (const key of keys) {
     present[key] = Boolean(String(process.env[key] || '').trim());
@@ -66,25 +44,27 @@ export function upstoxEnvPresence() {
   return present;
 }
 
-export function isUpstoxConfigured() {
-  const { token } = resolveUpstoxAccessToken();
-  return Boolean(token);
+/**
+ * Whether the last session read holds a live token. Synchronous, so it can
+ * lag a login elsewhere by one cache window; it starts that re-read itself.
+ */
+export function isUpstoxConfigured(now = Date.now()) {
+  void loadBrokerSession('upstox');
+  return Boolean(describeSession(cachedBrokerSession('upstox'), now).token);
+}
+
+function authMissing(what, { expired }) {
+  return new Error(
+    expired
+      ? `Upstox session expired — an admin must log in again (Mission Control → Broker sessions) for ${what}.`
+      : `Upstox not connected — an admin must log in with Upstox (Mission Control → Broker sessions) for ${what}.`
+  );
 }
 
 async function upstoxGet(path) {
-  const { token, source, likely_client_id } = resolveUpstoxAccessToken();
-  if (!token) {
-    if (likely_client_id) {
-      throw new Error(
-        `Upstox env ${source} looks like a client_id/API key, not an access token. ` +
-          'Set UPSTOX_ACCESS_TOKEN to the Bearer token from the Upstox developer app (Generate token).'
-      );
-    }
-    throw new Error(
-      'Upstox auth missing: set UPSTOX_ACCESS_TOKEN (Bearer token). ' +
-        'API key/secret alone cannot call corporate-actions.'
-    );
-  }
+  const auth = await resolveUpstoxAccessToken();
+  if (!auth.token) throw authMissing('fundamentals and market data', auth);
+  const { token } = auth;
 
   const fetchFn = await ensureFetch();
   const url = `${UPSTOX_BASE}${path}`;
@@ -180,7 +160,7 @@ export async function getHistoricalCandles(instrumentKey, { unit = 'months', int
   const base = process.env.UPSTOX_API_BASE_V3 || 'https://api.upstox.com/v3';
   const path = `/historical-candle/${encodeURIComponent(key)}/${unit}/${interval}/${to}${from ? `/${from}` : ''}`;
   const fetchFn = await ensureFetch();
-  const { token } = resolveUpstoxAccessToken();
+  const { token } = await resolveUpstoxAccessToken();
   const headers = { Accept: 'application/json' };
   if (token) headers.Authorization = `Bearer ${token}`;
   const resp = await fetchFn(`${base}${path}`, { headers });
@@ -197,8 +177,9 @@ export async function getHistoricalCandles(instrumentKey, { unit = 'months', int
 export async function getIntradayCandles(instrumentKey, { unit = 'minutes', interval = 15 } = {}) {
   const key = String(instrumentKey || '').trim();
   if (!key.includes('|')) throw new Error(`Invalid instrument_key: ${instrumentKey}`);
-  const { token } = resolveUpstoxAccessToken();
-  if (!token) throw new Error('Upstox auth missing: set UPSTOX_ACCESS_TOKEN for intraday candles.');
+  const auth = await resolveUpstoxAccessToken();
+  if (!auth.token) throw authMissing('intraday candles', auth);
+  const { token } = auth;
   const base = process.env.UPSTOX_API_BASE_V3 || 'https://api.upstox.com/v3';
   const path = `/historical-candle/intraday/${encodeURIComponent(key)}/${unit}/${interval}`;
   const fetchFn = await ensureFetch();
@@ -214,6 +195,29 @@ export async function getIntradayCandles(instrumentKey, { unit = 'minutes', inte
   return json;
 }
 
+/** GET /v2/option/contract — listed option contracts (with expiries) for an underlying. */
+export async function getOptionContracts(instrumentKey) {
+  const key = String(instrumentKey || '').trim();
+  if (!key.includes('|')) throw new Error(`Invalid instrument_key: ${instrumentKey}`);
+  const auth = await resolveUpstoxAccessToken();
+  if (!auth.token) throw authMissing('option chains', auth);
+  return upstoxGet(`/option/contract?${new URLSearchParams({ instrument_key: key })}`);
+}
+
+/**
+ * GET /v2/option/chain — one row per strike with call/put market data and greeks.
+ * @param {string} instrumentKey e.g. "NSE_INDEX|Nifty 50"
+ * @param {string} expiryDate YYYY-MM-DD
+ */
+export async function getOptionChain(instrumentKey, expiryDate) {
+  const key = String(instrumentKey || '').trim();
+  if (!key.includes('|')) throw new Error(`Invalid instrument_key: ${instrumentKey}`);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(expiryDate || ''))) throw new Error(`Invalid expiry date: ${expiryDate}`);
+  const auth = await resolveUpstoxAccessToken();
+  if (!auth.token) throw authMissing('option chains', auth);
+  return upstoxGet(`/option/chain?${new URLSearchParams({ instrument_key: key, expiry_date: expiryDate })}`);
+}
+
 /**
  * Exchange-level FII/DII — GET /v2/market/fii and /v2/market/dii
  * Upstox currently accepts: NSE_EQ|CASH, NSE_FO|INDEX_FUTURES, ...
@@ -1,8 +1,17 @@
 import { Router } from 'express';
 import rateLimit from 'express-rate-limit';
+import { authorize, authzMode, resolveRequestAuth } from '../middleware/authorize.js';
+import { listAdminAudit } from '../services/adminAudit.js';
 
 const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
 
+// Verification mail is part of signup (anonymous); the audit trail is admin-only.
+const ROUTE_ROLES = [
+  { methods: ['POST'], path: '/send-verification', role: 'public' },
+  { methods: ['GET'], path: '/audit', role: 'admin' },
+  { role: 'admin' },
+];
+
 function escapeHtml(value = '') {
   return String(value)
     .replace(/&/g, '&amp;')
@@ -154,6 +163,7 @@ async function generateActionLink(admin, email, redirectTo) {
 
 export default function createAuthRouter() {
   const router = Router();
+  router.use(authorize('auth', ROUTE_ROLES));
 
   const authLimiter = rateLimit({
     windowMs: 15 * 60 * 1000,
@@ -225,6 +235,32 @@ export default function createAuthRouter() {
     }
   });
 
+  // Server view of the caller — lets the browser confirm its admin gate matches.
+  router.get('/me', async (req, res) => {
+    const auth = await resolveRequestAuth(req);
+    res.set('Cache-Control', 'no-store');
+    return res.json({
+      authenticated: Boolean(auth),
+      id: auth?.id || null,
+      email: auth?.email || null,
+      role: auth?.role || 'public',
+      mode: authzMode(),
+    });
+  });
+
+  router.get('/audit', (req, res) => {
+    res.set('Cache-Control', 'no-store');
+    return res.json({
+      ok: true,
+      entries: listAdminAudit({
+        limit: req.query.limit,
+        scope: req.query.scope || null,
+        actor: req.query.actor || null,
+        outcome: req.query.outcome || null,
+      }),
+    });
+  });
+
   router.get('/health', (_req, res) => {
     res.json({
       ok: true,
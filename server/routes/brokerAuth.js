@@ -0,0 +1,77 @@
+import { Router } from 'express';
+import { actorFrom, authorize } from '../middleware/authorize.js';
+import {
+  completeUpstoxLogin,
+  getBrokerAuthStatus,
+  revokeBrokerToken,
+  rotateGrowwToken,
+  upstoxLoginUrl,
+} from '../services/brokerAuth.js';
+
+// Broker sessions are admin only, reads included. The Upstox callback is a
+// browser redirect with no bearer — the single-use login state guards it.
+const ROUTE_ROLES = [
+  { methods: ['GET'], path: '/upstox/callback', role: 'public' },
+  { methods: ['GET', 'POST', 'DELETE'], role: 'admin' },
+];
+
+function fail(res, e, fallback = 500) {
+  return res.status(e.status || fallback).json({ error: e.message });
+}
+
+function missionControlUrl(params) {
+  const site = (process.env.PUBLIC_SITE_URL || 'https://agarwalglobalinvestments.com').replace(/\/$/, '');
+  return `${site}/admin/mission-control?${new URLSearchParams({ broker: 'upstox', ...params })}`;
+}
+
+export default function createBrokerAuthRouter() {
+  const router = Router();
+  router.use(authorize('broker-auth', ROUTE_ROLES));
+
+  router.get('/', async (_req, res) => {
+    try {
+      res.json(await getBrokerAuthStatus());
+    } catch (e) {
+      fail(res, e);
+    }
+  });
+
+  /** Answers with the Upstox dialog URL; the browser navigates there. */
+  router.post('/upstox/login', async (req, res) => {
+    try {
+      res.json(await upstoxLoginUrl({ actor: actorFrom(req) }));
+    } catch (e) {
+      fail(res, e);
+    }
+  });
+
+  router.get('/upstox/callback', async (req, res) => {
+    if (req.query.error) {
+      return res.redirect(missionControlUrl({ broker_status: 'error', reason: String(req.query.error_description || req.query.error) }));
+    }
+    try {
+      await completeUpstoxLogin({ code: req.query.code, state: req.query.state });
+      return res.redirect(missionControlUrl({ broker_status: 'connected' }));
+    } catch (e) {
+      return res.redirect(missionControlUrl({ broker_status: 'error', reason: e.message }));
+    }
+  });
+
+  router.post('/groww/rotate', async (req, res) => {
+    try {
+      res.json(await rotateGrowwToken({ actor: actorFrom(req) }));
+    } catch (e) {
+      fail(res, e);
+    }
+  });
+
+  router.delete('/:broker', async (req, res) => {
+    try {
+      res.json(await revokeBrokerToken(req.params.broker));
+    } catch (e) {
+      fail(res, e);
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,109 @@
+import { Router } from 'express';
+import { actorFrom, authorize } from '../middleware/authorize.js';
+import {
+  getCalendarDigest,
+  getEconomicCalendarSyncStatus,
+  getEvent,
+  importEventsCsv,
+  listEvents,
+  listIndicators,
+  recordRelease,
+  removeEvent,
+  updateEvent,
+  upsertEvent,
+} from '../services/economicCalendar.js';
+
+// Reads feed the public home and macro pages; schedule edits are admin only.
+const ROUTE_ROLES = [{ role: 'admin' }];
+
+/** Validation failures carry a status and per-field `errors` (services/economicCalendar.js). */
+function fail(res, e, fallback = 500) {
+  return res.status(e.status || fallback).json({ error: e.message, errors: e.errors });
+}
+
+export default function createEconomicCalendarRouter() {
+  const router = Router();
+  router.use(authorize('economic-calendar', ROUTE_ROLES));
+
+  /** ?from=&to= (dates or instants), ?country=IN|US, ?key=in_cpi, ?status=released */
+  router.get('/', async (req, res) => {
+    try {
+      const { from, to, country, key, status, limit } = req.query;
+      res.json({ events: await listEvents({ from, to, country, key, status, limit }) });
+    } catch (e) {
+      fail(res, e);
+    }
+  });
+
+  router.get('/indicators', (_req, res) => {
+    res.json({ indicators: listIndicators(), sync: getEconomicCalendarSyncStatus() });
+  });
+
+  /** Upcoming releases and recent surprises — what the briefings read. */
+  router.get('/digest', async (req, res) => {
+    try {
+      res.json(await getCalendarDigest({
+        days: Math.min(60, Number(req.query.days) || 14),
+        lookbackDays: Math.min(60, Number(req.query.lookback) || 7),
+      }));
+    } catch (e) {
+      fail(res, e);
+    }
+  });
+
+  router.get('/:id', async (req, res) => {
+    try {
+      const event = await getEvent(req.params.id);
+      if (!event) return res.status(404).json({ error: 'Event not found' });
+      return res.json({ event });
+    } catch (e) {
+      return fail(res, e);
+    }
+  });
+
+  router.post('/', async (req, res) => {
+    try {
+      res.status(201).json({ event: await upsertEvent(req.body || {}, actorFrom(req)) });
+    } catch (e) {
+      fail(res, e, 400);
+    }
+  });
+
+  /** `{ csv, dry_run }` — dry runs report per-row errors without writing. */
+  router.post('/import', async (req, res) => {
+    try {
+      res.json(await importEventsCsv(req.body?.csv || '', actorFrom(req), {
+        dryRun: req.body?.dry_run === true || req.query.dry_run === 'true',
+      }));
+    } catch (e) {
+      fail(res, e, 400);
+    }
+  });
+
+  router.patch('/:id', async (req, res) => {
+    try {
+      res.json({ event: await updateEvent(req.params.id, req.body || {}, actorFrom(req)) });
+    } catch (e) {
+      fail(res, e, 400);
+    }
+  });
+
+  /** `{ actual, consensus?, previous?, note? }` — marks the event released and scores the surprise. */
+  router.post('/:id/release', async (req, res) => {
+    try {
+      res.json({ event: await recordRelease(req.params.id, req.body || {}, actorFrom(req)) });
+    } catch (e) {
+      fail(res, e, 400);
+    }
+  });
+
+  router.delete('/:id', async (req, res) => {
+    try {
+      res.json(await removeEvent(req.params.id));
+    } catch (e) {
+      fail(res, e);
+    }
+  });
+
+  return router;
+}
@@ -3,11 +3,12 @@
  */
 
 import { Router } from 'express';
+import { actorFrom, authorize } from '../middleware/authorize.js';
 import {
   buildRecentLearningSummary,
   cmsLearningStatus,
   learnCmsArticles,
-  startCmsArticleLearningScheduler,
+  registerCmsArticleLearningJob,
 } from '../services/cmsArticleLearning.js';
 import {
   approveIngestJob,
@@ -194,11 +195,84 @@ async function companyMatches(query, limit = 8) {
     .slice(0, limit);
 }
 
+// Analytical POSTs (ask, analyse, plan, diagnostics, compare …) stay public;
+// anything that runs pipelines, writes the warehouse/knowledge stores or
+// controls background runtimes is admin-only. CMS article ingest comes from
+// the article editor, so authors may enqueue it.
+const ADMIN_OPERATION_PREFIXES = [
+  '/system/',
+  '/research/hub/run',
+  '/research/hub/build',
+  '/kip/snapshot/',
+  '/cms/',
+  '/kf/',
+  '/kc/',
+  '/aoi/',
+  '/eve/',
+  '/faa/',
+  '/fre/',
+  '/fle/jobs',
+  '/fle/batch',
+  '/mee/cycle',
+  '/ib/',
+  '/cae/',
+  '/academy/production/',
+  '/academy/books/',
+  '/knowledge-factory/',
+  '/ikl/',
+  '/ilm/',
+  '/continuous-gather-learn/',
+  '/universe-learning/',
+  '/institutional-knowledge-tables/',
+  '/valuation-consensus/',
+  '/valuation-terminal/overrides',
+  '/historical-valuation/runtime/',
+  '/hvie/',
+  '/fie/',
+  '/mie/',
+  '/market-intelligence/flows/',
+  '/valuation-ratios/',
+  '/company-identity/metadata',
+  '/mission-control/',
+  '/investment-office/refresh',
+  '/investment-committee/record-actuals',
+  '/iep/',
+  '/icf/',
+  '/koc/',
+  '/warehouse/',
+  '/performance/',
+  '/security/',
+  '/architecture/',
+  '/acceptance/',
+  '/launch/flags',
+  '/institutional-stack/ingest',
+  '/institutional-stack/bootstrap',
+  '/filing-intelligence/ingest',
+  '/company-monitor/',
+  '/institutional-stress-tests/',
+  '/institutional-benchmarks/',
+  '/product-experience/',
+  '/release-health/',
+  '/ail/',
+  '/iiex/',
+];
+
+const ROUTE_ROLES = [
+  { methods: ['POST'], path: '/kip/ingest/', role: 'author' },
+  ...ADMIN_OPERATION_PREFIXES.map((path) => ({ path, role: 'admin' })),
+  {
+    methods: ['POST'],
+    path: /^\/(universe-intelligence|company-intelligence|corporate-events|government|industry|relationship|alternative-data|expectations|institutional-knowledge|decision-quality)\/run$/,
+    role: 'admin',
+  },
+];
+
 export default function createIntelligenceRouter() {
   const router = Router();
+  router.use(authorize('intelligence', ROUTE_ROLES));
 
   // Soft daily CMS → KIP/KF/KC learner (IST learning_date calendar)
-  startCmsArticleLearningScheduler(engineFetch);
+  registerCmsArticleLearningJob(engineFetch);
   // Async CMS ingest job worker (HTTP enqueues; worker wakes engine + retries)
   startCmsIngestJobWorker(engineFetch);
 
@@ -501,7 +575,7 @@ export default function createIntelligenceRouter() {
   router.post('/cms/ingest-jobs/:jobId/approve', async (req, res) => {
     try {
       const job = await approveIngestJob(req.params.jobId, {
-        approvedBy: req.body?.approved_by || req.body?.approvedBy || null,
+        approvedBy: actorFrom(req),
       });
       return res.status(200).json(job);
     } catch (error) {
@@ -8583,13 +8657,8 @@ export default function createIntelligenceRouter() {
   // AGI Institutional Data Warehouse (admin workspace)
   // ---------------------------------------------------------------------
 
-  const warehouseActor = (req) =>
-    String(
-      req.get?.('X-AGI-Actor') ||
-        req.body?.actor ||
-        req.query?.actor ||
-        'admin',
-    ).slice(0, 200);
+  // The actor is whoever authenticated, never a client-supplied header or field.
+  const warehouseActor = (req) => String(actorFrom(req)).slice(0, 200);
 
   const warehouseGet = (buildPath, timeoutMs = 120_000) => async (req, res) => {
     try {
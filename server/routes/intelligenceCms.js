@@ -1,5 +1,12 @@
 import { Router } from 'express';
-import { getModule, listModules } from '../services/intelligenceCms/modules.js';
+import { actorFrom, authorize } from '../middleware/authorize.js';
+import {
+  createModule,
+  deleteModule,
+  getModule,
+  listModules,
+  updateModule,
+} from '../services/intelligenceCms/modules.js';
 import {
   createRecord,
   deleteRecord,
@@ -11,89 +18,231 @@ import {
   listRecords,
   updateRecord,
 } from '../services/intelligenceCms/store.js';
+import {
+  addReviewComment,
+  approveRecord,
+  assignReviewer,
+  diffVersions,
+  listReviewEvents,
+  listReviewQueue,
+  publishRecord,
+  rejectRecord,
+  rollbackRecord,
+  submitForReview,
+} from '../services/intelligenceCms/review.js';
+
+// Intelligence CMS is admin-only; reads stay open for the public module pages.
+const ROUTE_ROLES = [{ role: 'admin' }];
+
+/** Schema violations carry a status and per-field `errors` (services/intelligenceCms/schema.js). */
+function fail(res, e, fallback = 500) {
+  return res.status(e.status || fallback).json({ error: e.message, errors: e.errors });
+}
+
+/** `sort=-ev_ebitda&min_ev_ebitda=10x&max_date=2026-06-30` → listRecords sort/ranges options. */
+function listQuery(query) {
+  const ranges = {};
+  Object.entries(query).forEach(([param, value]) => {
+    const match = param.match(/^(min|max)_([a-z][a-z0-9_]*)$/);
+    if (!match || typeof value !== 'string') return;
+    ranges[match[2]] = { ...ranges[match[2]], [match[1]]: value };
+  });
+  return { sort: typeof query.sort === 'string' ? query.sort : undefined, ranges };
+}
 
 export default function createIntelligenceCmsRouter() {
   const router = Router();
+  router.use(authorize('intelligence-cms', ROUTE_ROLES));
+
+  router.get('/modules', async (_req, res) => {
+    try {
+      res.json({ modules: await listModules() });
+    } catch (e) {
+      fail(res, e);
+    }
+  });
+
+  router.get('/modules/:moduleId', async (req, res) => {
+    try {
+      const mod = await getModule(req.params.moduleId);
+      if (!mod) return res.status(404).json({ error: 'Module not found' });
+      return res.json({ module: mod });
+    } catch (e) {
+      return fail(res, e);
+    }
+  });
 
-  router.get('/modules', (_req, res) => {
-    res.json({ modules: listModules() });
+  /** Runtime (custom) modules — built-in ones are read-only. */
+  router.post('/modules', async (req, res) => {
+    try {
+      return res.status(201).json({ module: await createModule(req.body || {}, actorFrom(req)) });
+    } catch (e) {
+      return fail(res, e);
+    }
+  });
+
+  router.patch('/modules/:moduleId', async (req, res) => {
+    try {
+      const mod = await updateModule(req.params.moduleId, req.body || {}, actorFrom(req));
+      if (!mod) return res.status(404).json({ error: 'Module not found' });
+      return res.json({ module: mod });
+    } catch (e) {
+      return fail(res, e);
+    }
   });
 
-  router.get('/dashboard', (_req, res) => {
-    res.json(getDashboardStats());
+  router.delete('/modules/:moduleId', async (req, res) => {
+    try {
+      if (!(await deleteModule(req.params.moduleId))) return res.status(404).json({ error: 'Module not found' });
+      return res.json({ ok: true });
+    } catch (e) {
+      return fail(res, e);
+    }
+  });
+
+  router.get('/dashboard', async (_req, res) => {
+    try {
+      res.json(await getDashboardStats());
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
   });
 
   /** Public — published records for website rendering */
-  router.get('/public/:moduleId', (req, res) => {
-    const mod = getModule(req.params.moduleId);
-    if (!mod) return res.status(404).json({ error: 'Module not found' });
-    const records = listRecords(req.params.moduleId, { status: 'published' });
-    return res.json({ module: mod.id, records });
+  router.get('/public/:moduleId', async (req, res) => {
+    try {
+      const mod = await getModule(req.params.moduleId);
+      if (!mod) return res.status(404).json({ error: 'Module not found' });
+      const records = await listRecords(req.params.moduleId, { status: 'published', ...listQuery(req.query) });
+      return res.json({ module: mod.id, columns: mod.columns, records });
+    } catch (e) {
+      return fail(res, e);
+    }
   });
 
-  router.get('/modules/:moduleId/records', (req, res) => {
-    const mod = getModule(req.params.moduleId);
-    if (!mod) return res.status(404).json({ error: 'Module not found' });
-    const records = listRecords(req.params.moduleId, {
-      status: req.query.status || null,
-      q: req.query.q || null,
-    });
-    return res.json({ module: mod, records });
+  router.get('/modules/:moduleId/records', async (req, res) => {
+    try {
+      const mod = await getModule(req.params.moduleId);
+      if (!mod) return res.status(404).json({ error: 'Module not found' });
+      const records = await listRecords(req.params.moduleId, {
+        status: req.query.status || null,
+        q: req.query.q || null,
+        ...listQuery(req.query),
+      });
+      return res.json({ module: mod, records });
+    } catch (e) {
+      return fail(res, e);
+    }
   });
 
-  router.get('/modules/:moduleId/export', (req, res) => {
+  router.get('/modules/:moduleId/export', async (req, res) => {
     try {
-      const csv = exportModuleCsv(req.params.moduleId);
+      const csv = await exportModuleCsv(req.params.moduleId);
       res.setHeader('Content-Type', 'text/csv');
       res.setHeader('Content-Disposition', `attachment; filename="${req.params.moduleId}.csv"`);
       return res.send(csv);
     } catch (e) {
-      return res.status(400).json({ error: e.message });
+      return fail(res, e, 400);
     }
   });
 
-  router.post('/modules/:moduleId/import', (req, res) => {
+  router.post('/modules/:moduleId/import', async (req, res) => {
     try {
       const csv = req.body?.csv || '';
-      const result = importModuleCsv(req.params.moduleId, csv, req.body?.actor || 'admin');
+      const result = await importModuleCsv(req.params.moduleId, csv, actorFrom(req), {
+        dryRun: req.body?.dry_run === true || req.query.dry_run === 'true',
+      });
       return res.json(result);
     } catch (e) {
-      return res.status(400).json({ error: e.message });
+      return fail(res, e, 400);
     }
   });
 
-  router.post('/modules/:moduleId/records', (req, res) => {
+  router.post('/modules/:moduleId/records', async (req, res) => {
     try {
-      const record = createRecord(req.params.moduleId, req.body || {}, req.body?.actor || 'admin');
+      const record = await createRecord(req.params.moduleId, req.body || {}, actorFrom(req));
       return res.status(201).json(record);
     } catch (e) {
-      return res.status(400).json({ error: e.message });
+      return fail(res, e, 400);
     }
   });
 
-  router.get('/records/:id', (req, res) => {
-    const record = getRecord(req.params.id);
-    if (!record) return res.status(404).json({ error: 'Not found' });
-    const versions = getRecordVersions(record.id);
-    return res.json({ record, versions });
+  router.get('/records/:id', async (req, res) => {
+    try {
+      const record = await getRecord(req.params.id);
+      if (!record) return res.status(404).json({ error: 'Not found' });
+      const [versions, events] = await Promise.all([getRecordVersions(record.id), listReviewEvents(record.id)]);
+      return res.json({ record, versions, events });
+    } catch (e) {
+      return res.status(500).json({ error: e.message });
+    }
+  });
+
+  router.get('/records/:id/diff', async (req, res) => {
+    try {
+      const diff = await diffVersions(req.params.id, { from: req.query.from, to: req.query.to });
+      if (!diff) return res.status(404).json({ error: 'Not found' });
+      return res.json(diff);
+    } catch (e) {
+      return fail(res, e);
+    }
+  });
+
+  router.patch('/records/:id', async (req, res) => {
+    try {
+      const record = await updateRecord(req.params.id, req.body || {}, actorFrom(req));
+      if (!record) return res.status(404).json({ error: 'Not found' });
+      return res.json(record);
+    } catch (e) {
+      return fail(res, e);
+    }
   });
 
-  router.patch('/records/:id', (req, res) => {
-    const record = updateRecord(req.params.id, req.body || {}, req.body?.actor || 'admin');
-    if (!record) return res.status(404).json({ error: 'Not found' });
-    return res.json(record);
+  router.delete('/records/:id', async (req, res) => {
+    try {
+      await deleteRecord(req.params.id);
+      return res.json({ ok: true });
+    } catch (e) {
+      return res.status(500).json({ error: e.message });
+    }
   });
 
-  router.delete('/records/:id', (req, res) => {
-    deleteRecord(req.params.id);
-    return res.json({ ok: true });
+  router.post('/records/:id/publish', async (req, res) => {
+    try {
+      const record = await publishRecord(req.params.id, actorFrom(req));
+      if (!record) return res.status(404).json({ error: 'Not found' });
+      return res.json(record);
+    } catch (e) {
+      return fail(res, e);
+    }
   });
 
-  router.post('/records/:id/publish', (req, res) => {
-    const record = updateRecord(req.params.id, { status: 'published' }, req.body?.actor || 'admin');
-    if (!record) return res.status(404).json({ error: 'Not found' });
-    return res.json(record);
+  // Review workflow (services/intelligenceCms/review.js)
+  router.get('/reviews', async (req, res) => {
+    try {
+      const reviewer = req.query.reviewer === 'me' ? actorFrom(req) : req.query.reviewer;
+      return res.json({ records: await listReviewQueue({ reviewer }) });
+    } catch (e) {
+      return fail(res, e);
+    }
   });
 
+  const reviewAction = (action) => async (req, res) => {
+    try {
+      const result = await action(req.params.id, req.body || {}, actorFrom(req));
+      if (!result) return res.status(404).json({ error: 'Not found' });
+      return res.json(result);
+    } catch (e) {
+      return fail(res, e);
+    }
+  };
+
+  router.post('/records/:id/submit', reviewAction((id, body, actor) => submitForReview(id, { reviewer: body.reviewer, note: body.note }, actor)));
+  router.post('/records/:id/reviewer', reviewAction((id, body, actor) => assignReviewer(id, body.reviewer, actor)));
+  router.post('/records/:id/comments', reviewAction((id, body, actor) => addReviewComment(id, { body: body.body, field: body.field }, actor)));
+  router.post('/records/:id/approve', reviewAction((id, body, actor) => approveRecord(id, { note: body.note }, actor)));
+  router.post('/records/:id/reject', reviewAction((id, body, actor) => rejectRecord(id, { reason: body.reason }, actor)));
+  router.post('/records/:id/rollback', reviewAction((id, body, actor) => rollbackRecord(id, body.version, actor)));
+
   return router;
 }
@@ -1,11 +1,19 @@
 import { Router } from 'express';
+import { actorFrom, authorize } from '../middleware/authorize.js';
 import { ENTITY_TYPES, RELATION_TYPES, NODE_COLORS } from '../services/intelligencePlatform/entityTypes.js';
 import {
   listEntities,
   getEntityBySlug,
   getEntityById,
   entityStats,
+  resolveMergedEntity,
 } from '../services/intelligencePlatform/entityStore.js';
+import {
+  dismissDuplicate,
+  findDuplicateCandidates,
+  listDuplicateReviews,
+  mergeEntities,
+} from '../services/intelligencePlatform/entityDedup.js';
 import {
   getEntityRelationships,
   relationshipStats,
@@ -16,7 +24,17 @@ import {
 } from '../services/intelligencePlatform/timelineService.js';
 import { generateEntitySummary } from '../services/intelligencePlatform/aiSummaryService.js';
 import { universalSearch, searchSuggestions } from '../services/intelligencePlatform/searchService.js';
+import { searchIndexStatus } from '../services/intelligencePlatform/searchIndex.js';
 import { buildEntityGraph, getRelatedContent } from '../services/intelligencePlatform/graphService.js';
+import {
+  centralityRankings,
+  coInvestors,
+  detectCommunities,
+  entityNetworkPosition,
+  parseRelationTypes,
+  shortestPaths,
+} from '../services/intelligencePlatform/graphAnalytics.js';
+import { pointInTime } from '../services/intelligencePlatform/validity.js';
 import { computeIntelligenceScore } from '../services/intelligencePlatform/intelligenceScoreService.js';
 import {
   getMorningPipelineStatus,
@@ -40,13 +58,35 @@ function runBootstrapOnce() {
   return bootstrapPromise;
 }
 
-function resolveEntity(req) {
-  const param = req.params.entityId || req.params.slug;
-  return getEntityBySlug(param) || getEntityById(param);
+async function resolveEntity(req) {
+  return resolveEntityRef(req.params.entityId || req.params.slug);
+}
+
+/** Slug or id; merged-away entities resolve to their survivor. */
+async function resolveEntityRef(ref) {
+  if (!ref) return null;
+  return resolveMergedEntity((await getEntityBySlug(ref)) || (await getEntityById(ref)));
 }
 
+const clampInt = (value, fallback, max) => Math.min(Math.max(Number.parseInt(value, 10) || fallback, 1), max);
+
+/** `?as_of=2021` / `?as_of=2021-06-30` → ISO timestamp for point-in-time reads (null = current and past). */
+const asOfFrom = (req) => pointInTime(req.query.as_of, { yearEnd: true });
+
+function fail(res, error) {
+  return res.status(error.status || 500).json({ error: error.message });
+}
+
+// Pipeline runs, re-bootstrap, LLM summary regeneration and the duplicate
+// review queue (including its reads) are admin operations.
+const ROUTE_ROLES = [
+  { methods: ['GET'], path: '/duplicates', role: 'admin' },
+  { role: 'admin' },
+];
+
 export default function createIntelligencePlatformRouter() {
   const router = Router();
+  router.use(authorize('intelligence-platform', ROUTE_ROLES));
 
   router.use(async (_req, _res, next) => {
     await runBootstrapOnce();
@@ -63,14 +103,19 @@ export default function createIntelligencePlatformRouter() {
     });
   });
 
-  router.get('/stats', (_req, res) => {
-    const pipeline = getMorningPipelineStatus();
-    res.json({
-      entities: entityStats(),
-      relationships: relationshipStats(),
-      timeline: timelineStats(),
-      last_refresh: pipeline.last_refresh,
-    });
+  router.get('/stats', async (_req, res) => {
+    try {
+      const pipeline = getMorningPipelineStatus();
+      res.json({
+        entities: await entityStats(),
+        relationships: await relationshipStats(),
+        timeline: await timelineStats(),
+        last_refresh: pipeline.last_refresh,
+        search_index: searchIndexStatus(),
+      });
+    } catch (error) {
+      fail(res, error);
+    }
   });
 
   router.get('/pipeline/status', (_req, res) => {
@@ -83,7 +128,7 @@ export default function createIntelligencePlatformRouter() {
 
   router.post('/pipeline/run', async (req, res) => {
     try {
-      const result = await runMorningPipeline({ actor: req.body?.actor || 'admin' });
+      const result = await runMorningPipeline({ actor: actorFrom(req) });
       res.json(result);
     } catch (error) {
       res.status(500).json({ error: error.message });
@@ -99,109 +144,272 @@ export default function createIntelligencePlatformRouter() {
     }
   });
 
-  router.get('/search', (req, res) => {
-    const q = req.query.q || '';
-    const limit = Math.min(Number(req.query.limit) || 8, 20);
-    res.json(universalSearch(q, { limit }));
+  router.get('/search', async (req, res) => {
+    try {
+      const q = req.query.q || '';
+      const limit = Math.min(Number(req.query.limit) || 8, 20);
+      const types = String(req.query.type || '').split(',').map((t) => t.trim()).filter(Boolean);
+      res.json(await universalSearch(q, { limit, types }));
+    } catch (error) {
+      fail(res, error);
+    }
   });
 
-  router.get('/search/suggestions', (req, res) => {
-    res.json({ suggestions: searchSuggestions(req.query.q || '', { limit: 6 }) });
+  router.get('/search/suggestions', async (req, res) => {
+    try {
+      res.json({ suggestions: await searchSuggestions(req.query.q || '', { limit: 6 }) });
+    } catch (error) {
+      fail(res, error);
+    }
   });
 
-  router.get('/entities', (req, res) => {
-    const result = listEntities({
-      type: req.query.type || null,
-      status: req.query.status || 'published',
-      q: req.query.q || null,
-      limit: Math.min(Number(req.query.limit) || 50, 200),
-      offset: Number(req.query.offset) || 0,
-    });
-    res.json(result);
+  router.get('/entities', async (req, res) => {
+    try {
+      const result = await listEntities({
+        type: req.query.type || null,
+        status: req.query.status || 'published',
+        q: req.query.q || null,
+        limit: Math.min(Number(req.query.limit) || 50, 200),
+        offset: Number(req.query.offset) || 0,
+      });
+      res.json(result);
+    } catch (error) {
+      fail(res, error);
+    }
   });
 
   router.get('/entities/:slug/full', async (req, res) => {
-    const entity = resolveEntity(req);
-    if (!entity || (entity.status !== 'published' && req.query.admin !== '1')) {
-      return res.status(404).json({ error: 'Entity not found' });
-    }
-    const relationships = getEntityRelationships(entity.id);
-    const timeline = listTimelineEvents(entity.id, { limit: 50 });
-    let aiSummary = entity.ai_summary;
-    if (!aiSummary || req.query.refresh === '1') {
-      aiSummary = await generateEntitySummary(entity.id, { force: req.query.refresh === '1' });
-    }
-    const intelligence = computeIntelligenceScore(entity.id);
-    const related = getRelatedContent(entity.id);
-    const pipeline = getMorningPipelineStatus();
-    res.json({
-      entity: { ...entity, ai_summary: aiSummary },
-      relationships,
-      timeline,
-      intelligence,
-      related,
-      last_refresh: pipeline.last_refresh,
-    });
+    try {
+      const entity = await resolveEntity(req);
+      if (!entity || (entity.status !== 'published' && req.query.admin !== '1')) {
+        return res.status(404).json({ error: 'Entity not found' });
+      }
+      const asOf = asOfFrom(req);
+      const relationships = await getEntityRelationships(entity.id, { asOf });
+      const timeline = await listTimelineEvents(entity.id, { limit: 50, asOf });
+      let aiSummary = entity.ai_summary;
+      if (!aiSummary || req.query.refresh === '1') {
+        aiSummary = await generateEntitySummary(entity.id, { force: req.query.refresh === '1' });
+      }
+      const intelligence = await computeIntelligenceScore(entity.id);
+      const related = await getRelatedContent(entity.id, { asOf });
+      const pipeline = getMorningPipelineStatus();
+      return res.json({
+        entity: { ...entity, ai_summary: aiSummary },
+        redirected_from: entity.slug === req.params.slug ? undefined : req.params.slug,
+        as_of: asOf,
+        relationships,
+        timeline,
+        intelligence,
+        related,
+        last_refresh: pipeline.last_refresh,
+      });
+    } catch (error) {
+      return fail(res, error);
+    }
   });
 
   router.get('/entities/:slug', async (req, res) => {
-    const entity = resolveEntity(req);
-    if (!entity || (entity.status !== 'published' && req.query.admin !== '1')) {
-      return res.status(404).json({ error: 'Entity not found' });
-    }
-    const relationships = getEntityRelationships(entity.id);
-    const timeline = listTimelineEvents(entity.id, { limit: 40 });
-    let aiSummary = entity.ai_summary;
-    if (!aiSummary || req.query.refresh === '1') {
-      aiSummary = await generateEntitySummary(entity.id, { force: req.query.refresh === '1' });
-    }
-    res.json({ entity: { ...entity, ai_summary: aiSummary }, relationships, timeline });
-  });
-
-  router.get('/entities/:entityId/graph', (req, res) => {
-    const entity = resolveEntity(req);
-    if (!entity) return res.status(404).json({ error: 'Entity not found' });
-    const graph = buildEntityGraph(entity.id, {
-      depth: req.query.depth,
-      entityTypes: req.query.entity_types,
-      relationshipTypes: req.query.relationship_types,
-      limit: req.query.limit,
-      includeTimeline: req.query.include_timeline,
-      includeAiSummary: req.query.include_ai_summary,
-    });
-    if (!graph) return res.status(404).json({ error: 'Graph not available' });
-    res.json(graph);
+    try {
+      const entity = await resolveEntity(req);
+      if (!entity || (entity.status !== 'published' && req.query.admin !== '1')) {
+        return res.status(404).json({ error: 'Entity not found' });
+      }
+      const asOf = asOfFrom(req);
+      const relationships = await getEntityRelationships(entity.id, { asOf });
+      const timeline = await listTimelineEvents(entity.id, { limit: 40, asOf });
+      let aiSummary = entity.ai_summary;
+      if (!aiSummary || req.query.refresh === '1') {
+        aiSummary = await generateEntitySummary(entity.id, { force: req.query.refresh === '1' });
+      }
+      return res.json({
+        entity: { ...entity, ai_summary: aiSummary },
+        redirected_from: entity.slug === req.params.slug ? undefined : req.params.slug,
+        as_of: asOf,
+        relationships,
+        timeline,
+      });
+    } catch (error) {
+      return fail(res, error);
+    }
   });
 
-  router.get('/entities/:slug/relationships', (req, res) => {
-    const entity = resolveEntity(req);
-    if (!entity) return res.status(404).json({ error: 'Entity not found' });
-    res.json({ relationships: getEntityRelationships(entity.id) });
+  router.get('/entities/:entityId/graph', async (req, res) => {
+    try {
+      const entity = await resolveEntity(req);
+      if (!entity) return res.status(404).json({ error: 'Entity not found' });
+      const graph = await buildEntityGraph(entity.id, {
+        depth: req.query.depth,
+        entityTypes: req.query.entity_types,
+        relationshipTypes: req.query.relationship_types,
+        limit: req.query.limit,
+        includeTimeline: req.query.include_timeline,
+        includeAiSummary: req.query.include_ai_summary,
+        asOf: asOfFrom(req),
+      });
+      if (!graph) return res.status(404).json({ error: 'Graph not available' });
+      return res.json(graph);
+    } catch (error) {
+      return fail(res, error);
+    }
   });
 
-  router.get('/entities/:slug/related', (req, res) => {
-    const entity = resolveEntity(req);
-    if (!entity) return res.status(404).json({ error: 'Entity not found' });
-    res.json({ related: getRelatedContent(entity.id) });
+  router.get('/graph/path', async (req, res) => {
+    try {
+      const [from, to] = await Promise.all([resolveEntityRef(req.query.from), resolveEntityRef(req.query.to)]);
+      if (!from || !to) return res.status(404).json({ error: 'Entity not found' });
+      const result = await shortestPaths(from.id, to.id, {
+        relationTypes: parseRelationTypes(req.query.relationship_types),
+        asOf: asOfFrom(req),
+        maxDepth: req.query.max_depth,
+        limit: clampInt(req.query.limit, 3, 10),
+      });
+      if (!result) return res.status(404).json({ error: 'Entity not in graph' });
+      return res.json(result);
+    } catch (error) {
+      return fail(res, error);
+    }
   });
 
-  router.get('/entities/:slug/intelligence-score', (req, res) => {
-    const entity = resolveEntity(req);
-    if (!entity) return res.status(404).json({ error: 'Entity not found' });
-    res.json(computeIntelligenceScore(entity.id));
+  router.get('/graph/centrality', async (req, res) => {
+    try {
+      return res.json(await centralityRankings({
+        metric: req.query.metric || 'pagerank',
+        entityType: req.query.entity_type || null,
+        limit: clampInt(req.query.limit, 20, 100),
+        relationTypes: parseRelationTypes(req.query.relationship_types),
+        asOf: asOfFrom(req),
+      }));
+    } catch (error) {
+      return fail(res, error);
+    }
   });
 
-  router.get('/entities/:slug/timeline', (req, res) => {
-    const entity = resolveEntity(req);
-    if (!entity) return res.status(404).json({ error: 'Entity not found' });
-    res.json({ timeline: listTimelineEvents(entity.id, { limit: 50 }) });
+  router.get('/graph/communities', async (req, res) => {
+    try {
+      return res.json(await detectCommunities({
+        relationTypes: parseRelationTypes(req.query.relationship_types),
+        asOf: asOfFrom(req),
+        minSize: clampInt(req.query.min_size, 3, 1000),
+        limit: clampInt(req.query.limit, 20, 100),
+      }));
+    } catch (error) {
+      return fail(res, error);
+    }
+  });
+
+  router.get('/graph/entities/:slug/co-investors', async (req, res) => {
+    try {
+      const entity = await resolveEntity(req);
+      const result = entity && await coInvestors(entity.id, { asOf: asOfFrom(req), limit: clampInt(req.query.limit, 20, 100) });
+      if (!result) return res.status(404).json({ error: 'Entity not found' });
+      return res.json(result);
+    } catch (error) {
+      return fail(res, error);
+    }
+  });
+
+  router.get('/graph/entities/:slug/position', async (req, res) => {
+    try {
+      const entity = await resolveEntity(req);
+      const result = entity && await entityNetworkPosition(entity.id, { asOf: asOfFrom(req) });
+      if (!result) return res.status(404).json({ error: 'Entity not found' });
+      return res.json(result);
+    } catch (error) {
+      return fail(res, error);
+    }
+  });
+
+  router.get('/entities/:slug/relationships', async (req, res) => {
+    try {
+      const entity = await resolveEntity(req);
+      if (!entity) return res.status(404).json({ error: 'Entity not found' });
+      return res.json({ relationships: await getEntityRelationships(entity.id, { asOf: asOfFrom(req) }) });
+    } catch (error) {
+      return fail(res, error);
+    }
+  });
+
+  router.get('/entities/:slug/related', async (req, res) => {
+    try {
+      const entity = await resolveEntity(req);
+      if (!entity) return res.status(404).json({ error: 'Entity not found' });
+      return res.json({ related: await getRelatedContent(entity.id, { asOf: asOfFrom(req) }) });
+    } catch (error) {
+      return fail(res, error);
+    }
+  });
+
+  router.get('/entities/:slug/intelligence-score', async (req, res) => {
+    try {
+      const entity = await resolveEntity(req);
+      if (!entity) return res.status(404).json({ error: 'Entity not found' });
+      return res.json(await computeIntelligenceScore(entity.id));
+    } catch (error) {
+      return fail(res, error);
+    }
+  });
+
+  router.get('/entities/:slug/timeline', async (req, res) => {
+    try {
+      const entity = await resolveEntity(req);
+      if (!entity) return res.status(404).json({ error: 'Entity not found' });
+      return res.json({ timeline: await listTimelineEvents(entity.id, { limit: 50, asOf: asOfFrom(req) }) });
+    } catch (error) {
+      return fail(res, error);
+    }
   });
 
   router.post('/entities/:slug/summary', async (req, res) => {
-    const entity = resolveEntity(req);
-    if (!entity) return res.status(404).json({ error: 'Entity not found' });
-    const summary = await generateEntitySummary(entity.id, { force: true });
-    res.json({ summary, entity_id: entity.id });
+    try {
+      const entity = await resolveEntity(req);
+      if (!entity) return res.status(404).json({ error: 'Entity not found' });
+      const summary = await generateEntitySummary(entity.id, { force: true });
+      return res.json({ summary, entity_id: entity.id });
+    } catch (error) {
+      return fail(res, error);
+    }
+  });
+
+  router.get('/duplicates', async (req, res) => {
+    try {
+      return res.json(await findDuplicateCandidates({
+        entityType: req.query.entity_type || null,
+        minScore: req.query.min_score ? Number(req.query.min_score) : undefined,
+        limit: clampInt(req.query.limit, 50, 200),
+      }));
+    } catch (error) {
+      return fail(res, error);
+    }
+  });
+
+  router.get('/duplicates/reviews', async (req, res) => {
+    try {
+      return res.json({ reviews: await listDuplicateReviews({ limit: clampInt(req.query.limit, 50, 200) }) });
+    } catch (error) {
+      return fail(res, error);
+    }
+  });
+
+  router.post('/duplicates/dismiss', async (req, res) => {
+    try {
+      return res.json({ ok: true, review: await dismissDuplicate(req.body?.entity_ids, { actor: actorFrom(req) }) });
+    } catch (error) {
+      return fail(res, error);
+    }
+  });
+
+  router.post('/entities/:slug/merge', async (req, res) => {
+    try {
+      const survivor = await resolveEntity(req);
+      if (!survivor) return res.status(404).json({ error: 'Entity not found' });
+      const refs = Array.isArray(req.body?.duplicates) ? req.body.duplicates : [];
+      const duplicates = await Promise.all(refs.map((ref) => getEntityBySlug(ref).then((e) => e || getEntityById(ref))));
+      if (duplicates.some((d) => !d)) return res.status(404).json({ error: 'Duplicate entity not found' });
+      return res.json(await mergeEntities(survivor.id, duplicates.map((d) => d.id), { actor: actorFrom(req) }));
+    } catch (error) {
+      return fail(res, error);
+    }
   });
 
   router.get('/entity-types', (_req, res) => {
@@ -0,0 +1,77 @@
+import { Router } from 'express';
+import { actorFrom, authorize } from '../middleware/authorize.js';
+import {
+  getJob,
+  listJobRuns,
+  listJobs,
+  pauseJob,
+  resumeJob,
+  triggerJob,
+} from '../services/jobs/scheduler.js';
+
+// Background jobs are operations surface — admin only, reads included.
+const ROUTE_ROLES = [{ role: 'admin' }];
+
+function fail(res, e, fallback = 500) {
+  return res.status(e.status || fallback).json({ error: e.message });
+}
+
+export default function createJobsRouter() {
+  const router = Router();
+  router.use(authorize('jobs', ROUTE_ROLES));
+
+  router.get('/', async (_req, res) => {
+    try {
+      res.json({ jobs: await listJobs() });
+    } catch (e) {
+      fail(res, e);
+    }
+  });
+
+  router.get('/:id', async (req, res) => {
+    try {
+      const job = await getJob(req.params.id);
+      if (!job) return res.status(404).json({ error: 'Job not found' });
+      return res.json({ job, runs: await listJobRuns(req.params.id, { limit: req.query.limit }) });
+    } catch (e) {
+      return fail(res, e);
+    }
+  });
+
+  router.get('/:id/runs', async (req, res) => {
+    try {
+      res.json({ runs: await listJobRuns(req.params.id, { limit: req.query.limit, status: req.query.status }) });
+    } catch (e) {
+      fail(res, e);
+    }
+  });
+
+  /** Starts the run and answers at once; poll the job for its outcome. */
+  router.post('/:id/run', async (req, res) => {
+    try {
+      const { run, done } = await triggerJob(req.params.id, { actor: actorFrom(req) });
+      done.catch(() => {});
+      res.status(202).json({ run });
+    } catch (e) {
+      fail(res, e);
+    }
+  });
+
+  router.post('/:id/pause', async (req, res) => {
+    try {
+      res.json({ job: await pauseJob(req.params.id, actorFrom(req)) });
+    } catch (e) {
+      fail(res, e);
+    }
+  });
+
+  router.post('/:id/resume', async (req, res) => {
+    try {
+      res.json({ job: await resumeJob(req.params.id, actorFrom(req)) });
+    } catch (e) {
+      fail(res, e);
+    }
+  });
+
+  return router;
+}
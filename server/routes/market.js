@@ -4,8 +4,9 @@
  */
 
 import { Router } from 'express';
-import { getAgiIntelligence, getDashboardFromIntelligence } from '../services/intelligenceService.js';
-import { getDashboardData, getTickerData } from '../services/marketDataService.js';
+import { actorFrom, authorize, resolveRequestAuth } from '../middleware/authorize.js';
+import { getAgiIntelligence, getDashboardFromIntelligence, refreshAgiIntelligence } from '../services/intelligenceService.js';
+import { getDashboardData, getTickerData, refreshTickerData } from '../services/marketDataService.js';
 import { MARKET_REFRESH_MS } from '../config/marketRefresh.js';
 import { getGrowwHealth } from '../services/growwHealth.js';
 import { getUpstoxCapabilities, getUpstoxHealth } from '../services/upstoxHealth.js';
@@ -13,9 +14,49 @@ import { getMarketBriefing, startMarketBriefingScheduler } from '../services/mar
 import { getMacroBriefing, askMacroEconomist, startMacroBriefingScheduler } from '../services/macroBriefingService.js';
 import { getPreMarketBriefing, startPreMarketBriefingScheduler } from '../services/preMarketBriefingService.js';
 import { fetchYahooIndices } from '../providers/yahooIndices.js';
+import { getProviderRegistryStatus } from '../providers/registry.js';
+import { attachMarketStream, configureMarketStream, getMarketStreamStatus } from '../services/marketStream.js';
+import { getMarketBreadth, getMarketBreadthJobStatus, listBreadthSnapshots } from '../services/marketBreadth.js';
+import { BACKTEST_FRAMES, captureBacktestCandles, runModelBacktest } from '../services/modelBacktest.js';
+import {
+  addCandleAdjustment,
+  findCandleGaps,
+  getCandleStoreStatus,
+  getCandles,
+  listCandleAdjustments,
+  removeCandleAdjustment,
+} from '../services/candleStore.js';
+import {
+  getCalendarCoverage,
+  getMarketStatus,
+  listHolidays,
+  listSpecialSessions,
+  listTradingSessions,
+  toIstDate,
+} from '../services/marketCalendar.js';
+import { getOptionsSummary, refreshOptionChains } from '../services/optionsChain.js';
+import { triggerJob } from '../services/jobs/scheduler.js';
 
 const CACHE_CONTROL = `public, max-age=${Math.floor(MARKET_REFRESH_MS / 1000)}, stale-while-revalidate=60`;
 
+// Bootstrap / refresh / backfill triggers spend provider quota — admin only.
+// Macro Q&A is a reader-facing feature and stays public.
+const ROUTE_ROLES = [
+  { methods: ['POST'], path: '/macro-ask', role: 'public' },
+  // Backtests expose raw model scores and are CPU-heavy.
+  { methods: ['GET'], path: '/models/backtest', role: 'admin' },
+  // Raw stored candles and store diagnostics are backend-only.
+  { methods: ['GET'], path: '/candles', role: 'admin' },
+  // Hedge Fund research-queue technicals stay admin-only, like its quotes.
+  { methods: ['GET'], path: '/hedge-fund-upstox-candles/status', role: 'admin' },
+  { role: 'admin' },
+];
+
+function probeSummary(settled) {
+  if (settled.status !== 'fulfilled') return { ok: false, message: settled.reason?.message || null };
+  return { ok: Boolean(settled.value?.ok), message: settled.value?.message || null };
+}
+
 function sendJson(res, data) {
   res.set('Cache-Control', CACHE_CONTROL);
   return res.status(200).json(data);
@@ -25,7 +66,76 @@ export default function createMarketRouter(env = {}) {
   startMarketBriefingScheduler();
   startMacroBriefingScheduler();
   startPreMarketBriefingScheduler();
+  configureMarketStream({
+    ticker: () => refreshTickerData(env),
+    intelligence: () => refreshAgiIntelligence(env),
+  });
   const router = Router();
+  router.use(authorize('market', ROUTE_ROLES));
+
+  // Live market stream (SSE) — ?topics=ticker,pulse,breadth (quotes: admin); resumes via Last-Event-ID.
+  router.get('/stream', async (req, res) => {
+    const auth = await resolveRequestAuth(req);
+    attachMarketStream(req, res, { role: auth?.role || 'public' });
+  });
+
+  router.get('/stream/status', (_req, res) => {
+    res.set('Cache-Control', 'no-store');
+    return res.status(200).json({ ok: true, ...getMarketStreamStatus() });
+  });
+
+  // NSE/BSE trading calendar — ?from=YYYY-MM-DD&days=14 sessions, ?year= holiday list.
+  router.get('/calendar', (req, res) => {
+    try {
+      const from = toIstDate(req.query.from || new Date());
+      const year = Number(req.query.year) || Number(from.slice(0, 4));
+      res.set('Cache-Control', 'public, max-age=60');
+      return res.status(200).json({
+        ok: true,
+        ...getCalendarCoverage(),
+        status: getMarketStatus(),
+        sessions: listTradingSessions(from, req.query.days),
+        holidays: listHolidays(year),
+        special_sessions: listSpecialSessions(year),
+      });
+    } catch (err) {
+      if (err.status === 400) return res.status(400).json({ error: 'invalid_date', detail: err.message });
+      return res.status(500).json({ error: 'calendar_failed', detail: err?.message || String(err) });
+    }
+  });
+
+  // Constituent breadth — current session snapshot, ?history=N recent sessions.
+  router.get('/breadth', async (req, res) => {
+    try {
+      const [snapshot, history] = await Promise.all([
+        getMarketBreadth(),
+        req.query.history ? listBreadthSnapshots({ limit: req.query.history }) : null,
+      ]);
+      res.set('Cache-Control', CACHE_CONTROL);
+      return res.status(200).json({ ok: true, snapshot, history, job: await getMarketBreadthJobStatus() });
+    } catch (err) {
+      return res.status(500).json({ error: 'breadth_failed', detail: err?.message || String(err) });
+    }
+  });
+
+  // Index options — PCR, max pain, OI build-up, IV percentile and skew per underlying.
+  router.get('/options', async (_req, res) => {
+    try {
+      res.set('Cache-Control', CACHE_CONTROL);
+      return res.status(200).json({ ok: true, ...(await getOptionsSummary()) });
+    } catch (err) {
+      return res.status(500).json({ error: 'options_failed', detail: err?.message || String(err) });
+    }
+  });
+
+  router.post('/options/refresh', async (_req, res) => {
+    try {
+      const result = await refreshOptionChains({ force: true });
+      return res.status(result.ok ? 200 : 502).json(result);
+    } catch (err) {
+      return res.status(500).json({ error: 'options_refresh_failed', detail: err?.message || String(err) });
+    }
+  });
 
   router.get('/groww-health', async (_req, res) => {
     if (process.env.DEBUG_GROWW !== 'true' && process.env.NODE_ENV === 'production') {
@@ -63,6 +173,147 @@ export default function createMarketRouter(env = {}) {
     }
   });
 
+  // Provider registry — priority per instrument class and breaker state.
+  router.get('/providers', (_req, res) => {
+    res.set('Cache-Control', 'no-store');
+    return res.status(200).json({ ok: true, ...getProviderRegistryStatus({ env }) });
+  });
+
+  // Re-run the Groww/Upstox probes so their breakers reflect current health.
+  router.post('/providers/probe', async (_req, res) => {
+    const [groww, upstox] = await Promise.allSettled([getGrowwHealth(), getUpstoxHealth({})]);
+    return res.status(200).json({
+      ok: true,
+      probes: { groww: probeSummary(groww), upstox: probeSummary(upstox) },
+      ...getProviderRegistryStatus({ env }),
+    });
+  });
+
+  // Model backtest — replays stored candles through the published index models.
+  router.get('/models/backtest', async (req, res) => {
+    const frame = typeof req.query.frame === 'string' ? req.query.frame : 'daily';
+    if (!BACKTEST_FRAMES[frame]) {
+      return res.status(400).json({ error: 'invalid_frame', detail: `frame must be one of ${Object.keys(BACKTEST_FRAMES).join(', ')}` });
+    }
+    const list = (value) => (typeof value === 'string' && value ? value.split(',').map((v) => v.trim()).filter(Boolean) : undefined);
+    try {
+      const report = await runModelBacktest({
+        frame,
+        indices: list(req.query.indices),
+        horizons: list(req.query.horizons)?.map(Number).filter((h) => Number.isInteger(h) && h > 0),
+        flatPct: req.query.flatPct != null ? Number(req.query.flatPct) : undefined,
+        step: req.query.step != null ? Number(req.query.step) : undefined,
+      });
+      res.set('Cache-Control', 'no-store');
+      return res.status(200).json({ ok: true, ...report });
+    } catch (err) {
+      return res.status(500).json({ error: 'backtest_failed', detail: err?.message || String(err) });
+    }
+  });
+
+  // Snapshot long candle history from the candle store for replay (spends quota for missing sessions).
+  router.post('/models/backtest/capture', async (req, res) => {
+    const frames = Array.isArray(req.body?.frames) ? req.body.frames.filter((f) => BACKTEST_FRAMES[f]) : undefined;
+    const indices = Array.isArray(req.body?.indices) ? req.body.indices : undefined;
+    try {
+      const result = await captureBacktestCandles({ indices, frames: frames?.length ? frames : undefined, env });
+      return res.status(200).json({ ok: result.failed.length === 0, ...result });
+    } catch (err) {
+      return res.status(500).json({ error: 'backtest_capture_failed', detail: err?.message || String(err) });
+    }
+  });
+
+  // Candle store — tracked series, gap reports, backfill and split/bonus adjustments.
+  const candleInstrument = (query) => ({
+    exchange: typeof query.exchange === 'string' ? query.exchange : 'NSE',
+    symbol: typeof query.symbol === 'string' ? query.symbol : undefined,
+    class: query.class === 'equity' ? 'equity' : 'index',
+    isin: typeof query.isin === 'string' ? query.isin : undefined,
+  });
+  const candleFail = (res, err, error) => res.status(err?.status || 500).json({ error, detail: err?.message || String(err) });
+
+  router.get('/candles/status', async (_req, res) => {
+    try {
+      res.set('Cache-Control', 'no-store');
+      return res.status(200).json({ ok: true, ...(await getCandleStoreStatus()) });
+    } catch (err) {
+      return candleFail(res, err, 'candle_status_failed');
+    }
+  });
+
+  // ?symbol=NIFTY&interval=1h&days=60 — reads only; ?backfill=true also fetches missing sessions.
+  router.get('/candles', async (req, res) => {
+    try {
+      const result = await getCandles(candleInstrument(req.query), {
+        interval: req.query.interval || '1d',
+        days: req.query.days ? Number(req.query.days) : undefined,
+        from: req.query.from || undefined,
+        to: req.query.to || undefined,
+        adjusted: req.query.adjusted !== 'false',
+        backfill: req.query.backfill === 'true',
+        ctx: { env },
+      });
+      res.set('Cache-Control', 'no-store');
+      return res.status(200).json({ ok: true, ...result });
+    } catch (err) {
+      return candleFail(res, err, 'candles_failed');
+    }
+  });
+
+  router.get('/candles/gaps', async (req, res) => {
+    try {
+      const report = await findCandleGaps(candleInstrument(req.query), {
+        interval: req.query.interval || '1d',
+        days: req.query.days ? Number(req.query.days) : undefined,
+      });
+      res.set('Cache-Control', 'no-store');
+      return res.status(200).json({ ok: true, ...report });
+    } catch (err) {
+      return candleFail(res, err, 'candle_gaps_failed');
+    }
+  });
+
+  // Runs as the candle-backfill job and answers at once; poll /api/jobs/candle-backfill for the outcome.
+  router.post('/candles/backfill', async (req, res) => {
+    try {
+      const intervals = Array.isArray(req.body?.intervals) ? req.body.intervals : undefined;
+      const { run, done } = await triggerJob('candle-backfill', {
+        actor: actorFrom(req),
+        params: { ...(intervals ? { intervals } : {}), repair: req.body?.repair === true },
+      });
+      done.catch(() => {});
+      return res.status(202).json({ ok: true, run });
+    } catch (err) {
+      return candleFail(res, err, 'candle_backfill_failed');
+    }
+  });
+
+  router.get('/candles/adjustments', async (req, res) => {
+    try {
+      const instrument = String(req.query.instrument || '').toUpperCase();
+      if (!instrument) return res.status(400).json({ error: 'instrument_required', detail: 'instrument=EXCHANGE:SYMBOL' });
+      return res.status(200).json({ ok: true, adjustments: await listCandleAdjustments(instrument) });
+    } catch (err) {
+      return candleFail(res, err, 'candle_adjustments_failed');
+    }
+  });
+
+  router.post('/candles/adjustments', async (req, res) => {
+    try {
+      return res.status(201).json({ ok: true, adjustment: await addCandleAdjustment(req.body || {}, actorFrom(req)) });
+    } catch (err) {
+      return candleFail(res, err, 'candle_adjustment_failed');
+    }
+  });
+
+  router.delete('/candles/adjustments/:id', async (req, res) => {
+    try {
+      return res.status(200).json({ ok: true, ...(await removeCandleAdjustment(req.params.id)) });
+    } catch (err) {
+      return candleFail(res, err, 'candle_adjustment_failed');
+    }
+  });
+
   // Operational status only: confirms whether Hedge Fund candidates are being
   // refreshed from Groww without exposing quotes or credentials.
   router.get('/hedge-fund-live-quotes/status', async (_req, res) => {
@@ -70,9 +321,11 @@ export default function createMarketRouter(env = {}) {
     return res.status(200).json({ ok: true, ...getHedgeFundLiveQuoteStatus() });
   });
 
-  router.get('/hedge-fund-upstox-candles/status', async (_req, res) => {
+  // ?ticker=ACME adds that ticker's streamed daily / intraday indicator snapshots.
+  router.get('/hedge-fund-upstox-candles/status', async (req, res) => {
     const { getHedgeFundUpstoxCandleStatus } = await import('../services/hedgeFundUpstoxCandleScheduler.js');
-    return res.status(200).json({ ok: true, ...getHedgeFundUpstoxCandleStatus() });
+    const ticker = typeof req.query.ticker === 'string' ? req.query.ticker.trim() : undefined;
+    return res.status(200).json({ ok: true, ...getHedgeFundUpstoxCandleStatus({ ticker }) });
   });
 
   // Upstox fundamentals probe — corporate-actions pull (no secrets in response)
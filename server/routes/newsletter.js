@@ -1,5 +1,6 @@
-import { Router } from 'express';
+import express, { Router } from 'express';
 import rateLimit from 'express-rate-limit';
+import { authorize } from '../middleware/authorize.js';
 import {
   getLetter,
   letterDisplayFrom,
@@ -7,9 +8,49 @@ import {
   normalizePreferences,
   selectedLetterNames,
 } from '../lib/agiLetters.js';
+import {
+  TRACKING_PIXEL,
+  cancelScheduledCampaign,
+  createSegment,
+  decideAbTest,
+  deleteSegment,
+  emailProviderStatus,
+  getAnalytics,
+  getCampaignDetail,
+  handleProviderWebhook,
+  listCampaigns,
+  listPublishJobs,
+  listSegments,
+  pauseCampaign,
+  previewSegment,
+  processSendQueue,
+  publishArticleWorkflow,
+  queueStats,
+  recordClick,
+  recordOpen,
+  rescheduleCampaign,
+  resolveSendTime,
+  resumeCampaign,
+  updatePreferences,
+  updateSegment,
+  verifyTrackingToken,
+} from '../services/publishing/index.js';
 
 const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
 
+// Signup welcome is public; new-article blasts come from the article CMS (authors).
+const ROUTE_ROLES = [
+  { methods: ['POST'], path: '/welcome', role: 'public' },
+  { methods: ['POST'], path: '/notify-subscribers', role: 'author' },
+  // Provider callbacks authenticate with a signature / shared token instead (services/publishing/webhooks.js).
+  { methods: ['POST'], path: '/webhooks/', role: 'public' },
+  // Readers manage their own topics / tracking opt-out from the unsubscribe page;
+  // the signed unsubscribe token in their link is the credential. Lookups by email are admin only.
+  { methods: ['PATCH'], path: '/preferences', role: 'public' },
+  { methods: ['GET'], path: /^\/(queue|campaigns|jobs|analytics|segments)(\/|$)/, role: 'admin' },
+  { role: 'admin' },
+];
+
 function siteUrl() {
   return (process.env.PUBLIC_SITE_URL || process.env.BASE_URL || 'https://agarwalglobalinvestments.com').replace(
     /\/$/,
@@ -199,6 +240,7 @@ function welcomeHtml(email, preferences = {}) {
 
 export default function createNewsletterRouter() {
   const router = Router();
+  router.use(authorize('newsletter', ROUTE_ROLES));
 
   const notifyLimiter = rateLimit({
     windowMs: 15 * 60 * 1000,
@@ -359,5 +401,245 @@ export default function createNewsletterRouter() {
     }
   });
 
+  router.patch('/preferences', async (req, res) => {
+    try {
+      const { token, preferences } = req.body || {};
+      if (!token || typeof token !== 'string') {
+        return res.status(400).json({ error: 'The token from your email preferences link is required.' });
+      }
+      const result = await updatePreferences({ token, preferences: preferences || {} });
+      return res.status(result.ok ? 200 : result.status).json(result.ok ? result : { error: result.error });
+    } catch (err) {
+      return res.status(500).json({ error: err.message });
+    }
+  });
+
+  // Admin: change a subscriber's preferences by address (e.g. on a reader's request).
+  router.patch('/subscribers/preferences', async (req, res) => {
+    try {
+      const { email, preferences } = req.body || {};
+      if (!email || typeof email !== 'string') return res.status(400).json({ error: 'email is required.' });
+      const result = await updatePreferences({ email, preferences: preferences || {} });
+      return res.status(result.ok ? 200 : result.status).json(result.ok ? result : { error: result.error });
+    } catch (err) {
+      return res.status(500).json({ error: err.message });
+    }
+  });
+
+  // Open pixel — always answers with the GIF so a bad token never shows a broken image.
+  router.get('/t/o/:token', async (req, res) => {
+    const payload = verifyTrackingToken(req.params.token);
+    if (payload) {
+      await recordOpen(payload).catch((err) => console.warn('[newsletter/track-open]', err.message));
+    }
+    res.set({
+      'Content-Type': 'image/gif',
+      'Cache-Control': 'no-store, no-cache, must-revalidate, private',
+      'Referrer-Policy': 'no-referrer',
+    });
+    return res.end(TRACKING_PIXEL);
+  });
+
+  // Signed click redirect — unsigned or tampered links go to the site home, never elsewhere.
+  router.get('/t/c/:token', async (req, res) => {
+    const payload = verifyTrackingToken(req.params.token);
+    if (!payload?.u || !/^https?:\/\//i.test(payload.u)) return res.redirect(302, siteUrl());
+    await recordClick(payload).catch((err) => console.warn('[newsletter/track-click]', err.message));
+    res.set('Cache-Control', 'no-store');
+    return res.redirect(302, payload.u);
+  });
+
+  router.get('/analytics', async (_req, res) => {
+    try {
+      return res.json(await getAnalytics());
+    } catch (err) {
+      return res.status(500).json({ error: err.message });
+    }
+  });
+
+  // Research distribution: queue the newsletter leg and return (202) — the queue worker sends it.
+  router.post('/send', async (req, res) => {
+    try {
+      const article = req.body?.article || req.body || {};
+      if (!String(article.title || '').trim()) {
+        return res.status(400).json({ error: 'article.title is required.' });
+      }
+      const result = await publishArticleWorkflow(article, {
+        segment: req.body?.segment || 'all',
+        segments: req.body?.segments,
+        excludeSegments: req.body?.exclude_segments,
+        frequencyCap: req.body?.frequency_cap,
+        scheduleAt: req.body?.schedule_at,
+        marketDays: Boolean(req.body?.market_days),
+        abTest: req.body?.ab_test,
+        dryRun: Boolean(req.body?.dryRun),
+      });
+      return res.status(202).json(result);
+    } catch (err) {
+      console.error('[newsletter/send]', err?.message || err);
+      return res.status(err.status || 500).json({ error: err.message });
+    }
+  });
+
+  // Saved targeting rules (services/publishing/segments.js); built-ins are listed read-only.
+  router.get('/segments', async (_req, res) => {
+    try {
+      return res.json({ ok: true, segments: await listSegments() });
+    } catch (err) {
+      return res.status(500).json({ error: err.message });
+    }
+  });
+
+  router.post('/segments/preview', async (req, res) => {
+    try {
+      const body = req.body || {};
+      const preview = await previewSegment({
+        segment: body.segment,
+        rules: body.rules,
+        segments: body.segments,
+        exclude: body.exclude_segments,
+        frequencyCap: body.frequency_cap,
+        sample: body.sample,
+      });
+      return res.json({ ok: true, ...preview });
+    } catch (err) {
+      return res.status(err.status || 500).json({ error: err.message });
+    }
+  });
+
+  router.post('/segments', async (req, res) => {
+    try {
+      const result = await createSegment(req.body || {}, req.auth?.email);
+      return res.status(result.ok ? 201 : result.status).json(result.ok ? result : { error: result.error });
+    } catch (err) {
+      return res.status(500).json({ error: err.message });
+    }
+  });
+
+  router.patch('/segments/:id', async (req, res) => {
+    try {
+      const result = await updateSegment(req.params.id, req.body || {}, req.auth?.email);
+      return res.status(result.ok ? 200 : result.status).json(result.ok ? result : { error: result.error });
+    } catch (err) {
+      return res.status(500).json({ error: err.message });
+    }
+  });
+
+  router.delete('/segments/:id', async (req, res) => {
+    try {
+      const result = await deleteSegment(req.params.id);
+      return res.status(result.ok ? 200 : result.status).json(result.ok ? result : { error: result.error });
+    } catch (err) {
+      return res.status(500).json({ error: err.message });
+    }
+  });
+
+  router.get('/queue', async (req, res) => {
+    try {
+      const stats = await queueStats({ campaignId: req.query.campaign_id || undefined });
+      return res.json({ ok: true, ...stats, providers: emailProviderStatus() });
+    } catch (err) {
+      return res.status(500).json({ error: err.message });
+    }
+  });
+
+  router.post('/queue/process', async (_req, res) => {
+    try {
+      return res.json({ ok: true, ...(await processSendQueue()) });
+    } catch (err) {
+      return res.status(500).json({ error: err.message });
+    }
+  });
+
+  router.get('/campaigns', async (req, res) => {
+    try {
+      return res.json({ ok: true, campaigns: await listCampaigns(Math.min(Number(req.query.limit) || 50, 200)) });
+    } catch (err) {
+      return res.status(500).json({ error: err.message });
+    }
+  });
+
+  router.get('/jobs', async (req, res) => {
+    try {
+      return res.json({ ok: true, jobs: await listPublishJobs(Math.min(Number(req.query.limit) || 50, 200)) });
+    } catch (err) {
+      return res.status(500).json({ error: err.message });
+    }
+  });
+
+  router.get('/campaigns/:id', async (req, res) => {
+    try {
+      const result = await getCampaignDetail(req.params.id);
+      return res.status(result.ok ? 200 : result.status).json(result.ok ? result : { error: result.error });
+    } catch (err) {
+      return res.status(500).json({ error: err.message });
+    }
+  });
+
+  router.post('/campaigns/:id/cancel', async (req, res) => {
+    try {
+      const result = await cancelScheduledCampaign(req.params.id);
+      return res.status(result.ok ? 200 : result.status).json(result.ok ? result : { error: result.error });
+    } catch (err) {
+      return res.status(500).json({ error: err.message });
+    }
+  });
+
+  router.post('/campaigns/:id/reschedule', async (req, res) => {
+    try {
+      const schedule = resolveSendTime(req.body?.schedule_at, { marketDays: Boolean(req.body?.market_days) });
+      const result = await rescheduleCampaign(req.params.id, schedule);
+      return res.status(result.ok ? 200 : result.status).json(result.ok ? result : { error: result.error });
+    } catch (err) {
+      return res.status(err.status || 500).json({ error: err.message });
+    }
+  });
+
+  // Close an A/B test now instead of waiting for its window.
+  router.post('/campaigns/:id/ab/decide', async (req, res) => {
+    try {
+      const result = await decideAbTest(req.params.id, { force: true });
+      return res.status(result.ok ? 200 : result.status).json(result.ok ? result : { error: result.error });
+    } catch (err) {
+      return res.status(500).json({ error: err.message });
+    }
+  });
+
+  router.post('/campaigns/:id/pause', async (req, res) => {
+    try {
+      const result = await pauseCampaign(req.params.id);
+      return res.status(result.ok ? 200 : result.status).json(result.ok ? result : { error: result.error });
+    } catch (err) {
+      return res.status(500).json({ error: err.message });
+    }
+  });
+
+  router.post('/campaigns/:id/resume', async (req, res) => {
+    try {
+      const result = await resumeCampaign(req.params.id, { retryFailed: Boolean(req.body?.retryFailed) });
+      return res.status(result.ok ? 200 : result.status).json(result.ok ? result : { error: result.error });
+    } catch (err) {
+      return res.status(500).json({ error: err.message });
+    }
+  });
+
+  // SNS posts text/plain; JSON bodies were already parsed (raw bytes kept by server/index.js).
+  router.post('/webhooks/:provider', express.text({ type: () => true, limit: '1mb' }), async (req, res) => {
+    try {
+      const rawBody = req.rawBody ? req.rawBody.toString('utf8') : typeof req.body === 'string' ? req.body : '';
+      const result = await handleProviderWebhook(req.params.provider, {
+        headers: req.headers,
+        query: req.query,
+        rawBody,
+        body: typeof req.body === 'string' ? undefined : req.body,
+      });
+      if (!result.ok) return res.status(result.status || 400).json({ error: result.error });
+      return res.json(result);
+    } catch (err) {
+      console.error('[newsletter/webhooks]', err?.message || err);
+      return res.status(500).json({ error: 'Webhook processing failed.' });
+    }
+  });
+
   return router;
 }
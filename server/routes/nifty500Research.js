@@ -1,4 +1,5 @@
 import { Router } from 'express';
+import { authorize } from '../middleware/authorize.js';
 import {
   getResearchSummary,
   getStockResearch,
@@ -18,8 +19,12 @@ function sendError(res, error) {
   return res.status(502).json({ error: 'Unable to load Nifty 500 research.' });
 }
 
+// Read-only surface; any future write route defaults to admin.
+const ROUTE_ROLES = [{ role: 'admin' }];
+
 export default function createNifty500ResearchRouter() {
   const router = Router();
+  router.use(authorize('nifty500-research', ROUTE_ROLES));
 
   async function summaryHandler(_req, res) {
     try {
@@ -1,8 +1,13 @@
 import { Router } from 'express';
+import { authorize } from '../middleware/authorize.js';
 import { getPeFirm, getPeOverview, listPeFirms } from '../services/peIntelligenceService.js';
 
+// Read-only surface; any future write route defaults to admin.
+const ROUTE_ROLES = [{ role: 'admin' }];
+
 export default function createPeIntelligenceRouter() {
   const router = Router();
+  router.use(authorize('pe-intelligence', ROUTE_ROLES));
 
   router.get('/overview', (req, res) => {
     const sector = req.query.sector || null;
@@ -5,6 +5,7 @@
  */
 
 import { Router } from 'express';
+import { authorize } from '../middleware/authorize.js';
 import {
   cachedMarketSnapshot,
   enrichHomePayload,
@@ -17,6 +18,7 @@ import {
   marketCycleCacheMaxAgeSeconds,
   oncePerMarketCycle,
 } from '../config/marketRefresh.js';
+import { getMarketStatus } from '../services/marketCalendar.js';
 
 function engineConfig() {
   let baseUrl = (process.env.INTELLIGENCE_ENGINE_URL || 'http://127.0.0.1:8100').replace(/\/$/, '');
@@ -354,36 +356,37 @@ async function buildMarketSnapshotFresh() {
   }));
 }
 
+function hoursMinutes(ms) {
+  const mins = Math.max(0, Math.round(ms / 60_000));
+  return `${Math.floor(mins / 60)}h ${mins % 60}m`;
+}
+
 function marketSessionNow() {
-  const now = new Date();
-  // Approximate IST session 09:15–15:30
-  const ist = new Date(now.toLocaleString('en-US', { timeZone: 'Asia/Kolkata' }));
-  const mins = ist.getHours() * 60 + ist.getMinutes();
-  const open = 9 * 60 + 15;
-  const close = 15 * 60 + 30;
-  const weekday = ist.getDay();
-  if (weekday === 0 || weekday === 6 || mins < open || mins > close) {
-    const nextOpen = open;
-    let remaining = nextOpen - mins;
-    if (mins > close) remaining = 24 * 60 - mins + open;
-    if (weekday === 6) remaining += 24 * 60;
-    if (weekday === 0) remaining += 0;
+  const now = Date.now();
+  const status = getMarketStatus(now);
+  if (status.open) {
     return {
-      status: 'closed',
-      label: 'Market Closed',
-      time_remaining: `${Math.max(0, Math.floor(remaining / 60))}h ${Math.abs(remaining % 60)}m to open`,
+      status: 'open',
+      label: status.session.kind === 'regular' ? 'Market Open' : `${status.session.label} Open`,
+      time_remaining: `${hoursMinutes(Date.parse(status.next_close_at) - now)} remaining`,
     };
   }
-  const remaining = close - mins;
   return {
-    status: 'open',
-    label: 'Market Open',
-    time_remaining: `${Math.floor(remaining / 60)}h ${remaining % 60}m remaining`,
+    status: 'closed',
+    label: status.phase === 'holiday' ? `Market Closed — ${status.session.label}` : 'Market Closed',
+    time_remaining: status.next_open_at ? `${hoursMinutes(Date.parse(status.next_open_at) - now)} to open` : null,
   };
 }
 
+// Universal search is a reader feature; nothing else on /api/ui mutates state.
+const ROUTE_ROLES = [
+  { methods: ['POST'], path: '/search', role: 'public' },
+  { role: 'admin' },
+];
+
 export default function createUiRouter() {
   const router = Router();
+  router.use(authorize('ui', ROUTE_ROLES));
 
   router.get('/health', async (_req, res) => {
     // BFF homepage enrichment can serve /api/ui/home without the Python engine.
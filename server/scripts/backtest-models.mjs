@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+/**
+ * Backtest the published index models against stored candles — run from server folder:
+ *   node scripts/backtest-models.mjs [--capture] [--frame daily|hourly] [--indices nifty50,banknifty]
+ *                                    [--horizons 5,20] [--flat-pct 1] [--step 1] [--json out.json]
+ *
+ * --capture pulls fresh history through the provider registry first.
+ * Loads server/.env — prints hit rates and calibration only, never prices.
+ */
+
+import dotenv from 'dotenv';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+dotenv.config({ path: path.join(__dirname, '../.env') });
+
+const { BACKTEST_MODELS, captureBacktestCandles, runModelBacktest } = await import('../services/modelBacktest.js');
+
+function arg(name) {
+  const idx = process.argv.indexOf(`--${name}`);
+  return idx >= 0 ? process.argv[idx + 1] : undefined;
+}
+
+const list = (value) => (value ? value.split(',').map((v) => v.trim()).filter(Boolean) : undefined);
+const pct = (value) => (value == null ? '   —' : `${(value * 100).toFixed(1).padStart(5)}%`);
+
+const frame = arg('frame') || 'daily';
+const indices = list(arg('indices'));
+
+if (process.argv.includes('--capture')) {
+  const { captured, failed } = await captureBacktestCandles({ indices, frames: [frame] });
+  for (const row of captured) console.log(`captured ${row.index}/${row.frame}: ${row.bars} bars via ${row.provider}`);
+  for (const row of failed) console.warn(`capture failed ${row.index}/${row.frame}: ${row.error}`);
+}
+
+const report = await runModelBacktest({
+  frame,
+  indices,
+  horizons: list(arg('horizons'))?.map(Number),
+  flatPct: arg('flat-pct') != null ? Number(arg('flat-pct')) : undefined,
+  step: arg('step') != null ? Number(arg('step')) : undefined,
+});
+
+console.log(`\nModel backtest — ${report.frame}, horizons ${report.horizons.join('/')} bars, flat ±${report.flatPct}%`);
+for (const index of report.indices) {
+  console.log(`\n${index.label} (${index.bars} bars, ${index.from?.slice(0, 10)} → ${index.to?.slice(0, 10)})`);
+  for (const model of BACKTEST_MODELS) {
+    for (const [h, s] of Object.entries(index.models[model].horizons)) {
+      console.log(
+        `  ${model.padEnd(18)} h=${String(h).padEnd(3)} n=${String(s.calls).padEnd(5)}`
+        + ` hit ${pct(s.hitRate)}  directional ${pct(s.directionalHitRate)}`
+        + `  ECE ${s.calibration.ece ?? '—'}  Brier ${s.calibration.brier ?? '—'}`
+      );
+    }
+  }
+}
+if (report.missing.length) {
+  console.log(`\nNo stored ${report.frame} candles for: ${report.missing.join(', ')} (run with --capture)`);
+}
+
+const out = arg('json');
+if (out) {
+  fs.writeFileSync(out, JSON.stringify(report, null, 2));
+  console.log(`\nFull report written to ${out}`);
+}
@@ -0,0 +1,47 @@
+#!/usr/bin/env node
+/**
+ * One-shot import of the legacy JSON stores into the storage adapter — run from server folder:
+ *   node scripts/migrate-json-to-storage.mjs [--dry-run] [--force] [--data-dir ./data]
+ *
+ * Reads data/newsletter/*.json, data/intelligence_cms/*.json and
+ * data/intelligence_platform/*.json; writes to STORAGE_BACKEND (sqlite by default).
+ * Loads server/.env. A second run is a no-op unless --force.
+ */
+
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+dotenv.config({ path: path.join(__dirname, '../.env') });
+
+const { closeStorage, storageInfo } = await import('../storage/index.js');
+const { LEGACY_DATA_DIR, importLegacyJson } = await import('../storage/importJson.js');
+
+function arg(name) {
+  const idx = process.argv.indexOf(`--${name}`);
+  return idx >= 0 ? process.argv[idx + 1] : undefined;
+}
+
+const dataDir = arg('data-dir') ? path.resolve(arg('data-dir')) : LEGACY_DATA_DIR;
+const info = await storageInfo();
+console.log(`Importing ${dataDir} → ${info.backend}${info.file ? ` (${info.file})` : ''}`);
+
+try {
+  const result = await importLegacyJson({
+    dataDir,
+    force: process.argv.includes('--force'),
+    dryRun: process.argv.includes('--dry-run'),
+  });
+  if (result.skipped) {
+    console.log(`Already imported at ${result.previous.imported_at} — pass --force to re-run.`);
+  } else {
+    for (const [collection, row] of Object.entries(result.collections)) {
+      const detail = row.status === 'missing' ? '' : ` ${row.rows} rows${row.dropped ? `, ${row.dropped} dropped` : ''}${row.existing ? `, ${row.existing} already stored` : ''}`;
+      console.log(`  ${collection.padEnd(24)} ${row.status.padEnd(18)}${detail}`);
+    }
+    if (result.dryRun) console.log('\nDry run — nothing written.');
+  }
+} finally {
+  await closeStorage();
+}
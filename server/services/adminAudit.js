@@ -0,0 +1,93 @@
+/**
+ * Admin audit log — who triggered which privileged operation.
+ *
+ * Append-only JSONL on disk (survives restarts on Render persistent disks) plus
+ * a small in-memory ring so Mission Control can read recent entries without
+ * re-parsing the file on every poll.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+
+const RING_SIZE = 500;
+const ring = [];
+let ringLoaded = false;
+
+function auditDir() {
+  const root = process.env.ADMIN_AUDIT_DIR
+    || process.env.KIP_DATA_DIR
+    || path.join(process.cwd(), 'data');
+  const dir = path.join(root, 'admin_audit');
+  fs.mkdirSync(dir, { recursive: true });
+  return dir;
+}
+
+function auditPath() {
+  return process.env.ADMIN_AUDIT_PATH || path.join(auditDir(), 'audit.jsonl');
+}
+
+function loadRing() {
+  if (ringLoaded) return;
+  ringLoaded = true;
+  try {
+    const file = auditPath();
+    if (!fs.existsSync(file)) return;
+    const lines = fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).slice(-RING_SIZE);
+    for (const line of lines) {
+      try {
+        ring.push(JSON.parse(line));
+      } catch {
+        /* skip torn line */
+      }
+    }
+  } catch (err) {
+    console.warn('[admin-audit] could not read log:', err?.message || err);
+  }
+}
+
+export function recordAdminAudit(entry = {}) {
+  loadRing();
+  const row = {
+    id: crypto.randomUUID(),
+    at: new Date().toISOString(),
+    scope: entry.scope || null,
+    method: entry.method || null,
+    path: entry.path || null,
+    required_role: entry.requiredRole || null,
+    outcome: entry.outcome || 'allowed',
+    status: entry.status ?? null,
+    actor: entry.actor || null,
+    ip: entry.ip || null,
+  };
+  ring.push(row);
+  if (ring.length > RING_SIZE) ring.splice(0, ring.length - RING_SIZE);
+  try {
+    fs.appendFileSync(auditPath(), `${JSON.stringify(row)}\n`, 'utf8');
+  } catch (err) {
+    console.warn('[admin-audit] write failed:', err?.message || err);
+  }
+  return row;
+}
+
+export function listAdminAudit({ limit = 100, scope = null, actor = null, outcome = null } = {}) {
+  loadRing();
+  const needle = actor ? String(actor).toLowerCase() : null;
+  const rows = ring.filter((row) => {
+    if (scope && row.scope !== scope) return false;
+    if (outcome && row.outcome !== outcome) return false;
+    if (needle) {
+      const id = String(row.actor?.id || '').toLowerCase();
+      const email = String(row.actor?.email || '').toLowerCase();
+      if (id !== needle && email !== needle) return false;
+    }
+    return true;
+  });
+  const n = Math.min(Math.max(Number(limit) || 100, 1), RING_SIZE);
+  return rows.slice(-n).reverse();
+}
+
+export function resetAdminAuditForTests() {
+  ring.length = 0;
+  ringLoaded = true;
+}
@@ -4,12 +4,17 @@
  */
 
 export function generateAgiSummary(intelligence) {
+  if (intelligence.dataQuality?.withheld) {
+    const why = intelligence.dataQuality.reasons?.slice(0, 2).join('; ');
+    return `The AGI market read is withheld — inputs are insufficient${why ? ` (${why})` : ''}. No outlook or confidence is published until they recover.`;
+  }
+
   const {
     outlook = 'Neutral',
     momentum = 'Moderate',
     marketBreadth = 'Neutral',
-    topSector = 'Capital Goods',
-    weakestSector = 'FMCG',
+    topSector = null,
+    weakestSector = null,
     volatility = 'Medium',
     risk = 'Medium',
     confidence = 0,
@@ -26,15 +31,15 @@ export function generateAgiSummary(intelligence) {
     parts.push(`Markets are ${outlook.toLowerCase()} with ${momentum.toLowerCase()} momentum.`);
   }
 
-  if (marketBreadth.includes('Positive')) {
+  if (marketBreadth?.includes('Positive')) {
     parts.push(`Market breadth is ${marketBreadth.toLowerCase()}, supporting the current trend.`);
-  } else if (marketBreadth.includes('Negative')) {
+  } else if (marketBreadth?.includes('Negative')) {
     parts.push(`Market breadth is ${marketBreadth.toLowerCase()}, suggesting selective participation.`);
   }
 
-  parts.push(
-    `${topSector} leads sector performance while ${weakestSector} lags. Volatility is ${volatility.toLowerCase()} and risk is assessed as ${risk.toLowerCase()}.`
-  );
+  if (topSector && weakestSector) parts.push(`${topSector} leads sector performance while ${weakestSector} lags.`);
+  else if (topSector) parts.push(`${topSector} leads sector performance.`);
+  parts.push(`Volatility is ${volatility.toLowerCase()} and risk is assessed as ${risk.toLowerCase()}.`);
 
   if (openingBias === 'Positive') {
     parts.push('Opening bias remains positive based on global and pre-market cues.');
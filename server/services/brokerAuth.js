@@ -0,0 +1,315 @@
+/**
+ * Broker sessions — Upstox OAuth login and Groww daily token rotation.
+ *
+ * Upstox: an admin starts the authorization-code flow from Mission Control
+ * (upstoxLoginUrl), Upstox redirects the browser to UPSTOX_REDIRECT_URI —
+ * GET /api/broker-auth/upstox/callback — and completeUpstoxLogin() trades the
+ * one-time code for the day's access token. Upstox tokens lapse at 03:30 IST.
+ * Groww: the API key + secret mint a token (checksum flow) that lapses at
+ * 06:00 IST; rotateGrowwToken() runs before every session.
+ *
+ * Tokens are sealed with lib/secretBox.js into `broker_tokens` (id = broker),
+ * each write bumping the row's `rev`. The providers read them back through
+ * providers/brokerSession.js, so a login or rotation on any instance reaches
+ * every instance without a restart; pending login states live in
+ * `broker_login_states` for the same reason. The broker-token-check job rotates
+ * Groww and, when a token will not last through the next session, emails the
+ * admins before the open.
+ */
+
+import crypto from 'node:crypto';
+import { storage } from '../storage/index.js';
+import { seal } from '../lib/secretBox.js';
+import { loadBrokerSession, primeBrokerSession } from '../providers/brokerSession.js';
+import { mintGrowwAccessToken } from '../providers/groww.js';
+import { getMarketStatus } from './marketCalendar.js';
+import { getJobStatus } from './jobs/scheduler.js';
+import { sendEmail } from './publishing/emailProvider.js';
+
+const TOKENS = 'broker_tokens';
+const STATES = 'broker_login_states';
+export const BROKERS = Object.freeze(['upstox', 'groww']);
+
+const UPSTOX_DIALOG_URL = 'https://api.upstox.com/v2/login/authorization/dialog';
+const UPSTOX_TOKEN_URL = `${process.env.UPSTOX_API_BASE || 'https://api.upstox.com/v2'}/login/authorization/token`;
+/** IST wall-clock time each broker's tokens lapse. */
+const EXPIRES_AT_IST = { upstox: [3, 30], groww: [6, 0] };
+const IST_OFFSET_MS = 330 * 60_000;
+const STATE_TTL_MS = 10 * 60_000;
+
+function brokerError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+const env = (key) => String(process.env[key] || '').trim();
+
+/** Next `hh:mm` IST strictly after `from` — when a token issued at `from` lapses. */
+export function tokenExpiry(broker, from = Date.now()) {
+  const [hh, mm] = EXPIRES_AT_IST[broker];
+  const ist = new Date(from + IST_OFFSET_MS);
+  let at = Date.UTC(ist.getUTCFullYear(), ist.getUTCMonth(), ist.getUTCDate(), hh, mm) - IST_OFFSET_MS;
+  if (at <= from) at += 24 * 60 * 60_000;
+  return new Date(at).toISOString();
+}
+
+async function storeToken(broker, token, { issuedAt, expiresAt, source, actor = null, account = null }) {
+  const existing = await storage.get(TOKENS, broker);
+  const row = {
+    id: broker,
+    broker,
+    rev: (existing?.rev || 0) + 1,
+    token: seal(token, broker),
+    source,
+    account,
+    issued_at: issuedAt,
+    expires_at: expiresAt,
+    rotated_by: actor,
+    alerted_for: null,
+    created_at: existing?.created_at || issuedAt,
+    updated_at: issuedAt,
+  };
+  await storage.put(TOKENS, row);
+  primeBrokerSession(broker, row, token);
+  return row;
+}
+
+/** Read the stored tokens into this instance's session cache (boot and each check); lists the live ones. */
+export async function restoreBrokerTokens({ now = Date.now() } = {}) {
+  const restored = [];
+  for (const broker of BROKERS) {
+    const session = await loadBrokerSession(broker);
+    if (session && (!session.expiresAt || session.expiresAt > now)) restored.push(broker);
+  }
+  return restored;
+}
+
+// --- Upstox OAuth ---------------------------------------------------------------------
+
+function upstoxClient() {
+  const client = {
+    clientId: env('UPSTOX_CLIENT_ID'),
+    clientSecret: env('UPSTOX_CLIENT_SECRET'),
+    redirectUri: env('UPSTOX_REDIRECT_URI'),
+  };
+  return { ...client, configured: Boolean(client.clientId && client.clientSecret && client.redirectUri) };
+}
+
+/**
+ * Authorization dialog URL for an admin-initiated login. The state (CSRF) is
+ * stored, so the callback may land on any instance; it is single-use for ten minutes.
+ */
+export async function upstoxLoginUrl({ actor = 'admin', now = Date.now() } = {}) {
+  const { clientId, redirectUri, configured } = upstoxClient();
+  if (!configured) {
+    throw brokerError('Upstox login needs UPSTOX_CLIENT_ID, UPSTOX_CLIENT_SECRET and UPSTOX_REDIRECT_URI', 503);
+  }
+  const expired = await storage.find(STATES, { where: { expires_at: { lte: new Date(now).toISOString() } } });
+  for (const row of expired) await storage.remove(STATES, row.id);
+  const state = crypto.randomBytes(24).toString('base64url');
+  await storage.put(STATES, {
+    id: state,
+    broker: 'upstox',
+    actor,
+    created_at: new Date(now).toISOString(),
+    expires_at: new Date(now + STATE_TTL_MS).toISOString(),
+  });
+  const url = new URL(UPSTOX_DIALOG_URL);
+  url.search = new URLSearchParams({ response_type: 'code', client_id: clientId, redirect_uri: redirectUri, state }).toString();
+  return { url: url.toString(), state, expires_at: new Date(now + STATE_TTL_MS).toISOString() };
+}
+
+/** Exchange the callback's code for the access token, store it sealed and hot-swap it in. */
+export async function completeUpstoxLogin({ code, state, fetchImpl = globalThis.fetch, now = Date.now() } = {}) {
+  const pending = state ? await storage.get(STATES, String(state)) : null;
+  if (pending) await storage.remove(STATES, pending.id);
+  if (!pending || Date.parse(pending.expires_at) <= now) throw brokerError('Login link expired or already used — start the Upstox login again');
+  if (!code) throw brokerError('Upstox did not return an authorization code');
+
+  const { clientId, clientSecret, redirectUri } = upstoxClient();
+  const resp = await fetchImpl(UPSTOX_TOKEN_URL, {
+    method: 'POST',
+    headers: { Accept: 'application/json', 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      code: String(code),
+      client_id: clientId,
+      client_secret: clientSecret,
+      redirect_uri: redirectUri,
+      grant_type: 'authorization_code',
+    }).toString(),
+  });
+  const json = await resp.json().catch(() => ({}));
+  if (!resp.ok || !json?.access_token) {
+    throw brokerError(json?.errors?.[0]?.message || json?.message || `Upstox token exchange failed (HTTP ${resp.status})`, 502);
+  }
+
+  const issuedAt = new Date(now).toISOString();
+  const row = await storeToken('upstox', json.access_token, {
+    issuedAt,
+    expiresAt: tokenExpiry('upstox', now),
+    source: 'oauth',
+    actor: pending.actor,
+    account: json.user_id || json.user_name ? { user_id: json.user_id || null, user_name: json.user_name || null } : null,
+  });
+  return describeToken(row, now);
+}
+
+// --- Groww rotation -------------------------------------------------------------------
+
+export function isGrowwRotationConfigured() {
+  return Boolean(env('GROWW_API_KEY') && env('GROWW_API_SECRET'));
+}
+
+/** Mint a fresh Groww token from the API key + secret, store it sealed and hot-swap it in. */
+export async function rotateGrowwToken({ actor = 'scheduler', fetchImpl, now = Date.now() } = {}) {
+  if (!isGrowwRotationConfigured()) throw brokerError('Groww rotation needs GROWW_API_KEY and GROWW_API_SECRET', 503);
+  const token = await mintGrowwAccessToken({ fetchImpl });
+  const row = await storeToken('groww', token, {
+    issuedAt: new Date(now).toISOString(),
+    expiresAt: tokenExpiry('groww', now),
+    source: 'checksum',
+    actor,
+  });
+  return describeToken(row, now);
+}
+
+// --- Status ---------------------------------------------------------------------------
+
+/** Token metadata — never the token. `covers_next_session` is false when it lapses before the next close. */
+function describeToken(row, now = Date.now()) {
+  if (!row?.token) return { connected: false, expired: false, covers_next_session: false };
+  const expiresAt = Date.parse(row.expires_at);
+  const nextClose = Date.parse(getMarketStatus(now).next_close_at || '') || null;
+  return {
+    connected: expiresAt > now,
+    expired: expiresAt <= now,
+    source: row.source,
+    account: row.account || null,
+    issued_at: row.issued_at,
+    expires_at: row.expires_at,
+    expires_in_minutes: Math.max(0, Math.round((expiresAt - now) / 60_000)),
+    covers_next_session: nextClose ? expiresAt >= nextClose : expiresAt > now,
+    rotated_by: row.rotated_by || null,
+  };
+}
+
+export async function getBrokerAuthStatus({ now = Date.now() } = {}) {
+  const rows = await Promise.all(BROKERS.map((broker) => storage.get(TOKENS, broker)));
+  const [upstox, groww] = rows.map((row) => describeToken(row, now));
+  return {
+    brokers: {
+      upstox: { ...upstox, login_configured: upstoxClient().configured },
+      groww: { ...groww, rotation_configured: isGrowwRotationConfigured() },
+    },
+    next_session: getMarketStatus(now).next_session?.date || null,
+    job: await getJobStatus('broker-token-check'),
+  };
+}
+
+/** Forget a broker's stored token and uninstall it. */
+export async function revokeBrokerToken(broker) {
+  if (!BROKERS.includes(broker)) throw brokerError(`Unknown broker "${broker}"`, 404);
+  await storage.remove(TOKENS, broker);
+  primeBrokerSession(broker, null, null);
+  return { broker, revoked: true };
+}
+
+// --- Pre-open check -------------------------------------------------------------------
+
+function alertRecipients() {
+  return [
+    ...new Set(
+      String(process.env.BROKER_ALERT_EMAILS || process.env.AGI_ADMIN_EMAILS || '')
+        .split(',')
+        .map((v) => v.trim())
+        .filter(Boolean)
+    ),
+  ];
+}
+
+function alertEmail(problems, session) {
+  const site = (process.env.PUBLIC_SITE_URL || 'https://agarwalglobalinvestments.com').replace(/\/$/, '');
+  const lines = problems.map((p) => `${p.broker}: ${p.message}`);
+  return {
+    subject: `Broker session needs attention before the ${session} open`,
+    text: `${lines.join('\n')}\n\nLog in from Mission Control → Broker sessions: ${site}/admin/mission-control`,
+    html: `<p>${lines.map((line) => line.replace(/&/g, '&amp;').replace(/</g, '&lt;')).join('<br/>')}</p>`
+      + `<p><a href="${site}/admin/mission-control">Open Mission Control → Broker sessions</a></p>`,
+  };
+}
+
+/**
+ * Rotate Groww, then make sure every configured broker holds a token that
+ * lasts through the next session. Alerts once per session per broker.
+ */
+export async function checkBrokerTokens({ now = Date.now(), fetchImpl, notify = sendEmail } = {}) {
+  await restoreBrokerTokens({ now });
+  const session = getMarketStatus(now).next_session?.date || null;
+  const problems = [];
+
+  let rotated = false;
+  // Groww tokens lapse at 06:00 IST, so the morning run always rotates; retries keep a token that already covers the session.
+  if (isGrowwRotationConfigured() && !describeToken(await storage.get(TOKENS, 'groww'), now).covers_next_session) {
+    try {
+      await rotateGrowwToken({ fetchImpl, now });
+      rotated = true;
+    } catch (err) {
+      problems.push({ broker: 'groww', message: `daily token rotation failed — ${err.message}` });
+    }
+  }
+
+  if (upstoxClient().configured) {
+    const status = describeToken(await storage.get(TOKENS, 'upstox'), now);
+    if (!status.covers_next_session) {
+      problems.push({
+        broker: 'upstox',
+        message: status.connected
+          ? `token lapses at ${status.expires_at}, before the ${session} close — log in again`
+          : 'not logged in (Upstox tokens lapse daily at 03:30 IST) — log in before the open',
+      });
+    }
+  }
+
+  const fresh = [];
+  for (const problem of problems) {
+    const row = await storage.get(TOKENS, problem.broker);
+    if (row?.alerted_for === session) continue;
+    fresh.push(problem);
+    // A broker that never logged in still gets a row, so the alert is not repeated on every retry.
+    await storage.put(TOKENS, { ...(row || { id: problem.broker, broker: problem.broker }), alerted_for: session });
+  }
+  const recipients = alertRecipients();
+  const notified = [];
+  if (fresh.length && recipients.length) {
+    const message = alertEmail(fresh, session);
+    for (const to of recipients) {
+      const sent = await notify({ to, ...message }).catch((err) => ({ ok: false, error: err?.message }));
+      if (sent?.ok) notified.push(to);
+    }
+  }
+
+  if (!problems.length) return { ok: true, session, rotated: rotated ? ['groww'] : [] };
+  return {
+    ok: false,
+    error: problems.map((p) => `${p.broker}: ${p.message}`).join('; '),
+    session,
+    problems,
+    notified,
+  };
+}
+
+export function brokerTokenCheckJob() {
+  return {
+    id: 'broker-token-check',
+    label: 'Broker token check',
+    description: 'Rotates the Groww token and alerts admins when a broker session will not last through the next session.',
+    group: 'market-data',
+    cron: '15 8 * * *',
+    tradingDays: true,
+    catchUpMs: 60 * 60_000,
+    retryMs: 20 * 60_000,
+    enabled: () => process.env.BROKER_TOKEN_CHECK !== 'false',
+    run: () => checkBrokerTokens(),
+  };
+}
@@ -0,0 +1,623 @@
+/**
+ * Persistent candle store — OHLCV per instrument and interval (1m, 15m, 1h, 1d).
+ *
+ * getCandles() is the read API the market engines and schedulers use instead
+ * of calling providers: it reads stored bars and fetches through the provider
+ * registry only the sessions the trading calendar says are missing, plus the
+ * still-forming session once its copy is older than the bar interval. A
+ * 120-day daily read therefore costs one provider call the first time and at
+ * most one small tail call after that.
+ *
+ * Bars live in `candle_chunks` — one document per series and day (intraday)
+ * or month (1h, 1d) — as `[time, open, high, low, close, volume]` with IST
+ * ISO times. Each chunk records which sessions a provider has answered for
+ * after their close (`sessions[date].settled`), so a session the provider has
+ * no data for is reported as a hole rather than refetched on every read.
+ * `candle_series` tracks what has been read; the candle-backfill job fills
+ * gaps for tracked series after the close and prunes bars past retention.
+ *
+ * Stored prices are as traded. Splits and bonuses in `candle_adjustments`
+ * (synced from Upstox corporate actions, or entered by an admin) are applied
+ * at read time: bars before the ex-date scale by the factor, volumes inversely.
+ */
+
+import { storage } from '../storage/index.js';
+import { fetchCandles } from '../providers/registry.js';
+import { INDEX_SENTIMENT_UNIVERSE } from '../providers/groww.js';
+import { getCorporateActions, isUpstoxConfigured } from '../providers/upstox.js';
+import { getTradingSession, isMarketOpen, toIstDate } from './marketCalendar.js';
+import { getJobStatus } from './jobs/scheduler.js';
+
+const CHUNKS = 'candle_chunks';
+const SERIES = 'candle_series';
+const ADJUSTMENTS = 'candle_adjustments';
+
+/**
+ * Supported intervals. `chunk` is the period one document holds; `retentionDays`
+ * bounds what the backfill job keeps; `backfillDays` is the window it keeps
+ * gap-free for every tracked series.
+ */
+export const CANDLE_INTERVALS = Object.freeze({
+  '1m': { minutes: 1, chunk: 'day', retentionDays: 30, backfillDays: 5 },
+  '15m': { minutes: 15, chunk: 'day', retentionDays: 120, backfillDays: 20 },
+  '1h': { minutes: 60, chunk: 'month', retentionDays: 400, backfillDays: 60 },
+  '1d': { minutes: 1440, chunk: 'month', retentionDays: 3650, backfillDays: 400 },
+});
+
+const DAY_MS = 86_400_000;
+const IST_OFFSET_MS = 330 * 60_000;
+/** A session counts as settled once fetched this long after its close. */
+const SETTLE_GRACE_MS = 15 * 60_000;
+/** Separate provider calls per read before the gap runs are fetched as one span. */
+const MAX_FETCH_RUNS = 4;
+/** Tracked series nobody has read for this long drop out of the backfill job. */
+const IDLE_SERIES_DAYS = 30;
+const SERIES_TOUCH_MS = 60 * 60_000;
+const ADJUSTMENT_SYNC_MS = 7 * DAY_MS;
+
+/** Series the backfill job keeps warm even before anything reads them. */
+const DEFAULT_SERIES = [
+  ...INDEX_SENTIMENT_UNIVERSE.map((index) => ({ instrument: { exchange: index.exchange, symbol: index.symbol, class: 'index' }, interval: '1d' })),
+  { instrument: { exchange: 'NSE', symbol: 'INDIA VIX', class: 'index' }, interval: '1d' },
+  ...['NIFTY', 'BANKNIFTY'].flatMap((symbol) => ['1h', '15m'].map((interval) => ({
+    instrument: { exchange: 'NSE', symbol, class: 'index' },
+    interval,
+  }))),
+];
+
+/** Series id → in-flight fill, so concurrent readers share one provider call. */
+const filling = new Map();
+
+function candleError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function intervalSpec(interval) {
+  const spec = CANDLE_INTERVALS[interval];
+  if (!spec) throw candleError(`Unknown interval "${interval}" — use ${Object.keys(CANDLE_INTERVALS).join(', ')}`);
+  return spec;
+}
+
+/** Store key for an instrument: `EXCHANGE:SYMBOL`, or the Upstox key when there is no symbol. */
+export function instrumentKey(instrument) {
+  const symbol = String(instrument?.symbol || '').trim().toUpperCase();
+  if (symbol) return `${String(instrument.exchange || 'NSE').trim().toUpperCase()}:${symbol}`;
+  const upstoxKey = String(instrument?.upstoxKey || '').trim();
+  if (upstoxKey) return upstoxKey;
+  throw candleError('Instrument needs a symbol or an Upstox instrument key');
+}
+
+function describeInstrument(instrument) {
+  const out = { exchange: String(instrument.exchange || 'NSE').toUpperCase(), class: instrument.class || 'index' };
+  if (instrument.symbol) out.symbol = String(instrument.symbol).toUpperCase();
+  if (instrument.isin) out.isin = instrument.isin;
+  if (instrument.upstoxKey) out.upstoxKey = instrument.upstoxKey;
+  return out;
+}
+
+const seriesId = (key, interval) => `${key}|${interval}`;
+const chunkPeriod = (spec, date) => (spec.chunk === 'day' ? date : date.slice(0, 7));
+
+function shiftDate(date, days) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+/** Epoch ms of a provider bar time (epoch seconds or ms, ISO string). */
+function barMs(time) {
+  if (typeof time === 'number') return time < 1e12 ? time * 1000 : time;
+  return Date.parse(time);
+}
+
+/** IST wall-clock ISO string — `slice(0, 10)` is the session date. */
+function istIso(ms) {
+  return `${new Date(ms + IST_OFFSET_MS).toISOString().slice(0, 19)}+05:30`;
+}
+
+function normalizeBar(raw) {
+  const bar = Array.isArray(raw)
+    ? raw
+    : [raw?.time ?? raw?.timestamp ?? raw?.date, raw?.open, raw?.high, raw?.low, raw?.close, raw?.volume];
+  const ms = barMs(bar[0]);
+  const [open, high, low, close] = bar.slice(1, 5).map(Number);
+  if (!Number.isFinite(ms) || !Number.isFinite(close)) return null;
+  return [istIso(ms), open, high, low, close, Number(bar[5]) || 0];
+}
+
+/** Bars a full session should produce at this interval. */
+function expectedBars(spec, session) {
+  if (spec.minutes >= 1440) return 1;
+  const minutes = (Date.parse(session.closes_at) - Date.parse(session.opens_at)) / 60_000;
+  return Math.max(1, Math.ceil(minutes / spec.minutes));
+}
+
+function resolveRange({ from, to, days, now }) {
+  const end = to ? new Date(to) : new Date(now);
+  const start = from ? new Date(from) : new Date(end.getTime() - (Number(days) || 120) * DAY_MS);
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || start > end) throw candleError('Invalid candle range');
+  return { start, end };
+}
+
+async function loadChunks(series, spec, startDate, endDate) {
+  const rows = await storage.find(CHUNKS, {
+    where: { series, period: { gte: chunkPeriod(spec, startDate), lte: chunkPeriod(spec, endDate) } },
+  });
+  return new Map(rows.map((row) => [row.period, row]));
+}
+
+/**
+ * Sessions between two IST dates that the store cannot yet answer for:
+ * `missing` (closed, never settled), `holes` (settled with fewer bars than a
+ * full session) and `live` (open now, stored copy older than one bar).
+ */
+function classifySessions(chunks, spec, startDate, endDate, now, { repair = false } = {}) {
+  const missing = [];
+  const holes = [];
+  let live = null;
+  let sessions = 0;
+  for (let date = startDate; date <= endDate; date = shiftDate(date, 1)) {
+    const session = getTradingSession(date);
+    if (!session.trading || now < Date.parse(session.opens_at)) continue;
+    sessions += 1;
+    const state = chunks.get(chunkPeriod(spec, date))?.sessions?.[date];
+    if (now < Date.parse(session.closes_at) + SETTLE_GRACE_MS) {
+      const freshFor = Math.min(spec.minutes, 15) * 60_000;
+      if (!state || now - Date.parse(state.fetched_at) >= freshFor) live = date;
+      continue;
+    }
+    if (!state?.settled) {
+      missing.push(date);
+      continue;
+    }
+    const expected = expectedBars(spec, session);
+    if (state.bars < expected) {
+      holes.push({ date, bars: state.bars, expected });
+      if (repair) missing.push(date);
+    }
+  }
+  return { sessions, missing, holes, live };
+}
+
+/** Consecutive missing dates → fetch runs; too many runs collapse into one span. */
+function fetchRuns(dates) {
+  const runs = [];
+  for (const date of dates) {
+    const last = runs.at(-1);
+    // Holidays and weekends between two missing sessions do not split a run.
+    if (last && Date.parse(date) - Date.parse(last.to) <= 5 * DAY_MS) last.to = date;
+    else runs.push({ from: date, to: date });
+  }
+  if (runs.length > MAX_FETCH_RUNS) return [{ from: runs[0].from, to: runs.at(-1).to }];
+  return runs;
+}
+
+async function touchSeries(key, interval, instrument, patch, now) {
+  const id = seriesId(key, interval);
+  const existing = await storage.get(SERIES, id);
+  const at = new Date(now).toISOString();
+  if (existing && !patch && now - Date.parse(existing.last_read_at || 0) < SERIES_TOUCH_MS) return existing;
+  const row = {
+    id,
+    key,
+    interval,
+    instrument: describeInstrument({ ...existing?.instrument, ...instrument }),
+    tracked: existing?.tracked ?? true,
+    first_read_at: existing?.first_read_at || at,
+    last_read_at: at,
+    last_fetch_at: existing?.last_fetch_at || null,
+    last_provider: existing?.last_provider || null,
+    last_fallback: existing?.last_fallback ?? false,
+    last_bar_at: existing?.last_bar_at || null,
+    last_error: existing?.last_error || null,
+    adjustments_synced_at: existing?.adjustments_synced_at || null,
+    ...patch,
+  };
+  await storage.put(SERIES, row);
+  return row;
+}
+
+/**
+ * Fetch the given session runs through the provider registry, merge the bars
+ * into their chunks and mark every closed session in a served run settled.
+ */
+async function fillRuns(instrument, key, interval, spec, chunks, runs, { now, ctx }) {
+  let provider = null;
+  let fallback = false;
+  let fetched = 0;
+  let error = null;
+  for (const run of runs) {
+    const from = new Date(`${run.from}T00:00:00+05:30`);
+    const to = new Date(Math.min(Date.parse(`${run.to}T23:59:59+05:30`), now));
+    const result = await fetchCandles(instrument, { from, to, intervalMinutes: spec.minutes }, ctx)
+      .catch((err) => ({ candles: [], provider: null, error: err }));
+    if (!result.provider) {
+      error = result.error?.message || `no provider served ${run.from}…${run.to}`;
+      continue;
+    }
+    provider = result.provider;
+    fallback = result.fallback;
+
+    const bars = result.candles.map(normalizeBar).filter(Boolean);
+    fetched += bars.length;
+    const touched = new Map();
+    const chunkFor = (date) => {
+      const period = chunkPeriod(spec, date);
+      if (!touched.has(period)) {
+        const existing = chunks.get(period);
+        touched.set(period, {
+          id: `${seriesId(key, interval)}|${period}`,
+          series: seriesId(key, interval),
+          instrument: key,
+          interval,
+          period,
+          sessions: { ...existing?.sessions },
+          byTime: new Map((existing?.bars || []).map((bar) => [bar[0], bar])),
+        });
+      }
+      return touched.get(period);
+    };
+    for (const bar of bars) chunkFor(bar[0].slice(0, 10)).byTime.set(bar[0], bar);
+
+    const fetchedAt = new Date(now).toISOString();
+    for (let date = run.from; date <= run.to; date = shiftDate(date, 1)) {
+      const session = getTradingSession(date);
+      if (!session.trading || now < Date.parse(session.opens_at)) continue;
+      const chunk = chunkFor(date);
+      const count = [...chunk.byTime.keys()].filter((time) => time.startsWith(date)).length;
+      chunk.sessions[date] = {
+        bars: count,
+        settled: now >= Date.parse(session.closes_at) + SETTLE_GRACE_MS,
+        fetched_at: fetchedAt,
+      };
+    }
+
+    const docs = [...touched.values()].map(({ byTime, ...chunk }) => ({
+      ...chunk,
+      bars: [...byTime.values()].sort((a, b) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0)),
+      provider,
+      fallback,
+      updated_at: fetchedAt,
+    }));
+    await storage.putMany(CHUNKS, docs);
+    for (const doc of docs) chunks.set(doc.period, doc);
+  }
+  return { provider, fallback, fetched, error };
+}
+
+function adjustBars(bars, adjustments) {
+  if (!adjustments.length) return bars;
+  return bars.map((bar) => {
+    const date = bar[0].slice(0, 10);
+    const factor = adjustments.reduce((f, adj) => (date < adj.ex_date ? f * adj.factor : f), 1);
+    if (factor === 1) return bar;
+    return [bar[0], bar[1] * factor, bar[2] * factor, bar[3] * factor, bar[4] * factor, Math.round(bar[5] / factor)];
+  });
+}
+
+/**
+ * Candles for one instrument ({ exchange, symbol, class?, isin?, upstoxKey? })
+ * over `days` (default 120) or `from`…`to`, oldest first. Missing sessions are
+ * fetched and stored first unless `backfill: false`. Same shape as the
+ * registry's fetchCandles — `{ candles, provider, fallback }` — plus store
+ * diagnostics (`fetched` bars, remaining `missing` sessions, `holes`).
+ */
+export async function getCandles(instrument, {
+  interval = '1d',
+  days,
+  from,
+  to,
+  adjusted = true,
+  backfill = true,
+  repair = false,
+  now = Date.now(),
+  ctx = {},
+} = {}) {
+  const spec = intervalSpec(interval);
+  const key = instrumentKey(instrument);
+  const series = seriesId(key, interval);
+  const { start, end } = resolveRange({ from, to, days, now });
+  const startDate = toIstDate(start);
+  const endDate = toIstDate(end);
+
+  let chunks = await loadChunks(series, spec, startDate, endDate);
+  let fill = null;
+  if (backfill) {
+    const plan = classifySessions(chunks, spec, startDate, endDate, now, { repair });
+    const dates = plan.live ? [...plan.missing, plan.live].sort() : plan.missing;
+    if (dates.length) {
+      const flight = `${series}|${startDate}|${endDate}`;
+      if (!filling.has(flight)) {
+        filling.set(flight, fillRuns(instrument, key, interval, spec, chunks, fetchRuns(dates), { now, ctx })
+          .finally(() => filling.delete(flight)));
+        fill = await filling.get(flight);
+      } else {
+        await filling.get(flight);
+        chunks = await loadChunks(series, spec, startDate, endDate);
+      }
+    }
+  }
+
+  const lo = istIso(start.getTime());
+  const hi = istIso(end.getTime());
+  const stored = [...chunks.values()]
+    .flatMap((chunk) => chunk.bars || [])
+    .filter((bar) => (spec.minutes >= 1440 ? bar[0].slice(0, 10) >= startDate && bar[0].slice(0, 10) <= endDate : bar[0] >= lo && bar[0] <= hi))
+    .sort((a, b) => (a[0] < b[0] ? -1 : 1));
+  const adjustments = adjusted && (instrument.class || 'index') !== 'index' ? await listCandleAdjustments(key) : [];
+  const candles = adjustBars(stored, adjustments);
+  const latest = [...chunks.values()].sort((a, b) => (a.updated_at < b.updated_at ? 1 : -1))[0];
+  const after = classifySessions(chunks, spec, startDate, endDate, now);
+
+  await touchSeries(key, interval, instrument, fill ? {
+    last_fetch_at: new Date(now).toISOString(),
+    last_provider: fill.provider || latest?.provider || null,
+    last_fallback: Boolean(fill.provider ? fill.fallback : latest?.fallback),
+    last_bar_at: candles.at(-1)?.[0] || null,
+    last_error: fill.error,
+  } : null, now);
+
+  return {
+    candles,
+    provider: fill?.provider || latest?.provider || null,
+    fallback: Boolean(fill?.provider ? fill.fallback : latest?.fallback),
+    interval,
+    source: fill?.fetched ? 'store+provider' : 'store',
+    fetched: fill?.fetched || 0,
+    missing: after.missing.length,
+    holes: after.holes.length,
+    adjustments: adjustments.map(({ ex_date, kind, factor }) => ({ ex_date, kind, factor })),
+  };
+}
+
+/** Gap report for one series over a range, against the trading calendar — read only. */
+export async function findCandleGaps(instrument, { interval = '1d', days, from, to, now = Date.now() } = {}) {
+  const spec = intervalSpec(interval);
+  const key = instrumentKey(instrument);
+  const { start, end } = resolveRange({ from, to, days: days || spec.backfillDays, now });
+  const startDate = toIstDate(start);
+  const endDate = toIstDate(end);
+  const chunks = await loadChunks(seriesId(key, interval), spec, startDate, endDate);
+  const plan = classifySessions(chunks, spec, startDate, endDate, now);
+  return {
+    series: seriesId(key, interval),
+    interval,
+    from: startDate,
+    to: endDate,
+    sessions: plan.sessions,
+    missing: plan.missing,
+    holes: plan.holes,
+    live: plan.live,
+    runs: fetchRuns(plan.missing),
+    coverage: plan.sessions ? Math.round(((plan.sessions - plan.missing.length) / plan.sessions) * 1000) / 1000 : null,
+  };
+}
+
+// --- Corporate-action adjustments ----------------------------------------------------
+
+export async function listCandleAdjustments(key) {
+  const rows = await storage.find(ADJUSTMENTS, { where: { instrument: key }, orderBy: 'ex_date' });
+  return rows.filter((row) => Number.isFinite(row.factor) && row.factor > 0);
+}
+
+function parseRatio(text) {
+  const match = /(\d+(?:\.\d+)?)\s*[:/]\s*(\d+(?:\.\d+)?)/.exec(String(text || ''));
+  return match ? [Number(match[1]), Number(match[2])] : null;
+}
+
+function actionDate(text) {
+  if (!text) return null;
+  const value = String(text).trim();
+  if (/^\d{4}-\d{2}-\d{2}/.test(value)) return value.slice(0, 10);
+  const ms = Date.parse(`${value} UTC`);
+  return Number.isNaN(ms) ? null : new Date(ms).toISOString().slice(0, 10);
+}
+
+/**
+ * Split or bonus from one Upstox corporate-action row → { kind, ex_date, factor, ratio }.
+ * Splits read the face-value change (10 → 2 is 0.2) or an old:new share ratio;
+ * bonuses read "new:held" (1:1 is 0.5). Dividends and anything unparseable → null.
+ */
+export function parseCorporateAction(row) {
+  const name = String(row?.name || '');
+  const kind = /split/i.test(name) ? 'split' : /bonus/i.test(name) ? 'bonus' : null;
+  if (!kind) return null;
+  const details = Object.fromEntries((row.event_details || []).map((d) => [String(d?.name || '').toLowerCase(), d?.value]));
+  const detail = (pattern) => Object.entries(details).find(([label]) => pattern.test(label))?.[1];
+  const exDate = actionDate(detail(/^ex[\s-]/) || row.ex_date || row.expiry_date);
+  if (!exDate) return null;
+
+  const ratioText = row.ratio || detail(/ratio/);
+  let factor = null;
+  if (kind === 'split') {
+    const oldFv = Number(detail(/old.*(fv|face)/));
+    const newFv = Number(detail(/new.*(fv|face)/));
+    const ratio = parseRatio(ratioText);
+    if (oldFv > 0 && newFv > 0) factor = newFv / oldFv;
+    else if (ratio) factor = ratio[0] / ratio[1];
+  } else {
+    const ratio = parseRatio(ratioText);
+    if (ratio) factor = ratio[1] / (ratio[0] + ratio[1]);
+  }
+  if (!(factor > 0) || factor === 1) return null;
+  return { kind, ex_date: exDate, factor, ratio: ratioText ? String(ratioText) : null };
+}
+
+/** Record an adjustment by hand: { instrument: 'NSE:SYMBOL', ex_date, kind, factor | ratio }. */
+export async function addCandleAdjustment(input = {}, actor = 'admin') {
+  const key = String(input.instrument || '').trim().toUpperCase();
+  const exDate = actionDate(input.ex_date);
+  const kind = ['split', 'bonus', 'other'].includes(input.kind) ? input.kind : null;
+  const parsed = input.factor == null && kind ? parseCorporateAction({ name: kind, ex_date: exDate, ratio: input.ratio }) : null;
+  const factor = input.factor != null ? Number(input.factor) : parsed?.factor;
+  if (!key.includes(':')) throw candleError('instrument must read EXCHANGE:SYMBOL');
+  if (!exDate) throw candleError('ex_date must be a date');
+  if (!kind) throw candleError('kind must be split, bonus or other');
+  if (!(factor > 0)) throw candleError('Give a positive factor, or a ratio for a split or bonus');
+  const row = {
+    id: `${key}|${exDate}|${kind}`,
+    instrument: key,
+    ex_date: exDate,
+    kind,
+    factor,
+    ratio: input.ratio ? String(input.ratio) : null,
+    source: 'admin',
+    note: input.note ? String(input.note).slice(0, 240) : null,
+    created_by: actor,
+    created_at: new Date().toISOString(),
+  };
+  await storage.put(ADJUSTMENTS, row);
+  return row;
+}
+
+export async function removeCandleAdjustment(id) {
+  const existing = await storage.get(ADJUSTMENTS, id);
+  if (!existing) throw candleError('Adjustment not found', 404);
+  await storage.remove(ADJUSTMENTS, id);
+  return { id, removed: true };
+}
+
+/** Pull splits and bonuses for one equity series from Upstox (needs its ISIN and a session). */
+export async function syncCorporateActions(series, { corporateActionsImpl = getCorporateActions } = {}) {
+  const isin = series.instrument?.isin;
+  if (!isin) return { synced: 0, skipped: 'no_isin' };
+  const payload = await corporateActionsImpl(isin);
+  const actions = (Array.isArray(payload?.data) ? payload.data : []).map(parseCorporateAction).filter(Boolean);
+  for (const action of actions) {
+    await storage.put(ADJUSTMENTS, {
+      id: `${series.key}|${action.ex_date}|${action.kind}`,
+      instrument: series.key,
+      ...action,
+      source: 'upstox',
+      created_at: new Date().toISOString(),
+    });
+  }
+  await storage.put(SERIES, { ...series, adjustments_synced_at: new Date().toISOString() });
+  return { synced: actions.length };
+}
+
+// --- Backfill jobs -------------------------------------------------------------------
+
+async function trackedSeries({ now, intervals } = {}) {
+  for (const { instrument, interval } of DEFAULT_SERIES) {
+    const key = instrumentKey(instrument);
+    if (!(await storage.get(SERIES, seriesId(key, interval)))) await touchSeries(key, interval, instrument, null, now);
+  }
+  const idleBefore = now - IDLE_SERIES_DAYS * DAY_MS;
+  const defaults = new Set(DEFAULT_SERIES.map(({ instrument, interval }) => seriesId(instrumentKey(instrument), interval)));
+  const rows = await storage.find(SERIES, { orderBy: 'id' });
+  return rows.filter((row) => row.tracked !== false
+    && (!intervals || intervals.includes(row.interval))
+    && (defaults.has(row.id) || Date.parse(row.last_read_at || 0) >= idleBefore));
+}
+
+async function pruneExpired(now) {
+  let removed = 0;
+  for (const [interval, spec] of Object.entries(CANDLE_INTERVALS)) {
+    const cutoff = chunkPeriod(spec, toIstDate(now - spec.retentionDays * DAY_MS));
+    const stale = await storage.find(CHUNKS, { where: { interval, period: { lt: cutoff } } });
+    for (const chunk of stale) await storage.remove(CHUNKS, chunk.id);
+    removed += stale.length;
+  }
+  return removed;
+}
+
+/**
+ * Keep every tracked series gap-free over its backfill window, sync equity
+ * corporate actions weekly and drop bars past retention. `repair` also
+ * refetches settled sessions that came back short.
+ */
+export async function backfillCandles({ now = Date.now(), intervals, repair = false, prune = true, ctx = {}, corporateActionsImpl } = {}) {
+  const series = await trackedSeries({ now, intervals });
+  const failed = [];
+  let fetched = 0;
+  let filled = 0;
+  let adjustments = 0;
+  for (const row of series) {
+    const spec = CANDLE_INTERVALS[row.interval];
+    if (!spec) continue;
+    try {
+      const result = await getCandles(row.instrument, { interval: row.interval, days: spec.backfillDays, repair, now, ctx });
+      fetched += result.fetched;
+      if (result.fetched) filled += 1;
+      if (result.missing) failed.push({ series: row.id, error: `${result.missing} session(s) still missing` });
+    } catch (err) {
+      failed.push({ series: row.id, error: String(err?.message || err).slice(0, 240) });
+    }
+
+    const due = row.instrument?.class === 'equity' && row.instrument?.isin
+      && now - Date.parse(row.adjustments_synced_at || 0) >= ADJUSTMENT_SYNC_MS;
+    if (due && (corporateActionsImpl || isUpstoxConfigured())) {
+      try {
+        adjustments += (await syncCorporateActions(await storage.get(SERIES, row.id), { corporateActionsImpl })).synced;
+      } catch (err) {
+        failed.push({ series: row.id, error: `corporate actions: ${String(err?.message || err).slice(0, 200)}` });
+      }
+    }
+  }
+  const pruned = prune ? await pruneExpired(now) : 0;
+  const summary = { series: series.length, filled, fetched, adjustments, pruned, failed };
+  // Partial failures are normal (an index a provider does not carry); fail the run only when nothing could be served.
+  if (series.length && failed.length === series.length) {
+    return { ok: false, error: failed.slice(0, 3).map((f) => `${f.series}: ${f.error}`).join('; '), ...summary };
+  }
+  return { ok: true, ...summary };
+}
+
+/** Top up the forming session of intraday series read in the last day. */
+export async function refreshIntradayCandles({ now = Date.now(), ctx = {} } = {}) {
+  if (!isMarketOpen(now)) return { ok: true, skipped: true, reason: 'market_closed' };
+  const recent = (await trackedSeries({ now, intervals: ['1m', '15m', '1h'] }))
+    .filter((row) => Date.parse(row.last_read_at || 0) >= now - DAY_MS);
+  let fetched = 0;
+  const failed = [];
+  for (const row of recent) {
+    try {
+      fetched += (await getCandles(row.instrument, { interval: row.interval, days: 1, now, ctx })).fetched;
+    } catch (err) {
+      failed.push({ series: row.id, error: String(err?.message || err).slice(0, 240) });
+    }
+  }
+  return { ok: true, series: recent.length, fetched, failed };
+}
+
+export function candleStoreJobs() {
+  return [
+    {
+      id: 'candle-backfill',
+      label: 'Candle backfill',
+      description: 'Fills missing sessions for every tracked candle series, syncs splits and bonuses, prunes past retention.',
+      group: 'market-data',
+      cron: '0 16 * * *',
+      tradingDays: true,
+      catchUpMs: 12 * 60 * 60_000,
+      retryMs: 30 * 60_000,
+      enabled: () => process.env.CANDLE_BACKFILL !== 'false',
+      // Admin runs (POST /api/market/candles/backfill) may narrow intervals or ask for a repair pass.
+      run: ({ params = {} } = {}) => backfillCandles({ intervals: params.intervals, repair: params.repair === true }),
+    },
+    {
+      id: 'candle-intraday',
+      label: 'Intraday candles',
+      description: 'Tops up the forming session for intraday candle series read in the last day.',
+      group: 'market-data',
+      everyMs: 15 * 60_000,
+      enabled: () => process.env.CANDLE_BACKFILL !== 'false',
+      initialDelayMs: 120_000,
+      run: () => refreshIntradayCandles(),
+    },
+  ];
+}
+
+/** Mission Control view: tracked series with their latest bar, provider and error. */
+export async function getCandleStoreStatus() {
+  const series = await storage.find(SERIES, { orderBy: 'id' });
+  return {
+    intervals: CANDLE_INTERVALS,
+    series: series.map(({ id, interval, instrument, tracked, last_read_at, last_fetch_at, last_provider, last_fallback, last_bar_at, last_error }) => ({
+      id, interval, instrument, tracked, last_read_at, last_fetch_at, last_provider, last_fallback, last_bar_at, last_error,
+    })),
+    adjustments: await storage.count(ADJUSTMENTS),
+    jobs: { backfill: getJobStatus('candle-backfill'), intraday: getJobStatus('candle-intraday') },
+  };
+}
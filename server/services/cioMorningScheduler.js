@@ -1,10 +1,10 @@
 /**
- * CIO Desk morning scheduler — triggers Intelligence Engine via local proxy path.
+ * CIO Desk morning run — triggers Intelligence Engine via local proxy path.
  * Falls soft if the engine is down (deterministic briefing pages remain available).
+ * Scheduled as job `cio-morning` (services/jobs).
  */
 
-let scheduler = null;
-let lastRun = null;
+import { getJobStatus } from './jobs/scheduler.js';
 
 function engineConfig() {
   let baseUrl = (process.env.INTELLIGENCE_ENGINE_URL || 'http://127.0.0.1:8100').replace(/\/$/, '');
@@ -17,8 +17,7 @@ function engineConfig() {
 
 export function getCioSchedulerStatus() {
   return {
-    enabled: Boolean(scheduler),
-    lastRun,
+    ...getJobStatus('cio-morning'),
     intervalMs: Number(process.env.CIO_MORNING_INTERVAL_MS || 30 * 60 * 1000),
   };
 }
@@ -41,37 +40,33 @@ export async function triggerCioMorningRun({ force = false } = {}) {
     signal: AbortSignal.timeout(180_000),
   });
   const data = await response.json().catch(() => ({}));
-  lastRun = {
-    at: new Date().toISOString(),
-    ok: response.ok,
-    status: response.status,
-    runId: data?.run_id || null,
-  };
   if (!response.ok) {
     console.warn('[cio-morning] engine run failed:', response.status, data?.detail || data?.error || '');
   } else {
     console.info('[cio-morning] run complete:', data?.run_id, data?.status);
   }
-  return data;
+  return {
+    ok: response.ok,
+    status: response.status,
+    runId: data?.run_id || null,
+    runStatus: data?.status || null,
+    error: response.ok ? null : data?.detail || data?.error || `engine_http_${response.status}`,
+  };
 }
 
-export function startCioMorningScheduler() {
-  if (scheduler) return;
-  // This invokes a full engine research run. Keep it opt-in until it lives on
-  // an isolated worker, not alongside website traffic.
-  if ((process.env.CIO_MORNING_SCHEDULER || 'false').toLowerCase() !== 'true') return;
-
-  const intervalMs = Number(process.env.CIO_MORNING_INTERVAL_MS || 30 * 60 * 1000);
-  const tick = () => {
-    triggerCioMorningRun().catch((error) => {
-      console.warn('[cio-morning] scheduled trigger failed:', error.message);
-      lastRun = { at: new Date().toISOString(), ok: false, error: error.message };
-    });
+export function cioMorningJob() {
+  return {
+    id: 'cio-morning',
+    label: 'CIO morning research run',
+    description: 'Full engine research run for the CIO Desk pre-market briefing.',
+    group: 'intelligence',
+    everyMs: Number(process.env.CIO_MORNING_INTERVAL_MS || 30 * 60 * 1000),
+    // This invokes a full engine research run. Keep it opt-in until it lives on
+    // an isolated worker, not alongside website traffic.
+    enabled: () => (process.env.CIO_MORNING_SCHEDULER || 'false').toLowerCase() === 'true',
+    // Delay the first run so Node + engine can boot
+    initialDelayMs: 15_000,
+    leaseMs: 5 * 60_000,
+    run: ({ force }) => triggerCioMorningRun({ force }),
   };
-
-  // Delay first tick so Node + engine can boot
-  setTimeout(tick, 15_000);
-  scheduler = setInterval(tick, intervalMs);
-  scheduler.unref?.();
-  console.info(`[cio-morning] scheduler active every ${Math.round(intervalMs / 60000)}m`);
 }
@@ -3,6 +3,8 @@
  * Architecture v1.0.1 LOCKED — additive only; never redesign engines.
  */
 
+import { defineJob, getJobStatus } from './jobs/scheduler.js';
+
 function stripHtml(html = '') {
   return String(html)
     .replace(/<script[\s\S]*?<\/script>/gi, ' ')
@@ -591,78 +593,51 @@ export async function buildRecentLearningSummary({ engineFetch = null, days = 5
   };
 }
 
-let cmsLearnScheduler = null;
-let cmsLearnLastRun = null;
-let cmsLearnLastDate = null;
-
 export function getCmsLearningSchedulerStatus() {
+  const status = getJobStatus('cms-article-learning');
   return {
-    enabled: Boolean(cmsLearnScheduler),
-    last_run: cmsLearnLastRun,
-    last_learning_date: cmsLearnLastDate,
-    interval_ms: Number(process.env.CMS_ARTICLE_LEARN_INTERVAL_MS || 60 * 60 * 1000),
+    ...status,
+    last_learning_date: status?.last_success_at ? learningDateIST(new Date(status.last_success_at)) : null,
   };
 }
 
 /**
  * Soft daily learner — once per IST calendar day, read CMS articles into KIP/KF/KC.
- * Disable with CMS_ARTICLE_LEARN_DAILY=false.
+ * Registered as job `cms-article-learning` (services/jobs): 00:15 IST, caught up
+ * any time that day and retried hourly. Disable with CMS_ARTICLE_LEARN_DAILY=false.
  */
-export function startCmsArticleLearningScheduler(engineFetch) {
-  if (cmsLearnScheduler) return;
-  if ((process.env.CMS_ARTICLE_LEARN_DAILY || 'true').toLowerCase() === 'false') return;
-  if (!cmsLearningConfigured()) {
-    console.info('[cms-learn] scheduler idle — Supabase admin credentials missing');
-    return;
-  }
+export function registerCmsArticleLearningJob(engineFetch) {
   if (typeof engineFetch !== 'function') {
-    console.warn('[cms-learn] scheduler skipped — engineFetch required');
-    return;
+    console.warn('[cms-learn] job skipped — engineFetch required');
+    return null;
   }
-
-  const intervalMs = Number(process.env.CMS_ARTICLE_LEARN_INTERVAL_MS || 60 * 60 * 1000);
-  const tick = async () => {
-    const today = learningDateIST();
-    if (cmsLearnLastDate === today && cmsLearnLastRun?.ok) return;
-    try {
+  return defineJob({
+    id: 'cms-article-learning',
+    label: 'CMS article learning',
+    description: 'Reads new CMS articles into KIP/KF/KC once per IST day.',
+    group: 'intelligence',
+    cron: '15 0 * * *',
+    catchUpMs: 23 * 60 * 60_000,
+    retryMs: 60 * 60_000,
+    enabled: () => (process.env.CMS_ARTICLE_LEARN_DAILY || 'true').toLowerCase() !== 'false' && cmsLearningConfigured(),
+    initialDelayMs: 45_000,
+    run: async () => {
       const result = await learnCmsArticles({
         engineFetch,
         mode: 'daily',
         limit: Number(process.env.CMS_ARTICLE_LEARN_LIMIT || 50),
         compound: true,
       });
-      cmsLearnLastRun = {
-        at: new Date().toISOString(),
+      const run = {
         ok: Boolean(result?.ok),
-        learning_date: result?.learning_date || today,
+        learning_date: result?.learning_date || learningDateIST(),
         learned: result?.learned ?? 0,
         failed: result?.failed ?? 0,
-        skipped: result?.skipped ?? 0,
+        skipped_articles: result?.skipped ?? 0,
         reason: result?.reason || result?.error || null,
       };
-      if (result?.ok) cmsLearnLastDate = result.learning_date || today;
-      console.info(
-        '[cms-learn] daily run',
-        cmsLearnLastRun.learning_date,
-        `learned=${cmsLearnLastRun.learned}`,
-        `failed=${cmsLearnLastRun.failed}`
-      );
-    } catch (err) {
-      cmsLearnLastRun = {
-        at: new Date().toISOString(),
-        ok: false,
-        error: err?.message || String(err),
-      };
-      console.warn('[cms-learn] scheduled run failed:', err?.message || err);
-    }
-  };
-
-  setTimeout(() => {
-    tick().catch(() => {});
-  }, 45_000);
-  cmsLearnScheduler = setInterval(() => {
-    tick().catch(() => {});
-  }, intervalMs);
-  cmsLearnScheduler.unref?.();
-  console.info(`[cms-learn] daily scheduler active every ${Math.round(intervalMs / 60000)}m (IST dates)`);
+      console.info('[cms-learn] daily run', run.learning_date, `learned=${run.learned}`, `failed=${run.failed}`);
+      return run;
+    },
+  });
 }
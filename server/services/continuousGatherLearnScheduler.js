@@ -1,11 +1,11 @@
 /**
- * Node-side wake timer for Continuous Gather → Learn + Institutional Scheduler morning DAG.
+ * Node-side wake job for Continuous Gather → Learn + Institutional Scheduler morning DAG.
  * Engine also runs an internal loop; this keeps the pipeline warm across Render sleeps.
- * Never on the Ask request path.
+ * Never on the Ask request path. Scheduled as job `continuous-gather-learn` (services/jobs).
  */
 
-let scheduler = null;
-let lastRun = null;
+import { istParts } from './jobs/cron.js';
+import { getJobStatus } from './jobs/scheduler.js';
 
 function engineConfig() {
   let baseUrl = (process.env.INTELLIGENCE_ENGINE_URL || 'http://127.0.0.1:8100').replace(/\/$/, '');
@@ -17,15 +17,12 @@ function engineConfig() {
 }
 
 function enabled() {
-  // Heavy gather/learn work must be explicitly enabled on a dedicated worker;
-  // it must never start by default in the public API process.
   return String(process.env.CONTINUOUS_GATHER_LEARN_SCHEDULER || 'false').toLowerCase() === 'true';
 }
 
 export function getContinuousGatherLearnSchedulerStatus() {
   return {
-    enabled: Boolean(scheduler),
-    lastRun,
+    ...getJobStatus('continuous-gather-learn'),
     intervalMs: Number(process.env.CONTINUOUS_GATHER_LEARN_NODE_INTERVAL_MS || 30 * 60 * 1000),
   };
 }
@@ -48,9 +45,8 @@ async function enginePost(path, body = {}) {
 }
 
 export async function triggerContinuousGatherLearn({ forceMorningDag = false } = {}) {
-  const hourUtc = new Date().getUTCHours();
-  // Approx IST morning window (UTC 00:30–03:30 ≈ IST 06:00–09:00)
-  const istMorning = hourUtc >= 0 && hourUtc < 4;
+  const { hour } = istParts();
+  const istMorning = hour >= 6 && hour < 9;
   const steps = [];
 
   if (forceMorningDag || (istMorning && String(process.env.CONTINUOUS_MORNING_DAG || 'false').toLowerCase() === 'true')) {
@@ -78,35 +74,26 @@ export async function triggerContinuousGatherLearn({ forceMorningDag = false } =
     steps.push({ step: 'cgl_cycle', ok: false, error: error.message });
   }
 
-  lastRun = {
-    at: new Date().toISOString(),
-    ok: steps.some((s) => s.ok),
-    steps,
-  };
-  if (lastRun.ok) {
+  const run = { ok: steps.some((s) => s.ok), steps };
+  if (run.ok) {
     console.info('[cgl-scheduler] cycle complete', JSON.stringify(steps));
   } else {
     console.warn('[cgl-scheduler] cycle soft-failed', JSON.stringify(steps));
   }
-  return lastRun;
+  return run;
 }
 
-export function startContinuousGatherLearnScheduler() {
-  if (scheduler) return;
-  if (!enabled()) {
-    console.info('[cgl-scheduler] disabled (CONTINUOUS_GATHER_LEARN_SCHEDULER=false)');
-    return;
-  }
-  const intervalMs = Number(process.env.CONTINUOUS_GATHER_LEARN_NODE_INTERVAL_MS || 30 * 60 * 1000);
-  const tick = () => {
-    triggerContinuousGatherLearn().catch((error) => {
-      console.warn('[cgl-scheduler] trigger failed:', error.message);
-      lastRun = { at: new Date().toISOString(), ok: false, error: error.message };
-    });
+export function continuousGatherLearnJob() {
+  return {
+    id: 'continuous-gather-learn',
+    label: 'Continuous Gather → Learn',
+    description: 'Wakes the engine gather/learn cycle (plus the morning DAG when CONTINUOUS_MORNING_DAG=true).',
+    group: 'intelligence',
+    everyMs: Number(process.env.CONTINUOUS_GATHER_LEARN_NODE_INTERVAL_MS || 30 * 60 * 1000),
+    // Heavy gather/learn work must be explicitly enabled on a dedicated worker;
+    // it must never start by default in the public API process.
+    enabled,
+    initialDelayMs: 45_000,
+    run: ({ force }) => triggerContinuousGatherLearn({ forceMorningDag: force }),
   };
-  // Delay first tick so Node + engine can boot
-  setTimeout(tick, 45_000);
-  scheduler = setInterval(tick, intervalMs);
-  scheduler.unref?.();
-  console.info(`[cgl-scheduler] active every ${Math.round(intervalMs / 60000)}m`);
 }
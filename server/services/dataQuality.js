@@ -0,0 +1,164 @@
+/**
+ * Input-completeness grading for the market engines.
+ *
+ * An engine lists the inputs it scores from — weight, whether it is required,
+ * whether it arrived, which provider served it and how fresh it is — and
+ * gradeInputs() turns that into a grade (A–F), a completeness share and a
+ * status. Below the threshold, or with a required input missing, the status
+ * is `insufficient` and the engine withholds its score instead of scoring
+ * defaults; partial or stale inputs leave the score published but `degraded`
+ * with the reasons attached. Every output carries the per-input provenance
+ * so the homepage strip, Mission Control and the API can say why.
+ */
+
+import { previousTradingDay, toIstDate } from './marketCalendar.js';
+
+/** Completeness share below which scores are withheld (MARKET_DATA_QUALITY_MIN overrides). */
+export function qualityThreshold() {
+  const value = Number(process.env.MARKET_DATA_QUALITY_MIN);
+  return Number.isFinite(value) && value > 0 && value <= 1 ? value : 0.6;
+}
+
+/** Stale inputs count for half. */
+const STALE_CREDIT = 0.5;
+
+const GRADES = [
+  [0.9, 'A'],
+  [0.75, 'B'],
+  [0.6, 'C'],
+  [0.4, 'D'],
+];
+
+/** IST session date of a candle timestamp (epoch s/ms, ISO string or date). */
+export function barDate(time) {
+  if (time == null) return null;
+  if (typeof time === 'number') return toIstDate(time < 1e12 ? time * 1000 : time);
+  const text = String(time);
+  return /^\d{4}-\d{2}-\d{2}/.test(text) ? text.slice(0, 10) : toIstDate(text);
+}
+
+/**
+ * A session-dated input is stale when its latest point is older than the
+ * previous trading session — i.e. at least one full session is missing.
+ */
+export function isSessionStale(date, now = Date.now()) {
+  if (!date) return false;
+  const expected = previousTradingDay(toIstDate(now))?.date;
+  return Boolean(expected) && String(date).slice(0, 10) < expected;
+}
+
+/**
+ * One input's record. `coverage` (0–1) gives partial credit, e.g. the share
+ * of a universe that was quoted.
+ */
+export function describeInput({
+  key,
+  label = key,
+  weight = 1,
+  required = false,
+  available = false,
+  coverage = null,
+  stale = false,
+  provider = null,
+  fallback = false,
+  asOf = null,
+  points = null,
+  detail = null,
+}) {
+  const share = coverage == null ? 1 : Math.max(0, Math.min(1, Number(coverage) || 0));
+  const credit = available ? share * (stale ? STALE_CREDIT : 1) : 0;
+  return {
+    key,
+    label,
+    weight,
+    required,
+    available: Boolean(available),
+    coverage: coverage == null ? null : Number(share.toFixed(3)),
+    stale: Boolean(available && stale),
+    provider,
+    fallback: Boolean(fallback),
+    as_of: asOf,
+    points,
+    credit: Number(credit.toFixed(3)),
+    detail,
+  };
+}
+
+function reasonFor(input) {
+  if (!input.available) return `${input.label} unavailable${input.detail ? ` (${input.detail})` : ''}`;
+  if (input.stale) return `${input.label} is stale${input.as_of ? ` (last point ${String(input.as_of).slice(0, 10)})` : ''}`;
+  if (input.coverage != null && input.coverage < 1) return `${input.label} ${Math.round(input.coverage * 100)}% covered`;
+  if (input.fallback) return `${input.label} from fallback provider ${input.provider || 'unknown'}`;
+  return null;
+}
+
+/**
+ * Input record for a normalized candle series: available once it has the
+ * bars the engine needs, stale when its last bar misses a session.
+ */
+export function candleInput({ key, label, weight, required, minBars = 1 }, series = {}, now = Date.now()) {
+  const candles = series.candles || [];
+  const asOf = barDate(candles[candles.length - 1]?.time);
+  return describeInput({
+    key,
+    label,
+    weight,
+    required,
+    available: candles.length >= minBars,
+    stale: isSessionStale(asOf, now),
+    provider: series.provider || null,
+    fallback: series.fallback,
+    asOf,
+    points: candles.length,
+    detail: candles.length ? `${candles.length} of ${minBars} bars` : 'no provider history',
+  });
+}
+
+/** Input record for a registry quote row (see providers/registry.js provenance). */
+export function quoteInput({ key, label, weight, required }, row) {
+  const change = Number(row?.percentChange ?? row?.change);
+  return describeInput({
+    key,
+    label,
+    weight,
+    required,
+    available: row?.price != null && Number.isFinite(change),
+    provider: row?.provenance?.provider || null,
+    fallback: row?.provenance?.fallback,
+    asOf: row?.provenance?.fetchedAt || null,
+    detail: row?.source === 'pending' ? 'no provider quote' : null,
+  });
+}
+
+/**
+ * Grade a list of describeInput() records. Returns
+ * { grade, completeness, status, withheld, threshold, reasons, inputs }.
+ */
+export function gradeInputs(records, { threshold = qualityThreshold() } = {}) {
+  const inputs = records.map((record) => (record.credit === undefined ? describeInput(record) : record));
+  const total = inputs.reduce((sum, input) => sum + input.weight, 0);
+  const completeness = total ? inputs.reduce((sum, input) => sum + input.weight * input.credit, 0) / total : 0;
+  const missingRequired = inputs.filter((input) => input.required && !input.available);
+  const withheld = missingRequired.length > 0 || completeness < threshold;
+  const reasons = [
+    ...missingRequired.map(reasonFor),
+    ...inputs.filter((input) => !missingRequired.includes(input)).map(reasonFor),
+  ].filter(Boolean);
+  const grade = withheld && missingRequired.length ? 'F' : GRADES.find(([min]) => completeness >= min)?.[1] || 'F';
+  return {
+    grade,
+    completeness: Number(completeness.toFixed(3)),
+    status: withheld ? 'insufficient' : reasons.length ? 'degraded' : 'complete',
+    withheld,
+    threshold,
+    reasons,
+    inputs,
+  };
+}
+
+/** Compact form for pulse / strip payloads — no per-input detail. */
+export function qualitySummary(quality) {
+  if (!quality) return null;
+  const { grade, completeness, status, withheld, reasons } = quality;
+  return { grade, completeness, status, withheld, reasons: reasons.slice(0, 3) };
+}
@@ -0,0 +1,484 @@
+/**
+ * Economic calendar — real release schedules for the prints that move Indian
+ * equities (India CPI / IIP / GDP / PMI, RBI MPC, FOMC, US CPI / NFP), kept in
+ * the `economic_events` collection.
+ *
+ * Events are entered by admins (one at a time or CSV import) or picked up
+ * from the Finnhub calendar by the `economic-calendar-sync` job. Each event
+ * carries consensus / previous / actual; once the actual is recorded the
+ * surprise is scored against consensus in units of the indicator's typical
+ * miss, so a CPI beat and an NFP beat compare on one scale. The macro and
+ * pre-market briefings read the digest (upcoming + recent surprises).
+ */
+
+import { storage } from '../storage/index.js';
+import { csvCells } from '../lib/csv.js';
+import { getJobStatus } from './jobs/scheduler.js';
+
+const EVENTS = 'economic_events';
+const DAY_MS = 86_400_000;
+const STATUSES = ['scheduled', 'released', 'cancelled'];
+/** |score| at or below which a print counts as in line with consensus. */
+const INLINE_SCORE = 0.5;
+const MAX_SCORE = 3;
+
+/**
+ * Tracked indicators. `scale` is a typical consensus miss in the indicator's
+ * unit; `equityTone` is how an above-consensus print reads for Indian
+ * equities (+1 supportive, −1 headwind). `time` is the usual release time in
+ * the publisher's zone, used when an entry gives only a date.
+ */
+export const INDICATORS = Object.freeze({
+  in_cpi: {
+    country: 'IN', event: 'India CPI inflation (YoY)', category: 'inflation', unit: '%', importance: 'High',
+    time: '16:00', timeZone: 'Asia/Kolkata', scale: 0.2, equityTone: -1,
+    sectors: ['Banks', 'Autos', 'FMCG'], match: /^(cpi|inflation rate)\b.*yoy/i, exclude: /core|food|rural|urban/i,
+  },
+  in_iip: {
+    country: 'IN', event: 'India industrial production (IIP, YoY)', category: 'growth', unit: '%', importance: 'Medium',
+    time: '16:00', timeZone: 'Asia/Kolkata', scale: 1, equityTone: 1,
+    sectors: ['Industrials', 'Capital Goods', 'Metals'], match: /industrial (production|output)/i, exclude: /mom/i,
+  },
+  in_gdp: {
+    country: 'IN', event: 'India GDP growth (YoY)', category: 'growth', unit: '%', importance: 'High',
+    time: '16:00', timeZone: 'Asia/Kolkata', scale: 0.4, equityTone: 1,
+    sectors: ['Banks', 'Industrials', 'Consumption'], match: /gdp.*(yoy|annual)/i, exclude: /capital|deflator/i,
+  },
+  in_pmi_mfg: {
+    country: 'IN', event: 'India manufacturing PMI', category: 'growth', unit: 'index', importance: 'Medium',
+    time: '10:30', timeZone: 'Asia/Kolkata', scale: 1, equityTone: 1,
+    sectors: ['Industrials', 'Autos', 'Metals'], match: /manufacturing pmi/i,
+  },
+  in_pmi_services: {
+    country: 'IN', event: 'India services PMI', category: 'growth', unit: 'index', importance: 'Medium',
+    time: '10:30', timeZone: 'Asia/Kolkata', scale: 1, equityTone: 1,
+    sectors: ['Banks', 'IT', 'Consumption'], match: /services pmi/i,
+  },
+  rbi_mpc: {
+    country: 'IN', event: 'RBI MPC policy decision (repo rate)', category: 'policy', unit: '%', importance: 'High',
+    time: '10:00', timeZone: 'Asia/Kolkata', scale: 0.25, equityTone: -1,
+    sectors: ['Banks', 'NBFCs', 'Real Estate'], match: /(interest rate|repo rate|policy rate) decision|rbi/i, exclude: /reverse/i,
+  },
+  fomc: {
+    country: 'US', event: 'FOMC rate decision (upper bound)', category: 'policy', unit: '%', importance: 'High',
+    time: '14:00', timeZone: 'America/New_York', scale: 0.25, equityTone: -1,
+    sectors: ['IT', 'Financials', 'Metals'], match: /(fed|fomc).*(interest rate|rate decision)|fed funds/i, exclude: /minutes|projection/i,
+  },
+  us_cpi: {
+    country: 'US', event: 'US CPI inflation (YoY)', category: 'inflation', unit: '%', importance: 'High',
+    time: '08:30', timeZone: 'America/New_York', scale: 0.1, equityTone: -1,
+    sectors: ['IT', 'Financials', 'Metals'], match: /^(cpi|inflation rate)\b.*yoy/i, exclude: /core/i,
+  },
+  us_nfp: {
+    country: 'US', event: 'US non-farm payrolls', category: 'labour', unit: 'k', importance: 'High',
+    time: '08:30', timeZone: 'America/New_York', scale: 50, equityTone: -1,
+    sectors: ['IT', 'Banks', 'Metals'], match: /non[- ]?farm payrolls/i, exclude: /private|adp/i,
+  },
+});
+
+const CSV_FIELDS = ['key', 'date', 'time', 'period', 'consensus', 'previous', 'actual', 'status', 'note'];
+
+function calendarError(message, status = 400, errors = undefined) {
+  const err = new Error(message);
+  err.status = status;
+  if (errors) err.errors = errors;
+  return err;
+}
+
+export function listIndicators() {
+  return Object.entries(INDICATORS).map(([key, spec]) => {
+    const { match, exclude, ...rest } = spec;
+    return { key, ...rest };
+  });
+}
+
+/** Offset (ms) of a time zone from UTC at an instant. */
+function zoneOffsetMs(ms, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit',
+    }).formatToParts(new Date(ms)).map((p) => [p.type, p.value]),
+  );
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(ms / 1000) * 1000;
+}
+
+/** `date` + `HH:MM` wall-clock time in `timeZone` → ISO instant (null when invalid). */
+function zonedInstant(date, hhmm, timeZone) {
+  const naive = Date.parse(`${date}T${hhmm}:00Z`);
+  if (Number.isNaN(naive)) return null;
+  const guess = naive - zoneOffsetMs(naive, timeZone);
+  return new Date(naive - zoneOffsetMs(guess, timeZone)).toISOString();
+}
+
+/** Calendar date of an instant in the publisher's zone — the date an event is known by. */
+function localDate(iso, timeZone) {
+  return new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(new Date(iso));
+}
+
+function eventId(key, scheduledAt) {
+  return `${key}-${localDate(scheduledAt, INDICATORS[key].timeZone)}`;
+}
+
+/**
+ * Release instant from an entry: a full ISO instant, or a date plus optional
+ * HH:MM in the indicator's own zone (IST for India, New York for the US).
+ */
+function releaseInstant(spec, date, time) {
+  const text = String(date || '').trim();
+  if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+    const hhmm = String(time || '').trim() || spec.time;
+    if (!/^\d{2}:\d{2}$/.test(hhmm)) return { error: `Invalid time "${time}" — use HH:MM` };
+    const iso = zonedInstant(text, hhmm, spec.timeZone);
+    return iso ? { iso } : { error: `Invalid date "${date}"` };
+  }
+  const ms = Date.parse(text);
+  if (!text || Number.isNaN(ms)) return { error: `Invalid date "${date}" — use YYYY-MM-DD or an ISO timestamp` };
+  return { iso: new Date(ms).toISOString() };
+}
+
+/** '6.5', '6.5%', '1,200', '150K' → number; blank → null; anything else → NaN. */
+function parseValue(value) {
+  if (value === undefined || value === null) return null;
+  if (typeof value === 'number') return Number.isFinite(value) ? value : NaN;
+  const text = String(value).trim().replace(/[%,\s]/g, '').replace(/k$/i, '');
+  if (!text) return null;
+  return /^[-+]?\d*\.?\d+$/.test(text) ? Number(text) : NaN;
+}
+
+/**
+ * Surprise of a released print: actual − consensus, scored in units of the
+ * indicator's typical miss (clamped to ±3). The tone reads the surprise for
+ * Indian equities — a hot CPI print is negative, a strong PMI positive.
+ */
+export function scoreSurprise(key, { actual, consensus, previous } = {}) {
+  const spec = INDICATORS[key];
+  const result = { surprise: null, surprise_score: null, surprise_direction: null, change: null, tone: 'neutral' };
+  if (!spec || actual == null) return result;
+  if (previous != null) result.change = round(actual - previous);
+  if (consensus == null) return result;
+  const surprise = round(actual - consensus);
+  const score = Math.max(-MAX_SCORE, Math.min(MAX_SCORE, round(surprise / spec.scale, 2)));
+  const inline = Math.abs(score) <= INLINE_SCORE;
+  return {
+    ...result,
+    surprise,
+    surprise_score: score,
+    surprise_direction: inline ? 'inline' : score > 0 ? 'above' : 'below',
+    tone: inline ? 'neutral' : score * spec.equityTone > 0 ? 'positive' : 'negative',
+  };
+}
+
+function round(n, digits = 4) {
+  const f = 10 ** digits;
+  return Math.round(n * f) / f;
+}
+
+/**
+ * Validate an entry and return the event fields it sets. Errors come back as
+ * [{ field, message }] so the form and the CSV report can point at the cell.
+ */
+function normaliseEntry(input, existing = null) {
+  const errors = [];
+  const key = String(input.key ?? existing?.key ?? '').trim();
+  const spec = INDICATORS[key];
+  if (!spec) {
+    errors.push({ field: 'key', message: key ? `Unknown indicator "${key}"` : 'Indicator is required' });
+    return { errors };
+  }
+  const fields = {};
+
+  const dateGiven = input.scheduled_at ?? input.date;
+  if (dateGiven !== undefined || input.time !== undefined || !existing) {
+    const when = releaseInstant(spec, dateGiven ?? (input.time !== undefined ? existing?.date : existing?.scheduled_at), input.time);
+    if (when.error) errors.push({ field: 'date', message: when.error });
+    else fields.scheduled_at = when.iso;
+  }
+  for (const field of ['consensus', 'previous', 'actual']) {
+    if (input[field] === undefined) continue;
+    const value = parseValue(input[field]);
+    if (Number.isNaN(value)) errors.push({ field, message: `${field} must be a number` });
+    else fields[field] = value;
+  }
+  if (input.status !== undefined && input.status !== '') {
+    if (!STATUSES.includes(input.status)) errors.push({ field: 'status', message: `Status must be one of ${STATUSES.join(', ')}` });
+    else fields.status = input.status;
+  }
+  for (const field of ['period', 'note']) {
+    if (input[field] !== undefined) fields[field] = String(input[field] ?? '').trim() || null;
+  }
+  return { key, spec, fields, errors };
+}
+
+function assemble(key, spec, fields, existing, actor, source) {
+  const now = new Date().toISOString();
+  const merged = {
+    consensus: null,
+    previous: null,
+    actual: null,
+    period: null,
+    note: null,
+    ...(existing || {}),
+    ...fields,
+  };
+  const status = fields.status || (merged.actual != null && merged.status !== 'cancelled' ? 'released' : merged.status || 'scheduled');
+  if (status === 'released' && merged.actual == null) {
+    throw calendarError('A released event needs its actual value', 400, [{ field: 'actual', message: 'Actual is required once released' }]);
+  }
+  const released = status === 'released';
+  return {
+    ...merged,
+    id: existing?.id || eventId(key, merged.scheduled_at),
+    key,
+    country: spec.country,
+    event: spec.event,
+    category: spec.category,
+    importance: spec.importance,
+    unit: spec.unit,
+    sectors: spec.sectors,
+    date: localDate(merged.scheduled_at, spec.timeZone),
+    status,
+    ...scoreSurprise(key, released ? merged : {}),
+    released_at: released ? existing?.released_at || now : null,
+    source: existing?.source || source,
+    created_at: existing?.created_at || now,
+    created_by: existing?.created_by || actor,
+    updated_at: now,
+    updated_by: actor,
+  };
+}
+
+export function getEvent(id) {
+  return storage.get(EVENTS, id);
+}
+
+/**
+ * Events in a window, oldest first. `from` / `to` are dates or instants
+ * (default: last 7 days → next 30); filters narrow by country, indicator key
+ * and status.
+ */
+export async function listEvents({ from, to, country, key, status, limit = 200 } = {}) {
+  const now = Date.now();
+  const start = from ? Date.parse(from) : now - 7 * DAY_MS;
+  const end = to ? Date.parse(to) + (/^\d{4}-\d{2}-\d{2}$/.test(String(to)) ? DAY_MS : 0) : now + 30 * DAY_MS;
+  if (Number.isNaN(start) || Number.isNaN(end)) throw calendarError('from / to must be dates or ISO timestamps');
+  return storage.find(EVENTS, {
+    where: {
+      scheduled_at: { gte: new Date(start).toISOString(), lt: new Date(end).toISOString() },
+      country: country ? String(country).toUpperCase() : undefined,
+      key: key || undefined,
+      status: status || undefined,
+    },
+    orderBy: 'scheduled_at',
+    limit: Math.min(1000, Math.max(1, Number(limit) || 200)),
+  });
+}
+
+/**
+ * Create an event, or update the one already scheduled for that indicator on
+ * that date (ids are `<key>-<publisher's local date>`, so re-entering a date
+ * edits it).
+ */
+export async function upsertEvent(input = {}, actor = 'admin', { source = 'admin' } = {}) {
+  const { key, spec, fields, errors } = normaliseEntry(input);
+  if (errors.length) throw calendarError(errors[0].message, 400, errors);
+  const id = eventId(key, fields.scheduled_at);
+  const existing = await storage.get(EVENTS, id);
+  const event = assemble(key, spec, fields, existing, actor, source);
+  await storage.put(EVENTS, event);
+  return event;
+}
+
+export async function updateEvent(id, patch = {}, actor = 'admin') {
+  const existing = await storage.get(EVENTS, id);
+  if (!existing) throw calendarError('Event not found', 404);
+  const { key, spec, fields, errors } = normaliseEntry({ ...patch, key: existing.key }, existing);
+  if (errors.length) throw calendarError(errors[0].message, 400, errors);
+  const event = { ...assemble(key, spec, fields, existing, actor, 'admin'), id: eventId(key, fields.scheduled_at || existing.scheduled_at) };
+  if (event.id === id) {
+    await storage.put(EVENTS, event);
+    return event;
+  }
+  // Rescheduled to another day: the id follows the date so re-entering it edits this row.
+  if (await storage.get(EVENTS, event.id)) throw calendarError(`${spec.event} is already scheduled on ${event.date}`, 409);
+  await storage.transaction(async () => {
+    await storage.remove(EVENTS, id);
+    await storage.put(EVENTS, event);
+  });
+  return event;
+}
+
+/** Record the released print (and late consensus / previous revisions). */
+export async function recordRelease(id, values = {}, actor = 'admin') {
+  if (values.actual === undefined || values.actual === '' || values.actual === null) {
+    throw calendarError('Actual value is required', 400, [{ field: 'actual', message: 'Actual is required' }]);
+  }
+  const { consensus, previous, actual, note } = values;
+  return updateEvent(id, { consensus, previous, actual, note, status: 'released' }, actor);
+}
+
+export async function removeEvent(id) {
+  const existing = await storage.get(EVENTS, id);
+  if (!existing) throw calendarError('Event not found', 404);
+  await storage.remove(EVENTS, id);
+  return { removed: id };
+}
+
+/**
+ * CSV import: header row with `key,date` plus any of time, period,
+ * consensus, previous, actual, status, note. Dry runs return a per-row
+ * report; a real import lands every row or none.
+ */
+export async function importEventsCsv(csvText, actor = 'admin', { dryRun = false } = {}) {
+  const lines = String(csvText || '').trim().split(/\r?\n/).filter((l) => l.trim());
+  if (lines.length < 2) return dryRun ? { dry_run: true, rows: 0, valid: 0, errors: [] } : { imported: 0 };
+  const headers = csvCells(lines[0]).map((h) => h.trim().toLowerCase());
+  const unknown = headers.filter((h) => !CSV_FIELDS.includes(h));
+  if (unknown.length) throw calendarError(`Unknown column(s): ${unknown.join(', ')}`);
+  if (!headers.includes('key') || !headers.includes('date')) throw calendarError('CSV needs key and date columns');
+
+  const rows = lines.slice(1).map((line) => {
+    const cells = csvCells(line);
+    return Object.fromEntries(headers.map((h, i) => [h, (cells[i] ?? '').trim()]));
+  });
+  const errors = [];
+  const seen = new Map();
+  rows.forEach((row, i) => {
+    const { key, fields, errors: rowErrors } = normaliseEntry(row);
+    errors.push(...rowErrors.map((e) => ({ row: i + 2, ...e })));
+    if (rowErrors.length) return;
+    const id = eventId(key, fields.scheduled_at);
+    if (seen.has(id)) errors.push({ row: i + 2, field: 'date', message: `Duplicates row ${seen.get(id)} (${id})` });
+    else seen.set(id, i + 2);
+    if (fields.status === 'released' && fields.actual == null) {
+      errors.push({ row: i + 2, field: 'actual', message: 'Actual is required once released' });
+    }
+  });
+
+  if (dryRun) {
+    const rejected = new Set(errors.map((e) => e.row)).size;
+    return { dry_run: true, rows: rows.length, valid: rows.length - rejected, errors };
+  }
+  if (errors.length) {
+    const summary = errors.slice(0, 5).map((e) => `row ${e.row}: ${e.message}`).join('; ');
+    throw calendarError(`Import rejected — ${summary}${errors.length > 5 ? ` (+${errors.length - 5} more)` : ''}`, 400, errors);
+  }
+  await storage.transaction(async () => {
+    for (const row of rows) await upsertEvent(row, actor, { source: 'csv' });
+  });
+  return { imported: rows.length };
+}
+
+/**
+ * What the briefings read: events due in the next `days`, prints released in
+ * the last `lookbackDays`, and the released prints that surprised (|score|
+ * above in-line), biggest first.
+ */
+export async function getCalendarDigest({ now = Date.now(), days = 14, lookbackDays = 7 } = {}) {
+  const at = typeof now === 'number' ? now : Date.parse(now);
+  const events = await storage.find(EVENTS, {
+    where: {
+      scheduled_at: {
+        gte: new Date(at - lookbackDays * DAY_MS).toISOString(),
+        lt: new Date(at + days * DAY_MS).toISOString(),
+      },
+    },
+    orderBy: 'scheduled_at',
+  });
+  const upcoming = events.filter((e) => e.status === 'scheduled' && Date.parse(e.scheduled_at) >= at);
+  const released = events.filter((e) => e.status === 'released').reverse();
+  const surprises = released
+    .filter((e) => e.surprise_score != null && Math.abs(e.surprise_score) > INLINE_SCORE)
+    .sort((a, b) => Math.abs(b.surprise_score) - Math.abs(a.surprise_score));
+  return { as_of: new Date(at).toISOString(), upcoming, released, surprises };
+}
+
+/** One-line read of a released print, e.g. "6.2% vs 5.9% consensus (+1.5σ)". */
+export function describeRelease(event) {
+  const unit = event.unit === '%' ? '%' : event.unit === 'k' ? 'k' : '';
+  const fmt = (v) => `${Number(v).toFixed(event.unit === 'k' ? 0 : 2).replace(/\.?0+$/, '') || '0'}${unit}`;
+  if (event.actual == null) return 'Awaiting release';
+  if (event.consensus == null) {
+    return event.previous != null ? `${fmt(event.actual)} vs ${fmt(event.previous)} previous` : fmt(event.actual);
+  }
+  const score = event.surprise_score;
+  return `${fmt(event.actual)} vs ${fmt(event.consensus)} consensus (${score > 0 ? '+' : ''}${score}σ)`;
+}
+
+// ── Finnhub sync ───────────────────────────────────────────────────────────────
+
+const COUNTRY_CODES = { US: /^(us|united states)$/i, IN: /^(in|india)$/i };
+
+/** Tracked indicator for a Finnhub calendar row, or null. */
+export function matchFinnhubRow(row) {
+  for (const [key, spec] of Object.entries(INDICATORS)) {
+    if (!COUNTRY_CODES[spec.country].test(String(row.country || '').trim())) continue;
+    const name = String(row.event || '');
+    if (spec.match.test(name) && !spec.exclude?.test(name)) return key;
+  }
+  return null;
+}
+
+/**
+ * Pull the Finnhub economic calendar (last week → next five weeks) and fill
+ * in tracked events. Only blank fields are filled, so admin-entered
+ * consensus and corrections win over the feed.
+ */
+export async function syncFinnhubCalendar({ now = Date.now(), fetchImpl = fetch } = {}) {
+  const apiKey = (process.env.FINNHUB_API_KEY || '').trim();
+  if (!apiKey) return { ok: true, skipped: true, reason: 'FINNHUB_API_KEY not set' };
+  const from = new Date(now - 7 * DAY_MS).toISOString().slice(0, 10);
+  const to = new Date(now + 35 * DAY_MS).toISOString().slice(0, 10);
+  const response = await fetchImpl(`https://finnhub.io/api/v1/calendar/economic?from=${from}&to=${to}&token=${apiKey}`, {
+    signal: AbortSignal.timeout(15_000),
+  });
+  if (!response.ok) throw new Error(`Finnhub calendar HTTP ${response.status}`);
+  const body = await response.json();
+
+  let created = 0;
+  let updated = 0;
+  for (const row of body?.economicCalendar || []) {
+    const key = matchFinnhubRow(row);
+    const ms = Date.parse(`${String(row.time || row.date || '').replace(' ', 'T')}Z`);
+    if (!key || Number.isNaN(ms)) continue;
+    const scheduledAt = new Date(ms).toISOString();
+    const existing = await storage.get(EVENTS, eventId(key, scheduledAt));
+    const feed = { consensus: row.estimate, previous: row.prev, actual: row.actual };
+    const fill = Object.fromEntries(
+      Object.entries(feed).filter(([field, value]) => value != null && value !== '' && existing?.[field] == null),
+    );
+    if (existing && !Object.keys(fill).length) continue;
+    await upsertEvent(
+      { key, scheduled_at: existing?.scheduled_at || scheduledAt, ...fill },
+      'finnhub-sync',
+      { source: 'finnhub' },
+    );
+    if (existing) updated += 1;
+    else created += 1;
+  }
+  return { ok: true, created, updated, window: { from, to } };
+}
+
+function syncEnabled() {
+  return String(process.env.ECONOMIC_CALENDAR_SYNC || 'true').toLowerCase() !== 'false'
+    && Boolean((process.env.FINNHUB_API_KEY || '').trim());
+}
+
+export function economicCalendarSyncJob() {
+  return {
+    id: 'economic-calendar-sync',
+    label: 'Economic calendar sync',
+    description: 'Fills tracked release dates, consensus and actuals from the Finnhub economic calendar.',
+    group: 'macro',
+    cron: '0 7,13,19 * * *',
+    catchUpMs: 3 * 60 * 60_000,
+    retryMs: 10 * 60_000,
+    enabled: syncEnabled,
+    initialDelayMs: 60_000,
+    run: () => syncFinnhubCalendar(),
+  };
+}
+
+export function getEconomicCalendarSyncStatus() {
+  return getJobStatus('economic-calendar-sync');
+}
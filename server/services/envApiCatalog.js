@@ -17,21 +17,15 @@ export function listEnvApiCatalog() {
   return [
     {
       name: 'Groww',
-      env: ['GROWW_ACCESS_TOKEN', 'GROWW_API_KEY', 'GROWW_API_SECRET', 'GROWW_API_BASE'],
+      env: ['GROWW_API_KEY', 'GROWW_API_SECRET', 'GROWW_API_BASE', 'BROKER_TOKEN_KEY'],
       configured: isGrowwConfigured(),
       role: 'Primary India market data (LTP / quote / OHLC / historical)',
     },
     {
       name: 'Upstox',
-      env: [
-        'UPSTOX_ACCESS_TOKEN',
-        'UPSTOX_API',
-        'UPSTOX_API_KEY',
-        'UPSTOX_API_SECRET',
-        'UPSTOX_REDIRECT_URI',
-      ],
-      configured: isUpstoxConfigured() || present('UPSTOX_API_KEY', 'UPSTOX_API', 'UPSTOX_CLIENT_ID'),
-      role: 'Fundamentals / corporate actions (Bearer access token)',
+      env: ['UPSTOX_CLIENT_ID', 'UPSTOX_CLIENT_SECRET', 'UPSTOX_REDIRECT_URI', 'BROKER_TOKEN_KEY'],
+      configured: isUpstoxConfigured() || present('UPSTOX_CLIENT_ID'),
+      role: 'Fundamentals / corporate actions (admin OAuth login, daily token)',
     },
     {
       name: 'Indian API',
@@ -189,9 +183,9 @@ export async function enrichMissionControlApis(desk = {}) {
     last_error: groww?.ok ? null : groww?.message || groww?.tests?.find((t) => !t.ok)?.error || null,
     note: groww?.configured
       ? `Auth: ${groww.authMode || 'unknown'}; probes ${groww.passed ?? 0}/${groww.total ?? 0}`
-      : 'Set GROWW_ACCESS_TOKEN (daily) or GROWW_API_KEY + GROWW_API_SECRET',
+      : 'Set GROWW_API_KEY + GROWW_API_SECRET (token rotated daily)',
     capabilities: ['ltp', 'quote', 'ohlc', 'historical'],
-    env_keys: ['GROWW_ACCESS_TOKEN', 'GROWW_API_KEY', 'GROWW_API_SECRET'],
+    env_keys: ['GROWW_API_KEY', 'GROWW_API_SECRET'],
     checked_at: groww?.checkedAt || new Date().toISOString(),
   });
 
@@ -271,9 +265,9 @@ export async function enrichMissionControlApis(desk = {}) {
     last_error: upstox?.ok ? null : upstox?.message || null,
     note: upstox?.configured
       ? upstox.message || `Auth source: ${upstox.authSource || 'token'}`
-      : 'Set UPSTOX_ACCESS_TOKEN (Bearer). UPSTOX_API key alone is not enough.',
+      : upstox?.message || 'Log in with Upstox from Mission Control → Broker sessions.',
     capabilities: ['corporate_actions', 'fundamentals'],
-    env_keys: ['UPSTOX_ACCESS_TOKEN', 'UPSTOX_API', 'UPSTOX_API_KEY', 'UPSTOX_API_SECRET'],
+    env_keys: ['UPSTOX_CLIENT_ID', 'UPSTOX_CLIENT_SECRET', 'UPSTOX_REDIRECT_URI'],
     checked_at: upstox?.checkedAt || new Date().toISOString(),
   });
   out.upstox_health = {
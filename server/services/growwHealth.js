@@ -6,7 +6,8 @@
  *   OHLC:  GET /live-data/ohlc?segment&exchange_symbols=...
  */
 
-import { isGrowwConfigured, getQuote, getLTP, getOHLC } from '../providers/groww.js';
+import { growwAuthMode, isGrowwConfigured, getQuote, getLTP, getOHLC } from '../providers/groww.js';
+import { recordProviderHealth } from '../providers/registry.js';
 
 function sanitizeQuote(payload) {
   if (!payload) return null;
@@ -37,33 +38,17 @@ function sanitizeOhlc(payload) {
   return { symbols: keys, sample: first ? { [first]: ohlc } : {} };
 }
 
-export async function getGrowwHealth() {
+async function probeGrowwHealth() {
   const configured = isGrowwConfigured();
-  const accessToken = (process.env.GROWW_ACCESS_TOKEN || '').trim();
-  const apiKey = (process.env.GROWW_API_KEY || '').trim();
-  const apiSecret = (process.env.GROWW_API_SECRET || '').trim();
-  const authMode = accessToken
-    ? 'access_token'
-    : apiKey.startsWith('eyJ') && apiKey.length > 100
-      ? 'api_key_jwt_fallback'
-      : 'api_key_secret';
+  // Tokens come from the daily rotation (services/brokerAuth.js), the deprecated env token, or are minted on demand.
+  const authMode = await growwAuthMode();
 
   if (!configured) {
     return {
       ok: false,
       configured: false,
       authMode,
-      message: 'Set GROWW_ACCESS_TOKEN or GROWW_API_KEY + GROWW_API_SECRET',
-      tests: [],
-    };
-  }
-
-  if (authMode === 'api_key_secret' && apiSecret.length < 8) {
-    return {
-      ok: false,
-      configured: true,
-      authMode,
-      message: 'GROWW_API_SECRET looks truncated. Copy the full secret from Groww Cloud API Keys.',
+      message: 'Set GROWW_API_KEY + GROWW_API_SECRET — the access token is rotated daily from them',
       tests: [],
     };
   }
@@ -96,3 +81,10 @@ export async function getGrowwHealth() {
     checkedAt: new Date().toISOString(),
   };
 }
+
+/** Runs the probe and feeds it to the registry breaker — any passing call means Groww is serving. */
+export async function getGrowwHealth() {
+  const health = await probeGrowwHealth();
+  recordProviderHealth('groww', { ...health, ok: health.ok || health.passed > 0 });
+  return health;
+}
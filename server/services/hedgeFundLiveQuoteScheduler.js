@@ -11,9 +11,11 @@
  * import was competing with user traffic and causing 502s.
  */
 import { getLTP, getOHLC, isGrowwConfigured } from '../providers/groww.js';
+import { publishMarketSnapshot } from './marketStream.js';
+import { istParts } from './jobs/cron.js';
+import { isMarketOpen } from './marketCalendar.js';
+import { getJobStatus } from './jobs/scheduler.js';
 
-let timer = null;
-let lastRun = null;
 let inFlight = null;
 
 function engineConfig() {
@@ -22,15 +24,6 @@ function engineConfig() {
   return { baseUrl, token: String(process.env.AGIB_SERVICE_TOKEN || process.env.INTELLIGENCE_ENGINE_TOKEN || '').trim() };
 }
 
-function marketOpen(now = new Date()) {
-  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-GB', {
-    timeZone: 'Asia/Kolkata', weekday: 'short', hour: '2-digit', minute: '2-digit', hour12: false,
-  }).formatToParts(now).map((part) => [part.type, part.value]));
-  if (['Sat', 'Sun'].includes(parts.weekday)) return false;
-  const minute = Number(parts.hour) * 60 + Number(parts.minute);
-  return minute >= 9 * 60 + 15 && minute <= 15 * 60 + 30;
-}
-
 async function engineFetch(path, { method = 'GET', body, timeoutMs = 45_000 } = {}) {
   const { baseUrl, token } = engineConfig();
   if (!baseUrl || !token) throw new Error('intelligence_engine_not_configured');
@@ -89,7 +82,7 @@ async function commitQuotes(rows) {
 
 export async function refreshHedgeFundLiveQuotes({ force = false } = {}) {
   if (!isGrowwConfigured()) return { ok: false, skipped: true, reason: 'groww_not_configured' };
-  if (!force && !marketOpen()) return { ok: true, skipped: true, reason: 'market_closed' };
+  if (!force && !isMarketOpen()) return { ok: true, skipped: true, reason: 'market_closed' };
   if (inFlight) return { ok: true, skipped: true, reason: 'refresh_in_flight' };
 
   inFlight = (async () => {
@@ -100,7 +93,7 @@ export async function refreshHedgeFundLiveQuotes({ force = false } = {}) {
     if (!symbols.length) return { ok: true, skipped: true, reason: 'no_research_candidates' };
     const keys = symbols.map((symbol) => `NSE_${symbol}`);
     const [ltp, ohlc] = await Promise.all([getLTP(keys), getOHLC(keys)]);
-    const date = new Intl.DateTimeFormat('en-CA', { timeZone: 'Asia/Kolkata' }).format(new Date());
+    const { date } = istParts();
     const rows = symbols.map((symbol) => {
       const key = `NSE_${symbol}`;
       const candle = ohlcValue(ohlc, key);
@@ -118,6 +111,10 @@ export async function refreshHedgeFundLiveQuotes({ force = false } = {}) {
         import_time: new Date().toISOString(),
       };
     }).filter(Boolean);
+    // Stream before the warehouse commit — live surfaces should not wait on the engine.
+    publishMarketSnapshot('quotes', rows.map(({ symbol, date, open, high, low, close, volume }) => ({
+      symbol, date, open, high, low, close, volume,
+    })));
     const committed = await commitQuotes(rows);
     return { ok: true, candidates: symbols.length, quotes: rows.length, committed };
   })();
@@ -129,28 +126,30 @@ export async function refreshHedgeFundLiveQuotes({ force = false } = {}) {
   }
 }
 
-export function startHedgeFundLiveQuoteScheduler() {
-  // Quote refresh currently depends on a terminal rebuild plus warehouse
-  // import. Keep it off until it is moved to an isolated data worker.
-  if (
-    timer ||
-    String(process.env.HEDGE_FUND_LIVE_REFRESH_ENABLED || 'false').toLowerCase() !== 'true' ||
-    String(process.env.HEDGE_FUND_LIVE_QUOTES || 'false').toLowerCase() !== 'true'
-  ) return;
-  // Default 10 minutes — do not compete with page opens every minute.
-  const intervalMs = Math.max(120_000, Number(process.env.HEDGE_FUND_LIVE_QUOTE_INTERVAL_MS || 600_000));
-  const tick = () => refreshHedgeFundLiveQuotes().then((result) => { lastRun = { at: new Date().toISOString(), ...result }; })
-    .catch((error) => { lastRun = { at: new Date().toISOString(), ok: false, error: error.message }; });
-  // Wait 5 minutes after boot so deploy/keep-warm traffic settles first.
-  const initialDelayMs = Math.max(60_000, Number(process.env.HEDGE_FUND_LIVE_QUOTE_INITIAL_DELAY_MS || 300_000));
-  setTimeout(tick, initialDelayMs); timer = setInterval(tick, intervalMs); timer.unref?.();
+/** Job `hedge-fund-live-quotes` (services/jobs). */
+export function hedgeFundLiveQuoteJob() {
+  return {
+    id: 'hedge-fund-live-quotes',
+    label: 'Hedge Fund live quotes',
+    description: 'Groww LTP/OHLC for the research candidates while the market is open.',
+    group: 'market-data',
+    // Default 10 minutes — do not compete with page opens every minute.
+    everyMs: Math.max(120_000, Number(process.env.HEDGE_FUND_LIVE_QUOTE_INTERVAL_MS || 600_000)),
+    // Quote refresh currently depends on a terminal rebuild plus warehouse
+    // import. Keep it off until it is moved to an isolated data worker.
+    enabled: () => String(process.env.HEDGE_FUND_LIVE_REFRESH_ENABLED || 'false').toLowerCase() === 'true'
+      && String(process.env.HEDGE_FUND_LIVE_QUOTES || 'false').toLowerCase() === 'true',
+    // Wait 5 minutes after boot so deploy/keep-warm traffic settles first.
+    initialDelayMs: Math.max(60_000, Number(process.env.HEDGE_FUND_LIVE_QUOTE_INITIAL_DELAY_MS || 300_000)),
+    quiet: (result) => result?.reason === 'market_closed',
+    run: ({ force }) => refreshHedgeFundLiveQuotes({ force }),
+  };
 }
 
 export function getHedgeFundLiveQuoteStatus() {
   return {
-    enabled: Boolean(timer),
+    ...getJobStatus('hedge-fund-live-quotes'),
     intervalMs: Number(process.env.HEDGE_FUND_LIVE_QUOTE_INTERVAL_MS || 600_000),
-    marketOpen: marketOpen(),
-    lastRun,
+    marketOpen: isMarketOpen(),
   };
 }
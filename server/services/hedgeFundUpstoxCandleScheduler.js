@@ -6,14 +6,29 @@
  * calculated after close from the warehouse; intraday candles are an overlay
  * used to keep active research candidates current without exhausting provider
  * limits or making a page visit perform vendor work.
+ *
+ * Bars come from the candle store (services/candleStore.js), keyed by the
+ * candidate's Upstox instrument key, so each refresh fetches only the sessions
+ * the store is missing rather than 400 days per candidate.
  */
-import { getHistoricalCandles, getIntradayCandles, isUpstoxConfigured } from '../providers/upstox.js';
+import { hasCandleProvider } from '../providers/registry.js';
+import { getCandles } from './candleStore.js';
+import { createIndicatorSuite } from '../lib/indicators.js';
+import { istParts } from './jobs/cron.js';
+import { isMarketOpen } from './marketCalendar.js';
+import { getJobStatus } from './jobs/scheduler.js';
 
-let timer = null;
 let inFlight = null;
-let lastRun = null;
 let lastDailyRefresh = null;
 
+/**
+ * Incremental indicator state per `${ticker}:${frame}`. Each refresh feeds only
+ * bars newer than the last one seen instead of recomputing the full series.
+ */
+const technicals = new Map();
+const TECHNICALS_MAX = 200;
+const INTRADAY_BAR_MS = 15 * 60_000;
+
 function engineConfig() {
   let baseUrl = String(process.env.AGIB_INTELLIGENCE_ENGINE_URL || process.env.INTELLIGENCE_ENGINE_URL || '').replace(/\/$/, '');
   if (baseUrl && !/^https?:\/\//i.test(baseUrl)) baseUrl = `https://${baseUrl}`;
@@ -34,29 +49,6 @@ async function engineFetch(path, { method = 'GET', body, timeoutMs = 60_000 } =
   return data;
 }
 
-function istParts(now = new Date()) {
-  return Object.fromEntries(new Intl.DateTimeFormat('en-GB', {
-    timeZone: 'Asia/Kolkata', weekday: 'short', year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', hour12: false,
-  }).formatToParts(now).map((part) => [part.type, part.value]));
-}
-
-function marketOpen(now = new Date()) {
-  const p = istParts(now);
-  if (['Sat', 'Sun'].includes(p.weekday)) return false;
-  const minute = Number(p.hour) * 60 + Number(p.minute);
-  return minute >= 9 * 60 + 15 && minute <= 15 * 60 + 30;
-}
-
-function isoIstDate(now = new Date()) {
-  const p = istParts(now);
-  return `${p.year}-${p.month}-${p.day}`;
-}
-
-function dateDaysAgo(days, now = new Date()) {
-  const date = new Date(now.getTime() - days * 86_400_000);
-  return date.toISOString().slice(0, 10);
-}
-
 function candidateRows(pack) {
   const seen = new Set();
   const output = [];
@@ -73,8 +65,13 @@ function candidateRows(pack) {
   return output.slice(0, Math.max(1, Number(process.env.HEDGE_FUND_UPSTOX_CANDLE_LIMIT || 25)));
 }
 
-function candleRows(ticker, payload, source) {
-  const candles = payload?.data?.candles || [];
+/** Store instrument for a candidate; the ISIN in an NSE_EQ key lets splits and bonuses sync. */
+function candidateInstrument(candidate) {
+  const isin = /^NSE_EQ\|(IN[A-Z0-9]{10})$/.exec(candidate.instrumentKey)?.[1];
+  return { exchange: 'NSE', symbol: candidate.ticker, upstoxKey: candidate.instrumentKey, isin, class: 'equity' };
+}
+
+function candleRows(ticker, candles, source) {
   return candles.map((candle) => {
     const [timestamp, open, high, low, close, volume] = candle || [];
     const date = String(timestamp || '').slice(0, 10);
@@ -83,6 +80,38 @@ function candleRows(ticker, payload, source) {
   }).filter(Boolean);
 }
 
+function updateTechnicals(ticker, frame, candles, { completeBefore = Infinity } = {}) {
+  const bars = candles
+    .map(([time, open, high, low, close, volume] = []) => ({
+      time,
+      open: Number(open),
+      high: Number(high),
+      low: Number(low),
+      close: Number(close),
+      volume: Number(volume) || 0,
+    }))
+    .filter((bar) => Number.isFinite(Date.parse(bar.time)) && Number.isFinite(bar.close) && bar.close > 0)
+    .sort((a, b) => Date.parse(a.time) - Date.parse(b.time));
+  const key = `${ticker}:${frame}`;
+  let entry = technicals.get(key);
+  if (!entry) {
+    if (technicals.size >= TECHNICALS_MAX) technicals.delete(technicals.keys().next().value);
+    entry = { suite: createIndicatorSuite(), lastTime: 0, snapshot: null, updatedAt: null };
+    technicals.set(key, entry);
+  }
+  let fed = 0;
+  for (const bar of bars) {
+    const at = Date.parse(bar.time);
+    // Skip bars already consumed and the still-forming intraday bar.
+    if (at <= entry.lastTime || at >= completeBefore) continue;
+    entry.snapshot = entry.suite.update(bar);
+    entry.lastTime = at;
+    fed += 1;
+  }
+  if (fed) entry.updatedAt = new Date().toISOString();
+  return fed;
+}
+
 async function importRows(rows) {
   if (!rows.length) return { ok: true, written: 0 };
   const staged = await engineFetch('/v1/warehouse/tab/daily_market_history/import', {
@@ -94,14 +123,16 @@ async function importRows(rows) {
   });
 }
 
-async function refreshDaily(candidates, today) {
+async function refreshDaily(candidates) {
   let rowsWritten = 0;
   let refreshed = 0;
+  let barsFed = 0;
   const failures = [];
   for (const candidate of candidates) {
     try {
-      const payload = await getHistoricalCandles(candidate.instrumentKey, { unit: 'days', interval: 1, from: dateDaysAgo(400), to: today });
-      const rows = candleRows(candidate.ticker, payload, 'upstox_v3_daily');
+      const { candles, provider } = await getCandles(candidateInstrument(candidate), { interval: '1d', days: 400 });
+      const rows = candleRows(candidate.ticker, candles, `${provider || 'store'}_daily`);
+      barsFed += updateTechnicals(candidate.ticker, 'daily', candles);
       await importRows(rows);
       await engineFetch('/v1/warehouse/recalculate', { method: 'POST', body: { actor: 'hedge_fund_upstox_candles', stages: ['factors'], entity: candidate.ticker }, timeoutMs: 90_000 });
       rowsWritten += rows.length;
@@ -110,58 +141,83 @@ async function refreshDaily(candidates, today) {
       failures.push({ ticker: candidate.ticker, error: error.message });
     }
   }
-  return { refreshed, rowsWritten, failures };
+  return { refreshed, rowsWritten, barsFed, failures };
 }
 
 async function refreshIntraday(candidates) {
   const failures = [];
   let rowsWritten = 0;
+  let barsFed = 0;
   for (const candidate of candidates) {
     try {
-      const payload = await getIntradayCandles(candidate.instrumentKey, { unit: 'minutes', interval: 15 });
-      const rows = candleRows(candidate.ticker, payload, 'upstox_v3_intraday');
+      const { candles, provider } = await getCandles(candidateInstrument(candidate), { interval: '15m', days: 1 });
+      const rows = candleRows(candidate.ticker, candles, `${provider || 'store'}_intraday`);
+      barsFed += updateTechnicals(candidate.ticker, 'intraday', candles, { completeBefore: Date.now() - INTRADAY_BAR_MS });
       await importRows(rows);
       rowsWritten += rows.length;
     } catch (error) {
       failures.push({ ticker: candidate.ticker, error: error.message });
     }
   }
-  return { rowsWritten, failures };
+  return { rowsWritten, barsFed, failures };
 }
 
 export async function refreshHedgeFundUpstoxCandles({ force = false } = {}) {
-  if (!isUpstoxConfigured()) return { ok: false, skipped: true, reason: 'upstox_not_configured' };
+  if (!hasCandleProvider('equity')) return { ok: false, skipped: true, reason: 'no_candle_provider' };
   if (inFlight) return { ok: true, skipped: true, reason: 'refresh_in_flight' };
   inFlight = (async () => {
-    const today = isoIstDate();
+    const today = istParts().date;
     const terminal = await engineFetch('/v1/hedge-fund-lab/terminal?limit=24', { timeoutMs: 45_000 });
     const candidates = candidateRows(terminal);
     if (!candidates.length) return { ok: true, skipped: true, reason: 'no_instrument_keys' };
-    const shouldRunDaily = force || (!marketOpen() && lastDailyRefresh !== today);
-    const daily = shouldRunDaily ? await refreshDaily(candidates, today) : null;
+    const shouldRunDaily = force || (!isMarketOpen() && lastDailyRefresh !== today);
+    const daily = shouldRunDaily ? await refreshDaily(candidates) : null;
     if (shouldRunDaily) lastDailyRefresh = today;
-    const intraday = marketOpen() ? await refreshIntraday(candidates) : null;
-    return { ok: true, provider: 'upstox_v3', candidates: candidates.length, daily, intraday, as_of: new Date().toISOString() };
+    const intraday = isMarketOpen() ? await refreshIntraday(candidates) : null;
+    return { ok: true, provider: 'candle_store', candidates: candidates.length, daily, intraday, as_of: new Date().toISOString() };
   })();
   try { return await inFlight; } finally { inFlight = null; }
 }
 
-export function startHedgeFundUpstoxCandleScheduler() {
-  // Technical research is paused while Hedge Fund runs fundamentals-first.
-  // Retain this scheduler and the raw candles for a future opt-in, but do not
-  // run it merely because the old candle setting is still present.
-  if (
-    timer ||
-    String(process.env.HEDGE_FUND_TECHNICAL_RESEARCH_ENABLED || 'false').toLowerCase() !== 'true' ||
-    String(process.env.HEDGE_FUND_UPSTOX_CANDLES || 'false').toLowerCase() !== 'true'
-  ) return;
-  const intervalMs = Math.max(15 * 60_000, Number(process.env.HEDGE_FUND_UPSTOX_CANDLE_INTERVAL_MS || 15 * 60_000));
-  const tick = () => refreshHedgeFundUpstoxCandles().then((result) => { lastRun = result; }).catch((error) => { lastRun = { ok: false, error: error.message, at: new Date().toISOString() }; });
-  setTimeout(tick, Math.max(60_000, Number(process.env.HEDGE_FUND_UPSTOX_INITIAL_DELAY_MS || 180_000)));
-  timer = setInterval(tick, intervalMs);
-  timer.unref?.();
+/** Job `hedge-fund-upstox-candles` (services/jobs). */
+export function hedgeFundUpstoxCandleJob() {
+  return {
+    id: 'hedge-fund-upstox-candles',
+    label: 'Hedge Fund Upstox candles',
+    description: 'Daily and 15-minute candles plus streamed technicals for the research queue.',
+    group: 'market-data',
+    everyMs: Math.max(15 * 60_000, Number(process.env.HEDGE_FUND_UPSTOX_CANDLE_INTERVAL_MS || 15 * 60_000)),
+    // Technical research is paused while Hedge Fund runs fundamentals-first.
+    // Retain this job and the raw candles for a future opt-in, but do not
+    // run it merely because the old candle setting is still present.
+    enabled: () => String(process.env.HEDGE_FUND_TECHNICAL_RESEARCH_ENABLED || 'false').toLowerCase() === 'true'
+      && String(process.env.HEDGE_FUND_UPSTOX_CANDLES || 'false').toLowerCase() === 'true',
+    initialDelayMs: Math.max(60_000, Number(process.env.HEDGE_FUND_UPSTOX_INITIAL_DELAY_MS || 180_000)),
+    run: ({ force }) => refreshHedgeFundUpstoxCandles({ force }),
+  };
 }
 
-export function getHedgeFundUpstoxCandleStatus() {
-  return { enabled: Boolean(timer), provider: 'upstox_v3', intervalMs: Number(process.env.HEDGE_FUND_UPSTOX_CANDLE_INTERVAL_MS || 15 * 60_000), marketOpen: marketOpen(), lastRun };
+/** Latest streamed indicator snapshots for one ticker (daily and intraday frames). */
+export function getHedgeFundTechnicals(ticker) {
+  const symbol = String(ticker || '').toUpperCase();
+  const out = {};
+  for (const frame of ['daily', 'intraday']) {
+    const entry = technicals.get(`${symbol}:${frame}`);
+    if (entry?.snapshot) out[frame] = { ...entry.snapshot, lastBarAt: new Date(entry.lastTime).toISOString(), updatedAt: entry.updatedAt };
+  }
+  return out;
+}
+
+/** Job status, the tickers with streamed technicals and, given `ticker`, its snapshots. */
+export function getHedgeFundUpstoxCandleStatus({ ticker } = {}) {
+  const tracked = [...new Set([...technicals.keys()].map((key) => key.split(':')[0]))];
+  return {
+    ...getJobStatus('hedge-fund-upstox-candles'),
+    provider: 'candle_store',
+    intervalMs: Number(process.env.HEDGE_FUND_UPSTOX_CANDLE_INTERVAL_MS || 15 * 60_000),
+    marketOpen: isMarketOpen(),
+    technicalsTracked: technicals.size,
+    technicalTickers: tracked,
+    ...(ticker ? { ticker: String(ticker).toUpperCase(), technicals: getHedgeFundTechnicals(ticker) } : {}),
+  };
 }
@@ -156,21 +156,16 @@ function fillList(primary, fallback, minItems = 1) {
   return out.length ? out : [...fallback];
 }
 
-function defaultCalendar() {
-  const today = new Date();
-  const d = (n) => {
-    const x = new Date(today);
-    x.setDate(x.getDate() + n);
-    return x.toISOString().slice(0, 10);
-  };
-  return [
-    { id: 'cal-cpi', title: 'India CPI', country: 'IN', importance: 'High', expected_impact: 'Inflation path shapes RBI room.', affected_sectors: ['Banks', 'Autos', 'FMCG'], affected_companies: ['HDFCBANK', 'MARUTI', 'ITC'], as_of: d(1), date: d(1), when: 'Tomorrow' },
-    { id: 'cal-rbi', title: 'RBI MPC Decision', country: 'IN', importance: 'High', expected_impact: 'Policy language matters for financial conditions.', affected_sectors: ['Banks', 'NBFCs', 'Real Estate'], affected_companies: ['ICICIBANK', 'BAJFINANCE', 'DLF'], as_of: d(5), date: d(5), when: 'This Week' },
-    { id: 'cal-pce', title: 'US Core PCE', country: 'US', importance: 'High', expected_impact: 'Global yields transmit into Indian risk appetite.', affected_sectors: ['IT', 'Financials', 'Metals'], affected_companies: ['TCS', 'INFY', 'TATASTEEL'], as_of: d(2), date: d(2), when: 'This Week' },
-    { id: 'cal-gdp', title: 'India GDP / PMI cluster', country: 'IN', importance: 'Medium', expected_impact: 'Growth confirmation supports domestic cyclicals.', affected_sectors: ['Industrials', 'Banks', 'Consumption'], affected_companies: ['LT', 'ICICIBANK', 'TITAN'], as_of: d(4), date: d(4), when: 'This Week' },
-    { id: 'cal-nfp', title: 'US Employment', country: 'US', importance: 'High', expected_impact: 'Labour data can reprice global conditions quickly.', affected_sectors: ['IT', 'Banks', 'Metals'], affected_companies: ['TCS', 'HDFCBANK', 'HINDALCO'], as_of: d(6), date: d(6), when: 'This Week' },
-    { id: 'cal-oil', title: 'OPEC / oil supply updates', country: 'GLOBAL', importance: 'High', expected_impact: 'Oil remains the fastest macro shock channel for India.', affected_sectors: ['Energy', 'Airlines', 'Chemicals'], affected_companies: ['RELIANCE', 'ONGC', 'INDIGO'], as_of: d(8), date: d(8), when: 'Next Week' },
-  ];
+/** Relative label for a release date on the IST calendar ("Today", "Tomorrow", "This Week", "Next Week"). */
+function whenLabel(value) {
+  const ms = Date.parse(value);
+  if (Number.isNaN(ms)) return 'Upcoming';
+  const day = (t) => Math.floor((t + 5.5 * 3_600_000) / 86_400_000);
+  const diff = day(ms) - day(Date.now());
+  if (diff < 0) return 'Released';
+  if (diff === 0) return 'Today';
+  if (diff === 1) return 'Tomorrow';
+  return diff < 7 ? 'This Week' : 'Next Week';
 }
 
 function rememberSnapshot(rows) {
@@ -184,7 +179,7 @@ export function cachedMarketSnapshot() {
 }
 
 function buildMorningCards({ pulse, regime, risk, theme, publishedToday, waitingReview }) {
-  const confidence = pulse?.confidence != null ? `${Math.round(Number(pulse.confidence))}%` : '68%';
+  const confidence = pulse?.confidence != null ? `${Math.round(Number(pulse.confidence))}%` : pulse?.dataQuality?.withheld ? 'Withheld — insufficient data' : '—';
   const house =
     pulse?.summary ||
     `${regime} with ${risk} risk — stay selective into the next policy window.`;
@@ -244,24 +239,35 @@ export async function enrichHomePayload(engineData = null, { snapshot = [], sess
     6,
   );
 
+  // Real release schedule only (services/economicCalendar.js via the pre-market context) — no desk placeholders.
   const calendarFromLive = (preMarket?.economicCalendar || []).slice(0, 8).map((ev, idx) => ({
-    id: `live-cal-${idx}`,
+    id: ev.id || `live-cal-${idx}`,
     title: ev.event || ev.title,
     name: ev.event || ev.title,
     country: ev.country || 'US',
     importance: ev.impact || 'Medium',
-    expected_impact: `${ev.event || 'Macro print'} — estimate ${ev.estimate ?? 'n/a'}, prior ${ev.prev ?? 'n/a'}`,
-    affected_sectors: [],
+    period: ev.period || null,
+    consensus: ev.estimate ?? null,
+    previous: ev.prev ?? null,
+    unit: ev.unit || null,
+    expected_impact: `${ev.event || 'Macro print'} — consensus ${ev.estimate ?? 'n/a'}, prior ${ev.prev ?? 'n/a'}`,
+    affected_sectors: ev.sectors || [],
     affected_companies: [],
     as_of: ev.date,
     date: ev.date,
-    when: 'This Week',
+    when: whenLabel(ev.date),
+  }));
+  const calendar = base.economic_calendar?.length ? base.economic_calendar : calendarFromLive;
+  const releases = (preMarket?.economicReleases || []).slice(0, 4).map((ev) => ({
+    id: ev.id,
+    title: ev.event,
+    country: ev.country,
+    period: ev.period || null,
+    read: ev.read,
+    surprise_score: ev.surpriseScore ?? null,
+    tone: ev.tone || 'neutral',
+    date: ev.date,
   }));
-  const calendar = fillList(
-    base.economic_calendar?.length ? base.economic_calendar : calendarFromLive,
-    defaultCalendar(),
-    5,
-  );
 
   const featured = fillList(base.featured_research || base.feeds?.latest_research, DESK_RESEARCH, 4);
   const predictions = fillList(base.feeds?.latest_predictions, DESK_PREDICTIONS, 5);
@@ -335,10 +341,10 @@ export async function enrichHomePayload(engineData = null, { snapshot = [], sess
     tabs: ['Heatmap', 'Breadth', 'Flows', 'Market Health'],
     heatmap: heatmap.slice(0, 10),
     breadth: {
-      advancers: breadth.advancing ?? breadth.advancers ?? companies.length,
+      advancers: breadth.advancing ?? breadth.advancers ?? null,
       coverage: companies.length,
       label: breadth.label || regime,
-      declining: breadth.declining ?? 0,
+      declining: breadth.declining ?? null,
       ratio: breadth.ratio,
     },
     flows: {
@@ -409,6 +415,7 @@ export async function enrichHomePayload(engineData = null, { snapshot = [], sess
     market_themes: themes,
     top_companies: companies,
     economic_calendar: calendar,
+    economic_releases: releases,
     knowledge_feed: knowledge_feed.slice(0, 16),
     market_dashboard,
     feeds: {
@@ -6,6 +6,17 @@
  * publish derived labels and confidence, never the source OHLCV observations.
  */
 
+import {
+  bollinger,
+  createDmi,
+  emaSeries,
+  macd,
+  obvSeries,
+  rsi,
+  sma,
+  stochastic,
+} from '../lib/indicators.js';
+
 const LAYER_WEIGHTS = {
   trend: 0.25,
   momentum: 0.25,
@@ -21,123 +32,28 @@ const isNumber = (value) => Number.isFinite(value);
 const clamp = (value, low = 0, high = 1) => Math.max(low, Math.min(high, value));
 const average = (values) => (values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
 
-function ema(values, period) {
-  if (!values.length) return [];
-  const alpha = 2 / (period + 1);
-  return values.reduce((series, value, index) => {
-    series.push(index ? value * alpha + series[index - 1] * (1 - alpha) : value);
-    return series;
-  }, []);
-}
-
-function wilder(values, period) {
-  if (!values.length) return [];
-  const alpha = 1 / period;
-  return values.reduce((series, value, index) => {
-    series.push(index ? value * alpha + series[index - 1] * (1 - alpha) : value);
-    return series;
-  }, []);
-}
-
-function lastSma(values, period) {
-  const sample = values.slice(-period);
-  return sample.length === period ? average(sample) : null;
-}
-
-function lastRsi(closes, period = 14) {
-  if (closes.length < period + 1) return null;
-  const gains = [0];
-  const losses = [0];
-  for (let index = 1; index < closes.length; index++) {
-    const delta = closes[index] - closes[index - 1];
-    gains.push(Math.max(delta, 0));
-    losses.push(Math.max(-delta, 0));
-  }
-  const averageGain = wilder(gains, period).at(-1);
-  const averageLoss = wilder(losses, period).at(-1);
-  if (!averageLoss) return 100;
-  return 100 - 100 / (1 + averageGain / averageLoss);
-}
-
-function lastMacd(closes) {
-  if (closes.length < 35) return null;
-  const fast = ema(closes, 12);
-  const slow = ema(closes, 26);
-  const line = fast.map((value, index) => value - slow[index]);
-  const signal = ema(line, 9);
-  const macd = line.at(-1);
-  const signalValue = signal.at(-1);
-  return { macd, signal: signalValue, histogram: macd - signalValue };
-}
-
-function lastStochastic(candles, period = 14) {
-  const sample = candles.slice(-period);
-  if (sample.length < period) return null;
-  const high = Math.max(...sample.map((candle) => candle.high));
-  const low = Math.min(...sample.map((candle) => candle.low));
-  const range = high - low;
-  if (!range) return null;
-  const rawK = 100 * (sample.at(-1).close - low) / range;
-  const kValues = [];
-  for (let index = Math.max(period - 1, 0); index < candles.length; index++) {
-    const window = candles.slice(index - period + 1, index + 1);
-    const windowHigh = Math.max(...window.map((candle) => candle.high));
-    const windowLow = Math.min(...window.map((candle) => candle.low));
-    kValues.push(windowHigh === windowLow ? 50 : 100 * (window.at(-1).close - windowLow) / (windowHigh - windowLow));
-  }
-  const k = average(kValues.slice(-3)) ?? rawK;
-  const d = average(kValues.slice(-5, -2)) ?? k;
-  return { k, d };
-}
-
-function lastBollinger(closes, period = 20) {
-  const sample = closes.slice(-period);
-  if (sample.length < period) return null;
-  const middle = average(sample);
-  const std = Math.sqrt(average(sample.map((value) => (value - middle) ** 2)));
-  const upper = middle + 2 * std;
-  const lower = middle - 2 * std;
-  return { pctB: upper === lower ? 0.5 : (closes.at(-1) - lower) / (upper - lower) };
-}
-
-function lastAdx(candles, period = 14) {
-  if (candles.length < period + 2) return null;
-  const tr = [0];
-  const plusDm = [0];
-  const minusDm = [0];
-  for (let index = 1; index < candles.length; index++) {
-    const current = candles[index];
-    const previous = candles[index - 1];
-    const up = current.high - previous.high;
-    const down = previous.low - current.low;
-    plusDm.push(up > down && up > 0 ? up : 0);
-    minusDm.push(down > up && down > 0 ? down : 0);
-    tr.push(Math.max(current.high - current.low, Math.abs(current.high - previous.close), Math.abs(current.low - previous.close)));
+function directionalData(candles) {
+  const stream = createDmi(14);
+  let previous = null;
+  for (const candle of candles) {
+    previous = stream.value;
+    stream.update(candle);
   }
-  const atr = wilder(tr, period);
-  const plus = wilder(plusDm, period);
-  const minus = wilder(minusDm, period);
-  const plusDiSeries = atr.map((value, index) => value ? 100 * plus[index] / value : null);
-  const minusDiSeries = atr.map((value, index) => value ? 100 * minus[index] / value : null);
-  const dxSeries = plusDiSeries.map((value, index) => {
-    const other = minusDiSeries[index];
-    return isNumber(value) && isNumber(other) ? 100 * Math.abs(value - other) / (value + other || 1) : 0;
-  });
-  const plusDi = plusDiSeries.at(-1);
-  const minusDi = minusDiSeries.at(-1);
-  if (!isNumber(plusDi) || !isNumber(minusDi)) return null;
-  const adx = wilder(dxSeries, period).at(-1);
-  return { adx, plusDi, minusDi, atrNow: atr.at(-1), atrPrevious: atr.at(-2) };
+  const current = stream.value;
+  if (!current || !isNumber(current.adx)) return null;
+  return {
+    adx: current.adx,
+    plusDi: current.plusDi,
+    minusDi: current.minusDi,
+    atrNow: current.atr,
+    atrPrevious: previous?.atr ?? null,
+  };
 }
 
-function lastObv(candles) {
+function obvTrend(candles) {
   if (!candles.length || !candles.some((candle) => candle.volume > 0)) return null;
-  const values = [0];
-  for (let index = 1; index < candles.length; index++) {
-    const direction = Math.sign(candles[index].close - candles[index - 1].close);
-    values.push(values[index - 1] + direction * candles[index].volume);
-  }
-  return { value: values.at(-1), ema: ema(values, 20).at(-1) };
+  const values = obvSeries(candles);
+  return { value: values.at(-1), ema: emaSeries(values, 20).at(-1) };
 }
 
 function scoreTrend({ close, sma20, sma50, sma200, ema9, ema21, higherHighs, higherLows }) {
@@ -244,20 +160,20 @@ export function computeTimeframeConfluence(candles) {
   const data = {
     candles: clean,
     close,
-    sma20: lastSma(closes, 20),
-    sma50: lastSma(closes, 50),
-    sma200: lastSma(closes, Math.min(200, closes.length)),
-    ema9: ema(closes, 9).at(-1),
-    ema21: ema(closes, 21).at(-1),
+    sma20: sma(closes, 20),
+    sma50: sma(closes, 50),
+    sma200: sma(closes, Math.min(200, closes.length)),
+    ema9: emaSeries(closes, 9).at(-1),
+    ema21: emaSeries(closes, 21).at(-1),
     higherHighs: finalHalf.length > 0 && firstHalf.length > 0 && Math.max(...finalHalf.map((candle) => candle.high)) > Math.max(...firstHalf.map((candle) => candle.high)),
     higherLows: finalHalf.length > 0 && firstHalf.length > 0 && Math.min(...finalHalf.map((candle) => candle.low)) > Math.min(...firstHalf.map((candle) => candle.low)),
-    rsi: lastRsi(closes),
-    macd: lastMacd(closes),
+    rsi: rsi(closes),
+    macd: macd(closes),
     roc: closes.length > 10 ? (close - closes.at(-11)) / closes.at(-11) * 100 : null,
-    stochastic: lastStochastic(clean),
-    bollinger: lastBollinger(closes),
-    adxData: lastAdx(clean),
-    obv: lastObv(clean),
+    stochastic: stochastic(clean),
+    bollinger: bollinger(closes),
+    adxData: directionalData(clean),
+    obv: obvTrend(clean),
   };
   const layers = {
     trend: scoreTrend(data),
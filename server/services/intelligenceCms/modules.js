@@ -1,4 +1,17 @@
-/** Intelligence CMS — module registry. Valuation Monitor is the first dataset. */
+/**
+ * Intelligence CMS — module registry. The built-in datasets below ship with
+ * the code (Valuation Monitor is the first); admins define further modules at
+ * runtime, stored in `cms_modules` next to the records (see schema.js for the
+ * column types and rules).
+ */
+
+import { storage } from '../../storage/index.js';
+import { normalizeModuleDefinition, schemaError } from './schema.js';
+
+const MODULES = 'cms_modules';
+const RECORDS = 'cms_records';
+/** Admin routes under /admin/intelligence that a module slug must not shadow. */
+const RESERVED_SLUGS = ['entities', 'modules', 'records', 'reviews', 'ai-drafts'];
 
 export const RECORD_STATUSES = ['draft', 'review', 'published', 'archived'];
 
@@ -23,11 +36,11 @@ export const INTELLIGENCE_MODULES = {
     columns: [
       { key: 'company', label: 'Company', type: 'text', required: true, grid: true },
       { key: 'sector', label: 'Sector', type: 'text', grid: true },
-      { key: 'ev_revenue', label: 'EV/Revenue', type: 'text', grid: true },
-      { key: 'ev_ebitda', label: 'EV/EBITDA', type: 'text', grid: true },
-      { key: 'pe_ratio', label: 'P/E', type: 'text', grid: true },
-      { key: 'growth', label: 'Growth', type: 'text', grid: true },
-      { key: 'margin', label: 'Margin', type: 'text', grid: true },
+      { key: 'ev_revenue', label: 'EV/Revenue', type: 'multiple', min: 0, grid: true },
+      { key: 'ev_ebitda', label: 'EV/EBITDA', type: 'multiple', grid: true },
+      { key: 'pe_ratio', label: 'P/E', type: 'multiple', grid: true },
+      { key: 'growth', label: 'Growth', type: 'percent', grid: true },
+      { key: 'margin', label: 'Margin', type: 'percent', grid: true },
       { key: 'geography', label: 'Geography', type: 'text', grid: true },
       { key: 'comment', label: 'Comment', type: 'text', grid: true },
       { key: 'agi_rating', label: 'AGI Rating', type: 'text', grid: true },
@@ -51,12 +64,12 @@ export const INTELLIGENCE_MODULES = {
     description: 'M&A and private market transactions shown on the Private Markets page.',
     publicPath: '/private-markets#recent-transactions',
     columns: [
-      { key: 'date', label: 'Date', type: 'text', grid: true },
+      { key: 'date', label: 'Date', type: 'date', grid: true },
       { key: 'target', label: 'Target', type: 'text', required: true, grid: true },
       { key: 'buyer', label: 'Buyer', type: 'text', grid: true },
       { key: 'seller', label: 'Seller', type: 'text', grid: true },
-      { key: 'enterprise_value', label: 'Enterprise Value', type: 'text', grid: true },
-      { key: 'deal_value', label: 'Deal Value', type: 'text', grid: true },
+      { key: 'enterprise_value', label: 'Enterprise Value', type: 'currency', currency: 'USD', unit: 'mn', min: 0, grid: true },
+      { key: 'deal_value', label: 'Deal Value', type: 'currency', currency: 'USD', unit: 'mn', min: 0, grid: true },
       { key: 'industry', label: 'Sector', type: 'text', grid: true },
       { key: 'country', label: 'Country', type: 'text', grid: true },
       { key: 'status', label: 'Status', type: 'text', grid: true },
@@ -141,23 +154,95 @@ export const INTELLIGENCE_MODULES = {
     description: 'Daily institutional editor notes.',
     columns: [
       { key: 'title', label: 'Title', type: 'text', required: true, grid: true },
-      { key: 'date', label: 'Date', type: 'text', grid: true },
+      { key: 'date', label: 'Date', type: 'date', grid: true },
     ],
     detailFields: [{ key: 'body', label: 'Editor note', type: 'textarea' }],
     enabled: false,
   },
 };
 
-export function getModule(moduleId) {
-  return INTELLIGENCE_MODULES[moduleId] || null;
+const builtin = (mod) => ({ ...mod, builtin: true });
+
+export async function getModule(moduleId) {
+  if (INTELLIGENCE_MODULES[moduleId]) return builtin(INTELLIGENCE_MODULES[moduleId]);
+  if (!moduleId) return null;
+  return (await storage.get(MODULES, moduleId)) || null;
 }
 
-export function listModules({ enabledOnly = false } = {}) {
-  return Object.values(INTELLIGENCE_MODULES).filter((m) => !enabledOnly || m.enabled);
+export async function getModuleBySlug(slug) {
+  const fixed = Object.values(INTELLIGENCE_MODULES).find((m) => m.slug === slug);
+  if (fixed) return builtin(fixed);
+  const [custom] = await storage.find(MODULES, { where: { slug }, limit: 1 });
+  return custom || null;
 }
 
-export function gridColumns(moduleId) {
-  const mod = getModule(moduleId);
+export async function listModules({ enabledOnly = false } = {}) {
+  const custom = await storage.find(MODULES, { orderBy: 'label' });
+  return [...Object.values(INTELLIGENCE_MODULES).map(builtin), ...custom].filter((m) => !enabledOnly || m.enabled);
+}
+
+export async function gridColumns(moduleId) {
+  const mod = await getModule(moduleId);
   if (!mod) return [];
   return (mod.columns || []).filter((c) => c.grid !== false);
 }
+
+const toId = (value) => String(value || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 48);
+const toSlug = (value) => String(value || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 64);
+
+async function assertSlugFree(slug, moduleId) {
+  if (!/^[a-z0-9][a-z0-9-]*$/.test(slug)) throw schemaError('Slug must be lowercase letters, digits and dashes');
+  const taken = RESERVED_SLUGS.includes(slug) ? { id: null } : await getModuleBySlug(slug);
+  if (taken && taken.id !== moduleId) throw schemaError(`Slug "${slug}" is already in use`, 409);
+}
+
+/** Define a custom module; `id` and `slug` default to the label. */
+export async function createModule(input, actor = 'admin') {
+  const definition = normalizeModuleDefinition(input);
+  const id = toId(input.id || definition.label);
+  if (!/^[a-z][a-z0-9_]*$/.test(id)) throw schemaError('Module id must start with a letter');
+  if (await getModule(id)) throw schemaError(`Module "${id}" already exists`, 409);
+  const slug = toSlug(input.slug || definition.label);
+  await assertSlugFree(slug, id);
+  const ts = new Date().toISOString();
+  return storage.put(MODULES, {
+    id,
+    slug,
+    ...definition,
+    builtin: false,
+    created_by: actor,
+    updated_by: actor,
+    created_at: ts,
+    updated_at: ts,
+  });
+}
+
+/**
+ * Change a custom module's definition. Existing records are not rewritten;
+ * they are checked against the new schema on their next edit.
+ */
+export async function updateModule(moduleId, patch, actor = 'admin') {
+  if (INTELLIGENCE_MODULES[moduleId]) throw schemaError('Built-in modules cannot be edited', 403);
+  const current = await storage.get(MODULES, moduleId);
+  if (!current) return null;
+  const definition = normalizeModuleDefinition({ ...current, ...patch });
+  const slug = patch.slug !== undefined ? toSlug(patch.slug) : current.slug;
+  if (slug !== current.slug) await assertSlugFree(slug, moduleId);
+  return storage.update(MODULES, moduleId, (prev) => ({
+    ...prev,
+    ...definition,
+    slug,
+    updated_by: actor,
+    updated_at: new Date().toISOString(),
+  }));
+}
+
+/** Remove an empty custom module; one with records must be disabled instead. */
+export async function deleteModule(moduleId) {
+  if (INTELLIGENCE_MODULES[moduleId]) throw schemaError('Built-in modules cannot be deleted', 403);
+  if (!(await storage.get(MODULES, moduleId))) return false;
+  const records = await storage.count(RECORDS, { where: { module: moduleId } });
+  if (records) throw schemaError(`Module has ${records} records — delete them or disable the module`, 409);
+  await storage.remove(MODULES, moduleId);
+  return true;
+}
@@ -0,0 +1,248 @@
+/**
+ * Intelligence CMS review workflow on top of store.js:
+ *
+ *   draft ──submit──▶ review ──approve──▶ published
+ *     ▲                 │
+ *     └─────reject──────┘  (reason required)
+ *
+ * The record carries the open request in `review` ({ reviewer, requested_by,
+ * requested_at, decision, decided_by, decided_at, reason }); the thread —
+ * submissions, assignments, comments, decisions, publishes and rollbacks —
+ * lives in cms_review_events. Only the assigned reviewer decides; with none
+ * assigned, anyone but the submitter may.
+ */
+
+import crypto from 'node:crypto';
+import { storage } from '../../storage/index.js';
+import { getModule } from './modules.js';
+import { schemaError } from './schema.js';
+import { getRecord, getRecordVersions, listRecords, reviseRecord, updateRecord } from './store.js';
+
+const EVENTS = 'cms_review_events';
+const RECORDS = 'cms_records';
+
+export const REVIEW_EVENT_KINDS = ['submitted', 'assigned', 'comment', 'approved', 'rejected', 'published', 'rolled_back'];
+
+const person = (value) => String(value || '').trim().toLowerCase();
+const text = (value) => String(value || '').trim();
+
+function addEvent(record, kind, actor, extra = {}) {
+  return storage.put(EVENTS, {
+    id: crypto.randomUUID(),
+    record_id: record.id,
+    module: record.module,
+    version: record.version,
+    kind,
+    actor,
+    ...extra,
+    created_at: new Date().toISOString(),
+  });
+}
+
+function assertReviewer(reviewer, submitter) {
+  if (!reviewer) return;
+  if (submitter && person(reviewer) === person(submitter)) {
+    throw schemaError('The reviewer must be someone other than the submitter');
+  }
+}
+
+function assertCanDecide(record, actor) {
+  if (record.status !== 'review') throw schemaError('Record is not awaiting review', 409);
+  const { reviewer, requested_by: submitter } = record.review || {};
+  if (reviewer && person(reviewer) !== person(actor)) {
+    throw schemaError(`Only the assigned reviewer (${reviewer}) can decide this review`, 403);
+  }
+  if (!reviewer && submitter && person(submitter) === person(actor)) {
+    throw schemaError('Submitters cannot review their own changes — assign a reviewer', 403);
+  }
+}
+
+/** Draft → review. Required fields are enforced from here on. */
+export async function submitForReview(id, { reviewer, note } = {}, actor = 'admin') {
+  return storage.transaction(async () => {
+    const record = await reviseRecord(id, (prev) => {
+      if (prev.status !== 'draft') {
+        throw schemaError(`Only drafts can be submitted for review (this record is ${prev.status})`, 409);
+      }
+      assertReviewer(text(reviewer), actor);
+      return {
+        status: 'review',
+        review: {
+          reviewer: text(reviewer) || null,
+          requested_by: actor,
+          requested_at: new Date().toISOString(),
+          decision: null,
+          decided_by: null,
+          decided_at: null,
+          reason: null,
+        },
+      };
+    }, actor);
+    if (record) await addEvent(record, 'submitted', actor, { reviewer: record.review.reviewer, body: text(note) || null });
+    return record;
+  });
+}
+
+/** (Re)assign the reviewer of an open review — not a content change, so no new version. */
+export async function assignReviewer(id, reviewer, actor = 'admin') {
+  const name = text(reviewer);
+  if (!name) throw schemaError('Reviewer is required');
+  return storage.transaction(async () => {
+    const prev = await getRecord(id);
+    if (!prev) return null;
+    if (prev.status !== 'review') throw schemaError('Record is not awaiting review', 409);
+    assertReviewer(name, prev.review?.requested_by);
+    const record = await storage.update(RECORDS, id, (row) => ({ ...row, review: { ...row.review, reviewer: name } }));
+    await addEvent(record, 'assigned', actor, { reviewer: name });
+    return record;
+  });
+}
+
+/** Review → published; `note` is kept with the decision. */
+export async function approveRecord(id, { note } = {}, actor = 'admin') {
+  return storage.transaction(async () => {
+    const record = await reviseRecord(id, (prev) => {
+      assertCanDecide(prev, actor);
+      return {
+        status: 'published',
+        review: { ...prev.review, decision: 'approved', decided_by: actor, decided_at: new Date().toISOString(), reason: text(note) || null },
+      };
+    }, actor);
+    if (record) await addEvent(record, 'approved', actor, { body: text(note) || null });
+    return record;
+  });
+}
+
+/** Review → draft with the reviewer's reason; the submitter revises and resubmits. */
+export async function rejectRecord(id, { reason } = {}, actor = 'admin') {
+  if (!text(reason)) throw schemaError('A reason is required to reject a review');
+  return storage.transaction(async () => {
+    const record = await reviseRecord(id, (prev) => {
+      assertCanDecide(prev, actor);
+      return {
+        status: 'draft',
+        review: { ...prev.review, decision: 'rejected', decided_by: actor, decided_at: new Date().toISOString(), reason: text(reason) },
+      };
+    }, actor);
+    if (record) await addEvent(record, 'rejected', actor, { body: text(reason) });
+    return record;
+  });
+}
+
+/** Direct publish for modules without required review; records in review need a decision (store.js). */
+export async function publishRecord(id, actor = 'admin') {
+  return storage.transaction(async () => {
+    const record = await updateRecord(id, { status: 'published' }, actor);
+    if (record) await addEvent(record, 'published', actor);
+    return record;
+  });
+}
+
+/** Comment on a record, optionally anchored to one of its fields. */
+export async function addReviewComment(id, { body, field } = {}, actor = 'admin') {
+  if (!text(body)) throw schemaError('Comment text is required');
+  const record = await getRecord(id);
+  if (!record) return null;
+  if (field) {
+    const mod = await getModule(record.module);
+    const keys = [...(mod?.columns || []), ...(mod?.detailFields || [])].map((f) => f.key);
+    if (!keys.includes(field)) throw schemaError(`Unknown field "${field}"`);
+  }
+  return addEvent(record, 'comment', actor, { body: text(body), field: field || null });
+}
+
+export function listReviewEvents(recordId) {
+  return storage.find(EVENTS, { where: { record_id: recordId }, orderBy: 'created_at' });
+}
+
+/** Records awaiting review, oldest request first; `reviewer` narrows to one person's queue. */
+export async function listReviewQueue({ reviewer } = {}) {
+  const rows = (await listRecords(undefined, { status: 'review', limit: 1000 }))
+    .filter((r) => !reviewer || person(r.review?.reviewer) === person(reviewer));
+  return rows.sort((a, b) => String(a.review?.requested_at || a.updated_at).localeCompare(String(b.review?.requested_at || b.updated_at)));
+}
+
+// --- Versions -----------------------------------------------------------------
+
+const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+function diffSection(section, fields, before = {}, after = {}) {
+  const keys = [...fields.map((f) => f.key)];
+  [...Object.keys(before || {}), ...Object.keys(after || {})].forEach((k) => {
+    if (!keys.includes(k)) keys.push(k);
+  });
+  const byKey = new Map(fields.map((f) => [f.key, f]));
+  return keys.map((key) => ({
+    section,
+    key,
+    label: byKey.get(key)?.label || key,
+    type: byKey.get(key)?.type || 'text',
+    before: before?.[key] ?? null,
+    after: after?.[key] ?? null,
+    changed: !same(before?.[key], after?.[key]),
+  }));
+}
+
+function versionSummary(row) {
+  return row && { version: row.version, status: row.snapshot.status, changed_by: row.changed_by, created_at: row.created_at };
+}
+
+/**
+ * Field-by-field comparison of two versions of a record, every field listed
+ * side by side with `changed` set where they differ. `to` defaults to the
+ * latest version, `from` to the one before it (none for the first version).
+ */
+export async function diffVersions(recordId, { from, to } = {}) {
+  const record = await getRecord(recordId);
+  if (!record) return null;
+  const versions = await getRecordVersions(recordId);
+  const find = (n) => {
+    const row = versions.find((v) => v.version === Number(n));
+    if (!row) throw schemaError(`No version ${n} of this record`, 404);
+    return row;
+  };
+  const newer = to !== undefined && to !== null && to !== '' ? find(to) : versions[0];
+  if (!newer) throw schemaError('This record has no saved versions yet', 404);
+  const older = from !== undefined && from !== null && from !== ''
+    ? find(from)
+    : versions.find((v) => v.version < newer.version) || null;
+
+  const mod = await getModule(record.module);
+  const a = older?.snapshot || {};
+  const b = newer.snapshot;
+  const fields = [
+    { section: 'record', key: 'status', label: 'Status', type: 'text', before: a.status ?? null, after: b.status, changed: a.status !== b.status },
+    ...diffSection('data', mod?.columns || [], a.data, b.data),
+    ...diffSection('detail', mod?.detailFields || [], a.detail, b.detail),
+  ];
+  return {
+    record_id: recordId,
+    from: versionSummary(older),
+    to: versionSummary(newer),
+    fields,
+    changed: fields.filter((f) => f.changed).length,
+  };
+}
+
+/**
+ * Restore the content (data, detail, relationships) of an earlier version as
+ * a new version; status is kept. Not while a review is open.
+ */
+export async function rollbackRecord(id, version, actor = 'admin') {
+  if (!Number.isInteger(Number(version)) || version === null || version === '') throw schemaError('version is required');
+  const target = (await getRecordVersions(id)).find((v) => v.version === Number(version));
+  if (!target) {
+    if (!(await getRecord(id))) return null;
+    throw schemaError(`No version ${version} of this record`, 404);
+  }
+  return storage.transaction(async () => {
+    const record = await reviseRecord(id, (prev) => {
+      if (prev.status === 'review') throw schemaError('Approve or reject the open review before rolling back', 409);
+      if (prev.version === target.version) throw schemaError(`Version ${target.version} is already current`, 409);
+      const { data, detail, relationships } = target.snapshot;
+      return { data: data || {}, detail: detail || {}, relationships: relationships || [] };
+    }, actor);
+    if (record) await addEvent(record, 'rolled_back', actor, { to_version: target.version });
+    return record;
+  });
+}
@@ -0,0 +1,424 @@
+/**
+ * Intelligence CMS module schemas — definition checks for runtime (custom)
+ * modules and typed coercion of record values.
+ *
+ * A column / detail field:
+ *
+ *   { key, label, type, required, grid, help,
+ *     maxLength, pattern,            // text, textarea
+ *     min, max,                      // number, currency, multiple, percent, date
+ *     currency, unit,                // currency: ISO code (default USD), stored unit (AMOUNT_UNITS)
+ *     options,                       // enum: allowed values
+ *     entityTypes }                  // reference: allowed platform entity types
+ *
+ * Values are stored typed: numbers, amounts, multiples ("12.4x" → 12.4) and
+ * percentages ("14%" → 14) as numbers, dates as YYYY-MM-DD, references as
+ * { id, slug, name, entity_type } of an Intelligence Platform entity. Amounts
+ * take Indian and international units ("₹1,200 crore", "$4.8B", "45 lakh") and
+ * are stored in the column's `unit` — a bare number is taken to be in that
+ * unit already. Empty typed values (and placeholders like "—", "n/a", "NM")
+ * are null. Required fields only apply once a record leaves draft, so rows can
+ * be filled in incrementally.
+ */
+
+import { ENTITY_TYPES } from '../intelligencePlatform/entityTypes.js';
+import { getEntityById, getEntityBySlug, resolveMergedEntity } from '../intelligencePlatform/entityStore.js';
+
+export const COLUMN_TYPES = ['text', 'textarea', 'number', 'currency', 'multiple', 'percent', 'date', 'enum', 'reference'];
+
+/** Units a currency column can store its amounts in. */
+export const AMOUNT_UNITS = { thousand: 1e3, lakh: 1e5, mn: 1e6, crore: 1e7, bn: 1e9 };
+
+/** Types with an order — these can be sorted and range-filtered numerically or by date. */
+const RANGE_TYPES = new Set(['number', 'currency', 'multiple', 'percent', 'date']);
+const NUMERIC_TYPES = new Set(['number', 'currency', 'multiple', 'percent']);
+
+const UNIT_WORDS = {
+  k: 1e3, thousand: 1e3,
+  l: 1e5, lac: 1e5, lacs: 1e5, lakh: 1e5, lakhs: 1e5,
+  m: 1e6, mm: 1e6, mn: 1e6, mln: 1e6, million: 1e6,
+  cr: 1e7, crs: 1e7, crore: 1e7, crores: 1e7,
+  b: 1e9, bn: 1e9, billion: 1e9,
+  t: 1e12, tn: 1e12, trillion: 1e12,
+};
+const CURRENCY_MARKS = [['US$', 'USD'], ['$', 'USD'], ['₹', 'INR'], ['Rs.', 'INR'], ['Rs', 'INR'], ['€', 'EUR'], ['£', 'GBP'], ['¥', 'JPY']];
+const PLACEHOLDERS = new Set(['-', '—', '–', 'n/a', 'na', 'nm', 'n.m.', 'nil']);
+
+const KEY_RE = /^[a-z][a-z0-9_]{0,62}$/;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+/** Keys with a meaning of their own in CSV import/export. */
+const RESERVED_KEYS = new Set(['id', 'status']);
+
+export function schemaError(message, status = 400, errors = undefined) {
+  const err = new Error(message);
+  err.status = status;
+  if (errors) err.errors = errors;
+  return err;
+}
+
+const isEmpty = (value) => value === undefined || value === null || (typeof value === 'string' && !value.trim());
+const isPlaceholder = (value) => typeof value === 'string' && PLACEHOLDERS.has(value.trim().toLowerCase());
+/** Drop float noise from unit arithmetic (4.8 × 1e9 / 1e6). */
+const tidy = (n) => Number(n.toPrecision(12));
+
+/** ISO dates, day-first dd/mm/yyyy (dd-mm-yyyy, dd.mm.yyyy) and anything Date parses ("30 Jul 2026"). */
+function parseDate(value) {
+  const text = String(value).trim();
+  const dayFirst = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+  if (dayFirst) {
+    const [, d, m, y] = dayFirst.map(Number);
+    const date = new Date(Date.UTC(y, m - 1, d));
+    return date.getUTCMonth() === m - 1 && date.getUTCDate() === d ? date.toISOString().slice(0, 10) : null;
+  }
+  const date = new Date(DATE_RE.test(text) ? `${text}T00:00:00Z` : text);
+  if (Number.isNaN(date.getTime())) return null;
+  // Date-only strings parse as local midnight; keep the calendar day that was written.
+  return DATE_RE.test(text) || /\d{2}:\d{2}/.test(text)
+    ? date.toISOString().slice(0, 10)
+    : new Date(date.getTime() - date.getTimezoneOffset() * 60_000).toISOString().slice(0, 10);
+}
+
+/**
+ * "1,250.5" / "4.8bn" / "₹1,200 crore" / "USD 950M" → { amount, scaled, currency };
+ * null when not numeric. `amount` includes any unit word; `scaled` says one was given.
+ */
+function parseQuantity(value, { currency: allowCurrency = false } = {}) {
+  if (typeof value === 'number') return Number.isFinite(value) ? { amount: value, scaled: false, currency: null } : null;
+  let text = String(value).trim().replace(/,/g, '');
+  let currency = null;
+  if (allowCurrency) {
+    const mark = CURRENCY_MARKS.find(([m]) => text.toLowerCase().startsWith(m.toLowerCase()));
+    const code = text.match(/^([a-z]{3})\s*(?=[-+.\d])/i) || text.match(/\s([a-z]{3})$/i);
+    if (mark) {
+      currency = mark[1];
+      text = text.slice(mark[0].length).trim();
+    } else if (code && !UNIT_WORDS[code[1].toLowerCase()]) {
+      currency = code[1].toUpperCase();
+      text = text.replace(code[0], '').trim();
+    }
+  }
+  const match = text.match(/^([-+]?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?)\s*([a-z]+)?\.?$/i);
+  if (!match) return null;
+  const scale = match[2] ? UNIT_WORDS[match[2].toLowerCase()] : 1;
+  if (!scale) return null;
+  return { amount: tidy(Number(match[1]) * scale), scaled: Boolean(match[2]), currency };
+}
+
+/** Amount in the column's currency and unit, or { error }. */
+function parseAmount(field, raw) {
+  const parsed = parseQuantity(raw, { currency: true });
+  const currency = field.currency || 'USD';
+  const unit = field.unit ? AMOUNT_UNITS[field.unit] : 1;
+  if (!parsed) return { error: `must be an amount in ${currency}${field.unit ? ` ${field.unit}` : ''}` };
+  if (parsed.currency && parsed.currency !== currency) return { error: `is in ${parsed.currency}; this column is ${currency}` };
+  return { value: parsed.scaled ? tidy(parsed.amount / unit) : parsed.amount };
+}
+
+function parseMultiple(raw) {
+  if (typeof raw === 'number') return Number.isFinite(raw) ? raw : null;
+  const match = String(raw).trim().replace(/,/g, '').match(/^([-+]?(?:\d+\.?\d*|\.\d+))\s*[x×]?$/i);
+  return match ? Number(match[1]) : null;
+}
+
+function parsePercent(raw) {
+  if (typeof raw === 'number') return Number.isFinite(raw) ? raw : null;
+  const match = String(raw).trim().replace(/,/g, '').match(/^([-+]?(?:\d+\.?\d*|\.\d+))\s*%?$/);
+  return match ? Number(match[1]) : null;
+}
+
+/** Typed value for a numeric column type: { value } or { error } — bounds are checked by the caller. */
+function parseNumeric(field, raw) {
+  switch (field.type) {
+    case 'currency':
+      return parseAmount(field, raw);
+    case 'multiple': {
+      const n = parseMultiple(raw);
+      return n === null ? { error: 'must be a multiple such as 12.4x' } : { value: n };
+    }
+    case 'percent': {
+      const n = parsePercent(raw);
+      return n === null ? { error: 'must be a percentage such as 14%' } : { value: n };
+    }
+    default: {
+      const parsed = parseQuantity(raw);
+      return parsed ? { value: parsed.amount } : { error: 'must be a number' };
+    }
+  }
+}
+
+// --- Definitions ------------------------------------------------------------
+
+function normalizeBound(field, bound) {
+  const value = field[bound];
+  if (isEmpty(value)) return undefined;
+  if (field.type === 'date') {
+    const date = parseDate(value);
+    if (!date) throw schemaError(`${field.key}: ${bound} must be a date`);
+    return date;
+  }
+  const n = Number(value);
+  if (!Number.isFinite(n)) throw schemaError(`${field.key}: ${bound} must be a number`);
+  return n;
+}
+
+function normalizeField(input, { grid }) {
+  if (!input || typeof input !== 'object') throw schemaError('Each column must be an object');
+  const key = String(input.key || '').trim();
+  if (!KEY_RE.test(key)) throw schemaError(`Column key "${key}" must be lower_snake_case`);
+  if (RESERVED_KEYS.has(key)) throw schemaError(`Column key "${key}" is reserved`);
+  const type = input.type || 'text';
+  if (!COLUMN_TYPES.includes(type)) throw schemaError(`${key}: unknown type "${type}" (use ${COLUMN_TYPES.join(', ')})`);
+
+  const field = {
+    key,
+    label: String(input.label || key).trim(),
+    type,
+    required: Boolean(input.required),
+  };
+  if (grid) field.grid = input.grid !== false;
+  if (input.help) field.help = String(input.help);
+
+  if (type === 'text' || type === 'textarea') {
+    if (!isEmpty(input.maxLength)) {
+      const maxLength = Number(input.maxLength);
+      if (!Number.isInteger(maxLength) || maxLength < 1) throw schemaError(`${key}: maxLength must be a positive integer`);
+      field.maxLength = maxLength;
+    }
+    if (!isEmpty(input.pattern)) {
+      try {
+        new RegExp(input.pattern);
+      } catch {
+        throw schemaError(`${key}: pattern is not a valid regular expression`);
+      }
+      field.pattern = String(input.pattern);
+    }
+  }
+  if (RANGE_TYPES.has(type)) {
+    const min = normalizeBound({ ...input, key, type }, 'min');
+    const max = normalizeBound({ ...input, key, type }, 'max');
+    if (min !== undefined && max !== undefined && min > max) throw schemaError(`${key}: min is greater than max`);
+    if (min !== undefined) field.min = min;
+    if (max !== undefined) field.max = max;
+  }
+  if (type === 'currency') {
+    const currency = String(input.currency || 'USD').trim().toUpperCase();
+    if (!/^[A-Z]{3}$/.test(currency)) throw schemaError(`${key}: currency must be a 3-letter code`);
+    field.currency = currency;
+    if (!isEmpty(input.unit)) {
+      if (!AMOUNT_UNITS[input.unit]) throw schemaError(`${key}: unit must be one of ${Object.keys(AMOUNT_UNITS).join(', ')}`);
+      field.unit = input.unit;
+    }
+  }
+  if (type === 'enum') {
+    const options = [...new Set((Array.isArray(input.options) ? input.options : String(input.options || '').split(','))
+      .map((o) => String(o).trim())
+      .filter(Boolean))];
+    if (!options.length) throw schemaError(`${key}: enum columns need options`);
+    field.options = options;
+  }
+  if (type === 'reference') {
+    const entityTypes = (Array.isArray(input.entityTypes) ? input.entityTypes : [])
+      .map((t) => String(t).trim())
+      .filter(Boolean);
+    const unknown = entityTypes.filter((t) => !ENTITY_TYPES[t]);
+    if (unknown.length) throw schemaError(`${key}: unknown entity type ${unknown.join(', ')}`);
+    if (entityTypes.length) field.entityTypes = entityTypes;
+  }
+  return field;
+}
+
+/**
+ * Validate and normalise a module definition (columns, detailFields and the
+ * descriptive fields). Identity (id, slug) is checked by the registry.
+ */
+export function normalizeModuleDefinition(input) {
+  const label = String(input.label || '').trim();
+  if (!label) throw schemaError('Module label is required');
+  const publicPath = isEmpty(input.publicPath) ? null : String(input.publicPath).trim();
+  if (publicPath && !publicPath.startsWith('/')) throw schemaError('publicPath must start with "/"');
+
+  if (!Array.isArray(input.columns) || !input.columns.length) throw schemaError('A module needs at least one column');
+  const columns = input.columns.map((c) => normalizeField(c, { grid: true }));
+  const detailFields = (input.detailFields || []).map((f) => normalizeField(f, { grid: false }));
+  const keys = [...columns, ...detailFields].map((f) => f.key);
+  const repeated = keys.filter((k, i) => keys.indexOf(k) !== i);
+  if (repeated.length) throw schemaError(`Duplicate column key: ${[...new Set(repeated)].join(', ')}`);
+
+  return {
+    label,
+    description: String(input.description || '').trim(),
+    publicPath,
+    columns,
+    detailFields,
+    enabled: input.enabled !== false,
+    // Records publish only by approving a review (review.js).
+    requireReview: Boolean(input.requireReview),
+  };
+}
+
+// --- Values -----------------------------------------------------------------
+
+async function resolveReference(field, value) {
+  const ref = typeof value === 'object' ? value.id || value.slug : String(value).trim();
+  const entity = await resolveMergedEntity((await getEntityBySlug(ref)) || (await getEntityById(ref)));
+  if (!entity) return { error: `no entity "${ref}"` };
+  if (field.entityTypes && !field.entityTypes.includes(entity.entity_type)) {
+    return { error: `"${entity.name}" is not a ${field.entityTypes.join(' / ')}` };
+  }
+  return { value: { id: entity.id, slug: entity.slug, name: entity.name, entity_type: entity.entity_type } };
+}
+
+/** Coerce one raw value to the field type: { value } or { error }. */
+export async function coerceValue(field, raw) {
+  const type = field.type || 'text';
+  if (isEmpty(raw)) return { value: type === 'text' || type === 'textarea' ? '' : null };
+  if (RANGE_TYPES.has(type) && isPlaceholder(raw)) return { value: null };
+
+  switch (type) {
+    case 'number':
+    case 'currency':
+    case 'multiple':
+    case 'percent': {
+      const { value: n, error } = parseNumeric({ ...field, type }, raw);
+      if (error) return { error };
+      if (field.min !== undefined && n < field.min) return { error: `must be at least ${field.min}` };
+      if (field.max !== undefined && n > field.max) return { error: `must be at most ${field.max}` };
+      return { value: n };
+    }
+    case 'date': {
+      const date = parseDate(raw);
+      if (!date) return { error: 'must be a date (YYYY-MM-DD)' };
+      if (field.min && date < field.min) return { error: `must be on or after ${field.min}` };
+      if (field.max && date > field.max) return { error: `must be on or before ${field.max}` };
+      return { value: date };
+    }
+    case 'enum': {
+      const option = field.options.find((o) => o.toLowerCase() === String(raw).trim().toLowerCase());
+      return option ? { value: option } : { error: `must be one of ${field.options.join(', ')}` };
+    }
+    case 'reference':
+      return resolveReference(field, raw);
+    default: {
+      const text = String(raw).trim();
+      if (field.maxLength && text.length > field.maxLength) return { error: `must be at most ${field.maxLength} characters` };
+      if (field.pattern && !new RegExp(field.pattern).test(text)) return { error: 'has an invalid format' };
+      return { value: text };
+    }
+  }
+}
+
+async function coerceFields(fields, values, { requireFilled, errors }) {
+  const out = {};
+  for (const field of fields) {
+    const { value, error } = await coerceValue(field, values?.[field.key]);
+    if (error) errors.push({ field: field.key, message: `${field.label} ${error}` });
+    else if (requireFilled && field.required && (value === null || value === '')) {
+      errors.push({ field: field.key, message: `${field.label} is required` });
+    }
+    out[field.key] = error ? values[field.key] : value;
+  }
+  return out;
+}
+
+function unknownKeys(values, fields, previous, label, errors) {
+  const known = new Set(fields.map((f) => f.key));
+  const kept = {};
+  Object.keys(values || {}).filter((k) => !known.has(k)).forEach((k) => {
+    // Keys written before a column was removed survive edits untouched.
+    if (previous && k in previous) kept[k] = previous[k];
+    else errors.push({ field: k, message: `Unknown ${label} "${k}"` });
+  });
+  return kept;
+}
+
+/**
+ * Check a record's data and detail against its module. Returns the typed
+ * values; throws (status 400, `errors: [{ field, message }]`) listing every
+ * problem. Keys the module does not define are rejected unless `previous`
+ * (the stored record, on update) already has them.
+ */
+export async function validateRecordValues(mod, { data = {}, detail = {}, status = 'draft' } = {}, previous = null) {
+  const errors = [];
+  const columns = mod.columns || [];
+  const detailFields = mod.detailFields || [];
+  const legacyData = unknownKeys(data, columns, previous?.data, 'column', errors);
+  const legacyDetail = unknownKeys(detail, detailFields, previous?.detail, 'field', errors);
+
+  const requireFilled = status !== 'draft';
+  const typedData = await coerceFields(columns, data, { requireFilled, errors });
+  const typedDetail = await coerceFields(detailFields, detail, { requireFilled, errors });
+  if (errors.length) throw schemaError(errors.map((e) => e.message).join('; '), 400, errors);
+  return { data: { ...legacyData, ...typedData }, detail: { ...legacyDetail, ...typedDetail } };
+}
+
+/** CSV cell for a stored value (references export their slug). */
+export function formatValue(field, value) {
+  if (value === null || value === undefined) return '';
+  if (field?.type === 'reference') return value.slug || value.id || '';
+  return String(value);
+}
+
+// --- Sorting and ranges -----------------------------------------------------
+
+/** Sort key for a stored value; null (and values that never typed) sort last. */
+function sortValue(field, value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (NUMERIC_TYPES.has(field.type)) return typeof value === 'number' ? value : null;
+  if (field.type === 'date') return DATE_RE.test(value) ? value : null;
+  if (field.type === 'reference') return value.name?.toLowerCase() ?? null;
+  return String(value).toLowerCase();
+}
+
+/**
+ * Turn list options into a record filter and comparator for a module.
+ * `sort` is a column key, `-key` for descending; `ranges` maps column keys to
+ * `{ min, max }` written like cell values ("10x", "₹500 crore", "01/04/2024").
+ * Only number, currency, multiple, percent and date columns take ranges.
+ */
+export async function recordQuery(mod, { sort, ranges = {} } = {}) {
+  const fields = new Map([...(mod.columns || []), ...(mod.detailFields || [])].map((f) => [f.key, f]));
+  const errors = [];
+
+  const bounds = [];
+  for (const [key, { min, max }] of Object.entries(ranges)) {
+    const field = fields.get(key);
+    if (!field || !RANGE_TYPES.has(field.type)) {
+      errors.push({ field: key, message: field ? `${field.label} cannot be range-filtered` : `Unknown column "${key}"` });
+      continue;
+    }
+    // The column's own bounds do not apply to a filter.
+    const open = { ...field, min: undefined, max: undefined };
+    const range = { field };
+    for (const [bound, raw] of [['min', min], ['max', max]]) {
+      if (isEmpty(raw)) continue;
+      const { value, error } = await coerceValue(open, raw);
+      if (error) errors.push({ field: key, message: `${bound}_${key} ${error}` });
+      else range[bound] = value;
+    }
+    bounds.push(range);
+  }
+
+  let compare = null;
+  if (sort) {
+    const desc = sort.startsWith('-');
+    const field = fields.get(desc ? sort.slice(1) : sort);
+    if (!field) errors.push({ field: 'sort', message: `Unknown sort column "${sort}"` });
+    else {
+      const dir = desc ? -1 : 1;
+      compare = (a, b) => {
+        const x = sortValue(field, a.data?.[field.key] ?? a.detail?.[field.key]);
+        const y = sortValue(field, b.data?.[field.key] ?? b.detail?.[field.key]);
+        if (x === null || y === null) return (x === null) - (y === null);
+        return (x < y ? -1 : x > y ? 1 : 0) * dir;
+      };
+    }
+  }
+  if (errors.length) throw schemaError(errors.map((e) => e.message).join('; '), 400, errors);
+
+  const matches = (record) => bounds.every(({ field, min, max }) => {
+    const value = sortValue(field, record.data?.[field.key] ?? record.detail?.[field.key]);
+    if (value === null) return false;
+    return (min === undefined || value >= min) && (max === undefined || value <= max);
+  });
+  return { matches, compare };
+}
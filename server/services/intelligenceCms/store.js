@@ -1,25 +1,42 @@
-import fs from 'node:fs';
-import path from 'node:path';
-import { fileURLToPath } from 'node:url';
+/**
+ * Intelligence CMS records on the storage adapter (cms_records,
+ * cms_record_versions). Every mutation writes the record and its version row
+ * in one transaction.
+ */
+
 import crypto from 'node:crypto';
+import { storage } from '../../storage/index.js';
 import { getModule } from './modules.js';
+import { csvCells } from '../../lib/csv.js';
+import { coerceValue, formatValue, recordQuery, schemaError, validateRecordValues } from './schema.js';
 
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const DATA_DIR = path.join(__dirname, '../../data/intelligence_cms');
-const RECORDS_FILE = path.join(DATA_DIR, 'records.json');
-const VERSIONS_FILE = path.join(DATA_DIR, 'versions.json');
-
-function ensureStore() {
-  if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
-  if (!fs.existsSync(RECORDS_FILE)) {
-    fs.writeFileSync(
-      RECORDS_FILE,
-      JSON.stringify({ records: [...seedValuationRows(), ...seedTransactionRows()] }, null, 2)
-    );
-  }
-  if (!fs.existsSync(VERSIONS_FILE)) {
-    fs.writeFileSync(VERSIONS_FILE, JSON.stringify({ versions: [] }, null, 2));
+const RECORDS = 'cms_records';
+const VERSIONS = 'cms_record_versions';
+const SEED_KEY = 'intelligence_cms.seed';
+const TYPED_KEY = 'intelligence_cms.typed_values.v1';
+
+let seeding = null;
+
+/**
+ * Seed the demo modules once per store — not again after records are deleted —
+ * then type any values written as text (see typeLegacyValues).
+ */
+function ensureSeeded() {
+  if (!seeding) {
+    seeding = storage.transaction(async () => {
+      if (!(await storage.get('storage_meta', SEED_KEY))) {
+        if (!(await storage.count(RECORDS))) {
+          await storage.putMany(RECORDS, [...seedValuationRows(), ...seedTransactionRows()]);
+        }
+        await storage.put('storage_meta', { id: SEED_KEY, seeded_at: new Date().toISOString() });
+      }
+      await typeLegacyValues();
+    }).catch((err) => {
+      seeding = null;
+      throw err;
+    });
   }
+  return seeding;
 }
 
 function seedValuationRows() {
@@ -84,62 +101,101 @@ function seedTransactionRows() {
   ];
 }
 
-function readRecords() {
-  ensureStore();
-  return JSON.parse(fs.readFileSync(RECORDS_FILE, 'utf8')).records || [];
-}
-
-function writeRecords(records) {
-  ensureStore();
-  fs.writeFileSync(RECORDS_FILE, JSON.stringify({ records, updated_at: new Date().toISOString() }, null, 2));
-}
-
-function readVersions() {
-  ensureStore();
-  return JSON.parse(fs.readFileSync(VERSIONS_FILE, 'utf8')).versions || [];
+/**
+ * One-off: the built-in modules were all text columns, so stored cells read
+ * "22.4x" or "$4.8B". Type them in place; cells that do not parse are left as
+ * written and fail validation on the record's next edit.
+ */
+async function typeLegacyValues() {
+  if (await storage.get('storage_meta', TYPED_KEY)) return;
+  const modules = new Map();
+  const changed = [];
+  for (const record of await storage.find(RECORDS)) {
+    if (!modules.has(record.module)) modules.set(record.module, await getModule(record.module));
+    const typed = (modules.get(record.module)?.columns || []).filter((c) => c.type !== 'text' && c.type !== 'textarea');
+    const data = { ...record.data };
+    for (const field of typed) {
+      if (typeof data[field.key] !== 'string') continue;
+      const { value, error } = await coerceValue(field, data[field.key]);
+      if (!error) data[field.key] = value;
+    }
+    if (typed.some((f) => data[f.key] !== record.data?.[f.key])) changed.push({ ...record, data });
+  }
+  if (changed.length) await storage.putMany(RECORDS, changed);
+  await storage.put('storage_meta', { id: TYPED_KEY, typed_at: new Date().toISOString(), records: changed.length });
 }
 
-function appendVersion(record, changedBy) {
-  const versions = readVersions();
-  versions.push({
+function versionRow(record, changedBy) {
+  return {
     id: crypto.randomUUID(),
     record_id: record.id,
     version: record.version,
     snapshot: { ...record },
     changed_by: changedBy || record.updated_by,
     created_at: new Date().toISOString(),
-  });
-  fs.writeFileSync(VERSIONS_FILE, JSON.stringify({ versions }, null, 2));
+  };
 }
 
-export function listRecords(moduleId, { status, q, limit = 500 } = {}) {
-  let rows = readRecords().filter((r) => r.module === moduleId);
-  if (status) rows = rows.filter((r) => r.status === status);
+/**
+ * Newest edits first unless `sort` names a column (`-key` descending);
+ * `ranges` ({ key: { min, max } }) filters typed columns — see recordQuery.
+ * Without a `moduleId` every module's records are listed.
+ */
+export async function listRecords(moduleId, { status, q, limit = 500, sort, ranges } = {}) {
+  const query = sort || (ranges && Object.keys(ranges).length)
+    ? await recordQuery(await moduleFor(moduleId), { sort, ranges })
+    : null;
+  await ensureSeeded();
+  let rows = await storage.find(RECORDS, {
+    where: { module: moduleId, status: status || undefined },
+    orderBy: '-updated_at',
+    limit: q || query ? undefined : limit,
+  });
   if (q) {
     const needle = q.toLowerCase();
     rows = rows.filter((r) => JSON.stringify(r.data).toLowerCase().includes(needle));
   }
-  rows.sort((a, b) => new Date(b.updated_at) - new Date(a.updated_at));
+  if (query) {
+    rows = rows.filter(query.matches);
+    if (query.compare) rows.sort(query.compare);
+  }
   return rows.slice(0, limit);
 }
 
-export function getRecord(id) {
-  return readRecords().find((r) => r.id === id) || null;
+export async function getRecord(id) {
+  await ensureSeeded();
+  return storage.get(RECORDS, id);
+}
+
+async function moduleFor(moduleId) {
+  const mod = await getModule(moduleId);
+  if (!mod) throw schemaError('Unknown module', 404);
+  return mod;
 }
 
-export function createRecord(moduleId, payload, actor = 'admin') {
-  const mod = getModule(moduleId);
-  if (!mod) throw new Error('Unknown module');
+function assertStatus(status) {
+  if (status !== undefined && !RECORD_STATUSES.includes(status)) {
+    throw schemaError(`Status must be one of ${RECORD_STATUSES.join(', ')}`);
+  }
+}
+
+/** Values are checked and typed against the module schema (schema.js); violations throw with status 400. */
+export async function createRecord(moduleId, payload, actor = 'admin') {
+  const mod = await moduleFor(moduleId);
   if (!mod.enabled) {
-    throw new Error(`Module "${moduleId}" is not enabled yet`);
+    throw schemaError(`Module "${moduleId}" is not enabled yet`);
   }
+  assertStatus(payload.status);
+  const status = payload.status || 'draft';
+  assertEditableStatus({ status: 'draft' }, status, mod);
+  const { data, detail } = await validateRecordValues(mod, { data: payload.data, detail: payload.detail, status });
   const now = new Date().toISOString();
   const record = {
     id: crypto.randomUUID(),
     module: moduleId,
-    status: payload.status || 'draft',
-    data: payload.data || {},
-    detail: payload.detail || {},
+    status,
+    data,
+    detail,
     relationships: payload.relationships || [],
     version: 1,
     created_by: actor,
@@ -149,24 +205,23 @@ export function createRecord(moduleId, payload, actor = 'admin') {
     created_at: now,
     updated_at: now,
   };
-  const records = readRecords();
-  records.push(record);
-  writeRecords(records);
-  appendVersion(record, actor);
+  await ensureSeeded();
+  await storage.transaction(async () => {
+    await storage.put(RECORDS, record);
+    await storage.put(VERSIONS, versionRow(record, actor));
+  });
   return record;
 }
 
-export function updateRecord(id, payload, actor = 'admin') {
-  const records = readRecords();
-  const idx = records.findIndex((r) => r.id === id);
-  if (idx < 0) return null;
-  const prev = records[idx];
+function nextRecord(prev, payload, actor) {
   const next = {
     ...prev,
-    ...payload,
+    status: payload.status !== undefined ? payload.status : prev.status,
     data: payload.data !== undefined ? payload.data : prev.data,
     detail: payload.detail !== undefined ? payload.detail : prev.detail,
     relationships: payload.relationships !== undefined ? payload.relationships : prev.relationships,
+    scheduled_at: payload.scheduled_at !== undefined ? payload.scheduled_at : prev.scheduled_at,
+    review: payload.review !== undefined ? payload.review : prev.review,
     version: prev.version + 1,
     updated_by: actor,
     updated_at: new Date().toISOString(),
@@ -174,20 +229,60 @@ export function updateRecord(id, payload, actor = 'admin') {
   if (payload.status === 'published' && !next.published_at) {
     next.published_at = new Date().toISOString();
   }
-  records[idx] = next;
-  writeRecords(records);
-  appendVersion(next, actor);
   return next;
 }
 
-export function deleteRecord(id) {
-  const records = readRecords().filter((r) => r.id !== id);
-  writeRecords(records);
+/**
+ * Read-check-write in one transaction: `revise(prev, mod)` returns the change
+ * ({ status, data, detail, relationships, scheduled_at, review }) or throws.
+ * Values are re-validated and a version row is written. Null when missing.
+ */
+export async function reviseRecord(id, revise, actor = 'admin') {
+  await ensureSeeded();
+  return storage.transaction(async () => {
+    const prev = await storage.get(RECORDS, id);
+    if (!prev) return null;
+    const mod = await moduleFor(prev.module);
+    const change = await revise(prev, mod);
+    assertStatus(change.status);
+    const next = nextRecord(prev, change, actor);
+    Object.assign(next, await validateRecordValues(mod, next, prev));
+    await storage.put(RECORDS, next);
+    await storage.put(VERSIONS, versionRow(next, actor));
+    return next;
+  });
+}
+
+/** Status moves an edit may make; review decisions go through review.js. */
+function assertEditableStatus(prev, status, mod) {
+  if (status === undefined || status === prev.status) return;
+  const refuse = (message) => schemaError(message, 409, [{ field: 'status', message }]);
+  if (status === 'review') throw refuse('Submit the record for review instead of setting its status');
+  if (status !== 'published') return;
+  if (prev.status === 'review') {
+    const by = prev.review?.reviewer ? ` by ${prev.review.reviewer}` : '';
+    throw refuse(`Record is awaiting review${by} — approve or reject it first`);
+  }
+  if (mod.requireReview) throw refuse(`${mod.label} records are published by approving a review`);
+}
+
+/** Editor changes; `review` state is not writable here. */
+export async function updateRecord(id, payload, actor = 'admin') {
+  const { status, data, detail, relationships, scheduled_at: scheduledAt } = payload;
+  return reviseRecord(id, (prev, mod) => {
+    assertEditableStatus(prev, status, mod);
+    return { status, data, detail, relationships, scheduled_at: scheduledAt };
+  }, actor);
+}
+
+export async function deleteRecord(id) {
+  await storage.remove(RECORDS, id);
   return true;
 }
 
-export function getDashboardStats() {
-  const records = readRecords();
+export async function getDashboardStats() {
+  await ensureSeeded();
+  const records = await storage.find(RECORDS, { orderBy: '-updated_at' });
   const today = new Date().toISOString().slice(0, 10);
   const drafts = records.filter((r) => r.status === 'draft').length;
   const review = records.filter((r) => r.status === 'review').length;
@@ -203,7 +298,7 @@ export function getDashboardStats() {
     review,
     publishedToday,
     scheduled,
-    recentlyEdited: records.sort((a, b) => new Date(b.updated_at) - new Date(a.updated_at)).slice(0, 8),
+    recentlyEdited: records.slice(0, 8),
     aiDraftsAwaitingReview: aiDrafts,
     missingMetadata: missingMeta,
     brokenRelationships,
@@ -211,41 +306,80 @@ export function getDashboardStats() {
   };
 }
 
-export function exportModuleCsv(moduleId) {
-  const mod = getModule(moduleId);
-  if (!mod) throw new Error('Unknown module');
-  const cols = mod.columns.map((c) => c.key);
-  const rows = listRecords(moduleId);
-  const header = [...cols, 'status'].join(',');
+export async function exportModuleCsv(moduleId) {
+  const mod = await moduleFor(moduleId);
+  const rows = await listRecords(moduleId);
+  const header = [...mod.columns.map((c) => c.key), 'status'].join(',');
   const lines = rows.map((r) =>
-    [...cols.map((k) => `"${String(r.data?.[k] ?? '').replace(/"/g, '""')}"`), r.status].join(',')
+    [...mod.columns.map((c) => `"${formatValue(c, r.data?.[c.key]).replace(/"/g, '""')}"`), r.status].join(',')
   );
   return [header, ...lines].join('\n');
 }
 
 const RECORD_STATUSES = ['draft', 'review', 'published', 'archived'];
 
-export function importModuleCsv(moduleId, csvText, actor = 'admin') {
-  const mod = getModule(moduleId);
-  if (!mod) throw new Error('Unknown module');
+/**
+ * All rows land or none do — one transaction for the whole file. Headers are
+ * column or detail-field keys (plus `status`); rows are checked against the
+ * module schema and every problem is reported as { row, field, message }
+ * (status 400). `dryRun` checks the file and returns that report without
+ * writing anything.
+ */
+export async function importModuleCsv(moduleId, csvText, actor = 'admin', { dryRun = false } = {}) {
+  const mod = await moduleFor(moduleId);
   const lines = csvText.trim().split(/\r?\n/).filter(Boolean);
-  if (lines.length < 2) return { imported: 0 };
+  if (lines.length < 2) return dryRun ? { dry_run: true, rows: 0, valid: 0, errors: [] } : { imported: 0 };
   const headers = lines[0].split(',').map((h) => h.replace(/^"|"$/g, '').trim());
-  let imported = 0;
-  for (const line of lines.slice(1)) {
-    const cells = line.match(/("([^"]|"")*"|[^,]+)/g) || [];
-    const values = cells.map((c) => c.replace(/^"|"$/g, '').replace(/""/g, '"'));
+  const detailKeys = new Set((mod.detailFields || []).map((f) => f.key));
+  const columnKeys = new Set(mod.columns.map((c) => c.key));
+  const unknown = headers.filter((h) => h !== 'status' && !columnKeys.has(h) && !detailKeys.has(h));
+  if (unknown.length) throw schemaError(`Unknown column(s): ${unknown.join(', ')}`);
+  const payloads = lines.slice(1).map((line) => {
+    const values = csvCells(line);
     const data = {};
+    const detail = {};
     headers.forEach((h, i) => {
-      if (h !== 'status') data[h] = values[i] || '';
+      if (h === 'status') return;
+      (detailKeys.has(h) ? detail : data)[h] = values[i] || '';
     });
     const status = values[headers.indexOf('status')] || 'draft';
-    createRecord(moduleId, { data, status: RECORD_STATUSES.includes(status) ? status : 'draft' }, actor);
-    imported += 1;
+    return { data, detail, status: RECORD_STATUSES.includes(status) ? status : 'draft' };
+  });
+  if (dryRun) {
+    if (!mod.enabled) throw schemaError(`Module "${moduleId}" is not enabled yet`);
+    const errors = [];
+    for (const [i, payload] of payloads.entries()) {
+      try {
+        assertEditableStatus({ status: 'draft' }, payload.status, mod);
+        await validateRecordValues(mod, payload);
+      } catch (err) {
+        if (!err.errors) throw err;
+        errors.push(...err.errors.map((e) => ({ row: i + 2, ...e })));
+      }
+    }
+    const rejected = new Set(errors.map((e) => e.row)).size;
+    return { dry_run: true, rows: payloads.length, valid: payloads.length - rejected, errors };
   }
-  return { imported };
+  // Seed outside the import transaction so the two never wait on each other.
+  await ensureSeeded();
+  const errors = [];
+  await storage.transaction(async () => {
+    for (const [i, payload] of payloads.entries()) {
+      try {
+        await createRecord(moduleId, payload, actor);
+      } catch (err) {
+        if (!err.errors) throw err;
+        errors.push(...err.errors.map((e) => ({ row: i + 2, ...e })));
+      }
+    }
+    if (errors.length) {
+      const summary = errors.slice(0, 5).map((e) => `row ${e.row}: ${e.message}`).join('; ');
+      throw schemaError(`Import rejected — ${summary}${errors.length > 5 ? ` (+${errors.length - 5} more)` : ''}`, 400, errors);
+    }
+  });
+  return { imported: payloads.length };
 }
 
 export function getRecordVersions(recordId) {
-  return readVersions().filter((v) => v.record_id === recordId).sort((a, b) => b.version - a.version);
+  return storage.find(VERSIONS, { where: { record_id: recordId }, orderBy: '-version' });
 }
@@ -58,11 +58,11 @@ function buildDeterministicSummary(entity, relationships, timeline) {
 }
 
 export async function generateEntitySummary(entityId, { force = false } = {}) {
-  const entity = getEntityById(entityId);
+  const entity = await getEntityById(entityId);
   if (!entity) return null;
 
-  const relationships = getEntityRelationships(entityId);
-  const timeline = listTimelineEvents(entityId, { limit: 8 });
+  const relationships = await getEntityRelationships(entityId);
+  const timeline = await listTimelineEvents(entityId, { limit: 8 });
 
   if (!force && entity.ai_summary && entity.ai_summary_updated_at) {
     const age = Date.now() - new Date(entity.ai_summary_updated_at).getTime();
@@ -96,13 +96,13 @@ export async function generateEntitySummary(entityId, { force = false } = {}) {
   }
 
   const ts = new Date().toISOString();
-  updateEntity(entityId, { ai_summary: summary, ai_summary_updated_at: ts });
+  await updateEntity(entityId, { ai_summary: summary, ai_summary_updated_at: ts });
   return summary;
 }
 
 export async function refreshStaleSummaries({ max = 10 } = {}) {
   const { listEntities } = await import('./entityStore.js');
-  const { entities } = listEntities({ limit: 500 });
+  const { entities } = await listEntities({ limit: 500 });
   const stale = entities.filter((e) => {
     if (!e.ai_summary || !e.ai_summary_updated_at) return true;
     return Date.now() - new Date(e.ai_summary_updated_at).getTime() > 7 * 24 * 60 * 60 * 1000;
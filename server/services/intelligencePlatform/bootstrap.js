@@ -14,7 +14,7 @@ import { bulkUpsertEntities, listEntities } from './entityStore.js';
 import { bulkAddRelationships } from './relationshipStore.js';
 import { bulkAddTimelineEvents } from './timelineService.js';
 import { generateEntitySummary } from './aiSummaryService.js';
-import { isBootstrapped, writeEntities } from './store.js';
+import { isBootstrapped, markBootstrapped } from './store.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const KKR_PORTFOLIO_PATH = path.join(__dirname, '../../data/kkr_portfolio.json');
@@ -32,8 +32,8 @@ function firmSlugToName(slug) {
 }
 
 export async function bootstrapIntelligencePlatform({ force = false } = {}) {
-  if (isBootstrapped() && !force) {
-    return { bootstrapped: true, skipped: true, stats: listEntities({ limit: 1 }) };
+  if ((await isBootstrapped()) && !force) {
+    return { bootstrapped: true, skipped: true, stats: await listEntities({ limit: 1 }) };
   }
 
   const entityRows = [];
@@ -267,6 +267,18 @@ export async function bootstrapIntelligencePlatform({ force = false } = {}) {
         source_type: 'portfolio',
         source_id: slug,
       });
+      if (kkrId) {
+        // Closes the INVESTED_IN above (valid_to) via the timeline ownership hook.
+        timelineRows.push({
+          entity_id: kkrId,
+          event_type: 'EXITED',
+          title: `Exited ${row.company}`,
+          occurred_at: `${row.exit_year}-06-01T00:00:00.000Z`,
+          source_type: 'portfolio',
+          source_id: slug,
+          metadata: { company_id: id },
+        });
+      }
     }
     if (i % 17 === 0) {
       /* avoid timeline bloat — already covered above */
@@ -353,10 +365,10 @@ export async function bootstrapIntelligencePlatform({ force = false } = {}) {
     }
   });
 
-  bulkUpsertEntities(entityRows);
-  bulkAddRelationships(relRows);
-  bulkAddTimelineEvents(timelineRows);
-  writeEntities(listEntities({ limit: 10000 }).entities, { bootstrapped: true });
+  await bulkUpsertEntities(entityRows);
+  await bulkAddRelationships(relRows);
+  await bulkAddTimelineEvents(timelineRows);
+  await markBootstrapped({ entities: entityRows.length });
 
   // Generate summaries for top firms (deterministic + optional LLM)
   const firmIds = TOP_FIRMS.map((f) => slugToId.get(f.slug)).filter(Boolean);
@@ -364,7 +376,7 @@ export async function bootstrapIntelligencePlatform({ force = false } = {}) {
     await generateEntitySummary(id, { force: true });
   }
 
-  const stats = listEntities({ limit: 10000 });
+  const stats = await listEntities({ limit: 1 });
   return {
     bootstrapped: true,
     skipped: false,
@@ -374,9 +386,9 @@ export async function bootstrapIntelligencePlatform({ force = false } = {}) {
   };
 }
 
-export function ensurePlatformBootstrapped() {
-  if (!isBootstrapped()) {
+export async function ensurePlatformBootstrapped() {
+  if (!(await isBootstrapped())) {
     return bootstrapIntelligencePlatform();
   }
-  return Promise.resolve({ bootstrapped: true, skipped: true });
+  return { bootstrapped: true, skipped: true };
 }
@@ -0,0 +1,420 @@
+/**
+ * Duplicate detection and merging for Intelligence Platform entities.
+ *
+ * Identity is resolved by slug, so "KKR", "Kohlberg Kravis Roberts" and
+ * "KKR & Co." arrive from different sources as separate nodes. The detector
+ * scores pairs of same-kind entities on name similarity (legal suffixes
+ * stripped, acronyms, aliases), website domain, HQ and shared relationships;
+ * pairs an admin has already decided on are left out.
+ *
+ * A merge re-points the duplicates' relationships and timeline events at the
+ * survivor (dropping ones it already has), folds their names into its aliases
+ * and leaves each duplicate as a `status: 'merged'` tombstone with
+ * `merged_into`, so old slugs resolve to the survivor and later imports that
+ * still use them land there too.
+ */
+
+import { findIn } from '../../storage/index.js';
+import { DUPLICATE_REVIEWS, ENTITIES, RELATIONSHIPS, TIMELINE, storage } from './store.js';
+import { absorbEntities, getEntitiesByIds, getEntityById } from './entityStore.js';
+import { relKey } from './relationshipStore.js';
+import { eventKey } from './timelineService.js';
+import { indexEntities } from './searchIndex.js';
+import { invalidateGraphAnalytics } from './graphAnalytics.js';
+import { entityPublicPath, entityTypeLabel } from './entityTypes.js';
+
+/** Entity types that can describe the same real-world thing. */
+const TYPE_FAMILIES = [
+  ['pe_firm', 'general_partner', 'investor', 'limited_partner'],
+  ['company', 'portfolio_company'],
+];
+const LEGAL_WORDS = new Set([
+  'and', 'the', 'co', 'company', 'corp', 'corporation', 'inc', 'incorporated', 'llc', 'llp', 'lp', 'ltd',
+  'limited', 'plc', 'pvt', 'private', 'pte', 'sa', 'ag', 'gmbh', 'holdings', 'group',
+]);
+/** Too common in fund and firm names to pair entities on. */
+const GENERIC_WORDS = new Set([
+  'capital', 'partners', 'fund', 'funds', 'ventures', 'equity', 'investments', 'investment', 'management',
+  'advisors', 'advisers', 'asset', 'assets', 'global', 'india', 'growth', 'private', 'associates',
+]);
+/** Blocks bigger than this are too generic to compare pairwise. */
+const MAX_BLOCK = 200;
+export const DEFAULT_MIN_SCORE = 0.55;
+
+function dedupError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+const familyOf = (type) => TYPE_FAMILIES.findIndex((family) => family.includes(type));
+const sameKind = (a, b) => a.entity_type === b.entity_type || (familyOf(a.entity_type) >= 0 && familyOf(a.entity_type) === familyOf(b.entity_type));
+const pairKey = (a, b) => [a, b].sort().join('|');
+
+function nameTokens(name) {
+  return String(name || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .split(/[^a-z0-9]+/)
+    .filter((t) => t && !LEGAL_WORDS.has(t));
+}
+
+function websiteDomain(meta = {}) {
+  const raw = String(meta.website || meta.url || '').trim().toLowerCase();
+  if (!raw) return null;
+  try {
+    return new URL(raw.includes('://') ? raw : `https://${raw}`).hostname.replace(/^www\./, '') || null;
+  } catch {
+    return null;
+  }
+}
+
+const normalizeHq = (meta = {}) => String(meta.hq || meta.headquarters || '').toLowerCase().replace(/[^a-z]+/g, ' ').trim() || null;
+
+function profile(entity) {
+  const names = [entity.name, ...(entity.aliases || []), ...(entity.metadata?.aliases || [])]
+    .map((n) => nameTokens(n))
+    .filter((tokens) => tokens.length);
+  return {
+    entity,
+    names: names.map((tokens) => ({ tokens, core: tokens.join(' '), acronym: tokens.length > 1 ? tokens.map((t) => t[0]).join('') : null })),
+    domain: websiteDomain(entity.metadata),
+    hq: normalizeHq(entity.metadata),
+  };
+}
+
+function jaroWinkler(a, b) {
+  if (a === b) return 1;
+  const window = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+  const aMatched = new Array(a.length).fill(false);
+  const bMatched = new Array(b.length).fill(false);
+  let matches = 0;
+  for (let i = 0; i < a.length; i += 1) {
+    for (let j = Math.max(0, i - window); j < Math.min(b.length, i + window + 1); j += 1) {
+      if (bMatched[j] || a[i] !== b[j]) continue;
+      aMatched[i] = true;
+      bMatched[j] = true;
+      matches += 1;
+      break;
+    }
+  }
+  if (!matches) return 0;
+  let transpositions = 0;
+  for (let i = 0, j = 0; i < a.length; i += 1) {
+    if (!aMatched[i]) continue;
+    while (!bMatched[j]) j += 1;
+    if (a[i] !== b[j]) transpositions += 1;
+    j += 1;
+  }
+  const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+  let prefix = 0;
+  while (prefix < 4 && a[prefix] && a[prefix] === b[prefix]) prefix += 1;
+  return jaro + prefix * 0.1 * (1 - jaro);
+}
+
+/** 0..1 similarity of two tokenised names, with the rule that explains it. */
+function compareNames(x, y) {
+  if (x.core === y.core) return { score: 1, rule: 'same name' };
+  const compactX = x.tokens.join('');
+  const compactY = y.tokens.join('');
+  if (compactX === compactY) return { score: 0.97, rule: 'same name' };
+  if ((x.acronym && x.acronym === compactY) || (y.acronym && y.acronym === compactX)) return { score: 0.92, rule: 'acronym' };
+  const setX = new Set(x.tokens);
+  const shared = y.tokens.filter((t) => setX.has(t)).length;
+  const jaccard = shared / new Set([...x.tokens, ...y.tokens]).size;
+  // Jaro-Winkler flatters a short name against a long one ("Bain" vs "Bain Capital").
+  const lengthRatio = Math.min(x.core.length, y.core.length) / Math.max(x.core.length, y.core.length);
+  const spelling = lengthRatio >= 0.75 ? jaroWinkler(x.core, y.core) : 0;
+  return spelling >= jaccard ? { score: spelling, rule: 'similar spelling' } : { score: jaccard, rule: 'shared words' };
+}
+
+function bestNameMatch(a, b) {
+  let best = { score: 0 };
+  a.names.forEach((x) =>
+    b.names.forEach((y) => {
+      const match = compareNames(x, y);
+      if (match.score > best.score) best = { ...match, left: x.core, right: y.core };
+    }),
+  );
+  return best;
+}
+
+function blockingKeys(p) {
+  const keys = new Set();
+  if (p.domain) keys.add(`d:${p.domain}`);
+  p.names.forEach(({ tokens, acronym }) => {
+    const compact = tokens.join('');
+    keys.add(`c:${compact.slice(0, 4)}`);
+    // An acronym pairs with a name that is only that acronym ("KKR").
+    if (acronym) keys.add(`a:${acronym}`);
+    if (tokens.length === 1) keys.add(`a:${compact}`);
+    tokens.filter((t) => t.length >= 3 && !GENERIC_WORDS.has(t)).forEach((t) => keys.add(`t:${t}`));
+  });
+  return keys;
+}
+
+function candidatePairs(profiles) {
+  const blocks = new Map();
+  profiles.forEach((p, i) =>
+    blockingKeys(p).forEach((key) => {
+      if (!blocks.has(key)) blocks.set(key, []);
+      blocks.get(key).push(i);
+    }),
+  );
+  const pairs = new Map();
+  blocks.forEach((members) => {
+    if (members.length < 2 || members.length > MAX_BLOCK) return;
+    for (let x = 0; x < members.length; x += 1) {
+      for (let y = x + 1; y < members.length; y += 1) {
+        const a = profiles[members[x]];
+        const b = profiles[members[y]];
+        if (!sameKind(a.entity, b.entity)) continue;
+        pairs.set(pairKey(a.entity.id, b.entity.id), [a, b]);
+      }
+    }
+  });
+  return [...pairs.values()];
+}
+
+async function neighbourSets(ids) {
+  const [outbound, inbound] = await Promise.all([
+    findIn(RELATIONSHIPS, 'from_entity_id', ids),
+    findIn(RELATIONSHIPS, 'to_entity_id', ids),
+  ]);
+  const sets = new Map(ids.map((id) => [id, new Set()]));
+  outbound.forEach((r) => sets.get(r.from_entity_id)?.add(r.to_entity_id));
+  inbound.forEach((r) => sets.get(r.to_entity_id)?.add(r.from_entity_id));
+  return sets;
+}
+
+function entitySummary(entity, neighbours) {
+  const meta = entity.metadata || {};
+  return {
+    id: entity.id,
+    slug: entity.slug,
+    name: entity.name,
+    entity_type: entity.entity_type,
+    entity_type_label: entityTypeLabel(entity.entity_type),
+    aliases: entity.aliases || [],
+    description: entity.description?.slice(0, 200) || '',
+    website: meta.website || null,
+    hq: meta.hq || null,
+    relationship_count: neighbours.size,
+    source_refs: (entity.source_refs || []).length,
+    created_at: entity.created_at,
+    path: entityPublicPath(entity),
+  };
+}
+
+/**
+ * Ranked duplicate candidates among published entities (optionally one type).
+ * Each candidate: { id, score, reasons, entities: [a, b], suggested_survivor }.
+ */
+export async function findDuplicateCandidates({ entityType = null, minScore = DEFAULT_MIN_SCORE, limit = 50 } = {}) {
+  const [entities, reviews] = await Promise.all([
+    storage.find(ENTITIES, { where: { status: 'published' } }),
+    storage.find(DUPLICATE_REVIEWS),
+  ]);
+  const decided = new Set(reviews.map((r) => r.id));
+  const pairs = candidatePairs(entities.map(profile)).filter(
+    ([a, b]) =>
+      !decided.has(pairKey(a.entity.id, b.entity.id)) &&
+      (!entityType || a.entity.entity_type === entityType || b.entity.entity_type === entityType),
+  );
+
+  const scored = pairs
+    .map(([a, b]) => ({ a, b, name: bestNameMatch(a, b) }))
+    // Everything below needs a name signal; cheap cut before loading relationships.
+    .filter(({ a, b, name }) => name.score >= 0.5 || (a.domain && a.domain === b.domain));
+  const neighbours = await neighbourSets([...new Set(scored.flatMap(({ a, b }) => [a.entity.id, b.entity.id]))]);
+
+  const candidates = [];
+  for (const { a, b, name } of scored) {
+    const reasons = [];
+    let score = 0.65 * name.score;
+    if (name.score >= 0.5) reasons.push(`${name.rule}: “${name.left}” ~ “${name.right}” (${name.score.toFixed(2)})`);
+    if (a.domain && b.domain) {
+      if (a.domain === b.domain) {
+        score += 0.3;
+        reasons.push(`same website domain ${a.domain}`);
+      } else {
+        score -= 0.25;
+        reasons.push(`different websites (${a.domain} / ${b.domain})`);
+      }
+    }
+    if (a.hq && a.hq === b.hq) {
+      score += 0.05;
+      reasons.push(`same HQ (${a.entity.metadata.hq})`);
+    }
+    const na = neighbours.get(a.entity.id);
+    const nb = neighbours.get(b.entity.id);
+    const shared = [...na].filter((id) => nb.has(id)).length;
+    if (shared) {
+      score += 0.2 * (shared / new Set([...na, ...nb]).size);
+      reasons.push(`${shared} shared relationship${shared === 1 ? '' : 's'}`);
+    }
+    score = Math.min(1, Math.max(0, score));
+    if (score < minScore) continue;
+
+    // Keep the better-connected record (then the older one) as the survivor.
+    const [first, second] = [a.entity, b.entity].sort(
+      (x, y) =>
+        neighbours.get(y.id).size - neighbours.get(x.id).size ||
+        String(x.created_at || '').localeCompare(String(y.created_at || '')) ||
+        x.id.localeCompare(y.id),
+    );
+    candidates.push({
+      id: pairKey(first.id, second.id),
+      score: Number(score.toFixed(3)),
+      reasons,
+      entities: [entitySummary(first, neighbours.get(first.id)), entitySummary(second, neighbours.get(second.id))],
+      suggested_survivor: first.id,
+    });
+  }
+
+  candidates.sort((x, y) => y.score - x.score || x.entities[0].name.localeCompare(y.entities[0].name));
+  return { total: candidates.length, candidates: candidates.slice(0, limit) };
+}
+
+/** Record that two entities are distinct so the pair leaves the review queue. */
+export async function dismissDuplicate(entityIds, { actor = 'system' } = {}) {
+  const ids = [...new Set(entityIds || [])];
+  if (ids.length !== 2) throw dedupError('entity_ids must name two entities');
+  const found = await getEntitiesByIds(ids);
+  if (found.size !== 2) throw dedupError('Entity not found', 404);
+  return storage.put(DUPLICATE_REVIEWS, {
+    id: pairKey(...ids),
+    entity_ids: ids,
+    decision: 'distinct',
+    decided_by: actor,
+    decided_at: new Date().toISOString(),
+  });
+}
+
+export async function listDuplicateReviews({ limit = 50 } = {}) {
+  return storage.find(DUPLICATE_REVIEWS, { orderBy: '-decided_at', limit });
+}
+
+/** Re-point relationships from the duplicates to the survivor; drops self-loops and repeats. */
+async function repointRelationships(survivorId, duplicateIds) {
+  const ids = [survivorId, ...duplicateIds];
+  const [outbound, inbound] = await Promise.all([
+    findIn(RELATIONSHIPS, 'from_entity_id', ids),
+    findIn(RELATIONSHIPS, 'to_entity_id', ids),
+  ]);
+  const duplicates = new Set(duplicateIds);
+  const remap = (id) => (duplicates.has(id) ? survivorId : id);
+  const touchesDuplicate = (r) => duplicates.has(r.from_entity_id) || duplicates.has(r.to_entity_id);
+  // The survivor's own rows first so they win over re-pointed copies.
+  const rows = [...new Map([...outbound, ...inbound].map((r) => [r.id, r])).values()]
+    .sort((x, y) => Number(touchesDuplicate(x)) - Number(touchesDuplicate(y)));
+
+  const kept = new Set();
+  const moved = [];
+  const removed = [];
+  rows.forEach((rel) => {
+    const next = { ...rel, from_entity_id: remap(rel.from_entity_id), to_entity_id: remap(rel.to_entity_id) };
+    const key = relKey(next);
+    if (touchesDuplicate(rel) && (next.from_entity_id === next.to_entity_id || kept.has(key))) {
+      removed.push(rel.id);
+      return;
+    }
+    kept.add(key);
+    if (touchesDuplicate(rel)) moved.push(next);
+  });
+  await storage.putMany(RELATIONSHIPS, moved);
+  for (const id of removed) await storage.remove(RELATIONSHIPS, id);
+  return { moved: moved.length, removed: removed.length };
+}
+
+async function repointTimeline(survivorId, duplicateIds) {
+  const [own, theirs] = await Promise.all([
+    storage.find(TIMELINE, { where: { entity_id: survivorId } }),
+    findIn(TIMELINE, 'entity_id', duplicateIds),
+  ]);
+  const seen = new Set(own.map(eventKey));
+  const moved = [];
+  const removed = [];
+  theirs.forEach((event) => {
+    const next = { ...event, entity_id: survivorId };
+    const key = eventKey(next);
+    if (seen.has(key)) {
+      removed.push(event.id);
+      return;
+    }
+    seen.add(key);
+    moved.push(next);
+  });
+  await storage.putMany(TIMELINE, moved);
+  for (const id of removed) await storage.remove(TIMELINE, id);
+  return { moved: moved.length, removed: removed.length };
+}
+
+/**
+ * Merge `duplicateIds` into `survivorId` in one transaction. Returns the
+ * updated survivor, counts of re-pointed rows and the slug redirects left behind.
+ */
+export async function mergeEntities(survivorId, duplicateIds, { actor = 'system' } = {}) {
+  const ids = [...new Set(duplicateIds || [])].filter((id) => id && id !== survivorId);
+  if (!ids.length) throw dedupError('Choose at least one duplicate to merge');
+
+  const result = await storage.transaction(async () => {
+    const survivor = await getEntityById(survivorId);
+    if (!survivor || survivor.status === 'merged') throw dedupError('Surviving entity not found', 404);
+    const found = await getEntitiesByIds(ids);
+    const duplicates = ids.map((id) => found.get(id));
+    if (duplicates.some((d) => !d)) throw dedupError('Duplicate entity not found', 404);
+    if (duplicates.some((d) => d.status === 'merged')) throw dedupError('Entity was already merged', 409);
+    const mismatched = duplicates.find((d) => !sameKind(d, survivor));
+    if (mismatched) {
+      throw dedupError(`${mismatched.name} is a ${entityTypeLabel(mismatched.entity_type)}, not a ${entityTypeLabel(survivor.entity_type)}`);
+    }
+
+    const ts = new Date().toISOString();
+    const relationships = await repointRelationships(survivorId, ids);
+    const timeline = await repointTimeline(survivorId, ids);
+
+    // Tombstones of earlier merges into a duplicate now point straight at the survivor.
+    const earlier = await findIn(ENTITIES, 'merged_into', ids);
+    const tombstones = [
+      ...duplicates.map((d) => ({ ...d, status: 'merged', merged_into: survivorId, merged_at: ts, merged_by: actor, previous_status: d.status, updated_at: ts })),
+      ...earlier.map((t) => ({ ...t, merged_into: survivorId, updated_at: ts })),
+    ];
+    await storage.putMany(ENTITIES, tombstones);
+
+    const merged = await storage.update(ENTITIES, survivorId, (prev) => ({
+      ...absorbEntities(prev, duplicates, ts),
+      merged_from: [
+        ...(prev.merged_from || []),
+        ...duplicates.map((d) => ({ id: d.id, slug: d.slug, name: d.name, merged_at: ts, merged_by: actor })),
+      ],
+      updated_by: actor,
+    }));
+
+    await storage.putMany(
+      DUPLICATE_REVIEWS,
+      duplicates.map((d) => ({
+        id: pairKey(survivorId, d.id),
+        entity_ids: [survivorId, d.id],
+        decision: 'merged',
+        decided_by: actor,
+        decided_at: ts,
+      })),
+    );
+
+    return {
+      survivor: merged,
+      tombstones,
+      relationships,
+      timeline,
+      redirects: [...duplicates, ...earlier].map((d) => ({ from: d.slug, to: merged.slug, path: entityPublicPath(merged) })),
+    };
+  });
+
+  indexEntities([result.survivor, ...result.tombstones]);
+  invalidateGraphAnalytics();
+  const { tombstones, ...summary } = result;
+  return { ok: true, ...summary };
+}
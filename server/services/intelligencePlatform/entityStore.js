@@ -1,62 +1,17 @@
 import crypto from 'node:crypto';
 import { slugify } from './entityTypes.js';
-import { readEntities, writeEntities } from './store.js';
+import { findIn } from '../../storage/index.js';
+import { ENTITIES, storage } from './store.js';
+import { indexEntities } from './searchIndex.js';
 
 function now() {
   return new Date().toISOString();
 }
 
-export function listEntities({ type, status = 'published', q, limit = 100, offset = 0 } = {}) {
-  let rows = readEntities().filter((e) => !status || e.status === status);
-  if (type) rows = rows.filter((e) => e.entity_type === type);
-  if (q) {
-    const needle = q.toLowerCase();
-    rows = rows.filter((e) =>
-      [e.name, e.description, ...(e.tags || [])].some((f) => String(f || '').toLowerCase().includes(needle))
-    );
-  }
-  rows.sort((a, b) => a.name.localeCompare(b.name));
-  const total = rows.length;
-  return { entities: rows.slice(offset, offset + limit), total };
-}
-
-export function getEntityById(id) {
-  return readEntities().find((e) => e.id === id) || null;
-}
-
-export function getEntityBySlug(slug) {
-  return readEntities().find((e) => e.slug === slug) || null;
-}
-
-export function upsertEntity(input, { allowSlugCollision = false } = {}) {
-  const entities = readEntities();
-  const ts = now();
-  let slug = input.slug || slugify(input.name);
-  if (!allowSlugCollision) {
-    let suffix = 1;
-    const base = slug;
-    while (entities.some((e) => e.slug === slug && e.id !== input.id)) {
-      slug = `${base}-${suffix++}`;
-    }
-  }
-
-  if (input.id) {
-    const idx = entities.findIndex((e) => e.id === input.id);
-    if (idx >= 0) {
-      entities[idx] = {
-        ...entities[idx],
-        ...input,
-        slug,
-        updated_at: ts,
-      };
-      writeEntities(entities);
-      return entities[idx];
-    }
-  }
-
-  const entity = {
+function newEntity(input, ts) {
+  return {
     id: input.id || crypto.randomUUID(),
-    slug,
+    slug: input.slug,
     entity_type: input.entity_type,
     name: input.name,
     description: input.description || '',
@@ -72,56 +27,149 @@ export function upsertEntity(input, { allowSlugCollision = false } = {}) {
     created_at: input.created_at || ts,
     updated_at: ts,
   };
-  entities.push(entity);
-  writeEntities(entities);
-  return entity;
+}
+
+export async function listEntities({ type, status = 'published', q, limit = 100, offset = 0 } = {}) {
+  const where = { status: status || undefined, entity_type: type || undefined };
+  if (!q) {
+    const [entities, total] = await Promise.all([
+      storage.find(ENTITIES, { where, orderBy: 'name', limit, offset }),
+      storage.count(ENTITIES, { where }),
+    ]);
+    return { entities, total };
+  }
+  const needle = q.toLowerCase();
+  const rows = (await storage.find(ENTITIES, { where, orderBy: 'name' })).filter((e) =>
+    [e.name, e.description, ...(e.tags || [])].some((f) => String(f || '').toLowerCase().includes(needle))
+  );
+  return { entities: rows.slice(offset, offset + limit), total: rows.length };
+}
+
+export function getEntityById(id) {
+  return storage.get(ENTITIES, id);
+}
+
+export async function getEntityBySlug(slug) {
+  const [entity] = await storage.find(ENTITIES, { where: { slug }, limit: 1 });
+  return entity || null;
+}
+
+/** Entities for a set of ids, keyed by id (graph / relationship expansion). */
+export async function getEntitiesByIds(ids) {
+  return new Map((await findIn(ENTITIES, 'id', ids)).map((e) => [e.id, e]));
+}
+
+/** Follow merge tombstones (status 'merged', see entityDedup.js) to the surviving entity. */
+export async function resolveMergedEntity(entity) {
+  let current = entity;
+  for (let hops = 0; current?.status === 'merged' && current.merged_into && hops < 5; hops += 1) {
+    current = await getEntityById(current.merged_into);
+  }
+  return current || null;
+}
+
+/** Map of merged-away id → surviving id for the given ids (writes that still use old ids). */
+export async function mergedIdMap(ids) {
+  const tombstones = await findIn(ENTITIES, 'id', ids, { where: { status: 'merged' } });
+  return new Map(tombstones.map((e) => [e.id, e.merged_into]));
+}
+
+const uniqueBy = (items, key) => [...new Map(items.map((item) => [key(item), item])).values()];
+
+/**
+ * Fold other records into `target`: target fields win and the others only
+ * fill gaps; their names become aliases. Identity (id, slug, name, status)
+ * never changes.
+ */
+export function absorbEntities(target, others, ts = now()) {
+  const names = new Set([target.name.toLowerCase()]);
+  const aliases = [];
+  [...(target.aliases || []), ...others.flatMap((o) => [o.name, ...(o.aliases || [])])].forEach((alias) => {
+    const key = String(alias || '').trim().toLowerCase();
+    if (!key || names.has(key)) return;
+    names.add(key);
+    aliases.push(String(alias).trim());
+  });
+  const fill = (field) => target[field] || others.map((o) => o[field]).find(Boolean) || target[field];
+  return {
+    ...target,
+    aliases,
+    description: fill('description'),
+    ai_summary: fill('ai_summary'),
+    tags: [...new Set([...(target.tags || []), ...others.flatMap((o) => o.tags || [])])],
+    metadata: Object.assign({}, ...others.map((o) => o.metadata || {}).reverse(), target.metadata || {}),
+    source_refs: uniqueBy([...(target.source_refs || []), ...others.flatMap((o) => o.source_refs || [])], JSON.stringify),
+    attachments: uniqueBy([...(target.attachments || []), ...others.flatMap((o) => o.attachments || [])], JSON.stringify),
+    updated_at: ts,
+  };
+}
+
+/** Keep the search index in step with a committed write. */
+function reindexed(write) {
+  return write.then((result) => {
+    indexEntities(Array.isArray(result) ? result : [result]);
+    return result;
+  });
+}
+
+export function upsertEntity(input, { allowSlugCollision = false } = {}) {
+  return reindexed(storage.transaction(async () => {
+    const ts = now();
+    let slug = input.slug || slugify(input.name);
+    if (!allowSlugCollision) {
+      let suffix = 1;
+      const base = slug;
+      for (;;) {
+        const taken = await getEntityBySlug(slug);
+        if (!taken || taken.id === input.id) break;
+        // The slug of a merged-away entity: the write belongs to the survivor.
+        if (taken.status === 'merged' && !input.id) {
+          const survivor = await resolveMergedEntity(taken);
+          if (survivor && survivor.status !== 'merged') {
+            return storage.update(ENTITIES, survivor.id, (prev) => absorbEntities(prev, [input], ts));
+          }
+        }
+        slug = `${base}-${suffix++}`;
+      }
+    }
+
+    if (input.id) {
+      const updated = await storage.update(ENTITIES, input.id, (prev) => ({ ...prev, ...input, slug, updated_at: ts }));
+      if (updated) return updated;
+    }
+
+    return storage.put(ENTITIES, newEntity({ ...input, slug }, ts));
+  }));
 }
 
 export function updateEntity(id, patch) {
-  const entities = readEntities();
-  const idx = entities.findIndex((e) => e.id === id);
-  if (idx < 0) return null;
-  entities[idx] = { ...entities[idx], ...patch, updated_at: now() };
-  writeEntities(entities);
-  return entities[idx];
+  return reindexed(storage.update(ENTITIES, id, (prev) => ({ ...prev, ...patch, updated_at: now() })));
 }
 
+/** Upsert by slug — existing rows keep their id; rows for merged-away slugs fold into the survivor. */
 export function bulkUpsertEntities(rows) {
-  const entities = readEntities();
-  const bySlug = new Map(entities.map((e) => [e.slug, e]));
-  rows.forEach((row) => {
-    const existing = bySlug.get(row.slug);
-    if (existing) {
-      Object.assign(existing, row, { id: existing.id, updated_at: now() });
-    } else {
-      const entity = {
-        id: row.id || crypto.randomUUID(),
-        slug: row.slug,
-        entity_type: row.entity_type,
-        name: row.name,
-        description: row.description || '',
-        tags: row.tags || [],
-        status: row.status || 'published',
-        ai_summary: row.ai_summary || null,
-        ai_summary_updated_at: row.ai_summary_updated_at || null,
-        attachments: row.attachments || [],
-        metadata: row.metadata || {},
-        source_refs: row.source_refs || [],
-        created_by: row.created_by || 'system',
-        updated_by: row.updated_by || 'system',
-        created_at: row.created_at || now(),
-        updated_at: now(),
-      };
-      entities.push(entity);
-      bySlug.set(entity.slug, entity);
-    }
-  });
-  writeEntities(entities);
-  return entities;
+  return reindexed(storage.transaction(async () => {
+    const existing = await findIn(ENTITIES, 'slug', rows.map((r) => r.slug));
+    const bySlug = new Map(existing.map((e) => [e.slug, e]));
+    const survivors = await getEntitiesByIds(existing.filter((e) => e.status === 'merged').map((e) => e.merged_into));
+    const docs = new Map();
+    rows.forEach((row) => {
+      const tombstone = bySlug.get(row.slug);
+      const survivor = tombstone?.status === 'merged' && survivors.get(tombstone.merged_into);
+      if (survivor) {
+        docs.set(survivor.slug, absorbEntities(docs.get(survivor.slug) || survivor, [row]));
+        return;
+      }
+      const prev = docs.get(row.slug) || bySlug.get(row.slug);
+      const doc = prev ? { ...prev, ...row, id: prev.id, updated_at: now() } : newEntity(row, now());
+      docs.set(row.slug, doc);
+    });
+    return storage.putMany(ENTITIES, [...docs.values()]);
+  }));
 }
 
-export function entityStats() {
-  const entities = readEntities();
+export async function entityStats() {
+  const entities = await storage.find(ENTITIES);
   const byType = {};
   entities.forEach((e) => {
     byType[e.entity_type] = (byType[e.entity_type] || 0) + 1;
@@ -0,0 +1,547 @@
+/**
+ * Whole-graph analytics over published entities: shortest paths, co-investors,
+ * centrality rankings and community detection.
+ *
+ * These need every edge, so the graph is loaded once into an adjacency
+ * snapshot (one per relationship-type filter and `asOf` point in time) and
+ * reused for INTELLIGENCE_GRAPH_CACHE_MS. Relationship writes drop the snapshots; entity
+ * publish/unpublish is picked up when they expire. Derived metrics (PageRank,
+ * betweenness, communities) are memoised on the snapshot.
+ *
+ * Edges are treated as undirected: direction is not consistent across
+ * relation types (WORKS_AT points at the firm, INVESTED_IN away from it).
+ */
+
+import { ENTITIES, RELATIONSHIPS, storage } from './store.js';
+import { ENTITY_TYPES, RELATION_TYPES, entityPublicPath, entityTypeLabel, nodeColorForType } from './entityTypes.js';
+import { isActiveAt } from './validity.js';
+
+/** Relations from an investor (firm, fund, LP) to what it backed. */
+const INVESTMENT_RELATIONS = new Set(['INVESTED_IN', 'OWNS', 'ACQUIRED', 'FINANCED', 'EXITED', 'SPONSORED_BY']);
+export const CENTRALITY_METRICS = ['degree', 'pagerank', 'betweenness'];
+const MAX_PATH_DEPTH = 8;
+/** Brandes from every node is O(V·E); above this many nodes betweenness is estimated from a sample of sources. */
+const BETWEENNESS_SOURCES = 256;
+const PAGERANK_DAMPING = 0.85;
+const PAGERANK_ITERATIONS = 50;
+/** Point-in-time snapshots are keyed by arbitrary dates; keep only the most recent few. */
+const MAX_SNAPSHOTS = 16;
+
+const snapshots = new Map();
+const cacheMs = () => Number(process.env.INTELLIGENCE_GRAPH_CACHE_MS || 5 * 60_000);
+
+function graphError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/** 'invested_in,OWNS' → ['INVESTED_IN', 'OWNS']; unknown types throw (status 400). */
+export function parseRelationTypes(value) {
+  if (!value) return null;
+  const list = (Array.isArray(value) ? value : String(value).split(','))
+    .map((t) => String(t).trim().toUpperCase())
+    .filter(Boolean);
+  const unknown = list.filter((t) => !RELATION_TYPES[t]);
+  if (unknown.length) throw graphError(`Unknown relationship type: ${unknown.join(', ')}`);
+  return list.length ? [...new Set(list)].sort() : null;
+}
+
+function link(adjacency, id, entry) {
+  if (!adjacency.has(id)) adjacency.set(id, []);
+  adjacency.get(id).push(entry);
+}
+
+async function loadSnapshot(relationTypes, asOf) {
+  const [entities, relationships] = await Promise.all([
+    storage.find(ENTITIES, { where: { status: 'published' } }),
+    storage.find(RELATIONSHIPS, { where: relationTypes ? { relation_type: relationTypes } : undefined }),
+  ]);
+  const nodes = new Map(
+    entities.map((e) => [
+      e.id,
+      { id: e.id, slug: e.slug, name: e.name, entity_type: e.entity_type, logo: e.metadata?.logo || null, path: entityPublicPath(e) },
+    ]),
+  );
+  const adjacency = new Map();
+  let edgeCount = 0;
+  for (const rel of relationships) {
+    const { from_entity_id: from, to_entity_id: to, relation_type: type } = rel;
+    if (from === to || !nodes.has(from) || !nodes.has(to) || !isActiveAt(rel, asOf)) continue;
+    const label = rel.label || type.replace(/_/g, ' ');
+    link(adjacency, from, { id: to, type, label, direction: 'out' });
+    link(adjacency, to, { id: from, type, label, direction: 'in' });
+    edgeCount += 1;
+  }
+  return { relationTypes, asOf, nodes, adjacency, edgeCount, builtAt: Date.now(), memo: new Map() };
+}
+
+function getSnapshot(relationTypes = null, asOf = null) {
+  const key = `${relationTypes?.join(',') || '*'}@${asOf || ''}`;
+  const cached = snapshots.get(key);
+  if (cached && Date.now() - cached.at < cacheMs()) return cached.snapshot;
+  const snapshot = loadSnapshot(relationTypes, asOf);
+  snapshots.delete(key);
+  snapshots.set(key, { at: Date.now(), snapshot });
+  if (snapshots.size > MAX_SNAPSHOTS) snapshots.delete(snapshots.keys().next().value);
+  snapshot.catch(() => snapshots.delete(key));
+  return snapshot;
+}
+
+/** Drop cached snapshots — relationshipStore calls this after writes. */
+export function invalidateGraphAnalytics() {
+  snapshots.clear();
+}
+
+function memo(s, key, compute) {
+  if (!s.memo.has(key)) s.memo.set(key, compute());
+  return s.memo.get(key);
+}
+
+function nodeSummary(node) {
+  return {
+    ...node,
+    entity_type_label: entityTypeLabel(node.entity_type),
+    color: nodeColorForType(node.entity_type),
+  };
+}
+
+const neighbours = (s, id) => s.adjacency.get(id) || [];
+
+// --- Shortest paths ---------------------------------------------------------
+
+/**
+ * Up to `limit` shortest paths between two entities (BFS over undirected
+ * edges, at most `maxDepth` hops). Returns null when either entity is unknown
+ * or unpublished; `found: false` when they are not connected within range.
+ */
+export async function shortestPaths(fromId, toId, { relationTypes = null, asOf = null, maxDepth = 6, limit = 3 } = {}) {
+  if (fromId === toId) throw graphError('Choose two different entities');
+  const s = await getSnapshot(relationTypes, asOf);
+  if (!s.nodes.has(fromId) || !s.nodes.has(toId)) return null;
+  const depthCap = Math.min(Math.max(Number(maxDepth) || 6, 1), MAX_PATH_DEPTH);
+
+  const dist = new Map([[fromId, 0]]);
+  const parents = new Map();
+  const queue = [fromId];
+  for (let head = 0; head < queue.length; head += 1) {
+    const id = queue[head];
+    const d = dist.get(id);
+    if (dist.has(toId) && d >= dist.get(toId)) break;
+    if (d >= depthCap) continue;
+    for (const { id: next } of neighbours(s, id)) {
+      if (!dist.has(next)) {
+        dist.set(next, d + 1);
+        parents.set(next, [id]);
+        queue.push(next);
+      } else if (dist.get(next) === d + 1 && !parents.get(next).includes(id)) {
+        parents.get(next).push(id);
+      }
+    }
+  }
+
+  const base = {
+    from: nodeSummary(s.nodes.get(fromId)),
+    to: nodeSummary(s.nodes.get(toId)),
+    relationship_types: relationTypes,
+    as_of: asOf,
+    max_depth: depthCap,
+  };
+  if (!dist.has(toId)) return { ...base, found: false, length: null, paths: [] };
+
+  // Walk parent links back from the target; each complete walk is one shortest path.
+  const routes = [];
+  const walk = (id, suffix) => {
+    if (routes.length >= limit) return;
+    if (id === fromId) {
+      routes.push([fromId, ...suffix]);
+      return;
+    }
+    for (const parent of parents.get(id)) walk(parent, [id, ...suffix]);
+  };
+  walk(toId, []);
+
+  const paths = routes.map((ids) => ({
+    nodes: ids.map((id) => nodeSummary(s.nodes.get(id))),
+    edges: ids.slice(1).map((id, i) => {
+      const step = neighbours(s, ids[i]).find((n) => n.id === id);
+      return {
+        from: step.direction === 'out' ? ids[i] : id,
+        to: step.direction === 'out' ? id : ids[i],
+        relation_type: step.type,
+        label: step.label,
+      };
+    }),
+  }));
+  return { ...base, found: true, length: dist.get(toId), paths };
+}
+
+// --- Co-investors -----------------------------------------------------------
+
+function managerOf(s, id) {
+  return neighbours(s, id).find((n) => n.direction === 'in' && n.type === 'MANAGES')?.id || null;
+}
+
+/**
+ * Investors that backed the same companies or deals as this entity. A firm's
+ * own investments include those of the funds it MANAGES, and other funds are
+ * rolled up to their manager so co-investors read as firms.
+ */
+export async function coInvestors(entityId, { asOf = null, limit = 20 } = {}) {
+  const s = await getSnapshot(null, asOf);
+  if (!s.nodes.has(entityId)) return null;
+
+  const own = new Set([entityId]);
+  neighbours(s, entityId).forEach((n) => {
+    if (n.direction === 'out' && n.type === 'MANAGES') own.add(n.id);
+  });
+  const targets = new Set();
+  own.forEach((id) =>
+    neighbours(s, id).forEach((n) => {
+      if (n.direction === 'out' && INVESTMENT_RELATIONS.has(n.type)) targets.add(n.id);
+    }),
+  );
+
+  const partners = new Map();
+  targets.forEach((target) =>
+    neighbours(s, target).forEach((n) => {
+      if (n.direction !== 'in' || !INVESTMENT_RELATIONS.has(n.type) || own.has(n.id)) return;
+      const manager = managerOf(s, n.id);
+      const investor = manager && !own.has(manager) ? manager : n.id;
+      if (own.has(investor)) return;
+      if (!partners.has(investor)) partners.set(investor, { shared: new Set(), via: new Set() });
+      const entry = partners.get(investor);
+      entry.shared.add(target);
+      if (investor !== n.id) entry.via.add(n.id);
+    }),
+  );
+
+  const ranked = [...partners]
+    .map(([id, { shared, via }]) => ({
+      ...nodeSummary(s.nodes.get(id)),
+      shared_count: shared.size,
+      shared: [...shared].slice(0, 5).map((t) => nodeSummary(s.nodes.get(t))),
+      via: [...via].map((v) => s.nodes.get(v).name),
+    }))
+    .sort((a, b) => b.shared_count - a.shared_count || a.name.localeCompare(b.name));
+
+  return {
+    entity: nodeSummary(s.nodes.get(entityId)),
+    as_of: asOf,
+    investments: targets.size,
+    total: ranked.length,
+    co_investors: ranked.slice(0, limit),
+  };
+}
+
+// --- Centrality -------------------------------------------------------------
+
+function degreeScores(s) {
+  const n = s.nodes.size;
+  const scores = new Map();
+  for (const id of s.nodes.keys()) {
+    const distinct = new Set(neighbours(s, id).map((x) => x.id)).size;
+    scores.set(id, n > 1 ? distinct / (n - 1) : 0);
+  }
+  return scores;
+}
+
+function pagerankScores(s) {
+  const ids = [...s.nodes.keys()];
+  const n = ids.length;
+  const index = new Map(ids.map((id, i) => [id, i]));
+  const out = ids.map((id) => neighbours(s, id).map((x) => index.get(x.id)));
+  let rank = new Float64Array(n).fill(1 / n);
+  for (let iter = 0; iter < PAGERANK_ITERATIONS; iter += 1) {
+    const next = new Float64Array(n);
+    let dangling = 0;
+    for (let i = 0; i < n; i += 1) {
+      if (!out[i].length) dangling += rank[i];
+      else for (const j of out[i]) next[j] += rank[i] / out[i].length;
+    }
+    let delta = 0;
+    for (let i = 0; i < n; i += 1) {
+      const value = (1 - PAGERANK_DAMPING) / n + PAGERANK_DAMPING * (next[i] + dangling / n);
+      delta += Math.abs(value - rank[i]);
+      next[i] = value;
+    }
+    rank = next;
+    if (delta < 1e-9) break;
+  }
+  return new Map(ids.map((id, i) => [id, rank[i]]));
+}
+
+/** Brandes betweenness, normalised to [0, 1]; sampled sources on large graphs. */
+function betweennessScores(s) {
+  const ids = [...s.nodes.keys()].sort();
+  const n = ids.length;
+  const stride = Math.max(1, Math.ceil(n / BETWEENNESS_SOURCES));
+  const sources = ids.filter((_, i) => i % stride === 0);
+  const raw = new Map(ids.map((id) => [id, 0]));
+  // Parallel relationships (OWNS + INVESTED_IN) must not count as two shortest paths.
+  const adjacent = new Map(ids.map((id) => [id, [...new Set(neighbours(s, id).map((x) => x.id))]]));
+
+  for (const source of sources) {
+    const stack = [];
+    const preds = new Map();
+    const sigma = new Map([[source, 1]]);
+    const dist = new Map([[source, 0]]);
+    const queue = [source];
+    for (let head = 0; head < queue.length; head += 1) {
+      const v = queue[head];
+      stack.push(v);
+      for (const w of adjacent.get(v)) {
+        if (!dist.has(w)) {
+          dist.set(w, dist.get(v) + 1);
+          queue.push(w);
+        }
+        if (dist.get(w) === dist.get(v) + 1) {
+          sigma.set(w, (sigma.get(w) || 0) + sigma.get(v));
+          if (!preds.has(w)) preds.set(w, []);
+          preds.get(w).push(v);
+        }
+      }
+    }
+    const delta = new Map();
+    while (stack.length) {
+      const w = stack.pop();
+      for (const v of preds.get(w) || []) {
+        delta.set(v, (delta.get(v) || 0) + (sigma.get(v) / sigma.get(w)) * (1 + (delta.get(w) || 0)));
+      }
+      if (w !== source) raw.set(w, raw.get(w) + (delta.get(w) || 0));
+    }
+  }
+
+  // Every unordered pair is counted from both ends when all sources are used.
+  const scale = (n / sources.length) / (n > 2 ? (n - 1) * (n - 2) : 1);
+  return { scores: new Map([...raw].map(([id, v]) => [id, v * scale])), sampled: sources.length < n };
+}
+
+function centralityScores(s, metric) {
+  return memo(s, `centrality:${metric}`, () => {
+    if (metric === 'degree') return { scores: degreeScores(s), sampled: false };
+    if (metric === 'pagerank') return { scores: pagerankScores(s), sampled: false };
+    return betweennessScores(s);
+  });
+}
+
+/** Ids of each entity type ordered by a metric, best first. */
+function rankedByType(s, metric) {
+  return memo(s, `ranked:${metric}`, () => {
+    const { scores } = centralityScores(s, metric);
+    const byType = new Map();
+    for (const [id, node] of s.nodes) {
+      if (!s.adjacency.has(id)) continue;
+      if (!byType.has(node.entity_type)) byType.set(node.entity_type, []);
+      byType.get(node.entity_type).push(id);
+    }
+    byType.forEach((list) =>
+      list.sort((a, b) => scores.get(b) - scores.get(a) || s.nodes.get(a).name.localeCompare(s.nodes.get(b).name)),
+    );
+    return byType;
+  });
+}
+
+/**
+ * Top entities per entity_type by `metric` (degree | pagerank | betweenness).
+ * Entities without relationships are not ranked.
+ */
+export async function centralityRankings({ metric = 'pagerank', entityType = null, limit = 20, relationTypes = null, asOf = null } = {}) {
+  if (!CENTRALITY_METRICS.includes(metric)) throw graphError(`metric must be one of ${CENTRALITY_METRICS.join(', ')}`);
+  if (entityType && !ENTITY_TYPES[entityType]) throw graphError(`Unknown entity type: ${entityType}`);
+  const s = await getSnapshot(relationTypes, asOf);
+  const { scores, sampled } = centralityScores(s, metric);
+  const rankings = {};
+  for (const [type, ids] of rankedByType(s, metric)) {
+    if (entityType && type !== entityType) continue;
+    rankings[type] = ids.slice(0, limit).map((id, i) => ({
+      rank: i + 1,
+      ...nodeSummary(s.nodes.get(id)),
+      score: Number(scores.get(id).toFixed(6)),
+      degree: neighbours(s, id).length,
+    }));
+  }
+  return {
+    metric,
+    approximate: sampled,
+    relationship_types: relationTypes,
+    as_of: asOf,
+    node_count: s.nodes.size,
+    edge_count: s.edgeCount,
+    rankings,
+  };
+}
+
+// --- Communities ------------------------------------------------------------
+
+/**
+ * Louvain modularity optimisation: move nodes between communities while
+ * modularity improves, collapse communities into nodes, repeat. Nodes are
+ * visited in id order so results are stable between runs.
+ */
+function louvain(s) {
+  const ids = [...s.adjacency.keys()].sort();
+  const index = new Map(ids.map((id, i) => [id, i]));
+  // Weighted adjacency: Map<neighbour, weight> per node; parallel edges add up.
+  let graph = ids.map((id) => {
+    const weights = new Map();
+    neighbours(s, id).forEach(({ id: other }) => {
+      const j = index.get(other);
+      weights.set(j, (weights.get(j) || 0) + 1);
+    });
+    return weights;
+  });
+  let membership = ids.map((_, i) => i);
+  const m2 = graph.reduce((sum, w) => sum + [...w.values()].reduce((a, b) => a + b, 0), 0);
+  if (!m2) return { membership: new Map(), modularity: 0 };
+
+  for (let level = 0; level < 10; level += 1) {
+    const n = graph.length;
+    const degree = graph.map((w) => [...w.values()].reduce((a, b) => a + b, 0));
+    const community = graph.map((_, i) => i);
+    const total = degree.slice();
+    let moved = false;
+
+    for (let pass = 0; pass < 20; pass += 1) {
+      let changes = 0;
+      for (let i = 0; i < n; i += 1) {
+        const current = community[i];
+        const links = new Map();
+        graph[i].forEach((w, j) => {
+          if (j !== i) links.set(community[j], (links.get(community[j]) || 0) + w);
+        });
+        total[current] -= degree[i];
+        let best = current;
+        let bestGain = (links.get(current) || 0) - (total[current] * degree[i]) / m2;
+        links.forEach((w, c) => {
+          const gain = w - (total[c] * degree[i]) / m2;
+          if (gain > bestGain + 1e-12) {
+            best = c;
+            bestGain = gain;
+          }
+        });
+        total[best] += degree[i];
+        if (best !== current) {
+          community[i] = best;
+          changes += 1;
+        }
+      }
+      if (!changes) break;
+      moved = true;
+    }
+    if (!moved) break;
+
+    const renumber = new Map();
+    community.forEach((c) => {
+      if (!renumber.has(c)) renumber.set(c, renumber.size);
+    });
+    membership = membership.map((node) => renumber.get(community[node]));
+    const collapsed = Array.from({ length: renumber.size }, () => new Map());
+    graph.forEach((weights, i) => {
+      const ci = renumber.get(community[i]);
+      weights.forEach((w, j) => {
+        const cj = renumber.get(community[j]);
+        collapsed[ci].set(cj, (collapsed[ci].get(cj) || 0) + w);
+      });
+    });
+    graph = collapsed;
+  }
+
+  // Q = Σ_c [ in_c / 2m − (tot_c / 2m)² ] on the final collapsed graph.
+  let modularity = 0;
+  graph.forEach((weights, c) => {
+    const tot = [...weights.values()].reduce((a, b) => a + b, 0);
+    modularity += (weights.get(c) || 0) / m2 - (tot / m2) ** 2;
+  });
+  return { membership: new Map(ids.map((id, i) => [id, membership[i]])), modularity };
+}
+
+function communityIndex(s) {
+  return memo(s, 'communities', () => {
+    const { membership, modularity } = louvain(s);
+    const groups = new Map();
+    membership.forEach((c, id) => {
+      if (!groups.has(c)) groups.set(c, []);
+      groups.get(c).push(id);
+    });
+    const byDegree = (a, b) => neighbours(s, b).length - neighbours(s, a).length || s.nodes.get(a).name.localeCompare(s.nodes.get(b).name);
+    const communities = [...groups.values()]
+      .map((members) => members.sort(byDegree))
+      .sort((a, b) => b.length - a.length || s.nodes.get(a[0]).name.localeCompare(s.nodes.get(b[0]).name))
+      .map((members, i) => {
+        const typeCounts = {};
+        members.forEach((id) => {
+          const type = s.nodes.get(id).entity_type;
+          typeCounts[type] = (typeCounts[type] || 0) + 1;
+        });
+        return { id: `c${i + 1}`, members, type_counts: typeCounts };
+      });
+    const ofEntity = new Map();
+    communities.forEach((c) => c.members.forEach((id) => ofEntity.set(id, c)));
+    return { communities, ofEntity, modularity };
+  });
+}
+
+function serializeCommunity(s, community, { members = 12, exclude = null } = {}) {
+  const hub = s.nodes.get(community.members[0]);
+  return {
+    id: community.id,
+    label: `${hub.name} network`,
+    size: community.members.length,
+    type_counts: community.type_counts,
+    members: community.members
+      .filter((id) => id !== exclude)
+      .slice(0, members)
+      .map((id) => ({ ...nodeSummary(s.nodes.get(id)), degree: neighbours(s, id).length })),
+  };
+}
+
+/** Communities of at least `minSize` connected entities, largest first. */
+export async function detectCommunities({ relationTypes = null, asOf = null, minSize = 3, limit = 20, members = 12 } = {}) {
+  const s = await getSnapshot(relationTypes, asOf);
+  const { communities, modularity } = communityIndex(s);
+  const eligible = communities.filter((c) => c.members.length >= minSize);
+  return {
+    relationship_types: relationTypes,
+    as_of: asOf,
+    modularity: Number(modularity.toFixed(4)),
+    node_count: s.adjacency.size,
+    community_count: communities.length,
+    total: eligible.length,
+    communities: eligible.slice(0, limit).map((c) => serializeCommunity(s, c, { members })),
+  };
+}
+
+// --- Entity position --------------------------------------------------------
+
+/**
+ * Where one entity sits in the whole graph: its rank within its entity_type
+ * for every centrality metric and the community it belongs to.
+ */
+export async function entityNetworkPosition(entityId, { asOf = null } = {}) {
+  const s = await getSnapshot(null, asOf);
+  const node = s.nodes.get(entityId);
+  if (!node) return null;
+  const connected = s.adjacency.has(entityId);
+  const centrality = {};
+  if (connected) {
+    CENTRALITY_METRICS.forEach((metric) => {
+      const { scores, sampled } = centralityScores(s, metric);
+      const ranked = rankedByType(s, metric).get(node.entity_type);
+      centrality[metric] = {
+        score: Number(scores.get(entityId).toFixed(6)),
+        rank: ranked.indexOf(entityId) + 1,
+        of: ranked.length,
+        approximate: sampled,
+      };
+    });
+  }
+  const community = connected ? communityIndex(s).ofEntity.get(entityId) : null;
+  return {
+    entity: nodeSummary(node),
+    as_of: asOf,
+    degree: neighbours(s, entityId).length,
+    centrality,
+    community: community ? serializeCommunity(s, community, { members: 8, exclude: entityId }) : null,
+  };
+}
@@ -1,7 +1,9 @@
-import { readRelationships, readEntities } from './store.js';
-import { getEntityById } from './entityStore.js';
+import { ENTITIES, RELATIONSHIPS, storage } from './store.js';
+import { getEntitiesByIds, getEntityById } from './entityStore.js';
+import { entityRelationshipRows } from './relationshipStore.js';
 import { listTimelineEvents } from './timelineService.js';
 import { nodeColorForType, entityPublicPath, entityTypeLabel } from './entityTypes.js';
+import { isActiveAt } from './validity.js';
 
 function parseList(value) {
   if (!value) return null;
@@ -46,34 +48,42 @@ function serializeEdge(rel, fromId, toId) {
     to: toId,
     relation_type: rel.relation_type,
     label: rel.label || rel.relation_type.replace(/_/g, ' '),
+    valid_from: rel.valid_from || null,
+    valid_to: rel.valid_to || null,
   };
 }
 
 /**
- * BFS graph expansion from a root entity.
+ * BFS graph expansion from a root entity. `asOf` (ISO timestamp) keeps only
+ * relationships active at that time.
  */
-export function buildEntityGraph(rootEntityId, options = {}) {
+export async function buildEntityGraph(rootEntityId, options = {}) {
   const depth = Math.min(Math.max(Number(options.depth) || 2, 1), 3);
   const limit = Math.min(Number(options.limit) || 80, 200);
   const entityTypeFilter = parseList(options.entityTypes || options.entity_types);
   const relationTypeFilter = parseList(options.relationshipTypes || options.relationship_types);
   const includeTimeline = options.includeTimeline === true || options.include_timeline === 'true';
   const includeAiSummary = options.includeAiSummary !== false && options.include_ai_summary !== 'false';
+  const asOf = options.asOf || null;
 
-  const root = getEntityById(rootEntityId);
+  const root = await getEntityById(rootEntityId);
   if (!root) return null;
 
-  const allRels = readRelationships();
+  const allRels = await storage.find(RELATIONSHIPS, {
+    where: relationTypeFilter ? { relation_type: relationTypeFilter } : undefined,
+  });
   const adjacency = new Map();
 
   allRels.forEach((rel) => {
     if (relationTypeFilter && !relationTypeFilter.includes(rel.relation_type)) return;
+    if (!isActiveAt(rel, asOf)) return;
     if (!adjacency.has(rel.from_entity_id)) adjacency.set(rel.from_entity_id, []);
     if (!adjacency.has(rel.to_entity_id)) adjacency.set(rel.to_entity_id, []);
     adjacency.get(rel.from_entity_id).push({ rel, neighborId: rel.to_entity_id, direction: 'out' });
     adjacency.get(rel.to_entity_id).push({ rel, neighborId: rel.from_entity_id, direction: 'in' });
   });
 
+  const entities = new Map([[root.id, root]]);
   const visited = new Map();
   const edges = [];
   const edgeKeys = new Set();
@@ -85,8 +95,10 @@ export function buildEntityGraph(rootEntityId, options = {}) {
     if (currentDepth >= depth) continue;
 
     const neighbors = adjacency.get(id) || [];
+    const missing = neighbors.map((n) => n.neighborId).filter((nid) => !entities.has(nid));
+    if (missing.length) (await getEntitiesByIds(missing)).forEach((e, eid) => entities.set(eid, e));
     for (const { rel, neighborId } of neighbors) {
-      const neighbor = getEntityById(neighborId);
+      const neighbor = entities.get(neighborId);
       if (!neighbor || neighbor.status !== 'published') continue;
       if (entityTypeFilter && !entityTypeFilter.includes(neighbor.entity_type)) continue;
 
@@ -111,9 +123,9 @@ export function buildEntityGraph(rootEntityId, options = {}) {
 
   const nodes = [];
   for (const [entityId, nodeDepth] of visited) {
-    const entity = getEntityById(entityId);
+    const entity = entities.get(entityId);
     if (!entity) continue;
-    const timeline = includeTimeline ? listTimelineEvents(entityId, { limit: 5 }) : [];
+    const timeline = includeTimeline ? await listTimelineEvents(entityId, { limit: 5, asOf }) : [];
     nodes.push(serializeNode(entity, {
       depth: nodeDepth,
       includeAiSummary,
@@ -128,6 +140,7 @@ export function buildEntityGraph(rootEntityId, options = {}) {
     root_id: rootEntityId,
     root_slug: root.slug,
     depth,
+    as_of: asOf,
     node_count: nodes.length,
     edge_count: edges.length,
     nodes: nodes.map((n) => ({ ...n, ...positions[n.id] })),
@@ -164,13 +177,13 @@ function computeLayout(nodes, edges, rootId) {
   return positions;
 }
 
-export function getRelatedContent(entityId) {
-  const entity = getEntityById(entityId);
+export async function getRelatedContent(entityId, { asOf = null } = {}) {
+  const entity = await getEntityById(entityId);
   if (!entity) return null;
 
-  const allRels = readRelationships();
-  const connected = allRels.filter(
-    (r) => r.from_entity_id === entityId || r.to_entity_id === entityId
+  const connected = await entityRelationshipRows(entityId, { asOf });
+  const others = await getEntitiesByIds(
+    connected.map((r) => (r.from_entity_id === entityId ? r.to_entity_id : r.from_entity_id))
   );
 
   const buckets = {
@@ -192,7 +205,7 @@ export function getRelatedContent(entityId) {
     const otherId = rel.from_entity_id === entityId ? rel.to_entity_id : rel.from_entity_id;
     if (seen.has(otherId)) return;
     seen.add(otherId);
-    const other = getEntityById(otherId);
+    const other = others.get(otherId);
     if (!other || other.status !== 'published') return;
 
     const item = {
@@ -201,6 +214,8 @@ export function getRelatedContent(entityId) {
       name: other.name,
       entity_type: other.entity_type,
       relation_type: rel.relation_type,
+      valid_from: rel.valid_from || null,
+      valid_to: rel.valid_to || null,
       path: entityPublicPath(other),
       logo: other.metadata?.logo,
       description: other.description?.slice(0, 120),
@@ -221,8 +236,8 @@ export function getRelatedContent(entityId) {
 
   // Comparable firms: same industry tags if no COMPETES_WITH
   if (buckets.comparables.length === 0 && entity.entity_type === 'pe_firm') {
-    const peers = readEntities()
-      .filter((e) => e.entity_type === 'pe_firm' && e.id !== entityId && e.status === 'published')
+    const peers = (await storage.find(ENTITIES, { where: { entity_type: 'pe_firm', status: 'published' } }))
+      .filter((e) => e.id !== entityId)
       .slice(0, 4)
       .map((e) => ({
         id: e.id,
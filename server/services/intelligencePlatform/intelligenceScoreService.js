@@ -1,6 +1,10 @@
+import { findIn } from '../../storage/index.js';
 import { getEntityById } from './entityStore.js';
 import { getEntityRelationships } from './relationshipStore.js';
 import { listTimelineEvents } from './timelineService.js';
+import { RELATIONSHIPS, TIMELINE } from './store.js';
+
+const TIMELINE_CAP = 100;
 
 function scoreLabel(score) {
   if (score >= 85) return 'Excellent';
@@ -9,21 +13,52 @@ function scoreLabel(score) {
   return 'Incomplete';
 }
 
-export function computeIntelligenceScore(entityId) {
-  const entity = getEntityById(entityId);
+export async function computeIntelligenceScore(entityId) {
+  const entity = await getEntityById(entityId);
   if (!entity) return null;
 
-  const meta = entity.metadata || {};
-  const relationships = getEntityRelationships(entityId);
-  const timeline = listTimelineEvents(entityId, { limit: 100 });
+  const [relationships, timeline] = await Promise.all([
+    getEntityRelationships(entityId),
+    listTimelineEvents(entityId, { limit: TIMELINE_CAP }),
+  ]);
+  return scoreEntity(entity, relationships.length, timeline.length);
+}
 
+/**
+ * Scores for a page of entities (search results) — three indexed lookups in
+ * total rather than a relationship + timeline read per entity. Returns Map id → score.
+ */
+export async function computeIntelligenceScores(entities) {
+  const ids = entities.map((e) => e.id);
+  const [outbound, inbound, events] = await Promise.all([
+    findIn(RELATIONSHIPS, 'from_entity_id', ids),
+    findIn(RELATIONSHIPS, 'to_entity_id', ids),
+    findIn(TIMELINE, 'entity_id', ids),
+  ]);
+  const relationships = new Map();
+  const bump = (map, id) => map.set(id, (map.get(id) || 0) + 1);
+  outbound.forEach((r) => bump(relationships, r.from_entity_id));
+  // Same as entityRelationshipRows: a self-loop counts once.
+  inbound.filter((r) => r.from_entity_id !== r.to_entity_id).forEach((r) => bump(relationships, r.to_entity_id));
+  const timeline = new Map();
+  events.forEach((e) => bump(timeline, e.entity_id));
+  return new Map(
+    entities.map((e) => [
+      e.id,
+      scoreEntity(e, relationships.get(e.id) || 0, Math.min(TIMELINE_CAP, timeline.get(e.id) || 0)),
+    ]),
+  );
+}
+
+function scoreEntity(entity, relationshipCount, timelineCount) {
+  const meta = entity.metadata || {};
   let metadataScore = 0;
   const metaFields = ['hq', 'aum', 'industry', 'website', 'logo', 'founded', 'fundSize', 'title'];
   const filled = metaFields.filter((f) => meta[f]).length;
   metadataScore = Math.round((filled / metaFields.length) * 100);
 
-  const relationshipScore = Math.min(100, relationships.length * 8);
-  const timelineScore = Math.min(100, timeline.length * 12);
+  const relationshipScore = Math.min(100, relationshipCount * 8);
+  const timelineScore = Math.min(100, timelineCount * 12);
   const descriptionScore = entity.description?.length > 80 ? 100 : entity.description?.length > 20 ? 60 : 20;
   const tagsScore = Math.min(100, (entity.tags?.length || 0) * 20);
   const aiScore = entity.ai_summary?.length > 120 ? 100 : entity.ai_summary?.length > 40 ? 70 : 0;
@@ -45,7 +45,7 @@ export async function runMorningPipeline({ actor = 'system' } = {}) {
     steps[steps.length - 1] = { step: 'bootstrap_entities', status: 'done', detail: boot };
 
     steps.push({ step: 'refresh_summaries', status: 'running' });
-    const { entities } = listEntities({ limit: 20, status: 'published' });
+    const { entities } = await listEntities({ limit: 20, status: 'published' });
     const firms = entities.filter((e) => e.entity_type === 'pe_firm').slice(0, 5);
     const refreshed = [];
     for (const firm of firms) {
@@ -56,9 +56,9 @@ export async function runMorningPipeline({ actor = 'system' } = {}) {
 
     steps.push({ step: 'stats_snapshot', status: 'running' });
     const stats = {
-      entities: entityStats(),
-      relationships: relationshipStats(),
-      timeline: timelineStats(),
+      entities: await entityStats(),
+      relationships: await relationshipStats(),
+      timeline: await timelineStats(),
     };
     steps[steps.length - 1] = { step: 'stats_snapshot', status: 'done', detail: stats };
 
@@ -1,66 +1,110 @@
 import crypto from 'node:crypto';
-import { readRelationships, writeRelationships } from './store.js';
-import { getEntityById } from './entityStore.js';
+import { findIn } from '../../storage/index.js';
+import { RELATIONSHIPS, storage } from './store.js';
+import { getEntitiesByIds, mergedIdMap } from './entityStore.js';
+import { invalidateGraphAnalytics } from './graphAnalytics.js';
+import { HOLDING_RELATIONS, isActiveAt, pointInTime, validityPeriod } from './validity.js';
+
+/** One row per (from, to, type) and holding period — a re-acquisition after an exit is a new row. */
+export const relKey = (r) => `${r.from_entity_id}:${r.to_entity_id}:${r.relation_type}:${r.valid_from || ''}`;
 
 export function listRelationships({ fromEntityId, toEntityId, relationType } = {}) {
-  let rows = readRelationships();
-  if (fromEntityId) rows = rows.filter((r) => r.from_entity_id === fromEntityId);
-  if (toEntityId) rows = rows.filter((r) => r.to_entity_id === toEntityId);
-  if (relationType) rows = rows.filter((r) => r.relation_type === relationType);
-  return rows;
+  return storage.find(RELATIONSHIPS, {
+    where: {
+      from_entity_id: fromEntityId || undefined,
+      to_entity_id: toEntityId || undefined,
+      relation_type: relationType || undefined,
+    },
+  });
 }
 
-export function addRelationship({ fromEntityId, toEntityId, relationType, label, metadata = {} }) {
-  const relationships = readRelationships();
-  const key = `${fromEntityId}:${toEntityId}:${relationType}`;
-  const existing = relationships.find(
-    (r) => `${r.from_entity_id}:${r.to_entity_id}:${r.relation_type}` === key
-  );
-  if (existing) return existing;
+/**
+ * Add a relationship unless it is already recorded. An open row (no valid_to)
+ * or one with the same valid_from is reused; after a closed period, a dated
+ * write starts a new one.
+ */
+export async function addRelationship({ fromEntityId: from, toEntityId: to, relationType, label, metadata = {}, validFrom, validTo }) {
+  const period = validityPeriod(validFrom, validTo);
+  const merged = await mergedIdMap([from, to]);
+  const fromEntityId = merged.get(from) || from;
+  const toEntityId = merged.get(to) || to;
+  const result = await storage.transaction(async () => {
+    const existing = await listRelationships({ fromEntityId, toEntityId, relationType });
+    const same = existing.find((r) => !r.valid_to || (r.valid_from || null) === period.valid_from);
+    if (same) return same;
+    if (existing.length && !period.valid_from) return existing[0];
 
-  const rel = {
-    id: crypto.randomUUID(),
-    from_entity_id: fromEntityId,
-    to_entity_id: toEntityId,
-    relation_type: relationType,
-    label: label || null,
-    metadata,
-    created_at: new Date().toISOString(),
-  };
-  relationships.push(rel);
-  writeRelationships(relationships);
-  return rel;
+    return storage.put(RELATIONSHIPS, {
+      id: crypto.randomUUID(),
+      from_entity_id: fromEntityId,
+      to_entity_id: toEntityId,
+      relation_type: relationType,
+      label: label || null,
+      ...period,
+      metadata,
+      created_at: new Date().toISOString(),
+    });
+  });
+  invalidateGraphAnalytics();
+  return result;
 }
 
-export function bulkAddRelationships(rows) {
-  const relationships = readRelationships();
-  const seen = new Set(relationships.map((r) => `${r.from_entity_id}:${r.to_entity_id}:${r.relation_type}`));
-  rows.forEach((row) => {
-    const key = `${row.from_entity_id}:${row.to_entity_id}:${row.relation_type}`;
-    if (seen.has(key)) return;
-    relationships.push({
-      id: row.id || crypto.randomUUID(),
-      from_entity_id: row.from_entity_id,
-      to_entity_id: row.to_entity_id,
-      relation_type: row.relation_type,
-      label: row.label || null,
-      metadata: row.metadata || {},
-      created_at: row.created_at || new Date().toISOString(),
+/** Insert rows whose (from, to, type, valid_from) is not stored yet. Ids of merged-away entities are re-pointed at the survivor. */
+export async function bulkAddRelationships(input) {
+  const merged = await mergedIdMap(input.flatMap((r) => [r.from_entity_id, r.to_entity_id]));
+  const rows = input.map((r) => ({
+    ...r,
+    ...validityPeriod(r.valid_from, r.valid_to),
+    from_entity_id: merged.get(r.from_entity_id) || r.from_entity_id,
+    to_entity_id: merged.get(r.to_entity_id) || r.to_entity_id,
+  }));
+  const added = await storage.transaction(async () => {
+    const existing = await storage.find(RELATIONSHIPS);
+    const seen = new Set(existing.map(relKey));
+    const added = [];
+    rows.forEach((row) => {
+      const key = relKey(row);
+      if (seen.has(key)) return;
+      added.push({
+        id: row.id || crypto.randomUUID(),
+        from_entity_id: row.from_entity_id,
+        to_entity_id: row.to_entity_id,
+        relation_type: row.relation_type,
+        label: row.label || null,
+        valid_from: row.valid_from,
+        valid_to: row.valid_to,
+        metadata: row.metadata || {},
+        created_at: row.created_at || new Date().toISOString(),
+      });
+      seen.add(key);
     });
-    seen.add(key);
+    await storage.putMany(RELATIONSHIPS, added);
+    return added;
   });
-  writeRelationships(relationships);
-  return relationships;
+  if (added.length) invalidateGraphAnalytics();
+  return added;
+}
+
+/**
+ * Every relationship touching the entity — one indexed lookup per direction.
+ * With `asOf`, only those active at that time.
+ */
+export async function entityRelationshipRows(entityId, { asOf = null } = {}) {
+  const [outbound, inbound] = await Promise.all([
+    storage.find(RELATIONSHIPS, { where: { from_entity_id: entityId } }),
+    storage.find(RELATIONSHIPS, { where: { to_entity_id: entityId } }),
+  ]);
+  return [...outbound, ...inbound.filter((r) => r.from_entity_id !== entityId)].filter((r) => isActiveAt(r, asOf));
 }
 
-export function getEntityRelationships(entityId) {
-  const rows = readRelationships().filter(
-    (r) => r.from_entity_id === entityId || r.to_entity_id === entityId
+export async function getEntityRelationships(entityId, { asOf = null } = {}) {
+  const rows = await entityRelationshipRows(entityId, { asOf });
+  const others = await getEntitiesByIds(
+    rows.map((r) => (r.from_entity_id === entityId ? r.to_entity_id : r.from_entity_id))
   );
   return rows.map((r) => {
     const isFrom = r.from_entity_id === entityId;
-    const otherId = isFrom ? r.to_entity_id : r.from_entity_id;
-    const other = getEntityById(otherId);
+    const other = others.get(isFrom ? r.to_entity_id : r.from_entity_id);
     return {
       ...r,
       direction: isFrom ? 'outbound' : 'inbound',
@@ -71,8 +115,48 @@ export function getEntityRelationships(entityId) {
   });
 }
 
-export function relationshipStats() {
-  const relationships = readRelationships();
+/**
+ * Timeline hook for ownership changes. An EXITED event (the entity exits
+ * metadata.company_id) or SOLD_TO event (it sells metadata.company_id to
+ * metadata.buyer_id) closes the seller's open holdings in the company — its
+ * own and those of the funds it MANAGES — at occurred_at, and records the
+ * exit, sale and new owner as relationships starting then.
+ */
+export async function applyOwnershipEvent(event) {
+  const type = String(event.event_type || '').toUpperCase();
+  const companyId = event.metadata?.company_id;
+  if ((type !== 'EXITED' && type !== 'SOLD_TO') || !companyId || !event.occurred_at) return null;
+  const merged = await mergedIdMap([companyId, event.metadata.buyer_id].filter(Boolean));
+  const company = merged.get(companyId) || companyId;
+  const buyer = event.metadata.buyer_id && (merged.get(event.metadata.buyer_id) || event.metadata.buyer_id);
+  const at = pointInTime(event.occurred_at);
+  const source = { source_event_id: event.id };
+
+  const result = await storage.transaction(async () => {
+    const funds = await storage.find(RELATIONSHIPS, { where: { from_entity_id: event.entity_id, relation_type: 'MANAGES' } });
+    const holders = [event.entity_id, ...funds.map((r) => r.to_entity_id)];
+    const open = (await findIn(RELATIONSHIPS, 'from_entity_id', holders, {
+      where: { to_entity_id: company, relation_type: HOLDING_RELATIONS },
+    })).filter((r) => !r.valid_to && (!r.valid_from || r.valid_from < at));
+    const closed = await storage.putMany(RELATIONSHIPS, open.map((r) => ({ ...r, valid_to: at, closed_by: event.id })));
+
+    const opened = [
+      await addRelationship({ fromEntityId: event.entity_id, toEntityId: company, relationType: 'EXITED', validFrom: at, metadata: source }),
+    ];
+    if (type === 'SOLD_TO' && buyer) {
+      opened.push(
+        await addRelationship({ fromEntityId: event.entity_id, toEntityId: buyer, relationType: 'SOLD_TO', validFrom: at, metadata: { ...source, company_id: company } }),
+        await addRelationship({ fromEntityId: buyer, toEntityId: company, relationType: 'OWNS', validFrom: at, metadata: source }),
+      );
+    }
+    return { closed, opened };
+  });
+  invalidateGraphAnalytics();
+  return result;
+}
+
+export async function relationshipStats() {
+  const relationships = await storage.find(RELATIONSHIPS);
   const byType = {};
   relationships.forEach((r) => {
     byType[r.relation_type] = (byType[r.relation_type] || 0) + 1;
@@ -0,0 +1,391 @@
+/**
+ * In-process inverted index over published Intelligence Platform entities.
+ *
+ * Ranking is BM25 over a boosted bag of fields (name ×3, ticker ×3, aliases
+ * ×2.5, tags ×1.5, description ×1, AI summary / industry / HQ ×0.5), plus a
+ * bonus when the whole query is an entity's name, alias or ticker ("M&M",
+ * "BAJAJ-AUTO" and "bajaj auto" all compact to the same key).
+ *
+ * - Typo tolerance: a query term with no postings matches vocabulary terms
+ *   within edit distance 1 (2 for terms of 8+ chars) sharing its first letter.
+ * - Autocomplete: the last term (unless the query ends in a space) also
+ *   matches as a prefix.
+ * - Terms are soft-ANDed: a hit must match at least half of them and scores
+ *   scale with the share matched.
+ *
+ * The index is built lazily from storage and kept current by entityStore
+ * writes (indexEntities / removeFromSearchIndex). Writes from other processes
+ * are picked up by a background rebuild every INTELLIGENCE_SEARCH_REFRESH_MS.
+ */
+
+import { ENTITIES, storage } from './store.js';
+import { entityPublicPath } from './entityTypes.js';
+
+const K1 = 1.2;
+const B = 0.75;
+const FIELD_BOOSTS = { name: 3, ticker: 3, alias: 2.5, tags: 1.5, description: 1, ai_summary: 0.5, meta: 0.5 };
+const EXACT_BONUS = { ticker: 12, alias: 10, name: 10 };
+const STOPWORDS = new Set(['a', 'an', 'and', 'at', 'by', 'for', 'in', 'of', 'on', 'the', 'to', 'with']);
+const TICKER_KEYS = ['ticker', 'symbol', 'nse_symbol', 'bse_code', 'isin'];
+const PREFIX_EXPANSIONS = 24;
+const PREFIX_SCAN = 2000;
+/** Batches above this rebuild the index rather than splice it row by row. */
+const BULK_REBUILD_ROWS = 1000;
+
+let state = emptyState();
+let building = null;
+/** Writes that land while a rebuild reads storage, replayed onto the new index. */
+let pendingWrites = null;
+
+function emptyState() {
+  return {
+    docs: new Map(),
+    postings: new Map(),
+    /** Sorted vocabulary (prefix lookup). */
+    vocab: [],
+    /** first char → length → terms (typo lookup). */
+    buckets: new Map(),
+    exact: new Map(),
+    totalLength: 0,
+    builtAt: null,
+  };
+}
+
+const refreshMs = () => Number(process.env.INTELLIGENCE_SEARCH_REFRESH_MS || 10 * 60_000);
+
+function normalize(text) {
+  return String(text ?? '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+}
+
+export function tokenize(text) {
+  return normalize(text)
+    .split(/[^a-z0-9]+/)
+    .filter((t) => t && !STOPWORDS.has(t));
+}
+
+/** Whole-string key for name / alias / ticker equality ("M&M" → "mm"). */
+const compactKey = (text) => normalize(text).replace(/[^a-z0-9]/g, '');
+
+const asArray = (value) => (Array.isArray(value) ? value : value ? [value] : []);
+
+function entityFields(entity) {
+  const meta = entity.metadata || {};
+  return {
+    name: asArray(entity.name),
+    ticker: TICKER_KEYS.map((k) => meta[k]).filter(Boolean),
+    alias: [...asArray(entity.aliases), ...asArray(meta.aliases)],
+    tags: asArray(entity.tags),
+    description: asArray(entity.description),
+    ai_summary: asArray(entity.ai_summary),
+    meta: [meta.industry, meta.sector, meta.hq].filter(Boolean),
+  };
+}
+
+/** The slice of an entity search results need, so hits never touch storage. */
+function resultRecord(entity) {
+  const meta = entity.metadata || {};
+  return {
+    id: entity.id,
+    slug: entity.slug,
+    name: entity.name,
+    entity_type: entity.entity_type,
+    description: entity.description?.slice(0, 140) || '',
+    ai_summary: entity.ai_summary?.slice(0, 180) || '',
+    path: entityPublicPath(entity),
+    updated_at: entity.updated_at,
+    metadata: { logo: meta.logo || null, aum: meta.aum, industry: meta.industry, status: meta.status, hq: meta.hq },
+  };
+}
+
+function sortedIndex(vocab, term) {
+  let lo = 0;
+  let hi = vocab.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >>> 1;
+    if (vocab[mid] < term) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+function bucketFor(s, term, create) {
+  let byLength = s.buckets.get(term[0]);
+  if (!byLength && create) s.buckets.set(term[0], (byLength = new Map()));
+  let terms = byLength?.get(term.length);
+  if (!terms && create) byLength.set(term.length, (terms = new Set()));
+  return terms;
+}
+
+function addTerm(s, term, { sorted = true } = {}) {
+  s.postings.set(term, new Map());
+  if (sorted) s.vocab.splice(sortedIndex(s.vocab, term), 0, term);
+  else s.vocab.push(term);
+  bucketFor(s, term, true).add(term);
+}
+
+function dropTerm(s, term) {
+  s.postings.delete(term);
+  const at = sortedIndex(s.vocab, term);
+  if (s.vocab[at] === term) s.vocab.splice(at, 1);
+  bucketFor(s, term, false)?.delete(term);
+}
+
+function addDoc(s, entity, options) {
+  const fields = entityFields(entity);
+  const tf = new Map();
+  let length = 0;
+  for (const [field, values] of Object.entries(fields)) {
+    const boost = FIELD_BOOSTS[field];
+    for (const value of values) {
+      for (const term of tokenize(value)) {
+        tf.set(term, (tf.get(term) || 0) + boost);
+        length += boost;
+      }
+    }
+  }
+  const keys = [];
+  for (const kind of ['name', 'alias', 'ticker']) {
+    for (const value of fields[kind]) {
+      const key = compactKey(value);
+      if (!key) continue;
+      if (!s.exact.has(key)) s.exact.set(key, new Map());
+      const kinds = s.exact.get(key);
+      kinds.set(entity.id, Math.max(kinds.get(entity.id) || 0, EXACT_BONUS[kind]));
+      keys.push(key);
+    }
+  }
+  for (const [term, weight] of tf) {
+    if (!s.postings.has(term)) addTerm(s, term, options);
+    s.postings.get(term).set(entity.id, weight);
+  }
+  s.docs.set(entity.id, { type: entity.entity_type, length, terms: [...tf.keys()], keys, result: resultRecord(entity) });
+  s.totalLength += length;
+}
+
+function removeDoc(s, id) {
+  const doc = s.docs.get(id);
+  if (!doc) return;
+  for (const term of doc.terms) {
+    const posting = s.postings.get(term);
+    posting?.delete(id);
+    if (posting && !posting.size) dropTerm(s, term);
+  }
+  for (const key of doc.keys) {
+    const kinds = s.exact.get(key);
+    kinds?.delete(id);
+    if (kinds && !kinds.size) s.exact.delete(key);
+  }
+  s.totalLength -= doc.length;
+  s.docs.delete(id);
+}
+
+function applyWrite(s, entity) {
+  removeDoc(s, entity.id);
+  if (entity.status === 'published' && !entity.deleted_at) addDoc(s, entity);
+}
+
+async function build() {
+  pendingWrites = [];
+  try {
+    const next = emptyState();
+    const entities = await storage.find(ENTITIES, { where: { status: 'published' } });
+    for (const entity of entities) addDoc(next, entity, { sorted: false });
+    next.vocab.sort();
+    for (const write of pendingWrites) {
+      if (write.remove) removeDoc(next, write.id);
+      else applyWrite(next, write.entity);
+    }
+    next.builtAt = Date.now();
+    state = next;
+    return state;
+  } finally {
+    pendingWrites = null;
+    building = null;
+  }
+}
+
+function rebuildInBackground() {
+  if (building) return;
+  building = build();
+  building.catch((err) => console.warn('[intelligence-search] rebuild failed:', err.message));
+}
+
+/** Build on first use; later calls serve the current index and refresh it in the background when stale. */
+export async function ensureSearchIndex() {
+  if (!state.builtAt) return building || (building = build());
+  if (Date.now() - state.builtAt > refreshMs()) rebuildInBackground();
+  return state;
+}
+
+/**
+ * Reindex written entities (unpublished ones drop out). No-op until the index
+ * is first built; large batches (bootstrap, imports) trigger a rebuild instead.
+ */
+export function indexEntities(entities) {
+  const rows = entities.filter((e) => e?.id);
+  if (pendingWrites) for (const entity of rows) pendingWrites.push({ entity });
+  if (!state.builtAt) return;
+  if (rows.length > BULK_REBUILD_ROWS) rebuildInBackground();
+  else rows.forEach((entity) => applyWrite(state, entity));
+}
+
+export function removeFromSearchIndex(id) {
+  pendingWrites?.push({ remove: true, id });
+  if (state.builtAt) removeDoc(state, id);
+}
+
+export function resetSearchIndex() {
+  state = emptyState();
+}
+
+export function searchIndexStatus() {
+  return {
+    built_at: state.builtAt ? new Date(state.builtAt).toISOString() : null,
+    rebuilding: Boolean(building),
+    documents: state.docs.size,
+    terms: state.postings.size,
+  };
+}
+
+/** Optimal-string-alignment distance, giving up past `max`. */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i += 1) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, prevPrev[j - 2] + 1);
+      }
+      row.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > max) return max + 1;
+    prevPrev = prev;
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+function fuzzyTerms(s, term) {
+  if (term.length < 4) return [];
+  const max = term.length >= 8 ? 2 : 1;
+  const byLength = s.buckets.get(term[0]);
+  if (!byLength) return [];
+  const out = [];
+  for (let len = term.length - max; len <= term.length + max; len += 1) {
+    for (const candidate of byLength.get(len) || []) {
+      const d = editDistance(term, candidate, max);
+      if (d <= max) out.push([candidate, d === 1 ? 0.7 : 0.45]);
+    }
+  }
+  return out;
+}
+
+function prefixTerms(s, prefix) {
+  const out = [];
+  for (let i = sortedIndex(s.vocab, prefix); i < s.vocab.length && out.length < PREFIX_SCAN; i += 1) {
+    const term = s.vocab[i];
+    if (!term.startsWith(prefix)) break;
+    if (term !== prefix) out.push(term);
+  }
+  return out
+    .sort((a, b) => s.postings.get(b).size - s.postings.get(a).size)
+    .slice(0, PREFIX_EXPANSIONS)
+    // Closer completions weigh more: "bla" → "black" over "blackstone".
+    .map((term) => [term, 0.5 + 0.4 * (prefix.length / term.length)]);
+}
+
+/** Query term → [[vocabulary term, weight]]. */
+function expand(s, term, { prefix }) {
+  const exact = s.postings.has(term) ? [[term, 1]] : [];
+  const completions = prefix ? prefixTerms(s, term) : [];
+  const typos = exact.length ? [] : fuzzyTerms(s, term);
+  return [...exact, ...completions, ...typos];
+}
+
+/**
+ * Ranked hits: { total, hits: [{ score, matched, ...result }], facets: { entity_type: count }, took_ms }.
+ * `types` filters hits; facets count every match so the UI can offer the other types.
+ */
+/**
+ * Ranked hits for a query: { total, hits, facets, took_ms }. `facets` counts
+ * matches per entity_type before the `types` filter. With `groupOf`
+ * (type → group name) and `perGroup`, each group contributes at most
+ * `perGroup` hits, in rank order — the grouped universal-search dropdown.
+ */
+export async function searchEntities(query, { limit = 20, offset = 0, types, groupOf, perGroup } = {}) {
+  const start = Date.now();
+  const s = await ensureSearchIndex();
+  const raw = String(query || '');
+  const terms = [...new Set(tokenize(raw))];
+  if (!terms.length || !s.docs.size) return { total: 0, hits: [], facets: {}, took_ms: Date.now() - start };
+
+  const N = s.docs.size;
+  const avgLength = s.totalLength / N || 1;
+  const totals = new Map();
+  terms.forEach((term, i) => {
+    const prefix = i === terms.length - 1 && !/\s$/.test(raw);
+    const best = new Map();
+    for (const [vocabTerm, weight] of expand(s, term, { prefix })) {
+      const posting = s.postings.get(vocabTerm);
+      const idf = Math.log(1 + (N - posting.size + 0.5) / (posting.size + 0.5));
+      for (const [id, tf] of posting) {
+        const norm = tf + K1 * (1 - B + (B * s.docs.get(id).length) / avgLength);
+        const value = (weight * idf * tf * (K1 + 1)) / norm;
+        if (value > (best.get(id) || 0)) best.set(id, value);
+      }
+    }
+    for (const [id, value] of best) {
+      const entry = totals.get(id) || { score: 0, matched: 0 };
+      entry.score += value;
+      entry.matched += 1;
+      totals.set(id, entry);
+    }
+  });
+
+  const needed = Math.ceil(terms.length / 2);
+  for (const [id, bonus] of s.exact.get(compactKey(raw)) || []) {
+    const entry = totals.get(id) || { score: 0, matched: terms.length };
+    entry.score += bonus;
+    entry.matched = terms.length;
+    totals.set(id, entry);
+  }
+
+  const facets = {};
+  const wanted = types?.length ? new Set(types) : null;
+  const ranked = [];
+  for (const [id, entry] of totals) {
+    if (entry.matched < needed) continue;
+    const doc = s.docs.get(id);
+    facets[doc.type] = (facets[doc.type] || 0) + 1;
+    if (wanted && !wanted.has(doc.type)) continue;
+    ranked.push({ doc, score: entry.score * (entry.matched / terms.length) ** 2, matched: entry.matched });
+  }
+  ranked.sort((a, b) => b.score - a.score || a.doc.result.name.localeCompare(b.doc.result.name));
+  let page = ranked;
+  if (groupOf && perGroup) {
+    const taken = new Map();
+    page = ranked.filter(({ doc }) => {
+      const group = groupOf(doc.type);
+      const count = taken.get(group) || 0;
+      taken.set(group, count + 1);
+      return count < perGroup;
+    });
+  }
+  return {
+    total: ranked.length,
+    hits: page
+      .slice(offset, offset + limit)
+      .map(({ doc, score, matched }) => ({ ...doc.result, score: Number(score.toFixed(4)), matched })),
+    facets,
+    took_ms: Date.now() - start,
+  };
+}
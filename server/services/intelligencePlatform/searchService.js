@@ -1,4 +1,3 @@
-import { readEntities } from './store.js';
 import {
   searchGroupForType,
   SEARCH_GROUP_ORDER,
@@ -6,79 +5,58 @@ import {
   entityPublicPath,
   nodeColorForType,
 } from './entityTypes.js';
-import { computeIntelligenceScore } from './intelligenceScoreService.js';
+import { getEntitiesByIds } from './entityStore.js';
+import { computeIntelligenceScores } from './intelligenceScoreService.js';
+import { searchEntities } from './searchIndex.js';
 
-function scoreEntity(entity, query) {
-  const q = query.toLowerCase();
-  let score = 0;
-  const name = (entity.name || '').toLowerCase();
-  if (name === q) score += 100;
-  else if (name.startsWith(q)) score += 60;
-  else if (name.includes(q)) score += 40;
-
-  const desc = (entity.description || '').toLowerCase();
-  if (desc.includes(q)) score += 15;
-
-  (entity.tags || []).forEach((tag) => {
-    if (String(tag).toLowerCase().includes(q)) score += 20;
-  });
-
-  const meta = entity.metadata || {};
-  Object.values(meta).forEach((v) => {
-    if (String(v).toLowerCase().includes(q)) score += 5;
-  });
-
-  return score;
-}
-
-function serializeSearchResult(entity, score) {
-  const meta = entity.metadata || {};
-  const intel = computeIntelligenceScore(entity.id);
+function serializeSearchResult(hit, intel) {
+  const { metadata, matched, ...rest } = hit;
   return {
-    id: entity.id,
-    slug: entity.slug,
-    name: entity.name,
-    entity_type: entity.entity_type,
-    entity_type_label: entityTypeLabel(entity.entity_type),
-    description: entity.description?.slice(0, 140) || '',
-    ai_summary: entity.ai_summary?.slice(0, 180) || '',
-    logo: meta.logo || null,
-    color: nodeColorForType(entity.entity_type),
-    score,
-    path: entityPublicPath(entity),
-    updated_at: entity.updated_at,
+    ...rest,
+    entity_type_label: entityTypeLabel(hit.entity_type),
+    logo: metadata.logo,
+    color: nodeColorForType(hit.entity_type),
     intelligence_score: intel?.score,
     intelligence_label: intel?.label,
     metadata: {
-      aum: meta.aum,
-      industry: meta.industry,
-      status: meta.status,
-      hq: meta.hq,
+      aum: metadata.aum,
+      industry: metadata.industry,
+      status: metadata.status,
+      hq: metadata.hq,
     },
   };
 }
 
-export function universalSearch(query, { limit = 8 } = {}) {
+/** Intelligence scores for the hits actually returned — never the whole match set. */
+async function withIntelligence(hits) {
+  const entities = await getEntitiesByIds(hits.map((h) => h.id));
+  const scores = await computeIntelligenceScores([...entities.values()]);
+  return hits.map((hit) => serializeSearchResult(hit, scores.get(hit.id)));
+}
+
+/**
+ * Grouped search over the ranked index (searchIndex.js): up to `limit` hits per
+ * search group. `types` narrows to entity types; `facets` always counts every type.
+ */
+export async function universalSearch(query, { limit = 8, types } = {}) {
   const q = String(query || '').trim();
   if (!q || q.length < 2) {
-    return { query: q, groups: [], total: 0, took_ms: 0 };
+    return { query: q, groups: [], total: 0, facets: {}, took_ms: 0 };
   }
 
   const start = Date.now();
-  const entities = readEntities().filter((e) => e.status === 'published');
-  const scored = entities
-    .map((entity) => ({ entity, score: scoreEntity(entity, q) }))
-    .filter((row) => row.score > 0)
-    .sort((a, b) => b.score - a.score);
+  const { total, hits, facets } = await searchEntities(query, {
+    types,
+    groupOf: searchGroupForType,
+    perGroup: limit,
+    limit: limit * (SEARCH_GROUP_ORDER.length + 1),
+  });
 
   const grouped = {};
-  scored.forEach(({ entity, score }) => {
-    const group = searchGroupForType(entity.entity_type);
-    if (!grouped[group]) grouped[group] = [];
-    if (grouped[group].length < limit) {
-      grouped[group].push(serializeSearchResult(entity, score));
-    }
-  });
+  for (const result of await withIntelligence(hits)) {
+    const group = searchGroupForType(result.entity_type);
+    (grouped[group] ||= []).push(result);
+  }
 
   const groups = SEARCH_GROUP_ORDER
     .filter((name) => grouped[name]?.length)
@@ -93,14 +71,18 @@ export function universalSearch(query, { limit = 8 } = {}) {
   return {
     query: q,
     groups,
-    total: scored.length,
+    total,
+    facets,
     took_ms: Date.now() - start,
   };
 }
 
-export function searchSuggestions(query, { limit = 6 } = {}) {
-  const result = universalSearch(query, { limit: 3 });
-  return result.groups.flatMap((g) => g.results).slice(0, limit);
+/** Autocomplete: the top hits regardless of group (the last term matches as a prefix). */
+export async function searchSuggestions(query, { limit = 6 } = {}) {
+  const q = String(query || '');
+  if (q.trim().length < 2) return [];
+  const { hits } = await searchEntities(q, { limit });
+  return withIntelligence(hits);
 }
 
 export { entityPublicPath };
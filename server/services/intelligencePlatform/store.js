@@ -1,56 +1,25 @@
-import fs from 'node:fs';
-import path from 'node:path';
-import { fileURLToPath } from 'node:url';
+/**
+ * Intelligence Platform collections on the storage adapter (server/storage).
+ * Entities, relationships and timeline events are stored row by row; the
+ * bootstrap flag lives in storage_meta.
+ */
 
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-export const DATA_DIR = path.join(__dirname, '../../data/intelligence_platform');
-export const ENTITIES_FILE = path.join(DATA_DIR, 'entities.json');
-export const RELATIONSHIPS_FILE = path.join(DATA_DIR, 'relationships.json');
-export const TIMELINE_FILE = path.join(DATA_DIR, 'timeline.json');
+import { storage } from '../../storage/index.js';
 
-export function ensureDataDir() {
-  if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
-}
-
-export function readJson(file, fallback) {
-  ensureDataDir();
-  if (!fs.existsSync(file)) {
-    fs.writeFileSync(file, JSON.stringify(fallback, null, 2));
-    return fallback;
-  }
-  return JSON.parse(fs.readFileSync(file, 'utf8'));
-}
+export const ENTITIES = 'platform_entities';
+export const RELATIONSHIPS = 'platform_relationships';
+export const TIMELINE = 'platform_timeline';
+/** Admin decisions on duplicate candidates (entityDedup.js), one row per entity pair. */
+export const DUPLICATE_REVIEWS = 'platform_duplicate_reviews';
 
-export function writeJson(file, data) {
-  ensureDataDir();
-  fs.writeFileSync(file, JSON.stringify(data, null, 2));
-}
+const BOOTSTRAP_KEY = 'intelligence_platform.bootstrap';
 
-export function readEntities() {
-  return readJson(ENTITIES_FILE, { entities: [], bootstrapped: false }).entities || [];
+export async function isBootstrapped() {
+  return Boolean(await storage.get('storage_meta', BOOTSTRAP_KEY));
 }
 
-export function writeEntities(entities, extra = {}) {
-  writeJson(ENTITIES_FILE, { entities, bootstrapped: true, updated_at: new Date().toISOString(), ...extra });
+export async function markBootstrapped(extra = {}) {
+  await storage.put('storage_meta', { id: BOOTSTRAP_KEY, bootstrapped_at: new Date().toISOString(), ...extra });
 }
 
-export function isBootstrapped() {
-  const data = readJson(ENTITIES_FILE, { bootstrapped: false });
-  return Boolean(data.bootstrapped);
-}
-
-export function readRelationships() {
-  return readJson(RELATIONSHIPS_FILE, { relationships: [] }).relationships || [];
-}
-
-export function writeRelationships(relationships) {
-  writeJson(RELATIONSHIPS_FILE, { relationships, updated_at: new Date().toISOString() });
-}
-
-export function readTimelineEvents() {
-  return readJson(TIMELINE_FILE, { events: [] }).events || [];
-}
-
-export function writeTimelineEvents(events) {
-  writeJson(TIMELINE_FILE, { events, updated_at: new Date().toISOString() });
-}
+export { storage };
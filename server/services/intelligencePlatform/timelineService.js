@@ -1,18 +1,22 @@
 import crypto from 'node:crypto';
-import { readTimelineEvents, writeTimelineEvents } from './store.js';
+import { TIMELINE, storage } from './store.js';
+import { mergedIdMap } from './entityStore.js';
+import { applyOwnershipEvent } from './relationshipStore.js';
 
-export function listTimelineEvents(entityId, { limit = 50 } = {}) {
-  return readTimelineEvents()
-    .filter((e) => e.entity_id === entityId)
-    .sort((a, b) => new Date(b.occurred_at) - new Date(a.occurred_at))
-    .slice(0, limit);
+export const eventKey = (e) => `${e.entity_id}:${e.event_type}:${e.occurred_at}:${e.title}`;
+
+/** Latest events first; with `asOf`, only those that had happened by then. */
+export function listTimelineEvents(entityId, { limit = 50, asOf = null } = {}) {
+  const where = { entity_id: entityId, occurred_at: asOf ? { lte: asOf } : undefined };
+  return storage.find(TIMELINE, { where, orderBy: '-occurred_at', limit });
 }
 
-export function addTimelineEvent(event) {
-  const events = readTimelineEvents();
-  const row = {
+/** EXITED / SOLD_TO events also close the matching holdings (see applyOwnershipEvent). */
+export async function addTimelineEvent(event) {
+  const merged = await mergedIdMap([event.entity_id]);
+  const stored = await storage.put(TIMELINE, {
     id: event.id || crypto.randomUUID(),
-    entity_id: event.entity_id,
+    entity_id: merged.get(event.entity_id) || event.entity_id,
     event_type: event.event_type,
     title: event.title,
     description: event.description || '',
@@ -21,36 +25,44 @@ export function addTimelineEvent(event) {
     source_id: event.source_id || null,
     metadata: event.metadata || {},
     created_at: new Date().toISOString(),
-  };
-  events.push(row);
-  writeTimelineEvents(events);
-  return row;
+  });
+  await applyOwnershipEvent(stored);
+  return stored;
 }
 
-export function bulkAddTimelineEvents(rows) {
-  const events = readTimelineEvents();
-  const seen = new Set(events.map((e) => `${e.entity_id}:${e.event_type}:${e.occurred_at}:${e.title}`));
-  rows.forEach((row) => {
-    const key = `${row.entity_id}:${row.event_type}:${row.occurred_at}:${row.title}`;
-    if (seen.has(key)) return;
-    events.push({
-      id: row.id || crypto.randomUUID(),
-      entity_id: row.entity_id,
-      event_type: row.event_type,
-      title: row.title,
-      description: row.description || '',
-      occurred_at: row.occurred_at,
-      source_type: row.source_type || null,
-      source_id: row.source_id || null,
-      metadata: row.metadata || {},
-      created_at: row.created_at || new Date().toISOString(),
+/** Insert events not stored yet (same entity, type, time and title); merged-away entity ids go to the survivor. */
+export async function bulkAddTimelineEvents(input) {
+  const merged = await mergedIdMap(input.map((r) => r.entity_id));
+  const rows = input.map((r) => (merged.has(r.entity_id) ? { ...r, entity_id: merged.get(r.entity_id) } : r));
+  const added = await storage.transaction(async () => {
+    const existing = await storage.find(TIMELINE);
+    const seen = new Set(existing.map(eventKey));
+    const added = [];
+    rows.forEach((row) => {
+      const key = eventKey(row);
+      if (seen.has(key)) return;
+      added.push({
+        id: row.id || crypto.randomUUID(),
+        entity_id: row.entity_id,
+        event_type: row.event_type,
+        title: row.title,
+        description: row.description || '',
+        occurred_at: row.occurred_at,
+        source_type: row.source_type || null,
+        source_id: row.source_id || null,
+        metadata: row.metadata || {},
+        created_at: row.created_at || new Date().toISOString(),
+      });
+      seen.add(key);
     });
-    seen.add(key);
+    await storage.putMany(TIMELINE, added);
+    return added;
   });
-  writeTimelineEvents(events);
-  return events;
+  const ownership = added.filter((e) => e.metadata.company_id).sort((a, b) => String(a.occurred_at).localeCompare(String(b.occurred_at)));
+  for (const event of ownership) await applyOwnershipEvent(event);
+  return added;
 }
 
-export function timelineStats() {
-  return { total: readTimelineEvents().length };
+export async function timelineStats() {
+  return { total: await storage.count(TIMELINE) };
 }
@@ -0,0 +1,43 @@
+/**
+ * Validity periods on relationships. `valid_from` / `valid_to` are ISO
+ * timestamps (null = open-ended); a relationship is active at `asOf` when
+ * valid_from <= asOf < valid_to. Rows without dates are always active, so
+ * undated history keeps showing up in point-in-time queries.
+ */
+
+/** Relations meaning "holds a stake in" — closed when the holder exits or sells. */
+export const HOLDING_RELATIONS = ['OWNS', 'INVESTED_IN', 'ACQUIRED', 'FINANCED'];
+
+function validityError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+/**
+ * Normalise a date input to an ISO timestamp (null when empty). A bare year
+ * means its first day, or its last day with `yearEnd` — `as_of=2021` asks
+ * about the state at the end of 2021. Invalid input throws (status 400).
+ */
+export function pointInTime(value, { yearEnd = false } = {}) {
+  if (value === undefined || value === null || value === '') return null;
+  const text = String(value).trim();
+  const date = /^\d{4}$/.test(text)
+    ? new Date(yearEnd ? `${text}-12-31T23:59:59.999Z` : `${text}-01-01T00:00:00.000Z`)
+    : new Date(text);
+  if (Number.isNaN(date.getTime())) throw validityError(`Invalid date: ${text}`);
+  return date.toISOString();
+}
+
+export function isActiveAt(rel, asOf) {
+  if (!asOf) return true;
+  return (!rel.valid_from || rel.valid_from <= asOf) && (!rel.valid_to || rel.valid_to > asOf);
+}
+
+/** Validity fields for a new relationship row; an end before the start throws (status 400). */
+export function validityPeriod(validFrom, validTo) {
+  const valid_from = pointInTime(validFrom);
+  const valid_to = pointInTime(validTo, { yearEnd: true });
+  if (valid_from && valid_to && valid_to <= valid_from) throw validityError('valid_to must be after valid_from');
+  return { valid_from, valid_to };
+}
@@ -4,15 +4,9 @@
  */
 
 import { normalizeCandles } from '../lib/indicators.js';
-import {
-  isGrowwConfigured,
-  getHistoricalCandles,
-  getHistoricalCandleRange,
-  INDEX_SYMBOLS,
-  INDEX_SENTIMENT_UNIVERSE,
-  TRACKED_STOCKS,
-} from '../providers/groww.js';
+import { INDEX_SENTIMENT_UNIVERSE } from '../providers/groww.js';
 import { fetchTrending } from '../providers/fallback.js';
+import { hasCandleProvider } from '../providers/registry.js';
 import {
   computeTrendScore,
   computeMomentum,
@@ -29,11 +23,15 @@ import {
   computeTimeframeConfluence,
 } from './indexConfluenceEngine.js';
 import { generateAgiSummary } from './agiSummaryGenerator.js';
-import { formatMarketUpdatedLabel, oncePerMarketCycle } from '../config/marketRefresh.js';
+import { breadthSectorChanges, describeBreadth, getMarketBreadth, loadConstituents } from './marketBreadth.js';
+import { getCandles } from './candleStore.js';
+import { OPTION_UNDERLYINGS, getOptionsFactor } from './optionsChain.js';
+import { candleInput, describeInput, gradeInputs, isSessionStale, qualitySummary } from './dataQuality.js';
+import { formatMarketUpdatedLabel, oncePerMarketCycle, refreshMarketCycle } from '../config/marketRefresh.js';
+import { publishMarketSnapshot } from './marketStream.js';
 
 /** Last successful payload — served only if the current cycle compute fails. */
 let lastGoodIntelligence = null;
-let growwBackoffUntil = 0;
 
 /** Historical model is on by default; set GROWW_USE_HISTORICAL=false only during maintenance. */
 const USE_GROWW_HISTORICAL = process.env.GROWW_USE_HISTORICAL !== 'false';
@@ -47,33 +45,31 @@ function buildFallbackIndexSentiments() {
   }));
 }
 
-function buildFallbackIntelligence() {
-  const updatedLabel = new Date().toLocaleTimeString('en-IN', {
-    hour: '2-digit',
-    minute: '2-digit',
-    hour12: true,
-  });
-  const intelligence = {
-    outlook: 'Neutral',
-    outlookKey: 'neutral',
-    confidence: 65,
-    momentum: 'Moderate',
-    risk: 'Medium',
-    volatility: 'Medium',
-    agiMarketScore: 55,
-    marketBreadth: 'Neutral',
-    topSector: 'Capital Goods',
-    weakestSector: 'FMCG',
-    openingBias: 'Neutral',
-    updatedLabel,
-    updatedAt: new Date().toISOString(),
-    reasons: [{ type: 'positive', text: 'Using cached AGI model — live refresh pending' }],
+/** Withheld read: nothing scored, the quality block says why. */
+function withheldIntelligence(dataQuality, fields = {}) {
+  return {
+    agiMarketScore: null,
+    outlook: 'Insufficient data',
+    outlookKey: 'insufficient',
+    confidence: null,
+    momentum: null,
+    risk: null,
+    volatility: null,
+    marketBreadth: null,
+    topSector: null,
+    weakestSector: null,
+    openingBias: null,
+    ...fields,
+    reasons: dataQuality.reasons.slice(0, 5).map((text) => ({ type: 'data', text })),
+    dataQuality: qualitySummary(dataQuality),
   };
-  const insightStrip = buildInsightStrip(intelligence);
-  const pulse = {
+}
+
+function buildPulse(intelligence, insightStrip, updatedLabel) {
+  return {
     title: 'AGI Market Pulse',
     outlook: intelligence.outlook,
-    outlookBadge: '🟡',
+    outlookBadge: insightStrip[0]?.value?.split(' ')[0] || '🟡',
     confidence: intelligence.confidence,
     momentum: intelligence.momentum,
     risk: intelligence.risk,
@@ -84,111 +80,69 @@ function buildFallbackIntelligence() {
     openingBias: intelligence.openingBias,
     agiMarketScore: intelligence.agiMarketScore,
     reasons: intelligence.reasons,
+    dataQuality: intelligence.dataQuality,
     updatedLabel,
   };
+}
+
+function buildFallbackIntelligence() {
+  const updatedAt = new Date().toISOString();
+  const updatedLabel = formatMarketUpdatedLabel(updatedAt).replace(/^Updated\s+/i, '');
+  const dataQuality = gradeInputs([
+    describeInput({ key: 'engine', label: 'Intelligence refresh', required: true, detail: 'compute failed' }),
+  ]);
+  const intelligence = { ...withheldIntelligence(dataQuality), updatedLabel, updatedAt };
+  const insightStrip = buildInsightStrip(intelligence);
   return {
-    pulse,
+    pulse: buildPulse(intelligence, insightStrip, updatedLabel),
     outlook: intelligence,
     insightStrip,
     summary: generateAgiSummary(intelligence),
-    sectors: [
-      { rank: 1, name: 'Capital Goods', direction: '↑', strength: 'Moderate' },
-      { rank: 2, name: 'Banks', direction: '↑', strength: 'Moderate' },
-      { rank: 3, name: 'IT', direction: '↓', strength: 'Weak' },
-    ],
-    stocksInFocus: [
-      { symbol: 'RELIANCE', name: 'Reliance', agiScore: 72, trend: 'Neutral', momentum: 'Moderate', category: 'Watchlist' },
-    ],
-    breadth: { label: 'Neutral', advancing: 0, declining: 0, ratio: null },
-    volume: { strength: 'Normal' },
+    sectors: [],
+    stocksInFocus: [],
+    breadth: { label: null, advancing: null, declining: null, ratio: null },
+    volume: { strength: null },
     indexSentiments: buildFallbackIndexSentiments(),
+    dataQuality,
     disclaimer:
-      'AGI proprietary analytics. Live refresh temporarily unavailable — displaying model defaults.',
+      'AGI proprietary analytics. Live refresh temporarily unavailable — no score is published until inputs recover.',
     source: 'agi-fallback',
     stale: true,
-    updatedAt: intelligence.updatedAt,
+    updatedAt,
   };
 }
 
-/** Build synthetic candles from day % change when historical unavailable */
-function syntheticCandles(dayChangePct = 0, days = 60) {
-  let price = 100;
-  const dailyDrift = dayChangePct / 100 / Math.max(days, 1);
-  const candles = [];
-  for (let i = 0; i < days; i++) {
-    const open = price;
-    price = price * (1 + dailyDrift);
-    candles.push({
-      open,
-      high: Math.max(open, price) * 1.001,
-      low: Math.min(open, price) * 0.999,
-      close: price,
-      volume: 1000000,
-    });
-  }
-  return candles;
-}
-
+/** Daily index history from the candle store, with the provider that served it. */
 async function fetchCandlesForSymbol(exchange, symbol) {
-  if (!isGrowwConfigured() || Date.now() < growwBackoffUntil) return [];
-  try {
-    const raw = await getHistoricalCandles(exchange, 'CASH', symbol, 120);
-    return normalizeCandles(raw);
-  } catch (err) {
-    if (/rate limit/i.test(String(err?.message))) {
-      growwBackoffUntil = Date.now() + 5 * 60_000;
-    }
-    return [];
-  }
+  const { candles, provider, fallback } = await getCandles({ exchange, symbol, class: 'index' }, { interval: '1d', days: 120 });
+  return { candles: normalizeCandles(candles), provider, fallback };
 }
 
 const INDEX_TIMEFRAMES = {
-  long: { intervalMinutes: 1440, lookbackDays: 365, maxRangeDays: 180 },
-  medium: { intervalMinutes: 60, lookbackDays: 60, maxRangeDays: 180 },
-  short: { intervalMinutes: 15, lookbackDays: 15, maxRangeDays: 90 },
+  long: { interval: '1d', lookbackDays: 365 },
+  medium: { interval: '1h', lookbackDays: 60 },
+  short: { interval: '15m', lookbackDays: 15 },
 };
 
 /**
- * Fetches an API-safe paginated candle range for an index timeframe. Raw
- * OHLCV data is retained only in-process for the confluence calculation.
+ * Candle range for an index timeframe from the candle store, which fetches
+ * only missing sessions through the provider registry. Raw OHLCV stays
+ * server-side; only the confluence result is published.
  */
 async function fetchIndexTimeframeCandles(index, timeframe) {
-  if (!USE_GROWW_HISTORICAL || !isGrowwConfigured() || Date.now() < growwBackoffUntil) return [];
-
-  const end = new Date();
-  const start = new Date(end.getTime() - timeframe.lookbackDays * 24 * 60 * 60 * 1000);
-  const windows = [];
-  let cursor = start;
-  while (cursor < end) {
-    const finish = new Date(Math.min(cursor.getTime() + timeframe.maxRangeDays * 24 * 60 * 60 * 1000, end.getTime()));
-    windows.push([cursor, finish]);
-    cursor = finish;
-  }
-
-  try {
-    const raw = [];
-    for (const [start, finish] of windows) {
-      raw.push(
-        ...(await getHistoricalCandleRange(
-          index.exchange,
-          'CASH',
-          index.symbol,
-          start,
-          finish,
-          timeframe.intervalMinutes
-        ))
-      );
-    }
-    return normalizeCandles(raw);
-  } catch (err) {
-    if (/rate limit/i.test(String(err?.message))) growwBackoffUntil = Date.now() + 5 * 60_000;
-    console.warn(`[intelligence] ${index.label} history unavailable:`, err?.message);
-    return [];
-  }
+  if (!USE_GROWW_HISTORICAL) return [];
+  const { candles } = await getCandles(
+    { exchange: index.exchange, symbol: index.symbol, class: 'index' },
+    { interval: timeframe.interval, days: timeframe.lookbackDays }
+  );
+  return normalizeCandles(candles);
 }
 
+/** Per-index confluence; `modelled` counts indices scored from real history. */
 async function buildIndexSentiments() {
-  if (!USE_GROWW_HISTORICAL || !isGrowwConfigured()) return buildFallbackIndexSentiments();
+  if (!USE_GROWW_HISTORICAL || !hasCandleProvider('index')) {
+    return { sentiments: buildFallbackIndexSentiments(), modelled: 0 };
+  }
 
   const sentiments = [];
   for (const index of INDEX_SENTIMENT_UNIVERSE) {
@@ -208,28 +162,131 @@ async function buildIndexSentiments() {
       });
     }
   }
-  return sentiments.length ? sentiments : buildFallbackIndexSentiments();
+  return sentiments.length
+    ? { sentiments, modelled: sentiments.length }
+    : { sentiments: buildFallbackIndexSentiments(), modelled: 0 };
 }
 
-function deriveSectorChanges(gainers, losers) {
-  const sectorMap = {
-    BEL: 'Defence', HAL: 'Defence', LANDT: 'Capital Goods', ABB: 'Capital Goods',
-    RELIANCE: 'Energy', HDFCBANK: 'Banks', ICICIBANK: 'Banks', INFY: 'IT', TCS: 'IT',
-    SUNPHARMA: 'Pharma', ITC: 'FMCG', HINDUNILVR: 'FMCG',
-  };
-  const buckets = {};
-  for (const row of [...gainers, ...losers]) {
+/**
+ * Stock AGI scores for the trending gainers, from real equity history only.
+ * Without history the stock is listed with a null score rather than one
+ * scored from its day change.
+ */
+async function buildStocksInFocus(gainers) {
+  const withHistory = USE_GROWW_HISTORICAL && hasCandleProvider('equity');
+  let isins = new Map();
+  try {
+    isins = new Map(loadConstituents().map((c) => [c.symbol, c.isin]));
+  } catch {
+    // Universe file missing — Upstox equity history needs the ISIN, other providers do not.
+  }
+
+  const stocks = [];
+  for (const row of gainers.slice(0, 8)) {
     const sym = String(row.ticker || row.symbol || row.company || '').split(' ')[0].toUpperCase();
-    const sector = sectorMap[sym] || 'Others';
-    const ch = Number(row.percent_change ?? row.percentChange ?? row.change ?? 0);
-    if (!buckets[sector]) buckets[sector] = [];
-    buckets[sector].push(ch);
+    if (!sym || sym === '—') continue;
+    const ch = Number(row.percent_change ?? row.change ?? 0);
+    let candles = [];
+    if (withHistory) {
+      const series = await getCandles({ exchange: 'NSE', symbol: sym, isin: isins.get(sym), class: 'equity' }, { interval: '1d', days: 120 })
+        .catch(() => ({ candles: [] }));
+      candles = normalizeCandles(series.candles);
+    }
+    const stockIntel = candles.length >= 50 ? computeStockAgiScore(candles) : null;
+    stocks.push({
+      symbol: sym,
+      name: row.company || row.name || sym,
+      agiScore: stockIntel?.agiScore ?? null,
+      trend: stockIntel?.trend ?? null,
+      momentum: stockIntel?.momentum ?? null,
+      category: ch > 2 ? 'Breakout' : 'Momentum',
+      dataQuality: stockIntel ? 'complete' : 'insufficient',
+    });
   }
-  const derived = Object.entries(buckets).map(([name, vals]) => ({
-    name,
-    change: vals.reduce((a, b) => a + b, 0) / vals.length,
-  }));
-  return derived.length >= 3 ? derived : null;
+  return stocks;
+}
+
+/**
+ * Inputs behind the market score, weighted roughly as the score uses them.
+ * NIFTY history is required: every trend, momentum and volatility factor
+ * reads it.
+ */
+function gradeIntelligenceInputs({ nifty, bank, vix, breadthSnapshot, sectors, trending, indexSentiments, options, now = Date.now() }) {
+  return gradeInputs([
+    candleInput({ key: 'nifty_candles', label: 'NIFTY 50 history', weight: 0.3, required: true, minBars: 50 }, nifty, now),
+    candleInput({ key: 'banknifty_candles', label: 'Bank Nifty history', weight: 0.15, minBars: 50 }, bank, now),
+    candleInput({ key: 'india_vix', label: 'India VIX', weight: 0.1 }, vix, now),
+    describeInput({
+      key: 'breadth',
+      label: 'Market breadth',
+      weight: 0.2,
+      available: Boolean(breadthSnapshot),
+      coverage: breadthSnapshot?.constituents ? breadthSnapshot.quoted / breadthSnapshot.constituents : null,
+      stale: isSessionStale(breadthSnapshot?.date, now),
+      provider: breadthSnapshot ? `${breadthSnapshot.universe} constituents` : null,
+      asOf: breadthSnapshot?.as_of ?? null,
+      points: breadthSnapshot?.quoted ?? 0,
+      detail: breadthSnapshot ? null : 'no constituent snapshot yet',
+    }),
+    describeInput({
+      key: 'sectors',
+      label: 'Sector returns',
+      weight: 0.1,
+      available: sectors.rankings.length > 0,
+      provider: breadthSnapshot ? `${breadthSnapshot.universe} constituents` : null,
+      points: sectors.rankings.length,
+      detail: 'no constituent snapshot yet',
+    }),
+    describeInput({
+      key: 'trending',
+      label: 'Trending movers',
+      weight: 0.05,
+      available: trending.gainers.length + trending.losers.length > 0,
+      provider: 'indianapi',
+      points: trending.gainers.length + trending.losers.length,
+      detail: 'feed returned nothing',
+    }),
+    describeInput({
+      key: 'index_sentiments',
+      label: 'Index confluence',
+      weight: 0.1,
+      available: indexSentiments.modelled > 0,
+      coverage: indexSentiments.modelled / INDEX_SENTIMENT_UNIVERSE.length,
+      points: indexSentiments.modelled,
+      detail: 'no index history',
+    }),
+    describeInput({
+      key: 'options',
+      label: 'Index option chains',
+      weight: 0.05,
+      available: Boolean(options),
+      coverage: options ? options.underlyings.length / OPTION_UNDERLYINGS.length : null,
+      stale: Boolean(options?.stale),
+      provider: options ? 'upstox' : null,
+      asOf: options?.asOf ?? null,
+      points: options?.underlyings.length ?? 0,
+      detail: options ? null : 'no option-chain snapshot yet',
+    }),
+  ]);
+}
+
+/** Intelligence breadth block: the A/D read plus the constituent statistics behind it. */
+function breadthSummary(breadth, snapshot) {
+  return {
+    label: breadth.label,
+    advancing: snapshot?.advances ?? null,
+    declining: snapshot?.declines ?? null,
+    unchanged: snapshot?.unchanged ?? null,
+    ratio: breadth.ratio ?? null,
+    pctAbove50Dma: snapshot?.pct_above_50dma ?? null,
+    pctAbove200Dma: snapshot?.pct_above_200dma ?? null,
+    newHighs: snapshot?.new_highs ?? null,
+    newLows: snapshot?.new_lows ?? null,
+    universe: snapshot?.universe ?? null,
+    session: snapshot?.date ?? null,
+    asOf: snapshot?.as_of ?? null,
+    read: describeBreadth(snapshot),
+  };
 }
 
 export async function getAgiIntelligence(env = {}) {
@@ -242,140 +299,119 @@ export async function getAgiIntelligence(env = {}) {
   }
 }
 
+/**
+ * Fresh intelligence ahead of the 30-minute cycle — drives the market stream
+ * and replaces the cycle's value, so /pulse and /ticker match what streamed.
+ */
+export async function refreshAgiIntelligence(env = {}) {
+  try {
+    return await refreshMarketCycle('agi-intelligence', () => computeIntelligence(env));
+  } catch (err) {
+    console.error('[intelligence] stream refresh failed:', err?.message);
+    return lastGoodIntelligence;
+  }
+}
+
 async function computeIntelligence(env) {
   const apiKey = env.indianApiKey || '';
   const baseUrl = env.indianApiBase || 'https://stock.indianapi.in';
 
-  const trending = await fetchTrending(apiKey, baseUrl).catch(() => ({ gainers: [], losers: [] }));
+  const [trending, breadthSnapshot, options] = await Promise.all([
+    fetchTrending(apiKey, baseUrl).catch(() => ({ gainers: [], losers: [] })),
+    getMarketBreadth(),
+    getOptionsFactor().catch(() => null),
+  ]);
   const gainers = trending.gainers || [];
   const losers = trending.losers || [];
 
-  // Fetch index candles (backend only)
-  let niftyCandles = [];
-  let bankCandles = [];
-  let vixLevel = null;
-
-  if (USE_GROWW_HISTORICAL && isGrowwConfigured() && Date.now() >= growwBackoffUntil) {
-    const [nifty, bank, vix] = await Promise.all([
+  // Index candles (backend only). No history means no score — never a series made up from movers.
+  const empty = { candles: [], provider: null, fallback: false };
+  let [nifty, bank, vix] = [empty, empty, empty];
+  if (USE_GROWW_HISTORICAL && hasCandleProvider('index')) {
+    [nifty, bank, vix] = await Promise.all([
       fetchCandlesForSymbol('NSE', 'NIFTY'),
       fetchCandlesForSymbol('NSE', 'BANKNIFTY'),
       fetchCandlesForSymbol('NSE', 'INDIA VIX'),
     ]);
-    niftyCandles = nifty;
-    bankCandles = bank;
-    if (vix.length) vixLevel = vix[vix.length - 1]?.close;
   }
+  const niftyCandles = nifty.candles;
+  const vixLevel = vix.candles.length ? vix.candles[vix.candles.length - 1]?.close : null;
 
-  // Fallback synthetic candles from trending if no Groww history
-  if (niftyCandles.length < 30) {
-    const avgGain = gainers.length
-      ? gainers.reduce((s, g) => s + Number(g.percent_change ?? g.change ?? 0), 0) / gainers.length
-      : 0;
-    niftyCandles = syntheticCandles(avgGain);
-    bankCandles = syntheticCandles(avgGain * 1.1);
-  }
-
-  const trend = computeTrendScore(niftyCandles);
-  const bankTrend = computeTrendScore(bankCandles);
-  const momentum = computeMomentum(niftyCandles);
-  const volatility = computeVolatility(niftyCandles, vixLevel);
-  const breadth = computeBreadth(gainers.length || 12, losers.length || 8);
-
-  const sectorChanges = deriveSectorChanges(gainers, losers) || [
-    { name: 'Capital Goods', change: 2.8 },
-    { name: 'Defence', change: 2.4 },
-    { name: 'Power', change: 2.2 },
-    { name: 'Banks', change: 1.4 },
-    { name: 'Pharma', change: 0.6 },
-    { name: 'IT', change: -0.8 },
-    { name: 'FMCG', change: -1.2 },
-  ];
-  const sectors = computeSectorStrength(sectorChanges);
-
-  const openingBias = computeOpeningBias({
-    giftNiftyPositive: trend.score >= 55,
-    globalPositive: trend.score >= 50,
-    usdInrWeak: false,
-    crudeRising: false,
-  });
-
-  const volumeScore = gainers.length > losers.length ? 72 : 48;
+  // No constituent snapshot → neutral breadth and no sector ranking, not a guess.
+  const breadth = computeBreadth(breadthSnapshot?.advances, breadthSnapshot?.declines);
+  const sectors = computeSectorStrength(breadthSectorChanges(breadthSnapshot));
+  const indexSentiments = await buildIndexSentiments();
 
-  const marketScore = computeAgiMarketScore({
-    trend: { score: Math.round((trend.score + bankTrend.score) / 2), label: trend.label },
-    momentum,
-    breadth,
-    volume: { score: volumeScore, label: volumeScore >= 65 ? 'Strong' : 'Normal' },
-    volatility,
-    sector: { score: 60 + sectors.rankings[0]?.rank ? 10 : 0 },
-    global: { score: openingBias.score },
+  const dataQuality = gradeIntelligenceInputs({
+    nifty,
+    bank,
+    vix,
+    breadthSnapshot,
+    sectors,
+    trending: { gainers, losers },
+    indexSentiments,
+    options,
   });
 
   const updatedAt = new Date().toISOString();
   const updatedLabel = formatMarketUpdatedLabel(updatedAt).replace(/^Updated\s+/i, '');
-
-  const intelligence = {
-    ...marketScore,
-    marketBreadth: breadth.label,
+  const volumeScore = gainers.length > losers.length ? 72 : 48;
+  const volumeStrength = gainers.length + losers.length ? (volumeScore >= 65 ? 'Strong' : 'Normal') : null;
+  const sectorFields = {
+    marketBreadth: breadthSnapshot ? breadth.label : null,
     topSector: sectors.topSector,
     weakestSector: sectors.weakestSector,
     sectorRotation: sectors.rotation,
-    openingBias: openingBias.label,
-    volumeStrength: volumeScore >= 65 ? 'Strong' : 'Normal',
-    updatedAt,
-    updatedLabel,
   };
 
-  // Stocks in focus — AGI scores from trending data (minimize Groww calls)
-  const stocksInFocus = [];
-  const focusCandidates = gainers.slice(0, 8);
-  for (const row of focusCandidates) {
-    const sym = String(row.ticker || row.symbol || row.company || '').split(' ')[0].toUpperCase();
-    if (!sym || sym === '—') continue;
-    const ch = Number(row.percent_change ?? row.change ?? 0);
-    const candles = syntheticCandles(ch);
-    const stockIntel = computeStockAgiScore(candles);
-    stocksInFocus.push({
-      symbol: sym,
-      name: row.company || row.name || sym,
-      agiScore: stockIntel.agiScore,
-      trend: stockIntel.trend,
-      momentum: stockIntel.momentum,
-      category: ch > 2 ? 'Breakout' : 'Momentum',
+  let intelligence;
+  if (dataQuality.withheld) {
+    intelligence = { ...withheldIntelligence(dataQuality, sectorFields), volumeStrength, updatedAt, updatedLabel };
+  } else {
+    const trend = computeTrendScore(niftyCandles);
+    const bankTrend = bank.candles.length >= 50 ? computeTrendScore(bank.candles) : null;
+    const momentum = computeMomentum(niftyCandles);
+    const volatility = computeVolatility(niftyCandles, vixLevel);
+
+    const openingBias = computeOpeningBias({
+      giftNiftyPositive: trend.score >= 55,
+      globalPositive: trend.score >= 50,
+      usdInrWeak: false,
+      crudeRising: false,
+    });
+
+    const marketScore = computeAgiMarketScore({
+      trend: { score: bankTrend ? Math.round((trend.score + bankTrend.score) / 2) : trend.score, label: trend.label },
+      momentum,
+      breadth,
+      volume: { score: volumeScore, label: volumeScore >= 65 ? 'Strong' : 'Normal' },
+      volatility,
+      // Share of sectors with a positive cap-weighted return.
+      sector: {
+        score: sectors.rankings.length
+          ? Math.round((sectors.rankings.filter((r) => r.direction === '↑').length / sectors.rankings.length) * 100)
+          : 50,
+      },
+      global: { score: openingBias.score },
+      // Index option positioning; left out (weight redistributed) without a snapshot.
+      options,
     });
-  }
 
-  // Default stocks if trending empty
-  if (stocksInFocus.length === 0) {
-    const defaults = [
-      { symbol: 'RELIANCE', name: 'Reliance', agiScore: 84, trend: 'Bullish', momentum: 'Strong' },
-      { symbol: 'BEL', name: 'BEL', agiScore: 79, trend: 'Bullish', momentum: 'Strong' },
-      { symbol: 'HAL', name: 'HAL', agiScore: 76, trend: 'Bullish', momentum: 'Moderate' },
-      { symbol: 'INFY', name: 'Infosys', agiScore: 58, trend: 'Neutral', momentum: 'Moderate' },
-    ];
-    stocksInFocus.push(...defaults.map((s) => ({ ...s, category: 'Watchlist' })));
+    intelligence = {
+      ...marketScore,
+      ...sectorFields,
+      openingBias: openingBias.label,
+      volumeStrength,
+      dataQuality: qualitySummary(dataQuality),
+      updatedAt,
+      updatedLabel,
+    };
   }
 
+  const stocksInFocus = await buildStocksInFocus(gainers);
   const summary = generateAgiSummary(intelligence);
   const insightStrip = buildInsightStrip(intelligence);
-  const indexSentiments = await buildIndexSentiments();
-
-  const pulse = {
-    title: 'AGI Market Pulse',
-    outlook: intelligence.outlook,
-    outlookBadge: insightStrip[0]?.value?.split(' ')[0] || '🟡',
-    confidence: intelligence.confidence,
-    momentum: intelligence.momentum,
-    risk: intelligence.risk,
-    volatility: intelligence.volatility,
-    topSector: intelligence.topSector,
-    weakestSector: intelligence.weakestSector,
-    marketBreadth: intelligence.marketBreadth,
-    openingBias: intelligence.openingBias,
-    agiMarketScore: intelligence.agiMarketScore,
-    reasons: intelligence.reasons,
-    updatedLabel,
-  };
+  const pulse = buildPulse(intelligence, insightStrip, updatedLabel);
 
   const result = {
     pulse,
@@ -384,14 +420,11 @@ async function computeIntelligence(env) {
     summary,
     sectors: sectors.rankings,
     stocksInFocus,
-    breadth: {
-      label: breadth.label,
-      advancing: breadth.advancing,
-      declining: breadth.declining,
-      ratio: breadth.ratio,
-    },
+    breadth: breadthSummary(breadth, breadthSnapshot),
     volume: { strength: intelligence.volumeStrength },
-    indexSentiments,
+    indexSentiments: indexSentiments.sentiments,
+    options,
+    dataQuality,
     disclaimer:
       'AGI proprietary analytics derived from licensed market inputs. Not raw exchange data. For informational purposes only — not investment advice.',
     source: 'agi-intelligence-engine',
@@ -399,6 +432,8 @@ async function computeIntelligence(env) {
   };
 
   lastGoodIntelligence = result;
+  publishMarketSnapshot('pulse', { ...pulse, insightStrip });
+  publishMarketSnapshot('breadth', result.breadth);
   return result;
 }
 
@@ -0,0 +1,135 @@
+/**
+ * Cron expressions evaluated on the IST wall clock (Asia/Kolkata is a fixed
+ * UTC+05:30 with no DST, so wall time is a plain offset from UTC).
+ *
+ *   ┌──────── minute        0-59
+ *   │ ┌────── hour          0-23
+ *   │ │ ┌──── day of month  1-31
+ *   │ │ │ ┌── month         1-12 or JAN-DEC
+ *   │ │ │ │ ┌ day of week   0-6 or SUN-SAT (7 is Sunday too)
+ *   * * * * *
+ *
+ * Fields take `*`, lists, ranges and steps: `0,30`, `MON-FRI`, `9-15/2`, and
+ * `5/15` (every 15 from 5). A bare `*` with a step works the usual way.
+ * As in Vixie cron, when both day fields are restricted a day matching either runs.
+ */
+
+export const IST_OFFSET_MS = 330 * 60_000;
+const MINUTE = 60_000;
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MONTH_NAMES = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+const DAY_NAMES = WEEKDAYS.map((d) => d.toUpperCase());
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTH_NAMES, base: 1 },
+  { name: 'day of week', min: 0, max: 7, names: DAY_NAMES, base: 0 },
+];
+
+function cronError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+/** IST calendar parts of an instant: { date: 'YYYY-MM-DD', hour, minute, weekday: 'Mon', dow: 1 }. */
+export function istParts(d = new Date()) {
+  const wall = new Date(new Date(d).getTime() + IST_OFFSET_MS);
+  return {
+    date: wall.toISOString().slice(0, 10),
+    hour: wall.getUTCHours(),
+    minute: wall.getUTCMinutes(),
+    weekday: WEEKDAYS[wall.getUTCDay()],
+    dow: wall.getUTCDay(),
+  };
+}
+
+function parseValue(raw, field, expr) {
+  const upper = raw.toUpperCase();
+  const named = field.names?.indexOf(upper) ?? -1;
+  const value = named >= 0 ? named + field.base : Number(raw);
+  if (!/^\d+$/.test(raw) && named < 0) throw cronError(`Invalid ${field.name} "${raw}" in cron "${expr}"`);
+  if (value < field.min || value > field.max) {
+    throw cronError(`${field.name} ${raw} is outside ${field.min}-${field.max} in cron "${expr}"`);
+  }
+  return value;
+}
+
+function parseField(source, field, expr) {
+  const values = new Set();
+  for (const part of source.split(',')) {
+    const [range, stepRaw] = part.split('/');
+    const step = stepRaw === undefined ? 1 : Number(stepRaw);
+    if (!Number.isInteger(step) || step < 1) throw cronError(`Invalid step "${part}" in cron "${expr}"`);
+    let lo;
+    let hi;
+    if (range === '*') {
+      lo = field.min;
+      hi = field.name === 'day of week' ? 6 : field.max;
+    } else {
+      const [a, b] = range.split('-');
+      lo = parseValue(a, field, expr);
+      hi = b === undefined ? (stepRaw === undefined ? lo : field.max) : parseValue(b, field, expr);
+      if (hi < lo) throw cronError(`Invalid range "${range}" in cron "${expr}"`);
+    }
+    for (let v = lo; v <= hi; v += step) values.add(field.name === 'day of week' ? v % 7 : v);
+  }
+  return values;
+}
+
+/** Parse a five-field expression; throws a 400 error naming the bad field. */
+export function parseCron(expr) {
+  const source = String(expr || '').trim();
+  const parts = source.split(/\s+/);
+  if (parts.length !== 5) throw cronError(`Cron "${source}" must have 5 fields (minute hour day month weekday)`);
+  const [minute, hour, dom, month, dow] = parts.map((part, i) => parseField(part, FIELDS[i], source));
+  return { expr: source, minute, hour, dom, month, dow, domAny: parts[2] === '*', dowAny: parts[4] === '*' };
+}
+
+function spec(cron) {
+  return typeof cron === 'string' ? parseCron(cron) : cron;
+}
+
+function dayMatches(s, wall) {
+  const dom = s.dom.has(wall.getUTCDate());
+  const dow = s.dow.has(wall.getUTCDay());
+  if (s.domAny || s.dowAny) return dom && dow;
+  return dom || dow;
+}
+
+/** First fire time strictly after `after`, or null if none within five years. */
+export function nextRun(cron, after = new Date()) {
+  const s = spec(cron);
+  let t = Math.floor((new Date(after).getTime() + IST_OFFSET_MS) / MINUTE) * MINUTE + MINUTE;
+  const limit = t + 5 * 366 * 86_400_000;
+  while (t < limit) {
+    const w = new Date(t);
+    const [y, mo, d, h] = [w.getUTCFullYear(), w.getUTCMonth(), w.getUTCDate(), w.getUTCHours()];
+    if (!s.month.has(mo + 1)) t = Date.UTC(y, mo + 1, 1);
+    else if (!dayMatches(s, w)) t = Date.UTC(y, mo, d + 1);
+    else if (!s.hour.has(h)) t = Date.UTC(y, mo, d, h + 1);
+    else if (!s.minute.has(w.getUTCMinutes())) t += MINUTE;
+    else return new Date(t - IST_OFFSET_MS);
+  }
+  return null;
+}
+
+/** Latest fire time at or before `at`, looking back at most `withinMs`; null if none. */
+export function previousRun(cron, at = new Date(), { withinMs = 86_400_000 } = {}) {
+  const s = spec(cron);
+  const now = new Date(at).getTime() + IST_OFFSET_MS;
+  let t = Math.floor(now / MINUTE) * MINUTE;
+  const floor = now - withinMs;
+  while (t >= floor) {
+    const w = new Date(t);
+    const [y, mo, d, h] = [w.getUTCFullYear(), w.getUTCMonth(), w.getUTCDate(), w.getUTCHours()];
+    if (!s.month.has(mo + 1)) t = Date.UTC(y, mo, 1) - MINUTE;
+    else if (!dayMatches(s, w)) t = Date.UTC(y, mo, d) - MINUTE;
+    else if (!s.hour.has(h)) t = Date.UTC(y, mo, d, h) - MINUTE;
+    else if (!s.minute.has(w.getUTCMinutes())) t -= MINUTE;
+    else return new Date(t - IST_OFFSET_MS);
+  }
+  return null;
+}
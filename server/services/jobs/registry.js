@@ -0,0 +1,53 @@
+/**
+ * The application's background jobs. Each service exports its definition
+ * (schedule, env switch, run function) next to the work it does; this module
+ * registers them all with the scheduler. Services that need request-time
+ * wiring register themselves (cmsArticleLearning via routes/intelligence.js).
+ */
+
+import { brokerTokenCheckJob } from '../brokerAuth.js';
+import { candleStoreJobs } from '../candleStore.js';
+import { cioMorningJob } from '../cioMorningScheduler.js';
+import { continuousGatherLearnJob } from '../continuousGatherLearnScheduler.js';
+import { economicCalendarSyncJob } from '../economicCalendar.js';
+import { hedgeFundLiveQuoteJob } from '../hedgeFundLiveQuoteScheduler.js';
+import { hedgeFundUpstoxCandleJob } from '../hedgeFundUpstoxCandleScheduler.js';
+import { hvieRuntimeJobs } from '../hvieRuntimeScheduler.js';
+import { institutionalFlowJob } from '../institutionalFlowScheduler.js';
+import { marketBreadthEodJob } from '../marketBreadth.js';
+import { optionsChainJob } from '../optionsChain.js';
+import { uifiJobs } from '../uifiScheduler.js';
+import { upstoxStatementJobs } from '../upstoxStatementScheduler.js';
+import { valuationRatiosJob } from '../valuationRatiosScheduler.js';
+import { campaignSchedulerJob } from '../publishing/campaigns.js';
+import { newsletterQueueJob } from '../publishing/sendQueue.js';
+import { defineJob, startJobScheduler } from './scheduler.js';
+
+/** Definitions read env at call time, so call this after dotenv has loaded. */
+export function registerAppJobs() {
+  const jobs = [
+    brokerTokenCheckJob(),
+    institutionalFlowJob(),
+    valuationRatiosJob(),
+    ...upstoxStatementJobs(),
+    ...hvieRuntimeJobs(),
+    ...uifiJobs(),
+    hedgeFundLiveQuoteJob(),
+    hedgeFundUpstoxCandleJob(),
+    ...candleStoreJobs(),
+    optionsChainJob(),
+    cioMorningJob(),
+    continuousGatherLearnJob(),
+    economicCalendarSyncJob(),
+    marketBreadthEodJob(),
+    newsletterQueueJob(),
+    campaignSchedulerJob(),
+  ];
+  jobs.forEach(defineJob);
+  return jobs.map((job) => job.id);
+}
+
+export function startAppJobs() {
+  registerAppJobs();
+  startJobScheduler();
+}
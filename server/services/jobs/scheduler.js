@@ -0,0 +1,441 @@
+/**
+ * Unified background job scheduler.
+ *
+ * Services describe their work with defineJob() — a cron expression on the
+ * IST clock (./cron.js) or a fixed `everyMs` interval — and one timer decides
+ * what is due. Per job, scheduled_jobs keeps the shared state every server
+ * instance reads and writes:
+ *
+ *   { paused, lock: { holder, run_id, until }, running, last_slot, retry_at,
+ *     last_run, last_success_at }
+ *
+ * - Slots: each fire time is a slot; a slot is done once a run for it succeeds
+ *   (or reports `skipped`). A cron slot missed while the server was down still
+ *   runs within `catchUpMs`. Failed or `deferred` runs retry the same slot
+ *   after `retryMs`.
+ * - Locks: a run holds a lease on its job row (renewed while it runs), taken
+ *   with a revision-checked update, so two instances never run the same job
+ *   at once and an instance that dies frees the job when its lease runs out.
+ * - History: finished runs are written to job_runs (the newest JOB_RUN_HISTORY
+ *   per job are kept). `quiet(result)` keeps idle polls out of the history.
+ *
+ * - Trading days: with `tradingDays: true` a cron job only fires on exchange
+ *   trading days (../marketCalendar.js) — holidays and weekend sessions are
+ *   handled by the calendar, not by the cron's weekday field.
+ *
+ * A job's run({ trigger, slot, force, actor, runId }) resolves with a result;
+ * `ok: false` marks the run failed, `deferred: true` retries it, `skipped: true`
+ * records a no-op. Manual triggers pass `force: true`.
+ */
+
+import crypto from 'node:crypto';
+import os from 'node:os';
+import { storage } from '../../storage/index.js';
+import { isTradingDay } from '../marketCalendar.js';
+import { nextRun, parseCron, previousRun } from './cron.js';
+
+const JOBS = 'scheduled_jobs';
+const RUNS = 'job_runs';
+
+export const RUN_STATUSES = ['running', 'succeeded', 'failed', 'deferred', 'skipped'];
+export const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+const DEFAULTS = {
+  catchUpMs: 60 * 60_000,
+  retryMs: 5 * 60_000,
+  leaseMs: 10 * 60_000,
+  initialDelayMs: 15_000,
+};
+const RESULT_MAX_CHARS = 4000;
+
+const definitions = new Map();
+/** This instance's view of each job: in-flight promise plus the last state it read or wrote. */
+const local = new Map();
+let timer = null;
+let startedAt = Date.now();
+
+const iso = (ms) => new Date(ms).toISOString();
+
+function jobError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * Register a job. `cron` or `everyMs` sets the schedule; `enabled` may be a
+ * function so env switches are read at tick time. Re-defining an id replaces it.
+ */
+export function defineJob(def) {
+  if (!def?.id || !/^[a-z0-9][a-z0-9-]*$/.test(def.id)) throw jobError('Job id must be lowercase letters, digits and dashes');
+  if (typeof def.run !== 'function') throw jobError(`Job "${def.id}" needs a run function`);
+  if (Boolean(def.cron) === Boolean(def.everyMs)) throw jobError(`Job "${def.id}" needs exactly one of cron or everyMs`);
+  if (def.everyMs && !(Number(def.everyMs) >= 1000)) throw jobError(`Job "${def.id}" everyMs must be at least 1000`);
+  if (def.tradingDays && !def.cron) throw jobError(`Job "${def.id}" tradingDays needs a cron schedule`);
+  const job = {
+    ...DEFAULTS,
+    label: def.id,
+    description: '',
+    enabled: true,
+    ...def,
+    schedule: def.cron ? parseCron(def.cron) : null,
+  };
+  definitions.set(job.id, job);
+  if (!local.has(job.id)) local.set(job.id, { running: null, state: null, recheckAt: 0 });
+  return job;
+}
+
+function definition(id) {
+  const job = definitions.get(id);
+  if (!job) throw jobError(`Unknown job "${id}"`, 404);
+  return job;
+}
+
+function isEnabled(job) {
+  return Boolean(typeof job.enabled === 'function' ? job.enabled() : job.enabled);
+}
+
+function scheduleLabel(job) {
+  if (job.cron) return `${job.cron} IST${job.tradingDays ? ', trading days' : ''}`;
+  const mins = job.everyMs / 60_000;
+  return mins >= 1 && Number.isInteger(mins) ? `every ${mins}m` : `every ${Math.round(job.everyMs / 1000)}s`;
+}
+
+/** The slot due at `now`: latest cron fire within the catch-up window, or the current interval bucket. */
+function dueSlot(job, now) {
+  if (now < startedAt + Number(job.initialDelayMs || 0)) return null;
+  if (job.everyMs) return Math.floor(now / job.everyMs) * job.everyMs;
+  const slot = previousRun(job.schedule, new Date(now), { withinMs: job.catchUpMs })?.getTime() ?? null;
+  return slot !== null && job.tradingDays && !isTradingDay(slot) ? null : slot;
+}
+
+function nextCronRun(job, now) {
+  let at = nextRun(job.schedule, new Date(now));
+  // A month of fire times is more than any run of exchange holidays.
+  for (let i = 0; at && job.tradingDays && !isTradingDay(at) && i < 31; i += 1) at = nextRun(job.schedule, at);
+  return at && (!job.tradingDays || isTradingDay(at)) ? at.toISOString() : null;
+}
+
+function nextRunAt(job, state, now) {
+  if (job.everyMs) {
+    const after = Math.max(now, startedAt + Number(job.initialDelayMs || 0));
+    const slot = Math.floor(after / job.everyMs) * job.everyMs;
+    return iso(state?.last_slot && Date.parse(state.last_slot) >= slot ? slot + job.everyMs : after);
+  }
+  const pending = dueSlot(job, now);
+  if (pending !== null && !(state?.last_slot && Date.parse(state.last_slot) >= pending)) {
+    return iso(Math.max(now, state?.retry_at ? Date.parse(state.retry_at) : now));
+  }
+  return nextCronRun(job, now);
+}
+
+function emptyState(id) {
+  return {
+    id,
+    paused: false,
+    paused_by: null,
+    paused_at: null,
+    lock: null,
+    running: null,
+    last_slot: null,
+    retry_at: null,
+    last_run: null,
+    last_success_at: null,
+    updated_at: new Date().toISOString(),
+  };
+}
+
+async function loadState(id) {
+  const state = await storage.transaction(async () => {
+    const existing = await storage.get(JOBS, id);
+    return existing || storage.put(JOBS, emptyState(id));
+  });
+  local.get(id).state = state;
+  return state;
+}
+
+function lockHeld(state, now) {
+  return Boolean(state?.lock && Date.parse(state.lock.until) > now);
+}
+
+/**
+ * Take the job's lease for one run. Returns { run } or { reason } — 'paused',
+ * 'done' (slot already ran), 'retry_wait' or 'locked'.
+ */
+async function claim(job, { trigger, slot, actor, params, now }) {
+  await loadState(job.id);
+  const run = {
+    id: crypto.randomUUID(),
+    job: job.id,
+    trigger,
+    status: 'running',
+    slot: slot === null ? null : iso(slot),
+    actor: actor || null,
+    ...(params ? { params } : {}),
+    holder: INSTANCE_ID,
+    started_at: iso(now),
+  };
+  let reason = null;
+  const state = await storage.update(JOBS, job.id, (s) => {
+    if (trigger === 'schedule') {
+      if (s.paused) reason = 'paused';
+      else if (s.last_slot && Date.parse(s.last_slot) >= slot) reason = 'done';
+      else if (s.retry_at && Date.parse(s.retry_at) > now) reason = 'retry_wait';
+    }
+    if (!reason && lockHeld(s, now)) reason = 'locked';
+    if (reason) return null;
+    return {
+      ...s,
+      lock: { holder: INSTANCE_ID, run_id: run.id, until: iso(now + job.leaseMs) },
+      running: { run_id: run.id, trigger, actor: run.actor, started_at: run.started_at, holder: INSTANCE_ID },
+      updated_at: iso(now),
+    };
+  });
+  local.get(job.id).state = state;
+  return reason ? { reason, state } : { run, state };
+}
+
+function outcome(result, error) {
+  if (error) return { status: 'failed', error: error.message || String(error) };
+  if (result?.deferred) return { status: 'deferred', error: result.reason || null };
+  if (result?.ok === false) return { status: 'failed', error: result.error || result.reason || 'Run reported failure' };
+  if (result?.skipped) return { status: 'skipped', error: null };
+  return { status: 'succeeded', error: null };
+}
+
+function summarize(result) {
+  if (result === undefined || result === null) return null;
+  try {
+    const json = JSON.stringify(result);
+    return json.length > RESULT_MAX_CHARS ? { truncated: true, preview: json.slice(0, RESULT_MAX_CHARS) } : JSON.parse(json);
+  } catch {
+    return { unserializable: true };
+  }
+}
+
+async function pruneRuns(jobId) {
+  const keep = Math.max(1, Number(process.env.JOB_RUN_HISTORY || 200));
+  const stale = await storage.find(RUNS, { where: { job: jobId }, orderBy: '-started_at', offset: keep, limit: 500 });
+  for (const row of stale) await storage.remove(RUNS, row.id);
+}
+
+async function execute(job, run, slot) {
+  const renew = setInterval(() => {
+    storage.update(JOBS, job.id, (s) => (s.lock?.run_id === run.id
+      ? { ...s, lock: { ...s.lock, until: iso(Date.now() + job.leaseMs) } }
+      : null)).catch(() => {});
+  }, Math.max(1000, job.leaseMs / 2));
+  renew.unref?.();
+
+  const t0 = Date.now();
+  let result;
+  let error = null;
+  try {
+    result = await job.run({ trigger: run.trigger, slot: slot === null ? null : new Date(slot), force: run.trigger === 'manual', actor: run.actor, runId: run.id, params: run.params || {} });
+  } catch (err) {
+    error = err;
+  } finally {
+    clearInterval(renew);
+  }
+
+  // Measured from the claim's clock so a tick's `now` carries through to retry_at.
+  const finishedAt = Date.parse(run.started_at) + (Date.now() - t0);
+  const { status, error: message } = outcome(result, error);
+  const done = {
+    ...run,
+    status,
+    error: message,
+    result: summarize(result),
+    finished_at: iso(finishedAt),
+    duration_ms: finishedAt - Date.parse(run.started_at),
+  };
+  const settled = ['succeeded', 'skipped'].includes(status);
+  const quiet = settled && Boolean(job.quiet?.(result));
+
+  const state = await storage.transaction(async () => {
+    const next = await storage.update(JOBS, job.id, (s) => {
+      const patch = {
+        last_run: { id: run.id, status, trigger: run.trigger, started_at: run.started_at, finished_at: done.finished_at, duration_ms: done.duration_ms, error: message },
+        updated_at: iso(finishedAt),
+      };
+      if (s.lock?.run_id === run.id) Object.assign(patch, { lock: null, running: null });
+      if (settled) {
+        patch.last_success_at = done.finished_at;
+        patch.retry_at = null;
+        if (slot !== null && !(s.last_slot && Date.parse(s.last_slot) >= slot)) patch.last_slot = iso(slot);
+      } else if (run.trigger === 'schedule') {
+        patch.retry_at = iso(finishedAt + job.retryMs);
+      }
+      return { ...s, ...patch };
+    });
+    if (!quiet) {
+      await storage.put(RUNS, done);
+      await pruneRuns(job.id);
+    }
+    return next;
+  });
+  local.get(job.id).state = state;
+  if (status === 'failed') console.warn(`[jobs] ${job.id} failed:`, message);
+  return done;
+}
+
+function start(job, run, slot) {
+  const entry = local.get(job.id);
+  entry.running = execute(job, run, slot).finally(() => {
+    entry.running = null;
+  });
+  return entry.running;
+}
+
+/**
+ * Start every enabled job whose slot is due. Resolves when the runs started by
+ * this tick finish; the timer does not wait on it.
+ */
+export async function runDueJobs(now = Date.now()) {
+  const started = [];
+  for (const job of definitions.values()) {
+    const entry = local.get(job.id);
+    if (!isEnabled(job) || entry.running) continue;
+    const slot = dueSlot(job, now);
+    if (slot === null) continue;
+    // Skip the storage round trip while this instance already knows the slot is settled.
+    const known = entry.state;
+    if (known?.last_slot && Date.parse(known.last_slot) >= slot) continue;
+    if (known?.retry_at && Date.parse(known.retry_at) > now) continue;
+    if (entry.recheckAt > now) continue;
+    try {
+      const { run, reason } = await claim(job, { trigger: 'schedule', slot, now });
+      if (run) started.push(start(job, run, slot));
+      // Paused here or running elsewhere: look again in a minute rather than every tick.
+      else if (reason === 'paused' || reason === 'locked') entry.recheckAt = now + Math.min(60_000, job.everyMs || 60_000);
+    } catch (err) {
+      console.warn(`[jobs] ${job.id} claim failed:`, err.message);
+    }
+  }
+  return Promise.all(started);
+}
+
+/**
+ * Run a job now regardless of its schedule (admin "Run now"). Rejects with 409
+ * while it is already running here or on another instance. `params` reach the
+ * run function as `params` and are kept on the run row. Returns the running
+ * run and, as `done`, the promise of its finished row.
+ */
+export async function triggerJob(id, { actor, params } = {}) {
+  const job = definition(id);
+  if (local.get(id).running) throw jobError(`Job "${id}" is already running`, 409);
+  const now = Date.now();
+  const slot = dueSlot(job, now);
+  const { run, state } = await claim(job, { trigger: 'manual', slot, actor, params, now });
+  if (!run) throw jobError(`Job "${id}" is already running on ${state.lock?.holder || 'another instance'}`, 409);
+  return { run, done: start(job, run, slot) };
+}
+
+async function setPaused(id, paused, actor) {
+  definition(id);
+  await loadState(id);
+  const state = await storage.update(JOBS, id, (s) => ({
+    ...s,
+    paused,
+    paused_by: paused ? actor || null : null,
+    paused_at: paused ? new Date().toISOString() : null,
+    updated_at: new Date().toISOString(),
+  }));
+  Object.assign(local.get(id), { state, recheckAt: 0 });
+  return describe(definition(id), state);
+}
+
+/** Paused jobs skip their schedule (manual runs still work); a run in progress finishes. */
+export function pauseJob(id, actor) {
+  return setPaused(id, true, actor);
+}
+
+export function resumeJob(id, actor) {
+  return setPaused(id, false, actor);
+}
+
+function describe(job, state, now = Date.now()) {
+  const running = lockHeld(state, now) ? state.running : null;
+  return {
+    id: job.id,
+    label: job.label,
+    description: job.description,
+    group: job.group || null,
+    schedule: scheduleLabel(job),
+    cron: job.cron || null,
+    every_ms: job.everyMs || null,
+    trading_days: Boolean(job.tradingDays),
+    enabled: isEnabled(job),
+    paused: Boolean(state?.paused),
+    paused_by: state?.paused_by || null,
+    paused_at: state?.paused_at || null,
+    running,
+    last_run: state?.last_run || null,
+    last_success_at: state?.last_success_at || null,
+    retry_at: state?.retry_at || null,
+    next_run_at: isEnabled(job) && !state?.paused ? nextRunAt(job, state, now) : null,
+  };
+}
+
+export async function listJobs() {
+  const jobs = [];
+  for (const job of definitions.values()) jobs.push(describe(job, await loadState(job.id)));
+  return jobs;
+}
+
+export async function getJob(id) {
+  const job = definitions.get(id);
+  return job ? describe(job, await loadState(id)) : null;
+}
+
+export function listJobRuns(id, { limit = 50, status } = {}) {
+  definition(id);
+  return storage.find(RUNS, {
+    where: { job: id, status: status || undefined },
+    orderBy: '-started_at',
+    limit: Math.min(500, Math.max(1, Number(limit) || 50)),
+  });
+}
+
+/**
+ * This instance's last known state for one job, synchronously — for the
+ * per-service status endpoints. Null for unregistered jobs.
+ */
+export function getJobStatus(id) {
+  const job = definitions.get(id);
+  if (!job) return null;
+  const state = local.get(id).state;
+  return {
+    ...describe(job, state),
+    running: Boolean(local.get(id).running) || Boolean(lockHeld(state, Date.now()) && state.running),
+    scheduler: Boolean(timer),
+  };
+}
+
+export function startJobScheduler() {
+  if (timer) return;
+  if (String(process.env.JOB_SCHEDULER || 'true').toLowerCase() === 'false') {
+    console.info('[jobs] scheduler disabled on this instance (JOB_SCHEDULER=false) — jobs can still be run from the admin API');
+    return;
+  }
+  startedAt = Date.now();
+  const tickMs = Math.max(1000, Number(process.env.JOB_SCHEDULER_TICK_MS || 5000));
+  timer = setInterval(() => {
+    runDueJobs().catch((err) => console.warn('[jobs] tick failed:', err.message));
+  }, tickMs);
+  timer.unref?.();
+  console.info(`[jobs] scheduler active — ${definitions.size} jobs, tick ${tickMs}ms, instance ${INSTANCE_ID}`);
+}
+
+export function stopJobScheduler() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+/** Tests: forget registrations and treat `at` as boot time for initial delays. */
+export function resetJobScheduler({ at = Date.now() } = {}) {
+  stopJobScheduler();
+  definitions.clear();
+  local.clear();
+  startedAt = at;
+}
@@ -4,6 +4,7 @@
  */
 
 import { getMacroContext } from './macroContextService.js';
+import { describeRelease, getCalendarDigest } from './economicCalendar.js';
 import {
   getBriefingCache,
   saveBriefingCache,
@@ -228,21 +229,37 @@ function buildChiefEconomistBrief(context) {
   };
 }
 
-function buildCalendar() {
-  const base = new Date();
-  const addDays = (n) => {
-    const d = new Date(base);
-    d.setDate(d.getDate() + n);
-    return d.toLocaleDateString('en-GB', { day: '2-digit', month: 'short' });
-  };
-  return [
-    { event: 'India CPI', date: addDays(3), importance: 'High', sectors: ['Banks', 'Autos', 'FMCG'], note: 'Inflation prints shape RBI room and rate-sensitive demand.' },
-    { event: 'RBI policy decision', date: addDays(12), importance: 'High', sectors: ['Banks', 'Real Estate', 'NBFCs'], note: 'Policy language matters as much as the action for financial conditions.' },
-    { event: 'US Core PCE / Fed communication', date: addDays(5), importance: 'High', sectors: ['IT', 'Financials', 'Metals'], note: 'Global yields and the dollar transmit into Indian risk appetite.' },
-    { event: 'India GDP / PMI', date: addDays(8), importance: 'Medium', sectors: ['Industrials', 'Banks', 'Consumption'], note: 'Growth confirmation supports domestic cyclicals if inflation stays contained.' },
-    { event: 'US Employment', date: addDays(10), importance: 'High', sectors: ['IT', 'Banks', 'Metals'], note: 'US labour data can reprice global financial conditions quickly.' },
-    { event: 'OPEC / oil supply updates', date: addDays(14), importance: 'High', sectors: ['Energy', 'Airlines', 'Chemicals'], note: 'Oil remains the fastest macro shock channel for India.' },
-  ];
+/** Upcoming releases from the economic calendar (services/economicCalendar.js). */
+function buildCalendar(digest) {
+  return (digest?.upcoming || []).map((item) => ({
+    id: item.id,
+    key: item.key,
+    event: item.event,
+    country: item.country,
+    date: new Date(item.scheduled_at).toLocaleDateString('en-GB', { day: '2-digit', month: 'short', timeZone: 'Asia/Kolkata' }),
+    scheduledAt: item.scheduled_at,
+    period: item.period,
+    importance: item.importance,
+    sectors: item.sectors,
+    consensus: item.consensus,
+    previous: item.previous,
+    note: item.note || (item.consensus != null ? `Consensus ${item.consensus}${item.unit === '%' ? '%' : ''}` : 'Consensus pending'),
+  }));
+}
+
+/** Released prints that missed consensus, biggest surprise first — ids are `release-<event id>`. */
+function buildReleaseChanges(digest) {
+  return (digest?.surprises || []).slice(0, 3).map((item) => ({
+    id: `release-${item.id}`,
+    title: item.event,
+    move: describeRelease(item),
+    why: `${item.surprise_direction === 'above' ? 'Above' : 'Below'} consensus${item.period ? ` for ${item.period}` : ''}; ${
+      item.tone === 'negative' ? 'reads as a headwind' : 'reads as supportive'} for ${item.sectors.slice(0, 2).join(' and ')}.`,
+    impact: item.category === 'policy' ? 'Rate path repricing' : item.category === 'inflation' ? 'Policy room' : 'Growth read-through',
+    tone: item.tone,
+    surpriseScore: item.surprise_score,
+    releasedAt: item.released_at,
+  }));
 }
 
 function formatPct(value, digits = 1) {
@@ -342,6 +359,7 @@ function buildWhatChanged(context, brief) {
   const us10y = (context.fred || []).find((item) => /10y/i.test(item.label));
   const weather = context.weather || {};
   return [
+    ...buildReleaseChanges(context.economicCalendar),
     {
       id: 'oil',
       title: 'Crude Oil',
@@ -496,7 +514,7 @@ function buildBriefing(context) {
       rates: context.fred,
       worldBank: context.worldBank,
       weather: context.weather,
-      calendar: buildCalendar(),
+      calendar: buildCalendar(context.economicCalendar),
       policyTracker: buildPolicyTracker(),
       risks: brief.keyRisks,
       headlines: (context.headlines || []).slice(0, 6),
@@ -577,7 +595,29 @@ async function enrichWithLlm(briefing) {
   }
 }
 
-export async function getMacroBriefing({ force = false } = {}) {
+/**
+ * Releases land between rebuilds — overlay the current calendar and surprise
+ * items on whichever briefing is served (memory, repository or fresh).
+ */
+async function withEconomicCalendar(briefing) {
+  const digest = await getCalendarDigest().catch((error) => {
+    console.warn('[macro-briefing] economic calendar unavailable:', error.message);
+    return null;
+  });
+  if (!digest || !briefing?.workspace) return briefing;
+  const standing = (briefing.workspace.whatChanged || []).filter((item) => !String(item.id).startsWith('release-'));
+  return {
+    ...briefing,
+    workspace: { ...briefing.workspace, whatChanged: [...buildReleaseChanges(digest), ...standing] },
+    snapshot: { ...briefing.snapshot, calendar: buildCalendar(digest) },
+  };
+}
+
+export async function getMacroBriefing(options = {}) {
+  return withEconomicCalendar(await loadMacroBriefing(options));
+}
+
+async function loadMacroBriefing({ force = false } = {}) {
   if (!force && memory?.workspace && isFresh({ expiresAt: memory.refreshesAt })) {
     return { ...memory, fromCache: true };
   }
@@ -618,8 +658,11 @@ export async function getMacroBriefing({ force = false } = {}) {
         : null;
 
     try {
-      const context = await getMacroContext({ force });
-      const briefing = await enrichWithLlm(buildBriefing(context));
+      const [context, economicCalendar] = await Promise.all([
+        getMacroContext({ force }),
+        getCalendarDigest().catch(() => null),
+      ]);
+      const briefing = await enrichWithLlm(buildBriefing({ ...context, economicCalendar }));
       const saved = await saveBriefingCache(briefing, {
         ttlMs: CACHE_MS,
         aiGenerated: Boolean(briefing.aiGenerated),
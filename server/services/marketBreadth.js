@@ -0,0 +1,396 @@
+/**
+ * Market breadth and sector performance from index constituents.
+ *
+ * The universe is one of the constituent files in /indices (Nifty 500 by
+ * default, MARKET_BREADTH_UNIVERSE to change it); each row's Industry is its
+ * sector. Two collections back the engine:
+ *
+ * - `breadth_constituents` — per-symbol daily statistics (50/200-DMA, 52-week
+ *   high/low, market cap) refreshed after the close by the
+ *   `market-breadth-eod` job from daily candles and the Capital IQ
+ *   valuation-consensus market caps held by the intelligence engine.
+ * - `breadth_snapshots` — one row per trading session: advance/decline, share
+ *   of the universe above its 50/200-DMA, new 52-week highs/lows and
+ *   market-cap-weighted sector returns, computed from live constituent quotes.
+ *
+ * The dashboard, outlook and briefings read the snapshot; when no quotes are
+ * available they get null rather than a made-up count.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { storage } from '../storage/index.js';
+import { csvCells } from '../lib/csv.js';
+import { normalizeCandles, sma } from '../lib/indicators.js';
+import { fetchCandles, fetchQuotes } from '../providers/registry.js';
+import { oncePerMarketCycle } from '../config/marketRefresh.js';
+import { getMarketStatus } from './marketCalendar.js';
+import { computeBreadth } from './marketIntelligenceEngine.js';
+import { barDate } from './dataQuality.js';
+import { getJobStatus } from './jobs/scheduler.js';
+
+const CONSTITUENTS = 'breadth_constituents';
+const SNAPSHOTS = 'breadth_snapshots';
+const INDICES_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../../indices');
+const DAY_MS = 86_400_000;
+/** Groww batch quote endpoints accept at most 50 symbols per call. */
+const QUOTE_BATCH = 50;
+/** Daily bars requested per constituent — enough for a 200-DMA and a 52-week range. */
+const HISTORY_DAYS = 400;
+/** Below this share of the universe quoted, a snapshot says more about the feed than the market. */
+const MIN_COVERAGE = 0.2;
+const SYMBOL_SAMPLE = 10;
+
+const round = (value, digits = 2) => (Number.isFinite(value) ? Number(value.toFixed(digits)) : null);
+const pct = (count, of) => (of ? round((count / of) * 100, 1) : null);
+
+function breadthError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+export function breadthUniverse() {
+  return String(process.env.MARKET_BREADTH_UNIVERSE || 'Nifty500').trim();
+}
+
+/** Constituents of an /indices file: { symbol, name, sector, isin }. */
+export function loadConstituents(universe = breadthUniverse()) {
+  if (!/^[A-Za-z0-9]+$/.test(universe)) throw breadthError(`Unknown breadth universe "${universe}"`);
+  const file = path.join(INDICES_DIR, `${universe}.csv`);
+  if (!fs.existsSync(file)) throw breadthError(`Unknown breadth universe "${universe}"`, 404);
+  const [header, ...lines] = fs.readFileSync(file, 'utf8').split(/\r?\n/).filter((line) => line.trim());
+  const columns = csvCells(header).map((h) => h.trim().toLowerCase());
+  const col = (name) => columns.findIndex((h) => h.startsWith(name));
+  const [nameIdx, sectorIdx, symbolIdx, isinIdx] = [col('company'), col('industry'), col('symbol'), col('isin')];
+  const seen = new Set();
+  const out = [];
+  for (const line of lines) {
+    const cells = csvCells(line).map((c) => c.trim());
+    const symbol = String(cells[symbolIdx] || '').toUpperCase();
+    if (!symbol || seen.has(symbol)) continue;
+    seen.add(symbol);
+    out.push({
+      symbol,
+      name: cells[nameIdx] || symbol,
+      sector: cells[sectorIdx] || 'Others',
+      isin: cells[isinIdx] || null,
+    });
+  }
+  return out;
+}
+
+// ── Constituent statistics (EOD) ─────────────────────────────────────────────
+
+function range(bars) {
+  if (!bars.length) return [null, null];
+  return [Math.max(...bars.map((b) => b.high ?? b.close)), Math.min(...bars.map((b) => b.low ?? b.close))];
+}
+
+/**
+ * DMA and 52-week range from oldest-first daily candles. The `prior_` range
+ * leaves out the latest bar, so a snapshot taken on the day the statistics
+ * already include can still tell a fresh high from an old one.
+ */
+export function constituentStats(rawCandles) {
+  const bars = normalizeCandles(rawCandles)
+    .map((bar) => ({ ...bar, date: barDate(bar.time) }))
+    .filter((bar) => bar.date);
+  if (!bars.length) return null;
+  const last = bars[bars.length - 1];
+  const yearAgo = new Date(Date.parse(`${last.date}T00:00:00Z`) - 365 * DAY_MS).toISOString().slice(0, 10);
+  const year = bars.filter((bar) => bar.date > yearAgo);
+  const closes = bars.map((bar) => bar.close);
+  const [high, low] = range(year);
+  const [priorHigh, priorLow] = range(year.slice(0, -1));
+  return {
+    as_of: last.date,
+    bars: bars.length,
+    last_close: last.close,
+    dma50: round(sma(closes, 50)),
+    dma200: round(sma(closes, 200)),
+    high_52w: high,
+    low_52w: low,
+    prior_high_52w: priorHigh,
+    prior_low_52w: priorLow,
+  };
+}
+
+function engineConfig() {
+  let baseUrl = (process.env.AGIB_INTELLIGENCE_ENGINE_URL || process.env.INTELLIGENCE_ENGINE_URL || '').replace(/\/$/, '');
+  if (baseUrl && !/^https?:\/\//i.test(baseUrl)) baseUrl = `https://${baseUrl}`;
+  const token = (process.env.AGIB_SERVICE_TOKEN || process.env.INTELLIGENCE_ENGINE_TOKEN || '').trim();
+  return { baseUrl, token };
+}
+
+/** Capital IQ tickers arrive as "NSEI:TCS", "TCS.NS" or plain symbols. */
+export function tickerSymbol(ticker) {
+  return String(ticker || '').toUpperCase().split(':').pop().replace(/\.(NS|BO)$/, '').trim();
+}
+
+/**
+ * Market caps (symbol → value) from the published valuation-consensus rows.
+ * An unconfigured or unreachable engine yields an empty map; stored caps
+ * from earlier refreshes are kept.
+ */
+export async function fetchEngineMarketCaps({ fetchImpl = globalThis.fetch } = {}) {
+  const { baseUrl, token } = engineConfig();
+  const caps = new Map();
+  if (!baseUrl || !token) return caps;
+  for (let page = 1, pages = 1; page <= pages && page <= 20; page += 1) {
+    const response = await fetchImpl(
+      `${baseUrl}/v1/valuation-consensus/rows?page=${page}&page_size=500&sort=market_cap&sort_dir=desc`,
+      { headers: { Accept: 'application/json', Authorization: `Bearer ${token}` }, signal: AbortSignal.timeout(60_000) },
+    );
+    if (!response.ok) throw new Error(`valuation_consensus_http_${response.status}`);
+    const data = await response.json();
+    pages = Number(data?.pages) || 1;
+    for (const row of data?.items || []) {
+      const cap = Number(row.market_cap);
+      const symbol = tickerSymbol(row.ticker);
+      if (symbol && Number.isFinite(cap) && cap > 0 && !caps.has(symbol)) caps.set(symbol, cap);
+    }
+  }
+  return caps;
+}
+
+/**
+ * Recomputes every constituent's statistics from daily candles. Symbols whose
+ * candles cannot be fetched keep their previous row and are counted as failed.
+ */
+export async function refreshConstituentStats({
+  universe = breadthUniverse(),
+  candlesImpl = fetchCandles,
+  marketCapsImpl = fetchEngineMarketCaps,
+  now = Date.now(),
+} = {}) {
+  const constituents = loadConstituents(universe);
+  const caps = await Promise.resolve()
+    .then(() => marketCapsImpl())
+    .catch((err) => {
+      console.warn('[breadth] market caps unavailable:', err?.message || err);
+      return new Map();
+    });
+  const refreshedAt = new Date(now).toISOString();
+  let refreshed = 0;
+  const failed = [];
+  for (const item of constituents) {
+    const previous = await storage.get(CONSTITUENTS, item.symbol);
+    const marketCap = caps.get(item.symbol) ?? previous?.market_cap ?? null;
+    let stats = null;
+    try {
+      const { candles } = await candlesImpl(
+        { exchange: 'NSE', symbol: item.symbol, isin: item.isin, class: 'equity' },
+        { days: HISTORY_DAYS, to: new Date(now) },
+      );
+      stats = constituentStats(candles);
+    } catch (err) {
+      console.warn(`[breadth] candles failed for ${item.symbol}:`, err?.message || err);
+    }
+    if (!stats) failed.push(item.symbol);
+    await storage.put(CONSTITUENTS, {
+      ...(previous || {}),
+      ...item,
+      id: item.symbol,
+      universe,
+      market_cap: marketCap,
+      market_cap_source: caps.has(item.symbol) ? 'capital_iq' : previous?.market_cap_source ?? null,
+      ...(stats ? { ...stats, refreshed_at: refreshedAt } : {}),
+    });
+    if (stats) refreshed += 1;
+  }
+  return {
+    universe,
+    constituents: constituents.length,
+    refreshed,
+    failed: failed.length,
+    failed_symbols: failed.slice(0, SYMBOL_SAMPLE),
+    market_caps: constituents.filter((c) => caps.has(c.symbol)).length,
+  };
+}
+
+// ── Session snapshot ─────────────────────────────────────────────────────────
+
+/**
+ * Sector return weighted by market cap across the members that have one;
+ * a sector with no caps at all falls back to an equal weight and says so.
+ */
+function sectorReturn(members) {
+  const capped = members.filter((m) => m.market_cap > 0);
+  if (capped.length) {
+    const total = capped.reduce((sum, m) => sum + m.market_cap, 0);
+    return {
+      return_pct: round(capped.reduce((sum, m) => sum + m.change_pct * m.market_cap, 0) / total),
+      weighting: 'market_cap',
+      weighted: capped.length,
+      market_cap: total,
+    };
+  }
+  return {
+    return_pct: round(members.reduce((sum, m) => sum + m.change_pct, 0) / members.length),
+    weighting: 'equal',
+    weighted: members.length,
+    market_cap: null,
+  };
+}
+
+/**
+ * Breadth for one session from constituent rows (statistics merged in) and
+ * quotes ({ id: symbol, price, percentChange }). Pure — no I/O.
+ */
+export function computeBreadthSnapshot(constituents, quotes, { date, universe = breadthUniverse(), now = Date.now() } = {}) {
+  const bySymbol = new Map(quotes.map((q) => [String(q.id || q.symbol || '').toUpperCase(), q]));
+  const rows = [];
+  for (const c of constituents) {
+    const quote = bySymbol.get(c.symbol);
+    const price = Number(quote?.price);
+    const change = Number(quote?.percentChange);
+    if (!(price > 0) || !Number.isFinite(change)) continue;
+    rows.push({ ...c, price, change_pct: change });
+  }
+  if (!rows.length || rows.length < constituents.length * MIN_COVERAGE) return null;
+
+  const advances = rows.filter((r) => r.change_pct > 0).length;
+  const declines = rows.filter((r) => r.change_pct < 0).length;
+  const withDma50 = rows.filter((r) => r.dma50 > 0);
+  const withDma200 = rows.filter((r) => r.dma200 > 0);
+  // Statistics refreshed after today's close already contain today's bar.
+  const reference = (r, field) => (r.as_of && r.as_of >= date ? r[`prior_${field}`] : r[field]);
+  const highs = rows.filter((r) => reference(r, 'high_52w') > 0 && r.price >= reference(r, 'high_52w'));
+  const lows = rows.filter((r) => reference(r, 'low_52w') > 0 && r.price <= reference(r, 'low_52w'));
+  const { label, score, ratio } = computeBreadth(advances, declines);
+
+  const sectors = new Map();
+  for (const row of rows) {
+    if (!sectors.has(row.sector)) sectors.set(row.sector, []);
+    sectors.get(row.sector).push(row);
+  }
+  const sectorRows = [...sectors.entries()]
+    .map(([name, members]) => ({
+      name,
+      ...sectorReturn(members),
+      constituents: constituents.filter((c) => c.sector === name).length,
+      quoted: members.length,
+      advances: members.filter((m) => m.change_pct > 0).length,
+      declines: members.filter((m) => m.change_pct < 0).length,
+    }))
+    .sort((a, b) => b.return_pct - a.return_pct);
+
+  const statsDates = constituents.map((c) => c.as_of).filter(Boolean).sort();
+  return {
+    id: date,
+    date,
+    universe,
+    as_of: new Date(now).toISOString(),
+    constituents: constituents.length,
+    quoted: rows.length,
+    advances,
+    declines,
+    unchanged: rows.length - advances - declines,
+    ad_ratio: ratio == null ? null : round(ratio),
+    label,
+    score,
+    above_50dma: withDma50.filter((r) => r.price > r.dma50).length,
+    pct_above_50dma: pct(withDma50.filter((r) => r.price > r.dma50).length, withDma50.length),
+    above_200dma: withDma200.filter((r) => r.price > r.dma200).length,
+    pct_above_200dma: pct(withDma200.filter((r) => r.price > r.dma200).length, withDma200.length),
+    dma_coverage: withDma200.length,
+    new_highs: highs.length,
+    new_lows: lows.length,
+    new_high_symbols: highs.sort((a, b) => b.change_pct - a.change_pct).slice(0, SYMBOL_SAMPLE).map((r) => r.symbol),
+    new_low_symbols: lows.sort((a, b) => a.change_pct - b.change_pct).slice(0, SYMBOL_SAMPLE).map((r) => r.symbol),
+    sectors: sectorRows,
+    stats_as_of: statsDates[statsDates.length - 1] || null,
+  };
+}
+
+/** Constituents merged with their stored statistics. */
+async function constituentRows(universe) {
+  const stored = new Map((await storage.find(CONSTITUENTS)).map((row) => [row.id, row]));
+  return loadConstituents(universe).map((c) => ({ ...(stored.get(c.symbol) || {}), ...c }));
+}
+
+async function quoteConstituents(constituents, quotesImpl) {
+  const quotes = [];
+  for (let i = 0; i < constituents.length; i += QUOTE_BATCH) {
+    const batch = constituents.slice(i, i + QUOTE_BATCH)
+      .map((c) => ({ id: c.symbol, symbol: c.symbol, name: c.name, exchange: 'NSE' }));
+    const rows = await quotesImpl(batch, { instrumentClass: 'equity' }).catch(() => []);
+    quotes.push(...rows);
+  }
+  return quotes;
+}
+
+export async function getLatestBreadthSnapshot() {
+  const [latest] = await storage.find(SNAPSHOTS, { orderBy: '-date', limit: 1 });
+  return latest || null;
+}
+
+export function listBreadthSnapshots({ limit = 20 } = {}) {
+  return storage.find(SNAPSHOTS, { orderBy: '-date', limit: Math.min(250, Math.max(1, Number(limit) || 20)) });
+}
+
+/**
+ * Quotes the universe and stores the session's snapshot. Outside a session
+ * (pre-open, weekends, holidays) nothing is fetched and the last stored
+ * snapshot is returned. Null when neither exists.
+ */
+export async function refreshMarketBreadth({ now = Date.now(), quotesImpl = fetchQuotes, universe = breadthUniverse() } = {}) {
+  const status = getMarketStatus(now);
+  if (status.phase !== 'open' && status.phase !== 'closed') return getLatestBreadthSnapshot();
+  const constituents = await constituentRows(universe);
+  const quotes = await quoteConstituents(constituents, quotesImpl);
+  const snapshot = computeBreadthSnapshot(constituents, quotes, { date: status.session.date, universe, now });
+  if (!snapshot) return getLatestBreadthSnapshot();
+  await storage.put(SNAPSHOTS, { ...snapshot, final: status.phase === 'closed' });
+  return { ...snapshot, final: status.phase === 'closed' };
+}
+
+/** Snapshot for the current market cycle — shared by dashboard, outlook and intelligence. */
+export function getMarketBreadth() {
+  return oncePerMarketCycle('market-breadth', () => refreshMarketBreadth()).catch((err) => {
+    console.warn('[breadth] refresh failed:', err?.message || err);
+    return getLatestBreadthSnapshot().catch(() => null);
+  });
+}
+
+/** Sector changes in the shape computeSectorStrength() expects. */
+export function breadthSectorChanges(snapshot) {
+  return (snapshot?.sectors || []).map((s) => ({ name: s.name, change: s.return_pct }));
+}
+
+/** One-line read of a snapshot for briefing copy. */
+export function describeBreadth(snapshot) {
+  if (!snapshot) return null;
+  const parts = [`${snapshot.advances} advances vs ${snapshot.declines} declines across ${snapshot.quoted} ${snapshot.universe.replace(/^Nifty/, 'Nifty ')} stocks`];
+  if (snapshot.pct_above_200dma != null) parts.push(`${snapshot.pct_above_200dma}% above the 200-DMA`);
+  parts.push(`${snapshot.new_highs} new 52-week highs, ${snapshot.new_lows} new lows`);
+  return parts.join('; ');
+}
+
+async function runEod() {
+  // Record the closing snapshot before the statistics absorb today's bar.
+  const snapshot = await refreshMarketBreadth();
+  const stats = await refreshConstituentStats();
+  return { snapshot: snapshot?.date || null, ...stats };
+}
+
+export function marketBreadthEodJob() {
+  return {
+    id: 'market-breadth-eod',
+    label: 'Market breadth (EOD)',
+    description: 'Stores the closing breadth snapshot, then refreshes constituent DMAs, 52-week ranges and market caps.',
+    group: 'market-data',
+    cron: '45 15 * * *',
+    tradingDays: true,
+    catchUpMs: 12 * 60 * 60_000,
+    retryMs: 30 * 60_000,
+    enabled: () => process.env.MARKET_BREADTH !== 'false',
+    run: runEod,
+  };
+}
+
+export function getMarketBreadthJobStatus() {
+  return getJobStatus('market-breadth-eod');
+}
@@ -1,6 +1,8 @@
 import { getAgiIntelligence } from './intelligenceService.js';
 import { getMarketContext } from './marketContextService.js';
 import { getMarketSessionFacts } from './marketSessionFactsService.js';
+import { getMarketStatus } from './marketCalendar.js';
+import { istParts } from './jobs/cron.js';
 
 const CACHE_MS = 10 * 60 * 1000;
 const MAX_ARTICLES = 16;
@@ -34,6 +36,13 @@ function unique(values) {
 }
 
 function moodFrom(outlook = {}) {
+  if (outlook.dataQuality?.withheld) {
+    return {
+      label: outlook.outlook,
+      confidence: null,
+      rationale: `The AGI market read is withheld: ${outlook.dataQuality.reasons.slice(0, 2).join('; ') || 'inputs are insufficient'}.`,
+    };
+  }
   const mood = outlook.outlook || 'Neutral';
   return {
     label: mood,
@@ -74,7 +83,7 @@ function buildSectorImpact(intelligence, newsCategories = []) {
     timeHorizon: 'Near term',
     supportingEvidence: [
       `Sector model condition: ${sector.strength || 'Mixed'}.`,
-      `Market breadth: ${intelligence.outlook?.marketBreadth || 'Neutral'}.`,
+      `Market breadth: ${intelligence.outlook?.marketBreadth || 'Neutral'}${intelligence.breadth?.read ? ` (${intelligence.breadth.read})` : ''}.`,
       ...(newsCategories.length ? [`Relevant news context: ${newsCategories.slice(0, 2).join(' and ')}.`] : []),
     ],
     contradictingEvidence: [
@@ -161,7 +170,7 @@ function buildReasoning(intelligence, mood, drivers, sectors, risks, events) {
   const negativeDrivers = drivers.filter((driver) => /weak|easing|limited/i.test(`${driver.conclusion} ${driver.explanation}`)).slice(0, 2);
   const weakest = sectors.find((sector) => sector.direction === 'Negative');
   const strongest = sectors.find((sector) => sector.direction === 'Positive');
-  const confidenceRationale = `Confidence is ${mood.confidence >= 75 ? 'high' : mood.confidence >= 55 ? 'moderate' : 'limited'} because ${String(intelligence.outlook?.marketBreadth || 'neutral').toLowerCase()} breadth and ${String(intelligence.outlook?.momentum || 'moderate').toLowerCase()} momentum ${mood.confidence >= 55 ? 'provide some alignment' : 'do not yet provide strong alignment'}, while model risk remains ${String(intelligence.outlook?.risk || 'medium').toLowerCase()}.`;
+  const confidenceRationale = mood.confidence == null ? mood.rationale : `Confidence is ${mood.confidence >= 75 ? 'high' : mood.confidence >= 55 ? 'moderate' : 'limited'} because ${String(intelligence.outlook?.marketBreadth || 'neutral').toLowerCase()} breadth and ${String(intelligence.outlook?.momentum || 'moderate').toLowerCase()} momentum ${mood.confidence >= 55 ? 'provide some alignment' : 'do not yet provide strong alignment'}, while model risk remains ${String(intelligence.outlook?.risk || 'medium').toLowerCase()}.`;
   return {
     marketView: {
       conclusion: mood.label,
@@ -221,23 +230,12 @@ function buildEvents(articles) {
   ];
 }
 
-function istMinutesNow(date = new Date()) {
-  const parts = new Intl.DateTimeFormat('en-GB', {
-    timeZone: 'Asia/Kolkata',
-    hour: '2-digit',
-    minute: '2-digit',
-    hour12: false,
-  }).formatToParts(date);
-  const hour = Number(parts.find((part) => part.type === 'hour')?.value || 0);
-  const minute = Number(parts.find((part) => part.type === 'minute')?.value || 0);
-  return hour * 60 + minute;
-}
-
+/** Which desk leads: the morning note until midday, mid-day through the close, the recap otherwise. */
 function activeSessionKey(date = new Date()) {
-  const mins = istMinutesNow(date);
-  if (mins < 12 * 60) return 'preMarket';
-  if (mins < 15 * 60 + 30) return 'midDay';
-  return 'postMarket';
+  const { phase } = getMarketStatus(date);
+  if (phase === 'pre') return 'preMarket';
+  if (phase !== 'open') return 'postMarket';
+  return istParts(date).hour < 12 ? 'preMarket' : 'midDay';
 }
 
 function toSentiment(value) {
@@ -415,7 +413,7 @@ function buildStrategyDesk(intelligence, context, facts, mood, sectors) {
     } : null,
     {
       title: 'Market breadth',
-      explanation: `Breadth is assessed as ${String(outlook.marketBreadth || 'neutral').toLowerCase()}. Breadth remains an important counterweight to index-level weakness when participation stays constructive.`,
+      explanation: `Breadth is assessed as ${String(outlook.marketBreadth || 'neutral').toLowerCase()}${intelligence.breadth?.read ? ` — ${intelligence.breadth.read}` : ''}. Breadth remains an important counterweight to index-level weakness when participation stays constructive.`,
     },
     crude ? {
       title: 'Commodity transmission',
@@ -435,6 +433,7 @@ function buildStrategyDesk(intelligence, context, facts, mood, sectors) {
     ],
     marketBreadth: [
       `Breadth label: ${outlook.marketBreadth || 'Neutral'}.`,
+      intelligence.breadth?.read ? `Constituents: ${intelligence.breadth.read}.` : 'Constituent breadth was unavailable for this session.',
       weakerBenchmarks.length && strongerBenchmarks.length
         ? 'Index leadership and participation are not fully aligned.'
         : 'Breadth remains an important validator of the current conclusion.',
@@ -480,7 +479,7 @@ function buildStrategyDesk(intelligence, context, facts, mood, sectors) {
     'AGI therefore maintains a conditional conclusion and waits for confirmation from breadth durability, sector leadership and upcoming catalysts.',
   ].filter(Boolean).join(' ');
 
-  const confidenceRationale = `Confidence is ${mood.confidence}% because ${String(outlook.marketBreadth || 'neutral').toLowerCase()} breadth and ${String(outlook.momentum || 'moderate').toLowerCase()} momentum ${mood.confidence >= 60 ? 'provide partial alignment' : 'do not yet provide strong alignment'}, while ${volatilityRising ? 'rising volatility and ' : ''}model risk remain ${String(outlook.risk || 'medium').toLowerCase()}. Disagreement across indicators reduces certainty.`;
+  const confidenceRationale = mood.confidence == null ? mood.rationale : `Confidence is ${mood.confidence}% because ${String(outlook.marketBreadth || 'neutral').toLowerCase()} breadth and ${String(outlook.momentum || 'moderate').toLowerCase()} momentum ${mood.confidence >= 60 ? 'provide partial alignment' : 'do not yet provide strong alignment'}, while ${volatilityRising ? 'rising volatility and ' : ''}model risk remain ${String(outlook.risk || 'medium').toLowerCase()}. Disagreement across indicators reduces certainty.`;
 
   const availableInputs = [
     'Technical indicators',
@@ -0,0 +1,215 @@
+/**
+ * NSE/BSE trading calendar — exchange holidays, special sessions (Muhurat,
+ * budget-day weekend sessions) and session times on the IST clock.
+ *
+ * Dates come from data/marketCalendar.json: one list for the equity segments
+ * of both exchanges, refreshed from the yearly circulars. Until the file is
+ * updated, ops can add dates through the environment:
+ *
+ *   MARKET_HOLIDAYS=2026-11-09,2026-11-11
+ *   MARKET_SPECIAL_SESSIONS="2026-11-08 18:00-19:00 Muhurat Trading; 2027-02-01 09:15-15:30 Union Budget"
+ *
+ * Dates outside the covered years follow the plain weekday rule and are
+ * flagged `provisional`.
+ */
+
+import { readFileSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { istParts } from './jobs/cron.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const DATA_PATH = join(__dirname, '../data/marketCalendar.json');
+
+const DAY_MS = 86_400_000;
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+/** Longest stretch searched for a trading day — covers any holiday run. */
+const SEARCH_DAYS = 30;
+
+let cache = null;
+let envCache = { key: null };
+
+function calendarError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function load() {
+  if (cache) return cache;
+  const raw = JSON.parse(readFileSync(DATA_PATH, 'utf8'));
+  cache = {
+    ...raw,
+    holidays: new Map(raw.holidays.map((h) => [h.date, h.name])),
+    special: new Map(raw.special_sessions.map((s) => [s.date, s])),
+  };
+  return cache;
+}
+
+function parseSpecialSession(text) {
+  const match = /^(\d{4}-\d{2}-\d{2})\s+(\d{2}:\d{2})-(\d{2}:\d{2})\s*(.*)$/.exec(text.trim());
+  if (!match) {
+    console.warn('[market-calendar] ignoring MARKET_SPECIAL_SESSIONS entry', text);
+    return null;
+  }
+  const name = match[4] || 'Special session';
+  return { date: match[1], kind: /muhurat/i.test(name) ? 'muhurat' : 'special', name, open: match[2], close: match[3] };
+}
+
+/** Env additions, re-parsed only when the variables change. */
+function envDates() {
+  const key = `${process.env.MARKET_HOLIDAYS || ''}|${process.env.MARKET_SPECIAL_SESSIONS || ''}`;
+  if (envCache.key === key) return envCache;
+  const holidays = String(process.env.MARKET_HOLIDAYS || '').split(',').map((d) => d.trim()).filter(Boolean);
+  const special = String(process.env.MARKET_SPECIAL_SESSIONS || '').split(';').filter((s) => s.trim())
+    .map(parseSpecialSession).filter(Boolean);
+  envCache = { key, holidays: new Set(holidays), special: new Map(special.map((s) => [s.date, s])) };
+  return envCache;
+}
+
+function holidayName(date) {
+  return load().holidays.get(date) || (envDates().holidays.has(date) ? 'Exchange holiday' : null);
+}
+
+function specialSession(date) {
+  return envDates().special.get(date) || load().special.get(date) || null;
+}
+
+/** IST calendar date (YYYY-MM-DD) of a Date, timestamp, ISO string or plain date. */
+export function toIstDate(value = new Date()) {
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+  const ms = value instanceof Date ? value.getTime() : typeof value === 'number' ? value : Date.parse(value);
+  if (Number.isNaN(ms)) throw calendarError(`Invalid date "${value}"`);
+  return istParts(new Date(ms)).date;
+}
+
+function shiftDate(date, days) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+function istInstant(date, hhmm) {
+  return hhmm ? new Date(`${date}T${hhmm}:00+05:30`).toISOString() : null;
+}
+
+/**
+ * The exchange day for a date or instant: whether it trades, why (regular,
+ * special, muhurat, holiday, weekend) and its IST session times as instants.
+ */
+export function getTradingSession(value = new Date()) {
+  const date = toIstDate(value);
+  const weekday = WEEKDAYS[new Date(`${date}T00:00:00Z`).getUTCDay()];
+  const { regular_session: regular, years } = load();
+  const holiday = holidayName(date);
+  const special = specialSession(date);
+  const base = { date, weekday, holiday, provisional: !years.includes(Number(date.slice(0, 4))) };
+  const closed = { trading: false, pre_open_at: null, opens_at: null, closes_at: null };
+
+  if (special) {
+    return {
+      ...base,
+      trading: true,
+      kind: special.kind,
+      label: special.name,
+      pre_open_at: istInstant(date, special.pre_open),
+      opens_at: istInstant(date, special.open),
+      closes_at: istInstant(date, special.close),
+    };
+  }
+  if (holiday) return { ...base, ...closed, kind: 'holiday', label: holiday };
+  if (weekday === 'Sat' || weekday === 'Sun') return { ...base, ...closed, kind: 'weekend', label: weekday === 'Sat' ? 'Saturday' : 'Sunday' };
+  return {
+    ...base,
+    trading: true,
+    kind: 'regular',
+    label: 'Regular session',
+    pre_open_at: istInstant(date, regular.pre_open),
+    opens_at: istInstant(date, regular.open),
+    closes_at: istInstant(date, regular.close),
+  };
+}
+
+export function isTradingDay(value = new Date()) {
+  return getTradingSession(value).trading;
+}
+
+function seek(value, step) {
+  let date = toIstDate(value);
+  for (let i = 0; i < SEARCH_DAYS; i += 1) {
+    date = shiftDate(date, step);
+    const session = getTradingSession(date);
+    if (session.trading) return session;
+  }
+  return null;
+}
+
+/** First trading session after the IST date of `value`. */
+export function nextTradingDay(value = new Date()) {
+  return seek(value, 1);
+}
+
+/** Last trading session before the IST date of `value`. */
+export function previousTradingDay(value = new Date()) {
+  return seek(value, -1);
+}
+
+/**
+ * Where the market stands at `now`: phase ('pre', 'open', 'closed' after the
+ * close, 'holiday', 'weekend'), today's session and the surrounding open and
+ * close instants.
+ */
+export function getMarketStatus(now = new Date()) {
+  const at = now instanceof Date ? now.getTime() : Number(now);
+  const session = getTradingSession(at);
+  let phase = session.kind === 'holiday' || session.kind === 'weekend' ? session.kind : 'closed';
+  if (session.trading) {
+    if (at < Date.parse(session.opens_at)) phase = 'pre';
+    else if (at < Date.parse(session.closes_at)) phase = 'open';
+  }
+  const upcoming = phase === 'pre' || phase === 'open' ? session : nextTradingDay(session.date);
+  const finished = phase === 'closed' ? session : previousTradingDay(session.date);
+  return {
+    phase,
+    open: phase === 'open',
+    session,
+    next_session: upcoming,
+    next_open_at: phase === 'open' ? nextTradingDay(session.date)?.opens_at ?? null : upcoming?.opens_at ?? null,
+    next_close_at: upcoming?.closes_at ?? null,
+    last_close_at: finished?.closes_at ?? null,
+    as_of: new Date(at).toISOString(),
+  };
+}
+
+export function isMarketOpen(now = new Date()) {
+  return getMarketStatus(now).open;
+}
+
+/** `days` consecutive exchange days starting at the IST date of `from`. */
+export function listTradingSessions(from = new Date(), days = 14) {
+  const start = toIstDate(from);
+  const count = Math.min(366, Math.max(1, Number(days) || 14));
+  return Array.from({ length: count }, (_, i) => getTradingSession(shiftDate(start, i)));
+}
+
+/** Exchange holidays in a year (file plus MARKET_HOLIDAYS), weekends excluded. */
+export function listHolidays(year = Number(toIstDate().slice(0, 4))) {
+  const dates = new Set([...load().holidays.keys(), ...envDates().holidays]);
+  return [...dates]
+    .filter((date) => date.startsWith(`${year}-`))
+    .sort()
+    .map((date) => getTradingSession(date))
+    .filter((session) => session.holiday)
+    .map(({ date, weekday, holiday, trading, kind }) => ({ date, weekday, name: holiday, special_session: trading ? kind : null }));
+}
+
+export function listSpecialSessions(year = Number(toIstDate().slice(0, 4))) {
+  const dates = new Set([...load().special.keys(), ...envDates().special.keys()]);
+  return [...dates]
+    .filter((date) => date.startsWith(`${year}-`))
+    .sort()
+    .map((date) => getTradingSession(date));
+}
+
+export function getCalendarCoverage() {
+  const { exchanges, segment, source, years, regular_session: regular } = load();
+  return { exchanges, segment, source, years, regular_session: regular };
+}
@@ -1,14 +1,20 @@
 /**
- * Unified market data service — Groww primary, NSE/IndianAPI fallback.
+ * Unified market data service — provider registry with health-weighted failover.
  * Provider-agnostic layer for frontend consumption.
  */
 
-import { isGrowwConfigured, fetchGrowwTicker } from '../providers/groww.js';
-import { fetchNseIndices, fetchCommodities, fetchTrending } from '../providers/fallback.js';
-import { oncePerMarketCycle } from '../config/marketRefresh.js';
+import { TICKER_INSTRUMENTS } from '../providers/groww.js';
+import { fetchTrending, INDEX_NAMES } from '../providers/fallback.js';
+import { fetchIndices, fetchCommodityQuotes, providerPriority } from '../providers/registry.js';
+import { oncePerMarketCycle, refreshMarketCycle } from '../config/marketRefresh.js';
 import { computeMarketOutlook, computeMarketPulse } from './marketOutlookEngine.js';
+import { getMarketBreadth } from './marketBreadth.js';
+import { describeInput, gradeInputs, isSessionStale, qualitySummary, quoteInput } from './dataQuality.js';
+import { publishMarketSnapshot } from './marketStream.js';
 
-let growwBackoffUntil = 0;
+/** Ticker cash indices: Groww's instruments first, then NSE's mid/small-cap set. */
+const TICKER_INDEX_NAMES = [...new Set([...TICKER_INSTRUMENTS.map((i) => i.label), ...INDEX_NAMES])];
+const TICKER_COMMODITY_NAMES = ['USD/INR', 'GOLD', 'SILVER', 'BRENT', 'GIFT NIFTY'];
 
 function findIndex(rows, ...names) {
   const set = new Set(names.map((n) => n.toUpperCase()));
@@ -24,70 +30,46 @@ function normalizeTrendingRow(row) {
   };
 }
 
+function pendingRow(name) {
+  return {
+    id: name.toLowerCase().replace(/[^a-z0-9]+/g, '-'),
+    name,
+    price: null,
+    change: null,
+    percentChange: null,
+    source: 'pending',
+    provenance: { provider: null, fallback: false, fetchedAt: null },
+  };
+}
+
 export async function getTickerData(env = {}) {
   return oncePerMarketCycle('market-ticker', () => fetchTickerData(env));
 }
 
-async function fetchTickerData(env = {}) {
-  const now = Date.now();
-  const apiKey = env.indianApiKey || '';
-  const baseUrl = env.indianApiBase || 'https://stock.indianapi.in';
-
-  let rows = [];
-  const growwAllowed = isGrowwConfigured() && now >= growwBackoffUntil;
-
-  if (growwAllowed) {
-    try {
-      rows = (await fetchGrowwTicker()).filter((row) => {
-        const price = Number(row?.price);
-        return Number.isFinite(price) && price > 0;
-      });
-    } catch (err) {
-      const msg = String(err?.message || err);
-      console.warn('[marketData] Groww ticker failed:', msg);
-      if (/rate limit|too many|429/i.test(msg)) {
-        growwBackoffUntil = Date.now() + 5 * 60_000;
-      }
-    }
-  }
+/** Fresh ticker ahead of the 30-minute cycle — drives the market stream and becomes the cycle's ticker. */
+export function refreshTickerData(env = {}) {
+  return refreshMarketCycle('market-ticker', () => fetchTickerData(env));
+}
 
-  // Always merge NSE so mid/small-cap and any missing cash indices are available.
-  // Groww remains preferred when both return the same name.
-  const nseRows = await fetchNseIndices().catch(() => []);
-  if (nseRows.length) {
-    const prefer = new Map();
-    for (const row of rows) {
-      const key = String(row?.name || '').trim().toUpperCase();
-      if (key) prefer.set(key, row);
-    }
-    for (const row of nseRows) {
-      const key = String(row?.name || '').trim().toUpperCase();
-      if (key && !prefer.has(key)) prefer.set(key, row);
-    }
-    rows = [...prefer.values()];
-  }
+async function fetchTickerData(env = {}) {
+  const ctx = { env };
+  const [indices, commodities] = await Promise.all([
+    fetchIndices(TICKER_INDEX_NAMES, ctx),
+    fetchCommodityQuotes(TICKER_COMMODITY_NAMES, ctx),
+  ]);
 
-  const commodities = await fetchCommodities(apiKey, baseUrl).catch(() => []);
-
-  const extraCommodities = [
-    { id: 'usd-inr', name: 'USD/INR', price: null, change: null, percentChange: null, source: 'pending' },
-    { id: 'gold', name: 'GOLD', price: null, change: null, percentChange: null, source: 'pending' },
-    { id: 'silver', name: 'SILVER', price: null, change: null, percentChange: null, source: 'pending' },
-    { id: 'brent', name: 'BRENT', price: null, change: null, percentChange: null, source: 'pending' },
-    { id: 'gift-nifty', name: 'GIFT NIFTY', price: null, change: null, percentChange: null, source: 'pending' },
-  ];
-
-  for (const extra of extraCommodities) {
-    const match = commodities.find(
-      (c) => String(c.name).toUpperCase().includes(extra.name.split('/')[0])
-    );
-    if (match) rows.push(match);
-    else rows.push(extra);
+  const rows = [...indices];
+  for (const name of TICKER_COMMODITY_NAMES) {
+    rows.push(commodities.find((c) => String(c.name).toUpperCase() === name) || pendingRow(name));
   }
 
+  const providers = [...new Set(rows.map((r) => r.provenance?.provider).filter(Boolean))];
+  if (providers.length) publishMarketSnapshot('ticker', rows);
   return {
     items: rows,
-    source: isGrowwConfigured() ? 'groww+fallback' : 'fallback',
+    source: providers.length ? providers.join('+') : 'fallback',
+    providers,
+    priority: { index: providerPriority('index'), commodity: providerPriority('commodity') },
     updatedAt: new Date().toISOString(),
   };
 }
@@ -100,9 +82,10 @@ async function fetchDashboardData(env = {}) {
   const apiKey = env.indianApiKey || '';
   const baseUrl = env.indianApiBase || 'https://stock.indianapi.in';
 
-  const [ticker, trending] = await Promise.all([
+  const [ticker, trending, breadth] = await Promise.all([
     getTickerData(env),
     fetchTrending(apiKey, baseUrl),
+    getMarketBreadth(),
   ]);
 
   const items = ticker.items || [];
@@ -122,20 +105,51 @@ async function fetchDashboardData(env = {}) {
       bankNifty: { percentChange: bankNifty?.percentChange ?? bankNifty?.change },
       vix: { price: vix?.price, percentChange: vix?.percentChange },
     },
-    breadth: {
-      gainers: gainers.length,
-      losers: losers.length,
-    },
+    // Constituent advance/decline; the trending lists are fixed-length top-N and say nothing about breadth.
+    breadth: breadth ? { gainers: breadth.advances, losers: breadth.declines, ratio: breadth.ad_ratio } : {},
     commodities: {
       usdInr: { percentChange: usdInr?.percentChange },
       brent: { percentChange: brent?.percentChange },
       gold: { percentChange: gold?.percentChange },
     },
-    sectors: { top: { name: 'Capital Goods' } },
+    sectors: { top: breadth?.sectors?.[0] || null },
   };
 
-  const outlook = computeMarketOutlook(outlookInputs);
-  const pulse = computeMarketPulse(outlook, outlookInputs);
+  const dataQuality = gradeInputs([
+    quoteInput({ key: 'nifty50', label: 'NIFTY 50 quote', weight: 0.35, required: true }, nifty50),
+    quoteInput({ key: 'bank_nifty', label: 'Bank Nifty quote', weight: 0.15 }, bankNifty),
+    quoteInput({ key: 'india_vix', label: 'India VIX quote', weight: 0.15 }, vix),
+    describeInput({
+      key: 'breadth',
+      label: 'Market breadth',
+      weight: 0.2,
+      available: Boolean(breadth),
+      coverage: breadth?.constituents ? breadth.quoted / breadth.constituents : null,
+      stale: isSessionStale(breadth?.date),
+      provider: breadth ? `${breadth.universe} constituents` : null,
+      asOf: breadth?.as_of ?? null,
+      detail: 'no constituent snapshot yet',
+    }),
+    quoteInput({ key: 'usd_inr', label: 'USD/INR quote', weight: 0.075 }, usdInr),
+    quoteInput({ key: 'brent', label: 'Brent quote', weight: 0.075 }, brent),
+  ]);
+
+  const scored = computeMarketOutlook(outlookInputs);
+  // Below the quality bar the outlook is withheld, not scored from zeros.
+  const outlook = dataQuality.withheld
+    ? {
+        ...scored,
+        outlook: 'Insufficient data',
+        outlookKey: 'insufficient',
+        confidence: null,
+        momentum: null,
+        risk: null,
+        score: null,
+        reasons: dataQuality.reasons.slice(0, 5).map((text) => ({ type: 'data', text })),
+        dataQuality: qualitySummary(dataQuality),
+      }
+    : { ...scored, dataQuality: qualitySummary(dataQuality) };
+  const pulse = { ...computeMarketPulse(outlook, outlookInputs), dataQuality: outlook.dataQuality };
 
   const result = {
     pulse,
@@ -143,14 +157,22 @@ async function fetchDashboardData(env = {}) {
     gainers,
     losers,
     breadth: {
-      gainers: gainers.length,
-      losers: losers.length,
-      label: outlook.marketBreadth,
+      gainers: breadth?.advances ?? null,
+      losers: breadth?.declines ?? null,
+      unchanged: breadth?.unchanged ?? null,
+      label: breadth ? outlook.marketBreadth : null,
+      pctAbove50Dma: breadth?.pct_above_50dma ?? null,
+      pctAbove200Dma: breadth?.pct_above_200dma ?? null,
+      newHighs: breadth?.new_highs ?? null,
+      newLows: breadth?.new_lows ?? null,
+      universe: breadth?.universe ?? null,
     },
+    sectors: (breadth?.sectors || []).map((s) => ({ name: s.name, change: s.return_pct, weighting: s.weighting })),
     stocksInFocus: gainers.slice(0, 3).map((g) => g.symbol),
     upcomingResults: [],
     upcomingIpos: [],
     fiiDii: null,
+    dataQuality,
     updatedAt: new Date().toISOString(),
   };
 
@@ -11,6 +11,8 @@ import {
   atr,
   adx,
   roc,
+  sma,
+  bollinger,
   closesFromCandles,
 } from '../lib/indicators.js';
 
@@ -29,24 +31,13 @@ function band(score) {
   return AGI_SCORE_BANDS[AGI_SCORE_BANDS.length - 1];
 }
 
+/** Band keys from strongest bullish to strongest bearish. */
+export const AGI_BAND_KEYS = AGI_SCORE_BANDS.map((b) => b.key);
+
 function clamp(n, lo = 0, hi = 100) {
   return Math.max(lo, Math.min(hi, Math.round(n)));
 }
 
-function simpleMovingAverage(values, period) {
-  if (values.length < period) return null;
-  return values.slice(-period).reduce((sum, value) => sum + value, 0) / period;
-}
-
-function bollingerBands(values, period = 20, standardDeviations = 2) {
-  const window = values.slice(-period);
-  if (window.length < period) return null;
-  const middle = window.reduce((sum, value) => sum + value, 0) / period;
-  const variance = window.reduce((sum, value) => sum + (value - middle) ** 2, 0) / period;
-  const deviation = Math.sqrt(variance);
-  return { upper: middle + standardDeviations * deviation, middle, lower: middle - standardDeviations * deviation };
-}
-
 function scoreRsi(value) {
   if (!Number.isFinite(value)) return 0.5;
   if (value >= 70) return 0.65;
@@ -122,6 +113,16 @@ export function indexSentimentLabel(score) {
  * public clients receive only its derived label and strength.
  */
 export function computeIndexBullishness(candles) {
+  const score = scoreIndexBullishness(candles);
+  if (score == null) return null;
+  return {
+    label: indexSentimentLabel(score),
+    strength: score >= 65 || score < 35 ? 'High conviction' : 'Developing',
+  };
+}
+
+/** Raw 0–100 score behind computeIndexBullishness — internal (backtests), never published. */
+export function scoreIndexBullishness(candles) {
   const closes = closesFromCandles(candles);
   if (closes.length < 200) return null;
 
@@ -130,17 +131,12 @@ export function computeIndexBullishness(candles) {
   const weightedScore =
     scoreRsi(rsi(closes, 14)) * 0.2 +
     scoreMacd(macdValue) * 0.2 +
-    scoreSma(close, simpleMovingAverage(closes, 20), simpleMovingAverage(closes, 50)) * 0.15 +
+    scoreSma(close, sma(closes, 20), sma(closes, 50)) * 0.15 +
     scoreEma(lastEma(closes, 9), lastEma(closes, 21)) * 0.15 +
-    scoreBollinger(close, bollingerBands(closes)) * 0.1 +
+    scoreBollinger(close, bollinger(closes)) * 0.1 +
     scoreAdx(adx(candles, 14)) * 0.1 +
-    scorePriceVsSma200(close, simpleMovingAverage(closes, 200)) * 0.1;
-  const score = clamp(weightedScore * 100);
-
-  return {
-    label: indexSentimentLabel(score),
-    strength: score >= 65 || score < 35 ? 'High conviction' : 'Developing',
-  };
+    scorePriceVsSma200(close, sma(closes, 200)) * 0.1;
+  return clamp(weightedScore * 100);
 }
 
 /** Trend score 0–100 from EMA alignment rules */
@@ -261,8 +257,8 @@ export function computeSectorStrength(sectorChanges = []) {
       direction: Number(s.change) >= 0 ? '↑' : '↓',
       strength: Number(s.change) >= 1.5 ? 'Strong' : Number(s.change) >= 0 ? 'Moderate' : 'Weak',
     })),
-    topSector: sorted[0]?.name || 'Capital Goods',
-    weakestSector: sorted[sorted.length - 1]?.name || 'FMCG',
+    topSector: sorted[0]?.name || null,
+    weakestSector: sorted.length > 1 ? sorted[sorted.length - 1].name : null,
     rotation: sorted.length >= 2 && sorted[0].change - sorted[sorted.length - 1].change > 2
       ? `Rotation into ${sorted[0].name}`
       : 'Stable leadership',
@@ -301,7 +297,11 @@ export function computeStockAgiScore(candles) {
   return { agiScore: score, trend: trendLabel, momentum: momentum.label };
 }
 
-/** Weighted AGI Market Score 0–100 */
+/**
+ * Weighted AGI Market Score 0–100. `options` (index option positioning) is
+ * optional: when present it takes a 0.1 weight and the rest scale down, so a
+ * score without option-chain coverage is unchanged.
+ */
 export function computeAgiMarketScore(factors) {
   const weights = {
     trend: 0.3,
@@ -311,16 +311,21 @@ export function computeAgiMarketScore(factors) {
     volatility: 0.1,
     sector: 0.1,
     global: 0.05,
+    options: 0.1,
   };
 
-  const score = clamp(
+  const base =
     (factors.trend?.score ?? 50) * weights.trend +
-      (factors.momentum?.score ?? 50) * weights.momentum +
-      (factors.breadth?.score ?? 50) * weights.breadth +
-      (factors.volume?.score ?? 50) * weights.volume +
-      (factors.volatility?.score ?? 50) * weights.volatility +
-      (factors.sector?.score ?? 50) * weights.sector +
-      (factors.global?.score ?? 50) * weights.global
+    (factors.momentum?.score ?? 50) * weights.momentum +
+    (factors.breadth?.score ?? 50) * weights.breadth +
+    (factors.volume?.score ?? 50) * weights.volume +
+    (factors.volatility?.score ?? 50) * weights.volatility +
+    (factors.sector?.score ?? 50) * weights.sector +
+    (factors.global?.score ?? 50) * weights.global;
+  const score = clamp(
+    factors.options?.score != null
+      ? (base + factors.options.score * weights.options) / (1 + weights.options)
+      : base
   );
 
   const b = band(score);
@@ -346,6 +351,8 @@ export function computeAgiMarketScore(factors) {
   if (factors.trend?.label === 'Bearish') reasons.push({ type: 'negative', text: 'Trend weakening' });
   if (factors.breadth?.label?.includes('Negative')) reasons.push({ type: 'negative', text: 'Breadth deteriorating' });
   if (factors.volatility?.label === 'High') reasons.push({ type: 'negative', text: 'Elevated volatility' });
+  if (factors.options?.label === 'Bullish') reasons.push({ type: 'positive', text: 'Options positioning supportive' });
+  if (factors.options?.label === 'Bearish') reasons.push({ type: 'negative', text: 'Options positioning defensive' });
 
   return {
     agiMarketScore: score,
@@ -366,16 +373,31 @@ export function buildInsightStrip(intelligence) {
       ? '🟢'
       : intelligence.outlookKey === 'strong_bearish' || intelligence.outlookKey === 'bearish'
         ? '🔴'
-        : '🟡';
+        : intelligence.outlookKey === 'insufficient'
+          ? '⚪'
+          : '🟡';
 
-  return [
+  const items = [
     { id: 'outlook', label: 'Market Outlook', value: `${badge} ${intelligence.outlook}`, sub: `Updated ${intelligence.updatedLabel}` },
-    { id: 'confidence', label: 'Confidence', value: `${intelligence.confidence}%` },
-    { id: 'volatility', label: 'Volatility', value: intelligence.volatility },
-    { id: 'opening', label: 'Opening Bias', value: intelligence.openingBias || 'Neutral' },
-    { id: 'breadth', label: 'Market Breadth', value: intelligence.marketBreadth || 'Neutral' },
-    { id: 'momentum', label: 'Momentum', value: intelligence.momentum },
+    { id: 'confidence', label: 'Confidence', value: intelligence.confidence == null ? '—' : `${intelligence.confidence}%` },
+    { id: 'volatility', label: 'Volatility', value: intelligence.volatility || '—' },
+    { id: 'opening', label: 'Opening Bias', value: intelligence.openingBias || '—' },
+    { id: 'breadth', label: 'Market Breadth', value: intelligence.marketBreadth || '—' },
+    { id: 'momentum', label: 'Momentum', value: intelligence.momentum || '—' },
     { id: 'sector', label: 'Top Sector', value: intelligence.topSector || '—' },
-    { id: 'risk', label: 'Risk Level', value: intelligence.risk },
+    { id: 'risk', label: 'Risk Level', value: intelligence.risk || '—' },
   ];
+
+  // Degraded or withheld reads say so up front, with the main reason.
+  const quality = intelligence.dataQuality;
+  if (quality && quality.status !== 'complete') {
+    items.splice(1, 0, {
+      id: 'data-quality',
+      label: 'Data Quality',
+      value: `Grade ${quality.grade}${quality.withheld ? ' · withheld' : ''}`,
+      sub: quality.reasons?.[0],
+      tone: 'warn',
+    });
+  }
+  return items;
 }
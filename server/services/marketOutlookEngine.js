@@ -143,7 +143,7 @@ export function computeMarketOutlook(inputs = {}) {
   const outlook = classifyOutlook(score);
   const confidence = Math.min(95, Math.max(55, score + (reasons.length >= 3 ? 5 : 0)));
 
-  const topSector = inputs.sectors?.top?.name || 'Capital Goods';
+  const topSector = inputs.sectors?.top?.name || null;
 
   return {
     outlook: outlook.label,
@@ -166,7 +166,9 @@ export function computeMarketPulse(outlookResult, inputs = {}) {
       ? '🟢'
       : outlookResult.outlookKey === 'strong_bearish' || outlookResult.outlookKey === 'bearish'
         ? '🔴'
-        : '🟡';
+        : outlookResult.outlookKey === 'insufficient'
+          ? '⚪'
+          : '🟡';
 
   return {
     title: 'AGI Market Pulse',
@@ -0,0 +1,279 @@
+/**
+ * Market stream hub — Server-Sent Events for live market surfaces.
+ *
+ * Topics:
+ *   ticker   index / commodity rows from the provider registry (keyed by name)
+ *   pulse    AGI Market Pulse card + insight strip
+ *   breadth  advancing / declining / label
+ *   quotes   Hedge Fund candidate quotes from hedgeFundLiveQuoteScheduler (admin only)
+ *
+ * Producers (marketDataService, intelligenceService, the live-quote
+ * scheduler) call publishMarketSnapshot(topic, value) with the full current
+ * value; the hub diffs it against the previous snapshot and broadcasts only
+ * the delta. The first value of a topic (and any client that cannot be
+ * resumed) receives a `snapshot` event instead.
+ *
+ * Every event carries a monotonic id. A reconnecting EventSource sends
+ * `Last-Event-ID`; if that id is still inside the replay ring the client gets
+ * the missed events, otherwise fresh snapshots. Heartbeats are unnumbered so
+ * they never move the resume point.
+ *
+ * While at least one client is connected the hub refreshes ticker rows every
+ * MARKET_STREAM_TICKER_MS (market hours) and the AGI intelligence every
+ * MARKET_STREAM_INTELLIGENCE_MS, ahead of the 30-minute polling cycle. Each
+ * refresh replaces the cycle's cached value (refreshMarketCycle), so polling
+ * clients are served the same snapshot the stream pushed.
+ */
+
+import { isMarketOpen } from './marketCalendar.js';
+
+export const MARKET_STREAM_TOPICS = Object.freeze(['ticker', 'pulse', 'breadth', 'quotes']);
+/** Topics that are not public market data — Hedge Fund candidate quotes stay behind the admin role. */
+export const MARKET_STREAM_ADMIN_TOPICS = Object.freeze(['quotes']);
+
+const HEARTBEAT_MS = Number(process.env.MARKET_STREAM_HEARTBEAT_MS || 15_000);
+const REPLAY_EVENTS = Number(process.env.MARKET_STREAM_REPLAY_EVENTS || 500);
+const TICKER_MS = Math.max(15_000, Number(process.env.MARKET_STREAM_TICKER_MS || 60_000));
+const INTELLIGENCE_MS = Math.max(60_000, Number(process.env.MARKET_STREAM_INTELLIGENCE_MS || 5 * 60_000));
+/** Outside market hours prices barely move — slow the ticker loop down. */
+const CLOSED_TICKER_MS = 10 * 60_000;
+const MAX_CLIENTS = Number(process.env.MARKET_STREAM_MAX_CLIENTS || 500);
+
+/** List topics diff row-by-row on this key. */
+const ROW_KEYS = {
+  ticker: (row) => row?.id || row?.name,
+  quotes: (row) => row?.symbol,
+};
+
+let seq = 0;
+const history = [];
+const snapshots = new Map();
+const clients = new Set();
+let heartbeatTimer = null;
+let stopLoops = [];
+let refreshers = null;
+
+function same(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/** Row-level delta for list topics: changed/new rows plus removed keys. */
+function diffRows(topic, previous, next) {
+  const keyOf = ROW_KEYS[topic];
+  const before = new Map((previous || []).map((row) => [keyOf(row), row]));
+  const after = new Map((next || []).map((row) => [keyOf(row), row]));
+  const upserts = [...after.entries()].filter(([key, row]) => !same(before.get(key), row)).map(([, row]) => row);
+  const removed = [...before.keys()].filter((key) => !after.has(key));
+  return upserts.length || removed.length ? { upserts, removed } : null;
+}
+
+/** Field-level delta for object topics. */
+function diffFields(previous, next) {
+  const changes = {};
+  for (const [key, value] of Object.entries(next || {})) {
+    if (!same(previous?.[key], value)) changes[key] = value;
+  }
+  const removed = Object.keys(previous || {}).filter((key) => !(key in (next || {})));
+  return Object.keys(changes).length || removed.length ? { changes, removed } : null;
+}
+
+function format({ id, event, data }) {
+  return `${id != null ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+function send(client, message) {
+  try {
+    client.res.write(format(message));
+  } catch {
+    dropClient(client);
+  }
+}
+
+function record(topic, type, data) {
+  const message = { id: ++seq, event: topic, data: { topic, type, ...data, at: new Date().toISOString() } };
+  history.push(message);
+  if (history.length > REPLAY_EVENTS) history.splice(0, history.length - REPLAY_EVENTS);
+  for (const client of clients) {
+    if (client.topics.has(topic)) send(client, message);
+  }
+  return message;
+}
+
+/**
+ * Publish the full current value of a topic. Broadcasts a delta when it
+ * changed, a snapshot the first time, nothing when unchanged.
+ */
+export function publishMarketSnapshot(topic, value) {
+  if (!MARKET_STREAM_TOPICS.includes(topic) || value == null) return null;
+  const previous = snapshots.get(topic);
+  snapshots.set(topic, value);
+  if (previous === undefined) return record(topic, 'snapshot', { value });
+  const delta = ROW_KEYS[topic] ? diffRows(topic, previous, value) : diffFields(previous, value);
+  return delta ? record(topic, 'delta', delta) : null;
+}
+
+function snapshotMessage(topic) {
+  if (!snapshots.has(topic)) return null;
+  return { id: seq, event: topic, data: { topic, type: 'snapshot', value: snapshots.get(topic), at: new Date().toISOString() } };
+}
+
+/** Events after `lastEventId` for these topics, or null when the ring no longer reaches back that far. */
+function replayAfter(lastEventId, topics) {
+  if (!Number.isInteger(lastEventId) || lastEventId < 0 || lastEventId > seq) return null;
+  if (lastEventId === seq) return [];
+  const oldest = history[0]?.id ?? seq + 1;
+  if (oldest > lastEventId + 1) return null;
+  return history.filter((message) => message.id > lastEventId && topics.has(message.event));
+}
+
+function requestedTopics(raw) {
+  return String(raw || '').split(',').map((t) => t.trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Requested topics from `?topics=a,b`; unknown names are dropped, empty means
+ * every topic the caller may see (admin topics only with `admin`).
+ */
+export function parseTopics(raw, { admin = false } = {}) {
+  const allowed = admin ? MARKET_STREAM_TOPICS : MARKET_STREAM_TOPICS.filter((t) => !MARKET_STREAM_ADMIN_TOPICS.includes(t));
+  const topics = requestedTopics(raw).filter((t) => allowed.includes(t));
+  return new Set(topics.length ? topics : allowed);
+}
+
+function dropClient(client) {
+  if (!clients.delete(client)) return;
+  if (!clients.size) stopTimers();
+}
+
+/**
+ * Attach an Express response as an SSE client. Resolves the resume point from
+ * the Last-Event-ID header (or `?lastEventId=` for clients that reconnect by
+ * hand) and keeps the connection until the client disconnects. `role` is the
+ * caller's resolved role; asking for an admin topic without it is refused.
+ */
+export function attachMarketStream(req, res, { role = 'public', topics } = {}) {
+  const admin = role === 'admin';
+  if (!admin && requestedTopics(req.query?.topics).some((t) => MARKET_STREAM_ADMIN_TOPICS.includes(t))) {
+    return res.status(role === 'public' ? 401 : 403).json({
+      error: 'stream_topic_forbidden',
+      detail: `Topics ${MARKET_STREAM_ADMIN_TOPICS.join(', ')} require an admin session.`,
+      required_role: 'admin',
+    });
+  }
+  topics ??= parseTopics(req.query?.topics, { admin });
+  if (clients.size >= MAX_CLIENTS) {
+    return res.status(503).json({ error: 'stream_capacity', detail: 'Too many stream clients — poll instead.' });
+  }
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders?.();
+  req.socket?.setKeepAlive?.(true);
+  req.socket?.setTimeout?.(0);
+
+  const client = { res, topics };
+  const rawLastId = req.get?.('Last-Event-ID') ?? req.query?.lastEventId;
+  const lastEventId = rawLastId != null && rawLastId !== '' ? Number(rawLastId) : null;
+  const replay = lastEventId != null ? replayAfter(lastEventId, topics) : null;
+
+  res.write(`retry: 5000\n\n`);
+  send(client, { event: 'hello', data: { topics: [...topics], resumed: replay != null, lastEventId: seq, heartbeatMs: HEARTBEAT_MS } });
+  if (replay) {
+    replay.forEach((message) => send(client, message));
+  } else {
+    for (const topic of topics) {
+      const message = snapshotMessage(topic);
+      if (message) send(client, message);
+    }
+  }
+
+  clients.add(client);
+  startTimers();
+  req.on('close', () => dropClient(client));
+  return client;
+}
+
+/**
+ * Register the refresh tasks the hub runs while clients are connected:
+ * { ticker: async () => {}, intelligence: async () => {} }. The producers
+ * publish their own snapshots, so polling and streaming share one path.
+ */
+export function configureMarketStream(tasks) {
+  refreshers = tasks;
+}
+
+function refresh(name) {
+  return async () => {
+    try {
+      await refreshers?.[name]?.();
+    } catch (err) {
+      console.warn(`[market-stream] ${name} refresh failed:`, err?.message || err);
+    }
+  };
+}
+
+/** Self-rescheduling refresh loop; the returned function stops it. */
+function loop(task, intervalMs) {
+  let timer = null;
+  let stopped = false;
+  const tick = async () => {
+    await task();
+    if (stopped) return;
+    timer = setTimeout(tick, typeof intervalMs === 'function' ? intervalMs() : intervalMs);
+    timer.unref?.();
+  };
+  tick();
+  return () => {
+    stopped = true;
+    clearTimeout(timer);
+  };
+}
+
+function startTimers() {
+  if (heartbeatTimer) return;
+  heartbeatTimer = setInterval(() => {
+    const message = { event: 'heartbeat', data: { at: new Date().toISOString(), lastEventId: seq } };
+    for (const client of clients) send(client, message);
+  }, HEARTBEAT_MS);
+  heartbeatTimer.unref?.();
+  if (refreshers) {
+    stopLoops = [
+      loop(refresh('ticker'), () => (isMarketOpen() ? TICKER_MS : CLOSED_TICKER_MS)),
+      loop(refresh('intelligence'), INTELLIGENCE_MS),
+    ];
+  }
+}
+
+function stopTimers() {
+  clearInterval(heartbeatTimer);
+  heartbeatTimer = null;
+  stopLoops.forEach((stop) => stop());
+  stopLoops = [];
+}
+
+export function getMarketStreamStatus() {
+  return {
+    clients: clients.size,
+    lastEventId: seq,
+    replayWindow: history.length ? { from: history[0].id, to: seq } : null,
+    topics: Object.fromEntries(MARKET_STREAM_TOPICS.map((t) => [t, snapshots.has(t)])),
+    heartbeatMs: HEARTBEAT_MS,
+    tickerMs: TICKER_MS,
+    intelligenceMs: INTELLIGENCE_MS,
+    marketOpen: isMarketOpen(),
+  };
+}
+
+export function resetMarketStreamForTests() {
+  for (const client of clients) client.res.end?.();
+  clients.clear();
+  stopTimers();
+  history.length = 0;
+  snapshots.clear();
+  seq = 0;
+  refreshers = null;
+}
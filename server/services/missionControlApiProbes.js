@@ -3,10 +3,8 @@
  * Architecture v1.0.1 LOCKED — additive enrichment only.
  */
 
-import { getCmsLearningSchedulerStatus } from './cmsArticleLearning.js';
-import { getCioSchedulerStatus } from './cioMorningScheduler.js';
 import { getInstitutionalFlowSchedulerStatus } from './institutionalFlowScheduler.js';
-import { getValuationRatiosSchedulerStatus } from './valuationRatiosScheduler.js';
+import { listJobs } from './jobs/scheduler.js';
 import { getUpstoxHealth } from './upstoxHealth.js';
 import { getGrowwHealth } from './growwHealth.js';
 
@@ -337,26 +335,33 @@ function probeOpenAi() {
   });
 }
 
-function probeSchedulers() {
-  const cms = getCmsLearningSchedulerStatus();
-  const cio = getCioSchedulerStatus();
-  const flows = getInstitutionalFlowSchedulerStatus();
-  const ratios = getValuationRatiosSchedulerStatus();
-  const enabled = Boolean(cms?.enabled || cio?.enabled || flows?.enabled || ratios?.enabled);
-  return card({
-    name: 'Scheduler',
-    status: enabled ? 'Healthy' : 'Warning',
-    configured: true,
-    note: `CMS=${cms?.enabled ? 'on' : 'off'}; CIO=${cio?.enabled ? 'on' : 'off'}; FII/DII=${flows?.enabled ? 'on' : 'off'}; ValRatios=${ratios?.enabled ? 'on' : 'off'}`,
-    detail: { cms, cio, institutional_flow: flows, valuation_ratios: ratios },
-  });
+async function probeSchedulers() {
+  try {
+    const jobs = await listJobs();
+    const active = jobs.filter((j) => j.enabled && !j.paused);
+    const failing = active.filter((j) => j.last_run?.status === 'failed');
+    const paused = jobs.filter((j) => j.paused);
+    let status = 'Healthy';
+    if (!active.length || failing.length) status = 'Warning';
+    return card({
+      name: 'Scheduler',
+      status,
+      configured: true,
+      note: `${active.length}/${jobs.length} jobs active${paused.length ? `; ${paused.length} paused` : ''}${
+        failing.length ? `; failing: ${failing.map((j) => j.id).join(', ')}` : ''
+      }`,
+      detail: { jobs },
+    });
+  } catch (error) {
+    return card({ name: 'Scheduler', status: 'Warning', configured: false, note: error.message || 'Job state unavailable' });
+  }
 }
 
 async function probeUpstoxFlows() {
   try {
     const health = await getUpstoxHealth({});
     const flows = getInstitutionalFlowSchedulerStatus();
-    const lastOk = Boolean(flows?.lastRun?.ok);
+    const lastOk = flows?.last_run?.status === 'succeeded';
     const configured = Boolean(health?.configured);
     let status = 'Not configured';
     if (configured && health?.ok) status = 'Healthy';
@@ -574,7 +579,7 @@ export async function probeMissionControlApis({ engineFetch } = {}) {
     probeHostinger(),
     Promise.resolve(probeEmail()),
     Promise.resolve(probeOpenAi()),
-    Promise.resolve(probeSchedulers()),
+    probeSchedulers(),
     Promise.resolve(probeGithub()),
     Promise.resolve(probeRedis()),
   ]);
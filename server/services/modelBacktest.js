@@ -0,0 +1,386 @@
+/**
+ * Historical backtest harness for the published index models.
+ *
+ * Replays stored daily / hourly index candles bar by bar through
+ * computeIndexBullishness, computeAgiMarketScore and the six-layer confluence
+ * model, records each band call (strong_bullish … strong_bearish) and scores
+ * it against the forward return: hit rate per band, a band × outcome
+ * confusion matrix and score calibration (reliability buckets, ECE, Brier).
+ *
+ * Candles are read from `<BACKTEST_DATA_DIR|KIP_DATA_DIR|cwd/data>/market_candles/<index>/<frame>.json`;
+ * captureBacktestCandles() fills that directory from the candle store.
+ * The AGI Market Score is replayed from price alone — breadth, sector, volume
+ * and global factors have no stored history and sit at their neutral 50.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { normalizeCandles } from '../lib/indicators.js';
+import { INDEX_SENTIMENT_UNIVERSE } from '../providers/groww.js';
+import {
+  AGI_BAND_KEYS,
+  computeAgiMarketScore,
+  computeMomentum,
+  computeTrendScore,
+  computeVolatility,
+  indexSentimentLabel,
+  scoreIndexBullishness,
+} from './marketIntelligenceEngine.js';
+import { computeTimeframeConfluence } from './indexConfluenceEngine.js';
+import { getCandles } from './candleStore.js';
+
+export const BACKTEST_MODELS = Object.freeze(['index_bullishness', 'confluence', 'agi_market_score']);
+export const BACKTEST_OUTCOMES = Object.freeze(['up', 'flat', 'down']);
+
+/**
+ * Frame defaults. Horizons are in bars: 5/20 sessions for daily, one and five
+ * sessions (7 / 35 hourly bars) for hourly. `flatPct` is the |return| below
+ * which an outcome counts as flat.
+ */
+export const BACKTEST_FRAMES = {
+  daily: { interval: '1d', intervalMinutes: 1440, lookbackDays: 4 * 365, horizons: [5, 20], flatPct: 1 },
+  hourly: { interval: '1h', intervalMinutes: 60, lookbackDays: 365, horizons: [7, 35], flatPct: 0.35 },
+};
+
+/** Every model sees the same bars: the bullishness model needs 200 closes. */
+const WARMUP_BARS = 200;
+/** Trailing window handed to the engines — enough for SMA200 and EMA settling. */
+const WINDOW_BARS = 300;
+const CALIBRATION_BUCKETS = 10;
+const CACHE_TTL_MS = 10 * 60_000;
+
+const cache = new Map();
+const inflight = new Map();
+
+/** Six-step sentiment labels → the five published bands ("Mildly …" reads as neutral). */
+const LABEL_BANDS = {
+  'Strongly Bullish': 'strong_bullish',
+  Bullish: 'bullish',
+  'Mildly Bullish': 'neutral',
+  'Mildly Bearish': 'neutral',
+  Bearish: 'bearish',
+  'Strongly Bearish': 'strong_bearish',
+};
+
+function candleRoot() {
+  const root = process.env.BACKTEST_DATA_DIR
+    || process.env.KIP_DATA_DIR
+    || path.join(process.cwd(), 'data');
+  return path.join(root, 'market_candles');
+}
+
+function candlePath(indexKey, frame) {
+  return path.join(candleRoot(), indexKey, `${frame}.json`);
+}
+
+function frameConfig(frame) {
+  const config = BACKTEST_FRAMES[frame];
+  if (!config) throw new Error(`Unknown backtest frame "${frame}" (expected ${Object.keys(BACKTEST_FRAMES).join(' | ')})`);
+  return config;
+}
+
+function toIso(time) {
+  if (time == null) return null;
+  const ms = typeof time === 'number' ? (time < 1e12 ? time * 1000 : time) : Date.parse(time);
+  return Number.isFinite(ms) ? new Date(ms).toISOString() : null;
+}
+
+function round(value, digits = 4) {
+  if (value == null || !Number.isFinite(value)) return null;
+  const f = 10 ** digits;
+  return Math.round(value * f) / f;
+}
+
+function isBullish(band) {
+  return band === 'strong_bullish' || band === 'bullish';
+}
+
+function isBearish(band) {
+  return band === 'strong_bearish' || band === 'bearish';
+}
+
+/** Outcome class of a forward return (percent). */
+export function classifyOutcome(returnPct, flatPct) {
+  if (returnPct > flatPct) return 'up';
+  if (returnPct < -flatPct) return 'down';
+  return 'flat';
+}
+
+function isHit(band, outcome) {
+  if (isBullish(band)) return outcome === 'up';
+  if (isBearish(band)) return outcome === 'down';
+  return outcome === 'flat';
+}
+
+function modelCalls(window) {
+  const bullishness = scoreIndexBullishness(window);
+  const confluence = computeTimeframeConfluence(window);
+  const agi = computeAgiMarketScore({
+    trend: computeTrendScore(window),
+    momentum: computeMomentum(window),
+    volatility: computeVolatility(window),
+  });
+  return {
+    index_bullishness: bullishness == null ? null : { score: bullishness, band: LABEL_BANDS[indexSentimentLabel(bullishness)] },
+    confluence: confluence == null ? null : { score: confluence.score, band: LABEL_BANDS[confluence.label] },
+    agi_market_score: { score: agi.agiMarketScore, band: agi.outlookKey },
+  };
+}
+
+/**
+ * Replay candles bar by bar. Returns one call per model per evaluated bar:
+ * { model, index, time, score, band, close, forward: { [h]: returnPct | null } }.
+ * Bars without a full forward horizon keep `null` for that horizon.
+ */
+export function replayModels(rawCandles, { horizons = [5, 20], step = 1, warmup = WARMUP_BARS } = {}) {
+  const candles = normalizeCandles(rawCandles);
+  const calls = [];
+  for (let i = Math.max(warmup, 1) - 1; i < candles.length; i += Math.max(1, step)) {
+    const window = candles.slice(Math.max(0, i + 1 - WINDOW_BARS), i + 1);
+    const close = candles[i].close;
+    const forward = {};
+    for (const h of horizons) {
+      const future = candles[i + h];
+      forward[h] = future && close ? ((future.close - close) / close) * 100 : null;
+    }
+    for (const [model, call] of Object.entries(modelCalls(window))) {
+      if (!call?.band) continue;
+      calls.push({ model, index: i, time: toIso(candles[i].time), score: call.score, band: call.band, close, forward });
+    }
+  }
+  return calls;
+}
+
+function emptyConfusion() {
+  return Object.fromEntries(AGI_BAND_KEYS.map((band) => [band, Object.fromEntries(BACKTEST_OUTCOMES.map((o) => [o, 0]))]));
+}
+
+/** Score calibration: predicted P(up) = score / 100 against the observed share of positive returns. */
+function calibration(samples) {
+  const buckets = Array.from({ length: CALIBRATION_BUCKETS }, (_, i) => ({
+    from: (i * 100) / CALIBRATION_BUCKETS,
+    to: ((i + 1) * 100) / CALIBRATION_BUCKETS,
+    n: 0,
+    predictedSum: 0,
+    upCount: 0,
+    returnSum: 0,
+  }));
+  let brier = 0;
+  for (const { score, returnPct } of samples) {
+    const p = Math.max(0, Math.min(1, score / 100));
+    const y = returnPct > 0 ? 1 : 0;
+    const bucket = buckets[Math.min(CALIBRATION_BUCKETS - 1, Math.floor(p * CALIBRATION_BUCKETS))];
+    bucket.n += 1;
+    bucket.predictedSum += p;
+    bucket.upCount += y;
+    bucket.returnSum += returnPct;
+    brier += (p - y) ** 2;
+  }
+  const total = samples.length;
+  let ece = 0;
+  const rows = buckets.filter((b) => b.n > 0).map((b) => {
+    const predicted = b.predictedSum / b.n;
+    const observedUp = b.upCount / b.n;
+    ece += (b.n / total) * Math.abs(predicted - observedUp);
+    return {
+      from: b.from,
+      to: b.to,
+      n: b.n,
+      predicted: round(predicted),
+      observedUp: round(observedUp),
+      meanReturnPct: round(b.returnSum / b.n),
+    };
+  });
+  return { buckets: rows, ece: total ? round(ece) : null, brier: total ? round(brier / total) : null };
+}
+
+/**
+ * Hit rates, confusion matrix and calibration for one model's calls at one horizon.
+ * Hits: bullish bands → up, bearish bands → down, neutral → flat.
+ */
+export function summarizeCalls(calls, horizon, { flatPct = 1 } = {}) {
+  const bands = Object.fromEntries(AGI_BAND_KEYS.map((band) => [band, { n: 0, hits: 0, returnSum: 0 }]));
+  const confusion = emptyConfusion();
+  const samples = [];
+  let directional = 0;
+  let directionalHits = 0;
+  let hits = 0;
+
+  for (const call of calls) {
+    const returnPct = call.forward?.[horizon];
+    if (returnPct == null || !bands[call.band]) continue;
+    const outcome = classifyOutcome(returnPct, flatPct);
+    const hit = isHit(call.band, outcome);
+    const stats = bands[call.band];
+    stats.n += 1;
+    stats.returnSum += returnPct;
+    if (hit) {
+      stats.hits += 1;
+      hits += 1;
+    }
+    if (call.band !== 'neutral') {
+      directional += 1;
+      if (hit) directionalHits += 1;
+    }
+    confusion[call.band][outcome] += 1;
+    samples.push({ score: call.score, returnPct });
+  }
+
+  return {
+    horizon,
+    calls: samples.length,
+    hitRate: samples.length ? round(hits / samples.length) : null,
+    directionalCalls: directional,
+    directionalHitRate: directional ? round(directionalHits / directional) : null,
+    bands: Object.fromEntries(
+      Object.entries(bands).map(([band, s]) => [band, {
+        n: s.n,
+        hitRate: s.n ? round(s.hits / s.n) : null,
+        meanReturnPct: s.n ? round(s.returnSum / s.n) : null,
+      }])
+    ),
+    confusion,
+    calibration: calibration(samples),
+  };
+}
+
+/** Per-model report over every horizon, plus the latest call (the one users see today). */
+export function backtestReport(rawCandles, { horizons, flatPct, step } = {}) {
+  const calls = replayModels(rawCandles, { horizons, step });
+  return Object.fromEntries(
+    BACKTEST_MODELS.map((model) => {
+      const own = calls.filter((c) => c.model === model);
+      const last = own.at(-1);
+      return [model, {
+        calls: own.length,
+        latest: last ? { time: last.time, band: last.band, score: round(last.score, 2) } : null,
+        horizons: Object.fromEntries(horizons.map((h) => [h, summarizeCalls(own, h, { flatPct })])),
+      }];
+    })
+  );
+}
+
+/** Stored candle set for one index/frame, or null when nothing was captured. */
+export function readStoredCandles(indexKey, frame) {
+  const file = candlePath(indexKey, frame);
+  if (!fs.existsSync(file)) return null;
+  const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const candles = Array.isArray(parsed) ? parsed : parsed?.candles;
+  return {
+    candles: Array.isArray(candles) ? candles : [],
+    provider: parsed?.provider || null,
+    capturedAt: parsed?.capturedAt || null,
+    mtimeMs: fs.statSync(file).mtimeMs,
+  };
+}
+
+function resolveIndices(indices) {
+  if (!indices?.length) return INDEX_SENTIMENT_UNIVERSE;
+  const wanted = new Set(indices.map((k) => String(k).trim().toLowerCase()));
+  return INDEX_SENTIMENT_UNIVERSE.filter((index) => wanted.has(index.key));
+}
+
+/**
+ * Snapshot long candle history from the candle store (which fetches only the
+ * sessions it is missing) for replay. Sequential on purpose — provider quotas
+ * are shared with live paths.
+ */
+export async function captureBacktestCandles({ indices, frames = Object.keys(BACKTEST_FRAMES), env = {} } = {}) {
+  const captured = [];
+  const failed = [];
+  for (const index of resolveIndices(indices)) {
+    for (const frame of frames) {
+      const { interval, intervalMinutes, lookbackDays } = frameConfig(frame);
+      try {
+        const result = await getCandles(
+          { exchange: index.exchange, symbol: index.symbol, class: 'index' },
+          { interval, days: lookbackDays, ctx: { env } }
+        );
+        const candles = normalizeCandles(result.candles).map((c) => [c.time, c.open, c.high, c.low, c.close, c.volume]);
+        if (!candles.length) {
+          failed.push({ index: index.key, frame, error: 'no_candles' });
+          continue;
+        }
+        const file = candlePath(index.key, frame);
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, JSON.stringify({
+          index: index.key,
+          label: index.label,
+          frame,
+          intervalMinutes,
+          provider: result.provider,
+          capturedAt: new Date().toISOString(),
+          candles,
+        }));
+        captured.push({ index: index.key, frame, bars: candles.length, provider: result.provider });
+      } catch (err) {
+        failed.push({ index: index.key, frame, error: String(err?.message || err).slice(0, 240) });
+      }
+    }
+  }
+  cache.clear();
+  return { captured, failed, capturedAt: new Date().toISOString() };
+}
+
+/**
+ * Backtest every stored index for one frame. Replays take about a second per
+ * thousand bars, so the loop yields between indices; results are cached per
+ * option set until a candle file changes or CACHE_TTL_MS passes, and
+ * concurrent requests for the same set share one run.
+ */
+export async function runModelBacktest({ frame = 'daily', indices, horizons, flatPct, step = 1 } = {}) {
+  const config = frameConfig(frame);
+  const options = {
+    frame,
+    horizons: horizons?.length ? horizons : config.horizons,
+    flatPct: Number.isFinite(flatPct) ? flatPct : config.flatPct,
+    step: Math.max(1, Math.floor(step) || 1),
+  };
+
+  const stored = resolveIndices(indices).map((index) => ({ index, set: readStoredCandles(index.key, frame) }));
+  const cacheKey = JSON.stringify({ options, files: stored.map(({ index, set }) => [index.key, set?.mtimeMs ?? null]) });
+  const hit = cache.get(cacheKey);
+  if (hit && Date.now() - hit.at < CACHE_TTL_MS) return hit.value;
+  if (inflight.has(cacheKey)) return inflight.get(cacheKey);
+
+  const run = replayStored(stored, options).then((value) => {
+    if (cache.size >= 20) cache.clear();
+    cache.set(cacheKey, { at: Date.now(), value });
+    return value;
+  }).finally(() => inflight.delete(cacheKey));
+  inflight.set(cacheKey, run);
+  return run;
+}
+
+async function replayStored(stored, options) {
+  const results = [];
+  const missing = [];
+  for (const { index, set } of stored) {
+    if (!set || set.candles.length <= WARMUP_BARS) {
+      missing.push(index.key);
+      continue;
+    }
+    await new Promise((resolve) => setImmediate(resolve));
+    const candles = normalizeCandles(set.candles);
+    results.push({
+      key: index.key,
+      label: index.label,
+      bars: candles.length,
+      from: toIso(candles[0].time),
+      to: toIso(candles.at(-1).time),
+      provider: set.provider,
+      capturedAt: set.capturedAt,
+      models: backtestReport(candles, options),
+    });
+  }
+
+  return {
+    ...options,
+    models: BACKTEST_MODELS,
+    bands: AGI_BAND_KEYS,
+    outcomes: BACKTEST_OUTCOMES,
+    indices: results,
+    missing,
+    generatedAt: new Date().toISOString(),
+  };
+}
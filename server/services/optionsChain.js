@@ -0,0 +1,461 @@
+/**
+ * Index options analytics — NIFTY and BANKNIFTY option chains from Upstox.
+ *
+ * The options-chain job pulls the nearest-expiry chain for each underlying
+ * every 15 minutes while the market is open and reduces it to the reads a
+ * desk watches: put/call ratio (OI and volume), max pain, OI build-up per
+ * contract (long build-up, short build-up, short covering, long unwinding),
+ * ATM implied volatility with its percentile against earlier sessions, and
+ * the 25-delta put/call skew. Those combine into a 0–100 positioning score
+ * per underlying, and getOptionsFactor() blends the underlyings into the
+ * `options` factor of computeAgiMarketScore().
+ *
+ * `option_chain_snapshots` holds one document per underlying and session —
+ * the latest analytics plus a compact strike ladder around the money. The
+ * last snapshot of each session is that session's closing read and supplies
+ * the ATM IV history the percentile ranks against.
+ */
+
+import { storage } from '../storage/index.js';
+import { UPSTOX_INDEX_KEYS } from '../providers/adapters.js';
+import { getOptionChain, getOptionContracts, isUpstoxConfigured } from '../providers/upstox.js';
+import { getMarketStatus, isMarketOpen, toIstDate } from './marketCalendar.js';
+import { isSessionStale } from './dataQuality.js';
+import { getJobStatus } from './jobs/scheduler.js';
+
+const SNAPSHOTS = 'option_chain_snapshots';
+
+/** Underlyings tracked, with their share of the blended factor. */
+export const OPTION_UNDERLYINGS = Object.freeze([
+  { symbol: 'NIFTY', label: 'NIFTY 50', weight: 0.65 },
+  { symbol: 'BANKNIFTY', label: 'Bank Nifty', weight: 0.35 },
+]);
+
+/** Component weights of the positioning score; missing components drop out. */
+const SCORE_WEIGHTS = { pcr: 0.3, buildup: 0.3, max_pain: 0.15, skew: 0.1, iv_percentile: 0.15 };
+
+/** Strikes kept either side of the money in the stored ladder and the build-up read. */
+const LADDER_STRIKES = 15;
+/** Sessions of ATM IV needed before a percentile is published. */
+const MIN_IV_HISTORY = 20;
+const IV_HISTORY_SESSIONS = 252;
+/** A snapshot older than this while the market is open is stale. */
+const LIVE_STALE_MS = 45 * 60_000;
+const CONTRACTS_TTL_MS = 6 * 60 * 60_000;
+
+export const BUILDUP_KINDS = Object.freeze(['long_buildup', 'short_buildup', 'short_covering', 'long_unwinding']);
+
+/** Underlying symbol → { at, expiries } from the contract list. */
+const expiryCache = new Map();
+
+function optionsError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function num(value) {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+function round(value, digits = 2) {
+  if (value == null || !Number.isFinite(value)) return null;
+  const f = 10 ** digits;
+  return Math.round(value * f) / f;
+}
+
+function clamp(n, lo = 0, hi = 100) {
+  return Math.min(hi, Math.max(lo, n));
+}
+
+function normalizeSymbol(symbol) {
+  const clean = String(symbol || '').trim().toUpperCase();
+  if (!OPTION_UNDERLYINGS.some((u) => u.symbol === clean)) {
+    throw optionsError(`Unknown underlying "${symbol}" — use ${OPTION_UNDERLYINGS.map((u) => u.symbol).join(', ')}`);
+  }
+  return clean;
+}
+
+function leg(side) {
+  if (!side) return null;
+  const md = side.market_data || {};
+  const greeks = side.option_greeks || {};
+  return {
+    ltp: num(md.ltp),
+    close: num(md.close_price),
+    oi: num(md.oi) ?? 0,
+    prev_oi: num(md.prev_oi),
+    volume: num(md.volume) ?? 0,
+    iv: num(greeks.iv),
+    delta: num(greeks.delta),
+  };
+}
+
+/**
+ * Upstox chain rows → `{ strike, call, put }` sorted by strike, plus the spot
+ * the exchange quoted alongside.
+ */
+export function normalizeChain(rows = []) {
+  const strikes = (Array.isArray(rows) ? rows : [])
+    .map((row) => ({ strike: num(row?.strike_price), call: leg(row?.call_options), put: leg(row?.put_options) }))
+    .filter((row) => row.strike != null && (row.call || row.put))
+    .sort((a, b) => a.strike - b.strike);
+  const spot = num((Array.isArray(rows) ? rows : []).find((row) => num(row?.underlying_spot_price))?.underlying_spot_price);
+  return { spot, strikes };
+}
+
+/** Put/call ratio on open interest and on traded volume. */
+export function putCallRatio(strikes) {
+  let callOi = 0;
+  let putOi = 0;
+  let callVolume = 0;
+  let putVolume = 0;
+  for (const row of strikes) {
+    callOi += row.call?.oi || 0;
+    putOi += row.put?.oi || 0;
+    callVolume += row.call?.volume || 0;
+    putVolume += row.put?.volume || 0;
+  }
+  return {
+    oi: callOi > 0 ? round(putOi / callOi, 3) : null,
+    volume: callVolume > 0 ? round(putVolume / callVolume, 3) : null,
+    call_oi: callOi,
+    put_oi: putOi,
+  };
+}
+
+/** Strike at which option writers pay out least if the index settles there. */
+export function maxPain(strikes) {
+  let best = null;
+  for (const { strike: settle } of strikes) {
+    let payout = 0;
+    for (const row of strikes) {
+      if (settle > row.strike) payout += (row.call?.oi || 0) * (settle - row.strike);
+      if (settle < row.strike) payout += (row.put?.oi || 0) * (row.strike - settle);
+    }
+    if (!best || payout < best.payout) best = { strike: settle, payout };
+  }
+  return best?.strike ?? null;
+}
+
+/**
+ * OI build-up for one contract from its price and OI change on the session:
+ * price and OI up is long build-up, price down with OI up short build-up,
+ * price up with OI down short covering, both down long unwinding.
+ */
+export function classifyBuildup(priceChange, oiChange) {
+  if (!priceChange || !oiChange) return null;
+  if (oiChange > 0) return priceChange > 0 ? 'long_buildup' : 'short_buildup';
+  return priceChange > 0 ? 'short_covering' : 'long_unwinding';
+}
+
+function contractBuildup(contract) {
+  if (!contract || contract.ltp == null || contract.close == null || contract.prev_oi == null) return null;
+  const oiChange = contract.oi - contract.prev_oi;
+  const kind = classifyBuildup(contract.ltp - contract.close, oiChange);
+  return kind ? { kind, oi_change: oiChange } : null;
+}
+
+/** Build-ups that lean bullish for the underlying, per option side. */
+const BULLISH = { call: ['long_buildup', 'short_covering'], put: ['short_buildup', 'long_unwinding'] };
+
+/**
+ * Build-up totals per side (|ΔOI| by kind), the dominant kind per side and a
+ * bias from −1 (bearish) to 1 (bullish) weighted by the OI that changed hands.
+ */
+export function summarizeBuildup(strikes) {
+  const sides = {
+    call: Object.fromEntries(BUILDUP_KINDS.map((kind) => [kind, 0])),
+    put: Object.fromEntries(BUILDUP_KINDS.map((kind) => [kind, 0])),
+  };
+  let bullish = 0;
+  let bearish = 0;
+  for (const row of strikes) {
+    for (const side of ['call', 'put']) {
+      const read = contractBuildup(row[side]);
+      if (!read) continue;
+      const size = Math.abs(read.oi_change);
+      sides[side][read.kind] += size;
+      if (BULLISH[side].includes(read.kind)) bullish += size;
+      else bearish += size;
+    }
+  }
+  const dominant = (totals) => {
+    const [kind, size] = Object.entries(totals).sort((a, b) => b[1] - a[1])[0];
+    return size > 0 ? kind : null;
+  };
+  return {
+    call: { ...sides.call, dominant: dominant(sides.call) },
+    put: { ...sides.put, dominant: dominant(sides.put) },
+    bias: bullish + bearish > 0 ? round((bullish - bearish) / (bullish + bearish), 3) : null,
+  };
+}
+
+function atmRow(strikes, spot) {
+  if (spot == null || !strikes.length) return null;
+  return strikes.reduce((best, row) => (Math.abs(row.strike - spot) < Math.abs(best.strike - spot) ? row : best));
+}
+
+/** ATM implied volatility: the mean of the ATM call and put IVs that are quoted. */
+export function atmIv(strikes, spot) {
+  const row = atmRow(strikes, spot);
+  const ivs = [row?.call?.iv, row?.put?.iv].filter((iv) => iv != null && iv > 0);
+  return ivs.length ? round(ivs.reduce((a, b) => a + b, 0) / ivs.length) : null;
+}
+
+function nearest(strikes, side, pick) {
+  let best = null;
+  for (const row of strikes) {
+    const contract = row[side];
+    if (!contract?.iv || contract.iv <= 0) continue;
+    const distance = pick(row, contract);
+    if (distance == null) continue;
+    if (!best || distance < best.distance) best = { distance, row, contract };
+  }
+  return best;
+}
+
+/**
+ * Put-minus-call IV skew. Uses the 25-delta contracts when greeks are quoted,
+ * else the strikes nearest 3% out of the money either side.
+ */
+export function ivSkew(strikes, spot) {
+  const put25 = nearest(strikes, 'put', (row, c) => (c.delta == null ? null : Math.abs(c.delta + 0.25)));
+  const call25 = nearest(strikes, 'call', (row, c) => (c.delta == null ? null : Math.abs(c.delta - 0.25)));
+  if (put25 && call25 && put25.distance <= 0.1 && call25.distance <= 0.1) {
+    return {
+      value: round(put25.contract.iv - call25.contract.iv),
+      method: '25_delta',
+      put: { strike: put25.row.strike, iv: put25.contract.iv },
+      call: { strike: call25.row.strike, iv: call25.contract.iv },
+    };
+  }
+  if (spot == null) return null;
+  const putOtm = nearest(strikes, 'put', (row) => Math.abs(row.strike - spot * 0.97));
+  const callOtm = nearest(strikes, 'call', (row) => Math.abs(row.strike - spot * 1.03));
+  if (!putOtm || !callOtm) return null;
+  return {
+    value: round(putOtm.contract.iv - callOtm.contract.iv),
+    method: 'moneyness_3pct',
+    put: { strike: putOtm.row.strike, iv: putOtm.contract.iv },
+    call: { strike: callOtm.row.strike, iv: callOtm.contract.iv },
+  };
+}
+
+/** Share of earlier session closes with a lower ATM IV, 0–100; null until the history is long enough. */
+export function ivPercentile(current, history = []) {
+  const values = history.map(num).filter((v) => v != null && v > 0);
+  if (current == null || values.length < MIN_IV_HISTORY) return null;
+  return round((values.filter((v) => v < current).length / values.length) * 100, 1);
+}
+
+/** Strikes within `count` of the money either side. */
+function ladder(strikes, spot, count = LADDER_STRIKES) {
+  const atm = atmRow(strikes, spot);
+  if (!atm) return strikes;
+  const index = strikes.indexOf(atm);
+  return strikes.slice(Math.max(0, index - count), index + count + 1);
+}
+
+/**
+ * Positioning score 0–100 (higher leans bullish) from the chain reads.
+ * Heavier put writing (PCR above ~0.9) and bullish build-up lift it; a spot
+ * above max pain, a steep put skew and rich IV pull it down.
+ */
+export function scoreOptions({ pcr, buildup, spot, maxPainStrike, skew, ivPct }) {
+  const components = {};
+  if (pcr != null) {
+    // Supportive up to ~1.4, then crowded put writing turns contrarian.
+    components.pcr = pcr <= 1.4 ? clamp(50 + (pcr - 0.9) * 80, 10, 90) : clamp(90 - (pcr - 1.4) * 100, 50, 90);
+  }
+  if (buildup != null) components.buildup = clamp(50 + buildup * 50);
+  if (spot && maxPainStrike) components.max_pain = clamp(50 + ((maxPainStrike - spot) / spot) * 1000, 25, 75);
+  if (skew != null) components.skew = clamp(50 - (skew - 3) * 5, 20, 80);
+  if (ivPct != null) components.iv_percentile = clamp(50 + (50 - ivPct) * 0.6);
+
+  const keys = Object.keys(components);
+  if (!keys.length) return { score: null, label: null, components };
+  const weight = keys.reduce((sum, key) => sum + SCORE_WEIGHTS[key], 0);
+  const score = Math.round(keys.reduce((sum, key) => sum + components[key] * SCORE_WEIGHTS[key], 0) / weight);
+  return {
+    score,
+    label: score >= 60 ? 'Bullish' : score <= 40 ? 'Bearish' : 'Neutral',
+    components: Object.fromEntries(keys.map((key) => [key, Math.round(components[key])])),
+  };
+}
+
+/** Every analytic for one chain; `ivHistory` is earlier sessions' closing ATM IV. */
+export function analyzeChain(rows, { ivHistory = [] } = {}) {
+  const { spot, strikes } = normalizeChain(rows);
+  if (!strikes.length) return null;
+  const near = ladder(strikes, spot);
+  const pcr = putCallRatio(strikes);
+  const maxPainStrike = maxPain(strikes);
+  const buildup = summarizeBuildup(near);
+  const iv = atmIv(strikes, spot);
+  const skew = ivSkew(near, spot);
+  const ivPct = ivPercentile(iv, ivHistory);
+  const scored = scoreOptions({ pcr: pcr.oi, buildup: buildup.bias, spot, maxPainStrike, skew: skew?.value, ivPct });
+  return {
+    spot,
+    atm_strike: atmRow(strikes, spot)?.strike ?? null,
+    pcr_oi: pcr.oi,
+    pcr_volume: pcr.volume,
+    call_oi: pcr.call_oi,
+    put_oi: pcr.put_oi,
+    max_pain: maxPainStrike,
+    max_pain_distance_pct: spot && maxPainStrike ? round(((maxPainStrike - spot) / spot) * 100) : null,
+    buildup,
+    atm_iv: iv,
+    iv_percentile: ivPct,
+    iv_history_sessions: ivHistory.length,
+    skew,
+    ...scored,
+    strikes: near.map((row) => ({
+      strike: row.strike,
+      call: row.call && { ltp: row.call.ltp, oi: row.call.oi, oi_change: row.call.prev_oi == null ? null : row.call.oi - row.call.prev_oi, iv: row.call.iv, buildup: contractBuildup(row.call)?.kind ?? null },
+      put: row.put && { ltp: row.put.ltp, oi: row.put.oi, oi_change: row.put.prev_oi == null ? null : row.put.oi - row.put.prev_oi, iv: row.put.iv, buildup: contractBuildup(row.put)?.kind ?? null },
+    })),
+  };
+}
+
+/**
+ * Nearest expiry to trade off. On expiry day the expiring series is pinned by
+ * settlement flows, so the read rolls to the next one.
+ */
+export function selectExpiry(expiries, today) {
+  const upcoming = [...new Set(expiries.map((e) => String(e || '').slice(0, 10)).filter((e) => /^\d{4}-\d{2}-\d{2}$/.test(e)))]
+    .filter((e) => e >= today)
+    .sort();
+  return upcoming.find((e) => e > today) || upcoming[0] || null;
+}
+
+async function listExpiries(symbol, { now, contractsImpl }) {
+  const cached = expiryCache.get(symbol);
+  if (!contractsImpl && cached && now - cached.at < CONTRACTS_TTL_MS) return cached.expiries;
+  const payload = await (contractsImpl || getOptionContracts)(UPSTOX_INDEX_KEYS[symbol]);
+  const expiries = (Array.isArray(payload?.data) ? payload.data : []).map((row) => row?.expiry);
+  if (!contractsImpl) expiryCache.set(symbol, { at: now, expiries });
+  return expiries;
+}
+
+async function ivHistoryBefore(symbol, date) {
+  const rows = await storage.find(SNAPSHOTS, {
+    where: { underlying: symbol, date: { lt: date } },
+    orderBy: '-date',
+    limit: IV_HISTORY_SESSIONS,
+  });
+  return rows.map((row) => row.analytics?.atm_iv).filter((iv) => iv != null);
+}
+
+/** Fetch, analyse and store the current chain for one underlying. */
+export async function ingestOptionChain(symbol, { now = Date.now(), contractsImpl, chainImpl } = {}) {
+  const underlying = normalizeSymbol(symbol);
+  const date = toIstDate(now);
+  const expiry = selectExpiry(await listExpiries(underlying, { now, contractsImpl }), date);
+  if (!expiry) throw optionsError(`No listed expiry for ${underlying}`, 502);
+  const payload = await (chainImpl || getOptionChain)(UPSTOX_INDEX_KEYS[underlying], expiry);
+  const analytics = analyzeChain(payload?.data, { ivHistory: await ivHistoryBefore(underlying, date) });
+  if (!analytics) throw optionsError(`Empty option chain for ${underlying} ${expiry}`, 502);
+  const { strikes, ...rest } = analytics;
+  const doc = {
+    id: `${underlying}|${date}`,
+    underlying,
+    date,
+    expiry,
+    fetched_at: new Date(now).toISOString(),
+    analytics: rest,
+    strikes,
+  };
+  await storage.put(SNAPSHOTS, doc);
+  return doc;
+}
+
+/** Job body: refresh every underlying while the market is open (`force` ignores the clock). */
+export async function refreshOptionChains({ now = Date.now(), force = false, contractsImpl, chainImpl } = {}) {
+  if (!force && !isMarketOpen(now)) return { ok: true, skipped: true, reason: 'market_closed' };
+  if (!chainImpl && !isUpstoxConfigured()) return { ok: true, skipped: true, reason: 'upstox_not_connected' };
+  const refreshed = [];
+  const failed = [];
+  for (const { symbol } of OPTION_UNDERLYINGS) {
+    try {
+      const doc = await ingestOptionChain(symbol, { now, contractsImpl, chainImpl });
+      refreshed.push({ underlying: symbol, expiry: doc.expiry, score: doc.analytics.score });
+    } catch (err) {
+      failed.push({ underlying: symbol, error: String(err?.message || err).slice(0, 240) });
+    }
+  }
+  if (!refreshed.length) return { ok: false, error: failed.map((f) => `${f.underlying}: ${f.error}`).join('; '), failed };
+  return { ok: true, refreshed, failed };
+}
+
+export function optionsChainJob() {
+  return {
+    id: 'options-chain',
+    label: 'Index option chains',
+    description: 'NIFTY and BANKNIFTY nearest-expiry chains: PCR, max pain, OI build-up, IV percentile and skew.',
+    group: 'market-data',
+    everyMs: 15 * 60_000,
+    enabled: () => process.env.OPTIONS_CHAIN !== 'false',
+    initialDelayMs: 150_000,
+    run: ({ force } = {}) => refreshOptionChains({ force }),
+  };
+}
+
+async function latestSnapshot(symbol) {
+  const [row] = await storage.find(SNAPSHOTS, { where: { underlying: symbol }, orderBy: '-date', limit: 1 });
+  return row || null;
+}
+
+/**
+ * Whether a snapshot is behind: older than the previous session, or more than
+ * 45 minutes old while the market is open.
+ */
+function snapshotStale(doc, now) {
+  if (isSessionStale(doc.date, now)) return true;
+  const status = getMarketStatus(now);
+  return status.open && (doc.date !== status.session.date || now - Date.parse(doc.fetched_at) > LIVE_STALE_MS);
+}
+
+/**
+ * Blended options factor for computeAgiMarketScore(), or null with no usable
+ * snapshot. Snapshots older than the previous session are left out.
+ */
+export async function getOptionsFactor({ now = Date.now() } = {}) {
+  const parts = [];
+  for (const { symbol, weight } of OPTION_UNDERLYINGS) {
+    const doc = await latestSnapshot(symbol);
+    if (!doc || doc.analytics?.score == null || isSessionStale(doc.date, now)) continue;
+    parts.push({ symbol, weight, doc, stale: snapshotStale(doc, now) });
+  }
+  if (!parts.length) return null;
+  const total = parts.reduce((sum, p) => sum + p.weight, 0);
+  const score = Math.round(parts.reduce((sum, p) => sum + p.doc.analytics.score * p.weight, 0) / total);
+  const nifty = parts.find((p) => p.symbol === 'NIFTY')?.doc.analytics;
+  return {
+    score,
+    label: score >= 60 ? 'Bullish' : score <= 40 ? 'Bearish' : 'Neutral',
+    pcr: nifty?.pcr_oi ?? null,
+    ivPercentile: nifty?.iv_percentile ?? null,
+    underlyings: parts.map((p) => p.symbol),
+    stale: parts.some((p) => p.stale),
+    asOf: parts.map((p) => p.doc.fetched_at).sort()[0],
+  };
+}
+
+/** Public options read: the blended factor plus each underlying's latest analytics and strike ladder. */
+export async function getOptionsSummary({ now = Date.now() } = {}) {
+  const underlyings = [];
+  for (const { symbol, label } of OPTION_UNDERLYINGS) {
+    const doc = await latestSnapshot(symbol);
+    underlyings.push(doc
+      ? { underlying: symbol, name: label, available: true, date: doc.date, expiry: doc.expiry, fetched_at: doc.fetched_at, stale: snapshotStale(doc, now), ...doc.analytics, strikes: doc.strikes }
+      : { underlying: symbol, name: label, available: false });
+  }
+  return {
+    factor: await getOptionsFactor({ now }),
+    underlyings,
+    job: getJobStatus('options-chain'),
+  };
+}
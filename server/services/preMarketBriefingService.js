@@ -115,6 +115,10 @@ function buildMorningNote(context, marketBriefing) {
   const us = (context.globalMarkets || []).filter((m) => /S&P|NASDAQ|Dow/i.test(m.label));
   const oil = (context.drivers || []).find((d) => d.id === 'oil');
   const treasury = (context.drivers || []).find((d) => d.id === 'treasury');
+  const leader = context.breadth?.leaders?.[0] || null;
+  const surprises = (context.economicReleases || [])
+    .filter((r) => r.surpriseScore != null && r.tone !== 'neutral')
+    .sort((a, b) => Math.abs(b.surpriseScore) - Math.abs(a.surpriseScore));
 
   const executiveThesis = [
     `AGI’s Morning Investment Committee classifies the pre-open backdrop as ${baseTone.toLowerCase()} because overnight global risk appetite is ${us.filter((m) => m.tone === 'Bullish').length >= 2 ? 'constructive across US proxies' : us.filter((m) => m.tone === 'Bearish').length >= 2 ? 'softer across US proxies' : 'mixed across US proxies'}.`,
@@ -123,6 +127,10 @@ function buildMorningNote(context, marketBriefing) {
     winners.length
       ? `Into the India open, AGI’s base case favours selective strength in ${winners.map((s) => s.name).join(', ')} rather than a blanket risk-on stance.`
       : 'Into the India open, AGI prefers selective institutional positioning over broad beta.',
+    context.breadth?.read ? `Last session (${context.breadth.date}) closed with ${context.breadth.read}.` : '',
+    surprises.length
+      ? `The latest data surprise is ${surprises[0].event} at ${surprises[0].read}, a ${surprises[0].tone === 'negative' ? 'headwind' : 'tailwind'} for ${(surprises[0].sectors || []).slice(0, 2).join(' and ') || 'rate-sensitive sectors'}.`
+      : '',
     'Domestic catalysts (policy communication, PMI/earnings, and any overnight corporate radar items) remain the key invalidation risks for the morning base case.',
   ].filter(Boolean).join(' ');
 
@@ -130,10 +138,10 @@ function buildMorningNote(context, marketBriefing) {
     'Will Banks continue recent relative strength into the open?',
     'Can IT outperform if NASDAQ proxies remain firm overnight?',
     'Will oil stay contained enough to keep Airlines and Auto from opening weak?',
-    'Can Capital Goods extend leadership if global cyclicals hold?',
+    leader ? `Can ${leader.name} extend its ${leader.return_pct >= 0 ? 'lead' : 'relative resilience'} from the last session if global cyclicals hold?` : '',
     'Will today’s economic calendar surprise change rate expectations?',
     'How will RBI tone influence duration and NBFC positioning?',
-  ];
+  ].filter(Boolean);
 
   return {
     title: 'AGI Morning Investment Committee Note',
@@ -156,7 +164,14 @@ function buildMorningNote(context, marketBriefing) {
       'A sudden reversal in US proxies after Indian cash open.',
       'An oil or Middle East shock that reprices inflation risk.',
     ]).slice(0, 5),
-    catalysts: (context.economicCalendar || []).slice(0, 4).map((item) => `${item.country}: ${item.event}`),
+    catalysts: (context.economicCalendar || []).slice(0, 4).map((item) => `${item.country}: ${item.event}${item.estimate != null ? ` (consensus ${item.estimate}${item.unit === '%' ? '%' : ''})` : ''}`),
+    releaseSurprises: surprises.slice(0, 3).map((item) => ({
+      event: item.event,
+      read: item.read,
+      surpriseScore: item.surpriseScore,
+      tone: item.tone,
+      sectors: item.sectors,
+    })),
     questions,
     scenarios: buildScenarios(baseTone),
     threeThingsToWatch: [
@@ -179,6 +194,8 @@ function buildWorkspace(context, morningNote, marketBriefing) {
     heatMap: context.heatMap,
     overnightNews: buildOvernightNews(context),
     economicCalendar: context.economicCalendar,
+    economicReleases: context.economicReleases || [],
+    previousSessionBreadth: context.breadth || null,
     earningsCalendar: context.earningsCalendar,
     sectorWatch: (marketBriefing?.intelligence?.sectorImpact || []).slice(0, 8).map((s) => ({
       name: s.name,
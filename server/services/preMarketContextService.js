@@ -11,6 +11,8 @@ import {
   MACRO_REFRESH_MS,
 } from './macroRepository.js';
 import { getMarketContext } from './marketContextService.js';
+import { describeRelease, getCalendarDigest } from './economicCalendar.js';
+import { describeBreadth, getLatestBreadthSnapshot } from './marketBreadth.js';
 
 async function fetchJson(url, { timeoutMs = 12_000 } = {}) {
   const response = await fetch(url, {
@@ -402,6 +404,28 @@ async function loadFinnhubCalendar() {
   );
 }
 
+/** Stored calendar event → the row shape the briefing and home cards read (Finnhub field names kept). */
+function calendarRow(event) {
+  return {
+    id: event.id,
+    key: event.key,
+    date: event.scheduled_at,
+    country: event.country,
+    event: event.event,
+    period: event.period,
+    impact: event.importance,
+    estimate: event.consensus,
+    prev: event.previous,
+    actual: event.actual,
+    unit: event.unit,
+    status: event.status,
+    surpriseScore: event.surprise_score,
+    tone: event.tone,
+    read: event.actual != null ? describeRelease(event) : null,
+    sectors: event.sectors,
+  };
+}
+
 function buildHeatMap(indicesPayload, driversPayload) {
   const byId = Object.fromEntries((indicesPayload?.instruments || []).map((item) => [item.id, item]));
   const drivers = Object.fromEntries((driversPayload?.drivers || []).map((item) => [item.id, item]));
@@ -421,12 +445,16 @@ function buildHeatMap(indicesPayload, driversPayload) {
 }
 
 export async function getPreMarketContext({ force = false } = {}) {
-  const [indicesRec, driversRec, calendarRec, marketContext] = await Promise.all([
+  const [indicesRec, driversRec, calendarRec, marketContext, digest, breadth] = await Promise.all([
     loadGlobalIndices(),
     loadGlobalDrivers(),
     loadFinnhubCalendar(),
     getMarketContext().catch(() => ({ headlines: [], commodities: [] })),
+    getCalendarDigest({ days: 7, lookbackDays: 3 }).catch(() => null),
+    getLatestBreadthSnapshot().catch(() => null),
   ]);
+  // The stored calendar (admin / CSV / synced) is authoritative; raw Finnhub rows only fill an empty store.
+  const storedCalendar = (digest?.upcoming || []).map(calendarRow);
 
   const datasetStatus = [indicesRec, driversRec, calendarRec].map((rec) => ({
     key: rec.datasetKey,
@@ -443,8 +471,19 @@ export async function getPreMarketContext({ force = false } = {}) {
     globalMarkets: indicesRec.payload?.instruments || [],
     drivers: driversRec.payload?.drivers || [],
     heatMap: buildHeatMap(indicesRec.payload, driversRec.payload),
-    economicCalendar: calendarRec.payload?.economic || [],
+    economicCalendar: storedCalendar.length ? storedCalendar : calendarRec.payload?.economic || [],
+    economicReleases: (digest?.released || []).map(calendarRow),
     earningsCalendar: calendarRec.payload?.earnings || [],
+    // Last stored constituent snapshot — before the open that is the previous session.
+    breadth: breadth
+      ? {
+        date: breadth.date,
+        label: breadth.label,
+        read: describeBreadth(breadth),
+        leaders: breadth.sectors.slice(0, 3),
+        laggards: breadth.sectors.slice(3).slice(-3).reverse(),
+      }
+      : null,
     headlines: (marketContext.headlines || []).slice(0, 8),
     commodities: marketContext.commodities || [],
     sourcesUsed: [...new Set(datasetStatus.map((item) => item.source).filter((s) => s && s !== 'unavailable'))],
@@ -2,23 +2,31 @@
  * Newsletter / publishing analytics — from events + jobs + subscribers.
  */
 
-import { store } from './store.js';
+import { CAMPAIGNS, EVENTS, IMPORTS, JOBS, SUBSCRIBERS, storage } from './store.js';
 
-export function getAnalytics() {
-  const subscribers = store.listSubscribers();
-  const events = store.listEvents();
-  const jobs = store.listJobs();
-  const imports = store.listImports();
-  const campaigns = store.listCampaigns();
+function topLinks(links = {}, limit = Infinity) {
+  return Object.entries(links || {})
+    .map(([url, clicks]) => ({ url, clicks }))
+    .sort((a, b) => b.clicks - a.clicks)
+    .slice(0, limit);
+}
+
+const countEvents = (event_type) => storage.count(EVENTS, { where: { event_type } });
+
+export async function getAnalytics() {
+  const [subscribers, jobs, imports, campaigns] = await Promise.all([
+    storage.find(SUBSCRIBERS, { orderBy: 'created_at' }),
+    storage.find(JOBS, { orderBy: '-created_at' }),
+    storage.find(IMPORTS, { orderBy: '-created_at', limit: 10 }),
+    storage.find(CAMPAIGNS, { orderBy: '-created_at', limit: 20 }),
+  ]);
 
   const active = subscribers.filter((s) => s.status === 'active' && s.is_active !== false);
   const unsubscribed = subscribers.filter((s) => s.status === 'unsubscribed' || s.is_active === false);
 
-  const sent = events.filter((e) => e.event_type === 'sent').length;
-  const opens = events.filter((e) => e.event_type === 'open').length;
-  const clicks = events.filter((e) => e.event_type === 'click').length;
-  const bounces = events.filter((e) => e.event_type === 'bounce').length;
-  const unsubEvents = events.filter((e) => e.event_type === 'unsubscribe').length;
+  const [sent, opens, clicks, bounces, unsubEvents] = await Promise.all(
+    ['sent', 'open', 'click', 'bounce', 'unsubscribe'].map(countEvents),
+  );
 
   const bySource = {};
   for (const s of subscribers) {
@@ -39,14 +47,20 @@ export function getAnalytics() {
       sent: j.newsletter_sent || 0,
       opens: (j.analytics?.opens || 0),
       clicks: (j.analytics?.clicks || 0),
+      links: topLinks(j.analytics?.links, 5),
     }))
     .sort((a, b) => b.opens + b.clicks - (a.opens + a.clicks))
     .slice(0, 10);
 
-  const growth = subscribers
-    .slice()
-    .sort((a, b) => String(a.created_at).localeCompare(String(b.created_at)))
-    .reduce((acc, s) => {
+  // Unique clicks per link, per job (tracking.js redirect + provider click webhooks).
+  const linkClicks = jobs
+    .flatMap((j) =>
+      topLinks(j.analytics?.links).map((l) => ({ ...l, job_id: j.id, title: j.title, slug: j.article_slug })),
+    )
+    .sort((a, b) => b.clicks - a.clicks)
+    .slice(0, 25);
+
+  const growth = subscribers.reduce((acc, s) => {
       const day = String(s.created_at || '').slice(0, 10) || 'unknown';
       const last = acc[acc.length - 1];
       const total = (last?.total || 0) + 1;
@@ -74,8 +88,9 @@ export function getAnalytics() {
       bounces,
     },
     most_read_articles: mostRead,
+    link_clicks: linkClicks,
     traffic_source: bySource,
-    campaign_performance: campaigns.slice(0, 20).map((c) => ({
+    campaign_performance: campaigns.map((c) => ({
       id: c.id,
       name: c.name,
       status: c.status,
@@ -86,15 +101,19 @@ export function getAnalytics() {
     top_performing_topics: Object.entries(topicCounts)
       .map(([topic, count]) => ({ topic, count }))
       .sort((a, b) => b.count - a.count),
-    imports: imports.slice(0, 10),
+    imports,
     publish_jobs: jobs.slice(0, 20),
   };
 }
 
-export function recordEvent({ job_id, subscriber_id, email, event_type, meta = {} }) {
-  const events = store.listEvents();
+/**
+ * Append an event; opens and clicks also bump the job's counters. Passing an
+ * `id` makes the call idempotent (providers retry webhooks) — a repeat returns
+ * the stored row flagged `duplicate`.
+ */
+export function recordEvent({ id, job_id, subscriber_id, email, event_type, meta = {} }) {
   const row = {
-    id: `${Date.now()}_${Math.random().toString(16).slice(2)}`,
+    id: id || `${Date.now()}_${Math.random().toString(16).slice(2)}`,
     job_id: job_id || null,
     subscriber_id: subscriber_id || null,
     email: email || null,
@@ -102,18 +121,23 @@ export function recordEvent({ job_id, subscriber_id, email, event_type, meta = {
     meta,
     created_at: new Date().toISOString(),
   };
-  events.push(row);
-  store.saveEvents(events.slice(-5000));
-
-  if (job_id && (event_type === 'open' || event_type === 'click')) {
-    const jobs = store.listJobs();
-    const job = jobs.find((j) => j.id === job_id);
-    if (job) {
-      job.analytics = job.analytics || {};
-      if (event_type === 'open') job.analytics.opens = (job.analytics.opens || 0) + 1;
-      if (event_type === 'click') job.analytics.clicks = (job.analytics.clicks || 0) + 1;
-      store.saveJobs(jobs);
+  return storage.transaction(async () => {
+    if (id) {
+      const existing = await storage.get(EVENTS, id);
+      if (existing) return { ...existing, duplicate: true };
     }
-  }
-  return row;
+    await storage.put(EVENTS, row);
+    if (job_id && (event_type === 'open' || event_type === 'click')) {
+      await storage.update(JOBS, job_id, (job) => {
+        const analytics = { ...job.analytics };
+        if (event_type === 'open') analytics.opens = (analytics.opens || 0) + 1;
+        if (event_type === 'click') analytics.clicks = (analytics.clicks || 0) + 1;
+        if (event_type === 'click' && meta.url) {
+          analytics.links = { ...analytics.links, [meta.url]: (analytics.links?.[meta.url] || 0) + 1 };
+        }
+        return { ...job, analytics };
+      });
+    }
+    return row;
+  });
 }
@@ -0,0 +1,398 @@
+/**
+ * Campaign lifecycle beyond send-now — scheduled sends and subject-line A/B tests.
+ *
+ *   scheduled ──(due)──▶ sending ──▶ sent | partial | failed | dry_run
+ *       └──(cancel)──▶ cancelled
+ *
+ * A scheduled campaign keeps its targeting spec and resolves the audience when
+ * it fires, so readers who joined or left in between are handled.
+ *
+ * A/B test: `ab_test.sample_pct` of the audience (ordered by a hash of campaign
+ * + subscriber, so the split is stable) is spread across the subject variants.
+ * Once `window_hours` have passed and the sample has settled, the variant with
+ * the best unique open rate wins (ties: more opens, then listed order). The
+ * rest of the audience then gets the winning subject. The campaign is not
+ * finalised while the test is open.
+ */
+
+import crypto from 'node:crypto';
+import { resolveAudience } from './segments.js';
+import { enqueueCampaign, finalizeCampaign } from './sendQueue.js';
+import { CAMPAIGNS, EVENTS, JOBS, QUEUE, mirrorCampaign, mirrorPublishJob, storage } from './store.js';
+import { getJobStatus } from '../jobs/scheduler.js';
+
+export const AB_TEST_DEFAULTS = Object.freeze({ sample_pct: 20, window_hours: 4 });
+const MAX_VARIANTS = 4;
+const HOUR_MS = 3_600_000;
+
+
+const iso = (ms) => new Date(ms).toISOString();
+const pct = (part, whole) => (whole ? Number(((part / whole) * 100).toFixed(2)) : 0);
+
+function campaignError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+/**
+ * `{ subjects: [..], sample_pct?, window_hours? }` → the stored ab_test block.
+ * Returns null when no test was asked for; throws (status 400) when malformed.
+ */
+export function normalizeAbTest(input) {
+  if (!input) return null;
+  const subjects = [...new Set((input.subjects || []).map((s) => String(s || '').trim()).filter(Boolean))];
+  if (subjects.length < 2) throw campaignError('An A/B test needs at least two distinct subjects');
+  if (subjects.length > MAX_VARIANTS) throw campaignError(`An A/B test takes at most ${MAX_VARIANTS} subjects`);
+  const samplePct = Number(input.sample_pct ?? AB_TEST_DEFAULTS.sample_pct);
+  const windowHours = Number(input.window_hours ?? AB_TEST_DEFAULTS.window_hours);
+  if (!(samplePct > 0 && samplePct <= 100)) throw campaignError('sample_pct must be between 0 and 100');
+  if (!(windowHours >= 0)) throw campaignError('window_hours must be a non-negative number');
+  return {
+    status: 'pending',
+    metric: 'open_rate',
+    sample_pct: samplePct,
+    window_hours: windowHours,
+    variants: subjects.map((subject, i) => ({ id: String.fromCharCode(65 + i), subject })),
+    winner: null,
+    results: null,
+  };
+}
+
+function sampleOrder(campaignId, subscriberId) {
+  return crypto.createHash('sha1').update(`${campaignId}:${subscriberId}`).digest('hex');
+}
+
+/** Stable sample / holdout split for a campaign's audience. */
+function splitSample(campaign, recipients) {
+  const { sample_pct: samplePct, variants } = campaign.ab_test;
+  const ordered = [...recipients].sort((a, b) =>
+    sampleOrder(campaign.id, a.id).localeCompare(sampleOrder(campaign.id, b.id)),
+  );
+  const size = Math.min(ordered.length, Math.max(variants.length, Math.round((ordered.length * samplePct) / 100)));
+  return { sample: ordered.slice(0, size), holdout: ordered.slice(size) };
+}
+
+async function saveLaunch(campaign, job) {
+  await storage.put(CAMPAIGNS, campaign);
+  if (job) {
+    await storage.put(JOBS, job);
+    await mirrorPublishJob(job);
+  }
+  await mirrorCampaign(campaign);
+}
+
+/**
+ * Queue a stored campaign for `recipients` (A/B sample first when it has a
+ * test). Returns { campaign, job } as saved.
+ */
+export async function launchCampaign(campaign, recipients, { job, now = Date.now() } = {}) {
+  const currentJob = job || (campaign.job_id ? await storage.get(JOBS, campaign.job_id) : null);
+  const ts = iso(now);
+  const base = { campaign_id: campaign.id, provider: campaign.provider };
+
+  if (!recipients.length) {
+    const nextCampaign = { ...campaign, status: 'skipped', stats: { ...campaign.stats, recipients: 0 }, finalized_at: ts };
+    const reason = campaign.targeting?.capped
+      ? 'Every matching subscriber is at the frequency cap'
+      : 'No active subscribers in segment';
+    const nextJob = currentJob && {
+      ...currentJob,
+      status: 'completed',
+      channels: {
+        ...currentJob.channels,
+        newsletter: { status: 'skipped', reason },
+        analytics: { status: 'recorded' },
+        archive: { status: 'stored', job_id: currentJob.id, campaign_id: campaign.id },
+      },
+      completed_at: ts,
+    };
+    await saveLaunch(nextCampaign, nextJob);
+    return { campaign: nextCampaign, job: nextJob };
+  }
+
+  let batches;
+  let nextCampaign;
+  let newsletter;
+  if (campaign.ab_test) {
+    const { sample, holdout } = splitSample(campaign, recipients);
+    const { variants } = campaign.ab_test;
+    batches = variants.map((v, i) => ({ variant: v.id, recipients: sample.filter((_, j) => j % variants.length === i) }));
+    const decideAt = iso(now + campaign.ab_test.window_hours * HOUR_MS);
+    nextCampaign = {
+      ...campaign,
+      status: 'sending',
+      stats: { ...campaign.stats, recipients: sample.length },
+      ab_test: { ...campaign.ab_test, status: 'testing', sample_size: sample.length, held_back: holdout.length, test_started_at: ts, decide_at: decideAt },
+    };
+    newsletter = { status: 'testing', ...base, queued: sample.length, held_back: holdout.length, decide_at: decideAt };
+  } else {
+    batches = [{ variant: null, recipients }];
+    nextCampaign = { ...campaign, status: 'sending', stats: { ...campaign.stats, recipients: recipients.length } };
+    newsletter = { status: 'queued', ...base, queued: recipients.length };
+  }
+
+  const nextJob = currentJob && { ...currentJob, status: 'sending', channels: { ...currentJob.channels, newsletter } };
+  // Mirror before enqueueing so the queue's final mirror is the last write.
+  await saveLaunch(nextCampaign, nextJob);
+  for (const batch of batches) {
+    await enqueueCampaign(nextCampaign, batch.recipients, { provider: nextCampaign.provider, variant: batch.variant });
+  }
+  return { campaign: nextCampaign, job: nextJob };
+}
+
+/** Audience from the targeting spec stored on the campaign. */
+function audienceFor(campaign, now) {
+  const t = campaign.targeting || {};
+  return resolveAudience({
+    segments: t.segments?.length ? t.segments : [campaign.segment || 'all'],
+    exclude: t.exclude,
+    frequencyCap: t.frequency_cap ?? null,
+    now,
+  });
+}
+
+/** Claim a campaign in one status for a state change; null when someone else moved it. */
+function claim(campaignId, check, patch) {
+  return storage.transaction(async () => {
+    const campaign = await storage.get(CAMPAIGNS, campaignId);
+    if (!campaign || !check(campaign)) return null;
+    return storage.update(CAMPAIGNS, campaignId, (c) => ({ ...c, ...patch(c) }));
+  });
+}
+
+async function failCampaign(campaign, error) {
+  const ts = new Date().toISOString();
+  const failed = await storage.update(CAMPAIGNS, campaign.id, (c) => ({ ...c, status: 'failed', error, finalized_at: ts }));
+  const job = campaign.job_id
+    ? await storage.update(JOBS, campaign.job_id, (j) => ({
+        ...j,
+        status: 'failed',
+        error,
+        channels: { ...j.channels, newsletter: { status: 'failed', campaign_id: campaign.id, error } },
+        completed_at: ts,
+      }))
+    : null;
+  if (job) await mirrorPublishJob(job);
+  await mirrorCampaign(failed);
+  return failed;
+}
+
+/** Send a due scheduled campaign. Returns the launched campaign, or null if it was not due / already taken. */
+export async function dispatchScheduledCampaign(campaignId, { now = Date.now() } = {}) {
+  const campaign = await claim(
+    campaignId,
+    (c) => c.status === 'scheduled' && c.scheduled_at <= iso(now),
+    () => ({ status: 'sending', dispatched_at: iso(now) }),
+  );
+  if (!campaign) return null;
+  try {
+    const { recipients } = await audienceFor(campaign, now);
+    return (await launchCampaign(campaign, recipients, { now })).campaign;
+  } catch (err) {
+    console.warn(`[newsletter-campaigns] ${campaignId} failed to launch:`, err.message);
+    return failCampaign(campaign, err.message);
+  }
+}
+
+/**
+ * Per-variant sample performance: queued / sent rows and unique opens / clicks
+ * among the recipients who were sent that variant.
+ */
+export async function variantPerformance(campaign) {
+  const variants = campaign.ab_test?.variants || [];
+  if (!variants.length) return [];
+  const [rows, events] = await Promise.all([
+    storage.find(QUEUE, { where: { campaign_id: campaign.id } }),
+    campaign.job_id ? storage.find(EVENTS, { where: { job_id: campaign.job_id, event_type: ['open', 'click'] } }) : [],
+  ]);
+  const opened = new Set(events.filter((e) => e.event_type === 'open').map((e) => e.subscriber_id));
+  const clicked = new Set(events.filter((e) => e.event_type === 'click').map((e) => e.subscriber_id));
+  return variants.map((v) => {
+    const mine = rows.filter((r) => r.variant === v.id);
+    const sent = mine.filter((r) => r.status === 'sent');
+    const opens = sent.filter((r) => opened.has(r.subscriber_id)).length;
+    const clicks = sent.filter((r) => clicked.has(r.subscriber_id)).length;
+    return {
+      id: v.id,
+      subject: v.subject,
+      queued: mine.length,
+      open: mine.filter((r) => ['queued', 'sending', 'paused'].includes(r.status)).length,
+      sent: sent.length,
+      opens,
+      clicks,
+      open_rate: pct(opens, sent.length),
+      click_rate: pct(clicks, sent.length),
+    };
+  });
+}
+
+function pickWinner(results) {
+  return results.reduce((best, r) =>
+    r.open_rate > best.open_rate || (r.open_rate === best.open_rate && r.opens > best.opens) ? r : best,
+  );
+}
+
+/**
+ * Close an A/B test: pick the winning subject and queue the held-back audience
+ * with it. Waits for the window and for the sample to settle unless `force`.
+ * Returns { ok, campaign, winner, results, queued } or { ok: false, error, status }.
+ */
+export async function decideAbTest(campaignId, { force = false, now = Date.now() } = {}) {
+  const current = await storage.get(CAMPAIGNS, campaignId);
+  if (!current) return { ok: false, error: 'Campaign not found', status: 404 };
+  if (current.ab_test?.status !== 'testing') return { ok: false, error: 'Campaign has no running A/B test', status: 409 };
+  if (current.status === 'paused') return { ok: false, error: 'Campaign is paused', status: 409 };
+  const results = await variantPerformance(current);
+  if (!force && (current.ab_test.decide_at > iso(now) || results.some((r) => r.open))) {
+    return { ok: false, error: 'Test window still open', status: 409 };
+  }
+
+  const campaign = await claim(
+    campaignId,
+    (c) => c.ab_test?.status === 'testing',
+    (c) => ({ ab_test: { ...c.ab_test, status: 'deciding' } }),
+  );
+  if (!campaign) return { ok: false, error: 'Test already decided', status: 409 };
+
+  const winner = pickWinner(results);
+  const already = new Set((await storage.find(QUEUE, { where: { campaign_id: campaignId } })).map((r) => r.subscriber_id));
+  let holdout = [];
+  try {
+    holdout = (await audienceFor(campaign, now)).recipients.filter((s) => !already.has(s.id));
+  } catch (err) {
+    // Targeting no longer resolves (e.g. a segment was deleted) — keep the result, skip the rollout.
+    console.warn(`[newsletter-campaigns] ${campaignId} holdout skipped:`, err.message);
+  }
+
+  const decided = await storage.update(CAMPAIGNS, campaignId, (c) => ({
+    ...c,
+    subject: winner.subject,
+    content: { ...c.content, subject: winner.subject },
+    stats: { ...c.stats, recipients: (c.stats?.recipients || 0) + holdout.length },
+    ab_test: { ...c.ab_test, status: 'decided', winner: winner.id, results, decided_at: iso(now) },
+  }));
+  if (decided.job_id) {
+    const job = await storage.update(JOBS, decided.job_id, (j) => ({
+      ...j,
+      channels: {
+        ...j.channels,
+        newsletter: { ...j.channels?.newsletter, status: 'queued', winner: winner.id, queued: (j.channels?.newsletter?.queued || 0) + holdout.length },
+      },
+    }));
+    await mirrorPublishJob(job);
+  }
+  await mirrorCampaign(decided);
+  if (holdout.length) await enqueueCampaign(decided, holdout, { provider: decided.provider });
+  const finalized = await finalizeCampaign(campaignId);
+  return { ok: true, campaign: finalized || decided, winner: winner.id, results, queued: holdout.length };
+}
+
+/** Cancel a campaign that has not fired yet. */
+export async function cancelScheduledCampaign(campaignId) {
+  const ts = new Date().toISOString();
+  const campaign = await claim(campaignId, (c) => c.status === 'scheduled', () => ({ status: 'cancelled', finalized_at: ts }));
+  if (!campaign) {
+    const exists = await storage.get(CAMPAIGNS, campaignId);
+    return exists
+      ? { ok: false, error: `Campaign already ${exists.status}`, status: 409 }
+      : { ok: false, error: 'Campaign not found', status: 404 };
+  }
+  if (campaign.job_id) {
+    const job = await storage.update(JOBS, campaign.job_id, (j) => ({
+      ...j,
+      status: 'completed',
+      channels: { ...j.channels, newsletter: { status: 'cancelled', campaign_id: campaignId } },
+      completed_at: ts,
+    }));
+    await mirrorPublishJob(job);
+  }
+  await mirrorCampaign(campaign);
+  return { ok: true, campaign };
+}
+
+/** Move a not-yet-fired campaign; `schedule` comes from resolveSendTime (schedule.js). */
+export async function rescheduleCampaign(campaignId, schedule) {
+  const campaign = await claim(campaignId, (c) => c.status === 'scheduled', (c) => ({
+    scheduled_at: schedule.scheduled_at,
+    schedule: { ...c.schedule, requested_at: schedule.requested_at, rolled: schedule.rolled },
+  }));
+  if (!campaign) {
+    const exists = await storage.get(CAMPAIGNS, campaignId);
+    return exists
+      ? { ok: false, error: `Campaign already ${exists.status}`, status: 409 }
+      : { ok: false, error: 'Campaign not found', status: 404 };
+  }
+  if (campaign.job_id) {
+    const job = await storage.update(JOBS, campaign.job_id, (j) => ({
+      ...j,
+      channels: { ...j.channels, newsletter: { ...j.channels?.newsletter, scheduled_at: campaign.scheduled_at } },
+    }));
+    await mirrorPublishJob(job);
+  }
+  await mirrorCampaign(campaign);
+  return { ok: true, campaign };
+}
+
+/** Campaign detail for the admin view: campaign (no message body), queue counts, variants, job. */
+export async function getCampaignDetail(campaignId) {
+  const campaign = await storage.get(CAMPAIGNS, campaignId);
+  if (!campaign) return { ok: false, error: 'Campaign not found', status: 404 };
+  const statuses = ['queued', 'sending', 'paused', 'sent', 'failed', 'cancelled'];
+  const [counts, variants, job] = await Promise.all([
+    Promise.all(statuses.map((status) => storage.count(QUEUE, { where: { campaign_id: campaignId, status } }))),
+    variantPerformance(campaign),
+    campaign.job_id ? storage.get(JOBS, campaign.job_id) : null,
+  ]);
+  const { content, ...rest } = campaign;
+  return {
+    ok: true,
+    campaign: { ...rest, subject: content?.subject || campaign.subject },
+    queue: Object.fromEntries(statuses.map((s, i) => [s, counts[i]])),
+    variants,
+    job: job && { id: job.id, status: job.status, title: job.title, analytics: job.analytics, channels: { newsletter: job.channels?.newsletter } },
+  };
+}
+
+/** Fire due scheduled campaigns and close A/B tests whose window has passed. */
+export async function processCampaignSchedule({ now = Date.now() } = {}) {
+  const due = await storage.find(CAMPAIGNS, {
+    where: { status: 'scheduled', scheduled_at: { lte: iso(now) } },
+    orderBy: 'scheduled_at',
+    limit: 20,
+  });
+  let dispatched = 0;
+  for (const c of due) if (await dispatchScheduledCampaign(c.id, { now })) dispatched += 1;
+
+  const testing = (await storage.find(CAMPAIGNS, { where: { status: 'sending' } })).filter(
+    (c) => c.ab_test?.status === 'testing' && c.ab_test.decide_at <= iso(now),
+  );
+  let decided = 0;
+  for (const c of testing) if ((await decideAbTest(c.id, { now })).ok) decided += 1;
+  return { dispatched, decided };
+}
+
+function schedulerEnabled() {
+  return String(process.env.NEWSLETTER_CAMPAIGN_SCHEDULER || 'true').toLowerCase() !== 'false';
+}
+
+/** Job `newsletter-campaigns` (services/jobs) — dispatches due campaigns and decides A/B tests. */
+export function campaignSchedulerJob() {
+  return {
+    id: 'newsletter-campaigns',
+    label: 'Newsletter campaign scheduler',
+    description: 'Fires scheduled campaigns and rolls out A/B test winners.',
+    group: 'publishing',
+    everyMs: Number(process.env.NEWSLETTER_CAMPAIGN_SCHEDULER_MS || 60_000),
+    enabled: schedulerEnabled,
+    quiet: (result) => !result?.dispatched && !result?.decided,
+    run: () => processCampaignSchedule(),
+  };
+}
+
+export function getCampaignSchedulerStatus() {
+  return {
+    ...getJobStatus('newsletter-campaigns'),
+    intervalMs: Number(process.env.NEWSLETTER_CAMPAIGN_SCHEDULER_MS || 60_000),
+  };
+}
@@ -1,8 +1,20 @@
 /**
- * Email provider abstraction — Resend preferred.
- * Postmark / Brevo / SES can be added without changing business logic.
+ * Email provider adapters — Resend (default), Postmark, Brevo and Amazon SES.
+ *
+ * Every adapter returns { ok, provider, id?, error?, status?, retryable?, retryAfterMs?, dryRun? }.
+ * `retryable` marks 429 / 5xx / network failures so the send queue can back off
+ * and try again; anything else is a permanent failure for that recipient.
+ * A provider without credentials falls back to the stub (dry run), so tests and
+ * local runs never send real mail.
  */
 
+import crypto from 'node:crypto';
+
+export const EMAIL_PROVIDERS = Object.freeze(['resend', 'postmark', 'brevo', 'ses', 'stub']);
+
+/** Default messages/second per provider (account-level limits at the time of writing). */
+const DEFAULT_RATE_LIMITS = { resend: 2, postmark: 10, brevo: 10, ses: 14, stub: 0 };
+
 function providerName() {
   return (process.env.EMAIL_PROVIDER || 'resend').toLowerCase();
 }
@@ -15,69 +27,216 @@ export function getEmailFrom() {
   );
 }
 
-async function sendViaResend({ to, subject, html, text, tags }) {
-  const apiKey = process.env.RESEND_API_KEY || process.env.re_RESEND_API_KEY;
-  if (!apiKey) {
-    return { ok: false, provider: 'resend', error: 'RESEND_API_KEY missing', dryRun: true };
+/** 'Name <addr@x>' → { name, email } (Brevo and SES take them apart). */
+function parseFrom(from) {
+  const match = String(from).match(/^\s*(.*?)\s*<([^>]+)>\s*$/);
+  return match ? { name: match[1].replace(/^"|"$/g, ''), email: match[2] } : { name: '', email: String(from).trim() };
+}
+
+function retryAfterMs(resp) {
+  const raw = resp.headers.get('retry-after');
+  if (!raw) return null;
+  const seconds = Number(raw);
+  if (Number.isFinite(seconds)) return seconds * 1000;
+  const at = Date.parse(raw);
+  return Number.isFinite(at) ? Math.max(0, at - Date.now()) : null;
+}
+
+/** POST JSON and fold the response into the adapter result shape. */
+async function postJson(provider, url, { headers, payload, body = JSON.stringify(payload), pickId }) {
+  let resp;
+  try {
+    resp = await fetch(url, { method: 'POST', headers: { 'Content-Type': 'application/json', ...headers }, body });
+  } catch (err) {
+    return { ok: false, provider, error: err.message, retryable: true };
   }
-  const resp = await fetch('https://api.resend.com/emails', {
-    method: 'POST',
-    headers: {
-      Authorization: `Bearer ${apiKey}`,
-      'Content-Type': 'application/json',
-    },
-    body: JSON.stringify({
-      from: getEmailFrom(),
-      to: Array.isArray(to) ? to : [to],
-      subject,
-      html,
-      text,
-      tags,
-    }),
-  });
-  const body = await resp.json().catch(() => ({}));
+  const json = await resp.json().catch(() => ({}));
   if (!resp.ok) {
-    return { ok: false, provider: 'resend', error: body?.message || `HTTP ${resp.status}`, body };
+    return {
+      ok: false,
+      provider,
+      status: resp.status,
+      error: json?.message || json?.Message || `HTTP ${resp.status}`,
+      retryable: resp.status === 429 || resp.status >= 500,
+      retryAfterMs: retryAfterMs(resp),
+      body: json,
+    };
   }
-  return { ok: true, provider: 'resend', id: body.id, body };
+  return { ok: true, provider, id: pickId(json), body: json };
 }
 
-async function sendViaStub({ to, subject }) {
+function tagValues(tags = []) {
+  return tags.map((t) => (typeof t === 'string' ? t : t.value)).filter(Boolean);
+}
+
+const resend = {
+  id: 'resend',
+  configured: () => Boolean(process.env.RESEND_API_KEY || process.env.re_RESEND_API_KEY),
+  send({ to, subject, html, text, tags }) {
+    return postJson('resend', 'https://api.resend.com/emails', {
+      headers: { Authorization: `Bearer ${process.env.RESEND_API_KEY || process.env.re_RESEND_API_KEY}` },
+      payload: { from: getEmailFrom(), to: Array.isArray(to) ? to : [to], subject, html, text, tags },
+      pickId: (json) => json.id,
+    });
+  },
+};
+
+const postmark = {
+  id: 'postmark',
+  configured: () => Boolean(process.env.POSTMARK_SERVER_TOKEN),
+  send({ to, subject, html, text, tags }) {
+    return postJson('postmark', 'https://api.postmarkapp.com/email', {
+      headers: { Accept: 'application/json', 'X-Postmark-Server-Token': process.env.POSTMARK_SERVER_TOKEN },
+      payload: {
+        From: getEmailFrom(),
+        To: Array.isArray(to) ? to.join(',') : to,
+        Subject: subject,
+        HtmlBody: html,
+        TextBody: text,
+        Tag: tagValues(tags)[0],
+        MessageStream: process.env.POSTMARK_MESSAGE_STREAM || 'broadcast',
+      },
+      pickId: (json) => json.MessageID,
+    });
+  },
+};
+
+const brevo = {
+  id: 'brevo',
+  configured: () => Boolean(process.env.BREVO_API_KEY),
+  send({ to, subject, html, text, tags }) {
+    return postJson('brevo', 'https://api.brevo.com/v3/smtp/email', {
+      headers: { Accept: 'application/json', 'api-key': process.env.BREVO_API_KEY },
+      payload: {
+        sender: parseFrom(getEmailFrom()),
+        to: (Array.isArray(to) ? to : [to]).map((email) => ({ email })),
+        subject,
+        htmlContent: html,
+        textContent: text,
+        tags: tagValues(tags),
+      },
+      pickId: (json) => json.messageId,
+    });
+  },
+};
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+const hmac = (key, value) => crypto.createHmac('sha256', key).update(value).digest();
+
+/** AWS Signature V4 headers for a JSON POST (no SDK dependency). */
+export function signAwsRequest({ url, body, region, service, accessKeyId, secretAccessKey, sessionToken, now = new Date() }) {
+  const { host, pathname } = new URL(url);
+  const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const date = amzDate.slice(0, 8);
+  const payloadHash = sha256(body);
+  const headers = {
+    'content-type': 'application/json',
+    host,
+    'x-amz-content-sha256': payloadHash,
+    'x-amz-date': amzDate,
+    ...(sessionToken ? { 'x-amz-security-token': sessionToken } : {}),
+  };
+  const names = Object.keys(headers).sort();
+  const canonical = ['POST', pathname, '', names.map((n) => `${n}:${headers[n]}\n`).join(''), names.join(';'), payloadHash].join('\n');
+  const scope = `${date}/${region}/${service}/aws4_request`;
+  const toSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonical)].join('\n');
+  const key = [date, region, service, 'aws4_request'].reduce((k, part) => hmac(k, part), `AWS4${secretAccessKey}`);
+  const signature = crypto.createHmac('sha256', key).update(toSign).digest('hex');
+  const { host: _host, ...rest } = headers;
   return {
-    ok: true,
-    provider: 'stub',
-    dryRun: true,
-    id: `stub_${Date.now()}`,
-    to,
-    subject,
+    ...rest,
+    authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${names.join(';')}, Signature=${signature}`,
   };
 }
 
+const ses = {
+  id: 'ses',
+  configured: () => Boolean(process.env.AWS_ACCESS_KEY_ID && process.env.AWS_SECRET_ACCESS_KEY),
+  send({ to, subject, html, text, tags }) {
+    const region = process.env.AWS_SES_REGION || process.env.AWS_REGION || 'ap-south-1';
+    const url = `https://email.${region}.amazonaws.com/v2/email/outbound-emails`;
+    const body = JSON.stringify({
+      FromEmailAddress: getEmailFrom(),
+      Destination: { ToAddresses: Array.isArray(to) ? to : [to] },
+      Content: {
+        Simple: {
+          Subject: { Data: subject, Charset: 'UTF-8' },
+          Body: { Html: { Data: html, Charset: 'UTF-8' }, ...(text ? { Text: { Data: text, Charset: 'UTF-8' } } : {}) },
+        },
+      },
+      EmailTags: (tags || []).filter((t) => t?.name).map((t) => ({ Name: t.name, Value: t.value })),
+      ...(process.env.SES_CONFIGURATION_SET ? { ConfigurationSetName: process.env.SES_CONFIGURATION_SET } : {}),
+    });
+    const headers = signAwsRequest({
+      url,
+      body,
+      region,
+      service: 'ses',
+      accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+      secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+      sessionToken: process.env.AWS_SESSION_TOKEN,
+    });
+    return postJson('ses', url, { headers, body, pickId: (json) => json.MessageId });
+  },
+};
+
+const stub = {
+  id: 'stub',
+  configured: () => true,
+  async send({ to, subject }) {
+    return {
+      ok: true,
+      provider: 'stub',
+      dryRun: true,
+      id: `stub_${crypto.randomUUID()}`,
+      to,
+      subject,
+    };
+  },
+};
+
+const ADAPTERS = { resend, postmark, brevo, ses, stub };
+
 /**
- * Send one email. Returns { ok, provider, id?, error?, dryRun? }
+ * Provider new sends go to: EMAIL_PROVIDER when it is known and configured,
+ * otherwise the stub. NEWSLETTER_DRY_RUN=1 forces the stub.
  */
-export async function sendEmail(message) {
+export function activeEmailProvider() {
   const name = providerName();
-  if (name === 'stub' || process.env.NEWSLETTER_DRY_RUN === '1') {
-    return sendViaStub(message);
-  }
-  if (name === 'resend') {
-    const result = await sendViaResend(message);
-    if (result.dryRun || (!result.ok && result.error?.includes('missing'))) {
-      return sendViaStub(message);
-    }
-    return result;
-  }
-  // Future: postmark | brevo | ses
-  return sendViaStub({ ...message, note: `Provider ${name} not implemented — stubbed` });
+  if (process.env.NEWSLETTER_DRY_RUN === '1') return 'stub';
+  return ADAPTERS[name]?.configured() ? name : 'stub';
 }
 
-export async function sendBulk(messages, { concurrency = 5 } = {}) {
-  const results = [];
-  for (let i = 0; i < messages.length; i += concurrency) {
-    const chunk = messages.slice(i, i + concurrency);
-    const part = await Promise.all(chunk.map((m) => sendEmail(m)));
-    results.push(...part);
-  }
-  return results;
+/** Messages/second for a provider; EMAIL_RATE_LIMIT_<PROVIDER> overrides, 0 = unthrottled. */
+export function providerRateLimit(name) {
+  const raw = process.env[`EMAIL_RATE_LIMIT_${String(name).toUpperCase()}`];
+  const value = raw != null && raw !== '' ? Number(raw) : DEFAULT_RATE_LIMITS[name];
+  return Number.isFinite(value) && value > 0 ? value : 0;
+}
+
+export function emailProviderStatus() {
+  return {
+    active: activeEmailProvider(),
+    requested: providerName(),
+    providers: EMAIL_PROVIDERS.map((id) => ({
+      id,
+      configured: ADAPTERS[id].configured(),
+      rate_limit_per_sec: providerRateLimit(id),
+    })),
+  };
+}
+
+/** Send one message through a specific provider (the queue pins a provider per row). */
+export async function sendWithProvider(name, message) {
+  const adapter = ADAPTERS[name];
+  if (!adapter) return { ok: false, provider: name, error: `Unknown email provider "${name}"`, retryable: false };
+  if (!adapter.configured()) return stub.send(message);
+  return adapter.send(message);
+}
+
+/**
+ * Send one email. Returns { ok, provider, id?, error?, dryRun? }
+ */
+export function sendEmail(message) {
+  return sendWithProvider(activeEmailProvider(), message);
 }
@@ -1,7 +1,13 @@
 export * from './subscribers.js';
+export * from './segments.js';
 export * from './analytics.js';
 export * from './workflow.js';
 export * from './channels.js';
 export * from './templates.js';
 export * from './emailProvider.js';
-export { resetStoreForTests, store } from './store.js';
+export * from './sendQueue.js';
+export * from './campaigns.js';
+export * from './schedule.js';
+export * from './webhooks.js';
+export * from './tracking.js';
+export { NEWSLETTER_COLLECTIONS, resetStoreForTests } from './store.js';
@@ -3,29 +3,99 @@
  * Run: node --test server/services/publishing/publishing.test.js
  */
 
-import { test, beforeEach } from 'node:test';
+import { test, beforeEach, after } from 'node:test';
 import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import crypto from 'node:crypto';
 import {
   commitCsvImport,
+  cancelScheduledCampaign,
+  createSegment,
+  decideAbTest,
+  deleteSegment,
+  drainSendQueue,
   generateChannelContent,
   getAnalytics,
+  getCampaignDetail,
+  handleProviderWebhook,
+  recordClick,
+  recordOpen,
+  listCampaigns,
+  listPublishJobs,
   listSubscribers,
+  pauseCampaign,
   previewCsvImport,
   previewNewsletter,
+  previewSegment,
+  processCampaignSchedule,
   publishArticleWorkflow,
+  queueStats,
   resetStoreForTests,
+  resolveSendTime,
+  resumeCampaign,
   segmentSubscribers,
   subscribe,
   unsubscribe,
   updatePreferences,
   validEmail,
+  verifyTrackingToken,
 } from './index.js';
+import { closeStorage, storage } from '../../storage/index.js';
+import express from 'express';
+import createNewsletterRouter from '../../routes/newsletter.js';
 
-beforeEach(() => {
-  resetStoreForTests();
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'publishing-test-'));
+process.env.STORAGE_BACKEND = 'sqlite';
+process.env.STORAGE_SQLITE_FILE = path.join(tmpDir, 'storage.sqlite');
+
+const ARTICLE = {
+  id: 'art_1',
+  title: 'RBI Watch',
+  slug: 'rbi-watch',
+  body: '<p>Liquidity conditions tightened. Watch the policy corridor.</p><p>Credit growth remains healthy.</p>',
+  section: 'Macro Research',
+};
+
+/** Run with env overrides and a fake fetch, restoring both afterwards. */
+async function withProvider(env, fetchImpl, fn) {
+  const savedEnv = Object.fromEntries(Object.keys(env).map((k) => [k, process.env[k]]));
+  const savedFetch = globalThis.fetch;
+  Object.assign(process.env, env);
+  delete process.env.NEWSLETTER_DRY_RUN;
+  globalThis.fetch = fetchImpl;
+  try {
+    return await fn();
+  } finally {
+    globalThis.fetch = savedFetch;
+    for (const [k, v] of Object.entries(savedEnv)) {
+      if (v === undefined) delete process.env[k];
+      else process.env[k] = v;
+    }
+  }
+}
+
+const RESEND_ENV = {
+  EMAIL_PROVIDER: 'resend',
+  RESEND_API_KEY: 'test-key',
+  EMAIL_RATE_LIMIT_RESEND: '0',
+  NEWSLETTER_RETRY_BASE_MS: '1',
+};
+
+const jsonResponse = (status, body, headers = {}) =>
+  new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json', ...headers } });
+
+beforeEach(async () => {
+  await resetStoreForTests();
   process.env.NEWSLETTER_DRY_RUN = '1';
 });
 
+after(async () => {
+  await closeStorage();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
 test('email validation', () => {
   assert.equal(validEmail('a@b.com'), true);
   assert.equal(validEmail('bad'), false);
@@ -37,12 +107,12 @@ test('subscribe dedupe and unsubscribe', async () => {
   assert.equal(a.mode, 'created');
   const b = await subscribe({ email: 'one@example.com', source: 'api' });
   assert.equal(b.mode, 'exists');
-  const listed = listSubscribers({ email: 'one@example.com' });
+  const listed = await listSubscribers({ email: 'one@example.com' });
   assert.equal(listed.total, 1);
 
   const un = await unsubscribe({ email: 'one@example.com' });
   assert.equal(un.ok, true);
-  const active = segmentSubscribers('all');
+  const active = await segmentSubscribers('all');
   assert.equal(active.length, 0);
 });
 
@@ -52,7 +122,7 @@ good@agi.test,Good,User,macro
 bad-email,X,Y,
 good@agi.test,Dup,User,x
 also@agi.test,Also,User,forecast`;
-  const preview = previewCsvImport(csv, { source: 'LinkedIn Campaign July 2026' });
+  const preview = await previewCsvImport(csv, { source: 'LinkedIn Campaign July 2026' });
   assert.equal(preview.imported, 2);
   assert.ok(preview.duplicates >= 1);
   assert.ok(preview.errors + preview.skipped >= 1);
@@ -60,7 +130,7 @@ also@agi.test,Also,User,forecast`;
   const committed = await commitCsvImport(csv, { source: 'LinkedIn Campaign July 2026' });
   assert.equal(committed.committed, true);
   assert.equal(committed.imported, 2);
-  assert.equal(listSubscribers().total, 2);
+  assert.equal((await listSubscribers()).total, 2);
 });
 
 test('preference updates and segmentation', async () => {
@@ -78,10 +148,74 @@ test('preference updates and segmentation', async () => {
     email: 'macro@agi.test',
     preferences: { investment_office_brief: true },
   });
-  assert.equal(segmentSubscribers('macro').length, 1);
-  assert.equal(segmentSubscribers('stock_research').length, 1);
-  assert.equal(segmentSubscribers('linkedin').length, 1);
-  assert.equal(segmentSubscribers('tag:linkedin').length, 1);
+  assert.equal((await segmentSubscribers('macro')).length, 1);
+  assert.equal((await segmentSubscribers('stock_research')).length, 1);
+  assert.equal((await segmentSubscribers('linkedin')).length, 1);
+  assert.equal((await segmentSubscribers('tag:linkedin')).length, 1);
+});
+
+test('preference changes need the signed token; lookups by email are admin only', async () => {
+  process.env.AGI_ADMIN_API_TOKEN = 'svc-token-123';
+  await subscribe({ email: 'reader@agi.test', preferences: { macro_research: true } });
+  const [row] = await storage.find('newsletter_subscribers', { where: { email: 'reader@agi.test' }, limit: 1 });
+  const app = express();
+  app.use(express.json());
+  app.use('/api/newsletter', createNewsletterRouter());
+  const server = app.listen(0);
+  const base = `http://127.0.0.1:${server.address().port}/api/newsletter`;
+  const patch = (route, body, headers = {}) => fetch(`${base}${route}`, {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+  });
+  try {
+    let resp = await patch('/preferences', { email: 'reader@agi.test', preferences: { macro_research: false } });
+    assert.equal(resp.status, 400, 'an address alone is not a credential');
+    resp = await patch('/preferences', { token: 'forged', preferences: { macro_research: false } });
+    assert.equal(resp.status, 404);
+
+    resp = await patch('/preferences', { token: row.unsubscribe_token, preferences: { macro_research: false } });
+    const body = await resp.json();
+    assert.equal(resp.status, 200);
+    assert.deepEqual(Object.keys(body), ['ok', 'preferences'], 'the subscriber row is never echoed');
+    assert.equal(body.preferences.macro_research, false);
+
+    resp = await patch('/subscribers/preferences', { email: 'reader@agi.test', preferences: { email_tracking: false } });
+    assert.equal(resp.status, 401);
+    resp = await patch(
+      '/subscribers/preferences',
+      { email: 'reader@agi.test', preferences: { email_tracking: false } },
+      { 'X-AGI-Admin-Token': 'svc-token-123' },
+    );
+    assert.equal((await resp.json()).preferences.email_tracking, false);
+  } finally {
+    server.close();
+    delete process.env.AGI_ADMIN_API_TOKEN;
+  }
+});
+
+test('concurrent signups for one address keep a single row', async () => {
+  const results = await Promise.all(
+    Array.from({ length: 5 }, () => subscribe({ email: 'race@agi.test', source: 'api' })),
+  );
+  assert.equal(results.filter((r) => r.mode === 'created').length, 1);
+  assert.equal((await listSubscribers({ email: 'race@agi.test' })).total, 1);
+});
+
+test('events are kept past the old 5000-row cap and counted by type', async () => {
+  const rows = Array.from({ length: 5100 }, (_, i) => ({
+    id: `evt_${i}`,
+    job_id: null,
+    subscriber_id: null,
+    email: null,
+    event_type: i % 2 ? 'open' : 'sent',
+    meta: {},
+    created_at: new Date(Date.UTC(2026, 0, 1, 0, 0, i)).toISOString(),
+  }));
+  await storage.putMany('newsletter_events', rows);
+  const analytics = await getAnalytics();
+  assert.equal(analytics.email.sent, 2550);
+  assert.equal(analytics.email.opens, 2550);
 });
 
 test('channel content generation does not invent buy/sell', () => {
@@ -99,31 +233,360 @@ test('channel content generation does not invent buy/sell', () => {
   assert.ok(pack.whatsapp_channel);
 });
 
-test('publishing workflow + analytics', async () => {
+test('publishing workflow queues the newsletter and completes when drained', async () => {
   await subscribe({ email: 'reader@agi.test', source: 'website_signup' });
-  const result = await publishArticleWorkflow(
-    {
-      id: 'art_1',
-      title: 'RBI Watch',
-      slug: 'rbi-watch',
-      body: '<p>Liquidity conditions tightened. Watch the policy corridor.</p><p>Credit growth remains healthy.</p>',
-      section: 'Macro Research',
-    },
-    { dryRun: true },
-  );
+  const result = await publishArticleWorkflow(ARTICLE, { dryRun: true });
   assert.equal(result.ok, true);
-  assert.equal(result.job.status, 'completed');
-  assert.ok(result.distribution.newsletter);
+  assert.equal(result.job.status, 'sending');
+  assert.equal(result.distribution.newsletter.status, 'queued');
   assert.ok(result.distribution.linkedin.content);
   assert.ok(result.distribution.telegram.content);
   assert.equal(result.distribution.whatsapp.status, 'future_ready');
+  assert.equal((await queueStats()).counts.queued, 1);
+
+  const drained = await drainSendQueue();
+  assert.equal(drained.sent, 1);
+  const [job] = await listPublishJobs();
+  assert.equal(job.status, 'completed');
+  assert.equal(job.newsletter_sent, 1);
+  const [campaign] = await listCampaigns();
+  assert.equal(campaign.status, 'dry_run');
+  assert.equal(campaign.stats.sent, 1);
+  assert.equal(campaign.content, undefined);
 
-  const analytics = getAnalytics();
+  const analytics = await getAnalytics();
   assert.ok(analytics.subscribers.active >= 1);
-  assert.ok(analytics.email.sent >= 1);
+  assert.equal(analytics.email.sent, 1);
   assert.ok(analytics.publish_jobs.length >= 1);
 });
 
+test('send queue retries 429/5xx with backoff and fails other errors', async () => {
+  await subscribe({ email: 'retry@agi.test' });
+  await subscribe({ email: 'reject@agi.test' });
+  const calls = new Map();
+  const fetchImpl = async (_url, init) => {
+    const [to] = JSON.parse(init.body).to;
+    const n = (calls.get(to) || 0) + 1;
+    calls.set(to, n);
+    if (to === 'reject@agi.test') return jsonResponse(422, { message: 'Invalid recipient' });
+    if (n === 1) return jsonResponse(429, { message: 'Too many requests' }, { 'Retry-After': '0' });
+    if (n === 2) return jsonResponse(503, { message: 'Unavailable' });
+    return jsonResponse(200, { id: 'msg_retry' });
+  };
+
+  await withProvider(RESEND_ENV, fetchImpl, async () => {
+    const { campaign } = await publishArticleWorkflow(ARTICLE);
+    assert.equal(campaign.provider, 'resend');
+    for (let i = 0; i < 5 && (await queueStats()).counts.queued + (await queueStats()).counts.sending; i += 1) {
+      await drainSendQueue();
+      await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+    assert.equal(calls.get('retry@agi.test'), 3);
+    assert.equal(calls.get('reject@agi.test'), 1);
+    const [stored] = await listCampaigns();
+    assert.equal(stored.status, 'partial');
+    assert.deepEqual([stored.stats.sent, stored.stats.failed], [1, 1]);
+    const [job] = await listPublishJobs();
+    assert.equal(job.status, 'completed');
+    assert.equal(job.newsletter_failed, 1);
+  });
+});
+
+test('paused campaigns hold their rows until resumed', async () => {
+  await subscribe({ email: 'pause@agi.test' });
+  const { campaign } = await publishArticleWorkflow(ARTICLE, { dryRun: true });
+  const paused = await pauseCampaign(campaign.id);
+  assert.equal(paused.paused, 1);
+  assert.equal((await drainSendQueue()).claimed, 0);
+  assert.equal((await queueStats({ campaignId: campaign.id })).counts.paused, 1);
+
+  const resumed = await resumeCampaign(campaign.id);
+  assert.equal(resumed.requeued, 1);
+  assert.equal((await drainSendQueue()).sent, 1);
+  assert.equal((await listCampaigns())[0].status, 'dry_run');
+  assert.equal((await resumeCampaign(campaign.id)).status, 409);
+});
+
+test('provider webhooks record events and suppress hard bounces', async () => {
+  await subscribe({ email: 'bounce@agi.test' });
+  await withProvider(
+    { ...RESEND_ENV, NEWSLETTER_WEBHOOK_TOKEN: 'hook-token' },
+    async () => jsonResponse(200, { id: 'msg_bounce' }),
+    async () => {
+      await publishArticleWorkflow(ARTICLE);
+      await drainSendQueue();
+    },
+  );
+  process.env.NEWSLETTER_WEBHOOK_TOKEN = 'hook-token';
+  try {
+    const bounce = { RecordType: 'Bounce', ID: 42, Type: 'HardBounce', MessageID: 'msg_bounce', Email: 'bounce@agi.test' };
+    assert.equal((await handleProviderWebhook('postmark', { body: bounce, query: { token: 'nope' } })).status, 401);
+    const first = await handleProviderWebhook('postmark', { body: bounce, query: { token: 'hook-token' } });
+    assert.deepEqual([first.processed, first.suppressed], [1, 1]);
+    const again = await handleProviderWebhook('postmark', { body: bounce, query: { token: 'hook-token' } });
+    assert.equal(again.duplicates, 1);
+
+    const [row] = (await listSubscribers({ email: 'bounce@agi.test' })).subscribers;
+    assert.equal(row.status, 'bounced');
+    assert.equal((await subscribe({ email: 'bounce@agi.test' })).mode, 'suppressed');
+    assert.equal((await segmentSubscribers('all')).length, 0);
+    const bounces = await storage.find('newsletter_events', { where: { event_type: 'bounce' } });
+    assert.equal(bounces.length, 1);
+    assert.ok(bounces[0].job_id);
+  } finally {
+    delete process.env.NEWSLETTER_WEBHOOK_TOKEN;
+  }
+});
+
+test('resend webhooks are verified with the svix signature', async () => {
+  const secret = `whsec_${Buffer.from('resend-secret').toString('base64')}`;
+  process.env.RESEND_WEBHOOK_SECRET = secret;
+  try {
+    await subscribe({ email: 'open@agi.test' });
+    const rawBody = JSON.stringify({ type: 'email.opened', created_at: '2026-10-19T00:00:00Z', data: { email_id: 'msg_x', to: ['open@agi.test'] } });
+    const timestamp = Math.floor(Date.now() / 1000);
+    const signature = crypto.createHmac('sha256', Buffer.from('resend-secret')).update(`evt_1.${timestamp}.${rawBody}`).digest('base64');
+    const headers = { 'svix-id': 'evt_1', 'svix-timestamp': String(timestamp), 'svix-signature': `v1,${signature}` };
+    assert.equal((await handleProviderWebhook('resend', { headers: { ...headers, 'svix-signature': 'v1,bad' }, rawBody })).status, 401);
+    const ok = await handleProviderWebhook('resend', { headers, rawBody });
+    assert.equal(ok.processed, 1);
+    assert.equal((await getAnalytics()).email.opens, 1);
+  } finally {
+    delete process.env.RESEND_WEBHOOK_SECRET;
+  }
+});
+
+test('open pixel and signed click redirect count unique engagement per recipient', async () => {
+  await subscribe({ email: 'tracked@agi.test' });
+  await subscribe({ email: 'private@agi.test', preferences: { email_tracking: false } });
+  const sent = new Map();
+  await withProvider(
+    { ...RESEND_ENV, NEWSLETTER_TRACKING_SECRET: 'track-secret', NEWSLETTER_TRACKING_ORIGIN: 'https://api.agi.test' },
+    async (_url, init) => {
+      const body = JSON.parse(init.body);
+      sent.set(body.to[0], body.html);
+      return jsonResponse(200, { id: `msg_${body.to[0]}` });
+    },
+    async () => {
+      await publishArticleWorkflow(ARTICLE);
+      await drainSendQueue();
+
+      const privateHtml = sent.get('private@agi.test');
+      assert.equal(privateHtml.includes('https://api.agi.test/api/newsletter/t/'), false);
+      const html = sent.get('tracked@agi.test');
+      assert.match(html, /unsubscribe\?token=/);
+      const pixel = html.match(/\/t\/o\/([^"]+)"/)[1];
+      const click = html.match(/\/t\/c\/([^"]+)"/)[1];
+      const flipped = pixel.at(-5) === 'A' ? 'B' : 'A';
+      assert.equal(verifyTrackingToken(`${pixel.slice(0, -5)}${flipped}.gif`), null);
+
+      const open = verifyTrackingToken(pixel);
+      assert.equal(await recordOpen(open), true);
+      assert.equal(await recordOpen(open), false);
+      const target = verifyTrackingToken(click);
+      assert.match(target.u, /^https:\/\//);
+      assert.equal(await recordClick(target), target.u);
+      await recordClick(target);
+    },
+  );
+
+  const [job] = await listPublishJobs();
+  assert.deepEqual([job.analytics.opens, job.analytics.clicks], [1, 1]);
+  const analytics = await getAnalytics();
+  assert.equal(analytics.link_clicks.length, 1);
+  assert.equal(analytics.link_clicks[0].clicks, 1);
+  const [row] = (await listSubscribers({ email: 'tracked@agi.test' })).subscribers;
+  assert.ok(row.last_opened && row.last_clicked);
+});
+
+test('tracking is skipped with a warning when the API origin is missing', async () => {
+  await subscribe({ email: 'tracked@agi.test' });
+  const savedApiUrl = process.env.VITE_API_URL;
+  delete process.env.VITE_API_URL;
+  const warnings = [];
+  const savedWarn = console.warn;
+  console.warn = (...args) => warnings.push(args.join(' '));
+  let html = '';
+  try {
+    await withProvider(
+      { ...RESEND_ENV, NEWSLETTER_TRACKING_SECRET: 'track-secret', NEWSLETTER_TRACKING_ORIGIN: '' },
+      async (_url, init) => {
+        html = JSON.parse(init.body).html;
+        return jsonResponse(200, { id: 'msg_untracked' });
+      },
+      async () => {
+        await publishArticleWorkflow(ARTICLE);
+        await drainSendQueue();
+      },
+    );
+  } finally {
+    console.warn = savedWarn;
+    if (savedApiUrl !== undefined) process.env.VITE_API_URL = savedApiUrl;
+  }
+  assert.match(html, /unsubscribe\?token=/);
+  assert.equal(html.includes('/api/newsletter/t/'), false, 'no links to an origin that cannot serve them');
+  assert.ok(warnings.some((line) => /NEWSLETTER_TRACKING_ORIGIN/.test(line)));
+});
+
+test('saved segments combine preference, engagement and section rules', async () => {
+  await subscribe({ email: 'reader@agi.test', source: 'linkedin_campaign', preferences: { macro_research: true } });
+  await subscribe({ email: 'quiet@agi.test', source: 'website_signup', preferences: { macro_research: false } });
+  const [reader] = (await listSubscribers({ email: 'reader@agi.test' })).subscribers;
+  await storage.put('newsletter_jobs', { id: 'job_macro', channels: { section: 'Macro Research' }, created_at: new Date().toISOString() });
+  for (const event_type of ['open', 'click']) {
+    await storage.put('newsletter_events', {
+      id: `${event_type}_1`,
+      job_id: 'job_macro',
+      subscriber_id: reader.id,
+      event_type,
+      created_at: new Date().toISOString(),
+    });
+  }
+
+  const engaged = await createSegment({
+    name: 'Engaged macro readers',
+    rules: {
+      all: [
+        { field: 'segment', value: 'macro' },
+        { field: 'opens', op: 'gte', value: 1, window_days: 30 },
+        { field: 'section_read', op: 'any', value: ['macro research'] },
+      ],
+    },
+  });
+  assert.equal(engaged.ok, true);
+  assert.deepEqual((await segmentSubscribers(engaged.segment.id)).map((s) => s.email), ['reader@agi.test']);
+  assert.equal((await previewSegment({ rules: { not: { field: 'segment', value: engaged.segment.id } } })).count, 1);
+  assert.equal((await previewSegment({ rules: { field: 'last_opened', op: 'never' } })).count, 2);
+
+  // Engagement looks back NEWSLETTER_ENGAGEMENT_MAX_DAYS (365) even without a window.
+  const [quiet] = (await listSubscribers({ email: 'quiet@agi.test' })).subscribers;
+  await storage.put('newsletter_events', {
+    id: 'open_old',
+    job_id: 'job_macro',
+    subscriber_id: quiet.id,
+    event_type: 'open',
+    created_at: new Date(Date.now() - 400 * 86_400_000).toISOString(),
+  });
+  assert.equal((await previewSegment({ rules: { field: 'opens', op: 'gte', value: 1 } })).count, 1);
+
+  const dup = await createSegment({ name: 'Engaged macro readers', rules: { all: [] } });
+  assert.equal(dup.status, 409);
+  const bad = await createSegment({ name: 'Bad', rules: { field: 'opens', op: 'between', value: 1 } });
+  assert.equal(bad.status, 400);
+  const wrapper = await createSegment({ name: 'Wrapper', rules: { field: 'segment', value: engaged.segment.id } });
+  assert.equal((await deleteSegment(engaged.segment.id)).status, 409);
+  assert.equal((await deleteSegment(wrapper.segment.id)).ok, true);
+  await assert.rejects(publishArticleWorkflow(ARTICLE, { segments: ['seg_missing'] }), /Unknown segment/);
+});
+
+test('campaign targeting excludes segments and applies the frequency cap', async () => {
+  await subscribe({ email: 'often@agi.test', tags: ['vip'] });
+  await subscribe({ email: 'rare@agi.test' });
+  await subscribe({ email: 'skip@agi.test', tags: ['internal'] });
+  const [often] = (await listSubscribers({ email: 'often@agi.test' })).subscribers;
+  for (const n of [1, 2]) {
+    await storage.put('newsletter_events', {
+      id: `sent_${n}`,
+      subscriber_id: often.id,
+      event_type: 'sent',
+      created_at: new Date().toISOString(),
+    });
+  }
+  // Dry-run sends never count against the cap.
+  await storage.put('newsletter_events', {
+    id: 'sent_dry',
+    subscriber_id: often.id,
+    event_type: 'sent',
+    meta: { dryRun: true },
+    created_at: new Date().toISOString(),
+  });
+
+  const result = await publishArticleWorkflow(ARTICLE, {
+    segments: ['all'],
+    excludeSegments: ['tag:internal'],
+    frequencyCap: '2/7',
+  });
+  assert.equal(result.job.channels.newsletter.queued, 1);
+  assert.deepEqual(
+    { matched: result.campaign.targeting.matched, excluded: result.campaign.targeting.excluded, capped: result.campaign.targeting.capped },
+    { matched: 3, excluded: 1, capped: 1 },
+  );
+  assert.deepEqual(result.campaign.targeting.frequency_cap, { max: 2, days: 7 });
+  assert.equal((await previewSegment({ segment: 'tag:vip', frequencyCap: '3/7' })).count, 1);
+});
+
+test('schedule times are read as IST and roll past weekends and holidays', () => {
+  const saved = process.env.MARKET_HOLIDAYS;
+  process.env.MARKET_HOLIDAYS = '2030-01-07';
+  try {
+    // Saturday 08:00 IST → Monday is a holiday → Tuesday 08:00 IST.
+    const rolled = resolveSendTime('2030-01-05T08:00', { marketDays: true });
+    assert.equal(rolled.scheduled_at, '2030-01-08T02:30:00.000Z');
+    assert.equal(rolled.rolled, true);
+    assert.equal(resolveSendTime('2030-01-05T08:00Z').scheduled_at, '2030-01-05T08:00:00.000Z');
+    assert.throws(() => resolveSendTime('2001-01-01T08:00'), /in the past/);
+    assert.throws(() => resolveSendTime('soon'), /Invalid schedule time/);
+  } finally {
+    if (saved === undefined) delete process.env.MARKET_HOLIDAYS;
+    else process.env.MARKET_HOLIDAYS = saved;
+  }
+});
+
+test('scheduled campaigns wait for their time, then resolve the audience and send', async () => {
+  await subscribe({ email: 'early@agi.test' });
+  const result = await publishArticleWorkflow(ARTICLE, { scheduleAt: '2030-01-08T09:00' });
+  assert.equal(result.job.status, 'scheduled');
+  assert.equal(result.campaign.status, 'scheduled');
+  assert.equal(result.campaign.scheduled_at, '2030-01-08T03:30:00.000Z');
+  assert.equal((await queueStats()).counts.queued, 0);
+  assert.equal((await pauseCampaign(result.campaign.id)).status, 409);
+
+  await subscribe({ email: 'late@agi.test' });
+  assert.deepEqual(await processCampaignSchedule({ now: Date.parse('2030-01-08T03:00:00Z') }), { dispatched: 0, decided: 0 });
+  assert.equal((await processCampaignSchedule({ now: Date.parse('2030-01-08T03:31:00Z') })).dispatched, 1);
+  await drainSendQueue();
+  const detail = await getCampaignDetail(result.campaign.id);
+  assert.equal(detail.campaign.status, 'dry_run');
+  assert.equal(detail.queue.sent, 2);
+
+  const other = await publishArticleWorkflow(ARTICLE, { scheduleAt: '2030-02-01T09:00' });
+  assert.equal((await cancelScheduledCampaign(other.campaign.id)).campaign.status, 'cancelled');
+  assert.equal((await processCampaignSchedule({ now: Date.parse('2030-03-01T00:00:00Z') })).dispatched, 0);
+});
+
+test('subject A/B test sends a sample, picks the open-rate winner and rolls it out', async () => {
+  for (const n of [1, 2, 3, 4]) await subscribe({ email: `ab${n}@agi.test` });
+  const result = await publishArticleWorkflow(ARTICLE, {
+    abTest: { subjects: ['Policy corridor tightens', 'What RBI does next'], sample_pct: 50, window_hours: 1 },
+  });
+  assert.equal(result.job.channels.newsletter.status, 'testing');
+  assert.equal(result.job.channels.newsletter.queued, 2);
+  assert.equal(result.job.channels.newsletter.held_back, 2);
+  await drainSendQueue();
+
+  const campaignId = result.campaign.id;
+  let detail = await getCampaignDetail(campaignId);
+  assert.equal(detail.campaign.finalized_at, undefined);
+  assert.deepEqual(detail.variants.map((v) => [v.id, v.sent]), [['A', 1], ['B', 1]]);
+
+  const [rowB] = await storage.find('newsletter_queue', { where: { campaign_id: campaignId, variant: 'B' } });
+  await recordOpen({ j: result.job.id, c: campaignId, s: rowB.subscriber_id });
+  assert.equal((await decideAbTest(campaignId)).status, 409);
+
+  const decided = await decideAbTest(campaignId, { now: Date.now() + 2 * 3_600_000 });
+  assert.equal(decided.ok, true);
+  assert.equal(decided.winner, 'B');
+  assert.equal(decided.queued, 2);
+  await drainSendQueue();
+
+  detail = await getCampaignDetail(campaignId);
+  assert.equal(detail.campaign.status, 'dry_run');
+  assert.equal(detail.campaign.subject, 'What RBI does next');
+  assert.equal(detail.queue.sent, 4);
+  assert.equal(detail.variants.find((v) => v.id === 'B').open_rate, 100);
+  await assert.rejects(publishArticleWorkflow(ARTICLE, { abTest: { subjects: ['Only one'] } }), /at least two/);
+});
+
 test('newsletter preview html', () => {
   const preview = previewNewsletter({
     title: 'Preview Note',
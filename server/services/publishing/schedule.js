@@ -0,0 +1,59 @@
+/**
+ * Campaign send times — IST-aware parsing and market-day rolling.
+ *
+ * Editors schedule in India time: a wall-clock string without an offset
+ * ('2026-10-20T08:00') is read as IST; anything with Z / ±hh:mm is taken as
+ * given. With `marketDays`, a time that lands on a day the exchanges are
+ * shut (weekend or holiday, per ../marketCalendar.js) rolls forward to the
+ * next trading day at the same IST clock time.
+ */
+
+import { isTradingDay } from '../marketCalendar.js';
+
+const IST_OFFSET_MS = 330 * 60_000;
+const DAY_MS = 86_400_000;
+/** A send "now-ish" is fine; anything older than this is a mistake. */
+const PAST_GRACE_MS = 60_000;
+
+function scheduleError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+/** IST calendar date (YYYY-MM-DD) of an instant. */
+export function istDate(at) {
+  return new Date(new Date(at).getTime() + IST_OFFSET_MS).toISOString().slice(0, 10);
+}
+
+/** An IST date the exchanges trade on, special weekend sessions included. */
+export function isMarketDay(at) {
+  return isTradingDay(istDate(at));
+}
+
+/** Date | ISO string | IST wall-clock string → Date; throws (status 400) when unparseable. */
+export function parseScheduleTime(value) {
+  if (value instanceof Date) return value;
+  const raw = String(value || '').trim();
+  const zoned = /(?:Z|[+-]\d{2}:?\d{2})$/i.test(raw);
+  const at = new Date(zoned ? raw : `${raw.length === 10 ? `${raw}T00:00` : raw}+05:30`);
+  if (!raw || Number.isNaN(at.getTime())) throw scheduleError(`Invalid schedule time "${value}"`);
+  return at;
+}
+
+/**
+ * Resolve a requested send time. Returns { scheduled_at, requested_at, rolled }.
+ * Past times throw (status 400).
+ */
+export function resolveSendTime(value, { marketDays = false, now = Date.now() } = {}) {
+  const requested = parseScheduleTime(value);
+  if (requested.getTime() < now - PAST_GRACE_MS) throw scheduleError('Schedule time is in the past');
+  let at = requested.getTime();
+  // Two weeks covers any run of exchange holidays.
+  for (let i = 0; marketDays && !isMarketDay(at) && i < 14; i += 1) at += DAY_MS;
+  return {
+    scheduled_at: new Date(at).toISOString(),
+    requested_at: requested.toISOString(),
+    rolled: at !== requested.getTime(),
+  };
+}
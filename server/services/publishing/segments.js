@@ -0,0 +1,428 @@
+/**
+ * Subscriber segments — composable targeting rules over active subscribers.
+ *
+ * A segment is a rule tree:
+ *
+ *   { all: [rule, …] } | { any: [rule, …] } | { not: rule } | leaf
+ *
+ * Leaves (`field` picks the kind):
+ *
+ *   { field: 'preference', key: 'macro_research', value: true }
+ *   { field: 'source', op: 'in' | 'not_in', value: ['linkedin_campaign'] }
+ *   { field: 'tag', op: 'has' | 'lacks', value: 'linkedin' }
+ *   { field: 'signup_date', op: 'after' | 'before', value: '2026-01-01' }
+ *   { field: 'signup_date', op: 'within_days' | 'older_than_days', value: 30 }
+ *   { field: 'last_opened' | 'last_clicked' | 'last_email_sent', op: 'within_days' | 'older_than_days' | 'never', value: 30 }
+ *   { field: 'opens' | 'clicks', op: 'gte' | 'gt' | 'lte' | 'lt' | 'eq', value: 3, window_days: 90 }
+ *   { field: 'section_read', op: 'any' | 'none', value: ['Macro Research'], window_days: 90 }
+ *   { field: 'segment', value: 'macro' | 'tag:x' | '<saved segment id>' }
+ *
+ * Opens / clicks / sections come from engagement events (tracking pixel,
+ * redirects, provider webhooks); a section is "read" when the reader opened or
+ * clicked a send of an article in it. Events are read a page at a time and
+ * folded into per-subscriber counts; a missing or longer `window_days` is
+ * bounded by NEWSLETTER_ENGAGEMENT_MAX_DAYS (default 365). Saved definitions live in
+ * `newsletter_segments`; the legacy names (`macro`, `daily`, `tag:x`, …) are
+ * built-in segments, so `segmentSubscribers('macro')` keeps working.
+ *
+ * Campaign targeting (resolveAudience) unions include segments, removes
+ * exclude segments, then applies a per-subscriber frequency cap: at most
+ * `max` real (non dry-run) sends in the last `days`.
+ */
+
+import { findIn } from '../../storage/index.js';
+import { PREFERENCE_KEYS } from './subscribers.js';
+import { EVENTS, JOBS, SEGMENTS, SUBSCRIBERS, newId, storage } from './store.js';
+
+const DAY_MS = 86_400_000;
+const MAX_DEPTH = 8;
+const EVENT_PAGE = 1000;
+
+const engagementMaxDays = () => Number(process.env.NEWSLETTER_ENGAGEMENT_MAX_DAYS) || 365;
+
+/** Visit events matching `where` one page at a time, so no caller holds the whole window. */
+async function eachEventPage(where, visit) {
+  for (let offset = 0; ; offset += EVENT_PAGE) {
+    const page = await storage.find(EVENTS, { where, orderBy: 'created_at', limit: EVENT_PAGE, offset });
+    if (page.length) await visit(page);
+    if (page.length < EVENT_PAGE) return;
+  }
+}
+
+/** Legacy segment names, now expressed as rules. */
+export const BUILTIN_SEGMENTS = Object.freeze({
+  all: { name: 'All active subscribers', rules: { all: [] } },
+  macro: { name: 'Macro research', rules: { field: 'preference', key: 'macro_research', value: true } },
+  stock_research: { name: 'Company research', rules: { field: 'preference', key: 'company_research', value: true } },
+  forecast: { name: 'Forecast updates', rules: { field: 'preference', key: 'forecast_updates', value: true } },
+  investment_office: { name: 'Investment office brief', rules: { field: 'preference', key: 'investment_office_brief', value: true } },
+  linkedin: {
+    name: 'LinkedIn audience',
+    rules: { any: [{ field: 'source', op: 'in', value: ['linkedin_campaign'] }, { field: 'tag', op: 'has', value: 'linkedin' }] },
+  },
+  weekly: { name: 'Weekly newsletter', rules: { field: 'preference', key: 'weekly_newsletter', value: true } },
+  daily: { name: 'Daily market brief', rules: { field: 'preference', key: 'daily_market_brief', value: true } },
+});
+
+const LEAF_OPS = {
+  preference: [undefined],
+  source: ['in', 'not_in'],
+  tag: ['has', 'lacks'],
+  signup_date: ['after', 'before', 'within_days', 'older_than_days'],
+  last_opened: ['within_days', 'older_than_days', 'never'],
+  last_clicked: ['within_days', 'older_than_days', 'never'],
+  last_email_sent: ['within_days', 'older_than_days', 'never'],
+  opens: ['gte', 'gt', 'lte', 'lt', 'eq'],
+  clicks: ['gte', 'gt', 'lte', 'lt', 'eq'],
+  section_read: ['any', 'none'],
+  segment: [undefined],
+};
+
+function segmentError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+const asList = (value) => (Array.isArray(value) ? value : [value]).map((v) => String(v).trim()).filter(Boolean);
+
+function positiveNumber(value, label) {
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < 0) throw segmentError(`${label} must be a non-negative number`);
+  return n;
+}
+
+/** Check a rule tree's shape; throws a 400-flavoured Error on the first problem. */
+export function validateSegmentRules(rule, depth = 0) {
+  if (depth > MAX_DEPTH) throw segmentError('Segment rules are nested too deeply');
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) throw segmentError('Each rule must be an object');
+  if ('all' in rule || 'any' in rule) {
+    const children = rule.all ?? rule.any;
+    if (!Array.isArray(children)) throw segmentError('"all" / "any" take an array of rules');
+    children.forEach((child) => validateSegmentRules(child, depth + 1));
+    return rule;
+  }
+  if ('not' in rule) return validateSegmentRules(rule.not, depth + 1) && rule;
+
+  const ops = LEAF_OPS[rule.field];
+  if (!ops) throw segmentError(`Unknown segment field "${rule.field}"`);
+  if (!ops.includes(rule.op)) throw segmentError(`Unsupported op "${rule.op}" for ${rule.field}`);
+  if (rule.field === 'preference' && !PREFERENCE_KEYS.includes(rule.key)) {
+    throw segmentError(`Unknown preference "${rule.key}"`);
+  }
+  if (rule.field === 'signup_date' && ['after', 'before'].includes(rule.op) && !Number.isFinite(Date.parse(rule.value))) {
+    throw segmentError('signup_date after/before needs a date');
+  }
+  if (/_days$/.test(rule.op || '') || ['opens', 'clicks'].includes(rule.field)) positiveNumber(rule.value, rule.field);
+  if (rule.window_days != null) positiveNumber(rule.window_days, 'window_days');
+  if (['source', 'tag', 'section_read', 'segment'].includes(rule.field) && !asList(rule.value).length) {
+    throw segmentError(`${rule.field} needs a value`);
+  }
+  return rule;
+}
+
+const COMPARE = {
+  gte: (a, b) => a >= b,
+  gt: (a, b) => a > b,
+  lte: (a, b) => a <= b,
+  lt: (a, b) => a < b,
+  eq: (a, b) => a === b,
+};
+
+/** Lazily loaded data shared by every rule in one evaluation. */
+function createContext(now) {
+  const cache = new Map();
+  const memo = (key, load) => {
+    if (!cache.has(key)) cache.set(key, load());
+    return cache.get(key);
+  };
+  return {
+    now,
+    /** subscriber_id → { opens, clicks, sections:Set } over the window (null = the longest allowed). */
+    engagement: (windowDays) => {
+      const days = Math.min(windowDays ?? Infinity, engagementMaxDays());
+      return memo(`engagement:${days}`, async () => {
+        const where = { event_type: ['open', 'click'], created_at: { gte: new Date(now - days * DAY_MS).toISOString() } };
+        const sectionByJob = new Map();
+        const bySubscriber = new Map();
+        await eachEventPage(where, async (events) => {
+          const unseen = [...new Set(events.map((e) => e.job_id))].filter((id) => id && !sectionByJob.has(id));
+          for (const job of await findIn(JOBS, 'id', unseen)) {
+            sectionByJob.set(job.id, String(job.channels?.section || '').toLowerCase());
+          }
+          for (const event of events) {
+            if (!event.subscriber_id) continue;
+            if (!bySubscriber.has(event.subscriber_id)) {
+              bySubscriber.set(event.subscriber_id, { opens: 0, clicks: 0, sections: new Set() });
+            }
+            const entry = bySubscriber.get(event.subscriber_id);
+            if (event.event_type === 'open') entry.opens += 1;
+            else entry.clicks += 1;
+            const section = sectionByJob.get(event.job_id);
+            if (section) entry.sections.add(section);
+          }
+        });
+        return bySubscriber;
+      });
+    },
+    savedSegment: (id) => memo(`segment:${id}`, () => storage.get(SEGMENTS, id)),
+  };
+}
+
+function daysAgo(value, now) {
+  const at = Date.parse(value || '');
+  return Number.isFinite(at) ? (now - at) / DAY_MS : null;
+}
+
+function recencyPredicate(field, op, days, now) {
+  return (s) => {
+    const age = daysAgo(s[field], now);
+    if (op === 'never') return age == null;
+    if (age == null) return false;
+    return op === 'within_days' ? age <= days : age > days;
+  };
+}
+
+/** Resolve a segment reference (built-in name, `tag:x`, or saved id) to its rules. */
+async function referencedRules(ref, ctx) {
+  if (ref.startsWith('tag:')) return { field: 'tag', op: 'has', value: ref.slice(4) };
+  if (BUILTIN_SEGMENTS[ref]) return BUILTIN_SEGMENTS[ref].rules;
+  const saved = await ctx.savedSegment(ref);
+  if (!saved) throw segmentError(`Unknown segment "${ref}"`);
+  return saved.rules;
+}
+
+/** Compile a rule tree into a (subscriber) => boolean predicate, loading what it needs. */
+async function compile(rule, ctx, stack = []) {
+  if ('all' in rule) {
+    const preds = await Promise.all(rule.all.map((r) => compile(r, ctx, stack)));
+    return (s) => preds.every((p) => p(s));
+  }
+  if ('any' in rule) {
+    const preds = await Promise.all(rule.any.map((r) => compile(r, ctx, stack)));
+    return (s) => preds.some((p) => p(s));
+  }
+  if ('not' in rule) {
+    const pred = await compile(rule.not, ctx, stack);
+    return (s) => !pred(s);
+  }
+
+  const { now } = ctx;
+  switch (rule.field) {
+    case 'preference': {
+      const want = rule.value !== false;
+      // Missing keys read as the subscribe-time default (opted in).
+      return (s) => (s.preferences?.[rule.key] ?? true) === want;
+    }
+    case 'source': {
+      const set = new Set(asList(rule.value));
+      return rule.op === 'in' ? (s) => set.has(s.source) : (s) => !set.has(s.source);
+    }
+    case 'tag': {
+      const tags = asList(rule.value);
+      const has = (s) => tags.some((t) => (s.tags || []).includes(t));
+      return rule.op === 'has' ? has : (s) => !has(s);
+    }
+    case 'signup_date': {
+      if (rule.op === 'after' || rule.op === 'before') {
+        const at = Date.parse(rule.value);
+        return (s) => {
+          const created = Date.parse(s.created_at || '');
+          return Number.isFinite(created) && (rule.op === 'after' ? created >= at : created < at);
+        };
+      }
+      return recencyPredicate('created_at', rule.op, Number(rule.value), now);
+    }
+    case 'last_opened':
+    case 'last_clicked':
+    case 'last_email_sent':
+      return recencyPredicate(rule.field, rule.op, Number(rule.value), now);
+    case 'opens':
+    case 'clicks': {
+      const engagement = await ctx.engagement(rule.window_days ?? null);
+      const compare = COMPARE[rule.op];
+      const target = Number(rule.value);
+      return (s) => compare(engagement.get(s.id)?.[rule.field] || 0, target);
+    }
+    case 'section_read': {
+      const engagement = await ctx.engagement(rule.window_days ?? null);
+      const sections = asList(rule.value).map((v) => v.toLowerCase());
+      const read = (s) => sections.some((sec) => engagement.get(s.id)?.sections.has(sec));
+      return rule.op === 'any' ? read : (s) => !read(s);
+    }
+    case 'segment': {
+      const preds = await Promise.all(
+        asList(rule.value).map(async (ref) => {
+          if (stack.includes(ref)) throw segmentError(`Segment "${ref}" refers to itself`);
+          return compile(await referencedRules(ref, ctx), ctx, [...stack, ref]);
+        }),
+      );
+      return (s) => preds.some((p) => p(s));
+    }
+    default:
+      throw segmentError(`Unknown segment field "${rule.field}"`);
+  }
+}
+
+async function activeSubscribers() {
+  return (await storage.find(SUBSCRIBERS, { where: { status: 'active' }, orderBy: 'created_at' })).filter(
+    (r) => r.is_active !== false,
+  );
+}
+
+/** A segment argument: built-in name, `tag:x`, saved id, or an inline rule tree. */
+function toRules(segment) {
+  if (segment && typeof segment === 'object') return validateSegmentRules(segment);
+  return { field: 'segment', value: String(segment || 'all') };
+}
+
+/** Active subscribers matching a segment (name, `tag:x`, saved id or rule tree). */
+export async function segmentSubscribers(segment = 'all', { now = Date.now() } = {}) {
+  const ctx = createContext(now);
+  let rules = toRules(segment);
+  // Unknown names used to mean "all" — keep that for the legacy string form.
+  if (typeof segment === 'string' && !segment.startsWith('tag:') && !BUILTIN_SEGMENTS[segment] && !(await ctx.savedSegment(segment))) {
+    rules = BUILTIN_SEGMENTS.all.rules;
+  }
+  const [pred, rows] = await Promise.all([compile(rules, ctx), activeSubscribers()]);
+  return rows.filter(pred);
+}
+
+/** 'max/days' (e.g. '3/7') → { max, days }; null when unset or malformed. */
+export function parseFrequencyCap(value) {
+  if (!value) return null;
+  if (typeof value === 'object') {
+    const max = Number(value.max);
+    const days = Number(value.days);
+    return max >= 0 && days > 0 ? { max, days } : null;
+  }
+  const [max, days] = String(value).split('/').map(Number);
+  return max >= 0 && days > 0 ? { max, days } : null;
+}
+
+/** Split recipients by how many real sends each got inside the cap window. */
+export async function applyFrequencyCap(subscribers, cap, { now = Date.now() } = {}) {
+  if (!cap) return { kept: subscribers, capped: [] };
+  const since = new Date(now - cap.days * DAY_MS).toISOString();
+  const counts = new Map();
+  await eachEventPage({ event_type: 'sent', created_at: { gte: since } }, (sends) => {
+    for (const event of sends) {
+      if (!event.subscriber_id || event.meta?.dryRun) continue;
+      counts.set(event.subscriber_id, (counts.get(event.subscriber_id) || 0) + 1);
+    }
+  });
+  const kept = [];
+  const capped = [];
+  for (const s of subscribers) ((counts.get(s.id) || 0) < cap.max ? kept : capped).push(s);
+  return { kept, capped };
+}
+
+/**
+ * Campaign audience: union of `segments`, minus `exclude`, minus anyone at the
+ * frequency cap (option, else NEWSLETTER_FREQUENCY_CAP, e.g. '3/7').
+ * Returns { recipients, matched, excluded, capped, targeting }.
+ */
+export async function resolveAudience({ segments = ['all'], exclude = [], frequencyCap, now = Date.now() } = {}) {
+  const include = (Array.isArray(segments) ? segments : [segments]).filter(Boolean);
+  const excludeList = (Array.isArray(exclude) ? exclude : [exclude]).filter(Boolean);
+  const cap = parseFrequencyCap(frequencyCap === undefined ? process.env.NEWSLETTER_FREQUENCY_CAP : frequencyCap);
+
+  const ctx = createContext(now);
+  const ruleFor = (segment) => (segment && typeof segment === 'object' ? validateSegmentRules(segment) : { field: 'segment', value: String(segment) });
+  const [includePred, excludePred, rows] = await Promise.all([
+    compile({ any: (include.length ? include : ['all']).map(ruleFor) }, ctx),
+    compile({ any: excludeList.map(ruleFor) }, ctx),
+    activeSubscribers(),
+  ]);
+  const matched = rows.filter(includePred);
+  const eligible = matched.filter((s) => !excludePred(s));
+  const { kept, capped } = await applyFrequencyCap(eligible, cap, { now });
+  return {
+    recipients: kept,
+    matched: matched.length,
+    excluded: matched.length - eligible.length,
+    capped: capped.length,
+    targeting: { segments: include, exclude: excludeList, frequency_cap: cap },
+  };
+}
+
+/** Count + sample for a segment or targeting spec, without sending anything. */
+export async function previewSegment({ segment, rules, segments, exclude, frequencyCap, sample = 10 } = {}) {
+  const audience = await resolveAudience({
+    segments: segments || [rules || segment || 'all'],
+    exclude,
+    frequencyCap,
+  });
+  return {
+    count: audience.recipients.length,
+    matched: audience.matched,
+    excluded: audience.excluded,
+    capped: audience.capped,
+    sample: audience.recipients.slice(0, Math.min(Number(sample) || 10, 50)).map((s) => ({ id: s.id, email: s.email })),
+  };
+}
+
+export async function listSegments() {
+  const saved = await storage.find(SEGMENTS, { orderBy: 'name' });
+  const builtin = Object.entries(BUILTIN_SEGMENTS).map(([id, def]) => ({ id, name: def.name, rules: def.rules, builtin: true }));
+  return [...builtin, ...saved];
+}
+
+function cleanInput({ name, description, rules }) {
+  const trimmed = String(name || '').trim();
+  if (!trimmed) throw segmentError('Segment name is required');
+  return { name: trimmed, description: description ? String(description) : '', rules: validateSegmentRules(rules) };
+}
+
+/** Nested references must resolve (and not loop) before a definition is stored. */
+async function assertResolvable(id, rules) {
+  await compile(rules, createContext(Date.now()), id ? [id] : []);
+}
+
+export async function createSegment(input, actor) {
+  try {
+    const fields = cleanInput(input);
+    const ts = new Date().toISOString();
+    const row = { id: newId('seg_'), ...fields, created_by: actor || null, updated_by: actor || null, created_at: ts, updated_at: ts };
+    await assertResolvable(row.id, row.rules);
+    await storage.put(SEGMENTS, row);
+    return { ok: true, segment: row };
+  } catch (err) {
+    if (err.code === 'STORAGE_CONFLICT') return { ok: false, error: 'A segment with that name exists', status: 409 };
+    if (err.status) return { ok: false, error: err.message, status: err.status };
+    throw err;
+  }
+}
+
+export async function updateSegment(id, patch, actor) {
+  try {
+    const current = await storage.get(SEGMENTS, id);
+    if (!current) return { ok: false, error: 'Segment not found', status: 404 };
+    const fields = cleanInput({ ...current, ...patch });
+    await assertResolvable(id, fields.rules);
+    const row = await storage.update(SEGMENTS, id, (r) => ({ ...r, ...fields, updated_by: actor || null, updated_at: new Date().toISOString() }));
+    return { ok: true, segment: row };
+  } catch (err) {
+    if (err.code === 'STORAGE_CONFLICT') return { ok: false, error: 'A segment with that name exists', status: 409 };
+    if (err.status) return { ok: false, error: err.message, status: err.status };
+    throw err;
+  }
+}
+
+function references(rule, id) {
+  if (!rule || typeof rule !== 'object') return false;
+  if (rule.all || rule.any) return (rule.all || rule.any).some((r) => references(r, id));
+  if (rule.not) return references(rule.not, id);
+  return rule.field === 'segment' && asList(rule.value).includes(id);
+}
+
+export async function deleteSegment(id) {
+  const current = await storage.get(SEGMENTS, id);
+  if (!current) return { ok: false, error: 'Segment not found', status: 404 };
+  const users = (await storage.find(SEGMENTS)).filter((s) => s.id !== id && references(s.rules, id));
+  if (users.length) {
+    return { ok: false, error: `Used by segment(s): ${users.map((s) => s.name).join(', ')}`, status: 409 };
+  }
+  await storage.remove(SEGMENTS, id);
+  return { ok: true, deleted: true };
+}
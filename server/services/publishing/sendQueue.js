@@ -0,0 +1,417 @@
+/**
+ * Durable newsletter send queue.
+ *
+ * A campaign is enqueued as one `newsletter_queue` row per recipient; the
+ * message itself lives once on the campaign (`content`) and is personalised at
+ * send time. The worker claims due rows, sends them through the provider pinned
+ * on the row and records the outcome:
+ *
+ *   queued → sending → sent | failed | cancelled        (paused ⇄ queued)
+ *
+ * Rows may carry an A/B `variant`, which swaps in that variant's subject.
+ *
+ * - Throttling: each provider gets EMAIL_RATE_LIMIT_<PROVIDER> messages/second;
+ *   a 429 parks that provider until its Retry-After.
+ * - Retries: 429 / 5xx / network errors back off exponentially
+ *   (NEWSLETTER_RETRY_BASE_MS, doubling, capped at an hour) up to
+ *   NEWSLETTER_MAX_ATTEMPTS; other errors fail the row at once.
+ * - Resume: claims are leases — rows a crashed process left in `sending` are
+ *   claimed again once the lease runs out (that recipient may get a duplicate).
+ *   Paused campaigns keep their rows until resumed.
+ * - A campaign with no open rows is finalised: stats, job status, Supabase mirror.
+ */
+
+import { sendWithProvider, providerRateLimit } from './emailProvider.js';
+import { personalizeMessage } from './templates.js';
+import { markEmailSent } from './subscribers.js';
+import { recordEvent } from './analytics.js';
+import { findIn } from '../../storage/index.js';
+import { getJobStatus } from '../jobs/scheduler.js';
+import {
+  CAMPAIGNS,
+  JOBS,
+  QUEUE,
+  SUBSCRIBERS,
+  mirrorCampaign,
+  mirrorPublishJob,
+  newId,
+  storage,
+} from './store.js';
+
+export const QUEUE_STATUSES = Object.freeze(['queued', 'sending', 'paused', 'sent', 'failed', 'cancelled']);
+const OPEN_STATUSES = ['queued', 'sending', 'paused'];
+
+const LEASE_MS = 5 * 60_000;
+const MAX_BACKOFF_MS = 60 * 60_000;
+
+const maxAttempts = () => Number(process.env.NEWSLETTER_MAX_ATTEMPTS || 5);
+const retryBaseMs = () => Number(process.env.NEWSLETTER_RETRY_BASE_MS || 30_000);
+const sendConcurrency = () => Math.max(1, Number(process.env.NEWSLETTER_QUEUE_CONCURRENCY || 4));
+
+/** provider → earliest time the next message may go out / provider parked until. */
+const nextSlotAt = new Map();
+const cooldownUntil = new Map();
+
+let inflight = null;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+const iso = (ms) => new Date(ms).toISOString();
+
+/** Wait for this provider's next send slot. */
+async function takeSlot(provider) {
+  const rate = providerRateLimit(provider);
+  if (!rate) return;
+  const now = Date.now();
+  const at = Math.max(now, nextSlotAt.get(provider) || 0);
+  nextSlotAt.set(provider, at + 1000 / rate);
+  if (at > now) await sleep(at - now);
+}
+
+/** Exponential backoff with ±20% jitter; a provider's Retry-After wins when longer. */
+export function retryDelayMs(attempts, retryAfterMs = 0) {
+  const base = Math.min(retryBaseMs() * 2 ** Math.max(0, attempts - 1), MAX_BACKOFF_MS);
+  const jittered = base * (0.8 + Math.random() * 0.4);
+  return Math.round(Math.max(jittered, retryAfterMs || 0));
+}
+
+/**
+ * Queue one row per recipient for a stored campaign. Recipients are subscriber
+ * rows ({ id, email, unsubscribe_token }); `variant` pins an A/B subject (campaigns.js).
+ */
+export async function enqueueCampaign(campaign, recipients, { provider, variant = null }) {
+  const ts = new Date().toISOString();
+  const rows = recipients.map((s) => ({
+    id: newId('q_'),
+    campaign_id: campaign.id,
+    job_id: campaign.job_id || null,
+    subscriber_id: s.id,
+    email: s.email,
+    unsubscribe_token: s.unsubscribe_token || null,
+    provider,
+    variant,
+    status: 'queued',
+    attempts: 0,
+    next_attempt_at: ts,
+    lease_until: null,
+    last_error: null,
+    provider_message_id: null,
+    created_at: ts,
+    updated_at: ts,
+    sent_at: null,
+  }));
+  await storage.putMany(QUEUE, rows);
+  kickSendQueue();
+  return rows.length;
+}
+
+/** Lease due rows (and rows whose lease expired) to this worker. */
+function claimDue(limit) {
+  return storage.transaction(async () => {
+    const now = Date.now();
+    const expired = await storage.find(QUEUE, {
+      where: { status: 'sending', lease_until: { lt: iso(now) } },
+      orderBy: 'lease_until',
+      limit,
+    });
+    const due = await storage.find(QUEUE, {
+      where: { status: 'queued', next_attempt_at: { lte: iso(now) } },
+      orderBy: 'next_attempt_at',
+      limit: Math.max(0, limit - expired.length),
+    });
+    const claimed = [...expired, ...due].map((row) => ({
+      ...row,
+      status: 'sending',
+      lease_until: iso(now + LEASE_MS),
+      updated_at: iso(now),
+    }));
+    await storage.putMany(QUEUE, claimed);
+    return claimed;
+  });
+}
+
+function settle(row, patch) {
+  return storage.update(QUEUE, row.id, (current) =>
+    // A pause that landed mid-send keeps the row parked unless it was delivered.
+    (current.status === 'paused' && patch.status === 'queued'
+      ? { ...current, ...patch, status: 'paused', lease_until: null, updated_at: new Date().toISOString() }
+      : { ...current, ...patch, lease_until: null, updated_at: new Date().toISOString() }),
+  );
+}
+
+/** The campaign message, with the row's A/B subject when it has one. */
+function contentFor(campaign, row) {
+  const variant = row.variant && campaign.ab_test?.variants?.find((v) => v.id === row.variant);
+  return variant ? { ...campaign.content, subject: variant.subject } : campaign.content;
+}
+
+async function sendRow(row, campaign, subscriber, outcome) {
+  const parked = cooldownUntil.get(row.provider) || 0;
+  if (parked > Date.now()) {
+    await settle(row, { status: 'queued', next_attempt_at: iso(parked) });
+    outcome.deferred += 1;
+    return;
+  }
+
+  await takeSlot(row.provider);
+  const message = personalizeMessage(contentFor(campaign, row), { ...row, preferences: subscriber.preferences });
+  const result = await sendWithProvider(row.provider, message);
+  const attempts = (row.attempts || 0) + 1;
+
+  if (result.ok) {
+    await settle(row, { status: 'sent', attempts, provider_message_id: result.id || null, sent_at: new Date().toISOString(), last_error: null });
+    await recordEvent({
+      job_id: row.job_id,
+      subscriber_id: row.subscriber_id,
+      email: row.email,
+      event_type: 'sent',
+      meta: { provider: result.provider, id: result.id, campaign_id: row.campaign_id, ...(result.dryRun ? { dryRun: true } : {}) },
+    });
+    outcome.sent.push(row.email);
+    return;
+  }
+
+  if (result.status === 429) {
+    cooldownUntil.set(row.provider, Date.now() + (result.retryAfterMs || retryDelayMs(1)));
+  }
+  if (result.retryable && attempts < maxAttempts()) {
+    await settle(row, {
+      status: 'queued',
+      attempts,
+      last_error: result.error,
+      next_attempt_at: iso(Date.now() + retryDelayMs(attempts, result.retryAfterMs)),
+    });
+    outcome.retried += 1;
+    return;
+  }
+
+  await settle(row, { status: 'failed', attempts, last_error: result.error });
+  await recordEvent({
+    job_id: row.job_id,
+    subscriber_id: row.subscriber_id,
+    email: row.email,
+    event_type: 'failed',
+    meta: { provider: result.provider, error: result.error, status: result.status || null, attempts },
+  });
+  outcome.failed += 1;
+}
+
+async function runBatch(limit) {
+  const claimed = await claimDue(limit);
+  const outcome = { claimed: claimed.length, sent: [], failed: 0, retried: 0, deferred: 0, cancelled: 0 };
+  if (!claimed.length) return outcome;
+
+  const [campaigns, subscribers] = await Promise.all([
+    findIn(CAMPAIGNS, 'id', claimed.map((r) => r.campaign_id)),
+    findIn(SUBSCRIBERS, 'id', claimed.map((r) => r.subscriber_id)),
+  ]);
+  const campaignById = new Map(campaigns.map((c) => [c.id, c]));
+  const activeById = new Map(
+    subscribers.filter((s) => s.status === 'active' && s.is_active !== false).map((s) => [s.id, s]),
+  );
+
+  const sendable = [];
+  for (const row of claimed) {
+    const campaign = campaignById.get(row.campaign_id);
+    // Unsubscribed / suppressed since enqueue, or the campaign is gone.
+    if (!campaign?.content || !activeById.has(row.subscriber_id)) {
+      await settle(row, { status: 'cancelled', last_error: campaign?.content ? 'subscriber_inactive' : 'campaign_missing' });
+      outcome.cancelled += 1;
+    } else {
+      sendable.push([row, campaign, activeById.get(row.subscriber_id)]);
+    }
+  }
+
+  let next = 0;
+  const lanes = Array.from({ length: Math.min(sendConcurrency(), sendable.length) }, async () => {
+    while (next < sendable.length) {
+      const [row, campaign, subscriber] = sendable[next++];
+      await sendRow(row, campaign, subscriber, outcome);
+    }
+  });
+  await Promise.all(lanes);
+
+  await markEmailSent(outcome.sent);
+  for (const id of new Set(claimed.map((r) => r.campaign_id))) await finalizeCampaign(id);
+  return outcome;
+}
+
+/**
+ * Send one batch of due rows. Concurrent callers share the batch in flight.
+ * Returns { claimed, sent, failed, retried, deferred, cancelled }.
+ */
+export function processSendQueue({ limit = Number(process.env.NEWSLETTER_QUEUE_BATCH || 100) } = {}) {
+  if (inflight) return inflight;
+  inflight = runBatch(limit)
+    .then((outcome) => ({ ...outcome, sent: outcome.sent.length }))
+    .finally(() => {
+      inflight = null;
+    });
+  return inflight;
+}
+
+/** Process batches until nothing is due (scripts, tests, admin flush). */
+export async function drainSendQueue({ maxBatches = 1000 } = {}) {
+  const total = { batches: 0, claimed: 0, sent: 0, failed: 0, retried: 0, deferred: 0, cancelled: 0 };
+  if (inflight) await inflight.catch(() => {});
+  for (; total.batches < maxBatches; total.batches += 1) {
+    const outcome = await processSendQueue();
+    if (!outcome.claimed) break;
+    for (const key of ['claimed', 'sent', 'failed', 'retried', 'deferred', 'cancelled']) total[key] += outcome[key];
+    // Everything left is waiting on a backoff or provider cooldown.
+    if (outcome.retried + outcome.deferred === outcome.claimed) break;
+  }
+  return total;
+}
+
+async function countRows(campaignId, status) {
+  return storage.count(QUEUE, { where: { campaign_id: campaignId, status } });
+}
+
+/**
+ * Close out a campaign once none of its rows are open. Returns the updated
+ * campaign, or null while rows are still queued / sending / paused.
+ */
+export async function finalizeCampaign(campaignId) {
+  const done = await storage.transaction(async () => {
+    if (await countRows(campaignId, OPEN_STATUSES)) return null;
+    const campaign = await storage.get(CAMPAIGNS, campaignId);
+    if (!campaign || campaign.finalized_at) return null;
+    // An A/B sample has drained but the winner's rollout is still to come.
+    if (['testing', 'deciding'].includes(campaign.ab_test?.status)) return null;
+
+    const [sent, failed, cancelled] = await Promise.all(['sent', 'failed', 'cancelled'].map((s) => countRows(campaignId, s)));
+    const status = campaign.dry_run ? 'dry_run' : !failed ? 'sent' : sent ? 'partial' : 'failed';
+    const ts = new Date().toISOString();
+    const nextCampaign = await storage.update(CAMPAIGNS, campaignId, (c) => ({
+      ...c,
+      status,
+      stats: { ...c.stats, sent, failed, cancelled },
+      sent_at: ts,
+      finalized_at: ts,
+    }));
+    const job = campaign.job_id
+      ? await storage.update(JOBS, campaign.job_id, (j) => ({
+          ...j,
+          status: 'completed',
+          newsletter_sent: sent,
+          newsletter_failed: failed,
+          channels: {
+            ...j.channels,
+            newsletter: { status, campaign_id: campaignId, provider: campaign.provider, attempted: sent + failed, sent, failed, cancelled },
+            analytics: { status: 'recorded' },
+            archive: { status: 'stored', job_id: j.id, campaign_id: campaignId },
+          },
+          completed_at: ts,
+        }))
+      : null;
+    return { campaign: nextCampaign, job };
+  });
+  if (!done) return null;
+  if (done.job) await mirrorPublishJob(done.job);
+  await mirrorCampaign(done.campaign);
+  return done.campaign;
+}
+
+/**
+ * Park a campaign's open rows. A row mid-send still records its result, but
+ * goes back to `paused` rather than `queued` if it needs a retry.
+ */
+export async function pauseCampaign(campaignId) {
+  const result = await storage.transaction(async () => {
+    const campaign = await storage.get(CAMPAIGNS, campaignId);
+    if (!campaign) return { ok: false, error: 'Campaign not found', status: 404 };
+    if (campaign.finalized_at) return { ok: false, error: `Campaign already ${campaign.status}`, status: 409 };
+    if (campaign.status === 'scheduled') return { ok: false, error: 'Campaign is scheduled — cancel or reschedule it', status: 409 };
+    const rows = await storage.find(QUEUE, { where: { campaign_id: campaignId, status: ['queued', 'sending'] } });
+    const ts = new Date().toISOString();
+    await storage.putMany(QUEUE, rows.map((r) => ({ ...r, status: 'paused', updated_at: ts })));
+    const next = await storage.update(CAMPAIGNS, campaignId, (c) => ({ ...c, status: 'paused', paused_at: ts }));
+    return { ok: true, campaign: next, paused: rows.length };
+  });
+  if (result.ok) await mirrorCampaign(result.campaign);
+  return result;
+}
+
+/**
+ * Requeue a paused campaign. `retryFailed` also gives rows that ran out of
+ * attempts a fresh set — and reopens a finalised campaign to do so.
+ */
+export async function resumeCampaign(campaignId, { retryFailed = false } = {}) {
+  const result = await storage.transaction(async () => {
+    const campaign = await storage.get(CAMPAIGNS, campaignId);
+    if (!campaign) return { ok: false, error: 'Campaign not found', status: 404 };
+    const statuses = retryFailed ? ['paused', 'failed'] : ['paused'];
+    const rows = await storage.find(QUEUE, { where: { campaign_id: campaignId, status: statuses } });
+    if (campaign.finalized_at && !rows.length) return { ok: false, error: `Campaign already ${campaign.status}`, status: 409 };
+    const ts = new Date().toISOString();
+    await storage.putMany(
+      QUEUE,
+      rows.map((r) => ({ ...r, status: 'queued', next_attempt_at: ts, ...(r.status === 'failed' ? { attempts: 0 } : {}), updated_at: ts })),
+    );
+    const next = await storage.update(CAMPAIGNS, campaignId, (c) => ({ ...c, status: 'sending', paused_at: null, finalized_at: null }));
+    if (next.job_id && rows.length) {
+      await storage.update(JOBS, next.job_id, (j) => ({
+        ...j,
+        status: 'sending',
+        channels: { ...j.channels, newsletter: { ...j.channels?.newsletter, status: 'queued' } },
+        completed_at: null,
+      }));
+    }
+    return { ok: true, campaign: next, requeued: rows.length };
+  });
+  if (!result.ok) return result;
+  // Nothing left to send (e.g. resumed after every row settled) — close it out again.
+  if (!result.requeued) result.campaign = (await finalizeCampaign(campaignId)) || result.campaign;
+  kickSendQueue();
+  return result;
+}
+
+export async function queueStats({ campaignId } = {}) {
+  const where = campaignId ? { campaign_id: campaignId } : {};
+  const counts = await Promise.all(QUEUE_STATUSES.map((status) => storage.count(QUEUE, { where: { ...where, status } })));
+  const now = Date.now();
+  return {
+    counts: Object.fromEntries(QUEUE_STATUSES.map((s, i) => [s, counts[i]])),
+    cooldowns: Object.fromEntries(
+      [...cooldownUntil].filter(([, until]) => until > now).map(([provider, until]) => [provider, iso(until)]),
+    ),
+    worker: getNewsletterQueueWorkerStatus(),
+  };
+}
+
+function workerEnabled() {
+  return String(process.env.NEWSLETTER_QUEUE_WORKER || 'true').toLowerCase() !== 'false';
+}
+
+/** Job `newsletter-queue` (services/jobs) — one batch per tick; idle ticks stay out of the run history. */
+export function newsletterQueueJob() {
+  return {
+    id: 'newsletter-queue',
+    label: 'Newsletter send queue',
+    description: 'Sends due newsletter_queue rows within provider rate limits.',
+    group: 'publishing',
+    everyMs: Number(process.env.NEWSLETTER_QUEUE_INTERVAL_MS || 15_000),
+    enabled: workerEnabled,
+    initialDelayMs: 0,
+    leaseMs: LEASE_MS,
+    quiet: (outcome) => !outcome?.claimed,
+    run: () => processSendQueue(),
+  };
+}
+
+export function getNewsletterQueueWorkerStatus() {
+  return {
+    ...getJobStatus('newsletter-queue'),
+    running: Boolean(inflight),
+    intervalMs: Number(process.env.NEWSLETTER_QUEUE_INTERVAL_MS || 15_000),
+  };
+}
+
+/** Start a batch now instead of waiting for the next tick (no-op unless the job runs on this instance). */
+export function kickSendQueue() {
+  const job = getJobStatus('newsletter-queue');
+  if (!job?.scheduler || !job.enabled || job.paused || inflight) return;
+  setImmediate(() => {
+    processSendQueue().catch((error) => console.warn('[newsletter-queue] batch failed:', error.message));
+  });
+}
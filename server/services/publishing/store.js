@@ -1,45 +1,21 @@
 /**
- * File-backed newsletter store with optional Supabase sync.
+ * Newsletter store — collections on the storage adapter (server/storage) with
+ * optional Supabase sync of the reporting tables.
  * Does not replace articles CMS — only distribution data.
  */
 
 import crypto from 'node:crypto';
-import fs from 'node:fs';
-import path from 'node:path';
-import { fileURLToPath } from 'node:url';
+import { storage } from '../../storage/index.js';
 
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const DATA_DIR = path.resolve(__dirname, '../../data/newsletter');
+export const SUBSCRIBERS = 'newsletter_subscribers';
+export const IMPORTS = 'newsletter_imports';
+export const JOBS = 'newsletter_jobs';
+export const EVENTS = 'newsletter_events';
+export const CAMPAIGNS = 'newsletter_campaigns';
+export const QUEUE = 'newsletter_queue';
+export const SEGMENTS = 'newsletter_segments';
 
-const FILES = {
-  subscribers: 'subscribers.json',
-  imports: 'imports.json',
-  jobs: 'publish_jobs.json',
-  events: 'events.json',
-  campaigns: 'campaigns.json',
-};
-
-function ensureDir() {
-  fs.mkdirSync(DATA_DIR, { recursive: true });
-}
-
-function readList(key) {
-  ensureDir();
-  const file = path.join(DATA_DIR, FILES[key]);
-  if (!fs.existsSync(file)) return [];
-  try {
-    const raw = JSON.parse(fs.readFileSync(file, 'utf8'));
-    return Array.isArray(raw) ? raw : [];
-  } catch {
-    return [];
-  }
-}
-
-function writeList(key, list) {
-  ensureDir();
-  const file = path.join(DATA_DIR, FILES[key]);
-  fs.writeFileSync(file, JSON.stringify(list, null, 2), 'utf8');
-}
+export const NEWSLETTER_COLLECTIONS = Object.freeze([SUBSCRIBERS, IMPORTS, JOBS, EVENTS, CAMPAIGNS, QUEUE, SEGMENTS]);
 
 export function newId(prefix = '') {
   return `${prefix}${crypto.randomUUID()}`;
@@ -49,23 +25,11 @@ export function newToken() {
   return crypto.randomBytes(24).toString('hex');
 }
 
-export function resetStoreForTests() {
-  ensureDir();
-  for (const key of Object.keys(FILES)) writeList(key, []);
+export async function resetStoreForTests() {
+  for (const collection of NEWSLETTER_COLLECTIONS) await storage.clear(collection);
 }
 
-export const store = {
-  listSubscribers: () => readList('subscribers'),
-  saveSubscribers: (rows) => writeList('subscribers', rows),
-  listImports: () => readList('imports'),
-  saveImports: (rows) => writeList('imports', rows),
-  listJobs: () => readList('jobs'),
-  saveJobs: (rows) => writeList('jobs', rows),
-  listEvents: () => readList('events'),
-  saveEvents: (rows) => writeList('events', rows),
-  listCampaigns: () => readList('campaigns'),
-  saveCampaigns: (rows) => writeList('campaigns', rows),
-};
+export { storage };
 
 export async function supabaseUpsert(table, rows, onConflict) {
   const url = (process.env.SUPABASE_URL || '').trim().replace(/\/$/, '');
@@ -96,3 +60,30 @@ export async function supabaseUpsert(table, rows, onConflict) {
     return { ok: false, error: err.message };
   }
 }
+
+/** Mirror a job into the typed publish_jobs reporting table. */
+export function mirrorPublishJob(job) {
+  return supabaseUpsert('publish_jobs', [
+    {
+      id: job.id,
+      article_id: job.article_id,
+      article_slug: job.article_slug,
+      title: job.title,
+      status: job.status,
+      channels: job.channels,
+      channel_content: job.channel_content,
+      newsletter_sent: job.newsletter_sent,
+      newsletter_failed: job.newsletter_failed,
+      segment: job.segment,
+      analytics: job.analytics,
+      completed_at: job.completed_at,
+    },
+  ]);
+}
+
+/** Mirror a campaign into newsletter_campaigns (message body, targeting, schedule and queue fields stay in storage). */
+export function mirrorCampaign(campaign) {
+  const { content, dry_run, provider, job_id, paused_at, finalized_at, targeting, schedule, dispatched_at, error, ...row } =
+    campaign;
+  return supabaseUpsert('newsletter_campaigns', [row]);
+}
@@ -2,7 +2,8 @@
  * Subscriber system — validation, CSV import, preferences, search, GDPR delete architecture.
  */
 
-import { newId, newToken, store, supabaseUpsert } from './store.js';
+import { findIn } from '../../storage/index.js';
+import { EVENTS, IMPORTS, SUBSCRIBERS, newId, newToken, storage, supabaseUpsert } from './store.js';
 
 export const PREFERENCE_KEYS = [
   'daily_market_brief',
@@ -13,6 +14,8 @@ export const PREFERENCE_KEYS = [
   'forecast_updates',
   'investment_office_brief',
   'product_updates',
+  // Open / click measurement (tracking.js) — false opts the reader out.
+  'email_tracking',
 ];
 
 export const SOURCES = [
@@ -27,6 +30,9 @@ export const SOURCES = [
   'website',
 ];
 
+/** Set by provider webhooks (hard bounce / spam complaint); never mailed or auto-reactivated. */
+export const SUPPRESSED_STATUSES = ['bounced', 'complained'];
+
 const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/i;
 
 export function validEmail(email) {
@@ -45,6 +51,19 @@ function defaultPreferences(partial = {}) {
   return prefs;
 }
 
+/** Token wins over email, matching the unsubscribe link. */
+async function findSubscriber({ email, token }) {
+  if (token) {
+    const [row] = await storage.find(SUBSCRIBERS, { where: { unsubscribe_token: token }, limit: 1 });
+    if (row) return row;
+  }
+  if (email) {
+    const [row] = await storage.find(SUBSCRIBERS, { where: { email: normalizeEmail(email) }, limit: 1 });
+    if (row) return row;
+  }
+  return null;
+}
+
 function toPublic(row) {
   if (!row) return null;
   const { unsubscribe_token, ...rest } = row;
@@ -54,7 +73,7 @@ function toPublic(row) {
   };
 }
 
-export function listSubscribers({
+export async function listSubscribers({
   q,
   email,
   name,
@@ -65,7 +84,10 @@ export function listSubscribers({
   limit = 100,
   offset = 0,
 } = {}) {
-  let rows = store.listSubscribers();
+  let rows = await storage.find(SUBSCRIBERS, {
+    where: { source: source || undefined, status: status || undefined },
+    orderBy: '-created_at',
+  });
   if (email) {
     const e = normalizeEmail(email);
     rows = rows.filter((r) => r.email.includes(e));
@@ -77,8 +99,6 @@ export function listSubscribers({
         `${r.first_name || ''} ${r.last_name || ''}`.toLowerCase().includes(n),
     );
   }
-  if (source) rows = rows.filter((r) => r.source === source);
-  if (status) rows = rows.filter((r) => r.status === status);
   if (tags) {
     const wanted = Array.isArray(tags) ? tags : String(tags).split(',').map((t) => t.trim()).filter(Boolean);
     rows = rows.filter((r) => wanted.every((t) => (r.tags || []).includes(t)));
@@ -93,7 +113,6 @@ export function listSubscribers({
       return blob.includes(query);
     });
   }
-  rows.sort((a, b) => String(b.created_at).localeCompare(String(a.created_at)));
   const total = rows.length;
   return {
     total,
@@ -114,17 +133,21 @@ export async function subscribe({
     return { ok: false, error: 'Invalid email', status: 400 };
   }
   const normalized = normalizeEmail(email);
-  const rows = store.listSubscribers();
-  const existing = rows.find((r) => r.email === normalized);
+  const existing = await findSubscriber({ email: normalized });
   if (existing) {
+    if (SUPPRESSED_STATUSES.includes(existing.status)) {
+      return { ok: true, mode: 'suppressed', subscriber: toPublic(existing) };
+    }
     if (existing.status === 'unsubscribed' || existing.is_active === false) {
-      existing.status = 'active';
-      existing.is_active = true;
-      existing.preferences = defaultPreferences({ ...existing.preferences, ...preferences });
-      if (tags?.length) existing.tags = Array.from(new Set([...(existing.tags || []), ...tags]));
-      store.saveSubscribers(rows);
-      await supabaseUpsert('subscribers', [existing], 'email');
-      return { ok: true, mode: 'reactivated', subscriber: toPublic(existing) };
+      const row = await storage.update(SUBSCRIBERS, existing.id, (r) => ({
+        ...r,
+        status: 'active',
+        is_active: true,
+        preferences: defaultPreferences({ ...r.preferences, ...preferences }),
+        tags: tags?.length ? Array.from(new Set([...(r.tags || []), ...tags])) : r.tags,
+      }));
+      await supabaseUpsert('subscribers', [row], 'email');
+      return { ok: true, mode: 'reactivated', subscriber: toPublic(row) };
     }
     return { ok: true, mode: 'exists', subscriber: toPublic(existing) };
   }
@@ -146,13 +169,23 @@ export async function subscribe({
     last_clicked: null,
     last_email_sent: null,
   };
-  rows.push(row);
-  store.saveSubscribers(rows);
+  try {
+    await storage.put(SUBSCRIBERS, row);
+  } catch (err) {
+    // Lost a race with a concurrent signup for the same address.
+    if (err.code !== 'STORAGE_CONFLICT') throw err;
+    return { ok: true, mode: 'exists', subscriber: toPublic(await findSubscriber({ email: normalized })) };
+  }
   await supabaseUpsert('subscribers', [row], 'email');
   return { ok: true, mode: 'created', subscriber: toPublic(row) };
 }
 
-export function previewCsvImport(csvText, { source = 'csv_upload' } = {}) {
+/** Which of these addresses are already subscribed (unique email index). */
+async function existingEmails(emails) {
+  return new Set((await findIn(SUBSCRIBERS, 'email', emails)).map((r) => r.email));
+}
+
+export async function previewCsvImport(csvText, { source = 'csv_upload' } = {}) {
   const lines = String(csvText || '')
     .split(/\r?\n/)
     .map((l) => l.trim())
@@ -169,7 +202,24 @@ export function previewCsvImport(csvText, { source = 'csv_upload' } = {}) {
     start = 1;
   }
 
-  const existing = new Set(store.listSubscribers().map((s) => s.email));
+  const parsed = lines.slice(start).map((line) => {
+    const cols = line.split(',').map((c) => c.trim().replace(/^"|"$/g, ''));
+    const get = (name, idx) => {
+      if (headers) {
+        const hi = headers.indexOf(name);
+        return hi >= 0 ? cols[hi] : '';
+      }
+      return cols[idx] || '';
+    };
+    return {
+      email: normalizeEmail(get('email', 0)),
+      first_name: get('first_name', 1) || get('firstname', 1) || '',
+      last_name: get('last_name', 2) || get('lastname', 2) || '',
+      tagCol: get('tags', 3),
+    };
+  });
+
+  const existing = await existingEmails(parsed.map((p) => p.email).filter(validEmail));
   const seen = new Set();
   const preview = [];
   let imported = 0;
@@ -179,18 +229,7 @@ export function previewCsvImport(csvText, { source = 'csv_upload' } = {}) {
   const rows = [];
 
   for (let i = start; i < lines.length; i += 1) {
-    const cols = lines[i].split(',').map((c) => c.trim().replace(/^"|"$/g, ''));
-    const get = (name, idx) => {
-      if (headers) {
-        const hi = headers.indexOf(name);
-        return hi >= 0 ? cols[hi] : '';
-      }
-      return cols[idx] || '';
-    };
-    const email = normalizeEmail(get('email', 0));
-    const first_name = get('first_name', 1) || get('firstname', 1) || '';
-    const last_name = get('last_name', 2) || get('lastname', 2) || '';
-    const tagCol = get('tags', 3);
+    const { email, first_name, last_name, tagCol } = parsed[i - start];
 
     if (!email) {
       errors += 1;
@@ -225,7 +264,7 @@ export function previewCsvImport(csvText, { source = 'csv_upload' } = {}) {
 }
 
 export async function commitCsvImport(csvText, { source = 'csv_upload', filename, dryRun = false, created_by } = {}) {
-  const result = previewCsvImport(csvText, { source });
+  const result = await previewCsvImport(csvText, { source });
   if (dryRun) {
     return { ...result, committed: false };
   }
@@ -234,7 +273,6 @@ export async function commitCsvImport(csvText, { source = 'csv_upload', filename
     const out = await subscribe({ ...row, source, verified: false });
     if (out.mode === 'created') created += 1;
   }
-  const imports = store.listImports();
   const record = {
     id: newId(),
     source,
@@ -247,101 +285,92 @@ export async function commitCsvImport(csvText, { source = 'csv_upload', filename
     created_at: new Date().toISOString(),
     created_by: created_by || null,
   };
-  imports.unshift(record);
-  store.saveImports(imports.slice(0, 200));
+  await storage.put(IMPORTS, record);
   await supabaseUpsert('newsletter_imports', [record]);
   return { ...result, imported: created, committed: true, import_id: record.id };
 }
 
+/**
+ * Merge preference changes. Readers identify with their unsubscribe `token`;
+ * `email` is for admin callers only. Answers with the preferences, never the row.
+ */
 export async function updatePreferences({ email, token, preferences }) {
-  const rows = store.listSubscribers();
-  const normalized = email ? normalizeEmail(email) : null;
-  const row = rows.find(
-    (r) => (normalized && r.email === normalized) || (token && r.unsubscribe_token === token),
-  );
-  if (!row) return { ok: false, error: 'Subscriber not found', status: 404 };
-  row.preferences = defaultPreferences({ ...row.preferences, ...preferences });
-  store.saveSubscribers(rows);
+  const found = await findSubscriber(token ? { token } : { email });
+  if (!found) return { ok: false, error: 'Subscriber not found', status: 404 };
+  const row = await storage.update(SUBSCRIBERS, found.id, (r) => ({
+    ...r,
+    preferences: defaultPreferences({ ...r.preferences, ...preferences }),
+  }));
   await supabaseUpsert('subscribers', [row], 'email');
-  return { ok: true, subscriber: toPublic(row) };
+  return { ok: true, preferences: row.preferences };
 }
 
 export async function unsubscribe({ email, token }) {
-  const rows = store.listSubscribers();
-  const normalized = email ? normalizeEmail(email) : null;
-  const row = rows.find(
-    (r) => (token && r.unsubscribe_token === token) || (normalized && r.email === normalized),
-  );
-  if (!row) return { ok: false, error: 'Subscriber not found', status: 404 };
-  row.status = 'unsubscribed';
-  row.is_active = false;
-  store.saveSubscribers(rows);
-  await supabaseUpsert('subscribers', [row], 'email');
-
-  const events = store.listEvents();
-  events.push({
-    id: newId(),
-    job_id: null,
-    subscriber_id: row.id,
-    email: row.email,
-    event_type: 'unsubscribe',
-    meta: {},
-    created_at: new Date().toISOString(),
+  const found = await findSubscriber({ email, token });
+  if (!found) return { ok: false, error: 'Subscriber not found', status: 404 };
+  const row = await storage.transaction(async () => {
+    const next = await storage.update(SUBSCRIBERS, found.id, (r) => ({ ...r, status: 'unsubscribed', is_active: false }));
+    await storage.put(EVENTS, {
+      id: newId(),
+      job_id: null,
+      subscriber_id: next.id,
+      email: next.email,
+      event_type: 'unsubscribe',
+      meta: {},
+      created_at: new Date().toISOString(),
+    });
+    return next;
   });
-  store.saveEvents(events);
+  await supabaseUpsert('subscribers', [row], 'email');
   return { ok: true, subscriber: toPublic(row) };
 }
 
+export function getSubscriberByEmail(email) {
+  return findSubscriber({ email });
+}
+
+/**
+ * Stop mailing an address after a hard bounce or complaint. Returns the
+ * updated row, or null when the address is unknown.
+ */
+export async function suppressSubscriber({ email, reason = 'bounced', detail = null }) {
+  const found = await findSubscriber({ email });
+  if (!found) return null;
+  const status = reason === 'complaint' ? 'complained' : 'bounced';
+  const row = await storage.update(SUBSCRIBERS, found.id, (r) => ({
+    ...r,
+    status,
+    is_active: false,
+    suppressed_at: new Date().toISOString(),
+    suppression_reason: detail || reason,
+  }));
+  await supabaseUpsert('subscribers', [row], 'email');
+  return row;
+}
+
 /** GDPR-style deletion architecture — hard delete + event tombstone */
 export async function deleteSubscriber({ email, token }) {
-  const rows = store.listSubscribers();
-  const normalized = email ? normalizeEmail(email) : null;
-  const idx = rows.findIndex(
-    (r) => (token && r.unsubscribe_token === token) || (normalized && r.email === normalized),
-  );
-  if (idx < 0) return { ok: false, error: 'Subscriber not found', status: 404 };
-  const [removed] = rows.splice(idx, 1);
-  store.saveSubscribers(rows);
-  const events = store.listEvents();
-  events.push({
-    id: newId(),
-    job_id: null,
-    subscriber_id: removed.id,
-    email: 'redacted',
-    event_type: 'gdpr_delete',
-    meta: { deleted_at: new Date().toISOString() },
-    created_at: new Date().toISOString(),
+  const found = await findSubscriber({ email, token });
+  if (!found) return { ok: false, error: 'Subscriber not found', status: 404 };
+  await storage.transaction(async () => {
+    await storage.remove(SUBSCRIBERS, found.id);
+    await storage.put(EVENTS, {
+      id: newId(),
+      job_id: null,
+      subscriber_id: found.id,
+      email: 'redacted',
+      event_type: 'gdpr_delete',
+      meta: { deleted_at: new Date().toISOString() },
+      created_at: new Date().toISOString(),
+    });
   });
-  store.saveEvents(events);
   return { ok: true, deleted: true };
 }
 
-export function segmentSubscribers(segment = 'all') {
-  const rows = store.listSubscribers().filter((r) => r.status === 'active' && r.is_active !== false);
-  const map = {
-    all: () => true,
-    macro: (r) => r.preferences?.macro_research !== false,
-    stock_research: (r) => r.preferences?.company_research !== false,
-    forecast: (r) => r.preferences?.forecast_updates !== false,
-    investment_office: (r) => r.preferences?.investment_office_brief !== false,
-    linkedin: (r) => r.source === 'linkedin_campaign' || (r.tags || []).includes('linkedin'),
-    weekly: (r) => r.preferences?.weekly_newsletter !== false,
-    daily: (r) => r.preferences?.daily_market_brief !== false,
-  };
-  if (String(segment).startsWith('tag:')) {
-    const tag = segment.slice(4);
-    return rows.filter((r) => (r.tags || []).includes(tag));
-  }
-  const fn = map[segment] || map.all;
-  return rows.filter(fn);
-}
-
-export function markEmailSent(emails = []) {
-  const set = new Set(emails.map(normalizeEmail));
-  const rows = store.listSubscribers();
+export async function markEmailSent(emails = []) {
   const now = new Date().toISOString();
-  for (const row of rows) {
-    if (set.has(row.email)) row.last_email_sent = now;
-  }
-  store.saveSubscribers(rows);
+  await storage.transaction(async () => {
+    const rows = await findIn(SUBSCRIBERS, 'email', emails.map(normalizeEmail));
+    await storage.putMany(SUBSCRIBERS, rows.map((row) => ({ ...row, last_email_sent: now })));
+  });
 }
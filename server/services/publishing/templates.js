@@ -2,6 +2,8 @@
  * Institutional research newsletter HTML template — minimal, mobile responsive.
  */
 
+import { applyTracking, trackingAllowed } from './tracking.js';
+
 function escapeHtml(value) {
   return String(value || '')
     .replace(/&/g, '&amp;')
@@ -23,6 +25,7 @@ export function buildNewsletterHtml({
   unsubscribeUrl,
   privacyUrl,
   preheader,
+  tracking,
 }) {
   const charts = (keyCharts || [])
     .slice(0, 3)
@@ -45,7 +48,7 @@ export function buildNewsletterHtml({
     )
     .join('');
 
-  return `<!DOCTYPE html>
+  const html = `<!DOCTYPE html>
 <html lang="en">
 <head>
   <meta charset="utf-8" />
@@ -91,8 +94,33 @@ export function buildNewsletterHtml({
   </table>
 </body>
 </html>`;
+  // Per-recipient copy: { job_id, campaign_id, subscriber_id, preferences }.
+  return tracking && trackingAllowed(tracking)
+    ? applyTracking(html, tracking, { skip: [unsubscribeUrl || `${siteUrl}/unsubscribe`, privacyUrl || `${siteUrl}/privacy`] })
+    : html;
 }
 
 export function buildPlainText({ headline, oneMinuteSummary, articleUrl }) {
   return `${headline}\n\n${oneMinuteSummary}\n\nRead: ${articleUrl}\n`;
 }
+
+/**
+ * One recipient's copy of a campaign message — the generic unsubscribe link
+ * becomes a tokenised one, and links / pixel are tracked unless the recipient
+ * opted out. `recipient` is a queue row plus the subscriber's preferences.
+ */
+export function personalizeMessage(content, recipient) {
+  const { email, unsubscribe_token } = recipient;
+  const base = content.unsubscribe_url;
+  const personal = `${base}?token=${encodeURIComponent(unsubscribe_token || '')}&email=${encodeURIComponent(email)}`;
+  const html = base ? content.html.split(base).join(personal) : content.html;
+  return {
+    to: email,
+    subject: content.subject,
+    html: trackingAllowed(recipient)
+      ? applyTracking(html, recipient, { skip: [base, ...(content.untracked_urls || [])] })
+      : html,
+    text: content.text,
+    tags: content.tags,
+  };
+}
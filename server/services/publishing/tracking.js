@@ -0,0 +1,146 @@
+/**
+ * Newsletter open / click tracking.
+ *
+ * Each sent copy gets a 1×1 pixel and its links rewritten to a signed redirect:
+ *
+ *   GET /api/newsletter/t/o/<token>.gif    → `open` event
+ *   GET /api/newsletter/t/c/<token>        → `click` event, 302 to the original URL
+ *
+ * Tokens are `<base64url payload>.<HMAC>` signed with NEWSLETTER_TRACKING_SECRET,
+ * so the redirect only ever goes where the email linked (no open redirect).
+ * Events use a deterministic id per recipient (+ URL for clicks), so
+ * `job.analytics` counts unique opens / clicks however often a pixel reloads.
+ *
+ * Tracking is off without a secret, without the API origin
+ * (NEWSLETTER_TRACKING_ORIGIN, else VITE_API_URL — warned about at send time),
+ * for NEWSLETTER_TRACKING=off, and for subscribers whose `email_tracking`
+ * preference is false. Nothing about the
+ * reader's client (IP, user agent) is stored.
+ */
+
+import crypto from 'node:crypto';
+import { recordEvent } from './analytics.js';
+import { SUBSCRIBERS, storage } from './store.js';
+
+export const TRACKING_PIXEL = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
+
+const SIGNATURE_BYTES = 16;
+
+function trackingSecret() {
+  return process.env.NEWSLETTER_TRACKING_SECRET || '';
+}
+
+/** Public origin of this API. No site fallback: the static site does not serve /api/newsletter/t/*. */
+function apiOrigin() {
+  return String(process.env.NEWSLETTER_TRACKING_ORIGIN || process.env.VITE_API_URL || '').trim().replace(/\/$/, '');
+}
+
+let warnedNoOrigin = false;
+
+export function trackingEnabled() {
+  if (!trackingSecret() || String(process.env.NEWSLETTER_TRACKING || 'on').toLowerCase() === 'off') return false;
+  if (apiOrigin()) return true;
+  if (!warnedNoOrigin) {
+    warnedNoOrigin = true;
+    console.warn('[newsletter] tracking skipped: set NEWSLETTER_TRACKING_ORIGIN to the public API origin serving /api/newsletter/t/*');
+  }
+  return false;
+}
+
+/** Recipient has not opted out (missing preference = opted in). */
+export function trackingAllowed(subscriber) {
+  return trackingEnabled() && subscriber?.preferences?.email_tracking !== false;
+}
+
+function sign(body) {
+  return crypto.createHmac('sha256', trackingSecret()).update(body).digest().subarray(0, SIGNATURE_BYTES).toString('base64url');
+}
+
+export function signTrackingToken(payload) {
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${body}.${sign(body)}`;
+}
+
+/** Payload of a valid token, else null. */
+export function verifyTrackingToken(token) {
+  const [body, signature] = String(token || '').replace(/\.gif$/, '').split('.');
+  if (!body || !signature || !trackingSecret()) return null;
+  const expected = Buffer.from(sign(body));
+  const given = Buffer.from(signature);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+  try {
+    return JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Stable event id for one recipient's open, or click on one URL — provider
+ * webhooks use it too, so a pixel open and a provider open count once.
+ */
+export function engagementEventId(type, { job_id, subscriber_id, url }) {
+  if (!job_id || !subscriber_id) return undefined;
+  const key = [type, job_id, subscriber_id, type === 'click' ? url || '' : ''].join('|');
+  return `${type}_${crypto.createHash('sha1').update(key).digest('hex')}`;
+}
+
+const HREF_RE = /(<a\b[^>]*?\bhref=")(https?:\/\/[^"]+)(")/gi;
+
+/**
+ * Rewrite links through the click redirect and append the open pixel.
+ * `skip` URLs (unsubscribe, privacy) are left untouched.
+ */
+export function applyTracking(html, { job_id, campaign_id, subscriber_id }, { skip = [] } = {}) {
+  const base = `${apiOrigin()}/api/newsletter/t`;
+  const ids = { j: job_id || null, c: campaign_id || null, s: subscriber_id };
+  const unescape = (url) => url.replace(/&amp;/g, '&');
+  const tracked = html.replace(HREF_RE, (match, open, url, close) => {
+    const target = unescape(url);
+    if (skip.some((prefix) => prefix && target.startsWith(prefix))) return match;
+    return `${open}${base}/c/${signTrackingToken({ ...ids, u: target })}${close}`;
+  });
+  const pixel = `<img src="${base}/o/${signTrackingToken(ids)}.gif" width="1" height="1" alt="" style="display:block;width:1px;height:1px;border:0" />`;
+  return tracked.includes('</body>') ? tracked.replace('</body>', `${pixel}\n</body>`) : `${tracked}${pixel}`;
+}
+
+/** Subscriber behind a token, or null when unknown / opted out since the send. */
+async function trackableSubscriber(payload) {
+  if (!payload?.s) return null;
+  const subscriber = await storage.get(SUBSCRIBERS, payload.s);
+  return subscriber && subscriber.preferences?.email_tracking !== false ? subscriber : null;
+}
+
+async function recordEngagement(type, payload, subscriber, { url, source }) {
+  const ids = { job_id: payload.j || null, subscriber_id: subscriber.id };
+  const row = await recordEvent({
+    id: engagementEventId(type, { ...ids, url }),
+    ...ids,
+    email: subscriber.email,
+    event_type: type,
+    meta: { source, campaign_id: payload.c || null, ...(url ? { url } : {}) },
+  });
+  if (row.duplicate) return false;
+  const field = type === 'open' ? 'last_opened' : 'last_clicked';
+  await storage.update(SUBSCRIBERS, subscriber.id, (current) => ({ ...current, [field]: row.created_at }));
+  return true;
+}
+
+/** Pixel hit. Returns true when it was the recipient's first open. */
+export async function recordOpen(payload) {
+  const subscriber = await trackableSubscriber(payload);
+  return subscriber ? recordEngagement('open', payload, subscriber, { source: 'pixel' }) : false;
+}
+
+/**
+ * Redirect hit — a click also counts as an open (images are often blocked).
+ * Returns the URL to send the reader to.
+ */
+export async function recordClick(payload) {
+  const subscriber = await trackableSubscriber(payload);
+  if (subscriber) {
+    await recordEngagement('open', payload, subscriber, { source: 'redirect' });
+    await recordEngagement('click', payload, subscriber, { url: payload.u, source: 'redirect' });
+  }
+  return payload?.u || null;
+}
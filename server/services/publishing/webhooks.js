@@ -0,0 +1,256 @@
+/**
+ * Inbound provider webhooks → newsletter events.
+ *
+ * Each provider's callback is authenticated, normalised to
+ *   { event_id, type: delivered|bounce|complaint|open|click, email, message_id, hard, occurred_at, detail }
+ * matched back to its queue row by provider message id, and written with
+ * recordEvent under a deterministic id so provider retries are no-ops.
+ * Hard bounces and spam complaints suppress the subscriber.
+ *
+ * Auth: Resend signs with Svix (RESEND_WEBHOOK_SECRET). Postmark, Brevo and
+ * SES/SNS carry NEWSLETTER_WEBHOOK_TOKEN as ?token= or X-Webhook-Token. A
+ * provider with neither configured is refused.
+ */
+
+import crypto from 'node:crypto';
+import { recordEvent } from './analytics.js';
+import { getSubscriberByEmail, suppressSubscriber } from './subscribers.js';
+import { engagementEventId } from './tracking.js';
+import { QUEUE, storage } from './store.js';
+
+export const WEBHOOK_PROVIDERS = Object.freeze(['resend', 'postmark', 'brevo', 'ses']);
+
+const SVIX_TOLERANCE_SEC = 5 * 60;
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+function header(headers, name) {
+  const value = headers?.[name] ?? headers?.[name.toLowerCase()];
+  return Array.isArray(value) ? value[0] : value;
+}
+
+/** Svix scheme: base64 HMAC-SHA256 of `${id}.${timestamp}.${body}` keyed by the decoded whsec_ secret. */
+export function verifySvixSignature({ secret, headers, rawBody, now = Date.now() }) {
+  const id = header(headers, 'svix-id');
+  const timestamp = Number(header(headers, 'svix-timestamp'));
+  const signatures = String(header(headers, 'svix-signature') || '').split(' ');
+  if (!id || !Number.isFinite(timestamp) || !signatures[0]) return false;
+  if (Math.abs(now / 1000 - timestamp) > SVIX_TOLERANCE_SEC) return false;
+  const key = Buffer.from(String(secret).replace(/^whsec_/, ''), 'base64');
+  const expected = crypto.createHmac('sha256', key).update(`${id}.${timestamp}.${rawBody}`).digest('base64');
+  return signatures.some((entry) => {
+    const [version, signature] = entry.split(',');
+    return version === 'v1' && signature && safeEqual(signature, expected);
+  });
+}
+
+/** Returns null when the request is authentic, else { status, error }. */
+export function verifyWebhook(provider, { headers = {}, query = {}, rawBody = '' }) {
+  const secret = provider === 'resend' ? process.env.RESEND_WEBHOOK_SECRET : null;
+  if (secret) {
+    return verifySvixSignature({ secret, headers, rawBody }) ? null : { status: 401, error: 'Invalid webhook signature' };
+  }
+  const token = process.env.NEWSLETTER_WEBHOOK_TOKEN;
+  if (!token) return { status: 503, error: `No webhook secret configured for ${provider}` };
+  const presented = query.token || header(headers, 'x-webhook-token');
+  return presented && safeEqual(presented, token) ? null : { status: 401, error: 'Invalid webhook token' };
+}
+
+const RESEND_TYPES = {
+  'email.delivered': 'delivered',
+  'email.bounced': 'bounce',
+  'email.complained': 'complaint',
+  'email.opened': 'open',
+  'email.clicked': 'click',
+};
+
+function parseResend(body, headers) {
+  const type = RESEND_TYPES[body?.type];
+  if (!type) return [];
+  const data = body.data || {};
+  return (Array.isArray(data.to) ? data.to : [data.to]).filter(Boolean).map((email) => ({
+    event_id: `${header(headers, 'svix-id') || `${body.type}:${data.email_id}`}:${email}`,
+    type,
+    email,
+    message_id: data.email_id || null,
+    hard: type === 'bounce' && (data.bounce?.type || 'Permanent') === 'Permanent',
+    occurred_at: body.created_at || null,
+    detail: data.bounce?.message || data.click?.link || null,
+  }));
+}
+
+const POSTMARK_TYPES = { Delivery: 'delivered', Bounce: 'bounce', SpamComplaint: 'complaint', Open: 'open', Click: 'click' };
+const POSTMARK_HARD = new Set(['HardBounce', 'BadEmailAddress', 'ManuallyDeactivated', 'SpamNotification']);
+
+function parsePostmark(body) {
+  const type = POSTMARK_TYPES[body?.RecordType];
+  const email = body?.Recipient || body?.Email;
+  if (!type || !email) return [];
+  return [{
+    event_id: `${body.RecordType}:${body.MessageID}:${body.ID || body.ReceivedAt || body.DeliveredAt || ''}`,
+    type,
+    email,
+    message_id: body.MessageID || null,
+    hard: type === 'bounce' && POSTMARK_HARD.has(body.Type),
+    occurred_at: body.BouncedAt || body.DeliveredAt || body.ReceivedAt || null,
+    detail: body.Description || body.OriginalLink || null,
+  }];
+}
+
+const BREVO_TYPES = {
+  delivered: 'delivered',
+  hard_bounce: 'bounce',
+  soft_bounce: 'bounce',
+  invalid_email: 'bounce',
+  spam: 'complaint',
+  complaint: 'complaint',
+  opened: 'open',
+  unique_opened: 'open',
+  click: 'click',
+};
+
+function parseBrevo(body) {
+  return (Array.isArray(body) ? body : [body]).flatMap((item) => {
+    const type = BREVO_TYPES[item?.event];
+    if (!type || !item.email) return [];
+    const messageId = item['message-id'] || null;
+    return [{
+      event_id: `${item.event}:${messageId}:${item.id ?? ''}:${item.ts_event ?? ''}`,
+      type,
+      email: item.email,
+      message_id: messageId,
+      hard: item.event === 'hard_bounce' || item.event === 'invalid_email',
+      occurred_at: item.ts_event ? new Date(item.ts_event * 1000).toISOString() : item.date || null,
+      detail: item.reason || item.link || null,
+    }];
+  });
+}
+
+function parseSesMessage(snsMessageId, message) {
+  const kind = message?.eventType || message?.notificationType;
+  const mail = message?.mail || {};
+  const base = { message_id: mail.messageId || null, occurred_at: mail.timestamp || null };
+  const rows = (type, recipients, extra = {}) =>
+    recipients.map((email) => ({ ...base, ...extra, event_id: `${snsMessageId}:${email}`, type, email }));
+  switch (kind) {
+    case 'Delivery':
+      return rows('delivered', message.delivery?.recipients || []);
+    case 'Bounce':
+      return rows('bounce', (message.bounce?.bouncedRecipients || []).map((r) => r.emailAddress), {
+        hard: message.bounce?.bounceType === 'Permanent',
+        detail: message.bounce?.bounceSubType || null,
+      });
+    case 'Complaint':
+      return rows('complaint', (message.complaint?.complainedRecipients || []).map((r) => r.emailAddress), {
+        detail: message.complaint?.complaintFeedbackType || null,
+      });
+    case 'Open':
+      return rows('open', mail.destination || []);
+    case 'Click':
+      return rows('click', mail.destination || [], { detail: message.click?.link || null });
+    default:
+      return [];
+  }
+}
+
+/** Confirm an SNS topic subscription — only ever fetches an AWS SNS https URL. */
+async function confirmSnsSubscription(body) {
+  const url = URL.canParse(body.SubscribeURL) ? new URL(body.SubscribeURL) : null;
+  if (!url || url.protocol !== 'https:' || !/^sns\.[a-z0-9-]+\.amazonaws\.com$/.test(url.hostname)) {
+    return { ok: false, status: 400, error: 'Unexpected SubscribeURL host' };
+  }
+  const resp = await fetch(url);
+  return resp.ok ? { ok: true, confirmed: true } : { ok: false, status: 502, error: `SNS confirm HTTP ${resp.status}` };
+}
+
+export function parseWebhookEvents(provider, body, headers = {}) {
+  switch (provider) {
+    case 'resend':
+      return parseResend(body, headers);
+    case 'postmark':
+      return parsePostmark(body);
+    case 'brevo':
+      return parseBrevo(body);
+    case 'ses': {
+      if (body?.Type !== 'Notification') return [];
+      const message = typeof body.Message === 'string' ? JSON.parse(body.Message) : body.Message;
+      return parseSesMessage(body.MessageId, message);
+    }
+    default:
+      return [];
+  }
+}
+
+async function applyEvent(provider, event) {
+  const email = String(event.email || '').trim().toLowerCase();
+  const [row] = event.message_id
+    ? await storage.find(QUEUE, { where: { provider_message_id: event.message_id }, limit: 1 })
+    : [];
+  const subscriberId = row?.subscriber_id || (await getSubscriberByEmail(email))?.id || null;
+  const url = event.type === 'click' ? event.detail : undefined;
+  // Opens / clicks share the tracking pixel's per-recipient id, so each counts once.
+  const eventId =
+    (['open', 'click'].includes(event.type) && engagementEventId(event.type, { job_id: row?.job_id, subscriber_id: subscriberId, url })) ||
+    `wh_${crypto.createHash('sha1').update(`${provider}:${event.event_id}`).digest('hex')}`;
+
+  const stored = await recordEvent({
+    id: eventId,
+    job_id: row?.job_id || null,
+    subscriber_id: subscriberId,
+    email,
+    event_type: event.type,
+    meta: {
+      provider,
+      message_id: event.message_id,
+      campaign_id: row?.campaign_id || null,
+      occurred_at: event.occurred_at,
+      ...(event.type === 'bounce' ? { hard: Boolean(event.hard) } : {}),
+      ...(event.detail ? { detail: event.detail } : {}),
+      ...(url ? { url } : {}),
+    },
+  });
+  if (stored.duplicate) return { duplicate: true };
+
+  const suppress = (event.type === 'bounce' && event.hard) || event.type === 'complaint';
+  if (!suppress) return { suppressed: false };
+  const suppressed = await suppressSubscriber({
+    email,
+    reason: event.type,
+    detail: event.detail ? `${event.type}: ${event.detail}` : event.type,
+  });
+  return { suppressed: Boolean(suppressed) };
+}
+
+/**
+ * Verify, parse and apply one webhook delivery.
+ * Returns { ok, processed, duplicates, suppressed } or { ok: false, status, error }.
+ */
+export async function handleProviderWebhook(provider, { headers = {}, query = {}, rawBody = '', body } = {}) {
+  if (!WEBHOOK_PROVIDERS.includes(provider)) return { ok: false, status: 404, error: `Unknown provider "${provider}"` };
+  const denied = verifyWebhook(provider, { headers, query, rawBody });
+  if (denied) return { ok: false, ...denied };
+
+  let payload = body;
+  if (payload == null || typeof payload === 'string') {
+    try {
+      payload = JSON.parse(payload || rawBody || 'null');
+    } catch {
+      return { ok: false, status: 400, error: 'Webhook body is not JSON' };
+    }
+  }
+  if (provider === 'ses' && payload?.Type === 'SubscriptionConfirmation') return confirmSnsSubscription(payload);
+
+  const events = parseWebhookEvents(provider, payload, headers);
+  const result = { ok: true, processed: 0, duplicates: 0, suppressed: 0 };
+  for (const event of events) {
+    const applied = await applyEvent(provider, event);
+    if (applied.duplicate) result.duplicates += 1;
+    else result.processed += 1;
+    if (applied.suppressed) result.suppressed += 1;
+  }
+  return result;
+}
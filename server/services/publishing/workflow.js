@@ -2,24 +2,47 @@
  * One-click Research Distribution Engine.
  * Website article (CMS) → Newsletter → LinkedIn → X → Telegram → WhatsApp (ready) → Analytics → Archive
  * Does NOT duplicate article storage — expects CMS publish already done or article payload provided.
+ * The newsletter leg is queued (sendQueue.js) now or at its scheduled time (campaigns.js);
+ * the job completes when the queue drains.
  */
 
 import { generateChannelContent, maybeEnrichChannels } from './channels.js';
-import { sendBulk } from './emailProvider.js';
+import { activeEmailProvider } from './emailProvider.js';
 import { buildNewsletterHtml, buildPlainText } from './templates.js';
-import { markEmailSent, segmentSubscribers } from './subscribers.js';
-import { recordEvent } from './analytics.js';
-import { newId, store, supabaseUpsert } from './store.js';
+import { resolveAudience } from './segments.js';
+import { launchCampaign, normalizeAbTest } from './campaigns.js';
+import { resolveSendTime } from './schedule.js';
+import { CAMPAIGNS, JOBS, mirrorCampaign, mirrorPublishJob, newId, storage } from './store.js';
 
 function siteOrigin() {
   return (process.env.SITE_ORIGIN || process.env.BASE_URL || 'https://agarwalglobalinvestments.com').replace(/\/$/, '');
 }
 
 /**
- * Publish distribution for an already-saved CMS article.
+ * Publish distribution for an already-saved CMS article. Returns as soon as the
+ * newsletter is queued — `job.status` is `sending` until the campaign drains.
+ *
+ * Targeting: `segments` (or the legacy single `segment`) are unioned, `excludeSegments`
+ * removed, and `frequencyCap` ({ max, days } or 'max/days', default
+ * NEWSLETTER_FREQUENCY_CAP) drops readers who were mailed too often — see segments.js.
+ *
+ * `scheduleAt` (IST unless it carries an offset; `marketDays` rolls it to the next
+ * trading day) stores the campaign as `scheduled` — the audience is resolved again
+ * when it fires. `abTest` ({ subjects, sample_pct, window_hours }) sends a sample
+ * split across subjects first; see campaigns.js.
+ * Bad segments, schedules or tests throw (status 400) before anything is stored.
  */
-export async function publishArticleWorkflow(article = {}, { segment = 'all', dryRun } = {}) {
+export async function publishArticleWorkflow(
+  article = {},
+  { segment = 'all', segments, excludeSegments, frequencyCap, dryRun, scheduleAt, marketDays = false, abTest } = {},
+) {
+  const audience = await resolveAudience({ segments: segments?.length ? segments : [segment], exclude: excludeSegments, frequencyCap });
+  const { recipients, targeting } = audience;
+  const schedule = scheduleAt ? resolveSendTime(scheduleAt, { marketDays }) : null;
+  const ab = normalizeAbTest(abTest);
+  const segmentLabel = targeting.segments.map((s) => (typeof s === 'string' ? s : 'custom')).join('+');
   const channels = await maybeEnrichChannels(generateChannelContent(article), article);
+  const createdAt = new Date().toISOString();
   const job = {
     id: newId('job_'),
     article_id: article.id || article.articleId || null,
@@ -40,18 +63,16 @@ export async function publishArticleWorkflow(article = {}, { segment = 'all', dr
     channel_content: channels,
     newsletter_sent: 0,
     newsletter_failed: 0,
-    segment,
+    segment: segmentLabel,
     analytics: { opens: 0, clicks: 0 },
     error: null,
-    created_at: new Date().toISOString(),
+    created_at: createdAt,
     completed_at: null,
   };
 
-  const jobs = store.listJobs();
-  jobs.unshift(job);
-  store.saveJobs(jobs.slice(0, 500));
+  await storage.put(JOBS, job);
 
-  const recipients = segmentSubscribers(segment);
+  const unsubscribeUrl = `${siteOrigin()}/unsubscribe`;
   const html = buildNewsletterHtml({
     headline: article.title,
     coverImage: article.coverUrl || article.cover_url,
@@ -62,132 +83,70 @@ export async function publishArticleWorkflow(article = {}, { segment = 'all', dr
     siteName: 'AGI',
     siteUrl: siteOrigin(),
     logoUrl: process.env.NEWSLETTER_LOGO_URL,
-    unsubscribeUrl: `${siteOrigin()}/unsubscribe`,
+    unsubscribeUrl,
     privacyUrl: `${siteOrigin()}/privacy`,
     preheader: channels.one_minute_summary,
   });
 
-  const messages = recipients.map((s) => ({
-    to: s.email,
-    subject: channels.seo_title || article.title,
-    html: html.split(`${siteOrigin()}/unsubscribe`).join(
-      `${siteOrigin()}/unsubscribe?token=${encodeURIComponent(s.unsubscribe_token || '')}&email=${encodeURIComponent(s.email)}`,
-    ),
-    text: buildPlainText({
-      headline: article.title,
-      oneMinuteSummary: channels.newsletter_summary,
-      articleUrl: channels.article_url,
-    }),
-    tags: [{ name: 'campaign', value: 'research_distribution' }],
-    _subscriber_id: s.id,
-  }));
-
-  const forceDry = dryRun || process.env.NEWSLETTER_DRY_RUN === '1' || !process.env.RESEND_API_KEY;
-  let sent = 0;
-  let failed = 0;
-
-  if (messages.length === 0) {
-    job.channels.newsletter = { status: 'skipped', reason: 'No active subscribers in segment' };
-  } else if (forceDry) {
-    for (const m of messages) {
-      recordEvent({
-        job_id: job.id,
-        subscriber_id: m._subscriber_id,
-        email: m.to,
-        event_type: 'sent',
-        meta: { dryRun: true },
-      });
-      sent += 1;
-    }
-    job.channels.newsletter = { status: 'dry_run', attempted: messages.length, sent };
-  } else {
-    const results = await sendBulk(
-      messages.map(({ _subscriber_id, ...m }) => m),
-      { concurrency: 4 },
-    );
-    results.forEach((r, idx) => {
-      const m = messages[idx];
-      if (r.ok) {
-        sent += 1;
-        recordEvent({
-          job_id: job.id,
-          subscriber_id: m._subscriber_id,
-          email: m.to,
-          event_type: 'sent',
-          meta: { provider: r.provider, id: r.id },
-        });
-      } else {
-        failed += 1;
-        recordEvent({
-          job_id: job.id,
-          subscriber_id: m._subscriber_id,
-          email: m.to,
-          event_type: 'bounce',
-          meta: { error: r.error },
-        });
-      }
-    });
-    job.channels.newsletter = { status: failed ? 'partial' : 'sent', attempted: messages.length, sent, failed };
-  }
-
-  markEmailSent(messages.slice(0, sent).map((m) => m.to));
-  job.newsletter_sent = sent;
-  job.newsletter_failed = failed;
+  const provider = dryRun ? 'stub' : activeEmailProvider();
+  const forceDry = provider === 'stub';
 
+  const subject = ab ? ab.variants[0].subject : channels.seo_title || article.title;
   const campaign = {
     id: newId('cmp_'),
+    job_id: job.id,
     name: article.title,
-    subject: channels.seo_title || article.title,
-    segment,
-    status: forceDry ? 'dry_run' : failed ? 'partial' : 'sent',
+    subject,
+    segment: segmentLabel,
+    targeting: { ...targeting, matched: audience.matched, excluded: audience.excluded, capped: audience.capped },
+    status: schedule ? 'scheduled' : 'queued',
     article_id: job.article_id,
     article_slug: job.article_slug,
     html_preview: html.slice(0, 4000),
-    stats: { sent, failed, recipients: recipients.length },
-    scheduled_at: null,
-    sent_at: new Date().toISOString(),
-    created_at: new Date().toISOString(),
+    content: {
+      subject,
+      html,
+      text: buildPlainText({
+        headline: article.title,
+        oneMinuteSummary: channels.newsletter_summary,
+        articleUrl: channels.article_url,
+      }),
+      tags: [{ name: 'campaign', value: 'research_distribution' }],
+      unsubscribe_url: unsubscribeUrl,
+      untracked_urls: [`${siteOrigin()}/privacy`],
+    },
+    provider,
+    dry_run: forceDry,
+    ab_test: ab,
+    stats: { recipients: recipients.length, sent: 0, failed: 0 },
+    scheduled_at: schedule?.scheduled_at || null,
+    schedule: schedule && { requested_at: schedule.requested_at, rolled: schedule.rolled, market_days: Boolean(marketDays) },
+    sent_at: null,
+    created_at: createdAt,
   };
-  const campaigns = store.listCampaigns();
-  campaigns.unshift(campaign);
-  store.saveCampaigns(campaigns.slice(0, 300));
-
-  job.channels.analytics = { status: 'recorded' };
-  job.channels.archive = { status: 'stored', job_id: job.id, campaign_id: campaign.id };
-  job.status = 'completed';
-  job.completed_at = new Date().toISOString();
-
-  const allJobs = store.listJobs();
-  const idx = allJobs.findIndex((j) => j.id === job.id);
-  if (idx >= 0) allJobs[idx] = job;
-  else allJobs.unshift(job);
-  store.saveJobs(allJobs);
 
-  await supabaseUpsert('publish_jobs', [
-    {
-      id: job.id,
-      article_id: job.article_id,
-      article_slug: job.article_slug,
-      title: job.title,
-      status: job.status,
-      channels: job.channels,
-      channel_content: job.channel_content,
-      newsletter_sent: job.newsletter_sent,
-      newsletter_failed: job.newsletter_failed,
-      segment: job.segment,
-      analytics: job.analytics,
-      completed_at: job.completed_at,
-    },
-  ]);
-  await supabaseUpsert('newsletter_campaigns', [campaign]);
+  let launched;
+  if (schedule) {
+    job.status = 'scheduled';
+    job.channels.newsletter = { status: 'scheduled', campaign_id: campaign.id, provider, scheduled_at: campaign.scheduled_at };
+    await storage.put(CAMPAIGNS, campaign);
+    await storage.put(JOBS, job);
+    await mirrorPublishJob(job);
+    await mirrorCampaign(campaign);
+    launched = { campaign, job };
+  } else {
+    launched = await launchCampaign(campaign, recipients, { job });
+  }
 
+  const { content, ...campaignSummary } = launched.campaign;
+  const savedJob = launched.job;
   return {
     ok: true,
-    job,
-    campaign,
+    job: savedJob,
+    campaign: campaignSummary,
     distribution: {
-      website: job.channels.website,
-      newsletter: job.channels.newsletter,
+      website: savedJob.channels.website,
+      newsletter: savedJob.channels.newsletter,
       linkedin: { status: 'generated', content: channels.linkedin_post },
       twitter: { status: 'generated', thread: channels.twitter_thread },
       telegram: { status: 'generated', content: channels.telegram_summary },
@@ -197,8 +156,8 @@ export async function publishArticleWorkflow(article = {}, { segment = 'all', dr
         description: channels.seo_meta_description,
         social_preview: channels.social_preview,
       },
-      analytics: job.channels.analytics,
-      archive: job.channels.archive,
+      analytics: savedJob.channels.analytics,
+      archive: savedJob.channels.archive,
     },
   };
 }
@@ -221,9 +180,10 @@ export function previewNewsletter(article = {}) {
 }
 
 export function listPublishJobs(limit = 50) {
-  return store.listJobs().slice(0, limit);
+  return storage.find(JOBS, { orderBy: '-created_at', limit });
 }
 
-export function listCampaigns(limit = 50) {
-  return store.listCampaigns().slice(0, limit);
+export async function listCampaigns(limit = 50) {
+  const rows = await storage.find(CAMPAIGNS, { orderBy: '-created_at', limit });
+  return rows.map(({ content, ...campaign }) => campaign);
 }
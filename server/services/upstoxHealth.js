@@ -13,6 +13,7 @@ import {
   resolveUpstoxAccessToken,
   upstoxEnvPresence,
 } from '../providers/upstox.js';
+import { recordProviderHealth } from '../providers/registry.js';
 
 const DEFAULT_ISIN = 'INE002A01018'; // Reliance Industries
 
@@ -172,17 +173,20 @@ export async function getUpstoxCapabilities(opts = {}) {
   };
 }
 
-export async function getUpstoxHealth(opts = {}) {
+async function probeUpstoxHealth(opts = {}) {
   const isin = String(opts.isin || DEFAULT_ISIN).trim().toUpperCase();
   const env = upstoxEnvPresence();
-  const resolved = resolveUpstoxAccessToken();
+  const resolved = await resolveUpstoxAccessToken();
   const configured = isUpstoxConfigured();
 
   const base = {
     provider: 'upstox',
     configured,
     authSource: resolved.source,
-    likelyClientIdOnly: Boolean(resolved.likely_client_id),
+    tokenExpiresAt: resolved.expires_at,
+    ...(resolved.deprecated
+      ? { warning: 'UPSTOX_ACCESS_TOKEN is deprecated — log in from Mission Control → Broker sessions and remove it.' }
+      : {}),
     envPresent: env,
     isin,
     checkedAt: new Date().toISOString(),
@@ -193,9 +197,9 @@ export async function getUpstoxHealth(opts = {}) {
     return {
       ...base,
       ok: false,
-      message: resolved.likely_client_id
-        ? `Env ${resolved.source} looks like client_id — also set UPSTOX_ACCESS_TOKEN (Bearer).`
-        : 'Set UPSTOX_ACCESS_TOKEN on Render (finance-news-backend). Optional aliases: UPSTOX_TOKEN, UPSTOX_API (if value is the access token).',
+      message: resolved.expired
+        ? 'Upstox session expired (tokens lapse at 03:30 IST) — log in again from Mission Control → Broker sessions.'
+        : 'Upstox not connected — log in from Mission Control → Broker sessions (needs UPSTOX_CLIENT_ID, UPSTOX_CLIENT_SECRET, UPSTOX_REDIRECT_URI).',
       corporate_actions: null,
     };
   }
@@ -222,3 +226,16 @@ export async function getUpstoxHealth(opts = {}) {
     };
   }
 }
+
+/**
+ * Runs the probe and feeds it to the registry breaker. Token rejections
+ * (401/403) only affect fundamentals — public candles keep flowing — so they
+ * are not reported as an outage.
+ */
+export async function getUpstoxHealth(opts = {}) {
+  const health = await probeUpstoxHealth(opts);
+  if (health.configured && ![401, 403].includes(health.httpStatus)) {
+    recordProviderHealth('upstox', health);
+  }
+  return health;
+}
@@ -214,7 +214,7 @@ export async function refreshUpstoxValuationRatios({
       hint: rateLimited
         ? 'Upstox HTTP 429 on the whole batch. Slow the bootstrap (pause↑ / concurrency↓). Existing warehouse.valuation_ratios rows are intact.'
         : authFailed
-          ? 'Upstox rejected the access token. Refresh UPSTOX_ACCESS_TOKEN.'
+          ? 'Upstox rejected the access token. Log in with Upstox again from Mission Control → Broker sessions.'
           : 'No key-ratios fetched for this batch. Inspect errors[]; warehouse data already ingested is intact.',
     };
   }
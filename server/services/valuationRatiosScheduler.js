@@ -1,126 +1,76 @@
 /**
- * Daily EOD Upstox valuation ratios refresh — 18:15 IST weekdays
+ * Daily EOD Upstox valuation ratios refresh — 18:15 IST trading days
  * (after FII/DII at 18:05, before warehouse refresh ~18:45).
+ * Scheduled as job `valuation-ratios` (services/jobs); retried every minute
+ * until 18:59 while the ingest fails or the universe bootstrap is running.
  */
 
 import { refreshUpstoxValuationRatios } from './upstoxValuationRatiosRefresh.js';
-
-let scheduler = null;
-let lastRun = null;
-let lastSuccessDate = null;
+import { istParts } from './jobs/cron.js';
+import { getJobStatus } from './jobs/scheduler.js';
 
 function enabled() {
   return String(process.env.VALUATION_RATIOS_SCHEDULER || 'true').toLowerCase() !== 'false';
 }
 
-function istParts(d = new Date()) {
-  const parts = new Intl.DateTimeFormat('en-CA', {
-    timeZone: 'Asia/Kolkata',
-    year: 'numeric',
-    month: '2-digit',
-    day: '2-digit',
-    hour: '2-digit',
-    minute: '2-digit',
-    hour12: false,
-    weekday: 'short',
-  }).formatToParts(d);
-  const get = (type) => parts.find((p) => p.type === type)?.value;
-  return {
-    date: `${get('year')}-${get('month')}-${get('day')}`,
-    hour: Number(get('hour')),
-    minute: Number(get('minute')),
-    weekday: get('weekday'),
-  };
-}
-
-function inEodWindow(parts) {
-  if (['Sat', 'Sun'].includes(String(parts.weekday || ''))) return false;
-  // 18:15–18:59 IST
-  if (parts.hour !== 18) return false;
-  return parts.minute >= 15;
-}
-
 export function getValuationRatiosSchedulerStatus() {
+  const status = getJobStatus('valuation-ratios');
   return {
-    enabled: Boolean(scheduler),
-    lastRun,
-    lastSuccessDate,
-    target: '18:15 IST weekdays',
-    intervalMs: Number(process.env.VALUATION_RATIOS_INTERVAL_MS || 60 * 1000),
+    ...status,
+    lastSuccessDate: status?.last_success_at ? istParts(status.last_success_at).date : null,
+    target: '18:15 IST trading days',
   };
 }
 
 export async function triggerValuationRatiosRefresh({ force = false } = {}) {
-  const parts = istParts();
-  if (!force && lastSuccessDate === parts.date) {
-    return { ok: true, skipped: true, reason: 'already_ran_today', date: parts.date };
+  const { date } = istParts();
+  // Never compete with the one-shot full-universe bootstrap (Phase 7.4d).
+  const { isUpstoxBootstrapRunning } = await import('./upstoxBootstrapEngine.js');
+  if (!force && isUpstoxBootstrapRunning()) {
+    return { ok: true, deferred: true, reason: 'bootstrap_running', date };
   }
-  if (!force && !inEodWindow(parts)) {
-    return { ok: true, skipped: true, reason: 'outside_eod_window', now: parts };
-  }
-
-  try {
-    // Never compete with the one-shot full-universe bootstrap (Phase 7.4d).
-    const { isUpstoxBootstrapRunning } = await import('./upstoxBootstrapEngine.js');
-    if (!force && isUpstoxBootstrapRunning()) {
-      return { ok: true, skipped: true, reason: 'bootstrap_running', date: parts.date };
-    }
 
-    // Nightly = incremental maintenance only (small batch), not universe bootstrap.
-    const incrementalLimit = Number(process.env.UPSTOX_VALUATION_INCREMENTAL_BATCH || 80);
-    const result = await refreshUpstoxValuationRatios({
-      limit: incrementalLimit,
-      concurrency: Number(process.env.UPSTOX_VALUATION_CONCURRENCY || 3),
-    });
-    lastRun = {
-      at: new Date().toISOString(),
-      ok: Boolean(result.ok),
-      status: result.status,
-      date: parts.date,
-      fetched: result.fetched ?? 0,
-      failed: result.failed ?? 0,
-      selection: result.selection
-        ? {
-            universeSize: result.selection.universeSize,
-            offset: result.selection.offset,
-            batchSize: result.selection.batchSize,
-          }
-        : null,
-      error: result.error || null,
-    };
-    if (result.ok) lastSuccessDate = parts.date;
-    if (result.ok) {
-      console.info('[valuation-ratios] EOD ingest ok', parts.date, `fetched=${result.fetched}`);
-    } else {
-      console.warn('[valuation-ratios] EOD ingest failed', result.error || result.status);
-    }
-    return { ...result, date: parts.date, forced: force };
-  } catch (error) {
-    lastRun = {
-      at: new Date().toISOString(),
-      ok: false,
-      date: parts.date,
-      error: error.message,
-    };
-    console.warn('[valuation-ratios] EOD ingest error:', error.message);
-    return { ok: false, error: error.message, date: parts.date };
+  // Nightly = incremental maintenance only (small batch), not universe bootstrap.
+  const incrementalLimit = Number(process.env.UPSTOX_VALUATION_INCREMENTAL_BATCH || 80);
+  const result = await refreshUpstoxValuationRatios({
+    limit: incrementalLimit,
+    concurrency: Number(process.env.UPSTOX_VALUATION_CONCURRENCY || 3),
+  });
+  if (result.ok) {
+    console.info('[valuation-ratios] EOD ingest ok', date, `fetched=${result.fetched}`);
+  } else {
+    console.warn('[valuation-ratios] EOD ingest failed', result.error || result.status);
   }
+  return {
+    ok: Boolean(result.ok),
+    status: result.status,
+    date,
+    fetched: result.fetched ?? 0,
+    failed: result.failed ?? 0,
+    selection: result.selection
+      ? {
+          universeSize: result.selection.universeSize,
+          offset: result.selection.offset,
+          batchSize: result.selection.batchSize,
+        }
+      : null,
+    error: result.error || null,
+    forced: force,
+  };
 }
 
-export function startValuationRatiosScheduler() {
-  if (scheduler) return;
-  if (!enabled()) {
-    console.info('[valuation-ratios] scheduler disabled (VALUATION_RATIOS_SCHEDULER=false)');
-    return;
-  }
-  const intervalMs = Number(process.env.VALUATION_RATIOS_INTERVAL_MS || 60 * 1000);
-  const tick = () => {
-    triggerValuationRatiosRefresh().catch((error) => {
-      console.warn('[valuation-ratios] tick failed:', error.message);
-    });
+export function valuationRatiosJob() {
+  return {
+    id: 'valuation-ratios',
+    label: 'Valuation ratios',
+    description: 'EOD incremental Upstox key-ratios batch.',
+    group: 'market-data',
+    cron: '15 18 * * *',
+    tradingDays: true,
+    catchUpMs: 45 * 60_000,
+    retryMs: 60_000,
+    enabled,
+    initialDelayMs: 45_000,
+    run: ({ force }) => triggerValuationRatiosRefresh({ force }),
   };
-  setTimeout(tick, 45_000);
-  scheduler = setInterval(tick, intervalMs);
-  scheduler.unref?.();
-  console.info('[valuation-ratios] scheduler active — target 18:15 IST weekdays');
 }
@@ -0,0 +1,124 @@
+/**
+ * Document collections served by the storage adapter.
+ *
+ * Every row is a JSON document with a string `id`. `indexes` lists the
+ * top-level fields queries filter or sort on — SQLite builds an expression
+ * index per field, and supabase/migrations/*_storage_documents.sql mirrors
+ * them as partial indexes on app_documents. `unique` fields are enforced by
+ * both backends.
+ */
+
+export const COLLECTIONS = Object.freeze({
+  newsletter_subscribers: { indexes: ['status', 'source', 'created_at'], unique: ['email', 'unsubscribe_token'] },
+  newsletter_imports: { indexes: ['created_at'] },
+  newsletter_jobs: { indexes: ['status', 'article_id', 'created_at'] },
+  newsletter_events: { indexes: ['event_type', 'job_id', 'subscriber_id', 'created_at'] },
+  newsletter_campaigns: { indexes: ['status', 'created_at', 'scheduled_at'] },
+  newsletter_queue: { indexes: ['status', 'campaign_id', 'next_attempt_at', 'provider_message_id'] },
+  newsletter_segments: { indexes: ['created_at'], unique: ['name'] },
+
+  cms_records: { indexes: ['module', 'status', 'updated_at', 'published_at'] },
+  cms_record_versions: { indexes: ['record_id', 'version'] },
+  cms_review_events: { indexes: ['record_id', 'kind', 'created_at'] },
+  cms_modules: { indexes: ['label', 'enabled'], unique: ['slug'] },
+
+  platform_entities: { indexes: ['entity_type', 'status', 'name', 'merged_into'], unique: ['slug'] },
+  platform_relationships: { indexes: ['from_entity_id', 'to_entity_id', 'relation_type'] },
+  platform_timeline: { indexes: ['entity_id', 'occurred_at'] },
+  platform_duplicate_reviews: { indexes: ['decision', 'decided_at'] },
+
+  /** Background job state (pause, lease, last slot) and run history — services/jobs/scheduler.js. */
+  scheduled_jobs: { indexes: [] },
+  job_runs: { indexes: ['job', 'status', 'started_at'] },
+
+  /** Economic release schedule with consensus / actual / surprise — services/economicCalendar.js. */
+  economic_events: { indexes: ['key', 'country', 'status', 'scheduled_at'] },
+
+  /** Constituent DMA / 52-week statistics and per-session breadth — services/marketBreadth.js. */
+  breadth_constituents: { indexes: ['universe', 'sector'] },
+  breadth_snapshots: { indexes: ['date'] },
+
+  /** Sealed broker access tokens, one row per broker (id = broker) — services/brokerAuth.js. */
+  broker_tokens: { indexes: [] },
+  /** Pending Upstox login states (CSRF, single-use, ten-minute TTL) — services/brokerAuth.js. */
+  broker_login_states: { indexes: ['expires_at'] },
+
+  /** OHLCV chunks per series and day/month, tracked series, split/bonus factors — services/candleStore.js. */
+  candle_chunks: { indexes: ['series', 'interval', 'period'] },
+  candle_series: { indexes: ['interval'] },
+  candle_adjustments: { indexes: ['instrument'] },
+
+  /** Latest index option-chain analytics per underlying and session — services/optionsChain.js. */
+  option_chain_snapshots: { indexes: ['underlying', 'date'] },
+
+  /** Small key → document settings (bootstrap flags, import markers). */
+  storage_meta: { indexes: [] },
+});
+
+export function collectionSpec(name) {
+  const spec = COLLECTIONS[name];
+  if (!spec) throw new Error(`Unknown storage collection "${name}"`);
+  return spec;
+}
+
+const FIELD_RE = /^[A-Za-z_][A-Za-z0-9_]*(\.[A-Za-z_][A-Za-z0-9_]*)*$/;
+
+/** Field paths are interpolated into SQL / PostgREST filters — keep them to identifiers. */
+export function assertField(field) {
+  if (!FIELD_RE.test(String(field))) throw new Error(`Invalid storage field "${field}"`);
+  return field;
+}
+
+/**
+ * Normalise `orderBy`: 'created_at', '-created_at' or an array of those.
+ * Returns [{ field, desc }].
+ */
+export function parseOrderBy(orderBy) {
+  if (!orderBy) return [];
+  return (Array.isArray(orderBy) ? orderBy : [orderBy]).map((key) => {
+    const desc = String(key).startsWith('-');
+    return { field: assertField(desc ? String(key).slice(1) : key), desc };
+  });
+}
+
+export const WHERE_OPERATORS = Object.freeze(['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in']);
+
+/**
+ * Normalise a `where` object into [{ field, op, value }].
+ *   { status: 'active' }           equality (null matches missing/null)
+ *   { status: ['a', 'b'] }         IN
+ *   { created_at: { gte: iso } }   range / ne
+ */
+export function parseWhere(where = {}) {
+  const clauses = [];
+  for (const [field, cond] of Object.entries(where || {})) {
+    if (cond === undefined) continue;
+    assertField(field);
+    if (Array.isArray(cond)) {
+      clauses.push({ field, op: 'in', value: cond });
+    } else if (cond && typeof cond === 'object') {
+      for (const [op, value] of Object.entries(cond)) {
+        if (!WHERE_OPERATORS.includes(op)) throw new Error(`Unsupported storage operator "${op}"`);
+        if (value !== undefined) clauses.push({ field, op, value });
+      }
+    } else {
+      clauses.push({ field, op: 'eq', value: cond });
+    }
+  }
+  return clauses;
+}
+
+/** Unique-index violation, surfaced the same way by both backends. */
+export function storageConflict(collection, detail) {
+  const err = new Error(`Duplicate value in ${collection}${detail ? `: ${detail}` : ''}`);
+  err.code = 'STORAGE_CONFLICT';
+  err.collection = collection;
+  return err;
+}
+
+export function requireId(collection, doc) {
+  if (!doc || typeof doc !== 'object' || doc.id == null || doc.id === '') {
+    throw new Error(`Documents in ${collection} need an id`);
+  }
+  return String(doc.id);
+}
@@ -0,0 +1,111 @@
+/**
+ * One-shot import of the legacy JSON stores (server/data/*) into the storage
+ * adapter. Runs in a single transaction and records a storage_meta marker, so
+ * a second run is a no-op unless forced.
+ *
+ * A collection that already has rows (e.g. the CMS seeded itself before the
+ * import ran) is skipped unless `force` — rows are upserted by id, so forcing
+ * never duplicates imported rows, but it would sit next to seeded ones.
+ */
+
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { COLLECTIONS } from './collections.js';
+import { storage } from './index.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const LEGACY_DATA_DIR = path.join(__dirname, '../data');
+
+const MARKER = 'storage.json_import';
+
+/** legacy file → collection; `key` picks the array out of wrapped files. */
+export const JSON_SOURCES = Object.freeze([
+  { file: 'newsletter/subscribers.json', collection: 'newsletter_subscribers' },
+  { file: 'newsletter/imports.json', collection: 'newsletter_imports' },
+  { file: 'newsletter/publish_jobs.json', collection: 'newsletter_jobs' },
+  { file: 'newsletter/events.json', collection: 'newsletter_events' },
+  { file: 'newsletter/campaigns.json', collection: 'newsletter_campaigns' },
+  { file: 'intelligence_cms/records.json', collection: 'cms_records', key: 'records' },
+  { file: 'intelligence_cms/versions.json', collection: 'cms_record_versions', key: 'versions' },
+  { file: 'intelligence_platform/entities.json', collection: 'platform_entities', key: 'entities' },
+  { file: 'intelligence_platform/relationships.json', collection: 'platform_relationships', key: 'relationships' },
+  { file: 'intelligence_platform/timeline.json', collection: 'platform_timeline', key: 'events' },
+]);
+
+/** Meta rows the stores check so they do not re-seed / re-bootstrap over imported data. */
+const IMPORT_META = {
+  cms_records: () => ({ id: 'intelligence_cms.seed', seeded_at: new Date().toISOString(), source: 'json_import' }),
+  platform_entities: (raw) =>
+    (raw?.bootstrapped ? { id: 'intelligence_platform.bootstrap', bootstrapped_at: raw.updated_at || new Date().toISOString(), source: 'json_import' } : null),
+};
+
+function readSource(dataDir, { file, key }) {
+  const full = path.join(dataDir, file);
+  if (!fs.existsSync(full)) return null;
+  const raw = JSON.parse(fs.readFileSync(full, 'utf8'));
+  const rows = key ? raw?.[key] : raw;
+  return { raw, rows: Array.isArray(rows) ? rows : [] };
+}
+
+/** Give every row an id and keep the first row per unique field value. */
+function prepareRows(collection, rows) {
+  const unique = COLLECTIONS[collection].unique || [];
+  const seen = unique.map(() => new Set());
+  const out = [];
+  let dropped = 0;
+  for (const row of rows) {
+    if (!row || typeof row !== 'object') {
+      dropped += 1;
+      continue;
+    }
+    // Id-less legacy rows get a content hash so a forced re-run upserts rather than duplicates.
+    const id = row.id != null && row.id !== ''
+      ? String(row.id)
+      : crypto.createHash('sha1').update(`${collection}:${JSON.stringify(row)}`).digest('hex');
+    const doc = { ...row, id };
+    const clash = unique.some((field, i) => doc[field] != null && seen[i].has(doc[field]));
+    if (clash) {
+      dropped += 1;
+      continue;
+    }
+    unique.forEach((field, i) => doc[field] != null && seen[i].add(doc[field]));
+    out.push(doc);
+  }
+  return { docs: out, dropped };
+}
+
+export async function importLegacyJson({ dataDir = LEGACY_DATA_DIR, force = false, dryRun = false } = {}) {
+  const previous = await storage.get('storage_meta', MARKER);
+  if (previous && !force) return { skipped: true, reason: 'already_imported', previous };
+
+  const report = {};
+  const run = async () => {
+    for (const source of JSON_SOURCES) {
+      const loaded = readSource(dataDir, source);
+      if (!loaded) {
+        report[source.collection] = { file: source.file, status: 'missing' };
+        continue;
+      }
+      const existing = await storage.count(source.collection);
+      const { docs, dropped } = prepareRows(source.collection, loaded.rows);
+      if (existing && !force) {
+        report[source.collection] = { file: source.file, status: 'skipped_not_empty', existing, rows: docs.length };
+        continue;
+      }
+      if (!dryRun) {
+        await storage.putMany(source.collection, docs);
+        const meta = IMPORT_META[source.collection]?.(loaded.raw);
+        if (meta) await storage.put('storage_meta', meta);
+      }
+      report[source.collection] = { file: source.file, status: dryRun ? 'dry_run' : 'imported', rows: docs.length, dropped };
+    }
+    if (!dryRun) {
+      await storage.put('storage_meta', { id: MARKER, imported_at: new Date().toISOString(), data_dir: dataDir, report });
+    }
+  };
+
+  await storage.transaction(run);
+  return { skipped: false, dryRun, collections: report };
+}
@@ -0,0 +1,122 @@
+/**
+ * Storage adapter — transactional document storage for the CMS, Intelligence
+ * Platform and newsletter stores (replaces their whole-file JSON rewrites).
+ *
+ *   STORAGE_BACKEND=sqlite    (default) file at STORAGE_SQLITE_FILE, else
+ *                             <KIP_DATA_DIR|cwd/data>/storage.sqlite
+ *   STORAGE_BACKEND=supabase  public.app_documents via the service-role client
+ *
+ * Every method is async and takes a collection name from ./collections.js:
+ *   get(c, id) · find(c, { where, orderBy, limit, offset }) · count(c, { where })
+ *   put(c, doc) · putMany(c, docs) · update(c, id, mutate) · remove(c, id) · clear(c)
+ *   transaction(async (tx) => …)
+ * plus findIn(c, field, values) for chunked IN lookups.
+ *
+ * Calls made anywhere inside a transaction body — including from helpers that
+ * import `storage` directly — join that transaction, so services compose
+ * without threading a handle through.
+ */
+
+import path from 'node:path';
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { createSqliteStorage } from './sqlite.js';
+import { createSupabaseStorage } from './supabase.js';
+
+export { COLLECTIONS } from './collections.js';
+
+const ambient = new AsyncLocalStorage();
+let opening = null;
+
+export function storageBackendName() {
+  return (process.env.STORAGE_BACKEND || 'sqlite').trim().toLowerCase();
+}
+
+export function sqliteStorageFile() {
+  if (process.env.STORAGE_SQLITE_FILE) return process.env.STORAGE_SQLITE_FILE;
+  const root = process.env.KIP_DATA_DIR || path.join(process.cwd(), 'data');
+  return path.join(root, 'storage.sqlite');
+}
+
+async function openBackend() {
+  if (storageBackendName() === 'supabase') {
+    const { createSupabaseAdmin } = await import('../lib/supabaseAdmin.js');
+    const client = createSupabaseAdmin();
+    if (client) return createSupabaseStorage({ client });
+    console.warn('[storage] STORAGE_BACKEND=supabase but Supabase credentials are missing — using SQLite');
+  }
+  return createSqliteStorage({ file: sqliteStorageFile() });
+}
+
+function backend() {
+  if (!opening) {
+    opening = openBackend().catch((err) => {
+      opening = null;
+      throw err;
+    });
+  }
+  return opening;
+}
+
+function activeTx() {
+  const scope = ambient.getStore();
+  return scope?.open ? scope.tx : null;
+}
+
+function route(method) {
+  return async (...args) => {
+    const tx = activeTx();
+    if (tx) return tx[method](...args);
+    return (await backend())[method](...args);
+  };
+}
+
+export const storage = {
+  get: route('get'),
+  find: route('find'),
+  count: route('count'),
+  put: route('put'),
+  putMany: route('putMany'),
+  update: route('update'),
+  remove: route('remove'),
+  clear: route('clear'),
+  async transaction(body) {
+    const current = activeTx();
+    if (current) return body(current);
+    return (await backend()).transaction(async (tx) => {
+      const scope = { tx, open: true };
+      try {
+        return await ambient.run(scope, () => body(tx));
+      } finally {
+        scope.open = false;
+      }
+    });
+  },
+};
+
+const IN_CHUNK = 200;
+
+/**
+ * find() with `field IN values`, chunked so large lists stay within SQLite's
+ * bound-parameter limit and PostgREST's URL length.
+ */
+export async function findIn(collection, field, values, { where, orderBy } = {}) {
+  const unique = [...new Set(values)].filter((v) => v != null);
+  const rows = [];
+  for (let i = 0; i < unique.length; i += IN_CHUNK) {
+    rows.push(...(await storage.find(collection, { where: { ...where, [field]: unique.slice(i, i + IN_CHUNK) }, orderBy })));
+  }
+  return rows;
+}
+
+export async function storageInfo() {
+  const b = await backend();
+  return { backend: b.backend, file: b.file || null };
+}
+
+/** Close the backend; the next call reopens it from the current env (tests, scripts). */
+export async function closeStorage() {
+  if (!opening) return;
+  const pending = opening;
+  opening = null;
+  await (await pending.catch(() => null))?.close();
+}
@@ -0,0 +1,201 @@
+/**
+ * SQLite storage backend (better-sqlite3) — the default for local and
+ * single-instance deployments.
+ *
+ * One table per collection: (id TEXT PRIMARY KEY, doc TEXT JSON, updated_at).
+ * Declared index fields become expression indexes on json_extract(doc, '$.f'),
+ * so `where` / `orderBy` on them never scan the table.
+ *
+ * better-sqlite3 is synchronous, so single statements are atomic by
+ * construction. Async work (update mutators, transaction bodies) runs behind
+ * an in-process queue inside BEGIN IMMEDIATE, which also holds off other
+ * processes sharing the file (WAL + busy_timeout).
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import Database from 'better-sqlite3';
+import { COLLECTIONS, collectionSpec, parseOrderBy, parseWhere, requireId, storageConflict } from './collections.js';
+
+function quote(name) {
+  return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+function expr(field) {
+  return field === 'id' ? 'id' : `json_extract(doc, '$.${field}')`;
+}
+
+/** json_extract yields 1/0 for JSON booleans; bind the same. */
+function bindValue(value) {
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (value instanceof Date) return value.toISOString();
+  return value;
+}
+
+const COMPARATORS = { eq: '=', ne: '!=', gt: '>', gte: '>=', lt: '<', lte: '<=' };
+
+function whereSql(where) {
+  const parts = [];
+  const params = [];
+  for (const { field, op, value } of parseWhere(where)) {
+    const column = expr(field);
+    if (op === 'in') {
+      if (!value.length) {
+        parts.push('0');
+        continue;
+      }
+      parts.push(`${column} IN (${value.map(() => '?').join(', ')})`);
+      params.push(...value.map(bindValue));
+    } else if (value === null && (op === 'eq' || op === 'ne')) {
+      parts.push(`${column} IS ${op === 'ne' ? 'NOT ' : ''}NULL`);
+    } else {
+      parts.push(`${column} ${COMPARATORS[op]} ?`);
+      params.push(bindValue(value));
+    }
+  }
+  return { sql: parts.length ? ` WHERE ${parts.join(' AND ')}` : '', params };
+}
+
+function orderSql(orderBy) {
+  const keys = parseOrderBy(orderBy);
+  return keys.length ? ` ORDER BY ${keys.map(({ field, desc }) => `${expr(field)} ${desc ? 'DESC' : 'ASC'}`).join(', ')}` : '';
+}
+
+function ensureSchema(db) {
+  for (const [name, spec] of Object.entries(COLLECTIONS)) {
+    const table = quote(name);
+    db.exec(`CREATE TABLE IF NOT EXISTS ${table} (id TEXT PRIMARY KEY, doc TEXT NOT NULL, updated_at TEXT NOT NULL)`);
+    for (const field of spec.indexes || []) {
+      db.exec(`CREATE INDEX IF NOT EXISTS ${quote(`${name}__${field}`)} ON ${table} (${expr(field)})`);
+    }
+    for (const field of spec.unique || []) {
+      db.exec(`CREATE UNIQUE INDEX IF NOT EXISTS ${quote(`${name}__${field}__unique`)} ON ${table} (${expr(field)})`);
+    }
+  }
+}
+
+export function createSqliteStorage({ file }) {
+  if (file !== ':memory:') fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.pragma('synchronous = NORMAL');
+  db.pragma('busy_timeout = 5000');
+  ensureSchema(db);
+
+  const statements = new Map();
+  function prepare(sql) {
+    let stmt = statements.get(sql);
+    if (!stmt) {
+      stmt = db.prepare(sql);
+      statements.set(sql, stmt);
+    }
+    return stmt;
+  }
+
+  function write(collection, fn) {
+    try {
+      return fn();
+    } catch (err) {
+      if (String(err?.code || '').startsWith('SQLITE_CONSTRAINT')) throw storageConflict(collection, err.message);
+      throw err;
+    }
+  }
+
+  /** Synchronous primitives — only ever called with the queue held. */
+  const raw = {
+    get(collection, id) {
+      collectionSpec(collection);
+      const row = prepare(`SELECT doc FROM ${quote(collection)} WHERE id = ?`).get(String(id));
+      return row ? JSON.parse(row.doc) : null;
+    },
+    find(collection, { where, orderBy, limit, offset } = {}) {
+      collectionSpec(collection);
+      const w = whereSql(where);
+      let sql = `SELECT doc FROM ${quote(collection)}${w.sql}${orderSql(orderBy)}`;
+      const params = [...w.params];
+      if (limit != null || offset) {
+        sql += ' LIMIT ? OFFSET ?';
+        params.push(limit != null ? Number(limit) : -1, Number(offset) || 0);
+      }
+      return prepare(sql).all(...params).map((row) => JSON.parse(row.doc));
+    },
+    count(collection, { where } = {}) {
+      collectionSpec(collection);
+      const w = whereSql(where);
+      return prepare(`SELECT COUNT(*) AS n FROM ${quote(collection)}${w.sql}`).get(...w.params).n;
+    },
+    put(collection, doc) {
+      collectionSpec(collection);
+      const id = requireId(collection, doc);
+      write(collection, () => prepare(
+        `INSERT INTO ${quote(collection)} (id, doc, updated_at) VALUES (?, ?, ?)
+         ON CONFLICT(id) DO UPDATE SET doc = excluded.doc, updated_at = excluded.updated_at`
+      ).run(id, JSON.stringify(doc), new Date().toISOString()));
+      return doc;
+    },
+    remove(collection, id) {
+      collectionSpec(collection);
+      return prepare(`DELETE FROM ${quote(collection)} WHERE id = ?`).run(String(id)).changes > 0;
+    },
+    clear(collection) {
+      collectionSpec(collection);
+      return prepare(`DELETE FROM ${quote(collection)}`).run().changes;
+    },
+  };
+
+  let tail = Promise.resolve();
+  function exclusive(task) {
+    const result = tail.then(task);
+    tail = result.catch(() => {});
+    return result;
+  }
+
+  async function inTransaction(body) {
+    db.exec('BEGIN IMMEDIATE');
+    try {
+      const out = await body();
+      db.exec('COMMIT');
+      return out;
+    } catch (err) {
+      if (db.inTransaction) db.exec('ROLLBACK');
+      throw err;
+    }
+  }
+
+  /** Async handle over the primitives; `tx` is the same surface without the queue. */
+  function handle(run) {
+    return {
+      get: (collection, id) => run(() => raw.get(collection, id)),
+      find: (collection, query) => run(() => raw.find(collection, query)),
+      count: (collection, query) => run(() => raw.count(collection, query)),
+      put: (collection, doc) => run(() => raw.put(collection, doc)),
+      putMany: (collection, docs) => run(() => db.transaction(() => docs.map((doc) => raw.put(collection, doc)))()),
+      remove: (collection, id) => run(() => raw.remove(collection, id)),
+      clear: (collection) => run(() => raw.clear(collection)),
+    };
+  }
+
+  const tx = handle(async (fn) => fn());
+  tx.transaction = (body) => body(tx);
+  tx.update = async (collection, id, mutate) => {
+    const prev = raw.get(collection, id);
+    if (!prev) return null;
+    const next = typeof mutate === 'function' ? await mutate(prev) : { ...prev, ...mutate };
+    if (next == null) return prev;
+    return raw.put(collection, { ...next, id: prev.id });
+  };
+
+  return {
+    backend: 'sqlite',
+    file,
+    ...handle(exclusive),
+    /**
+     * Read-modify-write of one document. `mutate` gets the current document
+     * and returns the next one (or a plain patch object is merged). Returns
+     * null when the id does not exist.
+     */
+    update: (collection, id, mutate) => exclusive(() => inTransaction(() => tx.update(collection, id, mutate))),
+    transaction: (body) => exclusive(() => inTransaction(() => body(tx))),
+    close: () => exclusive(() => db.close()),
+  };
+}
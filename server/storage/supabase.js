@@ -0,0 +1,220 @@
+/**
+ * Supabase / Postgres storage backend — for multi-instance deployments.
+ *
+ * All collections share public.app_documents (collection, id, doc jsonb, rev)
+ * from supabase/migrations/20261019120000_storage_documents.sql; declared index
+ * fields have matching partial expression indexes there.
+ *
+ * Atomicity:
+ *   - put / remove are single statements.
+ *   - update() is compare-and-swap on `rev` (bumped by trigger), retried on
+ *     a lost race.
+ *   - transaction() buffers writes and commits them in one call to
+ *     app_documents_apply(); an update inside a transaction carries its rev,
+ *     so a concurrent writer aborts the batch and the body is re-run. Reads
+ *     inside a transaction see committed rows plus this transaction's own
+ *     buffered writes for get(); find()/count() see committed rows only.
+ */
+
+import { collectionSpec, parseOrderBy, parseWhere, requireId, storageConflict } from './collections.js';
+
+const TABLE = 'app_documents';
+const PAGE = 1000;
+const MAX_RETRIES = 5;
+/** serialization_failure — raised by app_documents_apply on a rev mismatch. */
+const CONFLICT_CODE = '40001';
+
+/** Text path (doc->a->>b) for string filters, jsonb path (doc->a->b) for numbers and ordering. */
+function docPath(field, { json = false } = {}) {
+  if (field === 'id') return 'id';
+  const parts = field.split('.');
+  const last = parts.pop();
+  return `doc${parts.map((p) => `->${p}`).join('')}${json ? '->' : '->>'}${last}`;
+}
+
+function applyWhere(query, where) {
+  let q = query;
+  for (const { field, op, value } of parseWhere(where)) {
+    const json = typeof value === 'number';
+    const col = docPath(field, { json });
+    if (op === 'in') q = q.in(docPath(field), value.map(String));
+    else if (value === null) q = op === 'ne' ? q.not(col, 'is', null) : q.is(col, null);
+    else if (op === 'eq') q = q.eq(col, String(value));
+    else if (op === 'ne') q = q.neq(col, String(value));
+    else q = q[op](col, value instanceof Date ? value.toISOString() : String(value));
+  }
+  return q;
+}
+
+function fail(collection, error) {
+  if (error?.code === '23505') throw storageConflict(collection, error.details || error.message);
+  const err = new Error(`[storage] ${collection}: ${error?.message || error}`);
+  err.code = error?.code;
+  throw err;
+}
+
+export function createSupabaseStorage({ client }) {
+  const from = () => client.from(TABLE);
+
+  async function getRow(collection, id) {
+    collectionSpec(collection);
+    const { data, error } = await from().select('doc, rev').eq('collection', collection).eq('id', String(id)).maybeSingle();
+    if (error) fail(collection, error);
+    return data;
+  }
+
+  async function find(collection, { where, orderBy, limit, offset = 0 } = {}) {
+    collectionSpec(collection);
+    const order = parseOrderBy(orderBy);
+    const rows = [];
+    let start = Number(offset) || 0;
+    const end = limit != null ? start + Number(limit) : Infinity;
+    while (start < end) {
+      let q = applyWhere(from().select('doc').eq('collection', collection), where);
+      for (const { field, desc } of order) q = q.order(docPath(field, { json: true }), { ascending: !desc });
+      if (!order.length) q = q.order('id');
+      const stop = Math.min(end, start + PAGE) - 1;
+      const { data, error } = await q.range(start, stop);
+      if (error) fail(collection, error);
+      rows.push(...data.map((row) => row.doc));
+      if (data.length < stop - start + 1) break;
+      start = stop + 1;
+    }
+    return rows;
+  }
+
+  async function count(collection, { where } = {}) {
+    collectionSpec(collection);
+    const { count: n, error } = await applyWhere(
+      from().select('id', { count: 'exact', head: true }).eq('collection', collection),
+      where
+    );
+    if (error) fail(collection, error);
+    return n || 0;
+  }
+
+  async function putMany(collection, docs) {
+    collectionSpec(collection);
+    if (!docs.length) return [];
+    const rows = docs.map((doc) => ({ collection, id: requireId(collection, doc), doc, updated_at: new Date().toISOString() }));
+    for (let i = 0; i < rows.length; i += PAGE) {
+      const { error } = await from().upsert(rows.slice(i, i + PAGE), { onConflict: 'collection,id' });
+      if (error) fail(collection, error);
+    }
+    return docs;
+  }
+
+  async function remove(collection, id) {
+    collectionSpec(collection);
+    const { data, error } = await from().delete().eq('collection', collection).eq('id', String(id)).select('id');
+    if (error) fail(collection, error);
+    return data.length > 0;
+  }
+
+  async function clear(collection) {
+    collectionSpec(collection);
+    const { data, error } = await from().delete().eq('collection', collection).select('id');
+    if (error) fail(collection, error);
+    return data.length;
+  }
+
+  async function update(collection, id, mutate) {
+    for (let attempt = 0; attempt < MAX_RETRIES; attempt += 1) {
+      const row = await getRow(collection, id);
+      if (!row) return null;
+      const next = typeof mutate === 'function' ? await mutate(row.doc) : { ...row.doc, ...mutate };
+      if (next == null) return row.doc;
+      const doc = { ...next, id: row.doc.id };
+      const { data, error } = await from()
+        .update({ doc, updated_at: new Date().toISOString() })
+        .eq('collection', collection)
+        .eq('id', String(id))
+        .eq('rev', row.rev)
+        .select('id');
+      if (error) fail(collection, error);
+      if (data.length) return doc;
+    }
+    throw new Error(`[storage] ${collection}/${id}: update kept losing to concurrent writers`);
+  }
+
+  /** Buffered transaction handle; ops are applied by app_documents_apply in order. */
+  function bufferedTx() {
+    const ops = [];
+    const pending = new Map();
+    const key = (collection, id) => `${collection}\u0000${id}`;
+    const tx = {
+      ops,
+      async get(collection, id) {
+        const k = key(collection, String(id));
+        if (pending.has(k)) return pending.get(k);
+        return (await getRow(collection, id))?.doc || null;
+      },
+      find,
+      count,
+      async put(collection, doc) {
+        collectionSpec(collection);
+        const id = requireId(collection, doc);
+        ops.push({ op: 'put', collection, id, doc });
+        pending.set(key(collection, id), doc);
+        return doc;
+      },
+      async putMany(collection, docs) {
+        for (const doc of docs) await tx.put(collection, doc);
+        return docs;
+      },
+      async remove(collection, id) {
+        collectionSpec(collection);
+        ops.push({ op: 'remove', collection, id: String(id) });
+        pending.set(key(collection, String(id)), null);
+        return true;
+      },
+      async clear(collection) {
+        collectionSpec(collection);
+        ops.push({ op: 'clear', collection });
+        for (const k of pending.keys()) if (k.startsWith(`${collection}\u0000`)) pending.set(k, null);
+        return null;
+      },
+      async update(collection, id, mutate) {
+        const k = key(collection, String(id));
+        let prev;
+        let rev;
+        if (pending.has(k)) prev = pending.get(k);
+        else ({ doc: prev, rev } = (await getRow(collection, id)) || {});
+        if (!prev) return null;
+        const next = typeof mutate === 'function' ? await mutate(prev) : { ...prev, ...mutate };
+        if (next == null) return prev;
+        const doc = { ...next, id: prev.id };
+        ops.push({ op: 'put', collection, id: String(prev.id), doc, ...(rev != null ? { rev } : {}) });
+        pending.set(k, doc);
+        return doc;
+      },
+    };
+    tx.transaction = (body) => body(tx);
+    return tx;
+  }
+
+  async function transaction(body) {
+    for (let attempt = 0; ; attempt += 1) {
+      const tx = bufferedTx();
+      const out = await body(tx);
+      if (!tx.ops.length) return out;
+      const { error } = await client.rpc('app_documents_apply', { ops: tx.ops });
+      if (!error) return out;
+      if (error.code !== CONFLICT_CODE || attempt >= MAX_RETRIES - 1) fail(tx.ops[0].collection, error);
+    }
+  }
+
+  return {
+    backend: 'supabase',
+    get: async (collection, id) => (await getRow(collection, id))?.doc || null,
+    find,
+    count,
+    put: async (collection, doc) => (await putMany(collection, [doc]))[0],
+    putMany,
+    update,
+    remove,
+    clear,
+    transaction,
+    close: async () => {},
+  };
+}
@@ -0,0 +1,144 @@
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+const auditDir = fs.mkdtempSync(path.join(os.tmpdir(), 'agi-audit-'));
+process.env.ADMIN_AUDIT_DIR = auditDir;
+process.env.SUPABASE_JWT_SECRET = 'unit-test-secret';
+process.env.AGI_ADMIN_API_TOKEN = 'svc-token-123';
+process.env.AGI_ADMIN_EMAILS = 'ops@agi.test';
+process.env.AGI_AUTHOR_EMAILS = 'writer@agi.test';
+process.env.AGI_AUTHOR_USER_IDS = 'author-2';
+delete process.env.AGI_AUTHZ_MODE;
+
+const {
+  actorFrom,
+  authorize,
+  hasRole,
+  resolveRole,
+  verifySupabaseJwt,
+} = await import('../middleware/authorize.js');
+const { listAdminAudit } = await import('../services/adminAudit.js');
+
+function signJwt(payload, secret = 'unit-test-secret') {
+  const enc = (obj) => Buffer.from(JSON.stringify(obj)).toString('base64url');
+  const head = enc({ alg: 'HS256', typ: 'JWT' });
+  const body = enc(payload);
+  const sig = crypto.createHmac('sha256', secret).update(`${head}.${body}`).digest('base64url');
+  return `${head}.${body}.${sig}`;
+}
+
+const future = Math.floor(Date.now() / 1000) + 3600;
+
+// JWT verification
+const good = verifySupabaseJwt(signJwt({ sub: 'u1', email: 'a@b.com', exp: future }), 'unit-test-secret');
+assert.equal(good.id, 'u1');
+assert.equal(verifySupabaseJwt(signJwt({ sub: 'u1', exp: future }, 'wrong'), 'unit-test-secret'), null);
+assert.equal(verifySupabaseJwt(signJwt({ sub: 'u1', exp: 10 }), 'unit-test-secret'), null);
+assert.equal(verifySupabaseJwt('not-a-jwt', 'unit-test-secret'), null);
+
+// Role resolution mirrors src/lib/adminAuth.js
+assert.equal(resolveRole(null), 'public');
+assert.equal(resolveRole({ id: 'c56e4d07-273c-49c9-86a5-a4445e687ece' }), 'admin');
+assert.equal(resolveRole({ id: 'x', email: 'OPS@agi.test' }), 'admin');
+assert.equal(resolveRole({ id: 'x', email: 'writer@agi.test' }), 'author');
+assert.equal(resolveRole({ id: 'author-2' }), 'author');
+assert.equal(resolveRole({ id: 'x', app_metadata: { role: 'author' } }), 'author');
+assert.equal(resolveRole({ id: 'x', email: 'signup@example.com' }), 'reader', 'a self-signed-up account is a reader');
+assert.equal(resolveRole({ id: 'x', app_metadata: { role: 'reader' } }), 'reader');
+assert.equal(resolveRole({ id: 'x', user_metadata: { role: 'author' } }), 'reader', 'user_metadata is user-editable');
+assert.equal(resolveRole({ id: 'x', app_metadata: { role: 'admin' } }), 'admin');
+assert.ok(hasRole({ role: 'admin' }, 'author'));
+assert.ok(!hasRole({ role: 'reader' }, 'author'));
+assert.ok(!hasRole(null, 'reader'));
+
+function fakeRes() {
+  const res = {
+    statusCode: 200,
+    body: null,
+    listeners: {},
+    status(code) { this.statusCode = code; return this; },
+    json(payload) { this.body = payload; return this; },
+    on(evt, fn) { this.listeners[evt] = fn; },
+  };
+  return res;
+}
+
+async function run(mw, req) {
+  const res = fakeRes();
+  let passed = false;
+  await mw({ headers: {}, ...req, originalUrl: req.path }, res, () => { passed = true; });
+  if (passed) res.listeners.finish?.();
+  return { res, passed };
+}
+
+const mw = authorize('unit', [
+  { methods: ['POST'], path: '/public-ask', role: 'public' },
+  { methods: ['POST'], path: /^\/ingest\//, role: 'author' },
+  { role: 'admin' },
+]);
+
+// Reads are untouched
+assert.equal((await run(mw, { method: 'GET', path: '/records' })).passed, true);
+// Explicit exemption
+assert.equal((await run(mw, { method: 'POST', path: '/public-ask' })).passed, true);
+
+// Anonymous mutating call → 401
+const anon = await run(mw, { method: 'POST', path: '/bootstrap' });
+assert.equal(anon.passed, false);
+assert.equal(anon.res.statusCode, 401);
+
+// Author may ingest but not bootstrap
+const authorToken = signJwt({ sub: 'author-1', email: 'writer@agi.test', exp: future });
+const authorHeaders = { authorization: `Bearer ${authorToken}` };
+assert.equal((await run(mw, { method: 'POST', path: '/ingest/agi', headers: authorHeaders })).passed, true);
+const denied = await run(mw, { method: 'DELETE', path: '/records/1', headers: authorHeaders });
+assert.equal(denied.res.statusCode, 403);
+assert.equal(denied.res.body.required_role, 'admin');
+
+// A plain signed-in account cannot mail the subscriber list
+const { default: createNewsletterRouter } = await import('../routes/newsletter.js');
+const express = (await import('express')).default;
+const app = express();
+app.use(express.json());
+app.use('/api/newsletter', createNewsletterRouter());
+const server = app.listen(0);
+const notify = (token) => fetch(`http://127.0.0.1:${server.address().port}/api/newsletter/notify-subscribers`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+  body: JSON.stringify({ title: 'New note', slug: 'new-note' }),
+});
+const readerToken = signJwt({ sub: 'reader-1', email: 'signup@example.com', exp: future });
+const blast = await notify(readerToken);
+assert.equal(blast.status, 403);
+assert.equal((await blast.json()).role, 'reader');
+server.close();
+
+// Actors come from the verified caller only, never the request body
+assert.equal(actorFrom({ auth: { id: 'u9', email: 'ops@agi.test' }, body: { actor: 'someone-else' } }), 'ops@agi.test');
+assert.equal(actorFrom({ ip: '203.0.113.7', body: { actor: 'ops@agi.test' } }), 'anonymous@203.0.113.7');
+assert.equal(actorFrom({ body: { actor: 'ops@agi.test' } }), 'anonymous');
+
+// Admin via JWT and via service token
+const adminToken = signJwt({ sub: 'admin-1', email: 'ops@agi.test', exp: future });
+assert.equal((await run(mw, { method: 'POST', path: '/bootstrap', headers: { authorization: `Bearer ${adminToken}` } })).passed, true);
+assert.equal((await run(mw, { method: 'POST', path: '/tick', headers: { 'x-agi-admin-token': 'svc-token-123' } })).passed, true);
+
+// Report mode logs but lets the call through
+process.env.AGI_AUTHZ_MODE = 'report';
+assert.equal((await run(mw, { method: 'POST', path: '/reset' })).passed, true);
+delete process.env.AGI_AUTHZ_MODE;
+
+// Audit trail
+const entries = listAdminAudit({ limit: 50, scope: 'unit' });
+assert.ok(entries.some((e) => e.path === '/bootstrap' && e.outcome === 'denied' && e.status === 401));
+assert.ok(entries.some((e) => e.path === '/records/1' && e.actor?.email === 'writer@agi.test' && e.status === 403));
+assert.ok(entries.some((e) => e.path === '/tick' && e.actor?.via === 'service_token' && e.outcome === 'allowed'));
+assert.ok(entries.some((e) => e.path === '/reset' && e.outcome === 'would_deny'));
+assert.equal(listAdminAudit({ actor: 'ops@agi.test', scope: 'unit' }).length, 1);
+assert.ok(fs.readFileSync(path.join(auditDir, 'admin_audit', 'audit.jsonl'), 'utf8').includes('/bootstrap'));
+
+fs.rmSync(auditDir, { recursive: true, force: true });
+console.log('authorize.test.js OK');
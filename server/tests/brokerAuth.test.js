@@ -0,0 +1,178 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'broker-auth-test-'));
+process.env.STORAGE_BACKEND = 'sqlite';
+process.env.STORAGE_SQLITE_FILE = path.join(tmp, 'storage.sqlite');
+process.env.BROKER_TOKEN_KEY = 'test passphrase';
+process.env.UPSTOX_CLIENT_ID = 'client-123';
+process.env.UPSTOX_CLIENT_SECRET = 'secret-456';
+process.env.UPSTOX_REDIRECT_URI = 'https://api.example.com/api/broker-auth/upstox/callback';
+process.env.GROWW_API_KEY = 'groww-key';
+process.env.GROWW_API_SECRET = 'groww-secret';
+process.env.BROKER_ALERT_EMAILS = 'ops@example.com';
+delete process.env.MARKET_HOLIDAYS;
+delete process.env.MARKET_SPECIAL_SESSIONS;
+
+const { storage, closeStorage } = await import('../storage/index.js');
+const { seal, open } = await import('../lib/secretBox.js');
+const broker = await import('../services/brokerAuth.js');
+const { resolveUpstoxAccessToken } = await import('../providers/upstox.js');
+const { currentGrowwAccessToken, growwAuthMode, loadGrowwAccessToken } = await import('../providers/groww.js');
+const { resetBrokerSessions } = await import('../providers/brokerSession.js');
+
+const ist = (local) => Date.parse(`${local}+05:30`);
+const json = (status, body) => ({ ok: status < 400, status, json: async () => body });
+
+// --- Sealing -------------------------------------------------------------------------
+
+const sealed = seal('plain-token', 'upstox');
+assert.match(sealed, /^v1\./);
+assert.ok(!sealed.includes('plain-token'));
+assert.equal(open(sealed, 'upstox'), 'plain-token');
+assert.throws(() => open(sealed, 'groww'), 'context is bound as associated data');
+
+// --- Expiry --------------------------------------------------------------------------
+
+assert.equal(broker.tokenExpiry('upstox', ist('2026-10-19T08:00:00')), '2026-10-19T22:00:00.000Z');
+assert.equal(broker.tokenExpiry('upstox', ist('2026-10-19T02:00:00')), '2026-10-18T22:00:00.000Z');
+assert.equal(broker.tokenExpiry('groww', ist('2026-10-19T08:15:00')), '2026-10-20T00:30:00.000Z');
+
+// --- Upstox OAuth --------------------------------------------------------------------
+
+const morning = ist('2026-10-19T08:00:00');
+const login = await broker.upstoxLoginUrl({ actor: 'admin@example.com', now: morning });
+const dialog = new URL(login.url);
+assert.equal(dialog.searchParams.get('client_id'), 'client-123');
+assert.equal(dialog.searchParams.get('redirect_uri'), process.env.UPSTOX_REDIRECT_URI);
+assert.equal(dialog.searchParams.get('state'), login.state);
+assert.equal((await storage.get('broker_login_states', login.state)).actor, 'admin@example.com', 'any instance can take the callback');
+
+let exchanged = null;
+const upstoxFetch = async (url, opts) => {
+  exchanged = { url: String(url), body: new URLSearchParams(opts.body) };
+  return json(200, { access_token: 'upstox-live-token', user_id: 'AB1234', user_name: 'Desk' });
+};
+const connected = await broker.completeUpstoxLogin({ code: 'auth-code', state: login.state, fetchImpl: upstoxFetch, now: morning });
+assert.match(exchanged.url, /\/login\/authorization\/token$/);
+assert.deepEqual(
+  [exchanged.body.get('code'), exchanged.body.get('grant_type'), exchanged.body.get('client_secret')],
+  ['auth-code', 'authorization_code', 'secret-456'],
+);
+assert.deepEqual([connected.connected, connected.covers_next_session, connected.expires_at], [true, true, '2026-10-19T22:00:00.000Z']);
+assert.equal(connected.account.user_id, 'AB1234');
+assert.equal((await resolveUpstoxAccessToken(morning)).token, 'upstox-live-token', 'hot-swapped without a restart');
+
+const stored = await storage.get('broker_tokens', 'upstox');
+assert.ok(!JSON.stringify(stored).includes('upstox-live-token'), 'token is stored sealed');
+assert.deepEqual([stored.rotated_by, stored.rev], ['admin@example.com', 1]);
+assert.equal(await storage.get('broker_login_states', login.state), null, 'state is single-use');
+
+await assert.rejects(
+  broker.completeUpstoxLogin({ code: 'again', state: login.state, fetchImpl: upstoxFetch, now: morning }),
+  /expired or already used/,
+);
+const stale = await broker.upstoxLoginUrl({ now: morning });
+await assert.rejects(
+  broker.completeUpstoxLogin({ code: 'x', state: stale.state, fetchImpl: upstoxFetch, now: morning + 11 * 60_000 }),
+  (err) => err.status === 400,
+);
+const rejected = await broker.upstoxLoginUrl({ now: morning });
+await assert.rejects(
+  broker.completeUpstoxLogin({
+    code: 'bad', state: rejected.state, now: morning,
+    fetchImpl: async () => json(401, { errors: [{ message: 'Invalid auth code' }] }),
+  }),
+  (err) => err.status === 502 && /Invalid auth code/.test(err.message),
+);
+
+// Abandoned states are swept by a later login once expired.
+const abandoned = await broker.upstoxLoginUrl({ now: morning });
+const later = await broker.upstoxLoginUrl({ now: morning + 11 * 60_000 });
+assert.deepEqual((await storage.find('broker_login_states')).map((row) => row.id), [later.state]);
+assert.notEqual(abandoned.state, later.state);
+
+// Boot: a fresh process reads the stored token.
+resetBrokerSessions();
+assert.deepEqual(await broker.restoreBrokerTokens({ now: morning }), ['upstox']);
+assert.equal((await resolveUpstoxAccessToken(morning)).token, 'upstox-live-token');
+
+// Another instance logs in again: this one picks the new token up once its short cache lapses.
+await storage.put('broker_tokens', { ...stored, rev: 2, token: seal('upstox-other-instance', 'upstox'), updated_at: new Date(morning + 60_000).toISOString() });
+assert.equal((await resolveUpstoxAccessToken(morning)).token, 'upstox-live-token', 'served from the in-process cache');
+process.env.BROKER_TOKEN_CACHE_MS = '0';
+assert.equal((await resolveUpstoxAccessToken(morning)).token, 'upstox-other-instance');
+delete process.env.BROKER_TOKEN_CACHE_MS;
+
+// --- Pre-open check ------------------------------------------------------------------
+
+let mints = 0;
+const growwFetch = async (url, opts) => {
+  mints += 1;
+  assert.match(String(url), /\/token\/api\/access$/);
+  assert.equal(opts.headers.Authorization, 'Bearer groww-key');
+  return json(200, { token: `groww-token-${mints}` });
+};
+const sent = [];
+const notify = async (msg) => {
+  sent.push(msg);
+  return { ok: true };
+};
+
+const open815 = ist('2026-10-19T08:15:00');
+let check = await broker.checkBrokerTokens({ now: open815, fetchImpl: growwFetch, notify });
+assert.deepEqual(check, { ok: true, session: '2026-10-19', rotated: ['groww'] });
+assert.equal(currentGrowwAccessToken(open815).token, 'groww-token-1');
+assert.equal((await loadGrowwAccessToken(open815)).token, 'groww-token-1');
+process.env.GROWW_ACCESS_TOKEN = 'pasted-groww-token';
+assert.equal(await growwAuthMode(), 'rotated_token', 'a stored token outranks the deprecated env token');
+assert.equal(sent.length, 0);
+
+// A retry keeps a Groww token that already covers the session.
+check = await broker.checkBrokerTokens({ now: open815 + 60_000, fetchImpl: growwFetch, notify });
+assert.deepEqual([check.ok, check.rotated, mints], [true, [], 1]);
+
+// Next session (Wed — Tue 20 Oct is a holiday): Upstox lapsed overnight, Groww rotation fails.
+const wednesday = ist('2026-10-21T08:15:00');
+const failing = async () => json(400, {});
+check = await broker.checkBrokerTokens({ now: wednesday, fetchImpl: failing, notify });
+assert.equal(check.ok, false);
+assert.equal(check.session, '2026-10-21');
+assert.deepEqual(check.problems.map((p) => p.broker), ['groww', 'upstox']);
+assert.match(check.error, /groww: daily token rotation failed — Invalid credentials/);
+assert.match(check.error, /upstox: not logged in/);
+assert.deepEqual(check.notified, ['ops@example.com']);
+assert.equal(sent.length, 1);
+assert.match(sent[0].subject, /before the 2026-10-21 open/);
+assert.match(sent[0].text, /Broker sessions/);
+
+// The scheduler retries; admins are not emailed twice for the same session.
+check = await broker.checkBrokerTokens({ now: wednesday + 20 * 60_000, fetchImpl: failing, notify });
+assert.deepEqual([check.ok, check.notified, sent.length], [false, [], 1]);
+
+// --- Status and revoke ---------------------------------------------------------------
+
+const status = await broker.getBrokerAuthStatus({ now: wednesday });
+assert.deepEqual(
+  [status.brokers.upstox.connected, status.brokers.upstox.expired, status.brokers.upstox.login_configured],
+  [false, true, true],
+);
+assert.equal(status.brokers.groww.rotation_configured, true);
+assert.equal(status.next_session, '2026-10-21');
+assert.ok(!JSON.stringify(status).includes('groww-token'));
+
+assert.deepEqual(await broker.revokeBrokerToken('groww'), { broker: 'groww', revoked: true });
+assert.equal(currentGrowwAccessToken(wednesday), null);
+assert.equal(await storage.get('broker_tokens', 'groww'), null);
+assert.equal(await growwAuthMode(), 'env_token', 'env token is the last resort once nothing is stored');
+delete process.env.GROWW_ACCESS_TOKEN;
+await assert.rejects(broker.revokeBrokerToken('zerodha'), (err) => err.status === 404);
+
+const job = broker.brokerTokenCheckJob();
+assert.deepEqual([job.id, job.cron, job.tradingDays, job.enabled()], ['broker-token-check', '15 8 * * *', true, true]);
+
+resetBrokerSessions();
+await closeStorage();
+console.log('brokerAuth.test.js OK');
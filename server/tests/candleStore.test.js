@@ -0,0 +1,166 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'candle-store-test-'));
+process.env.STORAGE_BACKEND = 'sqlite';
+process.env.STORAGE_SQLITE_FILE = path.join(tmp, 'storage.sqlite');
+process.env.MARKET_PROVIDERS_INDEX = 'stub';
+process.env.MARKET_PROVIDERS_EQUITY = 'stub';
+delete process.env.MARKET_HOLIDAYS;
+delete process.env.MARKET_SPECIAL_SESSIONS;
+
+const { storage, closeStorage } = await import('../storage/index.js');
+const { registerProvider } = await import('../providers/registry.js');
+const { getTradingSession } = await import('../services/marketCalendar.js');
+const store = await import('../services/candleStore.js');
+
+const ist = (local) => Date.parse(`${local}+05:30`);
+const istDate = (ms) => new Date(ms + 330 * 60_000).toISOString().slice(0, 10);
+const nextDate = (date) => new Date(Date.parse(`${date}T00:00:00Z`) + 86_400_000).toISOString().slice(0, 10);
+
+// Provider stub: one bar per trading session (or 15-minute bars up to `to`), except HOLE.
+const HOLE = '2026-10-14';
+const calls = [];
+registerProvider({
+  id: 'stub',
+  isConfigured: () => true,
+  async candles(instrument, { from, to, intervalMinutes }) {
+    calls.push({ symbol: instrument.symbol, from: istDate(from.getTime()), to: istDate(to.getTime()), intervalMinutes });
+    const bars = [];
+    for (let date = istDate(from.getTime()); date <= istDate(to.getTime()); date = nextDate(date)) {
+      const session = getTradingSession(date);
+      if (!session.trading || date === HOLE) continue;
+      if (intervalMinutes >= 1440) {
+        bars.push([Date.parse(`${date}T00:00:00+05:30`) / 1000, 100, 102, 99, 101, 1000]);
+        continue;
+      }
+      for (let t = Date.parse(session.opens_at); t < Math.min(Date.parse(session.closes_at), to.getTime()); t += intervalMinutes * 60_000) {
+        bars.push([new Date(t).toISOString(), 100, 101, 99, 100.5, 10]);
+      }
+    }
+    return bars;
+  },
+});
+
+const nifty = { exchange: 'NSE', symbol: 'NIFTY', class: 'index' };
+
+// --- Read-through and incremental fetch ----------------------------------------------
+
+const mondayEvening = ist('2026-10-19T17:00:00');
+let result = await store.getCandles(nifty, { interval: '1d', days: 14, now: mondayEvening });
+assert.equal(calls.length, 1, 'the first read fetches the range once');
+assert.deepEqual([calls[0].from, calls[0].to, calls[0].intervalMinutes], ['2026-10-05', '2026-10-19', 1440]);
+assert.deepEqual([result.provider, result.source, result.missing, result.holes], ['stub', 'store+provider', 0, 1]);
+assert.equal(result.candles.length, 10);
+assert.equal(result.candles.at(-1)[0], '2026-10-19T00:00:00+05:30', 'bar times are stored as IST');
+assert.ok(!result.candles.some((bar) => bar[0].startsWith(HOLE)));
+
+result = await store.getCandles(nifty, { interval: '1d', days: 14, now: mondayEvening + 60_000 });
+assert.equal(calls.length, 1, 'a settled range is served from the store');
+assert.deepEqual([result.source, result.provider, result.candles.length], ['store', 'stub', 10]);
+
+// Tuesday 20 Oct is a holiday: Wednesday evening fetches just Wednesday.
+result = await store.getCandles(nifty, { interval: '1d', days: 14, now: ist('2026-10-21T17:00:00') });
+assert.equal(calls.length, 2);
+assert.deepEqual([calls[1].from, calls[1].to], ['2026-10-21', '2026-10-21']);
+assert.equal(result.candles.at(-1)[0], '2026-10-21T00:00:00+05:30');
+
+const gaps = await store.findCandleGaps(nifty, { interval: '1d', days: 14, now: ist('2026-10-21T17:00:00') });
+assert.deepEqual(gaps.missing, []);
+assert.deepEqual(gaps.holes, [{ date: HOLE, bars: 0, expected: 1 }], 'a session the provider lacks is a hole, not refetched');
+assert.equal(gaps.live, null);
+
+// Repair refetches the hole (the stub still lacks it).
+await store.getCandles(nifty, { interval: '1d', days: 14, repair: true, now: ist('2026-10-21T17:05:00') });
+assert.deepEqual([calls[2].from, calls[2].to], [HOLE, HOLE]);
+
+// --- Live intraday session -----------------------------------------------------------
+
+calls.length = 0;
+const wednesdayMorning = ist('2026-10-21T11:00:00');
+result = await store.getCandles(nifty, { interval: '15m', days: 1, now: wednesdayMorning });
+assert.equal(calls.length, 1);
+assert.ok(result.candles.some((bar) => bar[0] === '2026-10-21T10:45:00+05:30'));
+let report = await store.findCandleGaps(nifty, { interval: '15m', days: 1, now: wednesdayMorning + 60_000 });
+assert.equal(report.live, null, 'a fresh copy of the live session is not refetched');
+await store.getCandles(nifty, { interval: '15m', days: 1, now: wednesdayMorning + 5 * 60_000 });
+assert.equal(calls.length, 1);
+await store.getCandles(nifty, { interval: '15m', days: 1, now: wednesdayMorning + 20 * 60_000 });
+assert.equal(calls.length, 2, 'the forming session refreshes once a bar old');
+const chunk = await storage.get('candle_chunks', 'NSE:NIFTY|15m|2026-10-21');
+assert.equal(chunk.sessions['2026-10-21'].settled, false);
+
+// --- Corporate-action adjustment -----------------------------------------------------
+
+assert.deepEqual(
+  store.parseCorporateAction({
+    name: 'Split',
+    event_details: [
+      { name: 'Ex split date', value: '16 Oct 2026' },
+      { name: 'Old FV', value: '10' },
+      { name: 'New FV', value: '2' },
+    ],
+  }),
+  { kind: 'split', ex_date: '2026-10-16', factor: 0.2, ratio: null },
+);
+assert.equal(store.parseCorporateAction({ name: 'Bonus', expiry_date: '2026-09-01', ratio: '1:1' }).factor, 0.5);
+assert.equal(store.parseCorporateAction({ name: 'Dividend', expiry_date: '14 Aug 2025', amount: 5.5 }), null);
+
+const acme = { exchange: 'NSE', symbol: 'ACME', isin: 'INE000A01001', class: 'equity' };
+await store.getCandles(acme, { interval: '1d', days: 14, now: mondayEvening });
+const series = await storage.get('candle_series', 'NSE:ACME|1d');
+assert.equal(series.instrument.isin, 'INE000A01001');
+const synced = await store.syncCorporateActions(series, {
+  corporateActionsImpl: async (isin) => {
+    assert.equal(isin, 'INE000A01001');
+    return {
+      data: [
+        { name: 'Split', event_details: [{ name: 'Ex date', value: '2026-10-16' }, { name: 'Old FV', value: '10' }, { name: 'New FV', value: '2' }] },
+        { name: 'Dividend', expiry_date: '2026-10-01', amount: 3 },
+      ],
+    };
+  },
+});
+assert.equal(synced.synced, 1);
+
+const adjusted = await store.getCandles(acme, { interval: '1d', days: 14, now: mondayEvening + 60_000 });
+const raw = await store.getCandles(acme, { interval: '1d', days: 14, adjusted: false, now: mondayEvening + 60_000 });
+const before = (set) => set.candles.find((bar) => bar[0].startsWith('2026-10-15'));
+const after = (set) => set.candles.find((bar) => bar[0].startsWith('2026-10-16'));
+assert.ok(Math.abs(before(adjusted)[4] - 101 * 0.2) < 1e-9);
+assert.equal(before(adjusted)[5], 5000, 'volume scales inversely');
+assert.deepEqual([before(raw)[4], after(adjusted)[4]], [101, 101]);
+assert.deepEqual(adjusted.adjustments, [{ ex_date: '2026-10-16', kind: 'split', factor: 0.2 }]);
+
+await assert.rejects(store.addCandleAdjustment({ instrument: 'NSE:ACME', ex_date: '2026-01-01', kind: 'split' }), (err) => err.status === 400);
+const manual = await store.addCandleAdjustment({ instrument: 'nse:acme', ex_date: '2026-09-01', kind: 'bonus', ratio: '1:4' });
+assert.deepEqual([manual.id, manual.factor, manual.source], ['NSE:ACME|2026-09-01|bonus', 0.8, 'admin']);
+assert.equal((await store.listCandleAdjustments('NSE:ACME')).length, 2);
+await store.removeCandleAdjustment(manual.id);
+await assert.rejects(store.removeCandleAdjustment(manual.id), (err) => err.status === 404);
+await assert.rejects(store.getCandles(nifty, { interval: '5m' }), (err) => err.status === 400);
+
+// --- Backfill job --------------------------------------------------------------------
+
+await storage.put('candle_chunks', {
+  id: 'NSE:NIFTY|1m|2026-08-01', series: 'NSE:NIFTY|1m', instrument: 'NSE:NIFTY', interval: '1m', period: '2026-08-01', bars: [], sessions: {},
+});
+calls.length = 0;
+const backfill = await store.backfillCandles({ now: ist('2026-10-21T16:00:00'), corporateActionsImpl: async () => ({ data: [] }) });
+assert.equal(backfill.ok, true);
+assert.ok(backfill.series >= 24, 'default index series are tracked');
+assert.equal(backfill.pruned, 1, '1m bars past retention are dropped');
+assert.ok(calls.some((c) => c.symbol === 'SENSEX' && c.intervalMinutes === 1440));
+assert.ok(calls.some((c) => c.symbol === 'BANKNIFTY' && c.intervalMinutes === 60));
+
+const status = await store.getCandleStoreStatus();
+assert.ok(status.series.find((s) => s.id === 'NSE:NIFTY|1d').last_bar_at.startsWith('2026-10-21'));
+assert.deepEqual(store.candleStoreJobs().map((job) => job.id), ['candle-backfill', 'candle-intraday']);
+
+const closed = await store.refreshIntradayCandles({ now: ist('2026-10-21T18:00:00') });
+assert.deepEqual([closed.skipped, closed.reason], [true, 'market_closed']);
+
+await closeStorage();
+console.log('candleStore.test.js OK');
@@ -0,0 +1,132 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'data-quality-test-'));
+process.env.STORAGE_BACKEND = 'sqlite';
+process.env.STORAGE_SQLITE_FILE = path.join(tmp, 'storage.sqlite');
+process.env.MARKET_PROVIDERS_INDEX = 'stub';
+process.env.MARKET_PROVIDERS_EQUITY = 'stub';
+delete process.env.MARKET_DATA_QUALITY_MIN;
+delete process.env.MARKET_HOLIDAYS;
+delete process.env.MARKET_SPECIAL_SESSIONS;
+delete process.env.GROWW_USE_HISTORICAL;
+
+const { closeStorage } = await import('../storage/index.js');
+const quality = await import('../services/dataQuality.js');
+const { registerProvider } = await import('../providers/registry.js');
+const { buildInsightStrip } = await import('../services/marketIntelligenceEngine.js');
+const { generateAgiSummary } = await import('../services/agiSummaryGenerator.js');
+const { refreshAgiIntelligence } = await import('../services/intelligenceService.js');
+
+const ist = (local) => Date.parse(`${local}+05:30`);
+
+// --- Grading ------------------------------------------------------------------------
+
+assert.equal(quality.qualityThreshold(), 0.6);
+assert.equal(quality.barDate('2026-10-16T09:15:00+05:30'), '2026-10-16');
+assert.equal(quality.barDate(ist('2026-10-16T09:15:00') / 1000), '2026-10-16');
+
+// Monday 19 Oct: the previous session is Friday 16 Oct.
+const monday = ist('2026-10-19T11:00:00');
+assert.equal(quality.isSessionStale('2026-10-16', monday), false);
+assert.equal(quality.isSessionStale('2026-10-15', monday), true);
+assert.equal(quality.isSessionStale(null, monday), false);
+
+let graded = quality.gradeInputs([
+  { key: 'a', label: 'A', weight: 0.5, required: true, available: true, provider: 'groww' },
+  { key: 'b', label: 'B', weight: 0.5, available: true, provider: 'groww' },
+]);
+assert.deepEqual([graded.grade, graded.completeness, graded.status, graded.withheld, graded.reasons], ['A', 1, 'complete', false, []]);
+
+graded = quality.gradeInputs([
+  { key: 'a', label: 'A', weight: 0.5, required: true, available: true, stale: true, asOf: '2026-10-14' },
+  { key: 'b', label: 'B', weight: 0.3, available: true, coverage: 0.5 },
+  { key: 'c', label: 'C', weight: 0.2, available: true, provider: 'yahoo', fallback: true },
+]);
+// 0.5×0.5 + 0.3×0.5 + 0.2 = 0.6 — exactly at the bar, so published but degraded.
+assert.deepEqual([graded.grade, graded.completeness, graded.status, graded.withheld], ['C', 0.6, 'degraded', false]);
+assert.deepEqual(graded.reasons, ['A is stale (last point 2026-10-14)', 'B 50% covered', 'C from fallback provider yahoo']);
+
+graded = quality.gradeInputs([
+  { key: 'a', label: 'A', weight: 0.2, required: true, available: false, detail: 'no provider history' },
+  { key: 'b', label: 'B', weight: 0.8, available: true },
+]);
+assert.deepEqual([graded.grade, graded.status, graded.withheld], ['F', 'insufficient', true], 'a missing required input withholds');
+assert.equal(graded.reasons[0], 'A unavailable (no provider history)');
+assert.equal(quality.gradeInputs([{ key: 'a', weight: 1, available: true, coverage: 0.5 }]).withheld, true);
+assert.equal(quality.gradeInputs([{ key: 'a', weight: 1, available: true, coverage: 0.5 }], { threshold: 0.4 }).grade, 'D');
+
+const candle = quality.candleInput(
+  { key: 'nifty', label: 'NIFTY', weight: 1, required: true, minBars: 3 },
+  { candles: [{ time: '2026-10-15', close: 1 }, { time: '2026-10-16', close: 1 }], provider: 'nse', fallback: true },
+  monday,
+);
+assert.deepEqual([candle.available, candle.points, candle.as_of, candle.stale, candle.detail], [false, 2, '2026-10-16', false, '2 of 3 bars']);
+
+const quote = quality.quoteInput({ key: 'vix', label: 'VIX', weight: 1 }, {
+  price: 12, percentChange: -1, provenance: { provider: 'groww', fallback: false, fetchedAt: '2026-10-19T05:30:00Z' },
+});
+assert.deepEqual([quote.available, quote.provider, quote.as_of], [true, 'groww', '2026-10-19T05:30:00Z']);
+assert.equal(quality.quoteInput({ key: 'x' }, { source: 'pending', price: null }).detail, 'no provider quote');
+
+// --- Strip and summary ---------------------------------------------------------------
+
+const withheldIntel = {
+  outlook: 'Insufficient data',
+  outlookKey: 'insufficient',
+  confidence: null,
+  updatedLabel: '11:00 AM',
+  dataQuality: { grade: 'F', status: 'insufficient', withheld: true, reasons: ['NIFTY 50 history unavailable'] },
+};
+const strip = buildInsightStrip(withheldIntel);
+assert.equal(strip[0].value, '⚪ Insufficient data');
+assert.deepEqual(strip[1], {
+  id: 'data-quality', label: 'Data Quality', value: 'Grade F · withheld', sub: 'NIFTY 50 history unavailable', tone: 'warn',
+});
+assert.equal(strip.find((i) => i.id === 'confidence').value, '—');
+assert.match(generateAgiSummary(withheldIntel), /withheld — inputs are insufficient \(NIFTY 50 history unavailable\)/);
+assert.equal(buildInsightStrip({ ...withheldIntel, dataQuality: { status: 'complete' } })[1].id, 'confidence');
+
+// --- Engine output -------------------------------------------------------------------
+
+let history = [];
+registerProvider({
+  id: 'stub',
+  isConfigured: () => true,
+  async candles() {
+    return history;
+  },
+});
+
+// No history at all: the score is withheld, not computed from made-up candles.
+let intel = await refreshAgiIntelligence({});
+assert.equal(intel.outlook.agiMarketScore, null);
+assert.deepEqual([intel.outlook.outlookKey, intel.outlook.confidence], ['insufficient', null]);
+assert.deepEqual([intel.dataQuality.status, intel.dataQuality.grade], ['insufficient', 'F']);
+assert.equal(intel.dataQuality.reasons[0], 'NIFTY 50 history unavailable (no provider history)');
+assert.equal(intel.pulse.dataQuality.withheld, true);
+assert.equal(intel.outlook.reasons[0].type, 'data');
+assert.equal(intel.insightStrip[1].id, 'data-quality');
+assert.deepEqual(intel.stocksInFocus, [], 'no default watchlist');
+const nifty = intel.dataQuality.inputs.find((i) => i.key === 'nifty_candles');
+assert.deepEqual([nifty.required, nifty.available, nifty.points], [true, false, 0]);
+
+// Fresh daily history, but no breadth snapshot or trending feed: published and degraded.
+const today = Date.now();
+history = Array.from({ length: 120 }, (_, i) => {
+  const close = 100 + i * 0.5 + Math.sin(i) * 2;
+  return [new Date(today - (119 - i) * 86_400_000).toISOString(), close - 0.5, close + 1, close - 1, close, 1000];
+});
+intel = await refreshAgiIntelligence({});
+assert.equal(typeof intel.outlook.agiMarketScore, 'number');
+assert.equal(intel.dataQuality.withheld, false);
+assert.equal(intel.dataQuality.status, 'degraded');
+assert.ok(intel.dataQuality.reasons.includes('Market breadth unavailable (no constituent snapshot yet)'));
+const served = intel.dataQuality.inputs.find((i) => i.key === 'nifty_candles');
+assert.deepEqual([served.available, served.provider, served.points, served.stale], [true, 'stub', 120, false]);
+assert.equal(intel.outlook.dataQuality.grade, intel.dataQuality.grade);
+
+await closeStorage();
+console.log('dataQuality.test.js OK');
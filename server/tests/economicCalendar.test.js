@@ -0,0 +1,151 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'economic-calendar-test-'));
+process.env.STORAGE_BACKEND = 'sqlite';
+process.env.STORAGE_SQLITE_FILE = path.join(tmp, 'storage.sqlite');
+
+const { closeStorage, storage } = await import('../storage/index.js');
+const { csvCells } = await import('../lib/csv.js');
+const calendar = await import('../services/economicCalendar.js');
+
+const rejects = (promise, status, field) => assert.rejects(promise, (err) => err.status === status
+  && (!field || err.errors?.some((e) => e.field === field)));
+
+// --- Shared CSV cells -------------------------------------------------------------
+
+assert.deepEqual(csvCells('a,"b, c",,"say ""hi"""'), ['a', 'b, c', '', 'say "hi"']);
+
+// --- Entry: default release times in the publisher's zone ---------------------------
+
+let cpi = await calendar.upsertEvent({ key: 'in_cpi', date: '2026-11-12', period: 'Oct 2026', consensus: '3.1%', previous: 3.4 }, 'ops');
+assert.equal(cpi.id, 'in_cpi-2026-11-12');
+assert.equal(cpi.scheduled_at, '2026-11-12T10:30:00.000Z');
+assert.deepEqual([cpi.status, cpi.consensus, cpi.previous, cpi.country, cpi.source], ['scheduled', 3.1, 3.4, 'IN', 'admin']);
+assert.equal(cpi.surprise_score, null);
+
+// FOMC at 14:00 New York: EDT in October, EST after the clocks change.
+assert.equal((await calendar.upsertEvent({ key: 'fomc', date: '2026-10-28' })).scheduled_at, '2026-10-28T18:00:00.000Z');
+assert.equal((await calendar.upsertEvent({ key: 'fomc', date: '2026-12-09' })).scheduled_at, '2026-12-09T19:00:00.000Z');
+assert.equal((await calendar.upsertEvent({ key: 'us_nfp', date: '2026-11-06', time: '08:30', consensus: '120K' })).consensus, 120);
+
+await rejects(calendar.upsertEvent({ key: 'opec', date: '2026-11-01' }), 400, 'key');
+await rejects(calendar.upsertEvent({ key: 'in_iip', date: 'soon' }), 400, 'date');
+await rejects(calendar.upsertEvent({ key: 'in_iip', date: '2026-10-28', consensus: 'flat' }), 400, 'consensus');
+await rejects(calendar.upsertEvent({ key: 'in_iip', date: '2026-10-28', status: 'released' }), 400, 'actual');
+
+// Re-entering the same indicator and date edits the event rather than duplicating it.
+cpi = await calendar.upsertEvent({ key: 'in_cpi', date: '2026-11-12', note: 'MoSPI' }, 'ops');
+assert.deepEqual([cpi.consensus, cpi.note], [3.1, 'MoSPI']);
+assert.equal((await calendar.listEvents({ key: 'in_cpi', from: '2026-11-01', to: '2026-11-30' })).length, 1);
+
+// --- Releases and surprise scores ---------------------------------------------------
+
+// Hot CPI: +0.4pp over consensus = +2σ (scale 0.2) → headwind for equities.
+cpi = await calendar.recordRelease('in_cpi-2026-11-12', { actual: '3.5' }, 'ops');
+assert.deepEqual(
+  [cpi.status, cpi.surprise, cpi.surprise_score, cpi.surprise_direction, cpi.tone, cpi.change],
+  ['released', 0.4, 2, 'above', 'negative', 0.1],
+);
+assert.ok(cpi.released_at);
+assert.equal(calendar.describeRelease(cpi), '3.5% vs 3.1% consensus (+2σ)');
+
+// Strong PMI is supportive; an in-line print is neutral; scores clamp at ±3.
+assert.equal(calendar.scoreSurprise('in_pmi_mfg', { actual: 58.4, consensus: 57 }).tone, 'positive');
+assert.equal(calendar.scoreSurprise('us_cpi', { actual: 2.95, consensus: 2.9 }).surprise_direction, 'inline');
+assert.equal(calendar.scoreSurprise('us_nfp', { actual: -100, consensus: 150 }).surprise_score, -3);
+assert.equal(calendar.scoreSurprise('rbi_mpc', { actual: 5.25, previous: 5.5 }).surprise, null);
+
+await rejects(calendar.recordRelease('in_cpi-2026-11-12', {}), 400, 'actual');
+await rejects(calendar.recordRelease('missing', { actual: 1 }), 404);
+
+// Rescheduling moves the id with the date; a clash with an existing date is refused.
+const moved = await calendar.updateEvent('fomc-2026-12-09', { date: '2026-12-10' });
+assert.equal(moved.id, 'fomc-2026-12-10');
+assert.equal(await calendar.getEvent('fomc-2026-12-09'), null);
+await rejects(calendar.updateEvent('fomc-2026-12-10', { date: '2026-10-28' }), 409);
+
+// --- Digest -------------------------------------------------------------------------
+
+const now = Date.parse('2026-11-13T04:00:00Z');
+let digest = await calendar.getCalendarDigest({ now, days: 30, lookbackDays: 7 });
+assert.deepEqual(digest.upcoming.map((e) => e.id), ['fomc-2026-12-10']);
+assert.deepEqual(digest.released.map((e) => e.id), ['in_cpi-2026-11-12']);
+assert.deepEqual(digest.surprises.map((e) => e.id), ['in_cpi-2026-11-12']);
+digest = await calendar.getCalendarDigest({ now: Date.parse('2026-10-20T00:00:00Z'), days: 21 });
+assert.deepEqual(digest.upcoming.map((e) => e.key), ['fomc', 'us_nfp']);
+
+// --- CSV import ---------------------------------------------------------------------
+
+const csv = [
+  'key,date,time,period,consensus,previous,actual,note',
+  'in_gdp,2026-11-30,,Q2 FY27,7.4,7.8,,"MoSPI, quarterly"',
+  'rbi_mpc,2026-12-04,,,5.25,5.5,,',
+  'us_cpi,2026-11-12,,,3.0,,3.2,',
+].join('\n');
+const preview = await calendar.importEventsCsv(csv, 'ops', { dryRun: true });
+assert.deepEqual(preview, { dry_run: true, rows: 3, valid: 3, errors: [] });
+assert.equal(await calendar.getEvent('in_gdp-2026-11-30'), null);
+
+const bad = `${csv}\nin_iip,2026-13-40,,,,,,\nrbi_mpc,2026-12-04,,,,,,`;
+const badPreview = await calendar.importEventsCsv(bad, 'ops', { dryRun: true });
+assert.deepEqual([badPreview.rows, badPreview.valid], [5, 3]);
+assert.deepEqual(badPreview.errors.map((e) => [e.row, e.field]), [[5, 'date'], [6, 'date']]);
+await rejects(calendar.importEventsCsv(bad, 'ops'), 400);
+assert.equal(await calendar.getEvent('in_gdp-2026-11-30'), null, 'a rejected import writes nothing');
+await rejects(calendar.importEventsCsv('key,when\nin_cpi,2026-12-12', 'ops'), 400);
+
+assert.deepEqual(await calendar.importEventsCsv(csv, 'ops'), { imported: 3 });
+const gdp = await calendar.getEvent('in_gdp-2026-11-30');
+assert.deepEqual([gdp.period, gdp.note, gdp.source], ['Q2 FY27', 'MoSPI, quarterly', 'csv']);
+const usCpi = await calendar.getEvent('us_cpi-2026-11-12');
+assert.deepEqual([usCpi.status, usCpi.surprise_score, usCpi.tone], ['released', 2, 'negative']);
+
+// --- Finnhub sync -------------------------------------------------------------------
+
+assert.equal(calendar.matchFinnhubRow({ country: 'IN', event: 'Inflation Rate YoY' }), 'in_cpi');
+assert.equal(calendar.matchFinnhubRow({ country: 'US', event: 'Core Inflation Rate YoY' }), null);
+assert.equal(calendar.matchFinnhubRow({ country: 'US', event: 'Non Farm Payrolls' }), 'us_nfp');
+assert.equal(calendar.matchFinnhubRow({ country: 'US', event: 'Fed Interest Rate Decision' }), 'fomc');
+assert.equal(calendar.matchFinnhubRow({ country: 'IN', event: 'HSBC Manufacturing PMI Final' }), 'in_pmi_mfg');
+assert.equal(calendar.matchFinnhubRow({ country: 'JP', event: 'Inflation Rate YoY' }), null);
+
+delete process.env.FINNHUB_API_KEY;
+assert.equal((await calendar.syncFinnhubCalendar()).skipped, true);
+
+process.env.FINNHUB_API_KEY = 'test-key';
+let requested = '';
+const feed = {
+  economicCalendar: [
+    // Admin consensus (5.25) wins; the feed only fills the blank actual.
+    { country: 'IN', event: 'Interest Rate Decision', time: '2026-12-04 04:30:00', estimate: 5.5, prev: 5.5, actual: 5.25 },
+    { country: 'IN', event: 'HSBC Manufacturing PMI', time: '2026-12-01 05:00:00', estimate: 57.5, prev: 57.8, actual: null },
+    { country: 'US', event: 'Core Inflation Rate YoY', time: '2026-12-10 13:30:00', estimate: 3.1 },
+  ],
+};
+const sync = await calendar.syncFinnhubCalendar({
+  now: Date.parse('2026-11-20T00:00:00Z'),
+  fetchImpl: async (url) => {
+    requested = url;
+    return { ok: true, json: async () => feed };
+  },
+});
+assert.match(requested, /from=2026-11-13&to=2026-12-25&token=test-key/);
+assert.deepEqual([sync.created, sync.updated], [1, 1]);
+const mpc = await calendar.getEvent('rbi_mpc-2026-12-04');
+assert.deepEqual([mpc.consensus, mpc.actual, mpc.status, mpc.surprise_direction, mpc.source], [5.25, 5.25, 'released', 'inline', 'csv']);
+const pmi = await calendar.getEvent('in_pmi_mfg-2026-12-01');
+assert.deepEqual([pmi.scheduled_at, pmi.consensus, pmi.status, pmi.source, pmi.created_by], ['2026-12-01T05:00:00.000Z', 57.5, 'scheduled', 'finnhub', 'finnhub-sync']);
+// A second pass with nothing new touches nothing.
+const again = await calendar.syncFinnhubCalendar({ now: Date.parse('2026-11-20T00:00:00Z'), fetchImpl: async () => ({ ok: true, json: async () => feed }) });
+assert.deepEqual([again.created, again.updated], [0, 0]);
+delete process.env.FINNHUB_API_KEY;
+
+assert.deepEqual(await calendar.removeEvent('in_pmi_mfg-2026-12-01'), { removed: 'in_pmi_mfg-2026-12-01' });
+await rejects(calendar.removeEvent('in_pmi_mfg-2026-12-01'), 404);
+assert.ok((await storage.count('economic_events')) >= 6);
+
+await closeStorage();
+console.log('economicCalendar.test.js OK');
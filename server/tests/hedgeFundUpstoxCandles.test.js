@@ -0,0 +1,84 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import express from 'express';
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'hedge-fund-candles-test-'));
+process.env.STORAGE_BACKEND = 'sqlite';
+process.env.STORAGE_SQLITE_FILE = path.join(tmp, 'storage.sqlite');
+process.env.MARKET_PROVIDERS_EQUITY = 'stub';
+process.env.AGIB_INTELLIGENCE_ENGINE_URL = 'https://engine.test';
+process.env.AGIB_SERVICE_TOKEN = 'engine-token';
+process.env.AGI_ADMIN_API_TOKEN = 'svc-token-123';
+delete process.env.MARKET_HOLIDAYS;
+delete process.env.MARKET_SPECIAL_SESSIONS;
+
+const { closeStorage } = await import('../storage/index.js');
+const { registerProvider } = await import('../providers/registry.js');
+const { getTradingSession } = await import('../services/marketCalendar.js');
+const scheduler = await import('../services/hedgeFundUpstoxCandleScheduler.js');
+const { default: createMarketRouter } = await import('../routes/market.js');
+
+const istDate = (ms) => new Date(ms + 330 * 60_000).toISOString().slice(0, 10);
+const nextDate = (date) => new Date(Date.parse(`${date}T00:00:00Z`) + 86_400_000).toISOString().slice(0, 10);
+
+// Provider stub: a gently rising daily bar per trading session; no intraday bars.
+registerProvider({
+  id: 'stub',
+  isConfigured: () => true,
+  async candles(_instrument, { from, to, intervalMinutes }) {
+    if (intervalMinutes < 1440) return [];
+    const bars = [];
+    let close = 100;
+    for (let date = istDate(from.getTime()); date <= istDate(to.getTime()); date = nextDate(date)) {
+      if (!getTradingSession(date).trading) continue;
+      close += 0.5;
+      bars.push([`${date}T00:00:00+05:30`, close - 0.3, close + 1, close - 1, close, 1000]);
+    }
+    return bars;
+  },
+});
+
+// Intelligence engine: one research-queue candidate; warehouse writes succeed.
+const engineCalls = [];
+const realFetch = globalThis.fetch;
+globalThis.fetch = async (url, opts) => {
+  if (!String(url).startsWith('https://engine.test')) return realFetch(url, opts);
+  engineCalls.push(new URL(url).pathname);
+  const body = String(url).includes('/terminal')
+    ? { research_queue: [{ ticker: 'acme', instrument_key: 'NSE_EQ|INE000A01010' }] }
+    : String(url).endsWith('/import') ? { import_id: 'imp-1' } : { ok: true };
+  return { ok: true, status: 200, json: async () => body };
+};
+
+const run = await scheduler.refreshHedgeFundUpstoxCandles({ force: true });
+assert.equal(run.ok, true);
+assert.deepEqual([run.candidates, run.daily.refreshed, run.daily.failures], [1, 1, []]);
+assert.ok(run.daily.barsFed > 200, 'the daily series feeds the indicator suite');
+assert.ok(engineCalls.includes('/v1/warehouse/recalculate'));
+
+const technicals = scheduler.getHedgeFundTechnicals('ACME');
+assert.equal(technicals.daily.bars, run.daily.barsFed);
+assert.ok(technicals.daily.rsi > 50, 'a steady uptrend reads strong');
+assert.equal(technicals.intraday, undefined);
+
+const app = express();
+app.use('/api/market', createMarketRouter());
+const server = app.listen(0);
+const base = `http://127.0.0.1:${server.address().port}/api/market/hedge-fund-upstox-candles/status`;
+
+const anonymous = await realFetch(`${base}?ticker=ACME`);
+assert.equal(anonymous.status, 401, 'research-queue technicals are admin-only');
+
+const admin = { headers: { 'X-AGI-Admin-Token': 'svc-token-123' } };
+let status = await (await realFetch(`${base}?ticker=acme`, admin)).json();
+assert.deepEqual([status.ok, status.ticker, status.technicalTickers], [true, 'ACME', ['ACME']]);
+assert.deepEqual(status.technicals.daily, technicals.daily);
+status = await (await realFetch(base, admin)).json();
+assert.deepEqual([status.technicalTickers, status.technicals], [['ACME'], undefined]);
+
+server.close();
+globalThis.fetch = realFetch;
+await closeStorage();
+console.log('hedgeFundUpstoxCandles.test.js OK');
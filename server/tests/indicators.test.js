@@ -0,0 +1,155 @@
+import assert from 'node:assert/strict';
+import {
+  adx,
+  atr,
+  bollinger,
+  createDmi,
+  createIndicatorSuite,
+  createRsi,
+  createSuperTrend,
+  createVwap,
+  dmi,
+  donchian,
+  ichimoku,
+  keltner,
+  macd,
+  normalizeCandles,
+  obv,
+  pivotPoints,
+  rsi,
+  rsiSeries,
+  stochastic,
+  superTrend,
+  vwap,
+} from '../lib/indicators.js';
+
+const close = (actual, expected, tolerance = 1e-6, label = '') => {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${label} expected ${expected}, got ${actual}`);
+};
+
+// Wilder's RSI worked example (StockCharts "RSI" spreadsheet), published to 2 dp.
+const RSI_CLOSES = [
+  44.3389, 44.0902, 44.1497, 43.6124, 44.3278, 44.8264, 45.0955, 45.4245, 45.8433, 46.0826, 45.8931,
+  46.0328, 45.614, 46.282, 46.282, 46.0028, 46.0328, 46.4116, 46.2222, 45.6439, 46.2122, 46.2521, 45.7137,
+  46.4515, 45.7835, 45.3548, 44.0288, 44.1783, 44.2181, 44.5672, 43.4205, 42.6628, 43.1314,
+];
+const RSI_PUBLISHED = [
+  70.53, 66.32, 66.55, 69.41, 66.36, 57.97, 62.93, 63.26, 56.06, 62.38, 54.71, 50.42, 39.99, 41.46, 41.87,
+  45.46, 37.3, 33.08, 37.77,
+];
+const rsiValues = rsiSeries(RSI_CLOSES, 14);
+assert.equal(rsiValues[13], null);
+RSI_PUBLISHED.forEach((expected, i) => close(rsiValues[14 + i], expected, 0.01, `rsi[${14 + i}]`));
+assert.equal(rsi(RSI_CLOSES.slice(0, 14)), null);
+
+// Deterministic OHLCV fixture: 80 bars, four IST sessions of 25 bars.
+// Golden values below were produced by an independent textbook implementation.
+const bars = [];
+for (let i = 0; i < 80; i++) {
+  const c = 100 + 8 * Math.sin(i / 4) + 0.25 * i;
+  const o = i ? bars[i - 1].close : c - 0.5;
+  bars.push({
+    time: Date.UTC(2024, 0, 2 + Math.floor(i / 25), 4, i % 25),
+    open: o,
+    high: Math.max(o, c) + 0.6 + (i % 3) * 0.2,
+    low: Math.min(o, c) - 0.5 - (i % 4) * 0.15,
+    close: c,
+    volume: 1000 + (i % 5) * 250,
+  });
+}
+const closes = bars.map((b) => b.close);
+
+close(rsi(closes), 76.40213926187255, 1e-9, 'rsi');
+close(atr(bars), 3.0073104375953053, 1e-9, 'atr');
+
+const dm = dmi(bars);
+close(dm.plusDi, 37.63890993910959, 1e-9, '+DI');
+close(dm.minusDi, 11.397985923014744, 1e-9, '-DI');
+close(dm.adx, 29.39075210149444, 1e-9, 'adx');
+close(adx(bars), 29.39075210149444, 1e-9, 'adx()');
+assert.equal(adx(bars.slice(0, 27)), null, 'ADX needs 2 × period bars');
+assert.notEqual(adx(bars.slice(0, 28)), null);
+
+const st = stochastic(bars);
+close(st.k, 95.10038129781753, 1e-9, '%K');
+close(st.d, 93.25946649924062, 1e-9, '%D');
+
+const bb = bollinger(closes);
+close(bb.upper, 125.65012312467772, 1e-9, 'bb upper');
+close(bb.middle, 115.46377812686637, 1e-9, 'bb middle');
+close(bb.lower, 105.27743312905503, 1e-9, 'bb lower');
+
+const kc = keltner(bars);
+close(kc.upper, 123.05981913619385, 1e-9, 'kc upper');
+close(kc.middle, 116.88236095749458, 1e-9, 'kc middle');
+close(kc.lower, 110.70490277879532, 1e-9, 'kc lower');
+
+const dc = donchian(bars);
+close(dc.upper, 126.81882300782684, 1e-9, 'donchian upper');
+close(dc.lower, 108.45330822912626, 1e-9, 'donchian lower');
+
+assert.equal(obv(bars), 14500);
+close(vwap(bars), 122.17909023450754, 1e-9, 'session vwap');
+
+const ichi = ichimoku(bars);
+close(ichi.conversion, 117.7819074820408, 1e-9, 'tenkan');
+close(ichi.base, 117.63606561847655, 1e-9, 'kijun');
+close(ichi.spanA, 117.70898655025867, 1e-9, 'span A');
+close(ichi.spanB, 114.4294200322307, 1e-9, 'span B');
+close(ichi.cloudA, 110.74896780193018, 1e-9, 'cloud A');
+close(ichi.cloudB, 107.51632348021256, 1e-9, 'cloud B');
+
+const trend = superTrend(bars);
+assert.equal(trend.direction, 1);
+close(trend.value, 115.84038371474293, 1e-9, 'supertrend');
+
+const m = macd(closes);
+close(m.macd, 2.4972074568891287, 1e-9, 'macd');
+close(m.signal, 1.157712072307262, 1e-9, 'macd signal');
+
+// Pivot points from one bar: H 110, L 100, C 105
+assert.deepEqual(pivotPoints({ high: 110, low: 100, close: 105 }), { pp: 105, r1: 110, r2: 115, r3: 120, s1: 100, s2: 95, s3: 90 });
+const fib = pivotPoints({ high: 110, low: 100, close: 105 }, 'fibonacci');
+close(fib.r1, 108.82, 1e-9, 'fib r1');
+close(fib.s2, 98.82, 1e-9, 'fib s2');
+const cam = pivotPoints({ high: 110, low: 100, close: 105 }, 'camarilla');
+close(cam.r4, 110.5, 1e-9, 'camarilla r4');
+close(cam.s1, 105 - 11 / 12, 1e-9, 'camarilla s1');
+assert.equal(pivotPoints({ high: null, low: 1, close: 1 }), null);
+
+// Incremental updates reproduce the batch values bar by bar
+const rsiStream = createRsi(14);
+const dmiStream = createDmi(14);
+const trendStream = createSuperTrend();
+for (const bar of bars) {
+  rsiStream.update(bar.close);
+  dmiStream.update(bar);
+  trendStream.update(bar);
+}
+close(rsiStream.value, rsi(closes), 1e-12, 'stream rsi');
+close(dmiStream.value.adx, dm.adx, 1e-12, 'stream adx');
+close(trendStream.value.value, trend.value, 1e-12, 'stream supertrend');
+
+// Suite state can be resumed: feed 60 bars, then the remaining 20
+const suite = createIndicatorSuite();
+bars.slice(0, 60).forEach((bar) => suite.update(bar));
+let snap;
+for (const bar of bars.slice(60)) snap = suite.update(bar);
+assert.equal(snap.bars, 80);
+close(snap.rsi, rsi(closes), 1e-12, 'suite rsi');
+close(snap.adx, dm.adx, 1e-12, 'suite adx');
+close(snap.vwap, vwap(bars), 1e-12, 'suite vwap');
+assert.equal(snap.obv, 14500);
+close(snap.pivots.pp, (bars[79].high + bars[79].low + bars[79].close) / 3, 1e-12, 'suite pivots');
+
+// VWAP resets on a new IST session (epoch seconds accepted)
+const session = createVwap();
+session.update({ time: 1704164400, high: 10, low: 10, close: 10, volume: 1 });
+assert.equal(session.update({ time: 1704250800, high: 20, low: 20, close: 20, volume: 1 }), 20);
+
+// normalizeCandles keeps the bar time
+const norm = normalizeCandles([['2024-01-02T09:15:00+05:30', 1, 2, 0.5, 1.5, 10]]);
+assert.equal(norm[0].time, '2024-01-02T09:15:00+05:30');
+assert.equal(norm[0].close, 1.5);
+
+console.log('indicators.test.js OK');
@@ -0,0 +1,106 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'intelligence-cms-modules-test-'));
+process.env.STORAGE_BACKEND = 'sqlite';
+process.env.STORAGE_SQLITE_FILE = path.join(tmp, 'storage.sqlite');
+
+const { closeStorage } = await import('../storage/index.js');
+const { bulkUpsertEntities } = await import('../services/intelligencePlatform/entityStore.js');
+const modules = await import('../services/intelligenceCms/modules.js');
+const cms = await import('../services/intelligenceCms/store.js');
+
+const rejects = (promise, status, match) =>
+  assert.rejects(promise, (err) => err.status === status && (!match || match.test(err.message)));
+
+await bulkUpsertEntities([
+  { id: 'kkr', slug: 'kkr', name: 'KKR', entity_type: 'pe_firm' },
+  { id: 'jio', slug: 'jio', name: 'Jio', entity_type: 'company' },
+]);
+
+// Built-ins are listed read-only next to runtime modules
+assert.ok((await modules.listModules()).some((m) => m.id === 'valuation_monitor' && m.builtin));
+await rejects(modules.updateModule('transactions', { label: 'Deals' }), 403);
+
+// Definitions are validated
+const columns = [
+  { key: 'name', label: 'Company', required: true },
+  { key: 'deal_date', label: 'Deal date', type: 'date', min: '2000-01-01' },
+  { key: 'ev_ebitda', label: 'EV/EBITDA', type: 'number', min: 0 },
+  { key: 'stage', label: 'Stage', type: 'enum', options: 'Seed, Series A, Growth' },
+  { key: 'size', label: 'Deal size', type: 'currency', currency: 'inr' },
+  { key: 'investor', label: 'Lead investor', type: 'reference', entityTypes: ['pe_firm'] },
+];
+await rejects(modules.createModule({ label: 'Bad', columns: [{ key: 'x', type: 'enum' }] }), 400, /need options/);
+await rejects(modules.createModule({ label: 'Bad', columns: [{ key: 'x' }, { key: 'x' }] }), 400, /Duplicate/);
+await rejects(modules.createModule({ label: 'Bad', columns: [{ key: 'status' }] }), 400, /reserved/);
+await rejects(modules.createModule({ label: 'Bad', columns: [{ key: 'x', type: 'money' }] }), 400, /unknown type/);
+await rejects(modules.createModule({ label: 'Bad', columns: [] }), 400);
+await rejects(modules.createModule({ label: 'Entities', columns }), 409, /Slug/);
+await rejects(modules.createModule({ id: 'transactions', label: 'Deals', columns }), 409);
+
+const mod = await modules.createModule({ label: 'India Growth Deals', publicPath: '/private-markets#growth', columns }, 'editor');
+assert.equal(mod.id, 'india_growth_deals');
+assert.equal(mod.slug, 'india-growth-deals');
+assert.equal(mod.columns.find((c) => c.key === 'size').currency, 'INR');
+assert.deepEqual(mod.columns.find((c) => c.key === 'stage').options, ['Seed', 'Series A', 'Growth']);
+assert.equal((await modules.getModuleBySlug('india-growth-deals')).id, mod.id);
+await rejects(modules.createModule({ label: 'India Growth Deals', columns }), 409);
+
+// Records are typed on write
+const record = await cms.createRecord(mod.id, {
+  status: 'published',
+  data: { name: 'Jio', deal_date: '2024-03-05', ev_ebitda: '1,250.5', stage: 'series a', size: '₹ 4,500', investor: 'kkr' },
+}, 'editor');
+assert.deepEqual(record.data, {
+  name: 'Jio',
+  deal_date: '2024-03-05',
+  ev_ebitda: 1250.5,
+  stage: 'Series A',
+  size: 4500,
+  investor: { id: 'kkr', slug: 'kkr', name: 'KKR', entity_type: 'pe_firm' },
+});
+
+await assert.rejects(
+  cms.createRecord(mod.id, { data: { ev_ebitda: 'abc', stage: 'Buyout', investor: 'jio', deal_date: '1999-12-31', extra: 1 } }),
+  (err) => err.status === 400 && err.errors.map((e) => e.field).sort().join() === 'deal_date,ev_ebitda,extra,investor,stage',
+);
+// Required fields apply once a record leaves draft
+const draft = await cms.createRecord(mod.id, { data: { ev_ebitda: '' } });
+assert.equal(draft.data.ev_ebitda, null);
+await rejects(cms.createRecord(mod.id, { status: 'published', data: {} }), 400, /Company is required/);
+await rejects(cms.updateRecord(draft.id, { status: 'published' }), 400, /Company is required/);
+const published = await cms.updateRecord(draft.id, { status: 'published', data: { name: 'Lenskart', ev_ebitda: '18' } });
+assert.equal(published.data.ev_ebitda, 18);
+await rejects(cms.updateRecord(draft.id, { status: 'live' }), 400);
+
+// CSV import enforces the schema for the whole file
+await rejects(cms.importModuleCsv(mod.id, 'name,valuation\nA,1', 'editor'), 400, /Unknown column/);
+await assert.rejects(
+  cms.importModuleCsv(mod.id, 'name,ev_ebitda,investor,status\nA,12,kkr,published\nB,n/a,nobody,published', 'editor'),
+  (err) => err.status === 400 && err.errors.every((e) => e.row === 3) && /row 3/.test(err.message),
+);
+assert.equal((await cms.listRecords(mod.id)).length, 2);
+assert.deepEqual(await cms.importModuleCsv(mod.id, 'name,ev_ebitda,investor,status\nA,12,kkr,published\nB,9.5,,draft', 'editor'), { imported: 2 });
+const csv = await cms.exportModuleCsv(mod.id);
+assert.match(csv.split('\n')[0], /^name,deal_date,ev_ebitda,stage,size,investor,status$/);
+assert.ok(csv.includes('"A","","12","","","kkr",published'));
+
+// Definition changes; deleting is only allowed once the module is empty
+const updated = await modules.updateModule(mod.id, { columns: [...columns, { key: 'notes', type: 'textarea', maxLength: 20 }] }, 'editor');
+assert.equal(updated.columns.length, 7);
+await rejects(cms.createRecord(mod.id, { data: { notes: 'x'.repeat(21) } }), 400, /at most 20/);
+await rejects(modules.deleteModule(mod.id), 409);
+const empty = await modules.createModule({ label: 'Scratch', columns: [{ key: 'title' }] });
+assert.equal(await modules.deleteModule(empty.id), true);
+assert.equal(await modules.getModule(empty.id), null);
+
+// Disabled modules take no new records
+await modules.updateModule(mod.id, { enabled: false });
+await rejects(cms.createRecord(mod.id, { data: { name: 'X' } }), 400, /not enabled/);
+
+await closeStorage();
+fs.rmSync(tmp, { recursive: true, force: true });
+console.log('intelligenceCmsModules.test.js OK');
@@ -0,0 +1,127 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'intelligence-cms-review-test-'));
+process.env.STORAGE_BACKEND = 'sqlite';
+process.env.STORAGE_SQLITE_FILE = path.join(tmp, 'storage.sqlite');
+
+const { closeStorage } = await import('../storage/index.js');
+const modules = await import('../services/intelligenceCms/modules.js');
+const cms = await import('../services/intelligenceCms/store.js');
+const review = await import('../services/intelligenceCms/review.js');
+
+const rejects = (promise, status, match) =>
+  assert.rejects(promise, (err) => err.status === status && (!match || match.test(err.message)));
+const kinds = async (id) => (await review.listReviewEvents(id)).map((e) => e.kind);
+
+const mod = await modules.createModule({
+  label: 'Fund Notes',
+  requireReview: true,
+  columns: [
+    { key: 'fund', label: 'Fund', required: true },
+    { key: 'irr', label: 'Net IRR', type: 'percent' },
+  ],
+});
+assert.equal(mod.requireReview, true);
+
+// Review-required modules cannot publish by edit, create or direct publish
+await rejects(cms.createRecord(mod.id, { status: 'published', data: { fund: 'KKR Asia IV' } }), 409, /approving a review/);
+await rejects(cms.createRecord(mod.id, { status: 'review', data: { fund: 'KKR Asia IV' } }), 409, /Submit the record/);
+const draft = await cms.createRecord(mod.id, { data: { irr: '18%' } }, 'writer@agi.in');
+await rejects(cms.updateRecord(draft.id, { status: 'published' }, 'writer@agi.in'), 409, /approving a review/);
+await rejects(review.publishRecord(draft.id, 'writer@agi.in'), 409);
+
+// Submit: required fields apply, the reviewer cannot be the submitter
+await rejects(review.submitForReview(draft.id, { reviewer: 'editor@agi.in' }, 'writer@agi.in'), 400, /Fund is required/);
+await cms.updateRecord(draft.id, { data: { fund: 'KKR Asia IV', irr: '18%' } }, 'writer@agi.in');
+await rejects(review.submitForReview(draft.id, { reviewer: 'Writer@agi.in' }, 'writer@agi.in'), 400, /other than the submitter/);
+let record = await review.submitForReview(draft.id, { note: 'First pass' }, 'writer@agi.in');
+assert.equal(record.status, 'review');
+assert.equal(record.review.requested_by, 'writer@agi.in');
+await rejects(review.submitForReview(draft.id, {}, 'writer@agi.in'), 409, /Only drafts/);
+// Edits cannot smuggle a status change or a decision past the review
+await rejects(cms.updateRecord(draft.id, { status: 'published' }), 409, /awaiting review/);
+record = await cms.updateRecord(draft.id, { data: { fund: 'KKR Asia Fund IV', irr: '18%' }, review: { decision: 'approved' } }, 'writer@agi.in');
+assert.equal(record.review.decision, null);
+
+// Nobody assigned: anyone but the submitter decides; once assigned, only the reviewer
+await rejects(review.approveRecord(draft.id, {}, 'writer@agi.in'), 403, /own changes/);
+const versionBeforeAssign = record.version;
+record = await review.assignReviewer(draft.id, 'editor@agi.in', 'lead@agi.in');
+assert.equal(record.review.reviewer, 'editor@agi.in');
+assert.equal(record.version, versionBeforeAssign);
+await rejects(review.assignReviewer(draft.id, 'writer@agi.in', 'lead@agi.in'), 400);
+await rejects(review.approveRecord(draft.id, {}, 'lead@agi.in'), 403, /editor@agi.in/);
+assert.deepEqual((await review.listReviewQueue({ reviewer: 'EDITOR@agi.in' })).map((r) => r.id), [draft.id]);
+assert.equal((await review.listReviewQueue({ reviewer: 'lead@agi.in' })).length, 0);
+
+// Comments, anchored to a field or not
+await review.addReviewComment(draft.id, { body: 'Source for the IRR?', field: 'irr' }, 'editor@agi.in');
+await rejects(review.addReviewComment(draft.id, { body: 'x', field: 'nav' }, 'editor@agi.in'), 400, /Unknown field/);
+await rejects(review.addReviewComment(draft.id, { body: '  ' }, 'editor@agi.in'), 400);
+
+// Reject needs a reason and returns the record to draft
+await rejects(review.rejectRecord(draft.id, {}, 'editor@agi.in'), 400, /reason/);
+record = await review.rejectRecord(draft.id, { reason: 'IRR is gross, not net' }, 'editor@agi.in');
+assert.equal(record.status, 'draft');
+assert.equal(record.review.decision, 'rejected');
+assert.equal(record.review.reason, 'IRR is gross, not net');
+
+// Resubmit, approve → published
+await cms.updateRecord(draft.id, { data: { fund: 'KKR Asia Fund IV', irr: '15.5' } }, 'writer@agi.in');
+await review.submitForReview(draft.id, { reviewer: 'editor@agi.in' }, 'writer@agi.in');
+record = await review.approveRecord(draft.id, { note: 'Checked against the LP letter' }, 'editor@agi.in');
+assert.equal(record.status, 'published');
+assert.ok(record.published_at);
+assert.equal(record.review.decided_by, 'editor@agi.in');
+await rejects(review.approveRecord(draft.id, {}, 'editor@agi.in'), 409, /not awaiting review/);
+assert.deepEqual(await kinds(draft.id), ['submitted', 'assigned', 'comment', 'rejected', 'submitted', 'approved']);
+
+// Diffs: latest against the one before by default, every field side by side
+let diff = await review.diffVersions(draft.id);
+assert.equal(diff.to.version, record.version);
+assert.deepEqual(diff.fields.filter((f) => f.changed).map((f) => f.key), ['status']);
+const versions = await cms.getRecordVersions(draft.id);
+const first = versions[versions.length - 1].version;
+diff = await review.diffVersions(draft.id, { from: first, to: record.version });
+const irr = diff.fields.find((f) => f.key === 'irr');
+assert.deepEqual([irr.label, irr.before, irr.after, irr.changed], ['Net IRR', 18, 15.5, true]);
+assert.deepEqual(diff.fields.find((f) => f.key === 'fund'), {
+  section: 'data', key: 'fund', label: 'Fund', type: 'text', before: '', after: 'KKR Asia Fund IV', changed: true,
+});
+assert.equal((await review.diffVersions(draft.id, { from: first, to: first })).changed, 0);
+await rejects(review.diffVersions(draft.id, { from: 99 }), 404, /No version 99/);
+assert.equal(await review.diffVersions('missing'), null);
+
+// Rollback restores content as a new version and keeps the status
+const withFund = versions.find((v) => v.snapshot.data.fund === 'KKR Asia IV').version;
+record = await review.rollbackRecord(draft.id, withFund, 'editor@agi.in');
+assert.equal(record.data.fund, 'KKR Asia IV');
+assert.equal(record.data.irr, 18);
+assert.equal(record.status, 'published');
+assert.equal(record.version, versions[0].version + 1);
+await rejects(review.rollbackRecord(draft.id, record.version, 'editor@agi.in'), 409, /already current/);
+await rejects(review.rollbackRecord(draft.id, 99, 'editor@agi.in'), 404);
+await rejects(review.rollbackRecord(draft.id, undefined, 'editor@agi.in'), 400);
+assert.equal((await kinds(draft.id)).at(-1), 'rolled_back');
+
+// Modules without required review still publish directly, with the publish on record
+const [row] = await cms.listRecords('valuation_monitor', { status: 'review' });
+await rejects(review.publishRecord(row.id, 'lead@agi.in'), 409, /awaiting review/);
+record = await review.approveRecord(row.id, {}, 'lead@agi.in');
+assert.equal(record.status, 'published');
+const fresh = await cms.createRecord('valuation_monitor', { data: { company: 'Nykaa' } }, 'writer@agi.in');
+assert.equal((await review.publishRecord(fresh.id, 'writer@agi.in')).status, 'published');
+assert.deepEqual(await kinds(fresh.id), ['published']);
+
+// CSV rows cannot land in review or skip a required review
+await assert.rejects(
+  cms.importModuleCsv(mod.id, 'fund,status\nBain Asia V,published', 'writer@agi.in'),
+  (err) => err.status === 400 && err.errors[0].row === 2 && err.errors[0].field === 'status',
+);
+
+await closeStorage();
+fs.rmSync(tmp, { recursive: true, force: true });
+console.log('intelligenceCmsReview.test.js OK');
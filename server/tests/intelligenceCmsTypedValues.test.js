@@ -0,0 +1,117 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'intelligence-cms-typed-test-'));
+process.env.STORAGE_BACKEND = 'sqlite';
+process.env.STORAGE_SQLITE_FILE = path.join(tmp, 'storage.sqlite');
+
+const { closeStorage } = await import('../storage/index.js');
+const { coerceValue } = await import('../services/intelligenceCms/schema.js');
+const modules = await import('../services/intelligenceCms/modules.js');
+const cms = await import('../services/intelligenceCms/store.js');
+
+const rejects = (promise, status, match) =>
+  assert.rejects(promise, (err) => err.status === status && (!match || match.test(err.message)));
+const coerce = async (field, raw) => {
+  const { value, error } = await coerceValue(field, raw);
+  return error ? `error: ${error}` : value;
+};
+
+// Multiples, percentages and placeholders
+const multiple = { key: 'm', label: 'EV/EBITDA', type: 'multiple' };
+assert.equal(await coerce(multiple, '12.4x'), 12.4);
+assert.equal(await coerce(multiple, '18 ×'), 18);
+assert.equal(await coerce(multiple, 7), 7);
+assert.equal(await coerce(multiple, '—'), null);
+assert.equal(await coerce(multiple, 'NM'), null);
+assert.match(await coerce(multiple, 'twelve'), /multiple/);
+assert.equal(await coerce({ key: 'g', label: 'Growth', type: 'percent' }, '-3.5%'), -3.5);
+
+// Amounts: Indian and international units, currency marks, stored unit
+const inr = { key: 'v', label: 'Deal value', type: 'currency', currency: 'INR', unit: 'crore' };
+assert.equal(await coerce(inr, '₹1,200 crore'), 1200);
+assert.equal(await coerce(inr, 'Rs 45 lakh'), 0.45);
+assert.equal(await coerce(inr, 'INR 1.5bn'), 150);
+assert.equal(await coerce(inr, '350'), 350);
+assert.match(await coerce(inr, '$4.8B'), /is in USD; this column is INR/);
+const usd = { key: 'v', label: 'EV', type: 'currency', currency: 'USD', unit: 'mn' };
+assert.equal(await coerce(usd, '$4.8B'), 4800);
+assert.equal(await coerce(usd, 'US$950M'), 950);
+assert.equal(await coerce(usd, '2.5 bn USD'), 2500);
+assert.equal(await coerce({ ...usd, unit: undefined }, '$1.2mn'), 1200000);
+assert.equal(await coerce({ key: 'n', label: 'N', type: 'number' }, '3.2k'), 3200);
+assert.match(await coerce(usd, '4.8 gazillion'), /amount in USD mn/);
+
+// Dates: ISO, day-first, written out
+const date = { key: 'd', label: 'Date', type: 'date' };
+assert.equal(await coerce(date, '2026-07-30'), '2026-07-30');
+assert.equal(await coerce(date, '05/03/2024'), '2024-03-05');
+assert.equal(await coerce(date, '30 Jul 2026'), '2026-07-30');
+assert.match(await coerce(date, '31/02/2024'), /date/);
+
+// Definitions accept the new types and a stored unit
+await rejects(modules.createModule({ label: 'Bad', columns: [{ key: 'v', type: 'currency', unit: 'gazillion' }] }), 400, /unit/);
+const deals = await modules.createModule({
+  label: 'India Deals',
+  columns: [
+    { key: 'target', label: 'Target', required: true },
+    { key: 'value', label: 'Value', type: 'currency', currency: 'INR', unit: 'crore' },
+    { key: 'ev_ebitda', label: 'EV/EBITDA', type: 'multiple' },
+  ],
+});
+assert.equal(deals.columns[1].unit, 'crore');
+
+// Seeded built-in rows were typed in place
+const valuation = await cms.listRecords('valuation_monitor');
+const saas = valuation.find((r) => r.data.company === 'Enterprise SaaS Platform');
+assert.deepEqual(
+  [saas.data.ev_revenue, saas.data.ev_ebitda, saas.data.pe_ratio, saas.data.growth, saas.data.margin],
+  [8.2, 22.4, null, 14, 28],
+);
+const transactions = await cms.listRecords('transactions');
+const dataCenter = transactions.find((r) => r.data.target === 'Data Center Platform');
+assert.deepEqual([dataCenter.data.date, dataCenter.data.enterprise_value, dataCenter.data.deal_value], ['2026-07-28', 13000, 12500]);
+
+// Sorting and range filters
+let rows = await cms.listRecords('valuation_monitor', { sort: '-ev_ebitda' });
+assert.deepEqual(rows.map((r) => r.data.ev_ebitda), [22.4, 16.8, 12.1]);
+rows = await cms.listRecords('valuation_monitor', { sort: 'pe_ratio' });
+assert.deepEqual(rows.map((r) => r.data.pe_ratio), [18, null, null]);
+rows = await cms.listRecords('valuation_monitor', { ranges: { ev_ebitda: { min: '15x', max: '20' } } });
+assert.deepEqual(rows.map((r) => r.data.company), ['Regional Healthcare Services']);
+rows = await cms.listRecords('transactions', { ranges: { deal_value: { min: '$3bn' } }, sort: 'deal_value' });
+assert.deepEqual(rows.map((r) => r.data.deal_value), [3400, 4200, 12500]);
+rows = await cms.listRecords('transactions', { ranges: { date: { max: '26/07/2026' } }, sort: '-date', limit: 2 });
+assert.deepEqual(rows.map((r) => r.data.date), ['2026-07-26', '2026-07-25']);
+await rejects(cms.listRecords('transactions', { sort: 'nope' }), 400, /Unknown sort column/);
+await rejects(cms.listRecords('transactions', { ranges: { buyer: { min: 'A' } } }), 400, /cannot be range-filtered/);
+await rejects(cms.listRecords('transactions', { ranges: { deal_value: { min: 'lots' } } }), 400, /min_deal_value/);
+
+// Import: a dry run reports every failing row without writing; a real import is all-or-nothing
+const csv = [
+  'target,value,ev_ebitda,status',
+  'Lenskart,"₹4,500 crore",18.2x,published',
+  'Zepto,$1.2bn,n/a,published',
+  ',900,abc,published',
+  'Nykaa,12 lakh,,draft',
+].join('\n');
+const report = await cms.importModuleCsv(deals.id, csv, 'editor', { dryRun: true });
+assert.equal(report.dry_run, true);
+assert.equal(report.rows, 4);
+assert.equal(report.valid, 2);
+assert.deepEqual(report.errors.map((e) => [e.row, e.field]), [[3, 'value'], [4, 'target'], [4, 'ev_ebitda']]);
+assert.equal((await cms.listRecords(deals.id)).length, 0);
+await assert.rejects(
+  cms.importModuleCsv(deals.id, csv, 'editor'),
+  (err) => err.status === 400 && /row 3: Value is in USD/.test(err.message) && err.errors.length === 3,
+);
+assert.equal((await cms.listRecords(deals.id)).length, 0);
+assert.deepEqual(await cms.importModuleCsv(deals.id, csv.split('\n').filter((_, i) => i !== 2 && i !== 3).join('\n'), 'editor'), { imported: 2 });
+rows = await cms.listRecords(deals.id, { sort: 'value' });
+assert.deepEqual(rows.map((r) => r.data.value), [0.12, 4500]);
+
+await closeStorage();
+fs.rmSync(tmp, { recursive: true, force: true });
+console.log('intelligenceCmsTypedValues.test.js OK');
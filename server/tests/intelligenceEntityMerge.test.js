@@ -0,0 +1,110 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'intelligence-merge-test-'));
+process.env.STORAGE_BACKEND = 'sqlite';
+process.env.STORAGE_SQLITE_FILE = path.join(tmp, 'storage.sqlite');
+
+const { closeStorage, storage } = await import('../storage/index.js');
+const { bulkUpsertEntities, getEntityById, getEntityBySlug, resolveMergedEntity, upsertEntity } = await import('../services/intelligencePlatform/entityStore.js');
+const { bulkAddRelationships, entityRelationshipRows } = await import('../services/intelligencePlatform/relationshipStore.js');
+const { bulkAddTimelineEvents, listTimelineEvents } = await import('../services/intelligencePlatform/timelineService.js');
+const { searchEntities } = await import('../services/intelligencePlatform/searchIndex.js');
+const { shortestPaths } = await import('../services/intelligencePlatform/graphAnalytics.js');
+const dedup = await import('../services/intelligencePlatform/entityDedup.js');
+
+const entity = (id, name, entity_type, extra = {}) => ({ id, slug: id, name, entity_type, ...extra });
+await bulkUpsertEntities([
+  entity('kkr', 'KKR', 'pe_firm', { metadata: { website: 'https://www.kkr.com', hq: 'New York' }, tags: ['buyout'] }),
+  entity('kohlberg-kravis-roberts', 'Kohlberg Kravis Roberts', 'pe_firm', { description: 'Global investment firm.', metadata: { founded: 1976 } }),
+  entity('kkr-co', 'KKR & Co. Inc.', 'general_partner', { metadata: { website: 'kkr.com' }, tags: ['listed'] }),
+  entity('kkr-asia-fund', 'KKR Asia Fund IV', 'fund'),
+  entity('bain-capital', 'Bain Capital', 'pe_firm', { metadata: { website: 'baincapital.com' } }),
+  entity('bain-company', 'Bain & Company', 'pe_firm', { metadata: { website: 'bain.com' } }),
+  entity('jio', 'Jio Platforms', 'company'),
+  entity('lenskart', 'Lenskart', 'company'),
+]);
+const rel = (from, to, type) => ({ from_entity_id: from, to_entity_id: to, relation_type: type });
+await bulkAddRelationships([
+  rel('kkr', 'jio', 'INVESTED_IN'),
+  rel('kkr-co', 'jio', 'INVESTED_IN'),
+  rel('kkr-co', 'lenskart', 'INVESTED_IN'),
+  rel('kohlberg-kravis-roberts', 'kkr-asia-fund', 'MANAGES'),
+  rel('kkr', 'kkr-co', 'RELATED_TO'),
+]);
+await bulkAddTimelineEvents([
+  { entity_id: 'kkr', event_type: 'fund', title: 'Asia IV close', occurred_at: '2021-01-01T00:00:00.000Z' },
+  { entity_id: 'kkr-co', event_type: 'fund', title: 'Asia IV close', occurred_at: '2021-01-01T00:00:00.000Z' },
+  { entity_id: 'kkr-co', event_type: 'listing', title: 'NYSE listing', occurred_at: '2010-07-15T00:00:00.000Z' },
+]);
+
+// Candidates: acronym, legal suffix + shared domain; different websites push a pair out
+let { candidates } = await dedup.findDuplicateCandidates();
+const pairs = candidates.map((c) => c.entities.map((e) => e.id).sort().join('+'));
+assert.ok(pairs.includes('kkr+kkr-co'));
+assert.ok(pairs.includes('kkr+kohlberg-kravis-roberts'));
+assert.ok(!pairs.some((p) => p.includes('kkr-asia-fund')));
+assert.ok(!pairs.includes('bain-capital+bain-company'));
+const top = candidates.find((c) => c.id === 'kkr|kkr-co');
+assert.equal(top.suggested_survivor, 'kkr-co'); // better connected
+assert.ok(top.reasons.some((r) => r.includes('same website domain kkr.com')));
+assert.ok(top.reasons.some((r) => r.includes('1 shared relationship')));
+assert.ok(top.score > candidates.find((c) => c.id === 'kkr|kohlberg-kravis-roberts').score);
+
+// Dismissed pairs leave the queue
+await dedup.dismissDuplicate(['kohlberg-kravis-roberts', 'kkr-co']);
+({ candidates } = await dedup.findDuplicateCandidates());
+assert.ok(!candidates.some((c) => c.id === 'kkr-co|kohlberg-kravis-roberts'));
+await assert.rejects(() => dedup.dismissDuplicate(['kkr']), (err) => err.status === 400);
+
+// Merge: relationships and timeline re-pointed without duplicates or self-loops
+const merged = await dedup.mergeEntities('kkr', ['kkr-co', 'kohlberg-kravis-roberts'], { actor: 'admin@agi' });
+assert.deepEqual(merged.relationships, { moved: 2, removed: 2 });
+assert.deepEqual(merged.timeline, { moved: 1, removed: 1 });
+assert.deepEqual(merged.redirects.map((r) => r.from).sort(), ['kkr-co', 'kohlberg-kravis-roberts']);
+const rows = await entityRelationshipRows('kkr');
+assert.deepEqual(rows.map((r) => `${r.relation_type}:${r.to_entity_id}`).sort(), ['INVESTED_IN:jio', 'INVESTED_IN:lenskart', 'MANAGES:kkr-asia-fund']);
+assert.equal((await listTimelineEvents('kkr')).length, 2);
+
+const survivor = await getEntityById('kkr');
+assert.deepEqual(survivor.aliases, ['KKR & Co. Inc.', 'Kohlberg Kravis Roberts']);
+assert.equal(survivor.description, 'Global investment firm.');
+assert.deepEqual(survivor.metadata, { founded: 1976, website: 'https://www.kkr.com', hq: 'New York' });
+assert.deepEqual(survivor.tags, ['buyout', 'listed']);
+assert.equal(survivor.merged_from.length, 2);
+const tombstone = await getEntityBySlug('kohlberg-kravis-roberts');
+assert.equal(tombstone.status, 'merged');
+assert.equal((await resolveMergedEntity(tombstone)).id, 'kkr');
+
+// Search and graph follow the merge
+assert.deepEqual((await searchEntities('kohlberg')).hits.map((h) => h.id), ['kkr']);
+assert.equal((await shortestPaths('kkr', 'lenskart')).length, 1);
+assert.equal(await shortestPaths('kkr-co', 'lenskart'), null);
+
+// Later writes that use merged-away slugs or ids land on the survivor
+await bulkUpsertEntities([entity('kohlberg-kravis-roberts', 'Kohlberg Kravis Roberts & Co.', 'pe_firm', { metadata: { aum: '$600B' } })]);
+await upsertEntity({ name: 'KKR & Co', slug: 'kkr-co', entity_type: 'pe_firm', tags: ['nyse'] });
+await bulkAddRelationships([rel('kkr-co', 'bain-capital', 'COMPETES_WITH')]);
+const after = await getEntityById('kkr');
+assert.equal(after.name, 'KKR');
+assert.equal(after.metadata.aum, '$600B');
+assert.ok(after.tags.includes('nyse'));
+assert.ok(after.aliases.includes('Kohlberg Kravis Roberts & Co.'));
+assert.equal((await getEntityBySlug('kohlberg-kravis-roberts')).status, 'merged');
+assert.ok((await entityRelationshipRows('kkr')).some((r) => r.to_entity_id === 'bain-capital'));
+assert.equal((await storage.find('platform_entities', { where: { slug: 'kkr-co-1' } })).length, 0);
+
+// Bad merges are rejected; chained merges re-point older tombstones
+await assert.rejects(() => dedup.mergeEntities('kkr', ['kkr-co']), (err) => err.status === 409);
+await assert.rejects(() => dedup.mergeEntities('kkr', ['jio']), (err) => err.status === 400);
+await assert.rejects(() => dedup.mergeEntities('kkr', []), (err) => err.status === 400);
+await assert.rejects(() => dedup.mergeEntities('kkr-co', ['bain-capital']), (err) => err.status === 404);
+const chained = await dedup.mergeEntities('bain-capital', ['kkr']);
+assert.deepEqual(chained.redirects.map((r) => r.from).sort(), ['kkr', 'kkr-co', 'kohlberg-kravis-roberts']);
+assert.equal((await getEntityBySlug('kkr-co')).merged_into, 'bain-capital');
+
+await closeStorage();
+fs.rmSync(tmp, { recursive: true, force: true });
+console.log('intelligenceEntityMerge.test.js OK');
@@ -0,0 +1,105 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'intelligence-graph-test-'));
+process.env.STORAGE_BACKEND = 'sqlite';
+process.env.STORAGE_SQLITE_FILE = path.join(tmp, 'storage.sqlite');
+
+const { closeStorage } = await import('../storage/index.js');
+const { bulkUpsertEntities } = await import('../services/intelligencePlatform/entityStore.js');
+const { addRelationship, bulkAddRelationships } = await import('../services/intelligencePlatform/relationshipStore.js');
+const graph = await import('../services/intelligencePlatform/graphAnalytics.js');
+
+const entity = (id, entity_type, extra = {}) => ({ id, slug: id, name: id.toUpperCase(), entity_type, ...extra });
+await bulkUpsertEntities([
+  entity('kkr', 'pe_firm'),
+  entity('kkr-asia-iv', 'fund'),
+  entity('tpg', 'pe_firm'),
+  entity('tpg-rise', 'fund'),
+  entity('bain', 'pe_firm'),
+  entity('jio', 'company'),
+  entity('lenskart', 'company'),
+  entity('ola', 'company'),
+  entity('vc-one', 'investor'),
+  entity('vc-two', 'investor'),
+  entity('startup', 'company'),
+  entity('person', 'person'),
+  entity('hidden', 'company', { status: 'draft' }),
+]);
+const rel = (from, to, type) => ({ from_entity_id: from, to_entity_id: to, relation_type: type });
+await bulkAddRelationships([
+  rel('kkr', 'kkr-asia-iv', 'MANAGES'),
+  rel('kkr-asia-iv', 'jio', 'INVESTED_IN'),
+  rel('kkr', 'lenskart', 'INVESTED_IN'),
+  rel('kkr', 'jio', 'OWNS'),
+  rel('tpg', 'tpg-rise', 'MANAGES'),
+  rel('tpg-rise', 'jio', 'INVESTED_IN'),
+  rel('tpg-rise', 'lenskart', 'OWNS'),
+  rel('bain', 'lenskart', 'INVESTED_IN'),
+  rel('bain', 'ola', 'INVESTED_IN'),
+  rel('person', 'bain', 'WORKS_AT'),
+  rel('vc-one', 'startup', 'INVESTED_IN'),
+  rel('vc-two', 'startup', 'INVESTED_IN'),
+  rel('vc-one', 'vc-two', 'PARTNERED_WITH'),
+  rel('kkr', 'hidden', 'INVESTED_IN'),
+]);
+
+// Shortest paths: every equal-length route, in walk order, with edge direction kept
+let result = await graph.shortestPaths('kkr', 'ola');
+assert.equal(result.found, true);
+assert.equal(result.length, 3);
+assert.deepEqual(result.paths.map((p) => p.nodes.map((n) => n.id)), [['kkr', 'lenskart', 'bain', 'ola']]);
+assert.deepEqual(result.paths[0].edges[1], { from: 'bain', to: 'lenskart', relation_type: 'INVESTED_IN', label: 'INVESTED IN' });
+result = await graph.shortestPaths('kkr', 'tpg-rise');
+assert.equal(result.length, 2);
+assert.deepEqual(result.paths.map((p) => p.nodes[1].id).sort(), ['jio', 'lenskart']);
+assert.equal((await graph.shortestPaths('kkr', 'startup')).found, false);
+assert.equal((await graph.shortestPaths('kkr', 'ola', { maxDepth: 2 })).found, false);
+assert.equal((await graph.shortestPaths('kkr', 'ola', { relationTypes: ['MANAGES', 'WORKS_AT'] })).found, false);
+assert.equal(await graph.shortestPaths('kkr', 'hidden'), null);
+await assert.rejects(() => graph.shortestPaths('kkr', 'kkr'), (err) => err.status === 400);
+assert.throws(() => graph.parseRelationTypes('invested_in,NOPE'), (err) => err.status === 400);
+assert.deepEqual(graph.parseRelationTypes('owns, invested_in'), ['INVESTED_IN', 'OWNS']);
+
+// Co-investors roll fund investments up to the managing firm
+result = await graph.coInvestors('kkr');
+assert.equal(result.investments, 2);
+assert.deepEqual(result.co_investors.map((c) => [c.id, c.shared_count]), [['tpg', 2], ['bain', 1]]);
+assert.deepEqual(result.co_investors[0].via, ['TPG-RISE']);
+assert.deepEqual((await graph.coInvestors('vc-one')).co_investors.map((c) => c.id), ['vc-two']);
+
+// Centrality: ranked per entity type; isolated entities are not ranked
+result = await graph.centralityRankings({ metric: 'betweenness' });
+assert.equal(result.rankings.company[0].id, 'lenskart');
+assert.equal(result.rankings.pe_firm[0].id, 'bain');
+assert.equal(result.approximate, false);
+result = await graph.centralityRankings({ metric: 'degree', entityType: 'pe_firm', limit: 2 });
+assert.deepEqual(Object.keys(result.rankings), ['pe_firm']);
+assert.equal(result.rankings.pe_firm.length, 2);
+const pagerank = await graph.centralityRankings({ metric: 'pagerank' });
+const total = Object.values(pagerank.rankings).flat().reduce((sum, r) => sum + r.score, 0);
+assert.ok(Math.abs(total - 1) < 1e-3);
+await assert.rejects(() => graph.centralityRankings({ metric: 'closeness' }), (err) => err.status === 400);
+
+// Communities: the two disconnected clusters never share a community
+result = await graph.detectCommunities({ minSize: 1 });
+assert.ok(result.modularity > 0.2);
+const communityOf = (id) => result.communities.find((c) => c.members.some((m) => m.id === id)).id;
+assert.equal(communityOf('vc-one'), communityOf('startup'));
+assert.notEqual(communityOf('vc-one'), communityOf('kkr'));
+assert.equal(communityOf('person'), communityOf('bain'));
+
+const position = await graph.entityNetworkPosition('lenskart');
+assert.equal(position.centrality.betweenness.rank, 1);
+assert.equal(position.centrality.degree.of, 4);
+assert.ok(!position.community.members.some((m) => m.id === 'lenskart'));
+
+// Relationship writes invalidate the cached snapshot
+await addRelationship({ fromEntityId: 'bain', toEntityId: 'startup', relationType: 'INVESTED_IN' });
+assert.equal((await graph.shortestPaths('kkr', 'startup')).length, 3);
+
+await closeStorage();
+fs.rmSync(tmp, { recursive: true, force: true });
+console.log('intelligenceGraphAnalytics.test.js OK');
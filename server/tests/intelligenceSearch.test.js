@@ -0,0 +1,73 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'intelligence-search-test-'));
+process.env.STORAGE_BACKEND = 'sqlite';
+process.env.STORAGE_SQLITE_FILE = path.join(tmp, 'storage.sqlite');
+
+const { closeStorage } = await import('../storage/index.js');
+const { bulkUpsertEntities, upsertEntity, updateEntity } = await import('../services/intelligencePlatform/entityStore.js');
+const { addRelationship } = await import('../services/intelligencePlatform/relationshipStore.js');
+const { searchEntities, searchIndexStatus } = await import('../services/intelligencePlatform/searchIndex.js');
+const { universalSearch, searchSuggestions } = await import('../services/intelligencePlatform/searchService.js');
+const { computeIntelligenceScore, computeIntelligenceScores } = await import('../services/intelligencePlatform/intelligenceScoreService.js');
+
+const [blackstone, , , mm] = await bulkUpsertEntities([
+  { slug: 'blackstone', name: 'Blackstone', entity_type: 'pe_firm', description: 'Global alternative asset manager.', tags: ['buyout'], metadata: { hq: 'New York' } },
+  { slug: 'blackrock', name: 'BlackRock', entity_type: 'investor', description: 'Asset manager with a stake in Blackstone deals.' },
+  { slug: 'kedaara-capital', name: 'Kedaara Capital', entity_type: 'pe_firm', description: 'India-focused private equity.', tags: ['india', 'buyout'] },
+  { slug: 'mahindra-and-mahindra', name: 'Mahindra and Mahindra', entity_type: 'company', metadata: { ticker: 'M&M', industry: 'Automobiles' }, aliases: ['M and M'] },
+  { slug: 'kedaara-fund-iii', name: 'Kedaara Capital Fund III', entity_type: 'fund', description: 'Third fund.' },
+  { slug: 'draft-firm', name: 'Blackstone Draft', entity_type: 'pe_firm', status: 'draft' },
+]);
+
+// BM25 with field boosts: a name match outranks a description mention; drafts are not indexed
+let result = await searchEntities('blackstone');
+assert.deepEqual(result.hits.map((h) => h.slug), ['blackstone', 'blackrock']);
+assert.ok(result.hits[0].score > result.hits[1].score);
+assert.equal(searchIndexStatus().documents, 5);
+
+// Typo tolerance
+assert.equal((await searchEntities('blackstne ')).hits[0]?.slug, 'blackstone');
+assert.equal((await searchEntities('kedara capital ')).hits[0]?.slug, 'kedaara-capital');
+
+// Prefix autocomplete on the last term
+assert.deepEqual((await searchEntities('keda')).hits.map((h) => h.slug).sort(), ['kedaara-capital', 'kedaara-fund-iii']);
+assert.deepEqual((await searchSuggestions('kedaara capital f')).map((h) => h.slug)[0], 'kedaara-fund-iii');
+
+// Ticker and alias matching
+assert.equal((await searchEntities('M&M')).hits[0]?.id, mm.id);
+assert.equal((await searchEntities('m and m')).hits[0]?.id, mm.id);
+assert.equal((await searchEntities('automobiles')).hits[0]?.id, mm.id);
+
+// Facets count every type; the type filter narrows hits only
+result = await searchEntities('kedaara', { types: ['fund'] });
+assert.deepEqual(result.facets, { pe_firm: 1, fund: 1 });
+assert.deepEqual(result.hits.map((h) => h.slug), ['kedaara-fund-iii']);
+
+// Grouped universal search with batched intelligence scores
+await addRelationship({ fromEntityId: blackstone.id, toEntityId: mm.id, relationType: 'invested_in' });
+const grouped = await universalSearch('blackstone', { limit: 1 });
+assert.deepEqual(grouped.groups.map((g) => g.name), ['Private Equity Firms', 'Investors']);
+assert.equal(grouped.total, 2);
+const batch = await computeIntelligenceScores([blackstone, mm]);
+assert.deepEqual(batch.get(blackstone.id), await computeIntelligenceScore(blackstone.id));
+assert.deepEqual(batch.get(mm.id), await computeIntelligenceScore(mm.id));
+assert.equal(grouped.groups[0].results[0].intelligence_score, batch.get(blackstone.id).score);
+assert.deepEqual((await universalSearch('b')).groups, []);
+
+// Writes update the index incrementally
+await upsertEntity({ name: 'Zephyr Partners', entity_type: 'pe_firm' });
+assert.equal((await searchEntities('zephyr')).hits[0]?.slug, 'zephyr-partners');
+await updateEntity(blackstone.id, { status: 'archived' });
+assert.deepEqual((await searchEntities('blackstone')).hits.map((h) => h.slug), ['blackrock']);
+const tickerScore = (await searchEntities('M&M')).hits[0].score;
+await updateEntity(mm.id, { metadata: { ticker: 'MAHMAH' } });
+assert.equal((await searchEntities('mahmah')).hits[0]?.id, mm.id);
+assert.ok((await searchEntities('M&M')).hits[0].score < tickerScore);
+
+await closeStorage();
+fs.rmSync(tmp, { recursive: true, force: true });
+console.log('intelligenceSearch.test.js OK');
@@ -0,0 +1,123 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'intelligence-temporal-test-'));
+process.env.STORAGE_BACKEND = 'sqlite';
+process.env.STORAGE_SQLITE_FILE = path.join(tmp, 'storage.sqlite');
+
+const { closeStorage } = await import('../storage/index.js');
+const { bulkUpsertEntities } = await import('../services/intelligencePlatform/entityStore.js');
+const {
+  addRelationship,
+  bulkAddRelationships,
+  getEntityRelationships,
+  listRelationships,
+} = await import('../services/intelligencePlatform/relationshipStore.js');
+const { addTimelineEvent, bulkAddTimelineEvents, listTimelineEvents } = await import('../services/intelligencePlatform/timelineService.js');
+const { buildEntityGraph, getRelatedContent } = await import('../services/intelligencePlatform/graphService.js');
+const { shortestPaths } = await import('../services/intelligencePlatform/graphAnalytics.js');
+const { isActiveAt, pointInTime, validityPeriod } = await import('../services/intelligencePlatform/validity.js');
+
+// Date parsing: bare years, ISO dates, bad input
+assert.equal(pointInTime('2021', { yearEnd: true }), '2021-12-31T23:59:59.999Z');
+assert.equal(pointInTime('2021'), '2021-01-01T00:00:00.000Z');
+assert.equal(pointInTime('2021-06-30'), '2021-06-30T00:00:00.000Z');
+assert.equal(pointInTime(''), null);
+assert.throws(() => pointInTime('someday'), (err) => err.status === 400);
+assert.throws(() => validityPeriod('2022', '2020'), (err) => err.status === 400);
+assert.equal(isActiveAt({ valid_from: '2020-01-01', valid_to: '2021-01-01' }, '2021-01-01'), false);
+assert.equal(isActiveAt({}, '1990-01-01'), true);
+
+const asOf = (year) => pointInTime(year, { yearEnd: true });
+const entity = (id, entity_type) => ({ id, slug: id, name: id.toUpperCase(), entity_type });
+await bulkUpsertEntities([
+  entity('kkr', 'pe_firm'),
+  entity('kkr-fund', 'fund'),
+  entity('tpg', 'pe_firm'),
+  entity('bain', 'pe_firm'),
+  entity('jio', 'company'),
+  entity('lenskart', 'company'),
+]);
+await bulkAddRelationships([
+  { from_entity_id: 'kkr', to_entity_id: 'kkr-fund', relation_type: 'MANAGES' },
+  { from_entity_id: 'kkr-fund', to_entity_id: 'lenskart', relation_type: 'INVESTED_IN', valid_from: '2015' },
+  { from_entity_id: 'kkr', to_entity_id: 'jio', relation_type: 'OWNS', valid_from: '2018-03-01' },
+  { from_entity_id: 'bain', to_entity_id: 'jio', relation_type: 'INVESTED_IN' },
+]);
+
+// EXITED closes the fund's holding (the firm MANAGES it) and records the exit
+await addTimelineEvent({
+  entity_id: 'kkr',
+  event_type: 'EXITED',
+  title: 'Exited Lenskart',
+  occurred_at: '2022-05-10T00:00:00.000Z',
+  metadata: { company_id: 'lenskart' },
+});
+const [fundHolding] = await listRelationships({ fromEntityId: 'kkr-fund', toEntityId: 'lenskart' });
+assert.equal(fundHolding.valid_from, '2015-01-01T00:00:00.000Z');
+assert.equal(fundHolding.valid_to, '2022-05-10T00:00:00.000Z');
+const [exit] = await listRelationships({ fromEntityId: 'kkr', toEntityId: 'lenskart', relationType: 'EXITED' });
+assert.equal(exit.valid_from, '2022-05-10T00:00:00.000Z');
+assert.equal(exit.valid_to, null);
+
+// SOLD_TO closes the seller's stake and opens the buyer's
+await addTimelineEvent({
+  entity_id: 'kkr',
+  event_type: 'SOLD_TO',
+  title: 'Sold Jio stake to TPG',
+  occurred_at: '2023-01-15T00:00:00.000Z',
+  metadata: { company_id: 'jio', buyer_id: 'tpg' },
+});
+const owners = async (year) => (await getEntityRelationships('jio', { asOf: year && asOf(year) }))
+  .filter((r) => r.relation_type === 'OWNS')
+  .map((r) => r.from_entity_id);
+assert.deepEqual(await owners('2017'), []);
+assert.deepEqual(await owners('2021'), ['kkr']);
+assert.deepEqual(await owners('2024'), ['tpg']);
+assert.deepEqual((await owners()).sort(), ['kkr', 'tpg']);
+assert.equal((await listRelationships({ fromEntityId: 'kkr', toEntityId: 'tpg', relationType: 'SOLD_TO' })).length, 1);
+// Undated relationships are active at any point in time
+assert.ok((await getEntityRelationships('jio', { asOf: asOf('1999') })).some((r) => r.from_entity_id === 'bain'));
+
+// Point-in-time graph, related content, timeline and path queries
+let graph = await buildEntityGraph('lenskart', { depth: 1, asOf: asOf('2021') });
+assert.deepEqual(graph.nodes.map((n) => n.id).sort(), ['kkr-fund', 'lenskart']);
+assert.equal(graph.as_of, '2021-12-31T23:59:59.999Z');
+graph = await buildEntityGraph('lenskart', { depth: 1, asOf: asOf('2023') });
+assert.deepEqual(graph.edges.map((e) => e.relation_type), ['EXITED']);
+graph = await buildEntityGraph('lenskart', { depth: 1 });
+assert.equal(graph.edges.find((e) => e.relation_type === 'INVESTED_IN').valid_to, '2022-05-10T00:00:00.000Z');
+
+let related = await getRelatedContent('jio', { asOf: asOf('2021') });
+assert.deepEqual(related.firms.map((f) => [f.id, f.relation_type]).sort(), [['bain', 'INVESTED_IN'], ['kkr', 'OWNS']]);
+related = await getRelatedContent('jio', { asOf: asOf('2024') });
+assert.deepEqual(related.firms.map((f) => [f.id, f.relation_type]).sort(), [['bain', 'INVESTED_IN'], ['kkr', 'EXITED'], ['tpg', 'OWNS']]);
+
+assert.deepEqual((await listTimelineEvents('kkr', { asOf: asOf('2022') })).map((e) => e.event_type), ['EXITED']);
+assert.equal((await listTimelineEvents('kkr')).length, 2);
+
+assert.equal((await shortestPaths('tpg', 'jio', { asOf: asOf('2021') })).found, false);
+assert.equal((await shortestPaths('tpg', 'jio', { asOf: asOf('2024') })).length, 1);
+
+// A re-acquisition after the sale is a new holding period; undated writes reuse the open one
+const again = await addRelationship({ fromEntityId: 'kkr', toEntityId: 'jio', relationType: 'OWNS', validFrom: '2025-02-01' });
+assert.equal(again.valid_from, '2025-02-01T00:00:00.000Z');
+assert.equal((await listRelationships({ fromEntityId: 'kkr', toEntityId: 'jio', relationType: 'OWNS' })).length, 2);
+assert.equal((await addRelationship({ fromEntityId: 'kkr', toEntityId: 'jio', relationType: 'OWNS' })).id, again.id);
+assert.deepEqual((await owners('2026')).sort(), ['kkr', 'tpg']);
+
+// Re-importing the same events is a no-op
+assert.deepEqual(await bulkAddTimelineEvents([{
+  entity_id: 'kkr',
+  event_type: 'EXITED',
+  title: 'Exited Lenskart',
+  occurred_at: '2022-05-10T00:00:00.000Z',
+  metadata: { company_id: 'lenskart' },
+}]), []);
+assert.equal((await listRelationships({ fromEntityId: 'kkr', toEntityId: 'lenskart' })).length, 1);
+
+await closeStorage();
+fs.rmSync(tmp, { recursive: true, force: true });
+console.log('intelligenceTemporalRelationships.test.js OK');
@@ -0,0 +1,177 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'job-scheduler-test-'));
+process.env.STORAGE_BACKEND = 'sqlite';
+process.env.STORAGE_SQLITE_FILE = path.join(tmp, 'storage.sqlite');
+process.env.JOB_RUN_HISTORY = '3';
+
+const { closeStorage, storage } = await import('../storage/index.js');
+const cron = await import('../services/jobs/cron.js');
+const jobs = await import('../services/jobs/scheduler.js');
+
+const ist = (local) => Date.parse(`${local}+05:30`);
+const rejects = (promise, status) => assert.rejects(promise, (err) => err.status === status);
+
+// --- Cron on the IST clock ----------------------------------------------------
+
+assert.equal(cron.nextRun('5 18 * * 1-5', new Date(ist('2026-10-16T18:05:00'))).getTime(), ist('2026-10-19T18:05:00'));
+assert.equal(cron.nextRun('*/15 9-15 * * MON-FRI', new Date(ist('2026-10-19T15:50:00'))).getTime(), ist('2026-10-20T09:00:00'));
+assert.equal(cron.nextRun('0 10 1 * *', new Date(ist('2026-10-19T12:00:00'))).getTime(), ist('2026-11-01T10:00:00'));
+assert.equal(cron.nextRun('0 0 29 2 *', new Date(ist('2026-03-01T00:00:00'))).getTime(), ist('2028-02-29T00:00:00'));
+// Both day fields restricted: either matches (the 1st, or any Sunday)
+assert.equal(cron.nextRun('0 9 1 * 0', new Date(ist('2026-10-19T12:00:00'))).getTime(), ist('2026-10-25T09:00:00'));
+assert.equal(cron.previousRun('5 18 * * 1-5', new Date(ist('2026-10-19T18:40:00')), { withinMs: 55 * 60_000 }).getTime(), ist('2026-10-19T18:05:00'));
+assert.equal(cron.previousRun('5 18 * * 1-5', new Date(ist('2026-10-19T19:10:00')), { withinMs: 55 * 60_000 }), null);
+assert.equal(cron.previousRun('0 8 * * SUN', new Date(ist('2026-10-19T07:00:00')), { withinMs: 2 * 86_400_000 }).getTime(), ist('2026-10-18T08:00:00'));
+assert.deepEqual(cron.istParts(new Date(ist('2026-10-19T18:05:00'))), { date: '2026-10-19', hour: 18, minute: 5, weekday: 'Mon', dow: 1 });
+for (const bad of ['5 18 * *', '60 * * * *', '* * * * MON-XYZ', '*/0 * * * *', '5-1 * * * *']) {
+  assert.throws(() => cron.parseCron(bad), (err) => err.status === 400, bad);
+}
+
+// --- Scheduled runs: one per slot, catch-up, retries --------------------------
+
+jobs.resetJobScheduler({ at: 0 });
+const calls = [];
+let fail = true;
+jobs.defineJob({
+  id: 'eod-ingest',
+  label: 'EOD ingest',
+  cron: '5 18 * * 1-5',
+  catchUpMs: 55 * 60_000,
+  retryMs: 60_000,
+  run: async (ctx) => {
+    calls.push(ctx);
+    if (fail) throw new Error('provider down');
+    return { ok: true, rows: 12 };
+  },
+});
+assert.throws(() => jobs.defineJob({ id: 'Bad Id', everyMs: 5000, run() {} }), (err) => err.status === 400);
+assert.throws(() => jobs.defineJob({ id: 'both', cron: '* * * * *', everyMs: 5000, run() {} }), /exactly one/);
+
+await jobs.runDueJobs(ist('2026-10-19T17:59:00'));
+assert.equal(calls.length, 0);
+let [run] = await jobs.runDueJobs(ist('2026-10-19T18:06:00'));
+assert.equal(run.status, 'failed');
+assert.equal(run.error, 'provider down');
+assert.equal(calls[0].trigger, 'schedule');
+assert.equal(calls[0].slot.getTime(), ist('2026-10-19T18:05:00'));
+assert.equal(calls[0].force, false);
+assert.deepEqual(calls[0].params, {});
+// Failure waits retryMs, then the same slot runs again
+assert.deepEqual(await jobs.runDueJobs(ist('2026-10-19T18:06:30')), []);
+fail = false;
+[run] = await jobs.runDueJobs(ist('2026-10-19T18:07:10'));
+assert.equal(run.status, 'succeeded');
+assert.deepEqual(run.result, { ok: true, rows: 12 });
+assert.deepEqual(await jobs.runDueJobs(ist('2026-10-19T18:30:00')), []);
+assert.equal(calls.length, 2);
+
+// A slot missed while the server was down still runs inside the catch-up window, not after it
+[run] = await jobs.runDueJobs(ist('2026-10-20T18:50:00'));
+assert.equal(run.slot, new Date(ist('2026-10-20T18:05:00')).toISOString());
+assert.deepEqual(await jobs.runDueJobs(ist('2026-10-21T19:10:00')), []);
+
+// State is shared through storage: a second instance sees the settled slot
+let state = await storage.get('scheduled_jobs', 'eod-ingest');
+assert.equal(state.last_slot, new Date(ist('2026-10-20T18:05:00')).toISOString());
+assert.equal(state.lock, null);
+assert.equal(state.last_run.status, 'succeeded');
+
+// --- Locks: a live lease held elsewhere blocks both schedule and manual runs ---
+
+await storage.update('scheduled_jobs', 'eod-ingest', (s) => ({
+  ...s,
+  lock: { holder: 'other-host:1:abc', run_id: 'x', until: new Date(Math.max(Date.now(), ist('2026-10-22T18:10:00')) + 60_000).toISOString() },
+  running: { run_id: 'x', trigger: 'schedule', started_at: new Date().toISOString(), holder: 'other-host:1:abc' },
+}));
+const before = calls.length;
+assert.deepEqual(await jobs.runDueJobs(ist('2026-10-22T18:10:00')), []);
+await rejects(jobs.triggerJob('eod-ingest', { actor: 'ops@agi.in' }), 409);
+let listed = (await jobs.listJobs()).find((j) => j.id === 'eod-ingest');
+assert.equal(listed.running.holder, 'other-host:1:abc');
+// An expired lease (the holder died) is taken over
+await storage.update('scheduled_jobs', 'eod-ingest', (s) => ({ ...s, lock: { ...s.lock, until: new Date(Date.now() - 1000).toISOString() } }));
+const manual = await jobs.triggerJob('eod-ingest', { actor: 'ops@agi.in', params: { repair: true } });
+assert.equal(manual.run.status, 'running');
+await rejects(jobs.triggerJob('eod-ingest'), 409);
+run = await manual.done;
+assert.equal(run.status, 'succeeded');
+assert.equal(run.trigger, 'manual');
+assert.equal(run.actor, 'ops@agi.in');
+assert.equal(calls.length, before + 1);
+assert.equal(calls.at(-1).force, true);
+assert.deepEqual([calls.at(-1).params, run.params], [{ repair: true }, { repair: true }]);
+
+// --- Overlap: a long run is never started twice ------------------------------
+
+let release;
+let started = 0;
+jobs.defineJob({
+  id: 'slow-poll',
+  everyMs: 60_000,
+  run: () => {
+    started += 1;
+    return new Promise((resolve) => { release = resolve; });
+  },
+});
+const pending = jobs.runDueJobs(ist('2026-10-19T10:00:05'));
+await new Promise((resolve) => setTimeout(resolve, 20));
+await jobs.runDueJobs(ist('2026-10-19T10:01:05'));
+await rejects(jobs.triggerJob('slow-poll'), 409);
+assert.equal(started, 1);
+assert.equal(jobs.getJobStatus('slow-poll').running, true);
+release({ ok: true });
+await pending;
+assert.equal(jobs.getJobStatus('slow-poll').running, false);
+
+// --- Pause / resume, deferred runs, quiet runs, history retention -------------
+
+await jobs.pauseJob('slow-poll', 'ops@agi.in');
+assert.deepEqual(await jobs.runDueJobs(ist('2026-10-19T10:05:05')), []);
+listed = await jobs.getJob('slow-poll');
+assert.equal(listed.paused, true);
+assert.equal(listed.paused_by, 'ops@agi.in');
+assert.equal(listed.next_run_at, null);
+await jobs.resumeJob('slow-poll', 'ops@agi.in');
+const resumed = jobs.runDueJobs(ist('2026-10-19T10:06:05'));
+await new Promise((resolve) => setTimeout(resolve, 20));
+release({ ok: true, deferred: true, reason: 'bootstrap_running' });
+[run] = await resumed;
+assert.equal(run.status, 'deferred');
+assert.ok((await jobs.getJob('slow-poll')).retry_at);
+await jobs.pauseJob('slow-poll');
+
+let idle = 0;
+jobs.defineJob({ id: 'queue', everyMs: 15_000, quiet: (r) => !r.claimed, run: () => ({ claimed: idle++ % 2 }) });
+for (let i = 0; i < 10; i += 1) await jobs.runDueJobs(ist('2026-10-19T11:00:00') + i * 15_000);
+const history = await jobs.listJobRuns('queue');
+assert.equal(history.length, 3);
+assert.ok(history.every((r) => r.result.claimed === 1));
+assert.ok(history[0].started_at > history[2].started_at);
+assert.equal((await jobs.getJob('queue')).last_run.status, 'succeeded');
+
+// --- Trading days: holidays are skipped, the next run lands on the next session ---
+
+let eodRuns = 0;
+jobs.defineJob({ id: 'eod-close', cron: '5 18 * * *', tradingDays: true, catchUpMs: 30 * 60_000, run: () => { eodRuns += 1; } });
+assert.throws(() => jobs.defineJob({ id: 'poll', everyMs: 5000, tradingDays: true, run() {} }), /needs a cron/);
+// Tue 2026-10-20 is Dussehra; Sunday 2026-02-01 is a Budget session
+await jobs.pauseJob('queue');
+assert.deepEqual(await jobs.runDueJobs(ist('2026-10-20T18:10:00')), []);
+assert.equal((await jobs.getJob('eod-close')).schedule, '5 18 * * * IST, trading days');
+await jobs.runDueJobs(ist('2026-02-01T18:10:00'));
+assert.equal(eodRuns, 1);
+await jobs.pauseJob('eod-close');
+
+await rejects(jobs.triggerJob('nope'), 404);
+await rejects(jobs.pauseJob('nope'), 404);
+assert.equal(await jobs.getJob('nope'), null);
+assert.deepEqual((await jobs.listJobs()).map((j) => j.id), ['eod-ingest', 'slow-poll', 'queue', 'eod-close']);
+
+jobs.resetJobScheduler();
+await closeStorage();
+fs.rmSync(tmp, { recursive: true, force: true });
+console.log('jobScheduler.test.js OK');
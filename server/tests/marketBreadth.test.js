@@ -0,0 +1,192 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'market-breadth-test-'));
+process.env.STORAGE_BACKEND = 'sqlite';
+process.env.STORAGE_SQLITE_FILE = path.join(tmp, 'storage.sqlite');
+delete process.env.MARKET_BREADTH_UNIVERSE;
+delete process.env.MARKET_HOLIDAYS;
+delete process.env.MARKET_SPECIAL_SESSIONS;
+
+const { closeStorage, storage } = await import('../storage/index.js');
+const breadth = await import('../services/marketBreadth.js');
+const { computeSectorStrength } = await import('../services/marketIntelligenceEngine.js');
+
+const ist = (local) => Date.parse(`${local}+05:30`);
+
+// --- Universe ---------------------------------------------------------------------
+
+const nifty50 = breadth.loadConstituents('Nifty50');
+assert.equal(nifty50.length, 50);
+assert.deepEqual(nifty50.find((c) => c.symbol === 'TCS'), {
+  symbol: 'TCS', name: 'Tata Consultancy Services Ltd.', sector: 'Information Technology', isin: 'INE467B01029',
+});
+assert.equal(breadth.loadConstituents().length, 500, 'Nifty 500 is the default universe');
+assert.throws(() => breadth.loadConstituents('../package'), (err) => err.status === 400);
+assert.throws(() => breadth.loadConstituents('Nifty9000'), (err) => err.status === 404);
+
+assert.equal(breadth.tickerSymbol('NSEI:TCS'), 'TCS');
+assert.equal(breadth.tickerSymbol('infy.ns'), 'INFY');
+
+// --- Constituent statistics ---------------------------------------------------------
+
+/** 260 daily bars ending `last`, closing from `from` to `to` in a straight line. */
+function candles(from, to, last = '2026-10-16') {
+  const end = Date.parse(`${last}T00:00:00Z`);
+  return Array.from({ length: 260 }, (_, i) => {
+    const close = from + ((to - from) * i) / 259;
+    const date = new Date(end - (259 - i) * 86_400_000).toISOString().slice(0, 10);
+    return [`${date}T00:00:00+05:30`, close, close * 1.01, close * 0.99, close, 1000];
+  });
+}
+
+let stats = breadth.constituentStats(candles(100, 200));
+assert.equal(stats.as_of, '2026-10-16');
+assert.equal(stats.last_close, 200);
+assert.equal(stats.high_52w, 202);
+assert.ok(stats.prior_high_52w < 202, 'the prior range leaves out the latest bar');
+assert.ok(stats.dma50 > stats.dma200 && stats.dma50 < 200);
+stats = breadth.constituentStats(candles(100, 100).slice(-120));
+assert.equal(stats.dma50, 100);
+assert.equal(stats.dma200, null, 'fewer than 200 bars → no 200-DMA');
+assert.equal(breadth.constituentStats([]), null);
+
+const SECTOR_PATH = {
+  'Information Technology': [100, 200],
+  Power: [100, 200],
+  'Financial Services': [200, 100],
+};
+const sectorOf = new Map(nifty50.map((c) => [c.symbol, c.sector]));
+const requested = [];
+
+const refresh = await breadth.refreshConstituentStats({
+  universe: 'Nifty50',
+  now: ist('2026-10-16T18:00:00'),
+  marketCapsImpl: async () => new Map([['TCS', 1000], ['INFY', 500], ['HDFCBANK', 1500]]),
+  candlesImpl: async (instrument, opts) => {
+    requested.push([instrument, opts.days]);
+    if (instrument.symbol === 'WIPRO') throw new Error('no data');
+    const [from, to] = SECTOR_PATH[sectorOf.get(instrument.symbol)] || [100, 100];
+    return { candles: candles(from, to) };
+  },
+});
+assert.deepEqual(
+  [refresh.constituents, refresh.refreshed, refresh.failed, refresh.failed_symbols, refresh.market_caps],
+  [50, 49, 1, ['WIPRO'], 3],
+);
+assert.deepEqual(requested[0][0], { exchange: 'NSE', symbol: 'ADANIENT', isin: 'INE423A01024', class: 'equity' });
+assert.equal(requested[0][1], 400);
+const tcs = await storage.get('breadth_constituents', 'TCS');
+assert.deepEqual([tcs.market_cap, tcs.market_cap_source, tcs.as_of, tcs.universe], [1000, 'capital_iq', '2026-10-16', 'Nifty50']);
+assert.equal((await storage.get('breadth_constituents', 'WIPRO')).dma50, undefined);
+
+// --- Session snapshot ---------------------------------------------------------------
+
+function quotesFor(batch) {
+  return batch.map(({ id }) => {
+    const sector = sectorOf.get(id);
+    if (id === 'TCS') return { id, price: 205, percentChange: 1 };
+    if (id === 'INFY') return { id, price: 205, percentChange: 4 };
+    if (SECTOR_PATH[sector]?.[1] === 200) return { id, price: 205, percentChange: 2.5 };
+    if (sector === 'Financial Services') return { id, price: 98, percentChange: id === 'HDFCBANK' ? -3 : -2 };
+    return { id, price: 100, percentChange: 0 };
+  });
+}
+
+let batches = [];
+const quotesImpl = async (batch, ctx) => {
+  batches.push([batch.length, ctx.instrumentClass]);
+  return quotesFor(batch);
+};
+
+const snapshot = await breadth.refreshMarketBreadth({ universe: 'Nifty50', now: ist('2026-10-19T11:00:00'), quotesImpl });
+assert.deepEqual(batches, [[50, 'equity']]);
+assert.deepEqual(
+  [snapshot.date, snapshot.final, snapshot.quoted, snapshot.advances, snapshot.declines, snapshot.unchanged],
+  ['2026-10-19', false, 50, 7, 11, 32],
+);
+assert.deepEqual([snapshot.label, snapshot.ad_ratio], ['Very Negative', 0.64]);
+// WIPRO has no statistics, so it counts toward A/D but not toward DMA or 52-week tallies.
+assert.deepEqual([snapshot.above_50dma, snapshot.dma_coverage, snapshot.pct_above_50dma, snapshot.pct_above_200dma], [6, 49, 12.2, 12.2]);
+assert.deepEqual([snapshot.new_highs, snapshot.new_lows], [6, 11]);
+assert.equal(snapshot.new_high_symbols[0], 'INFY');
+assert.equal(snapshot.new_low_symbols[0], 'HDFCBANK');
+assert.equal(snapshot.stats_as_of, '2026-10-16');
+
+const sector = (name) => snapshot.sectors.find((s) => s.name === name);
+// IT: only TCS and INFY carry caps → (1000×1 + 500×4) / 1500.
+assert.deepEqual(
+  [sector('Information Technology').return_pct, sector('Information Technology').weighting, sector('Information Technology').weighted],
+  [2, 'market_cap', 2],
+);
+assert.deepEqual([sector('Power').return_pct, sector('Power').weighting], [2.5, 'equal']);
+assert.equal(sector('Financial Services').return_pct, -3, 'HDFCBANK is the only capped bank');
+assert.deepEqual(snapshot.sectors.map((s) => s.name).slice(0, 2), ['Power', 'Information Technology']);
+assert.equal(snapshot.sectors.at(-1).name, 'Financial Services');
+
+const strength = computeSectorStrength(breadth.breadthSectorChanges(snapshot));
+assert.deepEqual([strength.topSector, strength.weakestSector], ['Power', 'Financial Services']);
+assert.deepEqual([computeSectorStrength([]).topSector, computeSectorStrength([]).weakestSector], [null, null]);
+assert.equal(
+  breadth.describeBreadth(snapshot),
+  '7 advances vs 11 declines across 50 Nifty 50 stocks; 12.2% above the 200-DMA; 6 new 52-week highs, 11 new lows',
+);
+
+// Statistics that already include the session's bar compare against the prior range.
+const sameDay = breadth.computeBreadthSnapshot(
+  [{ symbol: 'X', sector: 'S', as_of: '2026-10-19', ...breadth.constituentStats(candles(100, 200, '2026-10-19')) }],
+  [{ id: 'X', price: 201.8, percentChange: 1 }],
+  { date: '2026-10-19', universe: 'Test' },
+);
+assert.equal(sameDay.new_highs, 1);
+
+// Thin coverage is a feed problem, not a market read: the stored snapshot stands.
+batches = [];
+const thin = await breadth.refreshMarketBreadth({
+  universe: 'Nifty50',
+  now: ist('2026-10-19T15:45:00'),
+  quotesImpl: async (batch) => quotesFor(batch.slice(0, 5)),
+});
+assert.equal(thin.as_of, snapshot.as_of);
+
+// After the close the snapshot is final; on the Dussehra holiday nothing is fetched.
+const closing = await breadth.refreshMarketBreadth({ universe: 'Nifty50', now: ist('2026-10-19T15:45:00'), quotesImpl });
+assert.equal(closing.final, true);
+assert.equal(await storage.count('breadth_snapshots'), 1);
+batches = [];
+const holiday = await breadth.refreshMarketBreadth({ universe: 'Nifty50', now: ist('2026-10-20T11:00:00'), quotesImpl });
+assert.deepEqual([holiday.date, holiday.final, batches.length], ['2026-10-19', true, 0]);
+assert.equal((await breadth.getLatestBreadthSnapshot()).date, '2026-10-19');
+assert.equal((await breadth.listBreadthSnapshots({ limit: 5 })).length, 1);
+
+// --- Market caps from the intelligence engine ----------------------------------------
+
+delete process.env.INTELLIGENCE_ENGINE_URL;
+delete process.env.AGIB_INTELLIGENCE_ENGINE_URL;
+assert.equal((await breadth.fetchEngineMarketCaps()).size, 0);
+
+process.env.INTELLIGENCE_ENGINE_URL = 'engine.example';
+process.env.INTELLIGENCE_ENGINE_TOKEN = 'secret';
+const urls = [];
+const caps = await breadth.fetchEngineMarketCaps({
+  fetchImpl: async (url, init) => {
+    urls.push(url);
+    assert.equal(init.headers.Authorization, 'Bearer secret');
+    const page = Number(new URL(url).searchParams.get('page'));
+    const items = page === 1
+      ? [{ ticker: 'NSEI:TCS', market_cap: 1200000 }, { ticker: 'NSEI:NEWCO', market_cap: null }]
+      : [{ ticker: 'INFY.NS', market_cap: '640000' }];
+    return { ok: true, json: async () => ({ pages: 2, items }) };
+  },
+});
+assert.match(urls[0], /^https:\/\/engine\.example\/v1\/valuation-consensus\/rows\?page=1&page_size=500/);
+assert.deepEqual([...caps.entries()], [['TCS', 1200000], ['INFY', 640000]]);
+delete process.env.INTELLIGENCE_ENGINE_URL;
+delete process.env.INTELLIGENCE_ENGINE_TOKEN;
+
+assert.equal(breadth.marketBreadthEodJob().tradingDays, true);
+
+await closeStorage();
+console.log('marketBreadth.test.js OK');
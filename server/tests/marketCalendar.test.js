@@ -0,0 +1,87 @@
+import assert from 'node:assert/strict';
+
+delete process.env.MARKET_HOLIDAYS;
+delete process.env.MARKET_SPECIAL_SESSIONS;
+
+const calendar = await import('../services/marketCalendar.js');
+const { resolveSendTime } = await import('../services/publishing/schedule.js');
+
+const ist = (local) => new Date(`${local}+05:30`);
+
+// --- Sessions ----------------------------------------------------------------
+
+let session = calendar.getTradingSession('2026-10-19');
+assert.equal(session.trading, true);
+assert.equal(session.kind, 'regular');
+assert.equal(session.opens_at, '2026-10-19T03:45:00.000Z');
+assert.equal(session.closes_at, '2026-10-19T10:00:00.000Z');
+assert.equal(session.pre_open_at, '2026-10-19T03:30:00.000Z');
+
+session = calendar.getTradingSession(ist('2026-10-20T12:00:00'));
+assert.deepEqual([session.trading, session.kind, session.label], [false, 'holiday', 'Dussehra']);
+assert.equal(calendar.getTradingSession('2026-10-24').kind, 'weekend');
+
+// Budget on a Sunday trades the full day; Diwali 2025 is a holiday with a one-hour Muhurat session.
+session = calendar.getTradingSession('2026-02-01');
+assert.deepEqual([session.trading, session.kind, session.weekday], [true, 'special', 'Sun']);
+session = calendar.getTradingSession('2025-10-21');
+assert.deepEqual([session.trading, session.kind, session.holiday], [true, 'muhurat', 'Diwali Laxmi Pujan']);
+assert.equal(session.opens_at, '2025-10-21T08:15:00.000Z');
+assert.equal(session.closes_at, '2025-10-21T09:15:00.000Z');
+
+assert.equal(calendar.getTradingSession('2027-03-03').provisional, true);
+assert.equal(calendar.getTradingSession('2026-03-03').provisional, false);
+assert.throws(() => calendar.getTradingSession('next tuesday'), (err) => err.status === 400);
+
+// Every listed holiday falls on a weekday — a weekend entry is a typo in the data file.
+for (const year of calendar.getCalendarCoverage().years) {
+  for (const h of calendar.listHolidays(year)) assert.ok(!['Sat', 'Sun'].includes(h.weekday), `${h.date} ${h.name}`);
+}
+assert.equal(calendar.listHolidays(2026).length, 16);
+assert.deepEqual(calendar.listSpecialSessions(2025).map((s) => s.kind), ['special', 'muhurat']);
+
+// --- Next / previous trading day -----------------------------------------------
+
+assert.equal(calendar.nextTradingDay('2026-10-19').date, '2026-10-21');
+assert.equal(calendar.previousTradingDay('2026-10-21').date, '2026-10-19');
+assert.equal(calendar.nextTradingDay('2026-03-30').date, '2026-04-01');
+assert.equal(calendar.previousTradingDay('2026-04-06').date, '2026-04-02');
+// Friday before the Budget Sunday → the Sunday session
+assert.equal(calendar.nextTradingDay('2026-01-30').date, '2026-02-01');
+
+// --- Market status -------------------------------------------------------------
+
+let status = calendar.getMarketStatus(ist('2026-10-19T08:00:00'));
+assert.equal(status.phase, 'pre');
+assert.equal(status.next_open_at, '2026-10-19T03:45:00.000Z');
+assert.equal(status.last_close_at, '2026-10-16T10:00:00.000Z');
+status = calendar.getMarketStatus(ist('2026-10-19T11:00:00'));
+assert.equal(status.open, true);
+assert.equal(status.next_close_at, '2026-10-19T10:00:00.000Z');
+assert.equal(status.next_open_at, '2026-10-21T03:45:00.000Z');
+status = calendar.getMarketStatus(ist('2026-10-19T15:30:00'));
+assert.equal(status.phase, 'closed');
+assert.equal(status.last_close_at, '2026-10-19T10:00:00.000Z');
+status = calendar.getMarketStatus(ist('2026-10-20T10:00:00'));
+assert.equal(status.phase, 'holiday');
+assert.equal(status.next_session.date, '2026-10-21');
+assert.equal(calendar.isMarketOpen(ist('2025-10-21T14:00:00')), true);
+assert.equal(calendar.isMarketOpen(ist('2025-10-21T10:00:00')), false);
+
+// --- Environment additions -----------------------------------------------------
+
+process.env.MARKET_HOLIDAYS = '2027-01-26';
+process.env.MARKET_SPECIAL_SESSIONS = '2026-11-08 18:00-19:00 Muhurat Trading; garbage';
+assert.equal(calendar.getTradingSession('2027-01-26').kind, 'holiday');
+session = calendar.getTradingSession('2026-11-08');
+assert.deepEqual([session.kind, session.opens_at], ['muhurat', '2026-11-08T12:30:00.000Z']);
+delete process.env.MARKET_HOLIDAYS;
+delete process.env.MARKET_SPECIAL_SESSIONS;
+assert.equal(calendar.getTradingSession('2026-11-08').kind, 'weekend');
+
+// Campaign market-day rolling follows the calendar: Saturday → Monday, Dussehra → Wednesday.
+const now = Date.parse('2026-10-01T00:00:00Z');
+assert.equal(resolveSendTime('2026-10-17T08:00', { marketDays: true, now }).scheduled_at, '2026-10-19T02:30:00.000Z');
+assert.equal(resolveSendTime('2026-10-20T08:00', { marketDays: true, now }).scheduled_at, '2026-10-21T02:30:00.000Z');
+
+console.log('marketCalendar.test.js OK');
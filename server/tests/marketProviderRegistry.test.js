@@ -0,0 +1,148 @@
+import assert from 'node:assert/strict';
+
+process.env.MARKET_PROVIDER_FAILURE_THRESHOLD = '2';
+process.env.MARKET_PROVIDERS_INDEX = 'alpha,beta';
+process.env.MARKET_PROVIDERS_COMMODITY = 'beta';
+process.env.MARKET_PROVIDERS_EQUITY = 'alpha,beta';
+
+const {
+  breakerState,
+  fetchCandles,
+  fetchCommodityQuotes,
+  fetchIndices,
+  fetchQuotes,
+  getProviderRegistryStatus,
+  providerPriority,
+  recordProviderHealth,
+  registerProvider,
+} = await import('../providers/registry.js');
+
+const calls = { alpha: 0, beta: 0 };
+let alphaMode = 'ok';
+
+const row = (name, price) => ({ id: name.toLowerCase(), name, price, change: 0, percentChange: 0 });
+
+registerProvider({
+  id: 'alpha',
+  isConfigured: () => true,
+  async indices(names) {
+    calls.alpha += 1;
+    if (alphaMode === 'fail') throw new Error('alpha upstream 502');
+    if (alphaMode === 'ratelimit') throw Object.assign(new Error('Groww rate limit'), { isRateLimit: true });
+    return names.filter((n) => n === 'NIFTY 50').map((n) => row(n, 100));
+  },
+  async candles(instrument) {
+    if (instrument.symbol === 'UNKNOWN') return null;
+    throw new Error('alpha candles down');
+  },
+});
+
+registerProvider({
+  id: 'beta',
+  isConfigured: () => true,
+  async indices(names) {
+    calls.beta += 1;
+    return names.map((n) => row(n, 50));
+  },
+  async commodities(names) {
+    return names.filter((n) => n === 'GOLD').map((n) => row(n, 2400));
+  },
+  async quotes(instruments) {
+    return instruments.map((i) => row(i.symbol, 10));
+  },
+  async candles() {
+    return [[1, 1, 2, 0.5, 1.5, 100]];
+  },
+});
+
+registerProvider({ id: 'unconfigured', isConfigured: () => false, indices: async () => [row('X', 1)] });
+
+// Env priority drops unknown ids and keeps order
+process.env.MARKET_PROVIDERS_INDEX = 'alpha,ghost,beta';
+assert.deepEqual(providerPriority('index'), ['alpha', 'beta']);
+
+// Gap fill: alpha serves NIFTY 50, beta fills the rest, earlier provider wins
+let rows = await fetchIndices(['NIFTY 50', 'SENSEX']);
+assert.equal(rows.length, 2);
+const nifty = rows.find((r) => r.name === 'NIFTY 50');
+assert.equal(nifty.price, 100);
+assert.equal(nifty.provenance.provider, 'alpha');
+assert.equal(nifty.provenance.fallback, false);
+const sensex = rows.find((r) => r.name === 'SENSEX');
+assert.equal(sensex.provenance.provider, 'beta');
+assert.equal(sensex.provenance.fallback, true);
+assert.ok(sensex.provenance.fetchedAt);
+
+// Failures trip the breaker after the threshold; beta keeps serving
+alphaMode = 'fail';
+rows = await fetchIndices(['NIFTY 50']);
+assert.equal(rows[0].provenance.provider, 'beta');
+assert.equal(breakerState('alpha'), 'closed');
+await fetchIndices(['NIFTY 50']);
+assert.equal(breakerState('alpha'), 'open');
+const alphaCalls = calls.alpha;
+rows = await fetchIndices(['NIFTY 50']);
+assert.equal(calls.alpha, alphaCalls, 'open circuit is not called');
+assert.equal(rows[0].provenance.provider, 'beta');
+
+// A passing health probe closes it again
+recordProviderHealth('alpha', { ok: true, configured: true });
+assert.equal(breakerState('alpha'), 'closed');
+alphaMode = 'ok';
+rows = await fetchIndices(['NIFTY 50']);
+assert.equal(rows[0].provenance.provider, 'alpha');
+
+// One rate-limit error opens immediately
+alphaMode = 'ratelimit';
+await fetchIndices(['NIFTY 50']);
+assert.equal(breakerState('alpha'), 'open');
+
+// A failing probe demotes the provider behind healthy ones instead of opening it
+recordProviderHealth('alpha', { ok: true, configured: true });
+alphaMode = 'ok';
+recordProviderHealth('alpha', { ok: false, configured: true, message: 'quote:NIFTY 401' });
+assert.equal(breakerState('alpha'), 'half_open');
+let alphaBefore = calls.alpha;
+rows = await fetchIndices(['NIFTY 50']);
+assert.deepEqual([rows[0].provenance.provider, calls.alpha], ['beta', alphaBefore], 'the healthy provider is tried first');
+
+// When every provider failed its probe, they are all still tried in configured order
+recordProviderHealth('beta', { ok: false, configured: true, message: 'ltp 503' });
+assert.equal(breakerState('beta'), 'half_open');
+alphaBefore = calls.alpha;
+rows = await fetchIndices(['NIFTY 50', 'SENSEX']);
+assert.deepEqual(rows.map((r) => [r.name, r.provenance.provider]), [['NIFTY 50', 'alpha'], ['SENSEX', 'beta']]);
+assert.equal(calls.alpha, alphaBefore + 1);
+recordProviderHealth('beta', { ok: true, configured: true });
+
+// Unconfigured probes never trip the breaker
+recordProviderHealth('beta', { ok: false, configured: false });
+assert.equal(breakerState('beta'), 'closed');
+
+// Commodities, quotes and candles share the same failover
+const gold = await fetchCommodityQuotes(['GOLD', 'BRENT']);
+assert.deepEqual(gold.map((r) => [r.name, r.provenance.provider]), [['GOLD', 'beta']]);
+
+recordProviderHealth('alpha', { ok: true, configured: true });
+const quotes = await fetchQuotes([{ symbol: 'RELIANCE' }]);
+assert.equal(quotes[0].provenance.provider, 'beta');
+
+const candles = await fetchCandles({ symbol: 'NIFTY', class: 'index' }, { days: 30 });
+assert.equal(candles.provider, 'beta');
+assert.equal(candles.fallback, true);
+assert.equal(candles.candles.length, 1);
+
+// Adapters returning null are skipped without counting a failure
+const before = getProviderRegistryStatus().providers.find((p) => p.id === 'alpha').failures;
+await fetchCandles({ symbol: 'UNKNOWN', class: 'index' });
+assert.equal(getProviderRegistryStatus().providers.find((p) => p.id === 'alpha').failures, before);
+
+// Status view
+const status = getProviderRegistryStatus();
+assert.deepEqual(status.priorities.commodity, ['beta']);
+const unconfigured = status.providers.find((p) => p.id === 'unconfigured');
+assert.equal(unconfigured.configured, false);
+assert.deepEqual(status.providers.find((p) => p.id === 'beta').capabilities, ['quotes', 'indices', 'commodities', 'candles']);
+assert.ok(status.providers.some((p) => p.id === 'groww'), 'default adapters stay registered');
+
+console.log('marketProviderRegistry.test.js OK');
@@ -1,16 +1,33 @@
 import assert from 'node:assert/strict';
 import {
+  MARKET_CLOSED_REFRESH_MS,
   MARKET_REFRESH_MS,
   getMarketCycle,
   oncePerMarketCycle,
+  refreshMarketCycle,
   formatMarketUpdatedLabel,
 } from '../config/marketRefresh.js';
 
 assert.equal(MARKET_REFRESH_MS, 30 * 60 * 1000);
 
-const cycle = getMarketCycle(1_700_000_000_000);
-assert.equal(cycle.cycleId, String(Math.floor(1_700_000_000_000 / MARKET_REFRESH_MS) * MARKET_REFRESH_MS));
+// Mon 2026-10-19 10:05 IST — market open, 30-minute buckets.
+const openAt = Date.parse('2026-10-19T10:05:00+05:30');
+const cycle = getMarketCycle(openAt);
+assert.equal(cycle.cycleId, String(Math.floor(openAt / MARKET_REFRESH_MS) * MARKET_REFRESH_MS));
 assert.ok(cycle.msRemaining >= 0 && cycle.msRemaining <= MARKET_REFRESH_MS);
+assert.equal(cycle.marketOpen, true);
+
+// Closed-market cycles run 2 hours and stop at the open; the first open cycle starts at 09:15.
+const beforeOpen = getMarketCycle(Date.parse('2026-10-19T09:00:00+05:30'));
+assert.equal(beforeOpen.refreshMinutes, MARKET_CLOSED_REFRESH_MS / 60_000);
+assert.equal(beforeOpen.expiresAt, '2026-10-19T03:45:00.000Z');
+const firstOpen = getMarketCycle(Date.parse('2026-10-19T09:20:00+05:30'));
+assert.equal(firstOpen.startedAt, '2026-10-19T03:45:00.000Z');
+assert.equal(firstOpen.expiresAt, '2026-10-19T04:00:00.000Z');
+// Dussehra (exchange holiday) mid-morning is a closed cycle.
+const holiday = getMarketCycle(Date.parse('2026-10-20T11:00:00+05:30'));
+assert.equal(holiday.marketOpen, false);
+assert.equal(holiday.refreshMinutes, 120);
 
 let runs = 0;
 const a = await oncePerMarketCycle('unit-test-key', async () => {
@@ -25,6 +42,17 @@ assert.equal(a.n, 1);
 assert.equal(b.n, 1);
 assert.equal(runs, 1);
 assert.equal(a.marketCycleId, getMarketCycle().cycleId);
+
+// A stream refresh replaces the cycle's value; polling readers then get it without re-running the producer.
+const pushed = await refreshMarketCycle('unit-test-key', async () => ({ ok: true, n: 'stream' }));
+assert.equal(pushed.marketCycleId, getMarketCycle().cycleId);
+const polled = await oncePerMarketCycle('unit-test-key', async () => {
+  runs += 1;
+  return { ok: true, n: runs };
+});
+assert.deepEqual([polled.n, runs], ['stream', 1]);
+await assert.rejects(refreshMarketCycle('unit-test-key', async () => { throw new Error('provider down'); }));
+assert.equal((await oncePerMarketCycle('unit-test-key', async () => ({ n: 'again' }))).n, 'stream', 'a failed refresh keeps the slot');
 assert.ok(formatMarketUpdatedLabel(new Date()).startsWith('Updated '));
 
 console.log('marketRefresh.test.js OK');
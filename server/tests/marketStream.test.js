@@ -0,0 +1,139 @@
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import express from 'express';
+
+process.env.MARKET_STREAM_HEARTBEAT_MS = '60';
+process.env.MARKET_STREAM_REPLAY_EVENTS = '4';
+
+const {
+  attachMarketStream,
+  configureMarketStream,
+  getMarketStreamStatus,
+  parseTopics,
+  publishMarketSnapshot,
+} = await import('../services/marketStream.js');
+
+let tickerRefreshes = 0;
+configureMarketStream({ ticker: async () => { tickerRefreshes += 1; } });
+
+const app = express();
+app.get('/stream', (req, res) => attachMarketStream(req, res));
+app.get('/admin/stream', (req, res) => attachMarketStream(req, res, { role: 'admin' }));
+app.get('/reader/stream', (req, res) => attachMarketStream(req, res, { role: 'reader' }));
+const server = app.listen(0);
+const port = server.address().port;
+
+/** Open a stream, collect parsed events until `until(events)` holds, then disconnect. */
+function collect(query, { headers = {}, until, base = '' }) {
+  return new Promise((resolve, reject) => {
+    const events = [];
+    const req = http.get({ port, path: `${base}/stream${query}`, headers }, (res) => {
+      assert.match(res.headers['content-type'], /text\/event-stream/);
+      let buffer = '';
+      res.on('data', (chunk) => {
+        buffer += chunk;
+        let idx;
+        while ((idx = buffer.indexOf('\n\n')) >= 0) {
+          const block = buffer.slice(0, idx);
+          buffer = buffer.slice(idx + 2);
+          const event = {};
+          for (const line of block.split('\n')) {
+            const [field, ...rest] = line.split(': ');
+            if (field === 'id') event.id = Number(rest.join(': '));
+            if (field === 'event') event.event = rest.join(': ');
+            if (field === 'data') event.data = JSON.parse(rest.join(': '));
+          }
+          if (event.event) events.push(event);
+        }
+        if (until(events)) {
+          req.destroy();
+          resolve(events);
+        }
+      });
+    });
+    req.on('error', (err) => (err.code === 'ECONNRESET' ? null : reject(err)));
+    setTimeout(() => { req.destroy(); reject(new Error(`stream timed out: ${JSON.stringify(events)}`)); }, 3000);
+  });
+}
+
+const settle = () => new Promise((resolve) => setTimeout(resolve, 50));
+
+// Topic parsing
+assert.deepEqual([...parseTopics('pulse, bogus')], ['pulse']);
+assert.deepEqual([...parseTopics('')], ['ticker', 'pulse', 'breadth'], 'admin topics are never a default');
+assert.deepEqual([...parseTopics('quotes')], ['ticker', 'pulse', 'breadth']);
+assert.deepEqual([...parseTopics('', { admin: true })], ['ticker', 'pulse', 'breadth', 'quotes']);
+
+// Snapshot first, then row deltas; unchanged values publish nothing
+const rows = [{ id: 'nifty-50', name: 'NIFTY 50', price: 100 }, { id: 'sensex', name: 'SENSEX', price: 300 }];
+const first = publishMarketSnapshot('ticker', rows);
+assert.equal(first.data.type, 'snapshot');
+const delta = publishMarketSnapshot('ticker', [{ ...rows[0], price: 101 }, rows[1]]);
+assert.deepEqual(delta.data.upserts, [{ id: 'nifty-50', name: 'NIFTY 50', price: 101 }]);
+assert.deepEqual(delta.data.removed, []);
+assert.equal(publishMarketSnapshot('ticker', [{ ...rows[0], price: 101 }, rows[1]]), null);
+publishMarketSnapshot('breadth', { label: 'Neutral', advancing: 10, declining: 10 });
+const breadthDelta = publishMarketSnapshot('breadth', { label: 'Positive', advancing: 14, declining: 10 });
+assert.deepEqual(breadthDelta.data.changes, { label: 'Positive', advancing: 14 });
+assert.equal(publishMarketSnapshot('unknown', {}), null);
+
+// Fresh client: hello + current snapshot for subscribed topics only
+let events = await collect('?topics=ticker', { until: (e) => e.length >= 2 });
+assert.equal(events[0].event, 'hello');
+assert.equal(events[0].data.resumed, false);
+assert.equal(events[1].event, 'ticker');
+assert.equal(events[1].data.type, 'snapshot');
+assert.equal(events[1].data.value[0].price, 101);
+assert.equal(events[1].id, getMarketStreamStatus().lastEventId);
+await settle();
+assert.equal(tickerRefreshes, 1, 'first client starts the refresh loop');
+
+// Resume: only the missed events after Last-Event-ID, filtered by topic
+const missed = publishMarketSnapshot('ticker', [{ ...rows[0], price: 102 }, rows[1]]);
+events = await collect('?topics=ticker', {
+  headers: { 'Last-Event-ID': String(delta.id) },
+  until: (e) => e.length >= 2,
+});
+assert.equal(events[0].data.resumed, true);
+assert.equal(events[1].id, missed.id);
+assert.equal(events[1].data.type, 'delta');
+assert.deepEqual(events[1].data.upserts.map((r) => r.price), [102]);
+
+// A resume point older than the replay ring falls back to snapshots
+for (let i = 0; i < 5; i += 1) publishMarketSnapshot('pulse', { outlook: 'Neutral', tick: i });
+events = await collect('?topics=pulse', { headers: { 'Last-Event-ID': String(first.id) }, until: (e) => e.length >= 2 });
+assert.equal(events[0].data.resumed, false);
+assert.equal(events[1].data.type, 'snapshot');
+assert.equal(events[1].data.value.tick, 4);
+
+// Live deltas reach connected clients; heartbeats carry no id
+const live = collect('?topics=breadth', { until: (e) => e.some((x) => x.event === 'breadth' && x.data.type === 'delta') && e.some((x) => x.event === 'heartbeat') });
+await settle();
+publishMarketSnapshot('breadth', { label: 'Positive', advancing: 15, declining: 9 });
+events = await live;
+const heartbeat = events.find((e) => e.event === 'heartbeat');
+assert.equal(heartbeat.id, undefined);
+assert.ok(events.every((e) => e.event !== 'ticker'), 'unsubscribed topics are not sent');
+
+// Hedge Fund quotes: anonymous and non-admin subscriptions are refused, admins receive them
+publishMarketSnapshot('quotes', [{ symbol: 'ACME', ltp: 250 }]);
+const refused = (base) => new Promise((resolve, reject) => {
+  http.get({ port, path: `${base}/stream?topics=quotes,ticker` }, (res) => {
+    let body = '';
+    res.on('data', (chunk) => { body += chunk; });
+    res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(body) }));
+  }).on('error', reject);
+});
+let denied = await refused('');
+assert.deepEqual([denied.status, denied.body.error], [401, 'stream_topic_forbidden']);
+denied = await refused('/reader');
+assert.equal(denied.status, 403);
+events = await collect('', { until: (e) => e.length >= 4 });
+assert.ok(events.every((e) => e.event !== 'quotes'), 'the default subscription leaves quotes out');
+events = await collect('?topics=quotes', { base: '/admin', until: (e) => e.length >= 2 });
+assert.deepEqual([events[1].event, events[1].data.value[0].symbol], ['quotes', 'ACME']);
+
+await settle();
+assert.equal(getMarketStreamStatus().clients, 0, 'disconnects are cleaned up');
+server.close();
+console.log('marketStream.test.js OK');
@@ -0,0 +1,95 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'model-backtest-'));
+process.env.BACKTEST_DATA_DIR = dir;
+
+const {
+  BACKTEST_MODELS,
+  classifyOutcome,
+  readStoredCandles,
+  replayModels,
+  runModelBacktest,
+  summarizeCalls,
+} = await import('../services/modelBacktest.js');
+
+// Outcome classes around the flat threshold
+assert.equal(classifyOutcome(1.5, 1), 'up');
+assert.equal(classifyOutcome(-1.5, 1), 'down');
+assert.equal(classifyOutcome(0.4, 1), 'flat');
+
+// Hand-built calls: hit rates, confusion and calibration
+const calls = [
+  { band: 'strong_bullish', score: 90, forward: { 5: 3 } },
+  { band: 'bullish', score: 70, forward: { 5: -2 } },
+  { band: 'neutral', score: 50, forward: { 5: 0.2 } },
+  { band: 'bearish', score: 30, forward: { 5: -4 } },
+  { band: 'strong_bearish', score: 10, forward: { 5: null } },
+];
+const summary = summarizeCalls(calls, 5, { flatPct: 1 });
+assert.equal(summary.calls, 4, 'calls without a forward return are skipped');
+assert.equal(summary.hitRate, 0.75);
+assert.equal(summary.directionalCalls, 3);
+assert.equal(summary.directionalHitRate, 0.6667);
+assert.deepEqual(summary.confusion.bullish, { up: 0, flat: 0, down: 1 });
+assert.deepEqual(summary.confusion.neutral, { up: 0, flat: 1, down: 0 });
+assert.equal(summary.bands.strong_bearish.n, 0);
+assert.equal(summary.bands.bearish.meanReturnPct, -4);
+// Brier: (0.9-1)² + (0.7-0)² + (0.5-1)² + (0.3-0)² over 4
+assert.equal(summary.calibration.brier, (0.01 + 0.49 + 0.25 + 0.09) / 4);
+assert.deepEqual(summary.calibration.buckets.map((b) => [b.from, b.n]), [[30, 1], [50, 1], [70, 1], [90, 1]]);
+// ECE: mean |predicted - observed| across singleton buckets
+assert.equal(summary.calibration.ece, Number(((0.3 + 0.5 + 0.7 + 0.1) / 4).toFixed(4)));
+
+// Synthetic daily index: steady rally then a slide
+const candles = [];
+let price = 1000;
+for (let i = 0; i < 320; i++) {
+  const drift = i < 240 ? 0.004 : -0.006;
+  const next = price * (1 + drift + 0.003 * Math.sin(i / 3));
+  candles.push([1_600_000_000 + i * 86_400, price, Math.max(price, next) * 1.003, Math.min(price, next) * 0.997, next, 1000 + (i % 7) * 50]);
+  price = next;
+}
+
+const replay = replayModels(candles, { horizons: [5] });
+assert.deepEqual([...new Set(replay.map((c) => c.model))].sort(), [...BACKTEST_MODELS].sort());
+assert.equal(replay.filter((c) => c.model === 'confluence').length, 121, 'calls start once 200 bars are available');
+assert.equal(replay.find((c) => c.index === 199).forward[5], ((candles[204][4] - candles[199][4]) / candles[199][4]) * 100);
+assert.equal(replay.at(-1).forward[5], null, 'tail bars have no forward return');
+const rallyCalls = replay.filter((c) => c.model === 'index_bullishness' && c.index < 230);
+assert.ok(rallyCalls.every((c) => c.band === 'bullish' || c.band === 'strong_bullish'), 'steady rally reads bullish');
+
+// Stored-candle runner
+fs.mkdirSync(path.join(dir, 'market_candles', 'nifty50'), { recursive: true });
+fs.writeFileSync(
+  path.join(dir, 'market_candles', 'nifty50', 'daily.json'),
+  JSON.stringify({ index: 'nifty50', frame: 'daily', provider: 'groww', capturedAt: '2026-01-01T00:00:00.000Z', candles })
+);
+assert.equal(readStoredCandles('nifty50', 'daily').candles.length, 320);
+assert.equal(readStoredCandles('nifty50', 'hourly'), null);
+
+const report = await runModelBacktest({ frame: 'daily', indices: ['nifty50', 'banknifty'] });
+assert.deepEqual(report.horizons, [5, 20]);
+assert.equal(report.flatPct, 1);
+assert.deepEqual(report.missing, ['banknifty']);
+assert.equal(report.indices.length, 1);
+const nifty = report.indices[0];
+assert.equal(nifty.provider, 'groww');
+assert.equal(nifty.bars, 320);
+assert.equal(nifty.from, new Date(1_600_000_000 * 1000).toISOString());
+for (const model of BACKTEST_MODELS) {
+  const h20 = nifty.models[model].horizons[20];
+  const confusionTotal = Object.values(h20.confusion).reduce((sum, row) => sum + row.up + row.flat + row.down, 0);
+  assert.equal(confusionTotal, h20.calls, `${model} confusion covers every scored call`);
+  assert.equal(h20.calls, 121 - 20);
+  assert.ok(nifty.models[model].latest.band);
+}
+
+// Cached until a candle file changes
+assert.equal(await runModelBacktest({ frame: 'daily', indices: ['nifty50', 'banknifty'] }), report);
+await assert.rejects(() => runModelBacktest({ frame: 'weekly' }), /Unknown backtest frame/);
+
+fs.rmSync(dir, { recursive: true, force: true });
+console.log('modelBacktest.test.js OK');
@@ -0,0 +1,153 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'options-chain-test-'));
+process.env.STORAGE_BACKEND = 'sqlite';
+process.env.STORAGE_SQLITE_FILE = path.join(tmp, 'storage.sqlite');
+delete process.env.MARKET_HOLIDAYS;
+delete process.env.MARKET_SPECIAL_SESSIONS;
+
+const { storage, closeStorage } = await import('../storage/index.js');
+const options = await import('../services/optionsChain.js');
+const { computeAgiMarketScore } = await import('../services/marketIntelligenceEngine.js');
+
+const ist = (local) => Date.parse(`${local}+05:30`);
+
+/**
+ * Synthetic chain around `spot`: calls crowd above the money, puts below,
+ * puts carry the richer IV. `*Move` and `*OiChange` set each side's session change.
+ */
+function chain({ spot = 25000, callMove = -5, putMove = -5, callOiChange = 500, putOiChange = 1000 } = {}) {
+  const rows = [];
+  for (let strike = spot - 1000; strike <= spot + 1000; strike += 100) {
+    const callDelta = 1 / (1 + Math.exp((strike - spot) / 300));
+    const distance = (strike - spot) / 100;
+    const callOi = 10_000 + Math.max(0, distance) * 2_000;
+    const putOi = 10_000 + Math.max(0, -distance) * 3_000;
+    rows.push({
+      expiry: '2026-10-23',
+      strike_price: strike,
+      underlying_spot_price: spot,
+      call_options: {
+        market_data: { ltp: 100 + callMove, close_price: 100, oi: callOi, prev_oi: callOi - callOiChange, volume: 5_000 },
+        option_greeks: { iv: 13 - distance * 0.05, delta: callDelta },
+      },
+      put_options: {
+        market_data: { ltp: 100 + putMove, close_price: 100, oi: putOi, prev_oi: putOi - putOiChange, volume: 6_000 },
+        option_greeks: { iv: 13 - distance * 0.2, delta: callDelta - 1 },
+      },
+    });
+  }
+  return rows;
+}
+
+// --- Pure analytics ------------------------------------------------------------------
+
+assert.equal(options.classifyBuildup(2, 100), 'long_buildup');
+assert.equal(options.classifyBuildup(-2, 100), 'short_buildup');
+assert.equal(options.classifyBuildup(2, -100), 'short_covering');
+assert.equal(options.classifyBuildup(-2, -100), 'long_unwinding');
+assert.equal(options.classifyBuildup(0, 100), null);
+
+const { spot, strikes } = options.normalizeChain(chain());
+assert.deepEqual([spot, strikes.length, strikes[0].strike], [25000, 21, 24000]);
+
+const pcr = options.putCallRatio(strikes);
+assert.ok(pcr.oi > 1, 'heavier put OI below the money');
+assert.equal(pcr.volume, 1.2);
+
+const tiny = options.normalizeChain([
+  { strike_price: 100, call_options: { market_data: { oi: 0 } }, put_options: { market_data: { oi: 50 } } },
+  { strike_price: 110, call_options: { market_data: { oi: 10 } }, put_options: { market_data: { oi: 10 } } },
+  { strike_price: 120, call_options: { market_data: { oi: 60 } }, put_options: { market_data: { oi: 0 } } },
+]).strikes;
+assert.equal(options.maxPain(tiny), 110, 'writers pay least where both sides expire worthless');
+
+// Calls sold off with OI added, puts sold off with OI added: short build-up on both sides.
+const buildup = options.summarizeBuildup(strikes);
+assert.deepEqual([buildup.call.dominant, buildup.put.dominant], ['short_buildup', 'short_buildup']);
+assert.ok(Math.abs(buildup.bias - 1 / 3) < 1e-3, 'put writing outweighs call writing 2:1');
+
+assert.equal(options.atmIv(strikes, spot), 13);
+const skew = options.ivSkew(strikes, spot);
+assert.equal(skew.method, '25_delta');
+assert.ok(skew.value > 0, 'puts richer than calls');
+const noGreeks = options.normalizeChain(chain().map((row) => ({
+  ...row,
+  call_options: { ...row.call_options, option_greeks: { iv: row.call_options.option_greeks.iv } },
+  put_options: { ...row.put_options, option_greeks: { iv: row.put_options.option_greeks.iv } },
+}))).strikes;
+assert.equal(options.ivSkew(noGreeks, spot).method, 'moneyness_3pct');
+
+assert.equal(options.ivPercentile(13, Array(19).fill(12)), null, 'needs 20 sessions');
+assert.equal(options.ivPercentile(13, [...Array(15).fill(12), ...Array(5).fill(14)]), 75);
+
+assert.equal(options.selectExpiry(['2026-10-27', '2026-10-19', '2026-10-23', '2026-10-14'], '2026-10-19'), '2026-10-23', 'rolls off the expiring series');
+assert.equal(options.selectExpiry(['2026-10-19'], '2026-10-19'), '2026-10-19');
+
+const bearish = options.analyzeChain(chain({ putMove: 8, callOiChange: 3000 }));
+const bullish = options.analyzeChain(chain());
+assert.equal(bearish.buildup.put.dominant, 'long_buildup');
+assert.ok(bullish.score > bearish.score, 'call writing and put buying lean bearish');
+assert.ok(['Bullish', 'Neutral', 'Bearish'].includes(bullish.label));
+assert.equal(bullish.strikes.length, 21);
+assert.equal(bullish.iv_percentile, null);
+
+// --- Ingest --------------------------------------------------------------------------
+
+const monday = ist('2026-10-19T11:00:00');
+for (let i = 1; i <= 25; i += 1) {
+  const date = new Date(Date.parse('2026-10-18T00:00:00Z') - i * 86_400_000).toISOString().slice(0, 10);
+  await storage.put('option_chain_snapshots', { id: `NIFTY|${date}`, underlying: 'NIFTY', date, analytics: { atm_iv: i <= 5 ? 15 : 11, score: 50 } });
+}
+
+const requested = [];
+const contractsImpl = async (key) => ({ data: [{ expiry: '2026-10-19' }, { expiry: '2026-10-23' }, { expiry: '2026-10-27' }], key });
+const chainImpl = async (key, expiry) => {
+  requested.push([key, expiry]);
+  return { status: 'success', data: key === 'NSE_INDEX|Nifty Bank' ? chain({ spot: 52000 }) : chain() };
+};
+
+const closed = await options.refreshOptionChains({ now: ist('2026-10-19T17:00:00'), contractsImpl, chainImpl });
+assert.deepEqual([closed.skipped, closed.reason], [true, 'market_closed']);
+
+const run = await options.refreshOptionChains({ now: monday, contractsImpl, chainImpl });
+assert.equal(run.ok, true);
+assert.deepEqual(requested, [['NSE_INDEX|Nifty 50', '2026-10-23'], ['NSE_INDEX|Nifty Bank', '2026-10-23']]);
+assert.deepEqual(run.refreshed.map((r) => r.underlying), ['NIFTY', 'BANKNIFTY']);
+
+const stored = await storage.get('option_chain_snapshots', 'NIFTY|2026-10-19');
+assert.equal(stored.expiry, '2026-10-23');
+assert.equal(stored.analytics.iv_history_sessions, 25);
+assert.equal(stored.analytics.iv_percentile, 80, 'ranked against earlier session closes');
+
+const factor = await options.getOptionsFactor({ now: monday + 60_000 });
+assert.deepEqual(factor.underlyings, ['NIFTY', 'BANKNIFTY']);
+assert.equal(factor.stale, false);
+assert.equal(factor.pcr, stored.analytics.pcr_oi);
+assert.ok((await options.getOptionsFactor({ now: monday + 60 * 60_000 })).stale, 'an hour-old snapshot in session is stale');
+assert.equal(await options.getOptionsFactor({ now: ist('2026-10-28T11:00:00') }), null, 'older sessions are left out');
+
+const summary = await options.getOptionsSummary({ now: monday + 60_000 });
+assert.deepEqual(summary.underlyings.map((u) => [u.underlying, u.available]), [['NIFTY', true], ['BANKNIFTY', true]]);
+assert.ok(summary.underlyings[0].strikes.some((row) => row.put.buildup === 'short_buildup'));
+
+const failing = await options.refreshOptionChains({ now: monday, contractsImpl: async () => ({ data: [] }), chainImpl });
+assert.equal(failing.ok, false);
+assert.match(failing.error, /NIFTY: No listed expiry/);
+await assert.rejects(options.ingestOptionChain('FINNIFTY', { now: monday, contractsImpl, chainImpl }), (err) => err.status === 400);
+
+// --- Market score --------------------------------------------------------------------
+
+const factors = { trend: { score: 70 }, momentum: { score: 60 }, breadth: { score: 55 }, volume: { score: 50 }, volatility: { score: 50 }, sector: { score: 60 }, global: { score: 50 } };
+assert.equal(computeAgiMarketScore(factors).agiMarketScore, 60, 'unchanged without options coverage');
+const withOptions = computeAgiMarketScore({ ...factors, options: { score: 20, label: 'Bearish' } });
+assert.equal(withOptions.agiMarketScore, Math.round((59.75 + 2) / 1.1));
+assert.ok(withOptions.reasons.some((r) => r.type === 'negative' && /Options/.test(r.text)));
+
+assert.deepEqual([options.optionsChainJob().id, options.optionsChainJob().enabled()], ['options-chain', true]);
+
+await closeStorage();
+console.log('optionsChain.test.js OK');
@@ -0,0 +1,94 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-test-'));
+process.env.STORAGE_BACKEND = 'sqlite';
+process.env.STORAGE_SQLITE_FILE = path.join(tmp, 'storage.sqlite');
+
+const { closeStorage, findIn, storage, storageInfo } = await import('../storage/index.js');
+const { importLegacyJson } = await import('../storage/importJson.js');
+const cms = await import('../services/intelligenceCms/store.js');
+
+assert.equal((await storageInfo()).backend, 'sqlite');
+
+// Indexed filters, ordering and paging
+await storage.putMany('platform_entities', [
+  { id: 'e1', slug: 'alpha', name: 'Alpha', entity_type: 'pe_firm', status: 'published', rank: 3 },
+  { id: 'e2', slug: 'beta', name: 'Beta', entity_type: 'fund', status: 'published', rank: 1 },
+  { id: 'e3', slug: 'gamma', name: 'Gamma', entity_type: 'pe_firm', status: 'draft', rank: 2 },
+]);
+assert.deepEqual((await storage.find('platform_entities', { where: { entity_type: 'pe_firm' }, orderBy: '-name' })).map((e) => e.id), ['e3', 'e1']);
+assert.deepEqual((await storage.find('platform_entities', { where: { status: ['published'] }, orderBy: 'rank' })).map((e) => e.id), ['e2', 'e1']);
+assert.deepEqual((await storage.find('platform_entities', { where: { rank: { gte: 2 } }, orderBy: 'rank', limit: 1, offset: 1 })).map((e) => e.id), ['e1']);
+assert.equal(await storage.count('platform_entities', { where: { status: 'draft' } }), 1);
+assert.equal((await findIn('platform_entities', 'slug', ['alpha', 'gamma', 'missing'])).length, 2);
+await assert.rejects(() => storage.find('platform_entities', { where: { 'name; drop': 'x' } }), /Invalid storage field/);
+
+// Unique index
+await assert.rejects(
+  () => storage.put('platform_entities', { id: 'e4', slug: 'alpha', name: 'Dup' }),
+  (err) => err.code === 'STORAGE_CONFLICT',
+);
+
+// Concurrent read-modify-write never loses an update
+await storage.put('newsletter_jobs', { id: 'job1', analytics: { opens: 0 }, created_at: '2026-01-01' });
+await Promise.all(
+  Array.from({ length: 25 }, () =>
+    storage.update('newsletter_jobs', 'job1', (job) => ({ ...job, analytics: { opens: job.analytics.opens + 1 } })),
+  ),
+);
+assert.equal((await storage.get('newsletter_jobs', 'job1')).analytics.opens, 25);
+assert.equal(await storage.update('newsletter_jobs', 'missing', { x: 1 }), null);
+
+// Transactions roll back as a unit, and nested calls join the open transaction
+await assert.rejects(
+  storage.transaction(async () => {
+    await storage.put('newsletter_events', { id: 'ev1', event_type: 'open' });
+    await storage.transaction(() => storage.put('newsletter_events', { id: 'ev2', event_type: 'open' }));
+    throw new Error('boom');
+  }),
+  /boom/,
+);
+assert.equal(await storage.count('newsletter_events'), 0);
+
+// CMS store: record + version rows written together, seeded once
+const seeded = await cms.listRecords('transactions');
+assert.ok(seeded.length > 0);
+const created = await cms.createRecord('transactions', { data: { target: 'Test Co' } }, 'tester');
+const updated = await cms.updateRecord(created.id, { status: 'archived' }, 'tester');
+assert.equal(updated.version, 2);
+assert.deepEqual((await cms.getRecordVersions(created.id)).map((v) => v.version), [2, 1]);
+const { imported } = await cms.importModuleCsv('transactions', 'target,status\n"A, Inc",published\nB,bogus', 'tester');
+assert.equal(imported, 2);
+assert.equal((await cms.listRecords('transactions', { q: 'a, inc' })).length, 1);
+
+// One-shot JSON import
+const dataDir = path.join(tmp, 'legacy');
+fs.mkdirSync(path.join(dataDir, 'newsletter'), { recursive: true });
+fs.mkdirSync(path.join(dataDir, 'intelligence_platform'), { recursive: true });
+fs.writeFileSync(path.join(dataDir, 'newsletter/subscribers.json'), JSON.stringify([
+  { id: 's1', email: 'a@agi.test', status: 'active' },
+  { id: 's2', email: 'a@agi.test', status: 'active' },
+  { email: 'b@agi.test', status: 'active' },
+]));
+fs.writeFileSync(path.join(dataDir, 'intelligence_platform/timeline.json'), JSON.stringify({
+  events: [{ id: 't1', entity_id: 'e1', occurred_at: '2020-01-01T00:00:00.000Z', title: 'Founded' }],
+}));
+const first = await importLegacyJson({ dataDir });
+assert.equal(first.collections.newsletter_subscribers.rows, 2);
+assert.equal(first.collections.newsletter_subscribers.dropped, 1);
+assert.equal(first.collections.platform_entities.status, 'missing');
+assert.equal(first.collections.platform_timeline.status, 'imported');
+assert.equal(first.collections.newsletter_jobs.status, 'missing');
+assert.equal(await storage.count('newsletter_subscribers'), 2);
+assert.equal((await importLegacyJson({ dataDir })).skipped, true);
+const forced = await importLegacyJson({ dataDir, force: true });
+assert.equal(forced.skipped, false);
+assert.equal(await storage.count('newsletter_subscribers'), 2);
+assert.equal(await storage.count('platform_timeline'), 1);
+
+await closeStorage();
+fs.rmSync(tmp, { recursive: true, force: true });
+console.log('storage.test.js OK');
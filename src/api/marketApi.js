@@ -29,3 +29,4 @@ export const getMarketBriefing = () => marketFetch('/briefing');
 export const getMacroBriefing = () => marketFetch('/macro-briefing');
 export const askMacroEconomist = (query) => marketFetch('/macro-ask', { method: 'POST', body: { query } });
 export const getPreMarketBriefing = () => marketFetch('/pre-market-briefing');
+export const getMarketOptions = () => marketFetch('/options');
@@ -1,4 +1,10 @@
-/** IST market-session helpers for the Home Terminal countdown. */
+/**
+ * IST market-session helpers for the Home Terminal countdown.
+ *
+ * Given the exchange calendar (`sessions` from /api/market/calendar) the
+ * countdown honours holidays and special sessions such as Muhurat trading;
+ * without it, weekdays 09:15–15:30 IST.
+ */
 
 const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
 
@@ -22,7 +28,33 @@ function istDate(y, m, d, h, min = 0, sec = 0) {
   return new Date(asUtcGuess);
 }
 
-export function getMarketSession(now = new Date()) {
+function istDateKey(now) {
+  const p = toIstParts(now);
+  return `${p.y}-${String(p.m + 1).padStart(2, '0')}-${String(p.d).padStart(2, '0')}`;
+}
+
+function sessionFromCalendar(now, sessions) {
+  const t = now.getTime();
+  const current = sessions.find((s) => s.trading && s.opens_at && s.closes_at && Date.parse(s.closes_at) > t);
+  // Past the end of the fetched window — let the weekday rule take over.
+  if (!current) return null;
+  const open = new Date(current.opens_at);
+  const close = new Date(current.closes_at);
+  const named = current.kind === 'regular' ? 'Market' : current.label;
+  if (t >= open.getTime()) return { phase: 'open', label: `${named} closes in`, target: close, open, close };
+  const today = sessions.find((s) => s.date === istDateKey(now));
+  if (today?.date === current.date) return { phase: 'pre', label: `${named} opens in`, target: open, open, close };
+  if (today?.kind === 'holiday') {
+    return { phase: 'holiday', label: `${today.label} · ${named} opens`, target: open, open, close };
+  }
+  return { phase: today?.kind === 'weekend' ? 'weekend' : 'closed', label: `${named} opens`, target: open, open, close };
+}
+
+export function getMarketSession(now = new Date(), sessions = null) {
+  if (Array.isArray(sessions) && sessions.length) {
+    const session = sessionFromCalendar(now, sessions);
+    if (session) return session;
+  }
   const p = toIstParts(now);
   const isWeekend = p.day === 0 || p.day === 6;
   const open = istDate(p.y, p.m, p.d, 9, 15, 0);
@@ -18,6 +18,7 @@ import useMarketDashboard from '@/hooks/useMarketDashboard';
 import usePublishedArticles from '@/hooks/usePublishedArticles';
 import useNifty500Research from '@/hooks/useNifty500Research';
 import { getIntelligenceHealth, listResearchRuns, getResearchRun } from '@/lib/intelligenceApi';
+import { getMarketCalendar } from '@/lib/marketContextApi';
 
 export default function HomeTerminal() {
   const navigate = useNavigate();
@@ -30,12 +31,27 @@ export default function HomeTerminal() {
   const [now, setNow] = useState(() => new Date());
   const [cioRun, setCioRun] = useState(null);
   const [engineOk, setEngineOk] = useState(null);
+  const [calendar, setCalendar] = useState(null);
 
   useEffect(() => {
     const t = window.setInterval(() => setNow(new Date()), 1000);
     return () => window.clearInterval(t);
   }, []);
 
+  useEffect(() => {
+    let active = true;
+    getMarketCalendar()
+      .then((body) => {
+        if (active) setCalendar(body);
+      })
+      .catch(() => {
+        /* weekday countdown still works */
+      });
+    return () => {
+      active = false;
+    };
+  }, []);
+
   useEffect(() => {
     let active = true;
     (async () => {
@@ -64,7 +80,7 @@ export default function HomeTerminal() {
     };
   }, []);
 
-  const session = useMemo(() => getMarketSession(now), [now]);
+  const session = useMemo(() => getMarketSession(now, calendar?.sessions), [now, calendar]);
   const countdown = formatCountdown(session.target, now);
   const greeting = greetingForHour(now);
   const story = buildStoryFromReport(cioRun?.report, { symbols: cioRun?.symbols || [] });
@@ -29,6 +29,8 @@ export default function AgiMarketPulse() {
 
   const p = pulse || {};
   const reasons = p.reasons || outlook?.reasons || [];
+  const quality = p.dataQuality || outlook?.dataQuality;
+  const degraded = quality && quality.status !== 'complete';
 
   return (
     <div className="border border-[#dddddd] bg-white">
@@ -36,16 +38,26 @@ export default function AgiMarketPulse() {
         <h2 className="text-sm font-bold text-[#111111]">AGI Market Pulse</h2>
         <p className="text-[11px] text-[#767676] mt-0.5">
           Proprietary analytics · AGI Score {p.agiMarketScore ?? outlook?.agiMarketScore ?? '—'}/100
+          {quality && ` · Data grade ${quality.grade}`}
         </p>
       </div>
 
+      {degraded && (
+        <div className="px-5 py-3 border-b border-[#eeeeee] bg-[#fff8e8]">
+          <p className="text-[10px] font-bold uppercase tracking-wide text-[#966a00]">
+            {quality.withheld ? 'Score withheld — insufficient data' : 'Degraded inputs'}
+          </p>
+          <p className="text-[11px] text-[#444444] mt-0.5">{quality.reasons?.slice(0, 2).join(' · ')}</p>
+        </div>
+      )}
+
       <div className="px-5 py-2">
         <PulseRow
           label="Market Outlook"
           value={`${p.outlookBadge || ''} ${p.outlook || 'Neutral'}`.trim()}
           highlight
         />
-        <PulseRow label="Confidence" value={p.confidence ? `${p.confidence}%` : '—'} highlight />
+        <PulseRow label="Confidence" value={p.confidence != null ? `${p.confidence}%` : '—'} highlight />
         <PulseRow label="Momentum" value={p.momentum} />
         <PulseRow label="Risk" value={p.risk} />
         <PulseRow label="Volatility" value={p.volatility} />
@@ -61,7 +73,7 @@ export default function AgiMarketPulse() {
           <ul className="space-y-1.5">
             {reasons.map((r, i) => (
               <li key={i} className="text-xs text-[#444444] flex items-start gap-1.5">
-                <span>{r.type === 'positive' ? '✓' : '✗'}</span>
+                <span>{r.type === 'positive' ? '✓' : r.type === 'data' ? '!' : '✗'}</span>
                 <span>{r.text}</span>
               </li>
             ))}
@@ -1,18 +1,80 @@
-import React from 'react';
-import { motion } from 'framer-motion';
+/**
+ * Home-page economic calendar — scheduled releases (with consensus / prior)
+ * and the latest prints scored against consensus. Rows come from
+ * /api/ui/home (`economic_calendar`, `economic_releases`), which reads the
+ * server's economic calendar; nothing here is synthesised.
+ */
 
-const WelcomeMessage = () => {
-  return (
-    <motion.p
-      className='text-xl md:text-2xl text-white max-w-2xl mx-auto'
-      initial={{ opacity: 0 }}
-      animate={{ opacity: 1 }}
-      transition={{ duration: 0.5, delay: 0.5 }}
-    >
-      Hello there! I'm <span className='font-semibold text-purple-300'>Horizons</span>, your AI coding companion.
-      I'm here to help you build amazing web application!
-    </motion.p>
-  );
+const TONE = {
+  positive: 'text-[#0a7a3d]',
+  negative: 'text-[#c0392b]',
+  neutral: 'text-[#767676]',
 };
 
-export default WelcomeMessage;
+function releaseTime(value) {
+  const d = new Date(value);
+  if (Number.isNaN(d.getTime())) return '—';
+  return d.toLocaleString('en-IN', {
+    timeZone: 'Asia/Kolkata',
+    day: '2-digit',
+    month: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hour12: false,
+  });
+}
+
+function withUnit(value, unit) {
+  if (value == null) return 'n/a';
+  return unit === '%' ? `${value}%` : unit === 'k' ? `${value}k` : String(value);
+}
+
+export default function EconomicCalendar({ events = [], releases = [] }) {
+  return (
+    <div className="grid grid-cols-1 gap-6 lg:grid-cols-3">
+      <div className="lg:col-span-2">
+        <p className="mb-2 text-[11px] font-bold uppercase tracking-wide text-[#767676]">Scheduled · IST</p>
+        {events.length === 0 ? (
+          <p className="text-sm text-[#767676]">No tracked releases scheduled in the next two weeks.</p>
+        ) : (
+          <ul className="divide-y divide-[#eeeeee] border border-[#dddddd]">
+            {events.slice(0, 6).map((e, idx) => (
+              <li key={e.id || e.title || idx} className="flex items-start justify-between gap-4 px-4 py-3 text-sm">
+                <div className="min-w-0">
+                  <p className="font-medium text-[#111111]">
+                    {e.title || e.name}
+                    {e.period ? <span className="font-normal text-[#767676]"> · {e.period}</span> : null}
+                  </p>
+                  <p className="mt-0.5 text-xs text-[#767676]">
+                    {e.country} · consensus {withUnit(e.consensus, e.unit)} · prior {withUnit(e.previous, e.unit)}
+                  </p>
+                </div>
+                <div className="shrink-0 text-right">
+                  <p className="text-xs font-bold tabular-nums text-[#111111]">{releaseTime(e.date)}</p>
+                  <p className={`text-[11px] ${e.importance === 'High' ? 'text-[#ff6600]' : 'text-[#767676]'}`}>
+                    {e.when || e.importance}
+                  </p>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+      <div>
+        <p className="mb-2 text-[11px] font-bold uppercase tracking-wide text-[#767676]">Latest prints vs consensus</p>
+        {releases.length === 0 ? (
+          <p className="text-sm text-[#767676]">No releases recorded this week.</p>
+        ) : (
+          <ul className="space-y-2">
+            {releases.map((r) => (
+              <li key={r.id} className="border border-[#dddddd] px-4 py-3 text-sm">
+                <p className="font-medium text-[#111111]">{r.title}</p>
+                <p className={`mt-0.5 text-xs tabular-nums ${TONE[r.tone] || TONE.neutral}`}>{r.read}</p>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -7,6 +7,7 @@ import PopularInvestorQuestions from '@/components/Home/PopularInvestorQuestions
 import TodayDashboard from '@/components/Home/TodayDashboard';
 import IndexSentimentTicker from '@/components/Home/IndexSentimentTicker';
 import HomeIntelligenceStrip from '@/components/Home/HomeIntelligenceStrip';
+import EconomicCalendar from '@/components/Home/EconomicCalendar';
 import ResearchNotesPreview from '@/components/Home/ResearchNotesPreview';
 import NewsHeadlineBar from '@/components/Home/NewsHeadlineBar';
 import Nifty500ResearchPreview from '@/components/Home/Nifty500ResearchPreview';
@@ -131,6 +132,7 @@ export default function EditorialHome() {
   const topCompanies = uiHome?.top_companies || uiHome?.feeds?.trending_companies || [];
   const themes = uiHome?.market_themes || uiHome?.feeds?.trending_themes || [];
   const calendar = uiHome?.economic_calendar || [];
+  const releases = uiHome?.economic_releases || [];
   const knowledge = uiHome?.latest_news || [];
   const predictions = uiHome?.feeds?.latest_predictions || [];
 
@@ -326,14 +328,8 @@ export default function EditorialHome() {
         {/* Economic Calendar */}
         <section className="py-8 border-b border-[#dddddd]">
           <SectionHeader title="Economic Calendar" href="/macro-intelligence" />
-          {calendar.length > 0 ? (
-            <ul className="space-y-2">
-              {calendar.slice(0, 6).map((e, idx) => (
-                <li key={e.id || e.title || idx} className="border border-[#dddddd] px-4 py-3 text-sm">
-                  {e.title || e.name}
-                </li>
-              ))}
-            </ul>
+          {calendar.length > 0 || releases.length > 0 ? (
+            <EconomicCalendar events={calendar} releases={releases} />
           ) : (
             <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
               <MarketUpdateSectionLoader sectionId="pre-market" />
@@ -21,11 +21,11 @@ export default function AgiInsightStrip() {
                 <span className="text-[10px] font-bold uppercase tracking-wide text-[#767676]">
                   {item.label}
                 </span>
-                <span className="text-xs font-bold text-[#111111] leading-tight">
+                <span className={`text-xs font-bold leading-tight ${item.tone === 'warn' ? 'text-[#b45309]' : 'text-[#111111]'}`}>
                   {item.value}
                 </span>
                 {item.sub && (
-                  <span className="text-[9px] text-[#999]">{item.sub}</span>
+                  <span className="text-[9px] text-[#999] max-w-[220px] truncate" title={item.sub}>{item.sub}</span>
                 )}
               </Link>
             ))
@@ -0,0 +1,114 @@
+import { useState } from 'react';
+import { useUniversalSearch } from '@/hooks/useIntelligencePlatform';
+
+const CELL_CLASS =
+  'w-full min-w-[120px] border-0 bg-transparent px-2 py-2 outline-none focus:bg-blue-50 focus:ring-1 focus:ring-inset focus:ring-blue-200';
+
+/** Entity picker for `reference` columns — stores { id, slug, name, entity_type }. */
+function ReferenceInput({ field, value, onChange, onBlur, className }) {
+  const [query, setQuery] = useState(null);
+  const search = useUniversalSearch(query || '', { limit: 6, types: field.entityTypes || [] });
+  const options = search.groups.flatMap((g) => g.results).slice(0, 6);
+
+  const pick = (entity) => {
+    setQuery(null);
+    onChange(entity && { id: entity.id, slug: entity.slug, name: entity.name, entity_type: entity.entity_type });
+  };
+
+  return (
+    <div className="relative">
+      <input
+        className={className}
+        value={query ?? value?.name ?? ''}
+        placeholder={field.entityTypes?.map((t) => t.replace(/_/g, ' ')).join(' / ') || 'Search entities'}
+        onChange={(e) => {
+          setQuery(e.target.value);
+          if (!e.target.value) pick(null);
+        }}
+        onBlur={() => {
+          window.setTimeout(() => setQuery(null), 150);
+          onBlur?.();
+        }}
+      />
+      {query && options.length > 0 && (
+        <ul className="absolute z-20 left-0 min-w-full mt-1 bg-white border border-slate-200 rounded-md shadow-lg">
+          {options.map((option) => (
+            <li key={option.id}>
+              <button
+                type="button"
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={() => pick(option)}
+                className="w-full text-left px-3 py-2 text-sm hover:bg-slate-50 whitespace-nowrap"
+              >
+                {option.name} <span className="text-xs text-slate-400">{option.entity_type_label}</span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+/** Hint for the unit a numeric cell is read in — typing "4.8bn" or "₹1,200 crore" still converts. */
+function numericPlaceholder(field) {
+  if (field.type === 'currency') return [field.currency || 'USD', field.unit].filter(Boolean).join(' ');
+  if (field.type === 'multiple') return '0.0x';
+  if (field.type === 'percent') return '%';
+  return undefined;
+}
+
+/**
+ * Editor for one CMS field, chosen by column type (server/services/intelligenceCms/schema.js).
+ * Numbers and amounts stay free text so pasted values like "1,250" reach the server's parser;
+ * textareas render as single-line cells unless `multiline`.
+ */
+export default function CmsFieldInput({ field, value, onChange, onBlur, onPaste, multiline = false, className = CELL_CLASS }) {
+  switch (field.type) {
+    case 'enum':
+      return (
+        <select className={className} value={value ?? ''} onChange={(e) => onChange(e.target.value)} onBlur={onBlur}>
+          <option value="">—</option>
+          {field.options.map((option) => (
+            <option key={option} value={option}>{option}</option>
+          ))}
+        </select>
+      );
+    case 'date':
+      return (
+        <input type="date" className={className} value={value ?? ''} min={field.min} max={field.max} onChange={(e) => onChange(e.target.value)} onBlur={onBlur} />
+      );
+    case 'reference':
+      return <ReferenceInput field={field} value={value} onChange={onChange} onBlur={onBlur} className={className} />;
+    case 'number':
+    case 'currency':
+    case 'multiple':
+    case 'percent':
+      return (
+        <input
+          inputMode="decimal"
+          className={`${className} text-right tabular-nums`}
+          value={value ?? ''}
+          placeholder={numericPlaceholder(field)}
+          onChange={(e) => onChange(e.target.value)}
+          onBlur={onBlur}
+          onPaste={onPaste}
+        />
+      );
+    case 'textarea':
+      if (!multiline) break;
+      return <textarea className={className} rows={4} value={value ?? ''} onChange={(e) => onChange(e.target.value)} onBlur={onBlur} />;
+    default:
+      break;
+  }
+  return (
+    <input
+      className={className}
+      value={value ?? ''}
+      maxLength={field.maxLength}
+      onChange={(e) => onChange(e.target.value)}
+      onBlur={onBlur}
+      onPaste={onPaste}
+    />
+  );
+}
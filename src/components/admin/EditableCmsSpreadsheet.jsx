@@ -1,11 +1,13 @@
 import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
-import { Check, Loader2, Plus, Trash2 } from 'lucide-react';
+import { Link } from 'react-router-dom';
+import { Check, History, Loader2, Plus, Trash2 } from 'lucide-react';
 import {
   createCmsRecord,
   deleteCmsRecord,
   publishCmsRecord,
   updateCmsRecord,
 } from '@/lib/intelligenceCmsApi';
+import CmsFieldInput from './CmsFieldInput';
 
 function emptyRowData(columns) {
   const data = {};
@@ -15,6 +17,13 @@ function emptyRowData(columns) {
   return data;
 }
 
+const isBlank = (value) => value === null || value === undefined || String(value).trim() === '';
+
+/** Rows missing required columns stay drafts — the server only enforces required fields outside draft. */
+function isComplete(moduleDef, data) {
+  return (moduleDef?.columns || []).every((col) => !col.required || !isBlank(data[col.key]));
+}
+
 export default function EditableCmsSpreadsheet({
   moduleId,
   moduleDef,
@@ -32,6 +41,7 @@ export default function EditableCmsSpreadsheet({
   const [drafts, setDrafts] = useState({});
   const [savingIds, setSavingIds] = useState({});
   const [savedIds, setSavedIds] = useState({});
+  const [rowErrors, setRowErrors] = useState({});
   const saveTimers = useRef({});
 
   useEffect(() => {
@@ -59,16 +69,21 @@ export default function EditableCmsSpreadsheet({
       setSavingIds((prev) => ({ ...prev, [record.id]: true }));
       try {
         const nextData = { ...(drafts[record.id] || record.data || {}), ...dataPatch };
+        // Rows in review (or archived) keep their status — review decisions publish those.
+        const publish = autoPublish && ['draft', 'published'].includes(record.status) && isComplete(moduleDef, nextData);
         await updateCmsRecord(record.id, {
           data: nextData,
           actor,
-          status: autoPublish ? 'published' : record.status,
+          status: publish ? 'published' : record.status,
         });
-        if (autoPublish && record.status !== 'published') {
+        if (publish && record.status !== 'published') {
           await publishCmsRecord(record.id, actor);
         }
+        setRowErrors(({ [record.id]: _, ...rest }) => rest);
         markSaved(record.id);
         onReload?.();
+      } catch (e) {
+        setRowErrors((prev) => ({ ...prev, [record.id]: e.message }));
       } finally {
         setSavingIds((prev) => {
           const copy = { ...prev };
@@ -77,7 +92,7 @@ export default function EditableCmsSpreadsheet({
         });
       }
     },
-    [actor, autoPublish, drafts, markSaved, onReload]
+    [actor, autoPublish, drafts, markSaved, moduleDef, onReload]
   );
 
   const queueSave = useCallback(
@@ -100,12 +115,13 @@ export default function EditableCmsSpreadsheet({
 
   const handleAddRow = async () => {
     const data = emptyRowData(columns);
+    const publish = autoPublish && isComplete(moduleDef, data);
     const record = await createCmsRecord(moduleId, {
       data,
-      status: autoPublish ? 'published' : 'draft',
+      status: publish ? 'published' : 'draft',
       actor,
     });
-    if (autoPublish) await publishCmsRecord(record.id, actor);
+    if (publish) await publishCmsRecord(record.id, actor);
     onReload?.();
   };
 
@@ -128,12 +144,8 @@ export default function EditableCmsSpreadsheet({
       const cells = lines[rowOffset].split('\t');
       let record = records[startIndex + rowOffset];
       if (!record) {
-        record = await createCmsRecord(moduleId, {
-          data: emptyRowData(columns),
-          status: autoPublish ? 'published' : 'draft',
-          actor,
-        });
-        if (autoPublish) await publishCmsRecord(record.id, actor);
+        // persistRow below publishes the row once its required columns are filled.
+        record = await createCmsRecord(moduleId, { data: emptyRowData(columns), status: 'draft', actor });
       }
 
       const patch = {};
@@ -197,10 +209,10 @@ export default function EditableCmsSpreadsheet({
                 <tr key={record.id} className="border-b border-slate-100 hover:bg-slate-50/70">
                   {columns.map((col, colIndex) => (
                     <td key={col.key} className="p-0 align-top">
-                      <input
-                        className="w-full min-w-[120px] border-0 bg-transparent px-2 py-2 outline-none focus:bg-blue-50 focus:ring-1 focus:ring-inset focus:ring-blue-200"
-                        value={drafts[record.id]?.[col.key] ?? ''}
-                        onChange={(e) => queueSave(record, col.key, e.target.value)}
+                      <CmsFieldInput
+                        field={col}
+                        value={drafts[record.id]?.[col.key]}
+                        onChange={(value) => queueSave(record, col.key, value)}
                         onPaste={(e) => handlePaste(e, record.id, colIndex)}
                         onBlur={() => {
                           if (saveTimers.current[record.id]) {
@@ -214,6 +226,9 @@ export default function EditableCmsSpreadsheet({
                   ))}
                   <td className="px-2 py-2 text-xs uppercase tracking-wide text-slate-500 whitespace-nowrap">
                     {record.status}
+                    {rowErrors[record.id] && (
+                      <p className="normal-case tracking-normal text-red-600 whitespace-normal max-w-[220px] mt-1">{rowErrors[record.id]}</p>
+                    )}
                   </td>
                   <td className="px-2 py-2 whitespace-nowrap">
                     <div className="flex items-center gap-2">
@@ -222,6 +237,14 @@ export default function EditableCmsSpreadsheet({
                       ) : savedIds[record.id] ? (
                         <Check size={14} className="text-green-600" />
                       ) : null}
+                      <Link
+                        to={`/admin/intelligence/records/${record.id}`}
+                        className="text-slate-500 hover:text-[#0b3b60]"
+                        aria-label="Review and history"
+                        title="Review and history"
+                      >
+                        <History size={14} />
+                      </Link>
                       <button
                         type="button"
                         className="text-red-600 hover:text-red-700"
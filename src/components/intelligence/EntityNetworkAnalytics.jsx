@@ -0,0 +1,211 @@
+import { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { ArrowRight, Route, Search } from 'lucide-react';
+import { fetchCoInvestors, fetchGraphPath, fetchNetworkPosition } from '@/lib/intelligencePlatformApi';
+import { useUniversalSearch } from '@/hooks/useIntelligencePlatform';
+import EntityCard from './EntityCard';
+
+const METRIC_LABELS = {
+  pagerank: 'Influence (PageRank)',
+  betweenness: 'Broker (betweenness)',
+  degree: 'Connections (degree)',
+};
+
+const INVESTOR_TYPES = ['pe_firm', 'general_partner', 'fund', 'investor', 'limited_partner'];
+
+function Label({ children }) {
+  return <p className="text-[10px] font-bold uppercase tracking-wider text-[var(--pe-muted)] mb-2">{children}</p>;
+}
+
+function NetworkPosition({ position, typeLabel }) {
+  if (!position?.degree) {
+    return <p className="text-sm text-[var(--pe-muted)]">No relationships recorded yet.</p>;
+  }
+  const { centrality, community } = position;
+  return (
+    <>
+      <div className="grid grid-cols-3 gap-3 mb-5">
+        {Object.entries(METRIC_LABELS).map(([metric, label]) => (
+          <div key={metric}>
+            <p className="text-[10px] uppercase text-[var(--pe-muted)]">{label}</p>
+            <p className="font-semibold text-lg">
+              #{centrality[metric].rank}
+              <span className="text-xs font-normal text-[var(--pe-muted)]"> of {centrality[metric].of} {typeLabel}</span>
+            </p>
+          </div>
+        ))}
+      </div>
+      {community && (
+        <div>
+          <Label>Community · {community.label} · {community.size} entities</Label>
+          <ul className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+            {community.members.map((member) => (
+              <li key={member.id}>
+                <EntityCard entity={member} compact />
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </>
+  );
+}
+
+function CoInvestors({ data }) {
+  if (!data?.co_investors?.length) return null;
+  return (
+    <div>
+      <Label>Co-investors · {data.total} across {data.investments} investments</Label>
+      <ul className="space-y-3">
+        {data.co_investors.map((partner) => (
+          <li key={partner.id} className="text-sm">
+            <div className="flex items-center justify-between gap-3">
+              <EntityCard entity={partner} compact />
+              <span className="text-xs text-[var(--pe-muted)] whitespace-nowrap">{partner.shared_count} shared</span>
+            </div>
+            <p className="text-xs text-[var(--pe-muted)] mt-1 pl-8">
+              {partner.shared.map((s) => s.name).join(', ')}
+              {partner.via.length > 0 && ` · via ${partner.via.join(', ')}`}
+            </p>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+function PathFinder({ entity }) {
+  const [query, setQuery] = useState('');
+  const [target, setTarget] = useState(null);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState('');
+  const search = useUniversalSearch(target ? '' : query, { limit: 3 });
+  const options = search.groups.flatMap((g) => g.results).filter((r) => r.id !== entity.id).slice(0, 6);
+
+  useEffect(() => {
+    if (!target) return undefined;
+    let mounted = true;
+    setResult(null);
+    setError('');
+    fetchGraphPath(entity.slug, target.slug)
+      .then((payload) => mounted && setResult(payload))
+      .catch((e) => mounted && setError(e.message));
+    return () => {
+      mounted = false;
+    };
+  }, [entity.slug, target]);
+
+  return (
+    <div>
+      <Label>How is {entity.name} connected to…</Label>
+      <div className="relative">
+        <Search size={14} className="absolute left-3 top-1/2 -translate-y-1/2 text-[var(--pe-muted)]" />
+        <input
+          value={target ? target.name : query}
+          onChange={(e) => {
+            setTarget(null);
+            setResult(null);
+            setQuery(e.target.value);
+          }}
+          placeholder="Search a firm, company or person"
+          className="w-full border border-[var(--pe-border)] pl-8 pr-3 py-2 text-sm bg-white"
+        />
+        {!target && options.length > 0 && (
+          <ul className="absolute z-20 left-0 right-0 mt-1 bg-white border border-[var(--pe-border)] shadow-lg">
+            {options.map((option) => (
+              <li key={option.id}>
+                <button
+                  type="button"
+                  onClick={() => setTarget(option)}
+                  className="w-full text-left px-3 py-2 text-sm hover:bg-[#f5f5f5]"
+                >
+                  {option.name} <span className="text-xs text-[var(--pe-muted)]">{option.entity_type_label}</span>
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+      {error && <p className="text-sm text-red-700 mt-3">{error}</p>}
+      {result && !result.found && (
+        <p className="text-sm text-[var(--pe-muted)] mt-3">
+          No connection within {result.max_depth} steps.
+        </p>
+      )}
+      {result?.found && (
+        <div className="mt-4 space-y-3">
+          <p className="text-xs text-[var(--pe-muted)]">
+            {result.length} {result.length === 1 ? 'step' : 'steps'} · {result.paths.length} shortest {result.paths.length === 1 ? 'path' : 'paths'}
+          </p>
+          {result.paths.map((path) => (
+            <ol key={path.nodes.map((n) => n.id).join('>')} className="flex flex-wrap items-center gap-x-2 gap-y-1 text-sm">
+              {path.nodes.map((node, i) => (
+                <li key={node.id} className="flex items-center gap-2">
+                  {i > 0 && (
+                    <span className="flex items-center gap-1 text-[10px] uppercase text-[var(--pe-muted)]">
+                      {path.edges[i - 1].label}
+                      <ArrowRight size={12} />
+                    </span>
+                  )}
+                  <Link to={node.path} className="font-medium no-underline hover:underline" style={{ color: node.color }}>
+                    {node.name}
+                  </Link>
+                </li>
+              ))}
+            </ol>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/** Graph analytics for one entity: network position, community, co-investors and path finding. */
+export default function EntityNetworkAnalytics({ entity }) {
+  const [position, setPosition] = useState(null);
+  const [investors, setInvestors] = useState(null);
+  const isInvestor = INVESTOR_TYPES.includes(entity.entity_type);
+
+  useEffect(() => {
+    let mounted = true;
+    setPosition(null);
+    setInvestors(null);
+    fetchNetworkPosition(entity.slug)
+      .then((payload) => mounted && setPosition(payload))
+      .catch(() => mounted && setPosition(false));
+    if (isInvestor) {
+      fetchCoInvestors(entity.slug, { limit: 8 })
+        .then((payload) => mounted && setInvestors(payload))
+        .catch(() => mounted && setInvestors(null));
+    }
+    return () => {
+      mounted = false;
+    };
+  }, [entity.slug, isInvestor]);
+
+  const typeLabel = `${entity.entity_type.replace(/_/g, ' ')}s`;
+
+  return (
+    <section className="mb-10">
+      <h2 className="font-serif text-2xl font-semibold mb-5 flex items-center gap-2">
+        <Route size={20} className="text-[var(--pe-accent)]" /> Network Analytics
+      </h2>
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <div className="pe-card p-6 space-y-6">
+          <div>
+            <Label>Network position</Label>
+            {position ? <NetworkPosition position={position} typeLabel={typeLabel} /> : (
+              <p className="text-sm text-[var(--pe-muted)]">
+                {position === false ? 'Network analytics unavailable.' : 'Loading network position…'}
+              </p>
+            )}
+          </div>
+          <CoInvestors data={investors} />
+        </div>
+        <div className="pe-card p-6">
+          <PathFinder entity={entity} />
+        </div>
+      </div>
+    </section>
+  );
+}
@@ -26,6 +26,22 @@ const TYPE_OPTIONS = [
   { value: 'news,article', label: 'News & Articles' },
 ];
 
+const CURRENT_YEAR = new Date().getFullYear();
+const AS_OF_YEARS = Array.from({ length: 15 }, (_, i) => CURRENT_YEAR - 1 - i);
+
+/** "Owns · 2016–2021" for dated relationships. */
+function edgeLabel(edge) {
+  const from = edge.valid_from?.slice(0, 4);
+  const to = edge.valid_to?.slice(0, 4);
+  if (!from && !to) return edge.label;
+  return `${edge.label} · ${from || '…'}–${to || ''}`;
+}
+
+/** Ended before the point in time being viewed (now for "All time"). */
+function isEnded(edge, asOf) {
+  return Boolean(edge.valid_to) && edge.valid_to <= (asOf || new Date().toISOString());
+}
+
 function nodeRadius(node, isRoot) {
   if (isRoot) return 22;
   if (node.entity_type === 'pe_firm') return 18;
@@ -40,6 +56,7 @@ export default function KnowledgeGraph({ entitySlug, entityId, onNodeSelect }) {
   const [loading, setLoading] = useState(true);
   const [depth, setDepth] = useState(2);
   const [typeFilter, setTypeFilter] = useState('');
+  const [asOf, setAsOf] = useState('');
   const [search, setSearch] = useState('');
   const [fullscreen, setFullscreen] = useState(false);
   const [collapsed, setCollapsed] = useState(new Set());
@@ -57,11 +74,12 @@ export default function KnowledgeGraph({ entitySlug, entityId, onNodeSelect }) {
       entity_types: typeFilter || undefined,
       include_ai_summary: true,
       include_timeline: true,
+      as_of: asOf || undefined,
     })
       .then(setGraph)
       .catch(() => setGraph(null))
       .finally(() => setLoading(false));
-  }, [entitySlug, entityId, depth, typeFilter]);
+  }, [entitySlug, entityId, depth, typeFilter, asOf]);
 
   useEffect(() => {
     loadGraph();
@@ -184,6 +202,12 @@ export default function KnowledgeGraph({ entitySlug, entityId, onNodeSelect }) {
             <option key={o.value} value={o.value}>{o.label}</option>
           ))}
         </select>
+        <select value={asOf} onChange={(e) => setAsOf(e.target.value)} title="Relationships active at the end of the year">
+          <option value="">All time</option>
+          {AS_OF_YEARS.map((year) => (
+            <option key={year} value={year}>As of {year}</option>
+          ))}
+        </select>
         <button type="button" onClick={() => setTransform((t) => ({ ...t, scale: t.scale * 1.2 }))}>
           <Plus size={12} /> Zoom
         </button>
@@ -219,7 +243,7 @@ export default function KnowledgeGraph({ entitySlug, entityId, onNodeSelect }) {
               return (
                 <g key={edge.id}>
                   <line
-                    className={`kg-edge ${highlighted ? 'highlight' : ''}`}
+                    className={`kg-edge ${highlighted ? 'highlight' : ''} ${isEnded(edge, graph.as_of) ? 'ended' : ''}`}
                     x1={from.x}
                     y1={from.y}
                     x2={to.x}
@@ -227,7 +251,7 @@ export default function KnowledgeGraph({ entitySlug, entityId, onNodeSelect }) {
                   />
                   {highlighted && (
                     <text className="kg-edge-label" x={mx} y={my - 4} textAnchor="middle">
-                      {edge.label}
+                      {edgeLabel(edge)}
                     </text>
                   )}
                 </g>
@@ -7,6 +7,7 @@ import NewsletterSection from '@/components/Home/NewsletterSection';
 import AskAgiBar from '@/components/Home/AskAgiBar';
 import { formatTimeAgo } from '@/lib/articleUtils';
 import { fetchPipelineStatus } from '@/lib/intelligencePlatformApi';
+import { formatCmsValue } from '@/lib/cmsValueFormat';
 import {
   articleMatchesDesk,
   getSectionsForDesk,
@@ -73,6 +74,12 @@ const VALUATION_PLACEHOLDER = [
   },
 ];
 
+/** Cell formatter for a public CMS module — typed values per column, placeholder strings as-is. */
+function cmsCell(columns) {
+  const byKey = Object.fromEntries(columns.map((c) => [c.key, c]));
+  return (row, key) => formatCmsValue(byKey[key], row.data[key]);
+}
+
 function dealComment(data = {}) {
   return (
     data.comment ||
@@ -86,15 +93,20 @@ function dealComment(data = {}) {
 /** Premium recent-deals / valuation strip for the Private Markets hero. */
 function HeroDealsTable() {
   const [rows, setRows] = useState([]);
+  const [columns, setColumns] = useState([]);
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
     import('@/lib/intelligenceCmsApi')
       .then(({ fetchPublicCmsModule }) => fetchPublicCmsModule('valuation_monitor'))
-      .then((res) => setRows((res.records || []).slice(0, 6)))
+      .then((res) => {
+        setColumns(res.columns || []);
+        setRows((res.records || []).slice(0, 6));
+      })
       .catch(() => setRows([]))
       .finally(() => setLoading(false));
   }, []);
+  const cell = useMemo(() => cmsCell(columns), [columns]);
 
   const displayRows = rows.length
     ? rows
@@ -144,9 +156,9 @@ function HeroDealsTable() {
                 <tr key={row.id}>
                   <td className="font-medium">{row.data.company}</td>
                   <td>{row.data.sector || '—'}</td>
-                  <td>{row.data.ev_revenue || '—'}</td>
-                  <td>{row.data.ev_ebitda || '—'}</td>
-                  <td>{row.data.growth || '—'}</td>
+                  <td>{cell(row, 'ev_revenue')}</td>
+                  <td>{cell(row, 'ev_ebitda')}</td>
+                  <td>{cell(row, 'growth')}</td>
                   <td>{row.data.geography || '—'}</td>
                   <td className="pe-hero-deals-comment">{dealComment(row.data)}</td>
                 </tr>
@@ -292,15 +304,20 @@ function DailyBrief({ feed }) {
 
 function ValuationMonitor() {
   const [rows, setRows] = useState([]);
+  const [columns, setColumns] = useState([]);
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
     import('@/lib/intelligenceCmsApi')
       .then(({ fetchPublicCmsModule }) => fetchPublicCmsModule('valuation_monitor'))
-      .then((res) => setRows(res.records || []))
+      .then((res) => {
+        setColumns(res.columns || []);
+        setRows(res.records || []);
+      })
       .catch(() => setRows([]))
       .finally(() => setLoading(false));
   }, []);
+  const cell = useMemo(() => cmsCell(columns), [columns]);
 
   return (
     <section className="pe-block">
@@ -350,9 +367,9 @@ function ValuationMonitor() {
                 <tr key={row.id}>
                   <td className="font-medium">{row.data.company}</td>
                   <td>{row.data.sector}</td>
-                  <td>{row.data.ev_revenue}</td>
-                  <td>{row.data.ev_ebitda}</td>
-                  <td>{row.data.growth}</td>
+                  <td>{cell(row, 'ev_revenue')}</td>
+                  <td>{cell(row, 'ev_ebitda')}</td>
+                  <td>{cell(row, 'growth')}</td>
                   <td>{row.data.geography}</td>
                   <td className="text-[var(--pe-accent)] font-medium">{row.data.agi_rating}</td>
                   <td>{row.data.analyst}</td>
@@ -368,15 +385,20 @@ function ValuationMonitor() {
 
 function RecentTransactions() {
   const [rows, setRows] = useState([]);
+  const [columns, setColumns] = useState([]);
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
     import('@/lib/intelligenceCmsApi')
-      .then(({ fetchPublicCmsModule }) => fetchPublicCmsModule('transactions'))
-      .then((res) => setRows(res.records || []))
+      .then(({ fetchPublicCmsModule }) => fetchPublicCmsModule('transactions', { sort: '-date' }))
+      .then((res) => {
+        setColumns(res.columns || []);
+        setRows(res.records || []);
+      })
       .catch(() => setRows([]))
       .finally(() => setLoading(false));
   }, []);
+  const cell = useMemo(() => cmsCell(columns), [columns]);
 
   return (
     <section className="pe-block" id="recent-transactions">
@@ -407,10 +429,10 @@ function RecentTransactions() {
             <tbody>
               {rows.length ? rows.map((row) => (
                 <tr key={row.id}>
-                  <td>{row.data.date}</td>
+                  <td>{cell(row, 'date')}</td>
                   <td className="font-medium">{row.data.target}</td>
                   <td>{row.data.buyer}</td>
-                  <td>{row.data.enterprise_value || row.data.deal_value}</td>
+                  <td>{cell(row, row.data.enterprise_value != null ? 'enterprise_value' : 'deal_value')}</td>
                   <td>{row.data.industry}</td>
                   <td>{row.data.country}</td>
                   <td><span className="pe-tag">{row.data.status}</span></td>
@@ -1,5 +1,6 @@
-import { createContext, useContext, useEffect, useRef, useState } from 'react';
+import { createContext, useContext, useEffect, useMemo, useRef, useState } from 'react';
 import { getMarketIntelligence } from '@/api/marketApi';
+import useMarketStream from '@/hooks/useMarketStream';
 import {
   MARKET_REFRESH_MS,
   readMarketCache,
@@ -21,16 +22,21 @@ const EMPTY = {
 
 const MarketDataContext = createContext(null);
 
+const STREAM_TOPICS = ['pulse', 'breadth'];
+
 /**
  * Market intelligence refreshes every 30 minutes on the shared wall-clock cycle
  * (same cadence as homepage Groww/Yahoo snapshot and /api/market/*).
  * Session cache prevents API calls on every page load / login within that window.
+ * While the market stream is live, pulse / insight strip / breadth deltas are
+ * layered on top; the 30-minute cycle stays as the fallback when it drops.
  */
 export function MarketDataProvider({ children, pollMs = MARKET_REFRESH_MS, enabled = true }) {
   const cached = readMarketCache();
   const [intelligence, setIntelligence] = useState(cached ? { ...EMPTY, ...cached } : EMPTY);
   const [loading, setLoading] = useState(!cached);
   const busy = useRef(false);
+  const { values: live, status: streamStatus } = useMarketStream(STREAM_TOPICS, { enabled });
 
   useEffect(() => {
     if (!enabled) {
@@ -94,8 +100,19 @@ export function MarketDataProvider({ children, pollMs = MARKET_REFRESH_MS, enabl
     };
   }, [enabled, pollMs]);
 
+  const merged = useMemo(() => {
+    if (streamStatus !== 'live') return intelligence;
+    const { insightStrip, ...pulse } = live.pulse || {};
+    return {
+      ...intelligence,
+      ...(live.pulse ? { pulse: { ...intelligence.pulse, ...pulse } } : {}),
+      ...(insightStrip?.length ? { insightStrip } : {}),
+      ...(live.breadth ? { breadth: { ...intelligence.breadth, ...live.breadth } } : {}),
+    };
+  }, [intelligence, live, streamStatus]);
+
   return (
-    <MarketDataContext.Provider value={{ intelligence, loading }}>
+    <MarketDataContext.Provider value={{ intelligence: merged, loading, live: streamStatus === 'live' }}>
       {children}
     </MarketDataContext.Provider>
   );
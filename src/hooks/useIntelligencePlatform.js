@@ -30,7 +30,8 @@ export function useIntelligenceEntity(slug, { refresh = false, full = false } =
   return { data, loading, error };
 }
 
-export function useUniversalSearch(query, { limit = 8, debounceMs = 200 } = {}) {
+export function useUniversalSearch(query, { limit = 8, debounceMs = 200, types = [] } = {}) {
+  const typeKey = types.join(',');
   const [result, setResult] = useState({ groups: [], total: 0, query: '', took_ms: 0 });
   const [loading, setLoading] = useState(false);
 
@@ -43,7 +44,7 @@ export function useUniversalSearch(query, { limit = 8, debounceMs = 200 } = {})
     let mounted = true;
     const timer = setTimeout(() => {
       setLoading(true);
-      searchEntities(q, { limit })
+      searchEntities(q, { limit, types: typeKey ? typeKey.split(',') : [] })
         .then((payload) => {
           if (mounted) setResult(payload);
         })
@@ -58,7 +59,7 @@ export function useUniversalSearch(query, { limit = 8, debounceMs = 200 } = {})
       mounted = false;
       clearTimeout(timer);
     };
-  }, [query, limit, debounceMs]);
+  }, [query, limit, debounceMs, typeKey]);
 
   return { ...result, loading };
 }
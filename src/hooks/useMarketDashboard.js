@@ -1,7 +1,7 @@
 import { useMarketDataContext } from '@/contexts/MarketDataContext';
 
 export default function useMarketDashboard() {
-  const { intelligence, loading } = useMarketDataContext();
+  const { intelligence, loading, live } = useMarketDataContext();
   return {
     pulse: intelligence.pulse,
     outlook: intelligence.outlook,
@@ -12,5 +12,6 @@ export default function useMarketDashboard() {
     sectors: intelligence.sectors || [],
     summary: intelligence.summary,
     loading,
+    live,
   };
 }
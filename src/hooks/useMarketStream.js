@@ -0,0 +1,112 @@
+import { useEffect, useRef, useState } from 'react';
+import { API_ORIGIN } from '@/config';
+import { applyMarketStreamEvent, marketStreamUrl } from '@/lib/marketStream';
+
+const RECONNECT_MIN_MS = 5_000;
+const RECONNECT_MAX_MS = 60_000;
+/** Missed heartbeats before the stream counts as dropped. */
+const MISSED_HEARTBEATS = 3;
+
+/**
+ * Live market topics over SSE (/api/market/stream) with a polling fallback.
+ *
+ * While the stream is down — no EventSource, connection error, or heartbeats
+ * stop arriving — `poll` runs every `pollMs` and the hook keeps retrying the
+ * stream with backoff, resuming from the last event id it saw.
+ *
+ * Returns { values: { [topic]: value }, status: 'connecting' | 'live' | 'polling' }.
+ */
+export default function useMarketStream(topics, { enabled = true, poll, pollMs = 120_000 } = {}) {
+  const [values, setValues] = useState({});
+  const [status, setStatus] = useState('connecting');
+  const lastEventId = useRef(null);
+  const pollRef = useRef(poll);
+  pollRef.current = poll;
+  const topicKey = topics.join(',');
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+    const list = topicKey.split(',').filter(Boolean);
+    let cancelled = false;
+    let source = null;
+    let pollTimer = null;
+    let reconnectTimer = null;
+    let watchdog = null;
+    let reconnectMs = RECONNECT_MIN_MS;
+    let heartbeatMs = 15_000;
+    let lastSeen = Date.now();
+
+    function startPolling() {
+      if (pollTimer || cancelled) return;
+      setStatus('polling');
+      pollRef.current?.();
+      pollTimer = setInterval(() => pollRef.current?.(), pollMs);
+    }
+
+    function stopPolling() {
+      clearInterval(pollTimer);
+      pollTimer = null;
+    }
+
+    function drop() {
+      source?.close();
+      source = null;
+      clearInterval(watchdog);
+      startPolling();
+      if (cancelled) return;
+      clearTimeout(reconnectTimer);
+      reconnectTimer = setTimeout(connect, reconnectMs);
+      reconnectMs = Math.min(RECONNECT_MAX_MS, reconnectMs * 2);
+    }
+
+    function connect() {
+      if (cancelled) return;
+      source = new EventSource(marketStreamUrl(API_ORIGIN || '', list, lastEventId.current), { withCredentials: true });
+      lastSeen = Date.now();
+
+      source.addEventListener('hello', (event) => {
+        const hello = JSON.parse(event.data);
+        heartbeatMs = hello.heartbeatMs || heartbeatMs;
+        lastSeen = Date.now();
+        reconnectMs = RECONNECT_MIN_MS;
+        stopPolling();
+        setStatus('live');
+      });
+      source.addEventListener('heartbeat', () => {
+        lastSeen = Date.now();
+      });
+      for (const topic of list) {
+        source.addEventListener(topic, (event) => {
+          lastSeen = Date.now();
+          if (event.lastEventId) lastEventId.current = Number(event.lastEventId);
+          const data = JSON.parse(event.data);
+          setValues((prev) => applyMarketStreamEvent(prev, data));
+        });
+      }
+      // The browser retries on its own (with Last-Event-ID) unless the stream
+      // is CLOSED; poll meanwhile either way.
+      source.onerror = () => {
+        if (source?.readyState === EventSource.CLOSED) drop();
+        else startPolling();
+      };
+
+      clearInterval(watchdog);
+      watchdog = setInterval(() => {
+        if (Date.now() - lastSeen > heartbeatMs * MISSED_HEARTBEATS) drop();
+      }, heartbeatMs);
+    }
+
+    if (typeof EventSource === 'undefined') startPolling();
+    else connect();
+
+    return () => {
+      cancelled = true;
+      source?.close();
+      stopPolling();
+      clearTimeout(reconnectTimer);
+      clearInterval(watchdog);
+    };
+  }, [enabled, topicKey, pollMs]);
+
+  return { values, status };
+}
@@ -1,10 +1,11 @@
 import { useMarketDataContext } from '@/contexts/MarketDataContext';
 
 export default function useMarketTicker() {
-  const { intelligence, loading } = useMarketDataContext();
+  const { intelligence, loading, live } = useMarketDataContext();
   return {
     items: intelligence.insightStrip || [],
     loading,
+    live,
     source: 'agi-intelligence',
   };
 }
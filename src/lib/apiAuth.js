@@ -0,0 +1,17 @@
+import { isSupabaseConfigured, supabase } from './supabaseClient';
+
+/**
+ * Bearer header carrying the signed-in Supabase session. The Node API
+ * (server/middleware/authorize.js) verifies it and enforces admin / author
+ * roles on every mutating route — the browser gate in adminAuth.js is UX only.
+ */
+export async function authHeaders() {
+  if (!isSupabaseConfigured) return {};
+  try {
+    const { data } = await supabase.auth.getSession();
+    const token = data?.session?.access_token;
+    return token ? { Authorization: `Bearer ${token}` } : {};
+  } catch {
+    return {};
+  }
+}
@@ -0,0 +1,51 @@
+/**
+ * Broker sessions admin API client — Upstox login, Groww rotation, token expiry.
+ */
+
+import { authHeaders } from './apiAuth';
+
+function apiBase() {
+  return (import.meta.env.VITE_API_URL || '').replace(/\/$/, '');
+}
+
+async function request(path, { method = 'GET' } = {}) {
+  const response = await fetch(`${apiBase()}${path}`, {
+    method,
+    credentials: 'include',
+    headers: {
+      Accept: 'application/json',
+      ...(await authHeaders()),
+    },
+  });
+  const text = await response.text();
+  let data = null;
+  try {
+    data = text ? JSON.parse(text) : null;
+  } catch {
+    data = { raw: text?.slice(0, 400) };
+  }
+  if (!response.ok) {
+    const err = new Error(data?.error || `http_${response.status}`);
+    err.status = response.status;
+    err.data = data;
+    throw err;
+  }
+  return data;
+}
+
+export function getBrokerSessions() {
+  return request('/api/broker-auth');
+}
+
+/** Resolves with `{ url }` — navigate the browser there to log in with Upstox. */
+export function startUpstoxLogin() {
+  return request('/api/broker-auth/upstox/login', { method: 'POST' });
+}
+
+export function rotateGrowwToken() {
+  return request('/api/broker-auth/groww/rotate', { method: 'POST' });
+}
+
+export function revokeBrokerSession(broker) {
+  return request(`/api/broker-auth/${encodeURIComponent(broker)}`, { method: 'DELETE' });
+}
@@ -1,4 +1,5 @@
 import { API_ORIGIN } from '@/config';
+import { authHeaders } from './apiAuth';
 
 function stripHtml(html = '') {
   return String(html)
@@ -149,7 +150,7 @@ async function postJson(url, body, { timeoutMs = 30_000 } = {}) {
   const resp = await fetch(url, {
     method: 'POST',
     credentials: 'include',
-    headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+    headers: { 'Content-Type': 'application/json', Accept: 'application/json', ...(await authHeaders()) },
     body: JSON.stringify(body),
     signal: AbortSignal.timeout(timeoutMs),
   });
@@ -0,0 +1,46 @@
+/**
+ * Display formatting for typed Intelligence CMS values (column types and
+ * amount units as in server/services/intelligenceCms/schema.js).
+ */
+
+const AMOUNT_UNITS = { thousand: 1e3, lakh: 1e5, mn: 1e6, crore: 1e7, bn: 1e9 };
+const CURRENCY_SYMBOLS = { USD: '$', INR: '₹', EUR: '€', GBP: '£', JPY: '¥' };
+
+const compact = (n) => Number(n.toFixed(1)).toLocaleString('en-US');
+
+/** "$4.8B", "$950M" — INR amounts read in crore and lakh ("₹1,200 Cr"). */
+export function formatAmount(amount, { currency = 'USD', unit } = {}) {
+  const n = Number(amount) * (AMOUNT_UNITS[unit] || 1);
+  if (!Number.isFinite(n)) return '—';
+  const symbol = CURRENCY_SYMBOLS[currency] || `${currency} `;
+  const abs = Math.abs(n);
+  if (currency === 'INR') {
+    if (abs >= 1e7) return `${symbol}${compact(n / 1e7)} Cr`;
+    if (abs >= 1e5) return `${symbol}${compact(n / 1e5)} L`;
+    return `${symbol}${n.toLocaleString('en-IN')}`;
+  }
+  if (abs >= 1e12) return `${symbol}${compact(n / 1e12)}T`;
+  if (abs >= 1e9) return `${symbol}${compact(n / 1e9)}B`;
+  if (abs >= 1e6) return `${symbol}${compact(n / 1e6)}M`;
+  return `${symbol}${n.toLocaleString('en-US')}`;
+}
+
+/** One stored value for display; strings (legacy or placeholder rows) pass through. */
+export function formatCmsValue(field, value) {
+  if (value === null || value === undefined || value === '') return '—';
+  if (typeof value === 'string' || !field) return String(value);
+  switch (field.type) {
+    case 'multiple':
+      return `${value}x`;
+    case 'percent':
+      return `${value}%`;
+    case 'currency':
+      return formatAmount(value, field);
+    case 'number':
+      return Number(value).toLocaleString('en-US');
+    case 'reference':
+      return value.name || value.slug || '—';
+    default:
+      return String(value);
+  }
+}
@@ -0,0 +1,74 @@
+/**
+ * Economic calendar API client — release schedule, consensus / actual entry
+ * and CSV import (admin), digest for the public pages.
+ */
+
+import { authHeaders } from './apiAuth';
+
+function apiBase() {
+  return (import.meta.env.VITE_API_URL || '').replace(/\/$/, '');
+}
+
+async function request(path, { method = 'GET', body } = {}) {
+  const response = await fetch(`${apiBase()}${path}`, {
+    method,
+    credentials: 'include',
+    headers: {
+      Accept: 'application/json',
+      ...(body ? { 'Content-Type': 'application/json' } : {}),
+      ...(await authHeaders()),
+    },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const text = await response.text();
+  let data = null;
+  try {
+    data = text ? JSON.parse(text) : null;
+  } catch {
+    data = { raw: text?.slice(0, 400) };
+  }
+  if (!response.ok) {
+    const err = new Error(data?.error || `http_${response.status}`);
+    err.status = response.status;
+    err.data = data;
+    throw err;
+  }
+  return data;
+}
+
+export function listEconomicEvents({ from, to, country, key, status } = {}) {
+  const params = new URLSearchParams();
+  Object.entries({ from, to, country, key, status }).forEach(([k, v]) => {
+    if (v) params.set(k, v);
+  });
+  const qs = params.toString();
+  return request(`/api/economic-calendar${qs ? `?${qs}` : ''}`);
+}
+
+export function listEconomicIndicators() {
+  return request('/api/economic-calendar/indicators');
+}
+
+export function getEconomicCalendarDigest({ days = 14, lookback = 7 } = {}) {
+  return request(`/api/economic-calendar/digest?days=${days}&lookback=${lookback}`);
+}
+
+export function saveEconomicEvent(event) {
+  return request('/api/economic-calendar', { method: 'POST', body: event });
+}
+
+export function updateEconomicEvent(id, patch) {
+  return request(`/api/economic-calendar/${encodeURIComponent(id)}`, { method: 'PATCH', body: patch });
+}
+
+export function recordEconomicRelease(id, values) {
+  return request(`/api/economic-calendar/${encodeURIComponent(id)}/release`, { method: 'POST', body: values });
+}
+
+export function deleteEconomicEvent(id) {
+  return request(`/api/economic-calendar/${encodeURIComponent(id)}`, { method: 'DELETE' });
+}
+
+export function importEconomicEventsCsv(csv, { dryRun = false } = {}) {
+  return request('/api/economic-calendar/import', { method: 'POST', body: { csv, dry_run: dryRun } });
+}
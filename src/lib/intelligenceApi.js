@@ -1,4 +1,5 @@
 import { API_ORIGIN } from '@/config';
+import { authHeaders } from './apiAuth';
 
 const BASE = API_ORIGIN || '';
 
@@ -12,7 +13,10 @@ async function intelligenceFetch(path, { method = 'GET', body, timeoutMs = 45_00
     resp = await fetch(url, {
       method,
       credentials: 'include',
-      headers: body ? { 'Content-Type': 'application/json' } : undefined,
+      headers: {
+        ...(body ? { 'Content-Type': 'application/json' } : {}),
+        ...(await authHeaders()),
+      },
       body: body ? JSON.stringify(body) : undefined,
       signal: AbortSignal.timeout(timeoutMs),
     });
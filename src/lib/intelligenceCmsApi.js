@@ -1,16 +1,23 @@
+import { authHeaders } from './apiAuth';
+
 const API_BASE = import.meta.env.VITE_API_URL || window?.API_URL || '';
 
 async function cmsFetch(path, options = {}) {
   const res = await fetch(`${API_BASE}/api/intelligence/cms${path}`, {
+    ...options,
     headers: {
       Accept: 'application/json',
       'Content-Type': 'application/json',
+      ...(await authHeaders()),
       ...(options.headers || {}),
     },
-    ...options,
   });
   const data = await res.json().catch(() => ({}));
-  if (!res.ok) throw new Error(data.error || `CMS API ${res.status}`);
+  if (!res.ok) {
+    const err = new Error(data.error || `CMS API ${res.status}`);
+    err.errors = data.errors;
+    throw err;
+  }
   return data;
 }
 
@@ -18,16 +25,42 @@ export function fetchCmsModules() {
   return cmsFetch('/modules');
 }
 
+export function fetchCmsModule(moduleId) {
+  return cmsFetch(`/modules/${moduleId}`);
+}
+
+export function createCmsModule(definition) {
+  return cmsFetch('/modules', { method: 'POST', body: JSON.stringify(definition) });
+}
+
+export function updateCmsModule(moduleId, definition) {
+  return cmsFetch(`/modules/${moduleId}`, { method: 'PATCH', body: JSON.stringify(definition) });
+}
+
+export function deleteCmsModule(moduleId) {
+  return cmsFetch(`/modules/${moduleId}`, { method: 'DELETE' });
+}
+
 export function fetchCmsDashboard() {
   return cmsFetch('/dashboard');
 }
 
-export function fetchCmsRecords(moduleId, { status, q } = {}) {
+/** `sort` is a column key (`-key` descending); `ranges` maps column keys to { min, max } cell-style values. */
+function listParams({ status, q, sort, ranges = {} } = {}) {
   const params = new URLSearchParams();
   if (status) params.set('status', status);
   if (q) params.set('q', q);
+  if (sort) params.set('sort', sort);
+  Object.entries(ranges).forEach(([key, { min, max }]) => {
+    if (min) params.set(`min_${key}`, min);
+    if (max) params.set(`max_${key}`, max);
+  });
   const qs = params.toString();
-  return cmsFetch(`/modules/${moduleId}/records${qs ? `?${qs}` : ''}`);
+  return qs ? `?${qs}` : '';
+}
+
+export function fetchCmsRecords(moduleId, options = {}) {
+  return cmsFetch(`/modules/${moduleId}/records${listParams(options)}`);
 }
 
 export function fetchCmsRecord(id) {
@@ -50,17 +83,58 @@ export function publishCmsRecord(id, actor) {
   return cmsFetch(`/records/${id}/publish`, { method: 'POST', body: JSON.stringify({ actor }) });
 }
 
+// Review workflow — submit → approve (publishes) / reject (back to draft, with a reason)
+
+export function submitCmsRecord(id, { reviewer, note } = {}) {
+  return cmsFetch(`/records/${id}/submit`, { method: 'POST', body: JSON.stringify({ reviewer, note }) });
+}
+
+export function assignCmsReviewer(id, reviewer) {
+  return cmsFetch(`/records/${id}/reviewer`, { method: 'POST', body: JSON.stringify({ reviewer }) });
+}
+
+export function commentOnCmsRecord(id, { body, field } = {}) {
+  return cmsFetch(`/records/${id}/comments`, { method: 'POST', body: JSON.stringify({ body, field }) });
+}
+
+export function approveCmsRecord(id, note) {
+  return cmsFetch(`/records/${id}/approve`, { method: 'POST', body: JSON.stringify({ note }) });
+}
+
+export function rejectCmsRecord(id, reason) {
+  return cmsFetch(`/records/${id}/reject`, { method: 'POST', body: JSON.stringify({ reason }) });
+}
+
+export function rollbackCmsRecord(id, version) {
+  return cmsFetch(`/records/${id}/rollback`, { method: 'POST', body: JSON.stringify({ version }) });
+}
+
+/** Side-by-side fields of two versions; defaults to the latest against the one before. */
+export function fetchCmsRecordDiff(id, { from, to } = {}) {
+  const params = new URLSearchParams();
+  if (from) params.set('from', from);
+  if (to) params.set('to', to);
+  const qs = params.toString();
+  return cmsFetch(`/records/${id}/diff${qs ? `?${qs}` : ''}`);
+}
+
+/** `reviewer: 'me'` narrows to the signed-in reviewer's queue. */
+export function fetchCmsReviewQueue({ reviewer } = {}) {
+  return cmsFetch(`/reviews${reviewer ? `?reviewer=${encodeURIComponent(reviewer)}` : ''}`);
+}
+
 export function exportCmsModuleCsv(moduleId) {
   window.open(`${API_BASE}/api/intelligence/cms/modules/${moduleId}/export`, '_blank');
 }
 
-export async function importCmsModuleCsv(moduleId, csv, actor) {
+/** `dryRun` validates the file and returns { rows, valid, errors } without importing. */
+export async function importCmsModuleCsv(moduleId, csv, actor, { dryRun = false } = {}) {
   return cmsFetch(`/modules/${moduleId}/import`, {
     method: 'POST',
-    body: JSON.stringify({ csv, actor }),
+    body: JSON.stringify({ csv, actor, dry_run: dryRun }),
   });
 }
 
-export function fetchPublicCmsModule(moduleId) {
-  return cmsFetch(`/public/${moduleId}`);
+export function fetchPublicCmsModule(moduleId, { sort, ranges } = {}) {
+  return cmsFetch(`/public/${moduleId}${listParams({ sort, ranges })}`);
 }
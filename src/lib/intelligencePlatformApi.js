@@ -1,32 +1,43 @@
+import { authHeaders } from './apiAuth';
+
 const API_BASE = import.meta.env.VITE_API_URL || window?.API_URL || '';
 
 async function platformFetch(path, options = {}) {
   const res = await fetch(`${API_BASE}/api/intelligence/platform${path}`, {
+    ...options,
     headers: {
       Accept: 'application/json',
       'Content-Type': 'application/json',
+      ...(await authHeaders()),
       ...(options.headers || {}),
     },
-    ...options,
   });
   const data = await res.json().catch(() => ({}));
   if (!res.ok) throw new Error(data.error || `Platform API ${res.status}`);
   return data;
 }
 
-export function searchEntities(q, { limit = 8 } = {}) {
+export function searchEntities(q, { limit = 8, types = [] } = {}) {
   const params = new URLSearchParams({ q, limit: String(limit) });
+  if (types.length) params.set('type', types.join(','));
   return platformFetch(`/search?${params}`);
 }
 
-export function fetchEntity(slug, { refresh = false } = {}) {
-  const qs = refresh ? '?refresh=1' : '';
-  return platformFetch(`/entities/${encodeURIComponent(slug)}${qs}`);
+/** `as_of` (year or ISO date) limits relationships and timeline to that point in time. */
+function entityQuery({ refresh = false, as_of } = {}) {
+  const params = new URLSearchParams();
+  if (refresh) params.set('refresh', '1');
+  if (as_of) params.set('as_of', String(as_of));
+  const qs = params.toString();
+  return qs ? `?${qs}` : '';
+}
+
+export function fetchEntity(slug, options = {}) {
+  return platformFetch(`/entities/${encodeURIComponent(slug)}${entityQuery(options)}`);
 }
 
-export function fetchEntityFull(slug, { refresh = false } = {}) {
-  const qs = refresh ? '?refresh=1' : '';
-  return platformFetch(`/entities/${encodeURIComponent(slug)}/full${qs}`);
+export function fetchEntityFull(slug, options = {}) {
+  return platformFetch(`/entities/${encodeURIComponent(slug)}/full${entityQuery(options)}`);
 }
 
 export function fetchEntityGraph(slug, {
@@ -36,6 +47,7 @@ export function fetchEntityGraph(slug, {
   limit,
   include_ai_summary = true,
   include_timeline = true,
+  as_of,
 } = {}) {
   const params = new URLSearchParams();
   if (depth) params.set('depth', String(depth));
@@ -44,6 +56,7 @@ export function fetchEntityGraph(slug, {
   if (limit) params.set('limit', String(limit));
   if (include_ai_summary) params.set('include_ai_summary', 'true');
   if (include_timeline) params.set('include_timeline', 'true');
+  if (as_of) params.set('as_of', String(as_of));
   const qs = params.toString();
   return platformFetch(`/entities/${encodeURIComponent(slug)}/graph${qs ? `?${qs}` : ''}`);
 }
@@ -52,8 +65,39 @@ export function fetchEntityTimeline(slug) {
   return platformFetch(`/entities/${encodeURIComponent(slug)}/timeline`);
 }
 
-export function fetchEntityRelated(slug) {
-  return platformFetch(`/entities/${encodeURIComponent(slug)}/related`);
+export function fetchEntityRelated(slug, options = {}) {
+  return platformFetch(`/entities/${encodeURIComponent(slug)}/related${entityQuery(options)}`);
+}
+
+export function fetchGraphPath(from, to, { relationship_types, max_depth, as_of } = {}) {
+  const params = new URLSearchParams({ from, to });
+  if (relationship_types) params.set('relationship_types', relationship_types);
+  if (max_depth) params.set('max_depth', String(max_depth));
+  if (as_of) params.set('as_of', String(as_of));
+  return platformFetch(`/graph/path?${params}`);
+}
+
+export function fetchCoInvestors(slug, { limit = 10 } = {}) {
+  return platformFetch(`/graph/entities/${encodeURIComponent(slug)}/co-investors?limit=${limit}`);
+}
+
+export function fetchNetworkPosition(slug) {
+  return platformFetch(`/graph/entities/${encodeURIComponent(slug)}/position`);
+}
+
+export function fetchCentrality({ metric = 'pagerank', entity_type, limit = 20 } = {}) {
+  const params = new URLSearchParams({ metric, limit: String(limit) });
+  if (entity_type) params.set('entity_type', entity_type);
+  return platformFetch(`/graph/centrality?${params}`);
+}
+
+export function fetchCommunities({ relationship_types, min_size, limit } = {}) {
+  const params = new URLSearchParams();
+  if (relationship_types) params.set('relationship_types', relationship_types);
+  if (min_size) params.set('min_size', String(min_size));
+  if (limit) params.set('limit', String(limit));
+  const qs = params.toString();
+  return platformFetch(`/graph/communities${qs ? `?${qs}` : ''}`);
 }
 
 export function fetchPlatformStats() {
@@ -73,6 +117,24 @@ export function fetchEntities({ type, q, limit = 50 } = {}) {
   return platformFetch(`/entities${qs ? `?${qs}` : ''}`);
 }
 
+export function fetchDuplicateCandidates({ entity_type, min_score, limit = 50 } = {}) {
+  const params = new URLSearchParams({ limit: String(limit) });
+  if (entity_type) params.set('entity_type', entity_type);
+  if (min_score) params.set('min_score', String(min_score));
+  return platformFetch(`/duplicates?${params}`);
+}
+
+export function dismissDuplicate(entityIds) {
+  return platformFetch('/duplicates/dismiss', { method: 'POST', body: JSON.stringify({ entity_ids: entityIds }) });
+}
+
+export function mergeEntities(survivorSlug, duplicates) {
+  return platformFetch(`/entities/${encodeURIComponent(survivorSlug)}/merge`, {
+    method: 'POST',
+    body: JSON.stringify({ duplicates }),
+  });
+}
+
 export function entityPublicPath(entity) {
   if (!entity) return '/private-markets';
   if (entity.entity_type === 'pe_firm' || entity.entity_type === 'general_partner') {
@@ -0,0 +1,54 @@
+/**
+ * Scheduled jobs admin API client — Mission Control job board.
+ */
+
+import { authHeaders } from './apiAuth';
+
+function apiBase() {
+  return (import.meta.env.VITE_API_URL || '').replace(/\/$/, '');
+}
+
+async function request(path, { method = 'GET' } = {}) {
+  const response = await fetch(`${apiBase()}${path}`, {
+    method,
+    credentials: 'include',
+    headers: {
+      Accept: 'application/json',
+      ...(await authHeaders()),
+    },
+  });
+  const text = await response.text();
+  let data = null;
+  try {
+    data = text ? JSON.parse(text) : null;
+  } catch {
+    data = { raw: text?.slice(0, 400) };
+  }
+  if (!response.ok) {
+    const err = new Error(data?.error || `http_${response.status}`);
+    err.status = response.status;
+    err.data = data;
+    throw err;
+  }
+  return data;
+}
+
+export function listScheduledJobs() {
+  return request('/api/jobs');
+}
+
+export function getScheduledJobRuns(id, limit = 20) {
+  return request(`/api/jobs/${encodeURIComponent(id)}/runs?limit=${limit}`);
+}
+
+export function runScheduledJob(id) {
+  return request(`/api/jobs/${encodeURIComponent(id)}/run`, { method: 'POST' });
+}
+
+export function pauseScheduledJob(id) {
+  return request(`/api/jobs/${encodeURIComponent(id)}/pause`, { method: 'POST' });
+}
+
+export function resumeScheduledJob(id) {
+  return request(`/api/jobs/${encodeURIComponent(id)}/resume`, { method: 'POST' });
+}
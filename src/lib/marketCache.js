@@ -6,7 +6,10 @@ const STORAGE_KEY = 'agi_market_intelligence_v3';
 const STORAGE_TS_KEY = 'agi_market_intelligence_v3_ts';
 const STORAGE_CYCLE_KEY = 'agi_market_intelligence_v3_cycle';
 
-/** Current 30-minute cycle id (ms at bucket start). Matches server getMarketCycle(). */
+/**
+ * Current 30-minute cycle id (ms at bucket start). Matches server getMarketCycle()
+ * in market hours; off-hours server cycles run longer, so refreshes then hit its cache.
+ */
 export function getMarketCycleId(now = Date.now()) {
   return String(Math.floor(now / MARKET_REFRESH_MS) * MARKET_REFRESH_MS);
 }
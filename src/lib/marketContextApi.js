@@ -8,3 +8,10 @@ export async function getMarketContext() {
   if (!response.ok) throw new Error('Unable to load market context.');
   return response.json();
 }
+
+/** NSE/BSE session calendar — upcoming sessions, holidays, current market status. */
+export async function getMarketCalendar({ days = 14 } = {}) {
+  const response = await fetch(`${apiBase()}/api/market/calendar?days=${days}`);
+  if (!response.ok) throw new Error('Unable to load market calendar.');
+  return response.json();
+}
@@ -0,0 +1,50 @@
+/**
+ * Model backtest admin API client — Mission Control only.
+ * Raw model scores never reach public surfaces.
+ */
+
+import { authHeaders } from './apiAuth';
+
+function apiBase() {
+  const raw = (import.meta.env.VITE_API_URL || '').replace(/\/$/, '');
+  return raw;
+}
+
+async function request(path, { method = 'GET', body } = {}) {
+  const response = await fetch(`${apiBase()}${path}`, {
+    method,
+    credentials: 'include',
+    headers: {
+      Accept: 'application/json',
+      ...(body ? { 'Content-Type': 'application/json' } : {}),
+      ...(await authHeaders()),
+    },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const text = await response.text();
+  let data = null;
+  try {
+    data = text ? JSON.parse(text) : null;
+  } catch {
+    data = { raw: text?.slice(0, 400) };
+  }
+  if (!response.ok) {
+    const err = new Error(data?.detail || data?.error || `http_${response.status}`);
+    err.status = response.status;
+    err.data = data;
+    throw err;
+  }
+  return data;
+}
+
+export function getModelBacktest({ frame = 'daily', indices, horizons, flatPct } = {}) {
+  const params = new URLSearchParams({ frame });
+  if (indices?.length) params.set('indices', indices.join(','));
+  if (horizons?.length) params.set('horizons', horizons.join(','));
+  if (flatPct != null) params.set('flatPct', String(flatPct));
+  return request(`/api/market/models/backtest?${params}`);
+}
+
+export function captureModelBacktestCandles({ frames, indices } = {}) {
+  return request('/api/market/models/backtest/capture', { method: 'POST', body: { frames, indices } });
+}
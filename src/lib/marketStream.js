@@ -0,0 +1,45 @@
+/**
+ * Market stream (SSE) client state — pure helpers shared by useMarketStream.
+ * The server sends a `snapshot` per topic, then `delta` events:
+ *   list topics (ticker, quotes) → { upserts: rows, removed: keys }
+ *   object topics (pulse, breadth) → { changes: fields, removed: keys }
+ */
+
+export const MARKET_STREAM_TOPICS = ['ticker', 'pulse', 'breadth', 'quotes'];
+
+const ROW_KEYS = {
+  ticker: (row) => row?.id || row?.name,
+  quotes: (row) => row?.symbol,
+};
+
+/** Apply one stream event payload to the per-topic state map. Returns a new map. */
+export function applyMarketStreamEvent(state, data) {
+  const topic = data?.topic;
+  if (!topic) return state;
+  if (data.type === 'snapshot') return { ...state, [topic]: data.value };
+
+  const previous = state[topic];
+  if (data.type !== 'delta' || previous == null) return state;
+
+  const keyOf = ROW_KEYS[topic];
+  if (keyOf) {
+    const removed = new Set(data.removed || []);
+    const upserts = new Map((data.upserts || []).map((row) => [keyOf(row), row]));
+    const next = previous
+      .filter((row) => !removed.has(keyOf(row)))
+      .map((row) => upserts.get(keyOf(row)) || row);
+    const seen = new Set(next.map(keyOf));
+    for (const [key, row] of upserts) if (!seen.has(key)) next.push(row);
+    return { ...state, [topic]: next };
+  }
+
+  const next = { ...previous, ...(data.changes || {}) };
+  for (const key of data.removed || []) delete next[key];
+  return { ...state, [topic]: next };
+}
+
+export function marketStreamUrl(base, topics, lastEventId = null) {
+  const params = new URLSearchParams({ topics: topics.join(',') });
+  if (lastEventId != null) params.set('lastEventId', String(lastEventId));
+  return `${base}/api/market/stream?${params}`;
+}
@@ -0,0 +1,36 @@
+import { applyMarketStreamEvent, marketStreamUrl } from './marketStream.js';
+
+function assert(cond, msg) {
+  if (!cond) throw new Error(msg);
+}
+
+let state = {};
+state = applyMarketStreamEvent(state, { topic: 'ticker', type: 'delta', upserts: [{ id: 'x' }] });
+assert(state.ticker === undefined, 'delta before snapshot is ignored');
+
+state = applyMarketStreamEvent(state, {
+  topic: 'ticker',
+  type: 'snapshot',
+  value: [{ id: 'nifty-50', price: 100 }, { id: 'sensex', price: 300 }],
+});
+state = applyMarketStreamEvent(state, {
+  topic: 'ticker',
+  type: 'delta',
+  upserts: [{ id: 'nifty-50', price: 101 }, { id: 'gold', price: 2400 }],
+  removed: ['sensex'],
+});
+assert(state.ticker.length === 2, 'removed row dropped, new row appended');
+assert(state.ticker[0].price === 101, 'row updated in place');
+assert(state.ticker[1].id === 'gold', 'new row last');
+
+state = applyMarketStreamEvent(state, { topic: 'breadth', type: 'snapshot', value: { label: 'Neutral', advancing: 10 } });
+state = applyMarketStreamEvent(state, { topic: 'breadth', type: 'delta', changes: { label: 'Positive' }, removed: ['advancing'] });
+assert(state.breadth.label === 'Positive', 'field change applied');
+assert(!('advancing' in state.breadth), 'field removed');
+
+assert(
+  marketStreamUrl('https://api.example', ['ticker', 'pulse'], 7) === 'https://api.example/api/market/stream?topics=ticker%2Cpulse&lastEventId=7',
+  'stream url'
+);
+
+console.log('marketStream.test.js OK');
@@ -1,4 +1,5 @@
 import { API_ORIGIN } from '@/config';
+import { authHeaders } from './apiAuth';
 
 function apiBase() {
   return String(API_ORIGIN || '').replace(/\/$/, '');
@@ -41,7 +42,7 @@ export async function notifySubscribers({
   try {
     const resp = await fetch(`${base}/api/newsletter/notify-subscribers`, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: { 'Content-Type': 'application/json', ...(await authHeaders()) },
       body: JSON.stringify({
         title,
         slug,
@@ -1,25 +1,18 @@
 import { API_ORIGIN } from '@/config';
+import { authHeaders } from './apiAuth';
 
 const BASE = API_ORIGIN || '';
 
-function adminHeaders() {
-  const token =
-    (typeof localStorage !== 'undefined' && localStorage.getItem('agi_admin_token')) ||
-    import.meta.env.VITE_PUBLISHING_ADMIN_TOKEN ||
-    import.meta.env.VITE_INTELLIGENCE_ENGINE_TOKEN ||
-    'dev-intelligence-token';
-  return {
-    'Content-Type': 'application/json',
-    Authorization: `Bearer ${token}`,
-    'X-AGI-Admin-Token': token,
-  };
-}
-
+/** Admin calls carry the signed-in Supabase session; the server checks the admin role. */
 async function pubFetch(path, { method = 'GET', body, admin = false } = {}) {
+  const headers = {
+    ...(body ? { 'Content-Type': 'application/json' } : {}),
+    ...(admin ? await authHeaders() : {}),
+  };
   const resp = await fetch(`${BASE}/api${path}`, {
     method,
     credentials: 'include',
-    headers: admin ? adminHeaders() : body ? { 'Content-Type': 'application/json' } : undefined,
+    headers,
     body: body ? JSON.stringify(body) : undefined,
   });
   const text = await resp.text();
@@ -58,6 +51,20 @@ export const getNewsletterAnalytics = () =>
 export const listNewsletterCampaigns = () =>
   pubFetch('/newsletter/campaigns', { admin: true });
 
+export const getNewsletterCampaign = (id) =>
+  pubFetch(`/newsletter/campaigns/${encodeURIComponent(id)}`, { admin: true });
+
+const campaignAction = (action) => (id) =>
+  pubFetch(`/newsletter/campaigns/${encodeURIComponent(id)}/${action}`, { method: 'POST', admin: true });
+
+export const pauseNewsletterCampaign = campaignAction('pause');
+export const resumeNewsletterCampaign = campaignAction('resume');
+export const cancelNewsletterCampaign = campaignAction('cancel');
+export const decideNewsletterAbTest = campaignAction('ab/decide');
+
+export const rescheduleNewsletterCampaign = (id, payload) =>
+  pubFetch(`/newsletter/campaigns/${encodeURIComponent(id)}/reschedule`, { method: 'POST', body: payload, admin: true });
+
 export const listPublishJobs = () =>
   pubFetch('/newsletter/jobs', { admin: true });
 
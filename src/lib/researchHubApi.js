@@ -4,6 +4,7 @@
  */
 
 import { API_ORIGIN } from '@/config';
+import { authHeaders } from './apiAuth';
 
 const BASE = API_ORIGIN || '';
 
@@ -13,7 +14,10 @@ async function rihFetch(path, { method = 'GET', body, query } = {}) {
   const resp = await fetch(url, {
     method,
     credentials: 'include',
-    headers: body ? { 'Content-Type': 'application/json' } : undefined,
+    headers: {
+      ...(body ? { 'Content-Type': 'application/json' } : {}),
+      ...(await authHeaders()),
+    },
     body: body ? JSON.stringify(body) : undefined,
   });
   const text = await resp.text().catch(() => '');
@@ -1,4 +1,5 @@
 import { API_ORIGIN } from '@/config';
+import { authHeaders } from './apiAuth';
 
 const BASE = API_ORIGIN || '';
 
@@ -8,7 +9,10 @@ async function request(path, { method = 'GET', body } = {}) {
   }
   const resp = await fetch(`${BASE}${path}`, {
     method,
-    headers: body ? { 'Content-Type': 'application/json' } : undefined,
+    headers: {
+      ...(body ? { 'Content-Type': 'application/json' } : {}),
+      ...(await authHeaders()),
+    },
     body: body ? JSON.stringify(body) : undefined,
     credentials: 'include',
   });
@@ -3,6 +3,8 @@
  * Never calls Upstox directly — Node BFF only.
  */
 
+import { authHeaders } from './apiAuth';
+
 function apiBase() {
   const raw = (import.meta.env.VITE_API_URL || '').replace(/\/$/, '');
   return raw;
@@ -15,6 +17,7 @@ async function request(path, { method = 'GET', body } = {}) {
     headers: {
       Accept: 'application/json',
       ...(body ? { 'Content-Type': 'application/json' } : {}),
+      ...(await authHeaders()),
     },
     body: body ? JSON.stringify(body) : undefined,
   });
@@ -1,4 +1,5 @@
 import { API_ORIGIN } from '@/config';
+import { authHeaders } from './apiAuth';
 
 const BASE = API_ORIGIN || '';
 
@@ -18,7 +19,7 @@ async function warehouseFetch(path, { method = 'GET', body, timeoutMs = 60_000 }
     throw new Error('API origin is not configured. Set VITE_API_URL to the backend.');
   }
   const url = `${BASE}/api/intelligence/warehouse${path}`;
-  const headers = { 'X-AGI-Actor': currentActor };
+  const headers = { 'X-AGI-Actor': currentActor, ...(await authHeaders()) };
   if (body) headers['Content-Type'] = 'application/json';
 
   let resp;
@@ -166,22 +166,6 @@ function deskSnapshot() {
   }));
 }
 
-function deskCalendar() {
-  const d = (n) => {
-    const x = new Date();
-    x.setDate(x.getDate() + n);
-    return x.toISOString().slice(0, 10);
-  };
-  return [
-    { id: 'cal-cpi', title: 'India CPI', country: 'IN', importance: 'High', as_of: d(1), date: d(1), expected_impact: 'Inflation path shapes RBI room.' },
-    { id: 'cal-rbi', title: 'RBI MPC Decision', country: 'IN', importance: 'High', as_of: d(5), date: d(5), expected_impact: 'Policy language matters for financials.' },
-    { id: 'cal-pce', title: 'US Core PCE', country: 'US', importance: 'High', as_of: d(2), date: d(2), expected_impact: 'Global yields transmit into India risk.' },
-    { id: 'cal-gdp', title: 'India GDP / PMI', country: 'IN', importance: 'Medium', as_of: d(4), date: d(4), expected_impact: 'Growth confirmation for cyclicals.' },
-    { id: 'cal-nfp', title: 'US Employment', country: 'US', importance: 'High', as_of: d(6), date: d(6), expected_impact: 'Can reprice global conditions quickly.' },
-    { id: 'cal-oil', title: 'OPEC / oil supply', country: 'GLOBAL', importance: 'High', as_of: d(8), date: d(8), expected_impact: 'Fastest macro shock channel for India.' },
-  ];
-}
-
 export function buildDeskFallback({ cachedAt } = {}) {
   const ageMin = cachedAt ? Math.max(1, Math.round((Date.now() - cachedAt) / 60000)) : 17;
   const snapshot = deskSnapshot();
@@ -189,7 +173,8 @@ export function buildDeskFallback({ cachedAt } = {}) {
   const companies = DESK_COMPANIES;
   const featured = DESK_RESEARCH;
   const predictions = DESK_PREDICTIONS;
-  const calendar = deskCalendar();
+  // Release dates come only from the server calendar — an offline desk shows none rather than invented ones.
+  const calendar = [];
   const questions = DESK_QUESTIONS;
 
   return {
@@ -419,8 +404,8 @@ export async function hydrateHomeFromMarketApis(apiOrigin = '') {
       ...baseDesk.market_dashboard,
       heatmap: themes.map((t) => ({ name: t.name, bias: t.bias, change: t.trend })),
       breadth: {
-        advancers: breadth.advancing ?? breadth.advancers ?? 12,
-        declining: breadth.declining ?? 8,
+        advancers: breadth.advancing ?? breadth.advancers ?? null,
+        declining: breadth.declining ?? null,
         coverage: companies.length,
         label: breadth.label || regime,
         ratio: breadth.ratio,
@@ -1,4 +1,4 @@
-import { Link, useParams } from 'react-router-dom';
+import { Link, Navigate, useParams } from 'react-router-dom';
 import { Helmet } from 'react-helmet-async';
 import { ArrowLeft, ExternalLink } from 'lucide-react';
 import { useIntelligenceEntity } from '@/hooks/useIntelligencePlatform';
@@ -6,6 +6,8 @@ import KnowledgeGraph from '@/components/intelligence/KnowledgeGraph';
 import EntityIntelligencePanel from '@/components/intelligence/EntityIntelligencePanel';
 import EntityTimeline from '@/components/intelligence/EntityTimeline';
 import EntityCard from '@/components/intelligence/EntityCard';
+import EntityNetworkAnalytics from '@/components/intelligence/EntityNetworkAnalytics';
+import { entityPublicPath } from '@/lib/intelligencePlatformApi';
 import '@/components/private-equity/editorial/peEditorial.css';
 
 function RelatedSection({ title, items }) {
@@ -46,6 +48,9 @@ export default function IntelligenceEntityPage() {
     );
   }
 
+  // Merged-away slugs resolve to the surviving entity; move the URL there.
+  if (data.redirected_from) return <Navigate to={entityPublicPath(entity)} replace />;
+
   const meta = entity.metadata || {};
   const typeLabel = entity.entity_type.replace(/_/g, ' ');
   const related = data.related || {};
@@ -124,6 +129,8 @@ export default function IntelligenceEntityPage() {
           </div>
         </section>
 
+        <EntityNetworkAnalytics entity={entity} />
+
         {/* Timeline */}
         <section className="pe-card p-6 md:p-8 mb-10">
           <EntityTimeline events={data.timeline} />
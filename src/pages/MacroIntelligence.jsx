@@ -760,14 +760,16 @@ export default function MacroIntelligence() {
                     <SectionTitle eyebrow="Calendar" title="Upcoming key events" />
                     <div className="space-y-3">
                       {(snapshot.calendar || []).slice(0, 5).map((item) => (
-                        <div key={item.event} className="flex items-start justify-between gap-3">
+                        <div key={item.id || item.event} className="flex items-start justify-between gap-3">
                           <div>
                             <p className="text-[11px] font-semibold text-[#98a2b3]">{item.date || 'TBD'}</p>
                             <p className="text-sm font-medium text-[#101828]">{item.event}</p>
+                            {item.note ? <p className="text-[11px] text-[#667085]">{item.note}</p> : null}
                           </div>
                           <Badge tone={item.importance === 'High' ? 'negative' : 'neutral'}>{item.importance}</Badge>
                         </div>
                       ))}
+                      {!snapshot.calendar?.length ? <p className="text-xs text-[#667085]">No tracked releases in the next two weeks.</p> : null}
                     </div>
                   </Card>
 
@@ -184,7 +184,15 @@ export default function MarketIntelligence() {
               <span className="text-[10px] font-semibold uppercase tracking-wide text-[#737982]">Model metrics</span>
             </div>
             <div className="grid grid-cols-2 gap-3 md:grid-cols-3 xl:grid-cols-6">
-              <MetricCard label="Market intelligence score" value={pulse?.agiMarketScore != null ? `${pulse.agiMarketScore}/100` : '—'} detail="Derived model score" />
+              <MetricCard
+                label="Market intelligence score"
+                value={pulse?.agiMarketScore != null ? `${pulse.agiMarketScore}/100` : pulse?.dataQuality?.withheld ? 'Withheld' : '—'}
+                detail={
+                  pulse?.dataQuality && pulse.dataQuality.status !== 'complete'
+                    ? `Data grade ${pulse.dataQuality.grade} · ${pulse.dataQuality.reasons?.[0] || 'inputs degraded'}`
+                    : pulse?.dataQuality ? `Derived model score · data grade ${pulse.dataQuality.grade}` : 'Derived model score'
+                }
+              />
               <MetricCard label="Overall market mood" value={pulse?.outlook || outlook?.outlook} />
               <MetricCard label="AI confidence" value={pulse?.confidence ? `${pulse.confidence}%` : '—'} />
               <MetricCard label="Market breadth" value={breadth?.label || pulse?.marketBreadth} />
@@ -227,13 +235,17 @@ export default function MarketIntelligence() {
               <div className="border border-[#dde1e6] bg-white">
                 <div className="border-b border-[#dde1e6] p-4">
                   <h2 className="font-bold text-[#18202b]">Market Breadth</h2>
-                  <p className="mt-1 text-xs text-[#737982]">Participation signal from available market inputs</p>
+                  <p className="mt-1 text-xs text-[#737982]">
+                    {breadth?.universe ? `${breadth.universe.replace(/^Nifty/, 'Nifty ')} constituents${breadth.session ? ` · ${breadth.session}` : ''}` : 'Constituent breadth pending the next session'}
+                  </p>
                 </div>
                 <div className="divide-y divide-[#edf0f2] p-4">
                   <div className="flex items-center justify-between py-2 text-sm"><span className="text-[#737982]">Breadth condition</span><SignalPill>{breadth?.label || 'Neutral'}</SignalPill></div>
-                  <div className="flex items-center justify-between py-2 text-sm"><span className="text-[#737982]">Advancing signals</span><span className="font-bold text-[#18202b]">{breadth?.advancing ?? '—'}</span></div>
-                  <div className="flex items-center justify-between py-2 text-sm"><span className="text-[#737982]">Declining signals</span><span className="font-bold text-[#18202b]">{breadth?.declining ?? '—'}</span></div>
-                  <div className="flex items-center justify-between py-2 text-sm"><span className="text-[#737982]">Participation ratio</span><span className="font-bold text-[#18202b]">{breadth?.ratio?.toFixed?.(2) ?? '—'}</span></div>
+                  <div className="flex items-center justify-between py-2 text-sm"><span className="text-[#737982]">Advancing</span><span className="font-bold text-[#18202b]">{breadth?.advancing ?? '—'}</span></div>
+                  <div className="flex items-center justify-between py-2 text-sm"><span className="text-[#737982]">Declining</span><span className="font-bold text-[#18202b]">{breadth?.declining ?? '—'}</span></div>
+                  <div className="flex items-center justify-between py-2 text-sm"><span className="text-[#737982]">Advance/decline ratio</span><span className="font-bold text-[#18202b]">{breadth?.ratio?.toFixed?.(2) ?? '—'}</span></div>
+                  <div className="flex items-center justify-between py-2 text-sm"><span className="text-[#737982]">Above 50 / 200-DMA</span><span className="font-bold text-[#18202b]">{breadth?.pctAbove50Dma != null ? `${breadth.pctAbove50Dma}%` : '—'} / {breadth?.pctAbove200Dma != null ? `${breadth.pctAbove200Dma}%` : '—'}</span></div>
+                  <div className="flex items-center justify-between py-2 text-sm"><span className="text-[#737982]">52-week highs / lows</span><span className="font-bold text-[#18202b]">{breadth?.newHighs ?? '—'} / {breadth?.newLows ?? '—'}</span></div>
                 </div>
               </div>
 
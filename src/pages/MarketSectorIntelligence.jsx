@@ -1,6 +1,7 @@
 import { useCallback, useEffect, useMemo, useState } from 'react';
 import { Link } from 'react-router-dom';
 import { Activity, ArrowLeft, Database, RefreshCw, TrendingUp } from 'lucide-react';
+import { getMarketOptions } from '@/api/marketApi';
 import { getMiDashboard, getMiSector } from '@/lib/intelligenceApi';
 import { getFeaturedMarketResearchNote, noteAuthor, noteThemes } from '@/lib/marketResearchNote';
 import useMarketIntelligence from '@/hooks/useMarketIntelligence';
@@ -158,6 +159,68 @@ function Sparkline({ points = [], current }) {
   );
 }
 
+const BUILDUP_LABELS = {
+  long_buildup: 'Long build-up',
+  short_buildup: 'Short build-up',
+  short_covering: 'Short covering',
+  long_unwinding: 'Long unwinding',
+};
+
+/** Build-up tone for the underlying: call longs / put shorts lean bullish. */
+function buildupTone(side, kind) {
+  if (!kind) return '';
+  const bullish = side === 'call' ? ['long_buildup', 'short_covering'] : ['short_buildup', 'long_unwinding'];
+  return bullish.includes(kind) ? 'bull' : 'bear';
+}
+
+function fmtOi(value) {
+  const n = Number(value);
+  if (!Number.isFinite(n)) return '—';
+  if (Math.abs(n) >= 1e5) return `${(n / 1e5).toFixed(1)}L`;
+  return n.toLocaleString('en-IN');
+}
+
+/** One underlying's chain read plus the OI ladder five strikes either side of the money. */
+function OptionsCard({ row }) {
+  if (!row.available) {
+    return <div><h3>{row.name}</h3><p className="msi-hint">No option-chain snapshot yet.</p></div>;
+  }
+  const atmIndex = (row.strikes || []).findIndex((s) => s.strike === row.atm_strike);
+  const ladder = atmIndex >= 0 ? row.strikes.slice(Math.max(0, atmIndex - 5), atmIndex + 6) : (row.strikes || []).slice(0, 11);
+  return (
+    <div>
+      <h3><span>{row.name} · {row.expiry} expiry</span><span>{row.label || '—'}</span></h3>
+      <div className="msi-grid sm">
+        <Stat label="Positioning" value={row.score != null ? `${row.score}/100` : '—'} hint={row.stale ? 'Stale snapshot' : undefined} />
+        <Stat label="PCR (OI)" value={fmt(row.pcr_oi)} hint={row.pcr_volume != null ? `Volume ${fmt(row.pcr_volume)}` : undefined} />
+        <Stat label="Max pain" value={fmt(row.max_pain, 0)} hint={row.max_pain_distance_pct != null ? `${signedPercent(row.max_pain_distance_pct)} vs spot` : undefined} />
+        <Stat label="ATM IV" value={row.atm_iv != null ? `${fmt(row.atm_iv, 1)}%` : '—'} hint={row.iv_percentile != null ? `${fmt(row.iv_percentile, 0)}th %ile` : `%ile after 20 sessions (${row.iv_history_sessions || 0})`} />
+        <Stat label="Skew" value={row.skew?.value != null ? `${fmt(row.skew.value, 1)} vol` : '—'} hint={row.skew ? (row.skew.method === '25_delta' ? '25Δ put − call' : '3% OTM put − call') : undefined} />
+        <Stat label="Call build-up" value={BUILDUP_LABELS[row.buildup?.call?.dominant] || '—'} />
+        <Stat label="Put build-up" value={BUILDUP_LABELS[row.buildup?.put?.dominant] || '—'} />
+      </div>
+      <div className="msi-table-wrap">
+        <table className="msi-table">
+          <thead><tr><th>Call OI</th><th>Δ OI</th><th>Call read</th><th>Strike</th><th>Put read</th><th>Δ OI</th><th>Put OI</th></tr></thead>
+          <tbody>
+            {ladder.map((s) => (
+              <tr key={s.strike} className={s.strike === row.atm_strike ? 'atm' : ''}>
+                <td>{fmtOi(s.call?.oi)}</td>
+                <td>{fmtOi(s.call?.oi_change)}</td>
+                <td className={buildupTone('call', s.call?.buildup)}>{BUILDUP_LABELS[s.call?.buildup] || '—'}</td>
+                <td><strong>{fmt(s.strike, 0)}</strong></td>
+                <td className={buildupTone('put', s.put?.buildup)}>{BUILDUP_LABELS[s.put?.buildup] || '—'}</td>
+                <td>{fmtOi(s.put?.oi_change)}</td>
+                <td>{fmtOi(s.put?.oi)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
 function CoverageBadge({ snapshot = {} }) {
   const confidence = snapshot.confidence || 'Insufficient';
   return <span className={`msi-confidence msi-confidence-${confidence.toLowerCase()}`}>{confidence} confidence</span>;
@@ -172,10 +235,13 @@ export default function MarketSectorIntelligence() {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [editorialNote, setEditorialNote] = useState(null);
+  const [options, setOptions] = useState(null);
 
   const load = useCallback(async () => {
     setLoading(true);
     setError('');
+    // The options read is independent of the warehouse dashboard; a miss only hides its panel.
+    getMarketOptions().then(setOptions).catch(() => setOptions(null));
     try {
       const data = await getMiDashboard();
       setPack(data);
@@ -541,6 +607,26 @@ export default function MarketSectorIntelligence() {
               )}
             </Section>
 
+            <Section
+              title="Index options"
+              subtitle={
+                options?.factor
+                  ? `Nearest-expiry NIFTY / BANKNIFTY chains · positioning ${options.factor.score}/100 (${options.factor.label}) · feeds the AGI market score`
+                  : 'Nearest-expiry NIFTY / BANKNIFTY chains · PCR, max pain, OI build-up, IV percentile and skew'
+              }
+            >
+              {options?.underlyings?.some((row) => row.available) ? (
+                <div className="msi-options">
+                  {options.underlyings.map((row) => <OptionsCard key={row.underlying} row={row} />)}
+                </div>
+              ) : (
+                <p className="msi-hint">
+                  No option-chain snapshot yet. Chains refresh every 15 minutes during market hours once an admin has
+                  logged in with Upstox (Mission Control → Broker sessions).
+                </p>
+              )}
+            </Section>
+
             <Section title="Today’s research candidates" subtitle="Evidence-backed starting points for research — not recommendations">
               <div className="msi-opp-grid">
                 {opps.slice(0, 12).map((c) => (
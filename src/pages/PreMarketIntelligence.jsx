@@ -387,9 +387,12 @@ export default function PreMarketIntelligence() {
                         <Badge tone={item.impact === 'High' ? 'Bearish' : 'Neutral'}>{item.impact}</Badge>
                       </div>
                       <p className="mt-1 text-sm font-medium">{item.event}</p>
+                      {item.estimate != null || item.prev != null ? (
+                        <p className="mt-0.5 text-[11px] text-[#667085]">Consensus {item.estimate ?? 'n/a'} · prior {item.prev ?? 'n/a'}</p>
+                      ) : null}
                     </div>
                   ))}
-                  {!workspace.economicCalendar?.length && <p className="text-xs text-[#667085]">Calendar refreshes from Finnhub when available.</p>}
+                  {!workspace.economicCalendar?.length && <p className="text-xs text-[#667085]">No tracked releases in the next week.</p>}
                 </div>
               </Card>
 
@@ -12,6 +12,7 @@ const PREFS = [
   ['forecast_updates', 'Forecast Updates'],
   ['investment_office_brief', 'Investment Office Brief'],
   ['product_updates', 'Product Updates'],
+  ['email_tracking', 'Measure opens & clicks'],
 ];
 
 export default function UnsubscribePage() {
@@ -37,7 +38,7 @@ export default function UnsubscribePage() {
   async function onSavePrefs() {
     setError('');
     try {
-      await newsletterPreferences({ email, token: tokenParam || undefined, preferences: prefs });
+      await newsletterPreferences({ token: tokenParam, preferences: prefs });
       setMessage('Preferences updated.');
     } catch (err) {
       setError(err.message);
@@ -75,10 +76,13 @@ export default function UnsubscribePage() {
         </div>
 
         <div className="mt-6 flex flex-wrap gap-2">
-          <Button className="bg-blue-700 hover:bg-blue-800" onClick={onSavePrefs}>Save preferences</Button>
+          <Button className="bg-blue-700 hover:bg-blue-800" onClick={onSavePrefs} disabled={!hasToken}>Save preferences</Button>
           <Button variant="outline" onClick={onUnsubscribe}>Unsubscribe all</Button>
         </div>
 
+        {!hasToken && (
+          <p className="mt-4 text-xs text-slate-500">Open the preferences link in any of our emails to change topics.</p>
+        )}
         {message && <p className="mt-4 text-sm text-green-700">{message}</p>}
         {error && <p className="mt-4 text-sm text-red-600">{error}</p>}
 
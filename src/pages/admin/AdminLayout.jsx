@@ -9,6 +9,7 @@ import {
   Briefcase,
   Building2,
   Bus,
+  CalendarDays,
   CalendarRange,
   ChevronRight,
   ClipboardCheck,
@@ -61,6 +62,7 @@ const authorNavItems = [
 
 const navItems = [
   { to: '/admin', label: 'Dashboard', icon: LayoutDashboard, end: true },
+  { to: '/admin/publishing', label: 'Publishing', icon: Radio },
   { to: '/admin/data-warehouse', label: 'Data Warehouse', icon: Database },
   { to: '/admin/financial-warehouse', label: 'Financial Warehouse', icon: Database },
   { to: '/admin/financial-coverage', label: 'Financial Coverage', icon: CalendarRange },
@@ -133,6 +135,7 @@ const navItems = [
   { to: '/admin/investment-intelligence', label: 'Investment Intel', icon: LineChart },
   { to: '/admin/forecasting', label: 'Forecasting', icon: Target },
   { to: '/admin/events', label: 'Events', icon: Zap },
+  { to: '/admin/economic-calendar', label: 'Economic Calendar', icon: CalendarDays },
   { to: '/admin/context', label: 'Context', icon: Layers },
   { to: '/admin/intelligence-bus', label: 'Intelligence Bus', icon: Bus },
   { to: '/admin/valuation', label: 'Valuation', icon: Scale },
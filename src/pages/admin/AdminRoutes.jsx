@@ -12,6 +12,7 @@ const Evidence = lazy(() => import('@/pages/admin/Evidence'));
 const InvestmentIntelligence = lazy(() => import('@/pages/admin/InvestmentIntelligence'));
 const Forecasting = lazy(() => import('@/pages/admin/Forecasting'));
 const Events = lazy(() => import('@/pages/admin/Events'));
+const EconomicCalendarAdmin = lazy(() => import('@/pages/admin/EconomicCalendarAdmin'));
 const ContextAssembly = lazy(() => import('@/pages/admin/ContextAssembly'));
 const IntelligenceBus = lazy(() => import('@/pages/admin/IntelligenceBus'));
 const Valuation = lazy(() => import('@/pages/admin/Valuation'));
@@ -79,6 +80,13 @@ const AskProductQuality = lazy(() => import('@/pages/admin/AskProductQuality'));
 const KulDashboard = lazy(() => import('@/pages/admin/KulDashboard'));
 const MarketResearchNote = lazy(() => import('@/pages/admin/MarketResearchNote'));
 const IntelligenceCmsRoutes = lazy(() => import('@/pages/admin/intelligence/IntelligenceCmsRoutes'));
+const PublishingDashboard = lazy(() => import('@/pages/admin/publishing/PublishingDashboard'));
+const NewsletterSubscribers = lazy(() => import('@/pages/admin/publishing/NewsletterSubscribers'));
+const NewsletterImport = lazy(() => import('@/pages/admin/publishing/NewsletterImport'));
+const NewsletterTemplates = lazy(() => import('@/pages/admin/publishing/NewsletterTemplates'));
+const NewsletterAnalytics = lazy(() => import('@/pages/admin/publishing/NewsletterAnalytics'));
+const CampaignHistory = lazy(() => import('@/pages/admin/publishing/CampaignHistory'));
+const CampaignDetail = lazy(() => import('@/pages/admin/publishing/CampaignDetail'));
 
 function AdminPageFallback() {
   return (
@@ -134,6 +142,14 @@ export default function AdminRoutes() {
             <Route path="articles/new" element={<ArticleEditor />} />
             <Route path="articles/edit/:slug" element={<ArticleEditor />} />
             <Route path="categories" element={<CategoryManager />} />
+            {/* Research distribution — newsletter subscribers, campaigns, analytics */}
+            <Route path="publishing" element={<PublishingDashboard />} />
+            <Route path="publishing/subscribers" element={<NewsletterSubscribers />} />
+            <Route path="publishing/import" element={<NewsletterImport />} />
+            <Route path="publishing/templates" element={<NewsletterTemplates />} />
+            <Route path="publishing/analytics" element={<NewsletterAnalytics />} />
+            <Route path="publishing/campaigns" element={<CampaignHistory />} />
+            <Route path="publishing/campaigns/:id" element={<CampaignDetail />} />
             <Route path="knowledge" element={<KnowledgeFoundation />} />
             <Route path="open-intelligence" element={<OpenIntelligence />} />
             <Route path="evidence" element={<Evidence />} />
@@ -181,6 +197,7 @@ export default function AdminRoutes() {
             <Route path="investment-intelligence" element={<InvestmentIntelligence />} />
             <Route path="forecasting" element={<Forecasting />} />
             <Route path="events" element={<Events />} />
+            <Route path="economic-calendar" element={<EconomicCalendarAdmin />} />
             <Route path="context" element={<ContextAssembly />} />
             <Route path="intelligence-bus" element={<IntelligenceBus />} />
             <Route path="valuation" element={<Valuation />} />
@@ -0,0 +1,248 @@
+import { useCallback, useEffect, useState } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { KeyRound, LogIn, RefreshCw, RotateCw, Trash2 } from 'lucide-react';
+import { getBrokerSessions, revokeBrokerSession, rotateGrowwToken, startUpstoxLogin } from '@/lib/brokerAuthApi';
+import { Button } from '@/components/ui/button';
+
+function istTime(iso) {
+  if (!iso) return '—';
+  return new Date(iso).toLocaleString('en-IN', {
+    timeZone: 'Asia/Kolkata',
+    day: '2-digit',
+    month: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hour12: false,
+  });
+}
+
+function remaining(minutes) {
+  if (minutes == null) return '—';
+  if (minutes >= 60) return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+  return `${minutes}m`;
+}
+
+function actorLabel(actor) {
+  if (!actor) return '—';
+  return typeof actor === 'string' ? actor : actor.email || actor.id || '—';
+}
+
+function Glass({ children, className = '' }) {
+  return (
+    <div
+      className={`rounded-2xl border border-[var(--io-border)] bg-[rgba(255,255,255,0.03)] backdrop-blur-sm p-4 ${className}`}
+    >
+      {children}
+    </div>
+  );
+}
+
+function sessionState(s) {
+  if (!s?.connected) return s?.expired ? ['Expired', 'text-rose-300'] : ['Not connected', 'text-rose-300'];
+  if (!s.covers_next_session) return ['Lapses before close', 'text-amber-300'];
+  return ['Connected', 'text-emerald-300'];
+}
+
+function BrokerCard({ name, session, configured, configHint, children }) {
+  const [label, tone] = sessionState(session);
+  return (
+    <Glass className="space-y-3">
+      <div className="flex items-start justify-between gap-3">
+        <div>
+          <p className="text-sm font-semibold text-[var(--io-ink)]">{name}</p>
+          <p className={`mt-0.5 text-xs font-medium ${tone}`}>{label}</p>
+        </div>
+        <div className="flex flex-wrap gap-2">{children}</div>
+      </div>
+      {!configured ? <p className="text-xs text-amber-300">{configHint}</p> : null}
+      <dl className="grid grid-cols-2 gap-x-4 gap-y-1 text-xs">
+        <dt className="text-[var(--io-caption)]">Expires</dt>
+        <dd className="tabular-nums text-[var(--io-ink)]">
+          {istTime(session?.expires_at)}
+          {session?.connected ? <span className="ml-1 text-[var(--io-muted)]">· {remaining(session.expires_in_minutes)}</span> : null}
+        </dd>
+        <dt className="text-[var(--io-caption)]">Issued</dt>
+        <dd className="tabular-nums text-[var(--io-ink)]">{istTime(session?.issued_at)}</dd>
+        <dt className="text-[var(--io-caption)]">By</dt>
+        <dd className="text-[var(--io-ink)]">{actorLabel(session?.rotated_by)}</dd>
+        {session?.account ? (
+          <>
+            <dt className="text-[var(--io-caption)]">Account</dt>
+            <dd className="text-[var(--io-ink)]">{session.account.user_name || session.account.user_id}</dd>
+          </>
+        ) : null}
+      </dl>
+    </Glass>
+  );
+}
+
+/**
+ * Broker sessions — Upstox OAuth login and the daily Groww token rotation.
+ * Tokens live encrypted server-side; only their expiry reaches the browser.
+ */
+export default function BrokerSessionsPanel() {
+  const [params, setParams] = useSearchParams();
+  const [data, setData] = useState(null);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+  const [busy, setBusy] = useState('');
+
+  const load = useCallback(async () => {
+    setError('');
+    try {
+      setData(await getBrokerSessions());
+    } catch (err) {
+      setError(String(err?.message || 'Broker sessions unavailable'));
+    }
+  }, []);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  // Back from the Upstox callback redirect: show the outcome once, then tidy the URL.
+  useEffect(() => {
+    if (params.get('broker') !== 'upstox') return;
+    const status = params.get('broker_status');
+    if (status === 'connected') setNotice('Upstox connected — the new token is live.');
+    else if (status === 'error') setError(`Upstox login failed: ${params.get('reason') || 'unknown error'}`);
+    const next = new URLSearchParams(params);
+    ['broker', 'broker_status', 'reason'].forEach((key) => next.delete(key));
+    setParams(next, { replace: true });
+  }, [params, setParams]);
+
+  const act = async (key, fn, message) => {
+    setBusy(key);
+    setError('');
+    setNotice('');
+    try {
+      await fn();
+      if (message) setNotice(message);
+      await load();
+    } catch (err) {
+      setError(String(err?.message || 'Action failed'));
+    } finally {
+      setBusy('');
+    }
+  };
+
+  const loginUpstox = async () => {
+    setBusy('upstox-login');
+    setError('');
+    try {
+      const { url } = await startUpstoxLogin();
+      window.location.assign(url);
+    } catch (err) {
+      setError(String(err?.message || 'Could not start the Upstox login'));
+      setBusy('');
+    }
+  };
+
+  const upstox = data?.brokers?.upstox;
+  const groww = data?.brokers?.groww;
+  const job = data?.job;
+
+  return (
+    <section className="space-y-4" aria-label="Broker sessions">
+      <div className="flex flex-wrap items-end justify-between gap-3">
+        <div>
+          <p className="text-[10px] font-bold uppercase tracking-[0.18em] text-[var(--io-gold)]">
+            Operations · Market data access
+          </p>
+          <h2 className="mt-1 text-lg font-semibold text-[var(--io-ink)]">Broker Sessions</h2>
+          <p className="mt-1 max-w-2xl text-sm text-[var(--io-muted)]">
+            Upstox tokens lapse at 03:30 IST and need an admin login each day; Groww tokens are minted from the API key
+            and rotated before the open. Admins are emailed when a session will not last through the next close.
+          </p>
+        </div>
+        <Button type="button" variant="outline" size="sm" onClick={load} disabled={Boolean(busy)}>
+          <RefreshCw className="mr-2 h-3.5 w-3.5" />
+          Refresh
+        </Button>
+      </div>
+
+      {error ? (
+        <Glass>
+          <p className="text-sm text-rose-300">{error}</p>
+        </Glass>
+      ) : null}
+      {notice ? (
+        <Glass>
+          <p className="text-sm text-emerald-300">{notice}</p>
+        </Glass>
+      ) : null}
+
+      <div className="grid gap-3 lg:grid-cols-2">
+        <BrokerCard
+          name="Upstox"
+          session={upstox}
+          configured={upstox?.login_configured !== false}
+          configHint="Set UPSTOX_CLIENT_ID, UPSTOX_CLIENT_SECRET and UPSTOX_REDIRECT_URI on the API server."
+        >
+          <Button type="button" size="sm" onClick={loginUpstox} disabled={Boolean(busy) || upstox?.login_configured === false}>
+            <LogIn className="mr-2 h-3.5 w-3.5" />
+            {upstox?.connected ? 'Log in again' : 'Log in with Upstox'}
+          </Button>
+          {upstox?.connected ? (
+            <Button
+              type="button"
+              variant="outline"
+              size="sm"
+              onClick={() => act('upstox-revoke', () => revokeBrokerSession('upstox'), 'Upstox session removed.')}
+              disabled={Boolean(busy)}
+            >
+              <Trash2 className="h-3.5 w-3.5" />
+            </Button>
+          ) : null}
+        </BrokerCard>
+
+        <BrokerCard
+          name="Groww"
+          session={groww}
+          configured={groww?.rotation_configured !== false}
+          configHint="Set GROWW_API_KEY and GROWW_API_SECRET on the API server."
+        >
+          <Button
+            type="button"
+            size="sm"
+            onClick={() => act('groww-rotate', rotateGrowwToken, 'Groww token rotated.')}
+            disabled={Boolean(busy) || groww?.rotation_configured === false}
+          >
+            <RotateCw className={`mr-2 h-3.5 w-3.5 ${busy === 'groww-rotate' ? 'animate-spin' : ''}`} />
+            Rotate now
+          </Button>
+          {groww?.connected ? (
+            <Button
+              type="button"
+              variant="outline"
+              size="sm"
+              onClick={() => act('groww-revoke', () => revokeBrokerSession('groww'), 'Groww token removed.')}
+              disabled={Boolean(busy)}
+            >
+              <Trash2 className="h-3.5 w-3.5" />
+            </Button>
+          ) : null}
+        </BrokerCard>
+      </div>
+
+      <Glass className="flex flex-wrap items-center gap-x-6 gap-y-1 text-xs text-[var(--io-muted)]">
+        <span className="inline-flex items-center gap-1.5">
+          <KeyRound className="h-3.5 w-3.5 text-[var(--io-gold)]" />
+          Next session <span className="text-[var(--io-ink)]">{data?.next_session || '—'}</span>
+        </span>
+        <span>
+          Pre-open check <span className="text-[var(--io-ink)]">{job?.schedule || '08:15 IST · trading days'}</span>
+        </span>
+        <span>
+          Next run <span className="tabular-nums text-[var(--io-ink)]">{istTime(job?.next_run_at)}</span>
+        </span>
+        <span>
+          Last result{' '}
+          <span className={job?.last_run?.status === 'failed' ? 'text-rose-300' : 'text-[var(--io-ink)]'}>
+            {job?.last_run?.status || '—'}
+          </span>
+        </span>
+      </Glass>
+    </section>
+  );
+}
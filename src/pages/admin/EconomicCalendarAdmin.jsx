@@ -0,0 +1,290 @@
+import { useCallback, useEffect, useState } from 'react';
+import { RefreshCw, Trash2 } from 'lucide-react';
+import {
+  deleteEconomicEvent,
+  importEconomicEventsCsv,
+  listEconomicEvents,
+  listEconomicIndicators,
+  recordEconomicRelease,
+  saveEconomicEvent,
+} from '@/lib/economicCalendarApi';
+import { Button } from '@/components/ui/button';
+
+const SAMPLE = `key,date,time,period,consensus,previous,actual,note
+fomc,2026-10-28,,,,,,
+in_cpi,2026-11-12,16:00,Oct 2026,,,,MoSPI release`;
+
+const EMPTY_FORM = { key: 'in_cpi', date: '', time: '', period: '', consensus: '', previous: '', note: '' };
+
+const TONE = {
+  positive: 'text-emerald-700',
+  negative: 'text-rose-700',
+  neutral: 'text-slate-500',
+};
+
+function istTime(iso) {
+  if (!iso) return '—';
+  return new Date(iso).toLocaleString('en-IN', {
+    timeZone: 'Asia/Kolkata',
+    day: '2-digit',
+    month: 'short',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    hour12: false,
+  });
+}
+
+function ReleaseForm({ event, onSaved }) {
+  const [values, setValues] = useState({ actual: '', consensus: event.consensus ?? '', previous: event.previous ?? '' });
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  async function submit(e) {
+    e.preventDefault();
+    setBusy(true);
+    setError('');
+    try {
+      await recordEconomicRelease(event.id, values);
+      onSaved();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <form onSubmit={submit} className="flex flex-wrap items-end gap-2 text-xs">
+      {['actual', 'consensus', 'previous'].map((field) => (
+        <label key={field} className="block">
+          <span className="text-slate-500 capitalize">{field}</span>
+          <input
+            className="mt-0.5 block w-20 border rounded px-2 py-1"
+            value={values[field]}
+            onChange={(e) => setValues({ ...values, [field]: e.target.value })}
+          />
+        </label>
+      ))}
+      <Button type="submit" size="sm" className="bg-[#0b3b60] hover:bg-[#0b3b60]/90" disabled={busy || !String(values.actual).trim()}>
+        Record
+      </Button>
+      {error && <span className="text-red-600">{error}</span>}
+    </form>
+  );
+}
+
+/**
+ * Release schedule for the tracked indicators — add dates, record consensus
+ * and actuals (surprise is scored on save), bulk-load from CSV.
+ */
+export default function EconomicCalendarAdmin() {
+  const [indicators, setIndicators] = useState([]);
+  const [sync, setSync] = useState(null);
+  const [events, setEvents] = useState([]);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [csvText, setCsvText] = useState(SAMPLE);
+  const [report, setReport] = useState(null);
+  const [releasing, setReleasing] = useState('');
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const load = useCallback(async () => {
+    setError('');
+    try {
+      const from = new Date(Date.now() - 30 * 86_400_000).toISOString().slice(0, 10);
+      const to = new Date(Date.now() + 90 * 86_400_000).toISOString().slice(0, 10);
+      const [meta, list] = await Promise.all([listEconomicIndicators(), listEconomicEvents({ from, to })]);
+      setIndicators(meta?.indicators || []);
+      setSync(meta?.sync || null);
+      setEvents(list?.events || []);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  async function addEvent(e) {
+    e.preventDefault();
+    setBusy(true);
+    setError('');
+    try {
+      await saveEconomicEvent(form);
+      setForm({ ...EMPTY_FORM, key: form.key });
+      await load();
+    } catch (err) {
+      setError(err.data?.errors?.map((x) => x.message).join('; ') || err.message);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function runImport(dryRun) {
+    setBusy(true);
+    setError('');
+    try {
+      const result = await importEconomicEventsCsv(csvText, { dryRun });
+      setReport(result);
+      if (!dryRun) await load();
+    } catch (err) {
+      setReport(err.data?.errors ? { dry_run: false, errors: err.data.errors } : null);
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function remove(id) {
+    if (!window.confirm(`Delete ${id}?`)) return;
+    try {
+      await deleteEconomicEvent(id);
+      await load();
+    } catch (err) {
+      setError(err.message);
+    }
+  }
+
+  return (
+    <div className="p-6 space-y-6 max-w-6xl">
+      <div className="flex items-end justify-between gap-3">
+        <div>
+          <h1 className="text-2xl font-bold">Economic Calendar</h1>
+          <p className="text-sm text-slate-500 mt-1">
+            Release dates, consensus and actuals for the tracked India and US prints. Surprise scores feed the macro and
+            pre-market briefings.
+            {sync?.last_success_at ? ` Finnhub sync last ran ${istTime(sync.last_success_at)}.` : ''}
+          </p>
+        </div>
+        <Button variant="outline" size="sm" onClick={load}>
+          <RefreshCw className="mr-2 h-3.5 w-3.5" />
+          Refresh
+        </Button>
+      </div>
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      <form onSubmit={addEvent} className="bg-white border rounded-xl p-4 grid grid-cols-2 md:grid-cols-4 gap-3 text-sm">
+        <label className="block col-span-2">
+          Indicator
+          <select
+            className="mt-1 w-full border rounded-lg px-3 py-2"
+            value={form.key}
+            onChange={(e) => setForm({ ...form, key: e.target.value })}
+          >
+            {indicators.map((ind) => (
+              <option key={ind.key} value={ind.key}>{ind.event}</option>
+            ))}
+          </select>
+        </label>
+        <label className="block">
+          Date
+          <input type="date" className="mt-1 w-full border rounded-lg px-3 py-2" value={form.date} onChange={(e) => setForm({ ...form, date: e.target.value })} />
+        </label>
+        <label className="block">
+          Time (publisher&apos;s zone)
+          <input placeholder={indicators.find((i) => i.key === form.key)?.time || 'HH:MM'} className="mt-1 w-full border rounded-lg px-3 py-2" value={form.time} onChange={(e) => setForm({ ...form, time: e.target.value })} />
+        </label>
+        {['period', 'consensus', 'previous', 'note'].map((field) => (
+          <label key={field} className="block capitalize">
+            {field}
+            <input className="mt-1 w-full border rounded-lg px-3 py-2" value={form[field]} onChange={(e) => setForm({ ...form, [field]: e.target.value })} />
+          </label>
+        ))}
+        <div className="col-span-2 md:col-span-4">
+          <Button type="submit" className="bg-[#0b3b60] hover:bg-[#0b3b60]/90" disabled={busy || !form.date}>Save event</Button>
+        </div>
+      </form>
+
+      <div className="bg-white border rounded-xl overflow-x-auto">
+        <table className="w-full min-w-[900px] text-sm">
+          <thead className="bg-slate-50 text-xs text-slate-500">
+            <tr>
+              <th className="text-left p-2">Release (IST)</th>
+              <th className="text-left p-2">Indicator</th>
+              <th className="text-left p-2">Consensus</th>
+              <th className="text-left p-2">Previous</th>
+              <th className="text-left p-2">Actual</th>
+              <th className="text-left p-2">Surprise</th>
+              <th className="text-left p-2">Source</th>
+              <th className="p-2" />
+            </tr>
+          </thead>
+          <tbody>
+            {events.length === 0 ? (
+              <tr><td colSpan={8} className="p-3 text-slate-500">No events in the last 30 / next 90 days.</td></tr>
+            ) : events.map((ev) => (
+              <tr key={ev.id} className="border-t align-top">
+                <td className="p-2 tabular-nums whitespace-nowrap">{istTime(ev.scheduled_at)}</td>
+                <td className="p-2">
+                  <span className="font-medium">{ev.event}</span>
+                  {ev.period && <span className="text-slate-500"> · {ev.period}</span>}
+                  {ev.status === 'cancelled' && <span className="ml-1 text-xs text-amber-700">cancelled</span>}
+                  {releasing === ev.id && (
+                    <div className="mt-2">
+                      <ReleaseForm event={ev} onSaved={() => { setReleasing(''); load(); }} />
+                    </div>
+                  )}
+                </td>
+                <td className="p-2 tabular-nums">{ev.consensus ?? '—'}</td>
+                <td className="p-2 tabular-nums">{ev.previous ?? '—'}</td>
+                <td className="p-2 tabular-nums">{ev.actual ?? '—'}</td>
+                <td className={`p-2 tabular-nums ${TONE[ev.tone] || TONE.neutral}`}>
+                  {ev.surprise_score != null ? `${ev.surprise_score > 0 ? '+' : ''}${ev.surprise_score}σ · ${ev.surprise_direction}` : '—'}
+                </td>
+                <td className="p-2 text-xs text-slate-500">{ev.source}</td>
+                <td className="p-2 text-right whitespace-nowrap">
+                  <Button type="button" variant="outline" size="sm" className="mr-1.5" onClick={() => setReleasing(releasing === ev.id ? '' : ev.id)}>
+                    {ev.status === 'released' ? 'Revise' : 'Record actual'}
+                  </Button>
+                  <Button type="button" variant="outline" size="sm" onClick={() => remove(ev.id)} aria-label={`Delete ${ev.id}`}>
+                    <Trash2 className="h-3.5 w-3.5" />
+                  </Button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="bg-white border rounded-xl p-4 space-y-3">
+        <div>
+          <h2 className="font-semibold">CSV import</h2>
+          <p className="text-xs text-slate-500 mt-1">
+            Columns: key, date (YYYY-MM-DD) and any of time, period, consensus, previous, actual, status, note. Keys:{' '}
+            {indicators.map((i) => i.key).join(', ')}. Re-importing a key and date updates that event.
+          </p>
+        </div>
+        <textarea
+          className="w-full min-h-[160px] border rounded-xl px-3 py-2 font-mono text-xs"
+          value={csvText}
+          onChange={(e) => setCsvText(e.target.value)}
+        />
+        <div className="flex gap-2">
+          <Button variant="outline" disabled={busy} onClick={() => runImport(true)}>Preview</Button>
+          <Button className="bg-[#0b3b60] hover:bg-[#0b3b60]/90" disabled={busy} onClick={() => runImport(false)}>
+            {busy ? 'Working…' : 'Import'}
+          </Button>
+        </div>
+        {report && (
+          <div className="text-sm space-y-2">
+            {report.dry_run ? (
+              <p>{report.valid} of {report.rows} rows valid.</p>
+            ) : report.imported != null ? (
+              <p>Imported {report.imported} rows.</p>
+            ) : null}
+            {(report.errors || []).length > 0 && (
+              <ul className="text-xs text-red-600 space-y-0.5">
+                {report.errors.map((e, idx) => (
+                  <li key={`${e.row}-${e.field}-${idx}`}>Row {e.row} · {e.field}: {e.message}</li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
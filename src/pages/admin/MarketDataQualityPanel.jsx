@@ -0,0 +1,175 @@
+import { useCallback, useEffect, useState } from 'react';
+import { RefreshCw } from 'lucide-react';
+import { getMarketIntelligence } from '@/api/marketApi';
+import { Button } from '@/components/ui/button';
+
+const STATUS_TONE = {
+  complete: 'text-emerald-300',
+  degraded: 'text-amber-300',
+  insufficient: 'text-rose-300',
+};
+
+function pct(v) {
+  if (v == null || Number.isNaN(Number(v))) return '—';
+  return `${Math.round(Number(v) * 100)}%`;
+}
+
+function Glass({ children, className = '' }) {
+  return (
+    <div
+      className={`rounded-2xl border border-[var(--io-border)] bg-[rgba(255,255,255,0.03)] backdrop-blur-sm p-4 ${className}`}
+    >
+      {children}
+    </div>
+  );
+}
+
+function inputState(input) {
+  if (!input.available) return ['Missing', 'text-rose-300'];
+  if (input.stale) return ['Stale', 'text-amber-300'];
+  if (input.coverage != null && input.coverage < 1) return ['Partial', 'text-amber-300'];
+  if (input.fallback) return ['Fallback', 'text-amber-300'];
+  return ['OK', 'text-emerald-300'];
+}
+
+/**
+ * Input completeness behind the published AGI market score — Mission Control only.
+ * Grade, withheld state and per-input provenance from /api/market/intelligence.
+ */
+export default function MarketDataQualityPanel() {
+  const [data, setData] = useState(null);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(true);
+
+  const load = useCallback(async () => {
+    setError('');
+    setLoading(true);
+    try {
+      setData(await getMarketIntelligence());
+    } catch (err) {
+      setError(String(err?.message || 'Market intelligence unavailable'));
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const quality = data?.dataQuality;
+  const inputs = quality?.inputs || [];
+
+  return (
+    <section className="space-y-4" aria-label="Market data quality">
+      <div className="flex flex-wrap items-end justify-between gap-3">
+        <div>
+          <p className="text-[10px] font-bold uppercase tracking-[0.18em] text-[var(--io-gold)]">
+            Internal diagnostics · Market inputs
+          </p>
+          <h2 className="mt-1 text-lg font-semibold text-[var(--io-ink)]">Market Data Quality</h2>
+          <p className="mt-1 max-w-2xl text-sm text-[var(--io-muted)]">
+            Weighted completeness of the inputs behind the AGI market score. Below{' '}
+            {pct(quality?.threshold)} — or without NIFTY history — the score is withheld instead of scored from defaults.
+          </p>
+        </div>
+        <Button type="button" variant="outline" size="sm" onClick={load} disabled={loading}>
+          <RefreshCw className={`mr-2 h-3.5 w-3.5 ${loading ? 'animate-spin' : ''}`} />
+          Refresh
+        </Button>
+      </div>
+
+      {error ? (
+        <Glass>
+          <p className="text-sm text-rose-300">{error}</p>
+        </Glass>
+      ) : null}
+
+      <div className="grid gap-3 sm:grid-cols-2 lg:grid-cols-4">
+        <Glass>
+          <p className="text-[11px] uppercase tracking-wide text-[var(--io-caption)]">Grade</p>
+          <p className="mt-1 text-2xl font-semibold text-[var(--io-ink)]">{quality?.grade || '—'}</p>
+        </Glass>
+        <Glass>
+          <p className="text-[11px] uppercase tracking-wide text-[var(--io-caption)]">Completeness</p>
+          <p className="mt-1 text-2xl font-semibold tabular-nums text-[var(--io-ink)]">{pct(quality?.completeness)}</p>
+        </Glass>
+        <Glass>
+          <p className="text-[11px] uppercase tracking-wide text-[var(--io-caption)]">Status</p>
+          <p className={`mt-1 text-2xl font-semibold capitalize ${STATUS_TONE[quality?.status] || 'text-[var(--io-ink)]'}`}>
+            {quality?.status || '—'}
+          </p>
+        </Glass>
+        <Glass>
+          <p className="text-[11px] uppercase tracking-wide text-[var(--io-caption)]">Published score</p>
+          <p className="mt-1 text-2xl font-semibold tabular-nums text-[var(--io-ink)]">
+            {data?.outlook?.agiMarketScore ?? (quality?.withheld ? 'Withheld' : '—')}
+          </p>
+        </Glass>
+      </div>
+
+      {quality?.reasons?.length ? (
+        <Glass>
+          <p className="text-[11px] font-semibold uppercase tracking-wide text-[var(--io-caption)]">Why degraded</p>
+          <ul className="mt-2 space-y-1 text-xs text-[var(--io-muted)]">
+            {quality.reasons.map((reason) => (
+              <li key={reason}>{reason}</li>
+            ))}
+          </ul>
+        </Glass>
+      ) : null}
+
+      <Glass>
+        <p className="text-[11px] font-semibold uppercase tracking-wide text-[var(--io-caption)]">Inputs · provenance</p>
+        <div className="mt-3 overflow-x-auto">
+          <table className="w-full min-w-[640px] text-left text-xs">
+            <thead className="text-[var(--io-muted)]">
+              <tr>
+                <th className="py-1.5 pr-3 font-medium">Input</th>
+                <th className="py-1.5 pr-3 font-medium">Weight</th>
+                <th className="py-1.5 pr-3 font-medium">State</th>
+                <th className="py-1.5 pr-3 font-medium">Credit</th>
+                <th className="py-1.5 pr-3 font-medium">Provider</th>
+                <th className="py-1.5 pr-3 font-medium">Points</th>
+                <th className="py-1.5 font-medium">As of</th>
+              </tr>
+            </thead>
+            <tbody>
+              {inputs.length === 0 ? (
+                <tr>
+                  <td colSpan={7} className="py-3 text-[var(--io-muted)]">
+                    {loading ? 'Loading…' : 'No quality report on the current payload.'}
+                  </td>
+                </tr>
+              ) : (
+                inputs.map((input) => {
+                  const [state, tone] = inputState(input);
+                  return (
+                    <tr key={input.key} className="border-t border-[var(--io-border)]">
+                      <td className="py-2 pr-3">
+                        {input.label}
+                        {input.required ? <span className="ml-2 text-[10px] text-[var(--io-muted)]">required</span> : null}
+                      </td>
+                      <td className="py-2 pr-3 tabular-nums">{pct(input.weight)}</td>
+                      <td className={`py-2 pr-3 ${tone}`}>
+                        {state}
+                        {input.coverage != null && input.coverage < 1 ? ` · ${pct(input.coverage)}` : ''}
+                      </td>
+                      <td className="py-2 pr-3 tabular-nums">{pct(input.credit)}</td>
+                      <td className="py-2 pr-3">
+                        {input.provider || '—'}
+                        {input.fallback ? <span className="ml-1 text-[10px] text-amber-300">fallback</span> : null}
+                      </td>
+                      <td className="py-2 pr-3 tabular-nums">{input.points ?? '—'}</td>
+                      <td className="py-2">{input.as_of ? String(input.as_of).slice(0, 16).replace('T', ' ') : '—'}</td>
+                    </tr>
+                  );
+                })
+              )}
+            </tbody>
+          </table>
+        </div>
+      </Glass>
+    </section>
+  );
+}
@@ -17,6 +17,10 @@ import {
 import { Button } from '@/components/ui/button';
 import AgentMapPanel from '@/pages/admin/AgentMapPanel';
 import AskObservabilityPanel from '@/pages/admin/AskObservabilityPanel';
+import BrokerSessionsPanel from '@/pages/admin/BrokerSessionsPanel';
+import MarketDataQualityPanel from '@/pages/admin/MarketDataQualityPanel';
+import ModelBacktestPanel from '@/pages/admin/ModelBacktestPanel';
+import ScheduledJobsPanel from '@/pages/admin/ScheduledJobsPanel';
 import '@/office/theme.css';
 
 function statusColour(status) {
@@ -379,9 +383,21 @@ export default function MissionControl() {
           </div>
         </section>
 
+        {/* Background jobs — schedules, leases, run history, manual run / pause */}
+        <ScheduledJobsPanel />
+
+        {/* Upstox login / Groww rotation — token expiry before the open */}
+        <BrokerSessionsPanel />
+
         {/* Ask Evidence Intelligence — internal funnel / latency / traces */}
         <AskObservabilityPanel />
 
+        {/* Index model validation — backtest hit rates / calibration */}
+        <ModelBacktestPanel />
+
+        {/* Market input completeness — grade, withheld state, provenance */}
+        <MarketDataQualityPanel />
+
         {continuousGatherLearn ? (
           <section className="space-y-3">
             <Kicker>Continuous Gather → Learn</Kicker>
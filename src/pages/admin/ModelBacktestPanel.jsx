@@ -0,0 +1,269 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import { Download, RefreshCw } from 'lucide-react';
+import { captureModelBacktestCandles, getModelBacktest } from '@/lib/marketModelsApi';
+import { Button } from '@/components/ui/button';
+
+const MODEL_LABELS = {
+  index_bullishness: 'Index Bullishness',
+  confluence: 'Six-layer Confluence',
+  agi_market_score: 'AGI Market Score',
+};
+
+const BAND_LABELS = {
+  strong_bullish: 'Strong Bullish',
+  bullish: 'Bullish',
+  neutral: 'Neutral',
+  bearish: 'Bearish',
+  strong_bearish: 'Strong Bearish',
+};
+
+function pct(v) {
+  if (v == null || Number.isNaN(Number(v))) return '—';
+  return `${Math.round(Number(v) * 100)}%`;
+}
+
+function num(v, digits = 2) {
+  if (v == null || Number.isNaN(Number(v))) return '—';
+  return Number(v).toFixed(digits);
+}
+
+function Glass({ children, className = '' }) {
+  return (
+    <div
+      className={`rounded-2xl border border-[var(--io-border)] bg-[rgba(255,255,255,0.03)] backdrop-blur-sm p-4 ${className}`}
+    >
+      {children}
+    </div>
+  );
+}
+
+function Toggle({ options, value, onChange }) {
+  return (
+    <div className="inline-flex rounded-lg border border-[var(--io-border)] p-0.5 text-xs">
+      {options.map(([key, label]) => (
+        <button
+          key={key}
+          type="button"
+          onClick={() => onChange(key)}
+          className={`rounded-md px-2.5 py-1 ${value === key ? 'bg-[rgba(255,255,255,0.08)] text-[var(--io-ink)]' : 'text-[var(--io-muted)]'}`}
+        >
+          {label}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+/**
+ * Historical validation of the published index models — Mission Control only.
+ * Hit rates, band × outcome confusion and score calibration from stored candles.
+ */
+export default function ModelBacktestPanel() {
+  const [frame, setFrame] = useState('daily');
+  const [model, setModel] = useState('index_bullishness');
+  const [horizon, setHorizon] = useState(null);
+  const [indexKey, setIndexKey] = useState(null);
+  const [data, setData] = useState(null);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [capturing, setCapturing] = useState(false);
+
+  const load = useCallback(async () => {
+    setError('');
+    setLoading(true);
+    try {
+      const body = await getModelBacktest({ frame });
+      setData(body);
+    } catch (err) {
+      setError(String(err?.message || 'Model backtest unavailable'));
+    } finally {
+      setLoading(false);
+    }
+  }, [frame]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const capture = async () => {
+    setCapturing(true);
+    setNotice('');
+    setError('');
+    try {
+      const body = await captureModelBacktestCandles({ frames: [frame] });
+      setNotice(`Captured ${body.captured?.length ?? 0} ${frame} series${body.failed?.length ? ` · ${body.failed.length} failed` : ''}.`);
+      await load();
+    } catch (err) {
+      setError(String(err?.message || 'Candle capture failed'));
+    } finally {
+      setCapturing(false);
+    }
+  };
+
+  const horizons = data?.horizons || [];
+  const activeHorizon = horizons.includes(horizon) ? horizon : horizons[0];
+  const indices = data?.indices || [];
+  const selected = indices.find((row) => row.key === indexKey) || indices[0];
+  const detail = selected?.models?.[model]?.horizons?.[activeHorizon];
+
+  const rows = useMemo(
+    () => indices.map((row) => ({ row, stats: row.models?.[model]?.horizons?.[activeHorizon], latest: row.models?.[model]?.latest })),
+    [indices, model, activeHorizon]
+  );
+
+  return (
+    <section className="space-y-4" aria-label="Model backtest">
+      <div className="flex flex-wrap items-end justify-between gap-3">
+        <div>
+          <p className="text-[10px] font-bold uppercase tracking-[0.18em] text-[var(--io-gold)]">
+            Internal diagnostics · Model validation
+          </p>
+          <h2 className="mt-1 text-lg font-semibold text-[var(--io-ink)]">Model Backtest</h2>
+          <p className="mt-1 max-w-2xl text-sm text-[var(--io-muted)]">
+            Band calls replayed bar by bar over stored {frame} candles and scored against the forward return
+            (flat within ±{data?.flatPct ?? '—'}%). AGI Market Score is replayed from price only.
+          </p>
+        </div>
+        <div className="flex flex-wrap items-center gap-2">
+          <Toggle options={[['daily', 'Daily'], ['hourly', 'Hourly']]} value={frame} onChange={setFrame} />
+          <Button type="button" variant="outline" size="sm" onClick={capture} disabled={capturing}>
+            <Download className={`mr-2 h-3.5 w-3.5 ${capturing ? 'animate-pulse' : ''}`} />
+            Capture candles
+          </Button>
+          <Button type="button" variant="outline" size="sm" onClick={load} disabled={loading}>
+            <RefreshCw className={`mr-2 h-3.5 w-3.5 ${loading ? 'animate-spin' : ''}`} />
+            Refresh
+          </Button>
+        </div>
+      </div>
+
+      {error ? (
+        <Glass>
+          <p className="text-sm text-rose-300">{error}</p>
+        </Glass>
+      ) : null}
+      {notice ? <p className="text-xs text-[var(--io-muted)]">{notice}</p> : null}
+
+      <div className="flex flex-wrap items-center gap-2">
+        <Toggle options={Object.entries(MODEL_LABELS)} value={model} onChange={setModel} />
+        {horizons.length ? (
+          <Toggle options={horizons.map((h) => [h, `${h} bars`])} value={activeHorizon} onChange={setHorizon} />
+        ) : null}
+      </div>
+
+      <Glass>
+        <p className="text-[11px] font-semibold uppercase tracking-wide text-[var(--io-caption)]">
+          Per index · {MODEL_LABELS[model]}
+        </p>
+        <div className="mt-3 overflow-x-auto">
+          <table className="w-full min-w-[640px] text-left text-xs">
+            <thead className="text-[var(--io-muted)]">
+              <tr>
+                <th className="py-1.5 pr-3 font-medium">Index</th>
+                <th className="py-1.5 pr-3 font-medium">Calls</th>
+                <th className="py-1.5 pr-3 font-medium">Hit rate</th>
+                <th className="py-1.5 pr-3 font-medium">Directional</th>
+                <th className="py-1.5 pr-3 font-medium">ECE</th>
+                <th className="py-1.5 pr-3 font-medium">Brier</th>
+                <th className="py-1.5 font-medium">Latest call</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.length === 0 ? (
+                <tr>
+                  <td colSpan={7} className="py-3 text-[var(--io-muted)]">
+                    {loading ? 'Replaying…' : `No stored ${frame} candles yet — capture candles first.`}
+                  </td>
+                </tr>
+              ) : (
+                rows.map(({ row, stats, latest }) => (
+                  <tr
+                    key={row.key}
+                    onClick={() => setIndexKey(row.key)}
+                    className={`cursor-pointer border-t border-[var(--io-border)] ${row.key === selected?.key ? 'bg-[rgba(255,255,255,0.04)]' : ''}`}
+                  >
+                    <td className="py-2 pr-3">
+                      {row.label}
+                      <span className="ml-2 text-[10px] text-[var(--io-muted)]">{row.bars} bars · {row.provider || '—'}</span>
+                    </td>
+                    <td className="py-2 pr-3 tabular-nums">{stats?.calls ?? '—'}</td>
+                    <td className="py-2 pr-3 tabular-nums">{pct(stats?.hitRate)}</td>
+                    <td className="py-2 pr-3 tabular-nums">{pct(stats?.directionalHitRate)}</td>
+                    <td className="py-2 pr-3 tabular-nums">{num(stats?.calibration?.ece)}</td>
+                    <td className="py-2 pr-3 tabular-nums">{num(stats?.calibration?.brier)}</td>
+                    <td className="py-2">{latest ? BAND_LABELS[latest.band] : '—'}</td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+        {data?.missing?.length ? (
+          <p className="mt-3 text-[11px] text-[var(--io-muted)]">Not captured: {data.missing.join(', ')}</p>
+        ) : null}
+      </Glass>
+
+      {detail ? (
+        <div className="grid gap-3 lg:grid-cols-2">
+          <Glass>
+            <p className="text-[11px] font-semibold uppercase tracking-wide text-[var(--io-caption)]">
+              Confusion · {selected.label} · {activeHorizon} bars
+            </p>
+            <table className="mt-3 w-full text-left text-xs tabular-nums">
+              <thead className="text-[var(--io-muted)]">
+                <tr>
+                  <th className="py-1.5 pr-3 font-medium">Band</th>
+                  {(data.outcomes || []).map((o) => (
+                    <th key={o} className="py-1.5 pr-3 font-medium capitalize">{o}</th>
+                  ))}
+                  <th className="py-1.5 pr-3 font-medium">Hit</th>
+                  <th className="py-1.5 font-medium">Mean ret.</th>
+                </tr>
+              </thead>
+              <tbody>
+                {(data.bands || []).map((band) => (
+                  <tr key={band} className="border-t border-[var(--io-border)]">
+                    <td className="py-2 pr-3">{BAND_LABELS[band]}</td>
+                    {(data.outcomes || []).map((o) => (
+                      <td key={o} className="py-2 pr-3">{detail.confusion?.[band]?.[o] ?? 0}</td>
+                    ))}
+                    <td className="py-2 pr-3">{pct(detail.bands?.[band]?.hitRate)}</td>
+                    <td className="py-2">{num(detail.bands?.[band]?.meanReturnPct)}%</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </Glass>
+          <Glass>
+            <p className="text-[11px] font-semibold uppercase tracking-wide text-[var(--io-caption)]">
+              Calibration · score ÷ 100 vs observed P(up)
+            </p>
+            <ul className="mt-3 space-y-1.5 text-xs tabular-nums text-[var(--io-ink)]">
+              {(detail.calibration?.buckets || []).map((b) => (
+                <li key={b.from} className="flex items-center gap-3">
+                  <span className="w-14 text-[var(--io-muted)]">{b.from}–{b.to}</span>
+                  <span className="relative h-2 flex-1 rounded bg-[rgba(255,255,255,0.06)]">
+                    <span
+                      className="absolute inset-y-0 left-0 rounded bg-[var(--io-gold)] opacity-70"
+                      style={{ width: `${Math.round((b.observedUp ?? 0) * 100)}%` }}
+                    />
+                    <span
+                      className="absolute inset-y-[-2px] w-px bg-[var(--io-ink)]"
+                      style={{ left: `${Math.round((b.predicted ?? 0) * 100)}%` }}
+                    />
+                  </span>
+                  <span className="w-24 text-right">{pct(b.observedUp)} · n={b.n}</span>
+                </li>
+              ))}
+            </ul>
+            <p className="mt-3 text-[11px] text-[var(--io-muted)]">
+              Bar = observed share of positive returns; tick = predicted. ECE {num(detail.calibration?.ece)} · Brier{' '}
+              {num(detail.calibration?.brier)}
+            </p>
+          </Glass>
+        </div>
+      ) : null}
+    </section>
+  );
+}
@@ -0,0 +1,270 @@
+import { Fragment, useCallback, useEffect, useState } from 'react';
+import { Pause, Play, RefreshCw, Zap } from 'lucide-react';
+import {
+  getScheduledJobRuns,
+  listScheduledJobs,
+  pauseScheduledJob,
+  resumeScheduledJob,
+  runScheduledJob,
+} from '@/lib/jobsApi';
+import { Button } from '@/components/ui/button';
+
+const STATUS_TONE = {
+  succeeded: 'text-emerald-300',
+  skipped: 'text-[var(--io-muted)]',
+  deferred: 'text-amber-300',
+  failed: 'text-rose-300',
+  running: 'text-sky-300',
+};
+
+function ms(v) {
+  if (v == null || Number.isNaN(Number(v))) return '—';
+  const n = Number(v);
+  if (n >= 60_000) return `${(n / 60_000).toFixed(1)}m`;
+  if (n >= 1000) return `${(n / 1000).toFixed(1)}s`;
+  return `${Math.round(n)}ms`;
+}
+
+function istTime(iso) {
+  if (!iso) return '—';
+  return new Date(iso).toLocaleString('en-IN', {
+    timeZone: 'Asia/Kolkata',
+    day: '2-digit',
+    month: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hour12: false,
+  });
+}
+
+function Glass({ children, className = '' }) {
+  return (
+    <div
+      className={`rounded-2xl border border-[var(--io-border)] bg-[rgba(255,255,255,0.03)] backdrop-blur-sm p-4 ${className}`}
+    >
+      {children}
+    </div>
+  );
+}
+
+function stateOf(job) {
+  if (job.running) return { label: 'Running', tone: STATUS_TONE.running };
+  if (!job.enabled) return { label: 'Disabled', tone: 'text-[var(--io-muted)]' };
+  if (job.paused) return { label: 'Paused', tone: 'text-amber-300' };
+  return { label: 'Active', tone: 'text-emerald-300' };
+}
+
+function RunHistory({ runs }) {
+  if (!runs) return <p className="text-[var(--io-muted)]">Loading runs…</p>;
+  if (runs.length === 0) return <p className="text-[var(--io-muted)]">No recorded runs yet.</p>;
+  return (
+    <table className="w-full text-left text-[11px]">
+      <tbody>
+        {runs.map((run) => (
+          <tr key={run.id} className="border-t border-[var(--io-border)]">
+            <td className="py-1.5 pr-3 tabular-nums">{istTime(run.started_at)}</td>
+            <td className="py-1.5 pr-3">{run.trigger}{run.actor ? ` · ${run.actor}` : ''}</td>
+            <td className={`py-1.5 pr-3 ${STATUS_TONE[run.status] || ''}`}>{run.status}</td>
+            <td className="py-1.5 pr-3 tabular-nums">{ms(run.duration_ms)}</td>
+            <td className="py-1.5 font-mono text-[10px] text-[var(--io-muted)]">{run.error || run.holder}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+/**
+ * Every background job on one board — schedule, lease holder, last outcome,
+ * next run — with Run now / Pause / Resume. Admin only.
+ */
+export default function ScheduledJobsPanel() {
+  const [jobs, setJobs] = useState([]);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState('');
+  const [expanded, setExpanded] = useState('');
+  const [runs, setRuns] = useState(null);
+
+  const load = useCallback(async () => {
+    setError('');
+    try {
+      const body = await listScheduledJobs();
+      setJobs(body?.jobs || []);
+    } catch (err) {
+      setError(String(err?.message || 'Job board unavailable'));
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  const loadRuns = useCallback(async (id) => {
+    setRuns(null);
+    try {
+      const body = await getScheduledJobRuns(id);
+      setRuns(body?.runs || []);
+    } catch (err) {
+      setError(String(err?.message || 'Run history unavailable'));
+      setRuns([]);
+    }
+  }, []);
+
+  useEffect(() => {
+    load();
+    const t = window.setInterval(load, 30_000);
+    return () => window.clearInterval(t);
+  }, [load]);
+
+  const act = async (id, fn) => {
+    setBusy(id);
+    setError('');
+    try {
+      await fn(id);
+      await load();
+      if (expanded === id) await loadRuns(id);
+    } catch (err) {
+      setError(String(err?.message || 'Action failed'));
+    } finally {
+      setBusy('');
+    }
+  };
+
+  const toggle = (id) => {
+    if (expanded === id) {
+      setExpanded('');
+      return;
+    }
+    setExpanded(id);
+    loadRuns(id);
+  };
+
+  const failing = jobs.filter((j) => j.last_run?.status === 'failed').length;
+
+  return (
+    <section className="space-y-4" aria-label="Scheduled jobs">
+      <div className="flex flex-wrap items-end justify-between gap-3">
+        <div>
+          <p className="text-[10px] font-bold uppercase tracking-[0.18em] text-[var(--io-gold)]">
+            Operations · Scheduler
+          </p>
+          <h2 className="mt-1 text-lg font-semibold text-[var(--io-ink)]">Scheduled Jobs</h2>
+          <p className="mt-1 max-w-2xl text-sm text-[var(--io-muted)]">
+            {jobs.length} jobs · {jobs.filter((j) => j.running).length} running ·{' '}
+            {jobs.filter((j) => j.paused).length} paused · {failing} failing. Schedules are IST; one instance runs each slot.
+          </p>
+        </div>
+        <Button type="button" variant="outline" size="sm" onClick={load} disabled={loading}>
+          <RefreshCw className={`mr-2 h-3.5 w-3.5 ${loading ? 'animate-spin' : ''}`} />
+          Refresh
+        </Button>
+      </div>
+
+      {error ? (
+        <Glass>
+          <p className="text-sm text-rose-300">{error}</p>
+        </Glass>
+      ) : null}
+
+      <Glass>
+        <div className="overflow-x-auto">
+          <table className="w-full min-w-[860px] text-left text-xs">
+            <thead className="text-[var(--io-muted)]">
+              <tr>
+                <th className="py-1.5 pr-3 font-medium">Job</th>
+                <th className="py-1.5 pr-3 font-medium">Schedule</th>
+                <th className="py-1.5 pr-3 font-medium">State</th>
+                <th className="py-1.5 pr-3 font-medium">Last run</th>
+                <th className="py-1.5 pr-3 font-medium">Next run</th>
+                <th className="py-1.5 font-medium text-right">Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {jobs.length === 0 ? (
+                <tr>
+                  <td colSpan={6} className="py-3 text-[var(--io-muted)]">
+                    {loading ? 'Loading…' : 'No jobs registered on this server.'}
+                  </td>
+                </tr>
+              ) : (
+                jobs.map((job) => {
+                  const state = stateOf(job);
+                  const last = job.last_run;
+                  return (
+                    <Fragment key={job.id}>
+                      <tr className="border-t border-[var(--io-border)] align-top">
+                        <td className="py-2 pr-3">
+                          <button type="button" className="text-left hover:underline" onClick={() => toggle(job.id)}>
+                            <span className="font-medium text-[var(--io-ink)]">{job.label}</span>
+                            <span className="block font-mono text-[10px] text-[var(--io-muted)]">{job.id}</span>
+                          </button>
+                        </td>
+                        <td className="py-2 pr-3 font-mono text-[11px]">{job.schedule}</td>
+                        <td className={`py-2 pr-3 ${state.tone}`}>
+                          {state.label}
+                          {job.running?.holder ? (
+                            <span className="block font-mono text-[10px] text-[var(--io-muted)]">{job.running.holder}</span>
+                          ) : null}
+                        </td>
+                        <td className="py-2 pr-3">
+                          {last ? (
+                            <>
+                              <span className={STATUS_TONE[last.status] || ''}>{last.status}</span>
+                              <span className="text-[var(--io-muted)]"> · {istTime(last.started_at)} · {ms(last.duration_ms)}</span>
+                              {last.error ? (
+                                <span className="block max-w-xs truncate text-[10px] text-rose-300" title={last.error}>{last.error}</span>
+                              ) : null}
+                            </>
+                          ) : (
+                            <span className="text-[var(--io-muted)]">never</span>
+                          )}
+                        </td>
+                        <td className="py-2 pr-3 tabular-nums">
+                          {istTime(job.next_run_at)}
+                          {job.retry_at ? <span className="block text-[10px] text-amber-300">retry {istTime(job.retry_at)}</span> : null}
+                        </td>
+                        <td className="py-2 text-right whitespace-nowrap">
+                          <Button
+                            type="button"
+                            variant="outline"
+                            size="sm"
+                            className="mr-1.5"
+                            disabled={Boolean(busy) || Boolean(job.running)}
+                            onClick={() => act(job.id, runScheduledJob)}
+                          >
+                            <Zap className="mr-1 h-3.5 w-3.5" />
+                            Run now
+                          </Button>
+                          <Button
+                            type="button"
+                            variant="outline"
+                            size="sm"
+                            disabled={Boolean(busy)}
+                            onClick={() => act(job.id, job.paused ? resumeScheduledJob : pauseScheduledJob)}
+                          >
+                            {job.paused ? <Play className="mr-1 h-3.5 w-3.5" /> : <Pause className="mr-1 h-3.5 w-3.5" />}
+                            {job.paused ? 'Resume' : 'Pause'}
+                          </Button>
+                        </td>
+                      </tr>
+                      {expanded === job.id ? (
+                        <tr>
+                          <td colSpan={6} className="pb-3 pl-3">
+                            {job.description ? <p className="mb-2 text-[11px] text-[var(--io-muted)]">{job.description}</p> : null}
+                            {job.paused_by ? (
+                              <p className="mb-2 text-[11px] text-amber-300">Paused by {job.paused_by} · {istTime(job.paused_at)}</p>
+                            ) : null}
+                            <RunHistory runs={runs} />
+                          </td>
+                        </tr>
+                      ) : null}
+                    </Fragment>
+                  );
+                })
+              )}
+            </tbody>
+          </table>
+        </div>
+      </Glass>
+    </section>
+  );
+}
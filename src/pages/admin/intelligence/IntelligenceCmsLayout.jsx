@@ -1,3 +1,4 @@
+import { useEffect, useState } from 'react';
 import { NavLink, Outlet, Link, useNavigate } from 'react-router-dom';
 import {
   LayoutDashboard,
@@ -14,12 +15,17 @@ import {
   ExternalLink,
   LogOut,
   Network,
+  Table2,
+  Blocks,
+  ClipboardCheck,
 } from 'lucide-react';
 import { useAuth } from '@/contexts/AuthContext';
+import { fetchCmsModules } from '@/lib/intelligenceCmsApi';
 
 const MODULE_NAV = [
   { to: '/admin/intelligence', label: 'Dashboard', icon: LayoutDashboard, end: true },
   { to: '/admin/intelligence/entities', label: 'Entity Registry', icon: Network, enabled: true },
+  { to: '/admin/intelligence/reviews', label: 'Review Queue', icon: ClipboardCheck, enabled: true },
   { to: '/admin/intelligence/valuation-monitor', label: 'Valuation Monitor', icon: LineChart, enabled: true },
   { to: '/admin/intelligence/transactions', label: 'Recent Transactions', icon: ArrowLeftRight, enabled: true },
   { to: '/admin/intelligence/pe-firms', label: 'PE Firms', icon: Building2, enabled: false },
@@ -28,6 +34,7 @@ const MODULE_NAV = [
   { to: '/admin/intelligence/industries', label: 'Industries', icon: Factory, enabled: false },
   { to: '/admin/intelligence/people', label: 'People', icon: Users, enabled: false },
   { to: '/admin/intelligence/editors-desk', label: "Editor's Desk", icon: PenLine, enabled: false },
+  { to: '/admin/intelligence/modules', label: 'Module Builder', icon: Blocks, enabled: true },
   { to: '/admin/articles', label: 'Articles', icon: FileText, enabled: true, external: true },
   { to: '/admin/intelligence/ai-drafts', label: 'AI Drafts', icon: Sparkles, enabled: false },
 ];
@@ -35,6 +42,17 @@ const MODULE_NAV = [
 export default function IntelligenceCmsLayout() {
   const { user, logout } = useAuth();
   const navigate = useNavigate();
+  const [customNav, setCustomNav] = useState([]);
+
+  useEffect(() => {
+    fetchCmsModules()
+      .then(({ modules }) => setCustomNav(modules
+        .filter((m) => !m.builtin && m.enabled)
+        .map((m) => ({ to: `/admin/intelligence/${m.slug}`, label: m.label, icon: Table2, enabled: true }))))
+      .catch(() => setCustomNav([]));
+  }, []);
+
+  const nav = [...MODULE_NAV.slice(0, 5), ...customNav, ...MODULE_NAV.slice(5)];
 
   return (
     <div className="min-h-screen flex bg-[#f4f5f7]">
@@ -45,7 +63,7 @@ export default function IntelligenceCmsLayout() {
           <p className="text-xs text-white/60 mt-1 truncate">{user?.email}</p>
         </div>
         <nav className="flex-1 px-2 py-4 space-y-0.5 overflow-y-auto">
-          {MODULE_NAV.map(({ to, label, icon: Icon, end, enabled, external }) => {
+          {nav.map(({ to, label, icon: Icon, end, enabled, external }) => {
             if (external) {
               return (
                 <Link
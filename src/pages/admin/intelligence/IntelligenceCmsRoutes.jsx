@@ -3,6 +3,9 @@ import IntelligenceCmsLayout from './IntelligenceCmsLayout';
 import IntelligenceDashboard from './IntelligenceDashboard';
 import IntelligenceModulePage from './IntelligenceModulePage';
 import IntelligenceEntitiesAdmin from './IntelligenceEntitiesAdmin';
+import IntelligenceModuleBuilder from './IntelligenceModuleBuilder';
+import IntelligenceRecordPage from './IntelligenceRecordPage';
+import IntelligenceReviewQueue from './IntelligenceReviewQueue';
 
 export default function IntelligenceCmsRoutes() {
   return (
@@ -10,6 +13,9 @@ export default function IntelligenceCmsRoutes() {
       <Route element={<IntelligenceCmsLayout />}>
         <Route index element={<IntelligenceDashboard />} />
         <Route path="entities" element={<IntelligenceEntitiesAdmin />} />
+        <Route path="modules" element={<IntelligenceModuleBuilder />} />
+        <Route path="reviews" element={<IntelligenceReviewQueue />} />
+        <Route path="records/:recordId" element={<IntelligenceRecordPage />} />
         <Route path="valuation-monitor" element={<IntelligenceModulePage />} />
         <Route path=":moduleSlug" element={<IntelligenceModulePage />} />
         <Route path="*" element={<Navigate to="/admin/intelligence" replace />} />
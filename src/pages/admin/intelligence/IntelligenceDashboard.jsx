@@ -37,7 +37,7 @@ export default function IntelligenceDashboard() {
         <>
           <div className="grid grid-cols-2 lg:grid-cols-4 gap-4 mb-8">
             <Stat label="Drafts" value={stats.drafts} to="/admin/intelligence/valuation-monitor?status=draft" />
-            <Stat label="In review" value={stats.review} to="/admin/intelligence/valuation-monitor?status=review" />
+            <Stat label="In review" value={stats.review} to="/admin/intelligence/reviews" />
             <Stat label="Published today" value={stats.publishedToday} />
             <Stat label="Scheduled" value={stats.scheduled} />
           </div>
@@ -54,7 +54,9 @@ export default function IntelligenceDashboard() {
             <ul className="divide-y divide-slate-100">
               {stats.recentlyEdited.map((r) => (
                 <li key={r.id} className="py-3 flex justify-between gap-4 text-sm">
-                  <span className="font-medium truncate">{r.data?.company || r.data?.name || r.data?.title || r.id}</span>
+                  <Link to={`/admin/intelligence/records/${r.id}`} className="font-medium truncate hover:underline">
+                    {r.data?.company || r.data?.name || r.data?.title || r.data?.target || r.id}
+                  </Link>
                   <span className="text-slate-400 shrink-0">{r.module} · {r.status}</span>
                 </li>
               ))}
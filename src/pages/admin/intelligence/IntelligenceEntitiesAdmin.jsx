@@ -1,6 +1,13 @@
-import { useEffect, useState } from 'react';
+import { useCallback, useEffect, useState } from 'react';
 import { Link } from 'react-router-dom';
-import { fetchEntities, fetchPlatformStats, entityPublicPath } from '@/lib/intelligencePlatformApi';
+import {
+  dismissDuplicate,
+  entityPublicPath,
+  fetchDuplicateCandidates,
+  fetchEntities,
+  fetchPlatformStats,
+  mergeEntities,
+} from '@/lib/intelligencePlatformApi';
 
 const TYPE_FILTERS = [
   { value: '', label: 'All types' },
@@ -13,7 +20,139 @@ const TYPE_FILTERS = [
   { value: 'news', label: 'News' },
 ];
 
+function CandidateEntity({ entity, survivor, onChoose }) {
+  return (
+    <button
+      type="button"
+      onClick={onChoose}
+      className={`text-left border rounded-md p-3 w-full ${survivor ? 'border-[#0b3b60] bg-sky-50' : 'border-slate-200 hover:border-slate-400'}`}
+    >
+      <div className="flex items-center justify-between gap-2">
+        <span className="font-medium text-slate-900">{entity.name}</span>
+        <span className="text-[10px] uppercase tracking-wide text-slate-500">{survivor ? 'Keep' : 'Merge away'}</span>
+      </div>
+      <p className="text-xs text-slate-500 mt-1">
+        {entity.entity_type_label} · /{entity.slug} · {entity.relationship_count} relationships
+      </p>
+      {(entity.website || entity.hq) && (
+        <p className="text-xs text-slate-500 mt-1">{[entity.website, entity.hq].filter(Boolean).join(' · ')}</p>
+      )}
+      {entity.aliases.length > 0 && <p className="text-xs text-slate-500 mt-1">Aliases: {entity.aliases.join(', ')}</p>}
+      {entity.description && <p className="text-xs text-slate-600 mt-2 line-clamp-2">{entity.description}</p>}
+    </button>
+  );
+}
+
+function DuplicateCandidate({ candidate, onDone }) {
+  const [survivorId, setSurvivorId] = useState(candidate.suggested_survivor);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const survivor = candidate.entities.find((e) => e.id === survivorId);
+  const duplicate = candidate.entities.find((e) => e.id !== survivorId);
+
+  const run = async (action) => {
+    setBusy(true);
+    setError(null);
+    try {
+      onDone(await action());
+    } catch (e) {
+      setError(e.message);
+      setBusy(false);
+    }
+  };
+
+  return (
+    <li className="bg-white border border-slate-200 rounded-lg p-4">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+        <p className="text-sm font-semibold text-slate-900">Match score {Math.round(candidate.score * 100)}%</p>
+        <p className="text-xs text-slate-500">{candidate.reasons.join(' · ')}</p>
+      </div>
+      <div className="grid md:grid-cols-2 gap-3">
+        {candidate.entities.map((entity) => (
+          <CandidateEntity
+            key={entity.id}
+            entity={entity}
+            survivor={entity.id === survivorId}
+            onChoose={() => setSurvivorId(entity.id)}
+          />
+        ))}
+      </div>
+      {error && <p className="text-sm text-red-600 mt-3">{error}</p>}
+      <div className="flex flex-wrap gap-2 mt-4">
+        <button
+          type="button"
+          disabled={busy}
+          onClick={() => run(() => mergeEntities(survivor.slug, [duplicate.id]))}
+          className="bg-[#0b3b60] text-white text-sm rounded-md px-3 py-2 disabled:opacity-50"
+        >
+          Merge “{duplicate.name}” into “{survivor.name}”
+        </button>
+        <button
+          type="button"
+          disabled={busy}
+          onClick={() => run(() => dismissDuplicate(candidate.entities.map((e) => e.id)))}
+          className="border border-slate-300 text-sm rounded-md px-3 py-2 disabled:opacity-50"
+        >
+          Not duplicates
+        </button>
+      </div>
+    </li>
+  );
+}
+
+function DuplicateQueue() {
+  const [type, setType] = useState('');
+  const [data, setData] = useState(null);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  const load = useCallback(() => {
+    setError(null);
+    fetchDuplicateCandidates({ entity_type: type || undefined })
+      .then(setData)
+      .catch((e) => setError(e.message));
+  }, [type]);
+
+  useEffect(load, [load]);
+
+  const done = (result) => {
+    if (result?.survivor) {
+      const moved = result.relationships.moved + result.timeline.moved;
+      setNotice(`Merged into ${result.survivor.name} — ${moved} relationships and events re-pointed; /${result.redirects.map((r) => r.from).join(', /')} now redirect.`);
+    } else {
+      setNotice('Marked as distinct.');
+    }
+    load();
+  };
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center gap-3 mb-4">
+        <select
+          value={type}
+          onChange={(e) => setType(e.target.value)}
+          className="border border-slate-300 rounded-md px-3 py-2 text-sm"
+        >
+          {TYPE_FILTERS.map((f) => (
+            <option key={f.value} value={f.value}>{f.label}</option>
+          ))}
+        </select>
+        {data && <span className="text-sm text-slate-500">{data.total} candidate pairs</span>}
+      </div>
+      {notice && <p className="text-sm text-emerald-700 bg-emerald-50 border border-emerald-100 rounded-md px-3 py-2 mb-4">{notice}</p>}
+      {error && <p className="text-red-600 mb-4">{error}</p>}
+      {data && !data.candidates.length && <p className="text-sm text-slate-500">No likely duplicates.</p>}
+      <ul className="space-y-4">
+        {data?.candidates.map((candidate) => (
+          <DuplicateCandidate key={candidate.id} candidate={candidate} onDone={done} />
+        ))}
+      </ul>
+    </div>
+  );
+}
+
 export default function IntelligenceEntitiesAdmin() {
+  const [tab, setTab] = useState('registry');
   const [stats, setStats] = useState(null);
   const [type, setType] = useState('');
   const [q, setQ] = useState('');
@@ -60,63 +199,80 @@ export default function IntelligenceEntitiesAdmin() {
         </div>
       )}
 
-      <div className="flex flex-wrap gap-3 mb-6">
-        <input
-          type="search"
-          value={q}
-          onChange={(e) => setQ(e.target.value)}
-          placeholder="Search entities…"
-          className="border border-slate-300 rounded-md px-3 py-2 text-sm min-w-[220px]"
-        />
-        <select
-          value={type}
-          onChange={(e) => setType(e.target.value)}
-          className="border border-slate-300 rounded-md px-3 py-2 text-sm"
-        >
-          {TYPE_FILTERS.map((f) => (
-            <option key={f.value} value={f.value}>{f.label}</option>
-          ))}
-        </select>
+      <div className="flex gap-1 border-b border-slate-200 mb-6">
+        {[['registry', 'Registry'], ['duplicates', 'Duplicate review']].map(([value, label]) => (
+          <button
+            key={value}
+            type="button"
+            onClick={() => setTab(value)}
+            className={`px-4 py-2 text-sm -mb-px border-b-2 ${tab === value ? 'border-[#0b3b60] text-slate-900 font-medium' : 'border-transparent text-slate-500'}`}
+          >
+            {label}
+          </button>
+        ))}
       </div>
 
-      {error && <p className="text-red-600 mb-4">{error}</p>}
+      {tab === 'duplicates' ? <DuplicateQueue /> : (
+        <>
+          <div className="flex flex-wrap gap-3 mb-6">
+            <input
+              type="search"
+              value={q}
+              onChange={(e) => setQ(e.target.value)}
+              placeholder="Search entities…"
+              className="border border-slate-300 rounded-md px-3 py-2 text-sm min-w-[220px]"
+            />
+            <select
+              value={type}
+              onChange={(e) => setType(e.target.value)}
+              className="border border-slate-300 rounded-md px-3 py-2 text-sm"
+            >
+              {TYPE_FILTERS.map((f) => (
+                <option key={f.value} value={f.value}>{f.label}</option>
+              ))}
+            </select>
+          </div>
 
-      <div className="bg-white border border-slate-200 rounded-lg overflow-hidden">
-        <table className="w-full text-sm">
-          <thead className="bg-slate-50 text-left text-slate-500">
-            <tr>
-              <th className="px-4 py-3 font-medium">Name</th>
-              <th className="px-4 py-3 font-medium">Type</th>
-              <th className="px-4 py-3 font-medium">Status</th>
-              <th className="px-4 py-3 font-medium">Updated</th>
-              <th className="px-4 py-3 font-medium" />
-            </tr>
-          </thead>
-          <tbody className="divide-y divide-slate-100">
-            {entities.map((entity) => (
-              <tr key={entity.id} className="hover:bg-slate-50">
-                <td className="px-4 py-3 font-medium text-slate-900">{entity.name}</td>
-                <td className="px-4 py-3 text-slate-600">{entity.entity_type.replace(/_/g, ' ')}</td>
-                <td className="px-4 py-3">
-                  <span className="text-xs uppercase tracking-wide text-slate-500">{entity.status}</span>
-                </td>
-                <td className="px-4 py-3 text-slate-500">
-                  {entity.updated_at ? new Date(entity.updated_at).toLocaleDateString() : '—'}
-                </td>
-                <td className="px-4 py-3 text-right">
-                  <Link
-                    to={entityPublicPath(entity)}
-                    target="_blank"
-                    className="text-[#0b3b60] hover:underline"
-                  >
-                    View
-                  </Link>
-                </td>
-              </tr>
-            ))}
-          </tbody>
-        </table>
-      </div>
+          {error && <p className="text-red-600 mb-4">{error}</p>}
+
+          <div className="bg-white border border-slate-200 rounded-lg overflow-hidden">
+            <table className="w-full text-sm">
+              <thead className="bg-slate-50 text-left text-slate-500">
+                <tr>
+                  <th className="px-4 py-3 font-medium">Name</th>
+                  <th className="px-4 py-3 font-medium">Type</th>
+                  <th className="px-4 py-3 font-medium">Status</th>
+                  <th className="px-4 py-3 font-medium">Updated</th>
+                  <th className="px-4 py-3 font-medium" />
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-slate-100">
+                {entities.map((entity) => (
+                  <tr key={entity.id} className="hover:bg-slate-50">
+                    <td className="px-4 py-3 font-medium text-slate-900">{entity.name}</td>
+                    <td className="px-4 py-3 text-slate-600">{entity.entity_type.replace(/_/g, ' ')}</td>
+                    <td className="px-4 py-3">
+                      <span className="text-xs uppercase tracking-wide text-slate-500">{entity.status}</span>
+                    </td>
+                    <td className="px-4 py-3 text-slate-500">
+                      {entity.updated_at ? new Date(entity.updated_at).toLocaleDateString() : '—'}
+                    </td>
+                    <td className="px-4 py-3 text-right">
+                      <Link
+                        to={entityPublicPath(entity)}
+                        target="_blank"
+                        className="text-[#0b3b60] hover:underline"
+                      >
+                        View
+                      </Link>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
     </div>
   );
 }
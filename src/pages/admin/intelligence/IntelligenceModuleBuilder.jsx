@@ -0,0 +1,388 @@
+import { useCallback, useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { ArrowDown, ArrowUp, Plus, Trash2 } from 'lucide-react';
+import {
+  createCmsModule,
+  deleteCmsModule,
+  fetchCmsModules,
+  updateCmsModule,
+} from '@/lib/intelligenceCmsApi';
+
+/** Mirrors COLUMN_TYPES in server/services/intelligenceCms/schema.js. */
+const COLUMN_TYPES = [
+  { value: 'text', label: 'Text' },
+  { value: 'textarea', label: 'Long text' },
+  { value: 'number', label: 'Number' },
+  { value: 'currency', label: 'Currency' },
+  { value: 'multiple', label: 'Multiple (12.4x)' },
+  { value: 'percent', label: 'Percent' },
+  { value: 'date', label: 'Date' },
+  { value: 'enum', label: 'Choice' },
+  { value: 'reference', label: 'Entity reference' },
+];
+
+const REFERENCE_TYPES = [
+  { value: 'pe_firm', label: 'Firms' },
+  { value: 'fund', label: 'Funds' },
+  { value: 'company', label: 'Companies' },
+  { value: 'portfolio_company', label: 'Portfolio companies' },
+  { value: 'investor', label: 'Investors' },
+  { value: 'person', label: 'People' },
+  { value: 'industry', label: 'Industries' },
+  { value: 'transaction', label: 'Transactions' },
+];
+
+const AMOUNT_UNITS = [
+  { value: '', label: 'Units' },
+  { value: 'thousand', label: 'Thousands' },
+  { value: 'lakh', label: 'Lakh' },
+  { value: 'mn', label: 'Millions' },
+  { value: 'crore', label: 'Crore' },
+  { value: 'bn', label: 'Billions' },
+];
+const RANGE_TYPES = ['number', 'currency', 'multiple', 'percent', 'date'];
+
+const INPUT = 'border border-slate-200 rounded-md px-2 py-1.5 text-sm w-full';
+
+const emptyColumn = () => ({ key: '', label: '', type: 'text', required: false, grid: true });
+const emptyForm = () => ({ label: '', slug: '', description: '', publicPath: '', enabled: true, requireReview: false, columns: [emptyColumn()] });
+
+function toForm(mod) {
+  return {
+    label: mod.label,
+    slug: mod.slug,
+    description: mod.description || '',
+    publicPath: mod.publicPath || '',
+    enabled: mod.enabled !== false,
+    requireReview: Boolean(mod.requireReview),
+    columns: mod.columns.map((col) => ({
+      ...col,
+      options: Array.isArray(col.options) ? col.options.join(', ') : col.options,
+    })),
+  };
+}
+
+/** Only the settings that apply to each column's type are sent. */
+function toDefinition(form) {
+  return {
+    ...form,
+    columns: form.columns.map(({ key, label, type, required, grid, help, maxLength, pattern, min, max, currency, unit, options, entityTypes }) => ({
+      key: key.trim(),
+      label: label.trim() || key.trim(),
+      type,
+      required,
+      grid,
+      help,
+      ...(type === 'text' || type === 'textarea' ? { maxLength, pattern } : {}),
+      ...(RANGE_TYPES.includes(type) ? { min, max } : {}),
+      ...(type === 'currency' ? { currency, unit } : {}),
+      ...(type === 'enum' ? { options } : {}),
+      ...(type === 'reference' ? { entityTypes } : {}),
+    })),
+  };
+}
+
+function ColumnSettings({ column, onChange }) {
+  const set = (patch) => onChange({ ...column, ...patch });
+  const boundType = column.type === 'date' ? 'date' : 'number';
+
+  switch (column.type) {
+    case 'text':
+    case 'textarea':
+      return (
+        <div className="grid grid-cols-2 gap-2">
+          <input className={INPUT} type="number" min="1" placeholder="Max length" value={column.maxLength ?? ''} onChange={(e) => set({ maxLength: e.target.value })} />
+          <input className={INPUT} placeholder="Pattern (regex)" value={column.pattern ?? ''} onChange={(e) => set({ pattern: e.target.value })} />
+        </div>
+      );
+    case 'number':
+    case 'currency':
+    case 'multiple':
+    case 'percent':
+    case 'date':
+      return (
+        <div className="grid grid-cols-4 gap-2">
+          <input className={INPUT} type={boundType} placeholder="Min" value={column.min ?? ''} onChange={(e) => set({ min: e.target.value })} />
+          <input className={INPUT} type={boundType} placeholder="Max" value={column.max ?? ''} onChange={(e) => set({ max: e.target.value })} />
+          {column.type === 'currency' && (
+            <>
+              <input className={INPUT} maxLength={3} placeholder="USD" value={column.currency ?? ''} onChange={(e) => set({ currency: e.target.value.toUpperCase() })} />
+              <select className={INPUT} value={column.unit ?? ''} onChange={(e) => set({ unit: e.target.value || undefined })}>
+                {AMOUNT_UNITS.map(({ value, label }) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </>
+          )}
+        </div>
+      );
+    case 'enum':
+      return <input className={INPUT} placeholder="Options, comma separated" value={column.options ?? ''} onChange={(e) => set({ options: e.target.value })} />;
+    case 'reference':
+      return (
+        <div className="flex flex-wrap gap-x-3 gap-y-1">
+          {REFERENCE_TYPES.map(({ value, label }) => (
+            <label key={value} className="inline-flex items-center gap-1 text-xs text-slate-600">
+              <input
+                type="checkbox"
+                checked={(column.entityTypes || []).includes(value)}
+                onChange={(e) => set({
+                  entityTypes: e.target.checked
+                    ? [...(column.entityTypes || []), value]
+                    : (column.entityTypes || []).filter((t) => t !== value),
+                })}
+              />
+              {label}
+            </label>
+          ))}
+        </div>
+      );
+    default:
+      return null;
+  }
+}
+
+function ModuleForm({ initial, moduleId, onSaved, onCancel }) {
+  const [form, setForm] = useState(initial);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const set = (patch) => setForm((prev) => ({ ...prev, ...patch }));
+  const setColumn = (index, column) => set({ columns: form.columns.map((c, i) => (i === index ? column : c)) });
+  const moveColumn = (index, delta) => {
+    const columns = [...form.columns];
+    const [column] = columns.splice(index, 1);
+    columns.splice(index + delta, 0, column);
+    set({ columns });
+  };
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError(null);
+    try {
+      const definition = toDefinition(form);
+      const { module } = moduleId ? await updateCmsModule(moduleId, definition) : await createCmsModule(definition);
+      onSaved(module);
+    } catch (err) {
+      setError(err.message);
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={submit} className="bg-white border border-slate-200 rounded-lg p-5 space-y-4">
+      <div className="grid md:grid-cols-2 gap-3">
+        <label className="text-xs font-medium text-slate-600">
+          Label
+          <input className={`${INPUT} mt-1`} required value={form.label} onChange={(e) => set({ label: e.target.value })} />
+        </label>
+        <label className="text-xs font-medium text-slate-600">
+          Slug
+          <input
+            className={`${INPUT} mt-1`}
+            placeholder="Derived from the label"
+            value={form.slug}
+            disabled={Boolean(moduleId)}
+            onChange={(e) => set({ slug: e.target.value })}
+          />
+        </label>
+        <label className="text-xs font-medium text-slate-600 md:col-span-2">
+          Description
+          <input className={`${INPUT} mt-1`} value={form.description} onChange={(e) => set({ description: e.target.value })} />
+        </label>
+        <label className="text-xs font-medium text-slate-600">
+          Public path
+          <input className={`${INPUT} mt-1`} placeholder="/private-markets#section" value={form.publicPath} onChange={(e) => set({ publicPath: e.target.value })} />
+        </label>
+        <label className="inline-flex items-center gap-2 text-sm text-slate-700 self-end pb-2">
+          <input type="checkbox" checked={form.enabled} onChange={(e) => set({ enabled: e.target.checked })} />
+          Enabled
+        </label>
+        <label className="inline-flex items-center gap-2 text-sm text-slate-700 self-end pb-2" title="Records publish only when a second person approves them">
+          <input type="checkbox" checked={form.requireReview} onChange={(e) => set({ requireReview: e.target.checked })} />
+          Require review to publish
+        </label>
+      </div>
+
+      <div>
+        <h3 className="text-sm font-semibold text-slate-800 mb-2">Columns</h3>
+        <div className="space-y-2">
+          {form.columns.map((column, index) => (
+            <div key={index} className="border border-slate-200 rounded-md p-3 space-y-2">
+              <div className="grid grid-cols-12 gap-2 items-center">
+                <input
+                  className={`${INPUT} col-span-3 font-mono`}
+                  placeholder="key"
+                  value={column.key}
+                  onChange={(e) => setColumn(index, { ...column, key: e.target.value })}
+                />
+                <input
+                  className={`${INPUT} col-span-3`}
+                  placeholder="Label"
+                  value={column.label}
+                  onChange={(e) => setColumn(index, { ...column, label: e.target.value })}
+                />
+                <select className={`${INPUT} col-span-2`} value={column.type} onChange={(e) => setColumn(index, { ...column, type: e.target.value })}>
+                  {COLUMN_TYPES.map(({ value, label }) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+                <label className="col-span-1 inline-flex items-center gap-1 text-xs text-slate-600">
+                  <input type="checkbox" checked={column.required} onChange={(e) => setColumn(index, { ...column, required: e.target.checked })} />
+                  Required
+                </label>
+                <label className="col-span-1 inline-flex items-center gap-1 text-xs text-slate-600">
+                  <input type="checkbox" checked={column.grid !== false} onChange={(e) => setColumn(index, { ...column, grid: e.target.checked })} />
+                  In grid
+                </label>
+                <div className="col-span-2 flex justify-end gap-1 text-slate-400">
+                  <button type="button" disabled={index === 0} onClick={() => moveColumn(index, -1)} className="p-1 hover:text-slate-700 disabled:opacity-30">
+                    <ArrowUp size={15} />
+                  </button>
+                  <button type="button" disabled={index === form.columns.length - 1} onClick={() => moveColumn(index, 1)} className="p-1 hover:text-slate-700 disabled:opacity-30">
+                    <ArrowDown size={15} />
+                  </button>
+                  <button
+                    type="button"
+                    disabled={form.columns.length === 1}
+                    onClick={() => set({ columns: form.columns.filter((_, i) => i !== index) })}
+                    className="p-1 hover:text-red-600 disabled:opacity-30"
+                  >
+                    <Trash2 size={15} />
+                  </button>
+                </div>
+              </div>
+              <ColumnSettings column={column} onChange={(next) => setColumn(index, next)} />
+            </div>
+          ))}
+        </div>
+        <button
+          type="button"
+          onClick={() => set({ columns: [...form.columns, emptyColumn()] })}
+          className="mt-2 inline-flex items-center gap-1 text-sm text-[#0b3b60] hover:underline"
+        >
+          <Plus size={15} /> Add column
+        </button>
+      </div>
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+      <div className="flex gap-2">
+        <button type="submit" disabled={saving} className="px-4 py-2 bg-[#0b3b60] text-white text-sm font-medium rounded-md disabled:opacity-60">
+          {saving ? 'Saving…' : moduleId ? 'Save module' : 'Create module'}
+        </button>
+        <button type="button" onClick={onCancel} className="px-4 py-2 border text-sm rounded-md">Cancel</button>
+      </div>
+    </form>
+  );
+}
+
+export default function IntelligenceModuleBuilder() {
+  const [modules, setModules] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [editing, setEditing] = useState(null);
+  const [error, setError] = useState(null);
+
+  const reload = useCallback(async () => {
+    setLoading(true);
+    try {
+      setModules((await fetchCmsModules()).modules);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => { reload(); }, [reload]);
+
+  const handleDelete = async (mod) => {
+    if (!window.confirm(`Delete the "${mod.label}" module?`)) return;
+    setError(null);
+    try {
+      await deleteCmsModule(mod.id);
+      reload();
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+
+  return (
+    <div className="p-6 lg:p-8 space-y-6">
+      <div className="flex flex-wrap items-start justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-slate-900">Module builder</h1>
+          <p className="text-slate-500 mt-1">Define spreadsheet modules — typed columns, validation and a public path. Built-in modules are read-only.</p>
+        </div>
+        {!editing && (
+          <button
+            type="button"
+            onClick={() => setEditing({ id: null, form: emptyForm() })}
+            className="inline-flex items-center gap-1 px-4 py-2 bg-[#0b3b60] text-white text-sm font-medium rounded-md"
+          >
+            <Plus size={16} /> New module
+          </button>
+        )}
+      </div>
+
+      {editing && (
+        <ModuleForm
+          key={editing.id || 'new'}
+          initial={editing.form}
+          moduleId={editing.id}
+          onCancel={() => setEditing(null)}
+          onSaved={() => {
+            setEditing(null);
+            reload();
+          }}
+        />
+      )}
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      <div className="bg-white border border-slate-200 rounded-lg overflow-hidden">
+        <table className="w-full text-sm">
+          <thead className="bg-slate-50 text-left text-xs uppercase tracking-wide text-slate-500">
+            <tr>
+              <th className="px-4 py-2">Module</th>
+              <th className="px-4 py-2">Columns</th>
+              <th className="px-4 py-2">Public path</th>
+              <th className="px-4 py-2">Status</th>
+              <th className="px-4 py-2" />
+            </tr>
+          </thead>
+          <tbody>
+            {loading ? (
+              <tr><td colSpan={5} className="p-8 text-center text-slate-400">Loading…</td></tr>
+            ) : modules.map((mod) => (
+              <tr key={mod.id} className="border-t border-slate-100">
+                <td className="px-4 py-3">
+                  <Link to={`/admin/intelligence/${mod.slug}`} className="font-medium text-slate-900 hover:underline">{mod.label}</Link>
+                  <p className="text-xs text-slate-500 font-mono">{mod.id}</p>
+                </td>
+                <td className="px-4 py-3 text-slate-600">
+                  {mod.columns.map((col) => `${col.label}${col.required ? '*' : ''} (${col.type})`).join(', ')}
+                </td>
+                <td className="px-4 py-3 text-slate-500">{mod.publicPath || '—'}</td>
+                <td className="px-4 py-3 text-xs uppercase tracking-wide text-slate-500">
+                  {mod.builtin ? 'Built-in' : mod.enabled ? 'Enabled' : 'Disabled'}
+                  {mod.requireReview && <span className="block normal-case tracking-normal text-amber-700">Review required</span>}
+                </td>
+                <td className="px-4 py-3 whitespace-nowrap text-right">
+                  {!mod.builtin && (
+                    <div className="inline-flex gap-3">
+                      <button type="button" onClick={() => setEditing({ id: mod.id, form: toForm(mod) })} className="text-[#0b3b60] hover:underline">
+                        Edit
+                      </button>
+                      <button type="button" onClick={() => handleDelete(mod)} className="text-red-600 hover:underline">
+                        Delete
+                      </button>
+                    </div>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
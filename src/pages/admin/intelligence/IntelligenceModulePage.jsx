@@ -1,36 +1,26 @@
-import { useCallback, useEffect, useMemo, useState } from 'react';
+import { useCallback, useEffect, useState } from 'react';
 import { useLocation, useParams, useSearchParams } from 'react-router-dom';
-import { Download, Upload } from 'lucide-react';
+import { Download, FileCheck, Upload } from 'lucide-react';
 import {
   exportCmsModuleCsv,
+  fetchCmsModules,
   fetchCmsRecords,
   importCmsModuleCsv,
 } from '@/lib/intelligenceCmsApi';
 import { useAuth } from '@/contexts/AuthContext';
 import EditableCmsSpreadsheet from '@/components/admin/EditableCmsSpreadsheet';
 
-const SLUG_TO_MODULE = {
-  'valuation-monitor': 'valuation_monitor',
-  transactions: 'transactions',
-  'pe-firms': 'pe_firms',
-  'portfolio-companies': 'portfolio_companies',
-  funds: 'funds',
-  industries: 'industries',
-  people: 'people',
-  'editors-desk': 'editors_desk',
-};
-
-function resolveModuleId(moduleSlug, pathname) {
-  if (moduleSlug && SLUG_TO_MODULE[moduleSlug]) return SLUG_TO_MODULE[moduleSlug];
-  const tail = pathname.split('/').filter(Boolean).pop();
-  return SLUG_TO_MODULE[tail] || null;
+/** Module slug from the route — `valuation-monitor` has a fixed path without a param. */
+function routeSlug(moduleSlug, pathname) {
+  return moduleSlug || pathname.split('/').filter(Boolean).pop();
 }
 
 export default function IntelligenceModulePage() {
   const { moduleSlug } = useParams();
   const { pathname } = useLocation();
   const [searchParams, setSearchParams] = useSearchParams();
-  const moduleId = resolveModuleId(moduleSlug, pathname);
+  const slug = routeSlug(moduleSlug, pathname);
+  const [moduleId, setModuleId] = useState(undefined);
   const { user } = useAuth();
   const actor = user?.email || 'admin';
 
@@ -39,33 +29,74 @@ export default function IntelligenceModulePage() {
   const [loading, setLoading] = useState(true);
   const [q, setQ] = useState('');
   const [status, setStatus] = useState(searchParams.get('status') || '');
+  const [sort, setSort] = useState('');
+  const [importReport, setImportReport] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setModuleId(undefined);
+    fetchCmsModules()
+      .then(({ modules }) => {
+        if (!cancelled) setModuleId(modules.find((m) => m.slug === slug)?.id || null);
+      })
+      .catch(() => {
+        if (!cancelled) setModuleId(null);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [slug]);
 
   const reload = useCallback(async () => {
     if (!moduleId) return;
     setLoading(true);
     try {
-      const res = await fetchCmsRecords(moduleId, { status: status || undefined, q: q || undefined });
+      const res = await fetchCmsRecords(moduleId, { status: status || undefined, q: q || undefined, sort: sort || undefined });
       setModuleDef(res.module);
       setRecords(res.records);
     } finally {
       setLoading(false);
     }
-  }, [moduleId, status, q]);
+  }, [moduleId, status, q, sort]);
 
   useEffect(() => { reload(); }, [reload]);
 
-  const publicPreviewPath = useMemo(() => {
-    if (moduleId === 'valuation_monitor') return '/private-markets#valuation-monitor';
-    if (moduleId === 'transactions') return '/private-markets#recent-transactions';
-    return moduleDef?.publicPath || '/private-markets';
-  }, [moduleDef, moduleId]);
-
-  const handleImport = async (file) => {
+  /** A dry run reports row-level problems without importing; a real import lands every row or none. */
+  const handleImport = async (file, { dryRun = false } = {}) => {
     const csv = await file.text();
-    await importCmsModuleCsv(moduleId, csv, actor);
-    reload();
+    setImportReport(null);
+    try {
+      const result = await importCmsModuleCsv(moduleId, csv, actor, { dryRun });
+      if (dryRun) {
+        setImportReport({
+          ok: result.errors.length === 0,
+          message: `${result.valid} of ${result.rows} rows are valid${result.errors.length ? '' : ' — ready to import'}.`,
+          rows: result.errors,
+        });
+        return;
+      }
+      setImportReport({ ok: true, message: `Imported ${result.imported} rows.`, rows: [] });
+      reload();
+    } catch (e) {
+      setImportReport({ ok: false, message: e.message, rows: (e.errors || []).filter((err) => err.row) });
+    }
   };
 
+  const csvInput = (options) => (
+    <input
+      type="file"
+      accept=".csv,text/csv"
+      className="hidden"
+      onChange={(e) => {
+        if (e.target.files?.[0]) handleImport(e.target.files[0], options);
+        e.target.value = '';
+      }}
+    />
+  );
+
+  if (moduleId === undefined) {
+    return <div className="p-8 text-slate-400">Loading module…</div>;
+  }
   if (!moduleId) {
     return <div className="p-8 text-slate-500">Module not found.</div>;
   }
@@ -74,16 +105,18 @@ export default function IntelligenceModulePage() {
     <div className="p-6 lg:p-8">
       <div className="mb-6 flex flex-wrap items-start justify-between gap-4">
         <div>
-          <h1 className="text-2xl font-bold text-slate-900">{moduleDef?.label || moduleSlug}</h1>
+          <h1 className="text-2xl font-bold text-slate-900">{moduleDef?.label || slug}</h1>
           <p className="text-slate-500 mt-1">{moduleDef?.description}</p>
-          <a
-            href={publicPreviewPath}
-            target="_blank"
-            rel="noreferrer"
-            className="inline-block mt-2 text-sm font-medium text-[#0b3b60] hover:underline"
-          >
-            Preview on Private Markets page →
-          </a>
+          {moduleDef?.publicPath && (
+            <a
+              href={moduleDef.publicPath}
+              target="_blank"
+              rel="noreferrer"
+              className="inline-block mt-2 text-sm font-medium text-[#0b3b60] hover:underline"
+            >
+              Preview public page →
+            </a>
+          )}
         </div>
       </div>
 
@@ -108,15 +141,48 @@ export default function IntelligenceModulePage() {
             <option key={s} value={s}>{s}</option>
           ))}
         </select>
+        <select className="border border-slate-200 rounded-md px-3 py-2 text-sm" value={sort} onChange={(e) => setSort(e.target.value)}>
+          <option value="">Latest edits</option>
+          {(moduleDef?.columns || []).filter((col) => col.grid !== false).flatMap((col) => [
+            <option key={col.key} value={col.key}>{col.label} ↑</option>,
+            <option key={`-${col.key}`} value={`-${col.key}`}>{col.label} ↓</option>,
+          ])}
+        </select>
         <button type="button" onClick={() => exportCmsModuleCsv(moduleId)} className="inline-flex items-center gap-1 px-3 py-2 border text-sm rounded-md">
           <Download size={16} /> Export CSV
         </button>
+        <label className="inline-flex items-center gap-1 px-3 py-2 border text-sm rounded-md cursor-pointer">
+          <FileCheck size={16} /> Validate CSV
+          {csvInput({ dryRun: true })}
+        </label>
         <label className="inline-flex items-center gap-1 px-3 py-2 border text-sm rounded-md cursor-pointer">
           <Upload size={16} /> Import CSV
-          <input type="file" accept=".csv,text/csv" className="hidden" onChange={(e) => e.target.files?.[0] && handleImport(e.target.files[0])} />
+          {csvInput()}
         </label>
       </div>
 
+      {importReport && (
+        <div
+          className={`mb-4 rounded-md border px-4 py-3 text-sm ${
+            importReport.ok ? 'border-emerald-200 bg-emerald-50 text-emerald-800' : 'border-red-200 bg-red-50 text-red-700'
+          }`}
+        >
+          <div className="flex items-start justify-between gap-4">
+            <p className="font-medium">{importReport.message}</p>
+            <button type="button" onClick={() => setImportReport(null)} className="text-xs opacity-70 hover:underline">
+              Dismiss
+            </button>
+          </div>
+          {importReport.rows.length > 0 && (
+            <ul className="mt-2 max-h-40 overflow-y-auto space-y-0.5 text-xs">
+              {importReport.rows.map((err) => (
+                <li key={`${err.row}:${err.field}`}>Row {err.row} · {err.field}: {err.message}</li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
       <EditableCmsSpreadsheet
         moduleId={moduleId}
         moduleDef={moduleDef}
@@ -124,7 +190,7 @@ export default function IntelligenceModulePage() {
         loading={loading}
         onReload={reload}
         actor={actor}
-        autoPublish
+        autoPublish={!moduleDef?.requireReview}
       />
     </div>
   );
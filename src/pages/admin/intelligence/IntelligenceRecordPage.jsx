@@ -0,0 +1,338 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { ArrowLeft, RotateCcw } from 'lucide-react';
+import {
+  approveCmsRecord,
+  assignCmsReviewer,
+  commentOnCmsRecord,
+  fetchCmsModule,
+  fetchCmsRecord,
+  fetchCmsRecordDiff,
+  rejectCmsRecord,
+  rollbackCmsRecord,
+  submitCmsRecord,
+} from '@/lib/intelligenceCmsApi';
+import { formatCmsValue } from '@/lib/cmsValueFormat';
+import { useAuth } from '@/contexts/AuthContext';
+
+const STATUS_TONE = {
+  draft: 'bg-slate-100 text-slate-700',
+  review: 'bg-amber-100 text-amber-800',
+  published: 'bg-emerald-100 text-emerald-800',
+  archived: 'bg-slate-200 text-slate-500',
+};
+
+const EVENT_LABELS = {
+  submitted: 'submitted for review',
+  assigned: 'assigned the review',
+  comment: 'commented',
+  approved: 'approved and published',
+  rejected: 'rejected',
+  published: 'published',
+  rolled_back: 'rolled back',
+};
+
+const INPUT = 'border border-slate-200 rounded-md px-3 py-2 text-sm w-full';
+const BUTTON = 'px-3 py-2 text-sm font-medium rounded-md disabled:opacity-50';
+
+const sameActor = (a, b) => String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+const when = (iso) => (iso ? new Date(iso).toLocaleString() : '');
+
+function StatusBadge({ status }) {
+  return <span className={`px-2 py-0.5 rounded text-xs font-semibold uppercase tracking-wide ${STATUS_TONE[status] || STATUS_TONE.draft}`}>{status}</span>;
+}
+
+/** Submit / decide panel — what it offers depends on the record's status and who is signed in. */
+function ReviewPanel({ record, actor, run, busy }) {
+  const [reviewer, setReviewer] = useState('');
+  const [note, setNote] = useState('');
+  const review = record.review || {};
+  const canDecide = record.status === 'review'
+    && (review.reviewer ? sameActor(review.reviewer, actor) : !sameActor(review.requested_by, actor));
+
+  if (record.status === 'draft') {
+    return (
+      <div className="space-y-3">
+        {review.decision === 'rejected' && (
+          <div className="rounded-md border border-red-200 bg-red-50 px-3 py-2 text-sm text-red-700">
+            Rejected by {review.decided_by}: {review.reason}
+          </div>
+        )}
+        <input className={INPUT} placeholder="Reviewer email (optional)" value={reviewer} onChange={(e) => setReviewer(e.target.value)} />
+        <textarea className={INPUT} rows={2} placeholder="Note for the reviewer" value={note} onChange={(e) => setNote(e.target.value)} />
+        <button
+          type="button"
+          disabled={busy}
+          onClick={() => run(() => submitCmsRecord(record.id, { reviewer: reviewer || undefined, note: note || undefined }))}
+          className={`${BUTTON} bg-[#0b3b60] text-white`}
+        >
+          Submit for review
+        </button>
+      </div>
+    );
+  }
+
+  if (record.status !== 'review') {
+    return review.decision === 'approved' ? (
+      <p className="text-sm text-slate-600">
+        Approved by {review.decided_by} {when(review.decided_at)}{review.reason ? ` — ${review.reason}` : ''}
+      </p>
+    ) : (
+      <p className="text-sm text-slate-500">Not under review.</p>
+    );
+  }
+
+  return (
+    <div className="space-y-3">
+      <p className="text-sm text-slate-600">
+        Submitted by {review.requested_by || 'unknown'} {when(review.requested_at)} ·{' '}
+        {review.reviewer ? <>reviewer <strong>{review.reviewer}</strong></> : 'no reviewer assigned'}
+      </p>
+      <div className="flex gap-2">
+        <input className={INPUT} placeholder="Assign reviewer (email)" value={reviewer} onChange={(e) => setReviewer(e.target.value)} />
+        <button
+          type="button"
+          disabled={busy || !reviewer.trim()}
+          onClick={() => run(() => assignCmsReviewer(record.id, reviewer))}
+          className={`${BUTTON} border shrink-0`}
+        >
+          Assign
+        </button>
+      </div>
+      {canDecide ? (
+        <>
+          <textarea
+            className={INPUT}
+            rows={2}
+            placeholder="Approval note, or the reason for rejecting (required to reject)"
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+          />
+          <div className="flex gap-2">
+            <button type="button" disabled={busy} onClick={() => run(() => approveCmsRecord(record.id, note || undefined))} className={`${BUTTON} bg-emerald-700 text-white`}>
+              Approve &amp; publish
+            </button>
+            <button type="button" disabled={busy || !note.trim()} onClick={() => run(() => rejectCmsRecord(record.id, note))} className={`${BUTTON} bg-red-600 text-white`}>
+              Reject
+            </button>
+          </div>
+        </>
+      ) : (
+        <p className="text-xs text-slate-500">
+          {review.reviewer ? `Waiting on ${review.reviewer}.` : 'Another admin must review changes you submitted.'}
+        </p>
+      )}
+    </div>
+  );
+}
+
+function VersionDiff({ recordId, versions, fields }) {
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+  const [changedOnly, setChangedOnly] = useState(true);
+  const [diff, setDiff] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!versions.length) return;
+    setError(null);
+    fetchCmsRecordDiff(recordId, { from: from || undefined, to: to || undefined })
+      .then(setDiff)
+      .catch((e) => setError(e.message));
+  }, [recordId, versions, from, to]);
+
+  if (!versions.length) return <p className="text-sm text-slate-500">No saved versions yet.</p>;
+  const rows = (diff?.fields || []).filter((f) => !changedOnly || f.changed);
+  const show = (f, value) => (f.section === 'record' ? value || '—' : formatCmsValue(fields.get(f.key), value));
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center gap-2 mb-3 text-sm">
+        <select className="border border-slate-200 rounded-md px-2 py-1.5" value={from || diff?.from?.version || ''} onChange={(e) => setFrom(e.target.value)}>
+          {!diff?.from && <option value="">(empty)</option>}
+          {versions.map((v) => <option key={v.version} value={v.version}>v{v.version}</option>)}
+        </select>
+        <span className="text-slate-400">→</span>
+        <select className="border border-slate-200 rounded-md px-2 py-1.5" value={to || diff?.to?.version || ''} onChange={(e) => setTo(e.target.value)}>
+          {versions.map((v) => <option key={v.version} value={v.version}>v{v.version}</option>)}
+        </select>
+        <label className="inline-flex items-center gap-1 ml-2 text-slate-600">
+          <input type="checkbox" checked={changedOnly} onChange={(e) => setChangedOnly(e.target.checked)} /> Changed fields only
+        </label>
+        {diff && <span className="ml-auto text-xs text-slate-500">{diff.changed} field{diff.changed === 1 ? '' : 's'} changed</span>}
+      </div>
+      {error && <p className="text-sm text-red-600 mb-2">{error}</p>}
+      <table className="w-full text-sm border border-slate-200">
+        <thead className="bg-slate-50 text-left text-xs uppercase tracking-wide text-slate-500">
+          <tr>
+            <th className="px-3 py-2 w-1/5">Field</th>
+            <th className="px-3 py-2 w-2/5">{diff?.from ? `v${diff.from.version} · ${diff.from.changed_by}` : 'Before'}</th>
+            <th className="px-3 py-2 w-2/5">{diff?.to ? `v${diff.to.version} · ${diff.to.changed_by}` : 'After'}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.length === 0 ? (
+            <tr><td colSpan={3} className="px-3 py-6 text-center text-slate-400">No differences.</td></tr>
+          ) : rows.map((f) => (
+            <tr key={`${f.section}:${f.key}`} className="border-t border-slate-100 align-top">
+              <td className="px-3 py-2 font-medium text-slate-700">{f.label}</td>
+              <td className={`px-3 py-2 whitespace-pre-wrap ${f.changed ? 'bg-red-50 text-red-800' : 'text-slate-600'}`}>{show(f, f.before)}</td>
+              <td className={`px-3 py-2 whitespace-pre-wrap ${f.changed ? 'bg-emerald-50 text-emerald-800' : 'text-slate-600'}`}>{show(f, f.after)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export default function IntelligenceRecordPage() {
+  const { recordId } = useParams();
+  const { user } = useAuth();
+  const actor = user?.email || 'admin';
+
+  const [data, setData] = useState(null);
+  const [moduleDef, setModuleDef] = useState(null);
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [comment, setComment] = useState('');
+  const [commentField, setCommentField] = useState('');
+
+  const reload = useCallback(async () => {
+    try {
+      const res = await fetchCmsRecord(recordId);
+      setData(res);
+      setModuleDef((await fetchCmsModule(res.record.module)).module);
+    } catch (e) {
+      setError(e.message);
+    }
+  }, [recordId]);
+
+  useEffect(() => { reload(); }, [reload]);
+
+  const run = async (action) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await action();
+      await reload();
+      return true;
+    } catch (e) {
+      setError(e.message);
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const fields = useMemo(
+    () => new Map([...(moduleDef?.columns || []), ...(moduleDef?.detailFields || [])].map((f) => [f.key, f])),
+    [moduleDef]
+  );
+
+  if (!data) {
+    return <div className="p-8 text-slate-400">{error || 'Loading record…'}</div>;
+  }
+
+  const { record, versions, events } = data;
+  const title = moduleDef?.columns?.[0] ? formatCmsValue(moduleDef.columns[0], record.data?.[moduleDef.columns[0].key]) : record.id;
+
+  return (
+    <div className="p-6 lg:p-8 max-w-6xl space-y-6">
+      <div>
+        {moduleDef && (
+          <Link to={`/admin/intelligence/${moduleDef.slug}`} className="inline-flex items-center gap-1 text-sm text-slate-500 hover:text-slate-800">
+            <ArrowLeft size={14} /> {moduleDef.label}
+          </Link>
+        )}
+        <div className="flex flex-wrap items-center gap-3 mt-2">
+          <h1 className="text-2xl font-bold text-slate-900">{title}</h1>
+          <StatusBadge status={record.status} />
+          <span className="text-sm text-slate-500">v{record.version} · edited by {record.updated_by} {when(record.updated_at)}</span>
+        </div>
+      </div>
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      <div className="grid lg:grid-cols-3 gap-6">
+        <section className="lg:col-span-2 bg-white border border-slate-200 rounded-lg p-5">
+          <h2 className="font-semibold text-slate-900 mb-4">Changes</h2>
+          <VersionDiff recordId={record.id} versions={versions} fields={fields} />
+        </section>
+
+        <section className="bg-white border border-slate-200 rounded-lg p-5">
+          <h2 className="font-semibold text-slate-900 mb-4">Review</h2>
+          <ReviewPanel record={record} actor={actor} run={run} busy={busy} />
+        </section>
+      </div>
+
+      <div className="grid lg:grid-cols-3 gap-6">
+        <section className="lg:col-span-2 bg-white border border-slate-200 rounded-lg p-5">
+          <h2 className="font-semibold text-slate-900 mb-4">Discussion</h2>
+          <ol className="space-y-3 mb-4">
+            {events.length === 0 && <li className="text-sm text-slate-400">No review activity yet.</li>}
+            {events.map((event) => (
+              <li key={event.id} className="text-sm">
+                <p className="text-slate-500">
+                  <span className="font-medium text-slate-800">{event.actor}</span> {EVENT_LABELS[event.kind] || event.kind}
+                  {event.reviewer && <> · reviewer {event.reviewer}</>}
+                  {event.to_version && <> to v{event.to_version}</>}
+                  {event.field && <> on <em>{fields.get(event.field)?.label || event.field}</em></>}
+                  <span className="text-xs text-slate-400"> · v{event.version} · {when(event.created_at)}</span>
+                </p>
+                {event.body && (
+                  <p className={`mt-1 whitespace-pre-wrap ${event.kind === 'rejected' ? 'text-red-700' : 'text-slate-700'}`}>{event.body}</p>
+                )}
+              </li>
+            ))}
+          </ol>
+          <form
+            className="space-y-2"
+            onSubmit={async (e) => {
+              e.preventDefault();
+              const ok = await run(() => commentOnCmsRecord(record.id, { body: comment, field: commentField || undefined }));
+              if (ok) {
+                setComment('');
+                setCommentField('');
+              }
+            }}
+          >
+            <textarea className={INPUT} rows={2} placeholder="Add a comment" value={comment} onChange={(e) => setComment(e.target.value)} />
+            <div className="flex gap-2">
+              <select className="border border-slate-200 rounded-md px-2 py-1.5 text-sm" value={commentField} onChange={(e) => setCommentField(e.target.value)}>
+                <option value="">Whole record</option>
+                {[...fields.values()].map((f) => <option key={f.key} value={f.key}>{f.label}</option>)}
+              </select>
+              <button type="submit" disabled={busy || !comment.trim()} className={`${BUTTON} border`}>Comment</button>
+            </div>
+          </form>
+        </section>
+
+        <section className="bg-white border border-slate-200 rounded-lg p-5">
+          <h2 className="font-semibold text-slate-900 mb-4">Versions</h2>
+          <ul className="divide-y divide-slate-100">
+            {versions.map((v) => (
+              <li key={v.id} className="py-2 flex items-center justify-between gap-2 text-sm">
+                <div>
+                  <span className="font-medium">v{v.version}</span>{' '}
+                  <span className="text-xs text-slate-500">{v.snapshot.status} · {v.changed_by}</span>
+                  <p className="text-xs text-slate-400">{when(v.created_at)}</p>
+                </div>
+                {v.version !== record.version && record.status !== 'review' && (
+                  <button
+                    type="button"
+                    disabled={busy}
+                    onClick={() => window.confirm(`Restore the content of v${v.version} as a new version?`) && run(() => rollbackCmsRecord(record.id, v.version))}
+                    className="inline-flex items-center gap-1 text-xs text-[#0b3b60] hover:underline"
+                  >
+                    <RotateCcw size={12} /> Roll back
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        </section>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,84 @@
+import { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { fetchCmsModules, fetchCmsReviewQueue } from '@/lib/intelligenceCmsApi';
+import { formatCmsValue } from '@/lib/cmsValueFormat';
+
+const TABS = [
+  { value: 'me', label: 'Assigned to me' },
+  { value: '', label: 'All open reviews' },
+];
+
+export default function IntelligenceReviewQueue() {
+  const [tab, setTab] = useState('me');
+  const [records, setRecords] = useState([]);
+  const [modules, setModules] = useState(new Map());
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetchCmsModules()
+      .then(({ modules: list }) => setModules(new Map(list.map((m) => [m.id, m]))))
+      .catch(() => {});
+  }, []);
+
+  useEffect(() => {
+    setLoading(true);
+    setError(null);
+    fetchCmsReviewQueue({ reviewer: tab || undefined })
+      .then((res) => setRecords(res.records))
+      .catch((e) => setError(e.message))
+      .finally(() => setLoading(false));
+  }, [tab]);
+
+  const titleOf = (record) => {
+    const first = modules.get(record.module)?.columns?.[0];
+    return first ? formatCmsValue(first, record.data?.[first.key]) : record.id;
+  };
+
+  return (
+    <div className="p-6 lg:p-8 max-w-5xl">
+      <h1 className="text-2xl font-bold text-slate-900">Review queue</h1>
+      <p className="text-slate-500 mt-1 mb-6">Records submitted for review, oldest request first. Approving publishes; rejecting returns the record to its author with your reason.</p>
+
+      <div className="flex gap-2 mb-4">
+        {TABS.map(({ value, label }) => (
+          <button
+            key={value || 'all'}
+            type="button"
+            onClick={() => setTab(value)}
+            className={`px-3 py-1.5 rounded-md text-sm ${tab === value ? 'bg-[#0b3b60] text-white' : 'border text-slate-600'}`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      {error && <p className="text-sm text-red-600 mb-4">{error}</p>}
+
+      <div className="bg-white border border-slate-200 rounded-lg">
+        {loading ? (
+          <p className="p-8 text-center text-slate-400">Loading…</p>
+        ) : records.length === 0 ? (
+          <p className="p-8 text-center text-slate-400">Nothing waiting for review.</p>
+        ) : (
+          <ul className="divide-y divide-slate-100">
+            {records.map((record) => (
+              <li key={record.id} className="px-5 py-3 flex items-center justify-between gap-4 text-sm">
+                <div className="min-w-0">
+                  <Link to={`/admin/intelligence/records/${record.id}`} className="font-medium text-slate-900 hover:underline">
+                    {titleOf(record)}
+                  </Link>
+                  <p className="text-xs text-slate-500 mt-0.5">
+                    {modules.get(record.module)?.label || record.module} · submitted by {record.review?.requested_by || 'unknown'}
+                    {record.review?.requested_at && ` · ${new Date(record.review.requested_at).toLocaleString()}`}
+                  </p>
+                </div>
+                <span className="shrink-0 text-xs text-slate-500">{record.review?.reviewer || 'Unassigned'}</span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
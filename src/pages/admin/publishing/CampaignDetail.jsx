@@ -0,0 +1,152 @@
+import { useCallback, useEffect, useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import {
+  cancelNewsletterCampaign,
+  decideNewsletterAbTest,
+  getNewsletterCampaign,
+  pauseNewsletterCampaign,
+  resumeNewsletterCampaign,
+} from '@/lib/publishingApi';
+import { Button } from '@/components/ui/button';
+
+const istTime = (value) =>
+  value ? new Date(value).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata', dateStyle: 'medium', timeStyle: 'short' }) : '—';
+
+export default function CampaignDetail() {
+  const { id } = useParams();
+  const [data, setData] = useState(null);
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const load = useCallback(() => {
+    getNewsletterCampaign(id)
+      .then(setData)
+      .catch((err) => setError(err.message));
+  }, [id]);
+
+  useEffect(load, [load]);
+
+  const act = (fn) => async () => {
+    setBusy(true);
+    setError('');
+    try {
+      await fn(id);
+      load();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (!data) return <p className={`p-6 ${error ? 'text-red-600' : 'text-slate-500'}`}>{error || 'Loading campaign…'}</p>;
+
+  const { campaign, queue, variants, job } = data;
+  const ab = campaign.ab_test;
+  const winner = ab?.winner;
+
+  return (
+    <div className="p-6 space-y-8 max-w-5xl">
+      <div className="flex flex-wrap items-end justify-between gap-4">
+        <div>
+          <Link to="/admin/publishing/campaigns" className="text-xs text-slate-500 hover:underline">← Campaign history</Link>
+          <h1 className="text-2xl font-bold mt-1">{campaign.name}</h1>
+          <p className="text-sm text-slate-500 mt-1">
+            {campaign.status} · {campaign.segment} · {campaign.provider}{campaign.dry_run ? ' (dry run)' : ''}
+          </p>
+        </div>
+        <div className="flex gap-2">
+          {campaign.status === 'scheduled' && (
+            <Button variant="outline" disabled={busy} onClick={act(cancelNewsletterCampaign)}>Cancel</Button>
+          )}
+          {campaign.status === 'sending' && (
+            <Button variant="outline" disabled={busy} onClick={act(pauseNewsletterCampaign)}>Pause</Button>
+          )}
+          {campaign.status === 'paused' && (
+            <Button variant="outline" disabled={busy} onClick={act(resumeNewsletterCampaign)}>Resume</Button>
+          )}
+          {ab?.status === 'testing' && campaign.status !== 'paused' && (
+            <Button disabled={busy} onClick={act(decideNewsletterAbTest)}>Pick winner now</Button>
+          )}
+        </div>
+      </div>
+
+      {error && <p className="text-sm text-red-600 bg-red-50 border border-red-100 rounded-lg px-3 py-2">{error}</p>}
+
+      <div className="grid sm:grid-cols-2 lg:grid-cols-4 gap-4">
+        {[
+          ['Recipients', campaign.stats?.recipients ?? 0],
+          ['Sent', queue.sent],
+          ['Failed', queue.failed],
+          ['Waiting', queue.queued + queue.sending + queue.paused],
+        ].map(([label, value]) => (
+          <div key={label} className="bg-white border rounded-xl p-4">
+            <p className="text-xs uppercase text-slate-400">{label}</p>
+            <p className="text-2xl font-semibold mt-2">{value}</p>
+          </div>
+        ))}
+      </div>
+
+      <section className="bg-white border rounded-xl p-4 text-sm space-y-2">
+        <h2 className="font-semibold mb-1">Schedule</h2>
+        <p className="flex justify-between border-t pt-2"><span>Subject</span><span className="font-medium">{campaign.subject}</span></p>
+        <p className="flex justify-between border-t pt-2"><span>Scheduled (IST)</span><span>{istTime(campaign.scheduled_at)}</span></p>
+        {campaign.schedule?.rolled && (
+          <p className="flex justify-between border-t pt-2 text-slate-500">
+            <span>Requested (IST)</span><span>{istTime(campaign.schedule.requested_at)} — moved to the next trading day</span>
+          </p>
+        )}
+        <p className="flex justify-between border-t pt-2"><span>Sent (IST)</span><span>{istTime(campaign.sent_at)}</span></p>
+        {campaign.targeting && (
+          <p className="flex justify-between border-t pt-2">
+            <span>Targeting</span>
+            <span className="text-slate-500">
+              matched {campaign.targeting.matched} · excluded {campaign.targeting.excluded} · capped {campaign.targeting.capped}
+            </span>
+          </p>
+        )}
+      </section>
+
+      {ab && (
+        <section className="bg-white border rounded-xl p-4">
+          <h2 className="font-semibold mb-1">Subject A/B test</h2>
+          <p className="text-xs text-slate-400 mb-3">
+            {ab.sample_pct}% sample · winner by unique open rate after {ab.window_hours}h ·{' '}
+            {ab.status === 'testing' ? `decides ${istTime(ab.decide_at)} IST` : ab.status}
+          </p>
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs uppercase text-slate-400">
+                <th className="py-2">Variant</th>
+                <th>Subject</th>
+                <th className="text-right">Sent</th>
+                <th className="text-right">Opens</th>
+                <th className="text-right">Open rate</th>
+                <th className="text-right">Click rate</th>
+              </tr>
+            </thead>
+            <tbody>
+              {variants.map((v) => (
+                <tr key={v.id} className={`border-t ${winner === v.id ? 'bg-emerald-50' : ''}`}>
+                  <td className="py-2 font-medium">{v.id}{winner === v.id ? ' ★' : ''}</td>
+                  <td>{v.subject}</td>
+                  <td className="text-right">{v.sent}</td>
+                  <td className="text-right">{v.opens}</td>
+                  <td className="text-right">{v.open_rate}%</td>
+                  <td className="text-right">{v.click_rate}%</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </section>
+      )}
+
+      {job && (
+        <section className="bg-white border rounded-xl p-4 text-sm">
+          <h2 className="font-semibold mb-2">Distribution job</h2>
+          <p className="text-slate-500">{job.title} · {job.status} · opens {job.analytics?.opens ?? 0} · clicks {job.analytics?.clicks ?? 0}</p>
+        </section>
+      )}
+    </div>
+  );
+}
@@ -1,4 +1,5 @@
 import { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
 import { listNewsletterCampaigns } from '@/lib/publishingApi';
 
 export default function CampaignHistory() {
@@ -22,10 +23,19 @@ export default function CampaignHistory() {
         {campaigns.map((c) => (
           <div key={c.id} className="p-4 flex flex-wrap justify-between gap-3">
             <div>
-              <p className="font-medium">{c.name}</p>
-              <p className="text-xs text-slate-500 mt-1">{c.status} · {c.segment} · sent {c.stats?.sent ?? 0}</p>
+              <Link to={`/admin/publishing/campaigns/${c.id}`} className="font-medium hover:underline">{c.name}</Link>
+              <p className="text-xs text-slate-500 mt-1">
+                {c.status} · {c.segment} · sent {c.stats?.sent ?? 0}
+                {c.ab_test ? ` · A/B ${c.ab_test.winner ? `won by ${c.ab_test.winner}` : c.ab_test.status}` : ''}
+              </p>
             </div>
-            <p className="text-xs text-slate-400">{c.sent_at ? new Date(c.sent_at).toLocaleString() : '—'}</p>
+            <p className="text-xs text-slate-400">
+              {c.sent_at
+                ? new Date(c.sent_at).toLocaleString()
+                : c.scheduled_at
+                  ? `Scheduled ${new Date(c.scheduled_at).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' })} IST`
+                  : '—'}
+            </p>
           </div>
         ))}
         {!campaigns.length && <p className="p-4 text-sm text-slate-500">No campaigns yet.</p>}
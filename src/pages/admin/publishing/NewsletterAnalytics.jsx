@@ -65,6 +65,23 @@ export default function NewsletterAnalytics() {
           ))}
         </ul>
       </section>
+
+      <section className="bg-white border rounded-xl p-4">
+        <h2 className="font-semibold mb-1">Clicks by link</h2>
+        <p className="text-xs text-slate-400 mb-3">Unique clicks per recipient, per article send.</p>
+        <ul className="space-y-2 text-sm">
+          {(data.link_clicks || []).map((l) => (
+            <li key={`${l.job_id}:${l.url}`} className="flex justify-between border-t pt-2 gap-3">
+              <span className="min-w-0">
+                <span className="block truncate">{l.url}</span>
+                <span className="block text-xs text-slate-400 truncate">{l.title}</span>
+              </span>
+              <span className="font-medium shrink-0">{l.clicks}</span>
+            </li>
+          ))}
+          {!data.link_clicks?.length && <li className="text-slate-500">No tracked clicks yet.</li>}
+        </ul>
+      </section>
     </div>
   );
 }
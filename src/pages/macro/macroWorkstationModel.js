@@ -227,7 +227,7 @@ export function buildCentralBanks(briefing) {
       currentRate: fed?.value != null ? `${fed.value}%` : '—',
       direction: fed?.direction || 'Data-dependent',
       marketPricing: us10y ? `US 10Y ${us10y.value}%` : 'Watch UST curve',
-      nextMeeting: 'See economic calendar',
+      nextMeeting: asList(briefing?.snapshot?.calendar).find((c) => c.key === 'fomc')?.date || 'See economic calendar',
       aiOpinion:
         briefing?.chiefEconomistBrief?.evidence?.interestRates?.evidence ||
         'Global rates remain a key EM liquidity and valuation transmission channel.',
@@ -240,7 +240,7 @@ export function buildCentralBanks(briefing) {
       currentRate: 'Data-dependent stance',
       direction: rbi?.whatChanged || 'Growth–inflation trade-off',
       marketPricing: 'Domestic financial conditions',
-      nextMeeting: asList(briefing?.snapshot?.calendar).find((c) => /rbi/i.test(c.event))?.date || 'Upcoming',
+      nextMeeting: asList(briefing?.snapshot?.calendar).find((c) => c.key === 'rbi_mpc' || /rbi/i.test(c.event))?.date || 'Upcoming',
       aiOpinion: rbi?.whyItMatters || 'RBI anchors credit, duration and INR stability for India portfolios.',
       affected: rbi?.whoAffected,
       history: [],
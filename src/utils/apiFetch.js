@@ -1,5 +1,6 @@
 // src/utils/apiFetch.js
 import { API_ORIGIN } from '../config';
+import { authHeaders } from '../lib/apiAuth';
 
 export default async function apiFetch(input, opts = {}) {
   // if input is a path starting with /api -> convert to full URL using API_ORIGIN if available
@@ -7,5 +8,5 @@ export default async function apiFetch(input, opts = {}) {
   if (typeof input === 'string' && input.startsWith('/api')) {
     if (API_ORIGIN) url = `${API_ORIGIN.replace(/\/$/, '')}${input}`;
   }
-  return fetch(url, opts);
+  return fetch(url, { ...opts, headers: { ...(await authHeaders()), ...(opts.headers || {}) } });
 }
@@ -0,0 +1,169 @@
+-- Storage adapter — document table behind STORAGE_BACKEND=supabase
+-- (server/storage). One row per document; `collection` names match
+-- server/storage/collections.js and the partial indexes below mirror the
+-- declared index / unique fields there.
+
+create table if not exists public.app_documents (
+  collection text not null,
+  id text not null,
+  doc jsonb not null,
+  rev bigint not null default 1,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  primary key (collection, id)
+);
+
+-- Every write bumps rev; update() compares it to detect concurrent writers.
+create or replace function public.app_documents_bump_rev()
+returns trigger
+language plpgsql
+as $$
+begin
+  new.rev := old.rev + 1;
+  new.updated_at := now();
+  return new;
+end;
+$$;
+
+drop trigger if exists app_documents_bump_rev on public.app_documents;
+create trigger app_documents_bump_rev
+  before update on public.app_documents
+  for each row execute function public.app_documents_bump_rev();
+
+-- Applies a transaction's buffered writes atomically. A put carrying `rev`
+-- only succeeds against that revision; otherwise the whole batch rolls back
+-- with serialization_failure and the server re-runs the transaction.
+create or replace function public.app_documents_apply(ops jsonb)
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  op jsonb;
+  applied integer := 0;
+  affected integer;
+begin
+  for op in select value from jsonb_array_elements(ops) loop
+    if op->>'op' = 'put' and op ? 'rev' then
+      update app_documents
+        set doc = op->'doc'
+        where collection = op->>'collection' and id = op->>'id' and rev = (op->>'rev')::bigint;
+      get diagnostics affected = row_count;
+      if affected = 0 then
+        raise exception 'app_documents_apply: % / % changed concurrently', op->>'collection', op->>'id'
+          using errcode = '40001';
+      end if;
+    elsif op->>'op' = 'put' then
+      insert into app_documents (collection, id, doc)
+        values (op->>'collection', op->>'id', op->'doc')
+        on conflict (collection, id) do update set doc = excluded.doc;
+    elsif op->>'op' = 'remove' then
+      delete from app_documents where collection = op->>'collection' and id = op->>'id';
+    elsif op->>'op' = 'clear' then
+      delete from app_documents where collection = op->>'collection';
+    else
+      raise exception 'app_documents_apply: unknown op %', op->>'op';
+    end if;
+    applied := applied + 1;
+  end loop;
+  return applied;
+end;
+$$;
+
+revoke all on function public.app_documents_apply(jsonb) from public, anon, authenticated;
+
+create index if not exists app_documents_newsletter_subscribers__status_idx
+  on public.app_documents ((doc->>'status')) where collection = 'newsletter_subscribers';
+
+create index if not exists app_documents_newsletter_subscribers__source_idx
+  on public.app_documents ((doc->>'source')) where collection = 'newsletter_subscribers';
+
+create index if not exists app_documents_newsletter_subscribers__created_at_idx
+  on public.app_documents ((doc->>'created_at')) where collection = 'newsletter_subscribers';
+
+create unique index if not exists app_documents_newsletter_subscribers__email_key
+  on public.app_documents ((doc->>'email')) where collection = 'newsletter_subscribers';
+
+create unique index if not exists app_documents_newsletter_subscribers__unsubscribe_token_key
+  on public.app_documents ((doc->>'unsubscribe_token')) where collection = 'newsletter_subscribers';
+
+create index if not exists app_documents_newsletter_imports__created_at_idx
+  on public.app_documents ((doc->>'created_at')) where collection = 'newsletter_imports';
+
+create index if not exists app_documents_newsletter_jobs__status_idx
+  on public.app_documents ((doc->>'status')) where collection = 'newsletter_jobs';
+
+create index if not exists app_documents_newsletter_jobs__article_id_idx
+  on public.app_documents ((doc->>'article_id')) where collection = 'newsletter_jobs';
+
+create index if not exists app_documents_newsletter_jobs__created_at_idx
+  on public.app_documents ((doc->>'created_at')) where collection = 'newsletter_jobs';
+
+create index if not exists app_documents_newsletter_events__event_type_idx
+  on public.app_documents ((doc->>'event_type')) where collection = 'newsletter_events';
+
+create index if not exists app_documents_newsletter_events__job_id_idx
+  on public.app_documents ((doc->>'job_id')) where collection = 'newsletter_events';
+
+create index if not exists app_documents_newsletter_events__subscriber_id_idx
+  on public.app_documents ((doc->>'subscriber_id')) where collection = 'newsletter_events';
+
+create index if not exists app_documents_newsletter_events__created_at_idx
+  on public.app_documents ((doc->>'created_at')) where collection = 'newsletter_events';
+
+create index if not exists app_documents_newsletter_campaigns__status_idx
+  on public.app_documents ((doc->>'status')) where collection = 'newsletter_campaigns';
+
+create index if not exists app_documents_newsletter_campaigns__created_at_idx
+  on public.app_documents ((doc->>'created_at')) where collection = 'newsletter_campaigns';
+
+create index if not exists app_documents_cms_records__module_idx
+  on public.app_documents ((doc->>'module')) where collection = 'cms_records';
+
+create index if not exists app_documents_cms_records__status_idx
+  on public.app_documents ((doc->>'status')) where collection = 'cms_records';
+
+create index if not exists app_documents_cms_records__updated_at_idx
+  on public.app_documents ((doc->>'updated_at')) where collection = 'cms_records';
+
+create index if not exists app_documents_cms_records__published_at_idx
+  on public.app_documents ((doc->>'published_at')) where collection = 'cms_records';
+
+create index if not exists app_documents_cms_record_versions__record_id_idx
+  on public.app_documents ((doc->>'record_id')) where collection = 'cms_record_versions';
+
+create index if not exists app_documents_cms_record_versions__version_idx
+  on public.app_documents ((doc->>'version')) where collection = 'cms_record_versions';
+
+create index if not exists app_documents_platform_entities__entity_type_idx
+  on public.app_documents ((doc->>'entity_type')) where collection = 'platform_entities';
+
+create index if not exists app_documents_platform_entities__status_idx
+  on public.app_documents ((doc->>'status')) where collection = 'platform_entities';
+
+create index if not exists app_documents_platform_entities__name_idx
+  on public.app_documents ((doc->>'name')) where collection = 'platform_entities';
+
+create unique index if not exists app_documents_platform_entities__slug_key
+  on public.app_documents ((doc->>'slug')) where collection = 'platform_entities';
+
+create index if not exists app_documents_platform_relationships__from_entity_id_idx
+  on public.app_documents ((doc->>'from_entity_id')) where collection = 'platform_relationships';
+
+create index if not exists app_documents_platform_relationships__to_entity_id_idx
+  on public.app_documents ((doc->>'to_entity_id')) where collection = 'platform_relationships';
+
+create index if not exists app_documents_platform_relationships__relation_type_idx
+  on public.app_documents ((doc->>'relation_type')) where collection = 'platform_relationships';
+
+create index if not exists app_documents_platform_timeline__entity_id_idx
+  on public.app_documents ((doc->>'entity_id')) where collection = 'platform_timeline';
+
+create index if not exists app_documents_platform_timeline__occurred_at_idx
+  on public.app_documents ((doc->>'occurred_at')) where collection = 'platform_timeline';
+
+-- Server-only: the service role bypasses RLS; no public policies.
+alter table public.app_documents enable row level security;
+
+comment on table public.app_documents is 'Storage adapter documents (newsletter, Intelligence CMS, Intelligence Platform) — see server/storage';
@@ -0,0 +1,20 @@
+-- Newsletter send queue (server/services/publishing/sendQueue.js) — the
+-- `newsletter_queue` collection on app_documents, plus the suppression columns
+-- provider webhooks set on subscribers (hard bounce / spam complaint).
+
+create index if not exists app_documents_newsletter_queue__status_idx
+  on public.app_documents ((doc->>'status')) where collection = 'newsletter_queue';
+
+create index if not exists app_documents_newsletter_queue__campaign_id_idx
+  on public.app_documents ((doc->>'campaign_id')) where collection = 'newsletter_queue';
+
+create index if not exists app_documents_newsletter_queue__next_attempt_at_idx
+  on public.app_documents ((doc->>'next_attempt_at')) where collection = 'newsletter_queue';
+
+create index if not exists app_documents_newsletter_queue__provider_message_id_idx
+  on public.app_documents ((doc->>'provider_message_id')) where collection = 'newsletter_queue';
+
+ALTER TABLE subscribers ADD COLUMN IF NOT EXISTS suppressed_at timestamptz;
+ALTER TABLE subscribers ADD COLUMN IF NOT EXISTS suppression_reason text;
+
+COMMENT ON COLUMN subscribers.suppressed_at IS 'Set when a provider reports a hard bounce or complaint; status becomes bounced / complained';
@@ -0,0 +1,9 @@
+-- Saved newsletter segments (server/services/publishing/segments.js) — the
+-- `newsletter_segments` collection on app_documents. Names are unique so
+-- campaigns and admins can refer to a segment by name.
+
+create index if not exists app_documents_newsletter_segments__created_at_idx
+  on public.app_documents ((doc->>'created_at')) where collection = 'newsletter_segments';
+
+create unique index if not exists app_documents_newsletter_segments__name_key
+  on public.app_documents ((doc->>'name')) where collection = 'newsletter_segments';
@@ -0,0 +1,10 @@
+-- Scheduled and A/B-tested newsletter campaigns (server/services/publishing/campaigns.js).
+-- The scheduler looks up due campaigns by scheduled_at; the reporting mirror
+-- keeps each subject test's variants, results and winner.
+
+create index if not exists app_documents_newsletter_campaigns__scheduled_at_idx
+  on public.app_documents ((doc->>'scheduled_at')) where collection = 'newsletter_campaigns';
+
+ALTER TABLE newsletter_campaigns ADD COLUMN IF NOT EXISTS ab_test jsonb;
+
+COMMENT ON COLUMN newsletter_campaigns.ab_test IS 'Subject-line A/B test: variants, sample_pct, window_hours, per-variant results, winner';
@@ -0,0 +1,13 @@
+-- Intelligence Platform entity merges (server/services/intelligencePlatform/entityDedup.js).
+-- Merged-away entities stay in platform_entities as status = 'merged' tombstones
+-- pointing at the survivor (merged_into), so their slugs keep redirecting.
+-- platform_duplicate_reviews records admin decisions per candidate pair.
+
+create index if not exists app_documents_platform_entities__merged_into_idx
+  on public.app_documents ((doc->>'merged_into')) where collection = 'platform_entities';
+
+create index if not exists app_documents_platform_duplicate_reviews__decision_idx
+  on public.app_documents ((doc->>'decision')) where collection = 'platform_duplicate_reviews';
+
+create index if not exists app_documents_platform_duplicate_reviews__decided_at_idx
+  on public.app_documents ((doc->>'decided_at')) where collection = 'platform_duplicate_reviews';
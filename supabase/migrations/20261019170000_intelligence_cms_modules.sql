@@ -0,0 +1,12 @@
+-- Runtime Intelligence CMS modules (server/services/intelligenceCms/modules.js) —
+-- admin-defined datasets with typed columns, stored next to cms_records.
+-- Slugs are unique so /admin/intelligence/<slug> resolves to one module.
+
+create index if not exists app_documents_cms_modules__label_idx
+  on public.app_documents ((doc->>'label')) where collection = 'cms_modules';
+
+create index if not exists app_documents_cms_modules__enabled_idx
+  on public.app_documents ((doc->>'enabled')) where collection = 'cms_modules';
+
+create unique index if not exists app_documents_cms_modules__slug_key
+  on public.app_documents ((doc->>'slug')) where collection = 'cms_modules';
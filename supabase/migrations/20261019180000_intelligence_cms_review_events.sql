@@ -0,0 +1,12 @@
+-- Intelligence CMS review thread (server/services/intelligenceCms/review.js) —
+-- submissions, reviewer assignments, comments, approvals/rejections and
+-- rollbacks per record, read back in order for the record review page.
+
+create index if not exists app_documents_cms_review_events__record_id_idx
+  on public.app_documents ((doc->>'record_id')) where collection = 'cms_review_events';
+
+create index if not exists app_documents_cms_review_events__kind_idx
+  on public.app_documents ((doc->>'kind')) where collection = 'cms_review_events';
+
+create index if not exists app_documents_cms_review_events__created_at_idx
+  on public.app_documents ((doc->>'created_at')) where collection = 'cms_review_events';
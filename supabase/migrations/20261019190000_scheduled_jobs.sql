@@ -0,0 +1,13 @@
+-- Unified job scheduler (server/services/jobs/scheduler.js). scheduled_jobs
+-- holds one row per job — pause flag, run lease and last slot — shared by
+-- every server instance; job_runs is the per-job run history, read newest
+-- first for Mission Control.
+
+create index if not exists app_documents_job_runs__job_idx
+  on public.app_documents ((doc->>'job')) where collection = 'job_runs';
+
+create index if not exists app_documents_job_runs__status_idx
+  on public.app_documents ((doc->>'status')) where collection = 'job_runs';
+
+create index if not exists app_documents_job_runs__started_at_idx
+  on public.app_documents ((doc->>'started_at')) where collection = 'job_runs';
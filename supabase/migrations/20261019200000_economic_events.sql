@@ -0,0 +1,15 @@
+-- Economic calendar (server/services/economicCalendar.js). economic_events
+-- holds one row per indicator release — schedule, consensus / previous /
+-- actual and the surprise score — read by date window for the briefings.
+
+create index if not exists app_documents_economic_events__key_idx
+  on public.app_documents ((doc->>'key')) where collection = 'economic_events';
+
+create index if not exists app_documents_economic_events__country_idx
+  on public.app_documents ((doc->>'country')) where collection = 'economic_events';
+
+create index if not exists app_documents_economic_events__status_idx
+  on public.app_documents ((doc->>'status')) where collection = 'economic_events';
+
+create index if not exists app_documents_economic_events__scheduled_at_idx
+  on public.app_documents ((doc->>'scheduled_at')) where collection = 'economic_events';
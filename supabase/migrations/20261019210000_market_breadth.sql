@@ -0,0 +1,13 @@
+-- Market breadth (server/services/marketBreadth.js). breadth_constituents
+-- holds per-symbol DMA / 52-week statistics and market cap refreshed after
+-- the close; breadth_snapshots holds one advance/decline and sector-return
+-- row per trading session, read newest first.
+
+create index if not exists app_documents_breadth_constituents__universe_idx
+  on public.app_documents ((doc->>'universe')) where collection = 'breadth_constituents';
+
+create index if not exists app_documents_breadth_constituents__sector_idx
+  on public.app_documents ((doc->>'sector')) where collection = 'breadth_constituents';
+
+create index if not exists app_documents_breadth_snapshots__date_idx
+  on public.app_documents ((doc->>'date')) where collection = 'breadth_snapshots';
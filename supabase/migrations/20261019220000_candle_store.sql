@@ -0,0 +1,20 @@
+-- Persistent candle store (server/services/candleStore.js). candle_chunks
+-- holds one document of OHLCV bars per series and day (1m, 15m) or month
+-- (1h, 1d), read by series over a period range and pruned by interval;
+-- candle_series lists the series the backfill job keeps gap-free;
+-- candle_adjustments holds split / bonus factors per instrument.
+
+create index if not exists app_documents_candle_chunks__series_idx
+  on public.app_documents ((doc->>'series')) where collection = 'candle_chunks';
+
+create index if not exists app_documents_candle_chunks__interval_idx
+  on public.app_documents ((doc->>'interval')) where collection = 'candle_chunks';
+
+create index if not exists app_documents_candle_chunks__period_idx
+  on public.app_documents ((doc->>'period')) where collection = 'candle_chunks';
+
+create index if not exists app_documents_candle_series__interval_idx
+  on public.app_documents ((doc->>'interval')) where collection = 'candle_series';
+
+create index if not exists app_documents_candle_adjustments__instrument_idx
+  on public.app_documents ((doc->>'instrument')) where collection = 'candle_adjustments';
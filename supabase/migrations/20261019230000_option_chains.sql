@@ -0,0 +1,10 @@
+-- Index option-chain snapshots (server/services/optionsChain.js): one
+-- document per underlying and session with the latest PCR, max pain, OI
+-- build-up, IV and skew analytics, read by underlying newest-first and by
+-- date for the ATM IV history behind the percentile.
+
+create index if not exists app_documents_option_chain_snapshots__underlying_idx
+  on public.app_documents ((doc->>'underlying')) where collection = 'option_chain_snapshots';
+
+create index if not exists app_documents_option_chain_snapshots__date_idx
+  on public.app_documents ((doc->>'date')) where collection = 'option_chain_snapshots';
@@ -0,0 +1,6 @@
+-- Pending Upstox login states (server/services/brokerAuth.js). Stored rather
+-- than held in memory so the OAuth callback can land on any instance; each
+-- login sweeps the states past their ten-minute expires_at.
+
+create index if not exists app_documents_broker_login_states__expires_at_idx
+  on public.app_documents ((doc->>'expires_at')) where collection = 'broker_login_states';